@@ -11,6 +11,7 @@ import Keys from './pages/Keys';
 import Alerts from './pages/Alerts';
 import Logs from './pages/Logs';
 import Settings from './pages/Settings';
+import Admin from './pages/Admin';
 import NotFound from './pages/NotFound';
 import { ProtectedRoute } from './components/ProtectedRoute';
 import { AppLayout } from './components/layout/AppLayout';
@@ -99,6 +100,14 @@ function App() {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="/admin"
+          element={
+            <ProtectedRoute requireAdmin>
+              <Admin />
+            </ProtectedRoute>
+          }
+        />
       </Route>
       <Route path="*" element={<NotFound />} />
     </Routes>
@@ -4,9 +4,11 @@ import { useAuth } from '../context/AuthContext';
 /**
  * ProtectedRoute component
  * Wraps routes that require authentication
+ * With requireAdmin, non-admin users are sent back to the dashboard
+ * (the server enforces the role on every admin API call)
  */
-export function ProtectedRoute({ children }) {
-  const { isAuthenticated, loading } = useAuth();
+export function ProtectedRoute({ children, requireAdmin = false }) {
+  const { user, isAuthenticated, loading } = useAuth();
 
   if (loading) {
     return (
@@ -23,6 +25,10 @@ export function ProtectedRoute({ children }) {
     return <Navigate to="/login" replace />;
   }
 
+  if (requireAdmin && user?.role !== 'admin') {
+    return <Navigate to="/dashboard" replace />;
+  }
+
   return children;
 }
 
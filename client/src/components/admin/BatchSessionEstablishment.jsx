@@ -7,7 +7,8 @@
  * 2. For each user, generate a session ID
  * 3. Establish sessions using the KEP protocol
  * 
- * Usage: Add this component to an admin page or settings page
+ * Rendered on the admin page; the user list comes from /api/admin/users,
+ * which requires the admin role.
  */
 
 import { useState, useEffect } from 'react';
@@ -36,33 +37,12 @@ export function BatchSessionEstablishment({ socket }) {
     const fetchUsers = async () => {
       try {
         setIsLoading(true);
-        // Try to get all users by searching with a common character
-        // This is a workaround - ideally there would be an admin endpoint
-        // Try multiple search queries to get all users
-        const searchQueries = ['a', 'e', 'i', 'o', 'u', '@'];
-        const allUsersSet = new Map();
-        
-        for (const query of searchQueries) {
-          try {
-            const response = await api.get('/auth/users/search', {
-              params: { q: query, limit: 1000 }
-            });
-
-            if (response.data && response.data.success) {
-              const users = response.data.data || [];
-              users.forEach(u => {
-                if (u.id !== user?.id && !allUsersSet.has(u.id)) {
-                  allUsersSet.set(u.id, u);
-                }
-              });
-            }
-          } catch (err) {
-            // Continue with next query
-            console.warn(`Search with "${query}" failed:`, err);
-          }
+        const response = await api.get('/admin/users');
+        if (!response.data?.success) {
+          throw new Error(response.data?.error || 'Failed to fetch users');
         }
-        
-        setAllUsers(Array.from(allUsersSet.values()));
+
+        setAllUsers(response.data.data.users.filter(u => u.id !== user?.id));
       } catch (error) {
         console.error('Failed to fetch users:', error);
         toast({
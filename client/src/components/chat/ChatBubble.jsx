@@ -1,91 +1,367 @@
-import { Check, CheckCheck, Lock, File } from "lucide-react";
+import { useState } from "react";
+import { Check, CheckCheck, Lock, File, Ban, Pencil, Trash2, SmilePlus, Reply, MessagesSquare } from "lucide-react";
+import { Button } from "../ui/button";
 import { cn } from "../../lib/utils.js";
+import { REACTION_EMOJIS } from "../../crypto/messageActions.js";
 
+const STATUS_LABELS = {
+  sent: "Sent",
+  delivered: "Delivered",
+  read: "Read",
+};
+
+/**
+ * One chat message
+ * @param {"sent"|"delivered"|"read"} status - Delivery status of our own messages (no ticks if unknown)
+ * @param {boolean} edited - The author edited the message
+ * @param {boolean} deleted - The author deleted the message for everyone
+ * @param {Array<{emoji: string, count: number, mine: boolean}>} reactions - Reactions to show
+ * @param {Function} onReact - async (emoji) => void, '' removes our reaction (no reactions if unset)
+ * @param {Function} onEdit - async (text) => void (our own text messages only)
+ * @param {Function} onDelete - async () => void (our own messages only)
+ * @param {{name: string, text: string, deleted: boolean}} quote - Message this one replies to
+ * @param {Function} onQuoteClick - () => void, jumps to the quoted message (not clickable if unset)
+ * @param {Function} onReply - () => void, starts a reply to this message
+ * @param {number} replyCount - Replies in the thread this message starts
+ * @param {Function} onOpenThread - () => void, shows the thread
+ */
 export function ChatBubble({
   message,
   timestamp,
   isSender,
-  isRead = false,
+  status,
   isEncrypted = true,
   hasFile = false,
   fileName,
   fileSize,
+  edited = false,
+  deleted = false,
+  reactions = [],
+  onReact,
+  onEdit,
+  onDelete,
+  quote,
+  onQuoteClick,
+  onReply,
+  replyCount = 0,
+  onOpenThread,
 }) {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState("");
+  const [showReactions, setShowReactions] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  const canChange = !deleted && !editing && !busy;
+
+  // Runs a change; failures are reported, the bubble stays as it was
+  const run = async (change) => {
+    setBusy(true);
+    try {
+      await change();
+      return true;
+    } catch (err) {
+      console.error("[ChatBubble] Failed to change message:", err);
+      alert(err.message || "Could not change the message. Please try again.");
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleReact = async (emoji) => {
+    setShowReactions(false);
+    const mine = reactions.find((reaction) => reaction.mine);
+    await run(() => onReact(mine?.emoji === emoji ? "" : emoji));
+  };
+
+  const handleSaveEdit = async () => {
+    const text = draft.trim();
+    if (!text || text === message) {
+      setEditing(false);
+      return;
+    }
+    if (await run(() => onEdit(text))) {
+      setEditing(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm("Delete this message for everyone?")) return;
+    await run(() => onDelete());
+  };
+
   return (
     <div
       className={cn(
-        "flex w-full mb-3 animate-fade-in",
+        "group flex w-full mb-3 animate-fade-in",
         isSender ? "justify-end" : "justify-start"
       )}
     >
-      <div
-        className={cn(
-          "max-w-[80%] sm:max-w-[70%] lg:max-w-[60%] rounded-2xl px-4 py-3 relative",
-          isSender
-            ? "bg-primary text-primary-foreground rounded-br-md"
-            : "bg-secondary text-secondary-foreground rounded-bl-md"
-        )}
-      >
-        {hasFile && (
+      <div className={cn("flex flex-col max-w-[80%] sm:max-w-[70%] lg:max-w-[60%]", isSender ? "items-end" : "items-start")}>
+        <div className={cn("flex items-center gap-1", isSender ? "flex-row-reverse" : "flex-row")}>
           <div
             className={cn(
-              "flex items-center gap-3 p-2.5 rounded-lg mb-2",
-              isSender ? "bg-primary-foreground/10" : "bg-background/50"
+              "rounded-2xl px-4 py-3 relative",
+              isSender
+                ? "bg-primary text-primary-foreground rounded-br-md"
+                : "bg-secondary text-secondary-foreground rounded-bl-md"
             )}
           >
+            {hasFile && !deleted && (
+              <div
+                className={cn(
+                  "flex items-center gap-3 p-2.5 rounded-lg mb-2",
+                  isSender ? "bg-primary-foreground/10" : "bg-background/50"
+                )}
+              >
+                <div
+                  className={cn(
+                    "w-10 h-10 rounded-lg flex items-center justify-center",
+                    isSender ? "bg-primary-foreground/20" : "bg-primary/20"
+                  )}
+                >
+                  <File className={cn("w-5 h-5", isSender ? "text-primary-foreground" : "text-primary")} />
+                </div>
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm font-medium truncate">{fileName}</p>
+                  <p className={cn("text-xs", isSender ? "text-primary-foreground/70" : "text-muted-foreground")}>
+                    {fileSize}
+                  </p>
+                </div>
+              </div>
+            )}
+
+            {quote && !deleted && (
+              <button
+                type="button"
+                onClick={onQuoteClick}
+                disabled={!onQuoteClick}
+                title={onQuoteClick ? "Show original message" : undefined}
+                className={cn(
+                  "block w-full min-w-[160px] text-left mb-2 pl-2.5 pr-2 py-1.5 rounded-md border-l-2 transition-colors",
+                  isSender
+                    ? "bg-primary-foreground/10 border-primary-foreground/60 enabled:hover:bg-primary-foreground/20"
+                    : "bg-background/50 border-primary enabled:hover:bg-background/80"
+                )}
+              >
+                <span
+                  className={cn(
+                    "block text-xs font-medium",
+                    isSender ? "text-primary-foreground" : "text-primary"
+                  )}
+                >
+                  {quote.name}
+                </span>
+                <span
+                  className={cn(
+                    "block text-xs truncate",
+                    quote.deleted && "italic",
+                    isSender ? "text-primary-foreground/70" : "text-muted-foreground"
+                  )}
+                >
+                  {quote.deleted ? "Original message was deleted" : quote.text}
+                </span>
+              </button>
+            )}
+
+            {deleted ? (
+              <p
+                className={cn(
+                  "flex items-center gap-1.5 text-sm italic",
+                  isSender ? "text-primary-foreground/70" : "text-muted-foreground"
+                )}
+              >
+                <Ban className="w-3.5 h-3.5" />
+                This message was deleted
+              </p>
+            ) : editing ? (
+              <div className="space-y-2">
+                <textarea
+                  value={draft}
+                  onChange={(e) => setDraft(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === "Enter" && !e.shiftKey) {
+                      e.preventDefault();
+                      handleSaveEdit();
+                    } else if (e.key === "Escape") {
+                      setEditing(false);
+                    }
+                  }}
+                  disabled={busy}
+                  rows={2}
+                  autoFocus
+                  className="w-full min-w-[200px] px-3 py-2 bg-background text-foreground rounded-lg text-sm resize-none focus:outline-none focus:ring-2 focus:ring-primary/20"
+                />
+                <div className="flex justify-end gap-2">
+                  <Button variant="secondary" size="sm" onClick={() => setEditing(false)} disabled={busy}>
+                    Cancel
+                  </Button>
+                  <Button variant="secondary" size="sm" onClick={handleSaveEdit} disabled={busy || !draft.trim()}>
+                    Save
+                  </Button>
+                </div>
+              </div>
+            ) : (
+              <p className="text-sm leading-relaxed whitespace-pre-wrap break-words">
+                {message}
+              </p>
+            )}
+
             <div
               className={cn(
-                "w-10 h-10 rounded-lg flex items-center justify-center",
-                isSender ? "bg-primary-foreground/20" : "bg-primary/20"
+                "flex items-center gap-1.5 mt-1.5",
+                isSender ? "justify-end" : "justify-start"
               )}
             >
-              <File className={cn("w-5 h-5", isSender ? "text-primary-foreground" : "text-primary")} />
+              {isEncrypted && (
+                <Lock
+                  className={cn(
+                    "w-3 h-3",
+                    isSender ? "text-primary-foreground/50" : "text-muted-foreground"
+                  )}
+                />
+              )}
+              {edited && !deleted && (
+                <span
+                  className={cn(
+                    "text-[10px] italic",
+                    isSender ? "text-primary-foreground/60" : "text-muted-foreground"
+                  )}
+                >
+                  edited
+                </span>
+              )}
+              <span
+                className={cn(
+                  "text-[10px]",
+                  isSender ? "text-primary-foreground/60" : "text-muted-foreground"
+                )}
+              >
+                {timestamp}
+              </span>
+              {isSender && STATUS_LABELS[status] && (
+                <span title={STATUS_LABELS[status]} aria-label={STATUS_LABELS[status]}>
+                  {status === "sent" ? (
+                    <Check className="w-3.5 h-3.5 text-primary-foreground/60" />
+                  ) : (
+                    <CheckCheck
+                      className={cn(
+                        "w-3.5 h-3.5",
+                        status === "read" ? "text-primary-foreground" : "text-primary-foreground/60"
+                      )}
+                    />
+                  )}
+                </span>
+              )}
             </div>
-            <div className="flex-1 min-w-0">
-              <p className="text-sm font-medium truncate">{fileName}</p>
-              <p className={cn("text-xs", isSender ? "text-primary-foreground/70" : "text-muted-foreground")}>
-                {fileSize}
-              </p>
+          </div>
+
+          {canChange && (onReply || onReact || onEdit || onDelete) && (
+            <div className="flex items-center opacity-0 group-hover:opacity-100 focus-within:opacity-100 transition-opacity">
+              {onReply && (
+                <Button
+                  variant="ghost"
+                  size="icon-sm"
+                  onClick={() => {
+                    setShowReactions(false);
+                    onReply();
+                  }}
+                  title="Reply"
+                  className="text-muted-foreground"
+                >
+                  <Reply className="w-4 h-4" />
+                </Button>
+              )}
+              {onReact && (
+                <Button
+                  variant="ghost"
+                  size="icon-sm"
+                  onClick={() => setShowReactions((shown) => !shown)}
+                  title="React"
+                  className="text-muted-foreground"
+                >
+                  <SmilePlus className="w-4 h-4" />
+                </Button>
+              )}
+              {onEdit && (
+                <Button
+                  variant="ghost"
+                  size="icon-sm"
+                  onClick={() => {
+                    setDraft(message);
+                    setShowReactions(false);
+                    setEditing(true);
+                  }}
+                  title="Edit"
+                  className="text-muted-foreground"
+                >
+                  <Pencil className="w-4 h-4" />
+                </Button>
+              )}
+              {onDelete && (
+                <Button
+                  variant="ghost"
+                  size="icon-sm"
+                  onClick={handleDelete}
+                  title="Delete for everyone"
+                  className="text-muted-foreground hover:text-destructive"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </Button>
+              )}
             </div>
+          )}
+        </div>
+
+        {showReactions && canChange && onReact && (
+          <div className="flex items-center gap-1 mt-1 px-2 py-1 rounded-full bg-card border border-border shadow-md">
+            {REACTION_EMOJIS.map((emoji) => (
+              <button
+                key={emoji}
+                type="button"
+                onClick={() => handleReact(emoji)}
+                className="w-8 h-8 rounded-full text-lg hover:bg-secondary transition-colors"
+              >
+                {emoji}
+              </button>
+            ))}
           </div>
         )}
 
-        <p className="text-sm leading-relaxed whitespace-pre-wrap break-words">
-          {message}
-        </p>
+        {!deleted && reactions.length > 0 && (
+          <div className={cn("flex flex-wrap gap-1 mt-1", isSender ? "justify-end" : "justify-start")}>
+            {reactions.map((reaction) => (
+              <button
+                key={reaction.emoji}
+                type="button"
+                onClick={() => onReact && canChange && handleReact(reaction.emoji)}
+                disabled={!onReact || !canChange}
+                title={reaction.mine ? "Remove your reaction" : undefined}
+                className={cn(
+                  "inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs border transition-colors",
+                  reaction.mine
+                    ? "bg-primary/15 border-primary/40 text-foreground"
+                    : "bg-secondary border-border text-muted-foreground"
+                )}
+              >
+                <span>{reaction.emoji}</span>
+                {reaction.count > 1 && <span>{reaction.count}</span>}
+              </button>
+            ))}
+          </div>
+        )}
 
-        <div
-          className={cn(
-            "flex items-center gap-1.5 mt-1.5",
-            isSender ? "justify-end" : "justify-start"
-          )}
-        >
-          {isEncrypted && (
-            <Lock
-              className={cn(
-                "w-3 h-3",
-                isSender ? "text-primary-foreground/50" : "text-muted-foreground"
-              )}
-            />
-          )}
-          <span
-            className={cn(
-              "text-[10px]",
-              isSender ? "text-primary-foreground/60" : "text-muted-foreground"
-            )}
+        {replyCount > 0 && onOpenThread && (
+          <button
+            type="button"
+            onClick={onOpenThread}
+            className="inline-flex items-center gap-1 mt-1 px-1 text-xs font-medium text-primary hover:underline"
           >
-            {timestamp}
-          </span>
-          {isSender && (
-            isRead ? (
-              <CheckCheck className="w-3.5 h-3.5 text-primary-foreground/60" />
-            ) : (
-              <Check className="w-3.5 h-3.5 text-primary-foreground/60" />
-            )
-          )}
-        </div>
+            <MessagesSquare className="w-3.5 h-3.5" />
+            {replyCount === 1 ? "1 reply" : `${replyCount} replies`}
+          </button>
+        )}
       </div>
     </div>
   );
 }
-
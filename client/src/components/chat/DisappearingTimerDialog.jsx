@@ -0,0 +1,81 @@
+import { useState } from "react";
+import { Timer, Check } from "lucide-react";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from "../ui/dialog";
+import { TIMER_OPTIONS } from "../../crypto/disappearingMessages";
+
+/**
+ * Picks the disappearing-message timer of a conversation
+ * @param {boolean} open - Whether the dialog is shown
+ * @param {Function} onOpenChange - Called with the new open state
+ * @param {string} peerName - Name of the contact
+ * @param {number} seconds - Current timer in seconds (0: off)
+ * @param {Function} onChange - async (seconds) => void, sends the change to the contact
+ */
+export function DisappearingTimerDialog({ open, onOpenChange, peerName, seconds, onChange }) {
+  const [saving, setSaving] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleSelect = async (value) => {
+    if (value === seconds || saving !== null) return;
+
+    setError(null);
+    setSaving(value);
+    try {
+      await onChange(value);
+      onOpenChange(false);
+    } catch (err) {
+      console.error("[DisappearingTimer] Failed to change timer:", err);
+      setError(err.message || "Could not change the timer");
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-[400px]">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Timer className="w-5 h-5" />
+            Disappearing messages
+          </DialogTitle>
+          <DialogDescription>
+            New messages with {peerName} are deleted from both devices once the timer runs out.
+            The change is signed and sent to {peerName} end-to-end encrypted.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-1">
+          {TIMER_OPTIONS.map((option) => (
+            <button
+              key={option.seconds}
+              type="button"
+              onClick={() => handleSelect(option.seconds)}
+              disabled={saving !== null}
+              className="w-full flex items-center justify-between px-3 py-2.5 rounded-lg text-sm text-foreground hover:bg-secondary/50 transition-colors disabled:opacity-50"
+            >
+              <span>{option.label}</span>
+              {saving === option.seconds ? (
+                <div className="w-4 h-4 border-2 border-primary/30 border-t-primary rounded-full animate-spin" />
+              ) : option.seconds === seconds ? (
+                <Check className="w-4 h-4 text-primary" />
+              ) : null}
+            </button>
+          ))}
+        </div>
+
+        {error && (
+          <div className="p-3 rounded-lg bg-destructive/10 border border-destructive/20 text-sm text-destructive">
+            {error}
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
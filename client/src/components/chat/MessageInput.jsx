@@ -1,13 +1,34 @@
-import { useState } from "react";
-import { Send, Paperclip, Smile, Lock } from "lucide-react";
+import { useState, useEffect, useRef } from "react";
+import { Send, Paperclip, Smile, Lock, Reply, X } from "lucide-react";
 import { Button } from "../ui/button";
 import { cn } from "../../lib/utils.js";
 
-export function MessageInput({ onSend, onAttach, className }) {
+/**
+ * Message composer
+ * @param {{id: string, name: string, snippet: string}} replyTo - Message being replied to (no reply bar if unset)
+ * @param {Function} onCancelReply - Called when the reply is dismissed (Escape or the close button)
+ */
+export function MessageInput({
+  onSend,
+  onAttach,
+  onTyping,
+  replyTo,
+  onCancelReply,
+  disabled = false,
+  disabledPlaceholder = "Verify this contact to continue...",
+  className,
+}) {
   const [message, setMessage] = useState("");
+  const textareaRef = useRef(null);
+
+  // Choosing a message to reply to moves the cursor to the composer
+  const replyToId = replyTo?.id;
+  useEffect(() => {
+    if (replyToId) textareaRef.current?.focus();
+  }, [replyToId]);
 
   const handleSend = () => {
-    if (message.trim()) {
+    if (message.trim() && !disabled) {
       onSend?.(message);
       setMessage("");
     }
@@ -17,16 +38,37 @@ export function MessageInput({ onSend, onAttach, className }) {
     if (e.key === "Enter" && !e.shiftKey) {
       e.preventDefault();
       handleSend();
+    } else if (e.key === "Escape" && replyTo) {
+      onCancelReply?.();
     }
   };
 
   return (
     <div className={cn("p-3 bg-card/80 backdrop-blur-xl border-t border-border", className)}>
+      {replyTo && !disabled && (
+        <div className="flex items-center gap-2 mb-2 pl-3 pr-1 py-1.5 rounded-lg bg-secondary/60 border-l-2 border-primary">
+          <Reply className="w-4 h-4 flex-shrink-0 text-primary" />
+          <div className="flex-1 min-w-0">
+            <p className="text-xs font-medium text-primary">Replying to {replyTo.name}</p>
+            <p className="text-xs text-muted-foreground truncate">{replyTo.snippet}</p>
+          </div>
+          <Button
+            variant="ghost"
+            size="icon-sm"
+            onClick={onCancelReply}
+            title="Cancel reply"
+            className="flex-shrink-0 text-muted-foreground hover:text-foreground"
+          >
+            <X className="w-4 h-4" />
+          </Button>
+        </div>
+      )}
       <div className="flex items-end gap-2">
         <Button
           variant="ghost"
           size="icon"
           onClick={onAttach}
+          disabled={disabled || !onAttach}
           className="flex-shrink-0 text-muted-foreground hover:text-foreground"
         >
           <Paperclip className="w-5 h-5" />
@@ -35,9 +77,14 @@ export function MessageInput({ onSend, onAttach, className }) {
         <div className="flex-1 relative">
           <textarea
             value={message}
-            onChange={(e) => setMessage(e.target.value)}
+            onChange={(e) => {
+              setMessage(e.target.value);
+              if (e.target.value) onTyping?.();
+            }}
             onKeyDown={handleKeyDown}
-            placeholder="Type a secure message..."
+            placeholder={disabled ? disabledPlaceholder : replyTo ? "Type a reply..." : "Type a secure message..."}
+            disabled={disabled}
+            ref={textareaRef}
             rows={1}
             className="w-full min-h-[44px] max-h-32 px-4 py-3 pr-12 bg-secondary rounded-xl text-sm text-foreground placeholder:text-muted-foreground resize-none focus:outline-none focus:ring-2 focus:ring-primary/20 scrollbar-thin"
             style={{ height: "44px" }}
@@ -53,7 +100,7 @@ export function MessageInput({ onSend, onAttach, className }) {
 
         <Button
           onClick={handleSend}
-          disabled={!message.trim()}
+          disabled={disabled || !message.trim()}
           size="icon"
           className="flex-shrink-0"
         >
@@ -0,0 +1,163 @@
+import { useState } from "react";
+import { Search, Paperclip, MessageSquare } from "lucide-react";
+import { Button } from "../ui/button";
+import { Input } from "../ui/input";
+import { Label } from "../ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "../ui/select";
+import { useAuth } from "../../context/AuthContext";
+import { searchMessages } from "../../utils/messageSearch";
+import { formatChatTimestamp } from "../../utils/formatTime";
+
+const ANY_SENDER = "any";
+const ME = "me";
+
+/**
+ * Searches the encrypted message index on this device
+ * @param {string} [conversationId] - Only search this conversation
+ * @param {Array<{value: string, label: string}>} [senders] - Other people to offer in the sender filter
+ * @param {Function} [conversationName] - (conversationId) => name shown with each hit
+ * @param {Function} onSelect - Called with the chosen hit
+ */
+export function MessageSearch({ conversationId, senders = [], conversationName, onSelect }) {
+  const { user } = useAuth();
+  const [text, setText] = useState("");
+  const [sender, setSender] = useState(ANY_SENDER);
+  const [fromDate, setFromDate] = useState("");
+  const [toDate, setToDate] = useState("");
+  const [fileName, setFileName] = useState("");
+  const [results, setResults] = useState(null);
+  const [searching, setSearching] = useState(false);
+  const [error, setError] = useState(null);
+
+  const senderLabel = (senderId) => {
+    if (senderId === user?.id) return "You";
+    return senders.find((option) => option.value === senderId)?.label || senderId || "Unknown";
+  };
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    if (!user?.id) return;
+
+    setError(null);
+    setSearching(true);
+    try {
+      const hits = await searchMessages(user.id, {
+        text,
+        sender: sender === ANY_SENDER ? null : sender === ME ? user.id : sender,
+        // Date inputs are local calendar days
+        from: fromDate ? new Date(`${fromDate}T00:00:00`).getTime() : null,
+        to: toDate ? new Date(`${toDate}T23:59:59.999`).getTime() : null,
+        fileName,
+        conversationId,
+      });
+      setResults(hits);
+    } catch (err) {
+      console.error("[MessageSearch] Search failed:", err);
+      setError("Your message history is locked. Log in again to search it.");
+      setResults(null);
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <form onSubmit={handleSearch} className="space-y-3">
+        <div className="relative">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-muted-foreground" />
+          <Input
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            placeholder="Search messages..."
+            className="pl-10"
+            autoFocus
+          />
+        </div>
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          <div className="space-y-1.5">
+            <Label htmlFor="searchSender" className="text-xs">From</Label>
+            <Select value={sender} onValueChange={setSender}>
+              <SelectTrigger id="searchSender">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={ANY_SENDER}>Anyone</SelectItem>
+                <SelectItem value={ME}>You</SelectItem>
+                {senders.map((option) => (
+                  <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="space-y-1.5">
+            <Label htmlFor="searchFileName" className="text-xs">Attachment name</Label>
+            <Input
+              id="searchFileName"
+              value={fileName}
+              onChange={(e) => setFileName(e.target.value)}
+              placeholder="e.g. report.pdf"
+            />
+          </div>
+          <div className="space-y-1.5">
+            <Label htmlFor="searchFrom" className="text-xs">After</Label>
+            <Input id="searchFrom" type="date" value={fromDate} onChange={(e) => setFromDate(e.target.value)} />
+          </div>
+          <div className="space-y-1.5">
+            <Label htmlFor="searchTo" className="text-xs">Before</Label>
+            <Input id="searchTo" type="date" value={toDate} onChange={(e) => setToDate(e.target.value)} />
+          </div>
+        </div>
+
+        <Button type="submit" className="w-full" disabled={searching}>
+          {searching ? "Searching..." : "Search"}
+        </Button>
+      </form>
+
+      {error && (
+        <div className="p-3 rounded-lg bg-destructive/10 border border-destructive/20 text-sm text-destructive">
+          {error}
+        </div>
+      )}
+
+      {results && (
+        <div className="space-y-2 max-h-[50vh] overflow-y-auto scrollbar-thin">
+          {results.length === 0 ? (
+            <p className="text-sm text-muted-foreground text-center py-6">No matching messages</p>
+          ) : (
+            results.map((hit) => (
+              <button
+                key={`${hit.conversationId}:${hit.id}`}
+                type="button"
+                onClick={() => onSelect?.(hit)}
+                className="w-full text-left flex items-start gap-3 p-3 rounded-xl bg-card border border-border hover:bg-secondary/50 transition-colors"
+              >
+                <div className="w-8 h-8 rounded-lg flex items-center justify-center bg-primary/10 flex-shrink-0">
+                  {hit.type === "file"
+                    ? <Paperclip className="w-4 h-4 text-primary" />
+                    : <MessageSquare className="w-4 h-4 text-primary" />}
+                </div>
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center justify-between gap-2">
+                    <span className="text-sm font-medium text-foreground truncate">
+                      {senderLabel(hit.sender)}
+                      {conversationName && (
+                        <span className="text-muted-foreground font-normal"> in {conversationName(hit.conversationId)}</span>
+                      )}
+                    </span>
+                    <span className="text-xs text-muted-foreground flex-shrink-0">
+                      {formatChatTimestamp(hit.timestamp)}
+                    </span>
+                  </div>
+                  <p className="text-sm text-muted-foreground break-words">
+                    {hit.type === "file" ? hit.fileName : hit.snippet}
+                  </p>
+                </div>
+              </button>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,6 +1,6 @@
 import { useState, useEffect } from "react";
 import { useNavigate } from "react-router-dom";
-import { Search, User, Loader2 } from "lucide-react";
+import { Search, User, Users, Loader2, Check, X } from "lucide-react";
 import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from "../ui/dialog";
 import { Input } from "../ui/input";
 import { Button } from "../ui/button";
@@ -12,6 +12,10 @@ export function NewChatDialog({ open, onOpenChange }) {
   const [searchQuery, setSearchQuery] = useState("");
   const [searchResults, setSearchResults] = useState([]);
   const [isSearching, setIsSearching] = useState(false);
+  const [mode, setMode] = useState("direct"); // "direct" | "group"
+  const [groupName, setGroupName] = useState("");
+  const [selectedMembers, setSelectedMembers] = useState([]); // [{id, email}]
+  const [isCreatingGroup, setIsCreatingGroup] = useState(false);
   const { user } = useAuth();
   const navigate = useNavigate();
 
@@ -20,6 +24,9 @@ export function NewChatDialog({ open, onOpenChange }) {
     if (!open) {
       setSearchQuery("");
       setSearchResults([]);
+      setMode("direct");
+      setGroupName("");
+      setSelectedMembers([]);
       return;
     }
 
@@ -134,7 +141,9 @@ export function NewChatDialog({ open, onOpenChange }) {
         // Continue with creating a new session
       }
       
-      const existingSession = existingSessions.find(s => s.peerId === peerId);
+      // Sessions with the peer's other devices belong to the conversation session
+      const existingSession = existingSessions.find(s =>
+        s.peerId === peerId && (!s.conversationId || s.conversationId === s.sessionId));
       
       if (existingSession) {
         // Navigate to existing chat
@@ -160,16 +169,99 @@ export function NewChatDialog({ open, onOpenChange }) {
     }
   };
 
+  const toggleMember = (result) => {
+    setSelectedMembers((prev) =>
+      prev.some((m) => m.id === result.id)
+        ? prev.filter((m) => m.id !== result.id)
+        : [...prev, { id: result.id, email: result.email }]
+    );
+  };
+
+  const handleCreateGroup = async () => {
+    if (!groupName.trim() || selectedMembers.length === 0) return;
+
+    setIsCreatingGroup(true);
+    try {
+      const response = await api.post('/groups', {
+        name: groupName.trim(),
+        memberIds: selectedMembers.map((m) => m.id)
+      });
+      const group = response.data.data;
+
+      // The group ID doubles as the chat's session ID
+      navigate(`/chat/${group.id}`, {
+        state: { isGroup: true, group }
+      });
+      onOpenChange(false);
+    } catch (error) {
+      console.error('Error creating group:', error);
+      toast({
+        title: "Error",
+        description: error.response?.data?.error || "Failed to create group. Please try again.",
+        variant: "destructive",
+      });
+    } finally {
+      setIsCreatingGroup(false);
+    }
+  };
+
   return (
     <Dialog open={open} onOpenChange={onOpenChange}>
       <DialogContent className="sm:max-w-md">
         <DialogHeader>
-          <DialogTitle>Start New Conversation</DialogTitle>
+          <DialogTitle>{mode === "group" ? "New Group" : "Start New Conversation"}</DialogTitle>
           <DialogDescription>
-            Search for a user by email address to start a new encrypted conversation.
+            {mode === "group"
+              ? "Name the group and pick its members. Group messages are end-to-end encrypted with per-member sender keys."
+              : "Search for a user by email address to start a new encrypted conversation."}
           </DialogDescription>
         </DialogHeader>
         <div className="space-y-4">
+          {/* Mode Toggle */}
+          <div className="flex gap-2">
+            <Button
+              size="sm"
+              variant={mode === "direct" ? "default" : "secondary"}
+              onClick={() => setMode("direct")}
+            >
+              <User className="w-4 h-4 mr-1.5" />
+              Direct
+            </Button>
+            <Button
+              size="sm"
+              variant={mode === "group" ? "default" : "secondary"}
+              onClick={() => setMode("group")}
+            >
+              <Users className="w-4 h-4 mr-1.5" />
+              Group
+            </Button>
+          </div>
+
+          {mode === "group" && (
+            <>
+              <Input
+                value={groupName}
+                onChange={(e) => setGroupName(e.target.value)}
+                placeholder="Group name"
+                maxLength={100}
+              />
+              {selectedMembers.length > 0 && (
+                <div className="flex flex-wrap gap-1.5">
+                  {selectedMembers.map((member) => (
+                    <button
+                      key={member.id}
+                      onClick={() => toggleMember(member)}
+                      className="inline-flex items-center gap-1 px-2 py-1 rounded-full bg-primary/10 text-xs text-primary"
+                    >
+                      {member.email}
+                      <X className="w-3 h-3" />
+                    </button>
+                  ))}
+                </div>
+              )}
+            </>
+          )}
+
           {/* Search Input */}
           <div className="relative">
             <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-muted-foreground" />
@@ -207,7 +299,7 @@ export function NewChatDialog({ open, onOpenChange }) {
                 {searchResults.map((result) => (
                   <button
                     key={result.id}
-                    onClick={() => handleStartChat(result.id, result.email)}
+                    onClick={() => mode === "group" ? toggleMember(result) : handleStartChat(result.id, result.email)}
                     className="w-full flex items-center gap-3 p-3 rounded-lg hover:bg-accent transition-colors text-left"
                   >
                     <div className="w-10 h-10 rounded-full bg-primary/10 flex items-center justify-center flex-shrink-0">
@@ -218,11 +310,24 @@ export function NewChatDialog({ open, onOpenChange }) {
                         {result.email}
                       </p>
                     </div>
+                    {mode === "group" && selectedMembers.some((m) => m.id === result.id) && (
+                      <Check className="w-4 h-4 text-primary flex-shrink-0" />
+                    )}
                   </button>
                 ))}
               </div>
             )}
           </div>
+
+          {mode === "group" && (
+            <Button
+              className="w-full"
+              onClick={handleCreateGroup}
+              disabled={!groupName.trim() || selectedMembers.length === 0 || isCreatingGroup}
+            >
+              {isCreatingGroup ? "Creating..." : `Create group (${selectedMembers.length + 1} members)`}
+            </Button>
+          )}
         </div>
       </DialogContent>
     </Dialog>
@@ -0,0 +1,85 @@
+import { MessagesSquare, Reply } from "lucide-react";
+import { Button } from "../ui/button";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "../ui/dialog";
+import { formatChatTimestamp } from "../../utils/formatTime";
+import { cn } from "../../lib/utils.js";
+
+/**
+ * Shows a message and the replies that lead back to it
+ * @param {boolean} open - Whether the dialog is shown
+ * @param {Function} onOpenChange - Called with the new open state
+ * @param {Object} root - Message that starts the thread
+ * @param {Array<Object>} replies - Replies in the thread, oldest first
+ * @param {Function} senderName - (senderId) => name shown with each message
+ * @param {Function} onSelect - Called with the chosen message (jumps to it in the chat)
+ * @param {Function} [onReply] - Called with the root to reply in the thread (no button if unset)
+ */
+export function ThreadView({ open, onOpenChange, root, replies = [], senderName, onSelect, onReply }) {
+  if (!root) return null;
+
+  const renderMessage = (message, isRoot) => (
+    <button
+      key={message.id}
+      type="button"
+      onClick={() => onSelect?.(message)}
+      className={cn(
+        "w-full text-left p-3 rounded-xl border transition-colors hover:bg-secondary/50",
+        isRoot ? "bg-secondary/40 border-border" : "bg-card border-border"
+      )}
+    >
+      <div className="flex items-center justify-between gap-2">
+        <span className="text-sm font-medium text-foreground truncate">{senderName(message.sender)}</span>
+        <span className="text-xs text-muted-foreground flex-shrink-0">
+          {formatChatTimestamp(message.timestamp)}
+        </span>
+      </div>
+      <p
+        className={cn(
+          "text-sm break-words whitespace-pre-wrap",
+          message.deleted ? "italic text-muted-foreground" : "text-foreground"
+        )}
+      >
+        {message.deleted ? "This message was deleted" : message.content}
+      </p>
+    </button>
+  );
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-[520px]">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <MessagesSquare className="w-5 h-5" />
+            Thread
+          </DialogTitle>
+          <DialogDescription>
+            {replies.length === 1 ? "1 reply" : `${replies.length} replies`} to this message. Select a message to show it in the chat.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-2 max-h-[50vh] overflow-y-auto scrollbar-thin">
+          {renderMessage(root, true)}
+          <div className="space-y-2 pl-4 border-l-2 border-border">
+            {replies.map((message) => renderMessage(message, false))}
+          </div>
+        </div>
+
+        {onReply && (
+          <DialogFooter>
+            <Button variant="outline" onClick={() => onReply(root)}>
+              <Reply className="w-4 h-4" />
+              Reply in thread
+            </Button>
+          </DialogFooter>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -3,10 +3,18 @@ import { Outlet } from "react-router-dom";
 import { Sidebar } from "./Sidebar";
 import { BottomNav } from "./BottomNav";
 import { cn } from "../../lib/utils.js";
+import { useClientLogSync } from "../../hooks/useClientLogSync";
+import { useMailbox } from "../../hooks/useMailbox";
 
 export function AppLayout() {
   const [sidebarCollapsed, setSidebarCollapsed] = useState(false);
 
+  // Upload security events detected in this browser while signed in
+  useClientLogSync();
+
+  // Fetch messages held by the server while this device was offline
+  useMailbox();
+
   return (
     <div className="min-h-screen bg-background">
       {/* Desktop Sidebar */}
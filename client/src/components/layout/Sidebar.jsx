@@ -11,9 +11,11 @@ import {
   ChevronLeft,
   ChevronRight,
   Lock,
+  ShieldAlert,
 } from "lucide-react";
 import { cn } from "../../lib/utils.js";
 import { Button } from "../ui/button";
+import { useAuth } from "../../context/AuthContext";
 
 const navItems = [
   { icon: LayoutDashboard, label: "Dashboard", href: "/dashboard" },
@@ -23,10 +25,13 @@ const navItems = [
   { icon: AlertTriangle, label: "Alerts", href: "/alerts", badge: "3" },
   { icon: FileText, label: "Logs", href: "/logs" },
   { icon: Settings, label: "Settings", href: "/settings" },
+  { icon: ShieldAlert, label: "Admin", href: "/admin", adminOnly: true },
 ];
 
 export function Sidebar({ collapsed = false, onToggle, className }) {
   const location = useLocation();
+  const { user } = useAuth();
+  const visibleItems = navItems.filter((item) => !item.adminOnly || user?.role === "admin");
 
   return (
     <aside
@@ -55,7 +60,7 @@ export function Sidebar({ collapsed = false, onToggle, className }) {
 
       {/* Navigation */}
       <nav className="flex-1 p-3 space-y-1.5 overflow-y-auto scrollbar-thin">
-        {navItems.map((item) => {
+        {visibleItems.map((item) => {
           const isActive = location.pathname === item.href || 
             (item.href === "/chats" && location.pathname.startsWith("/chat"));
           return (
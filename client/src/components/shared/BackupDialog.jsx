@@ -0,0 +1,219 @@
+import { useState, useEffect } from "react";
+import { Download, Upload, RefreshCw } from "lucide-react";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "../ui/dialog";
+import { Button } from "../ui/button";
+import { Input } from "../ui/input";
+import { Label } from "../ui/label";
+import { Switch } from "../ui/switch";
+import { useAuth } from "../../context/AuthContext";
+import { createBackup, restoreBackup, validateBackupPassphrase, MIN_PASSPHRASE_LENGTH } from "../../crypto/backup";
+import { toast } from "../../hooks/use-toast";
+
+/**
+ * Saves a backup object as a JSON download
+ */
+function downloadBackup(backup) {
+  const blob = new Blob([JSON.stringify(backup, null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `securechat-backup-${backup.createdAt.slice(0, 10)}.json`;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Exports or restores the encrypted key and session backup
+ * @param {"export"|"import"} mode - Which action the dialog performs
+ */
+export function BackupDialog({ open, onOpenChange, mode }) {
+  const { user, getCachedPassword } = useAuth();
+  const [password, setPassword] = useState("");
+  const [passphrase, setPassphrase] = useState("");
+  const [confirmPassphrase, setConfirmPassphrase] = useState("");
+  const [includeMessages, setIncludeMessages] = useState(false);
+  const [file, setFile] = useState(null);
+  const [error, setError] = useState(null);
+  const [working, setWorking] = useState(false);
+
+  const isExport = mode === "export";
+  const cachedPassword = user ? getCachedPassword(user.id) : null;
+
+  useEffect(() => {
+    if (!open) {
+      setPassword("");
+      setPassphrase("");
+      setConfirmPassphrase("");
+      setIncludeMessages(false);
+      setFile(null);
+      setError(null);
+    }
+  }, [open]);
+
+  const handleExport = async () => {
+    const passphraseError = validateBackupPassphrase(passphrase);
+    if (passphraseError) {
+      setError(passphraseError);
+      return;
+    }
+    if (passphrase !== confirmPassphrase) {
+      setError("Passphrases do not match");
+      return;
+    }
+
+    const backup = await createBackup(user.id, cachedPassword || password, passphrase, { includeMessages });
+    downloadBackup(backup);
+    toast({
+      title: "Backup created",
+      description: "Keep the file and its passphrase somewhere safe. Anyone with both can read your messages.",
+    });
+    onOpenChange(false);
+  };
+
+  const handleImport = async () => {
+    if (!file) {
+      setError("Choose a backup file");
+      return;
+    }
+
+    const result = await restoreBackup(await file.text(), passphrase, user.id, cachedPassword || password);
+    toast({
+      title: "Backup restored",
+      description: `Restored your identity key and ${result.sessions} session${result.sessions === 1 ? "" : "s"}${
+        result.messages > 0 ? ` with ${result.messages} messages` : ""
+      }. Reload the page to reconnect.`,
+    });
+    onOpenChange(false);
+  };
+
+  const handleSubmit = async () => {
+    if (!cachedPassword && !password) {
+      setError("Enter your account password");
+      return;
+    }
+
+    setError(null);
+    setWorking(true);
+    try {
+      await (isExport ? handleExport() : handleImport());
+    } catch (err) {
+      console.error("[BackupDialog] Backup operation failed:", err);
+      setError(err.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-[480px]">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            {isExport ? <Download className="w-5 h-5" /> : <Upload className="w-5 h-5" />}
+            {isExport ? "Back Up Keys" : "Restore Backup"}
+          </DialogTitle>
+          <DialogDescription>
+            {isExport
+              ? "Exports your identity key and sessions in a file encrypted with a passphrase of your choice."
+              : "Restores your identity key and sessions from a backup file. Existing sessions with the same ID are replaced."}
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4 py-2">
+          {!isExport && (
+            <div className="space-y-2">
+              <Label htmlFor="backupFile">Backup file</Label>
+              <Input
+                id="backupFile"
+                type="file"
+                accept="application/json,.json"
+                onChange={(e) => setFile(e.target.files?.[0] || null)}
+              />
+            </div>
+          )}
+
+          {!cachedPassword && (
+            <div className="space-y-2">
+              <Label htmlFor="backupPassword">Account password</Label>
+              <Input
+                id="backupPassword"
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="Unlocks the keys stored in this browser"
+                autoComplete="off"
+              />
+            </div>
+          )}
+
+          <div className="space-y-2">
+            <Label htmlFor="backupPassphrase">Backup passphrase</Label>
+            <Input
+              id="backupPassphrase"
+              type="password"
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              placeholder={isExport ? `At least ${MIN_PASSPHRASE_LENGTH} characters` : "Passphrase used for the backup"}
+              autoComplete="off"
+            />
+          </div>
+
+          {isExport && (
+            <>
+              <div className="space-y-2">
+                <Label htmlFor="backupPassphraseConfirm">Confirm passphrase</Label>
+                <Input
+                  id="backupPassphraseConfirm"
+                  type="password"
+                  value={confirmPassphrase}
+                  onChange={(e) => setConfirmPassphrase(e.target.value)}
+                  autoComplete="off"
+                />
+              </div>
+              <div className="flex items-center justify-between gap-4">
+                <div>
+                  <p className="text-sm font-medium text-foreground">Include message history</p>
+                  <p className="text-xs text-muted-foreground">Messages stored in this browser</p>
+                </div>
+                <Switch checked={includeMessages} onCheckedChange={setIncludeMessages} />
+              </div>
+            </>
+          )}
+
+          {error && (
+            <div className="p-3 rounded-lg bg-destructive/10 border border-destructive/20 text-sm text-destructive">
+              {error}
+            </div>
+          )}
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)} disabled={working}>
+            Cancel
+          </Button>
+          <Button onClick={handleSubmit} disabled={working}>
+            {working ? (
+              <>
+                <RefreshCw className="w-4 h-4 mr-2 animate-spin" />
+                {isExport ? "Encrypting..." : "Restoring..."}
+              </>
+            ) : isExport ? (
+              "Create Backup"
+            ) : (
+              "Restore"
+            )}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
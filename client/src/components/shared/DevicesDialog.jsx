@@ -0,0 +1,239 @@
+import { useState, useEffect, useCallback } from "react";
+import { MonitorSmartphone, Check, X, Link2 } from "lucide-react";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "../ui/dialog";
+import { Button } from "../ui/button";
+import { Input } from "../ui/input";
+import { cn } from "../../lib/utils.js";
+import { useAuth } from "../../context/AuthContext";
+import { fetchOwnDevices, approveDevice, removeDevice } from "../../crypto/devices";
+import { formatChatTimestamp } from "../../utils/formatTime";
+import { toast } from "../../hooks/use-toast";
+
+/**
+ * One pending device: the user types the code shown on the new device
+ */
+function PendingDevice({ device, busy, onApprove, onReject }) {
+  const [code, setCode] = useState("");
+
+  return (
+    <div className="p-4 rounded-lg border bg-warning/5 border-warning/20 space-y-3">
+      <div>
+        <p className="font-medium text-foreground">{device.deviceName || "New device"}</p>
+        <p className="text-xs text-muted-foreground">
+          Wants to join your account. Enter the code shown on that device to approve it.
+        </p>
+      </div>
+      <div className="flex gap-2">
+        <Input
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          placeholder="123 456"
+          inputMode="numeric"
+          className="font-mono"
+          autoComplete="off"
+        />
+        <Button size="sm" onClick={() => onApprove(device, code)} disabled={busy || !code.trim()}>
+          <Check className="w-4 h-4 mr-1" />
+          Approve
+        </Button>
+        <Button variant="outline" size="sm" onClick={() => onReject(device)} disabled={busy}>
+          <X className="w-4 h-4" />
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Lists the user's devices, approves new ones and removes old ones
+ * Listens on the socket for link requests so pending devices show up live.
+ */
+export function DevicesDialog({ open, onOpenChange, socket }) {
+  const { user, getCachedPassword } = useAuth();
+  const [devices, setDevices] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [busyDeviceId, setBusyDeviceId] = useState(null);
+
+  const loadDevices = useCallback(async () => {
+    if (!user) return;
+    setLoading(true);
+    try {
+      setDevices(await fetchOwnDevices(user.id));
+    } catch (err) {
+      console.error("[DevicesDialog] Failed to load devices:", err);
+      toast({
+        title: "Failed to load devices",
+        description: err.message,
+        variant: "destructive",
+      });
+    } finally {
+      setLoading(false);
+    }
+  }, [user]);
+
+  useEffect(() => {
+    if (open) {
+      loadDevices();
+    }
+  }, [open, loadDevices]);
+
+  useEffect(() => {
+    if (!socket || !open) return;
+
+    socket.on("device:link-requested", loadDevices);
+    socket.on("device:linked", loadDevices);
+    socket.on("device:removed", loadDevices);
+    return () => {
+      socket.off("device:link-requested", loadDevices);
+      socket.off("device:linked", loadDevices);
+      socket.off("device:removed", loadDevices);
+    };
+  }, [socket, open, loadDevices]);
+
+  const handleApprove = async (device, code) => {
+    const password = getCachedPassword(user.id);
+    if (!password) {
+      toast({
+        title: "Password required",
+        description: "Sign in again on this device to approve new devices.",
+        variant: "destructive",
+      });
+      return;
+    }
+
+    setBusyDeviceId(device.deviceId);
+    try {
+      await approveDevice(user.id, password, device, code);
+      toast({
+        title: "Device linked",
+        description: `${device.deviceName || "The new device"} can now send and receive messages.`,
+      });
+      await loadDevices();
+    } catch (err) {
+      toast({
+        title: "Approval failed",
+        description: err.message,
+        variant: "destructive",
+      });
+    } finally {
+      setBusyDeviceId(null);
+    }
+  };
+
+  const handleRemove = async (device) => {
+    setBusyDeviceId(device.deviceId);
+    try {
+      await removeDevice(device.deviceId);
+      toast({
+        title: device.status === "pending" ? "Request rejected" : "Device removed",
+        description: `${device.deviceName || "The device"} no longer has access to your messages.`,
+      });
+      await loadDevices();
+    } catch (err) {
+      toast({
+        title: "Failed to remove device",
+        description: err.message,
+        variant: "destructive",
+      });
+    } finally {
+      setBusyDeviceId(null);
+    }
+  };
+
+  const pending = devices.filter((device) => device.status === "pending");
+  const active = devices.filter((device) => device.status !== "pending");
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-[600px]">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <MonitorSmartphone className="w-5 h-5" />
+            Linked Devices
+          </DialogTitle>
+          <DialogDescription>
+            Each device has its own identity key. To add one, sign in on it and enter the code it shows here.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="py-4 max-h-[400px] overflow-y-auto scrollbar-thin space-y-3">
+          {loading && devices.length === 0 ? (
+            <div className="text-center py-8">
+              <p className="text-muted-foreground">Loading devices...</p>
+            </div>
+          ) : (
+            <>
+              {pending.map((device) => (
+                <PendingDevice
+                  key={device.deviceId}
+                  device={device}
+                  busy={busyDeviceId === device.deviceId}
+                  onApprove={handleApprove}
+                  onReject={handleRemove}
+                />
+              ))}
+              {active.map((device) => (
+                <div
+                  key={device.deviceId}
+                  className={cn(
+                    "p-4 rounded-lg border",
+                    device.current ? "bg-primary/5 border-primary/20" : "bg-card border-border"
+                  )}
+                >
+                  <div className="flex items-start justify-between gap-4">
+                    <div className="flex-1 space-y-1">
+                      <div className="flex items-center gap-2">
+                        <p className="font-medium text-foreground">{device.deviceName || "Unnamed device"}</p>
+                        {device.current && (
+                          <span className="px-2 py-0.5 text-xs rounded-full bg-primary/20 text-primary">
+                            This device
+                          </span>
+                        )}
+                      </div>
+                      <p className="text-xs text-muted-foreground flex items-center gap-1">
+                        {device.linkedBy && <Link2 className="w-3 h-3" />}
+                        {device.approvedAt
+                          ? `Linked ${formatChatTimestamp(device.approvedAt)}`
+                          : `Added ${formatChatTimestamp(device.createdAt)}`}
+                      </p>
+                    </div>
+                    {!device.current && (
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() => handleRemove(device)}
+                        disabled={busyDeviceId === device.deviceId}
+                      >
+                        {busyDeviceId === device.deviceId ? (
+                          <div className="w-4 h-4 border-2 border-muted-foreground/30 border-t-muted-foreground rounded-full animate-spin" />
+                        ) : (
+                          <>
+                            <X className="w-4 h-4 mr-1" />
+                            Remove
+                          </>
+                        )}
+                      </Button>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </>
+          )}
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)}>
+            Close
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
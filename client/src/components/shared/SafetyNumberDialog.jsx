@@ -0,0 +1,308 @@
+import { useState, useEffect, useRef, useMemo } from "react";
+import { ShieldCheck, ShieldAlert, Shield, QrCode, Camera, RefreshCw } from "lucide-react";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "../ui/dialog";
+import { Button } from "../ui/button";
+import { Input } from "../ui/input";
+import { cn } from "../../lib/utils.js";
+import { encodeQR, qrToSvgPath } from "../../utils/qrCode";
+import { formatSafetyNumber } from "../../crypto/safetyNumbers";
+import { toast } from "../../hooks/use-toast";
+
+const statusConfig = {
+  verified: {
+    icon: ShieldCheck,
+    className: "bg-success/10 text-success border-success/20",
+    label: "Verified",
+  },
+  unverified: {
+    icon: Shield,
+    className: "bg-muted text-muted-foreground border-border",
+    label: "Not verified",
+  },
+  changed: {
+    icon: ShieldAlert,
+    className: "bg-destructive/10 text-destructive border-destructive/20",
+    label: "Safety number changed",
+  },
+};
+
+/**
+ * Small pill showing a contact's verification status
+ */
+export function VerificationBadge({ status, onClick, className }) {
+  const config = statusConfig[status] || statusConfig.unverified;
+  const Icon = config.icon;
+
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      className={cn(
+        "inline-flex items-center gap-1.5 px-2.5 py-1 rounded-full text-xs font-medium border transition-opacity hover:opacity-80",
+        config.className,
+        className
+      )}
+    >
+      <Icon className="w-3.5 h-3.5" />
+      <span>{config.label}</span>
+    </button>
+  );
+}
+
+/**
+ * Renders a QR code payload as an SVG
+ */
+function QRCodeImage({ value, size = 192 }) {
+  const qr = useMemo(() => {
+    try {
+      const { modules } = encodeQR(value);
+      return { path: qrToSvgPath(modules), dimension: modules.length + 8 };
+    } catch (err) {
+      console.error("[SafetyNumberDialog] Failed to encode QR code:", err);
+      return null;
+    }
+  }, [value]);
+
+  if (!qr) return null;
+
+  return (
+    <svg
+      width={size}
+      height={size}
+      viewBox={`0 0 ${qr.dimension} ${qr.dimension}`}
+      shapeRendering="crispEdges"
+      className="rounded-lg"
+      role="img"
+      aria-label="Safety number QR code"
+    >
+      <rect width={qr.dimension} height={qr.dimension} fill="#ffffff" />
+      <path d={qr.path} fill="#000000" />
+    </svg>
+  );
+}
+
+/**
+ * Camera scanner using the browser's BarcodeDetector API
+ * Calls onResult with the first decoded QR payload.
+ */
+function QRScanner({ onResult, onError }) {
+  const videoRef = useRef(null);
+
+  useEffect(() => {
+    let stream = null;
+    let frameId = null;
+    let cancelled = false;
+
+    const start = async () => {
+      try {
+        const detector = new window.BarcodeDetector({ formats: ["qr_code"] });
+        stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: "environment" } });
+        if (cancelled) return;
+        videoRef.current.srcObject = stream;
+        await videoRef.current.play();
+
+        const scan = async () => {
+          if (cancelled) return;
+          try {
+            const codes = await detector.detect(videoRef.current);
+            if (codes.length > 0) {
+              onResult(codes[0].rawValue);
+              return;
+            }
+          } catch {
+            // Frame not ready yet
+          }
+          frameId = requestAnimationFrame(scan);
+        };
+        scan();
+      } catch (err) {
+        onError(err.message || "Camera unavailable");
+      }
+    };
+
+    start();
+
+    return () => {
+      cancelled = true;
+      if (frameId) cancelAnimationFrame(frameId);
+      stream?.getTracks().forEach((track) => track.stop());
+    };
+  }, [onResult, onError]);
+
+  return (
+    <video
+      ref={videoRef}
+      className="w-full rounded-lg bg-black aspect-square object-cover"
+      muted
+      playsInline
+    />
+  );
+}
+
+/**
+ * Dialog for comparing safety numbers with a contact
+ * @param {Object} verification - Result of useContactVerification(peerId)
+ */
+export function SafetyNumberDialog({ open, onOpenChange, peerName, verification }) {
+  const [scanning, setScanning] = useState(false);
+  const [pastedCode, setPastedCode] = useState("");
+  const [scanError, setScanError] = useState(null);
+  const scannerSupported = typeof window !== "undefined" && "BarcodeDetector" in window;
+
+  const {
+    safetyNumber,
+    qrPayload,
+    status,
+    keyChanged,
+    wasVerified,
+    isVerified,
+    loading,
+    error,
+    markVerified,
+    clearVerification,
+    verifyScannedPayload,
+    refresh,
+  } = verification;
+
+  useEffect(() => {
+    if (!open) {
+      setScanning(false);
+      setPastedCode("");
+      setScanError(null);
+    }
+  }, [open]);
+
+  const handleCode = async (payload) => {
+    setScanning(false);
+    const result = await verifyScannedPayload(payload);
+    if (result.match) {
+      setScanError(null);
+      setPastedCode("");
+      toast({ title: "Contact verified", description: `Safety numbers match for ${peerName}.` });
+    } else {
+      setScanError(result.error);
+    }
+  };
+
+  const handleMarkVerified = async () => {
+    await markVerified();
+    toast({ title: "Contact verified", description: `${peerName} is now marked as verified.` });
+  };
+
+  const handleClearVerification = async () => {
+    await clearVerification();
+    toast({
+      title: keyChanged ? "New key accepted" : "Verification cleared",
+      description: keyChanged
+        ? `Compare safety numbers with ${peerName} again to re-verify.`
+        : `${peerName} is no longer marked as verified.`,
+    });
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-[480px]">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <ShieldCheck className="w-5 h-5 text-primary" />
+            Verify Safety Number
+          </DialogTitle>
+          <DialogDescription>
+            Compare these numbers with {peerName} in person or scan their code. If they match,
+            nobody is intercepting your messages.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="flex justify-center">
+          <VerificationBadge status={status} />
+        </div>
+
+        {keyChanged && (
+          <div className="p-3 rounded-lg bg-destructive/10 border border-destructive/20 text-sm text-destructive">
+            {peerName}'s identity key has changed since you {wasVerified ? "verified it" : "first saw it"}. This can happen when they
+            reinstall or reset their keys, but it can also mean someone is intercepting your messages.
+          </div>
+        )}
+
+        {loading && (
+          <div className="flex justify-center py-6">
+            <RefreshCw className="w-5 h-5 animate-spin text-muted-foreground" />
+          </div>
+        )}
+
+        {!loading && error && (
+          <div className="p-3 rounded-lg bg-destructive/10 border border-destructive/20 text-sm text-destructive">
+            {error}
+          </div>
+        )}
+
+        {!loading && safetyNumber && (
+          <>
+            {scanning ? (
+              <QRScanner onResult={handleCode} onError={(message) => { setScanning(false); setScanError(message); }} />
+            ) : (
+              <div className="flex justify-center">
+                <QRCodeImage value={qrPayload} />
+              </div>
+            )}
+
+            <div className="grid grid-cols-4 gap-2 font-mono text-sm text-center">
+              {formatSafetyNumber(safetyNumber).map((group, index) => (
+                <span key={index} className="px-2 py-1 rounded bg-secondary">
+                  {group}
+                </span>
+              ))}
+            </div>
+
+            <div className="space-y-2">
+              {scannerSupported && (
+                <Button
+                  variant="outline"
+                  className="w-full"
+                  onClick={() => { setScanError(null); setScanning(!scanning); }}
+                >
+                  {scanning ? <QrCode className="w-4 h-4 mr-2" /> : <Camera className="w-4 h-4 mr-2" />}
+                  {scanning ? "Show my code" : "Scan their code"}
+                </Button>
+              )}
+              <div className="flex gap-2">
+                <Input
+                  placeholder="Or paste their code (E2EE-SN:...)"
+                  value={pastedCode}
+                  onChange={(e) => setPastedCode(e.target.value)}
+                />
+                <Button variant="outline" onClick={() => handleCode(pastedCode)} disabled={!pastedCode.trim()}>
+                  Compare
+                </Button>
+              </div>
+              {scanError && <p className="text-sm text-destructive">{scanError}</p>}
+            </div>
+          </>
+        )}
+
+        <DialogFooter className="gap-2 sm:gap-0">
+          {error && (
+            <Button variant="outline" onClick={refresh}>
+              Retry
+            </Button>
+          )}
+          {(isVerified || keyChanged) && (
+            <Button variant="outline" onClick={handleClearVerification}>
+              {keyChanged ? "Accept new key" : "Clear verification"}
+            </Button>
+          )}
+          {!isVerified && safetyNumber && (
+            <Button onClick={handleMarkVerified}>Mark as verified</Button>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
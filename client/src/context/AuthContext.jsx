@@ -3,6 +3,9 @@ import api from '../services/api';
 import { setAccessToken as setTokenStore, clearAccessToken, setTokenUpdateCallback } from '../utils/tokenStore';
 import { generateIdentityKeyPair, storePrivateKeyEncrypted, exportPublicKey } from '../crypto/identityKeys.js';
 import { initializeSessionEncryption, clearSessionEncryptionCache } from '../crypto/sessionManager.js';
+import { publishPreKeys, replenishPreKeys } from '../crypto/preKeys.js';
+import { registerDevice } from '../crypto/devices.js';
+import { initializeDeviceId, clearDeviceId, getDeviceName } from '../utils/deviceStore.js';
 
 const AuthContext = createContext(null);
 
@@ -60,6 +63,7 @@ export function AuthProvider({ children }) {
         }
       });
       if (response.data.success) {
+        await initializeDeviceId(response.data.data.user.id);
         setUser(response.data.data.user);
         return response.data.data.user;
       }
@@ -108,6 +112,7 @@ export function AuthProvider({ children }) {
       
       if (response.data.success) {
         const { user, accessToken: token } = response.data.data;
+        await initializeDeviceId(user.id);
         setUser(user);
         setAccessToken(token);
         
@@ -117,12 +122,32 @@ export function AuthProvider({ children }) {
           console.log('✓ Session encryption initialized');
           // Cache password for session establishment
           cachePassword(user.id, password);
+          // Encrypt message history written before at-rest encryption (no-op afterwards)
+          const { migratePlaintextMessages } = await import('../utils/messageStorage.js');
+          await migratePlaintextMessages(user.id);
         } catch (encError) {
           console.warn('Failed to initialize session encryption:', encError);
           // Non-fatal - sessions will require password on first access
         }
+
+        // Register this browser as a device (a new device waits for approval from another one)
+        let device = null;
+        try {
+          device = await registerDevice(user.id, password);
+        } catch (deviceError) {
+          console.warn('Failed to register device (non-critical):', deviceError);
+        }
+
+        // Top up prekeys so peers can start sessions while we are offline
+        if (device?.status !== 'pending') {
+          try {
+            await replenishPreKeys(user.id, password);
+          } catch (preKeyError) {
+            console.warn('Failed to replenish prekeys (non-critical):', preKeyError);
+          }
+        }
         
-        return { success: true, user };
+        return { success: true, user, device };
       }
       
       throw new Error(response.data.message || 'Login failed');
@@ -182,6 +207,8 @@ export function AuthProvider({ children }) {
       }
       
       const { user, accessToken: token } = response.data.data;
+      // Pick the device ID before storing the key (a browser with a stored key counts as the default device)
+      await initializeDeviceId(user.id);
       setUser(user);
       setAccessToken(token);
       setTokenStore(token);
@@ -218,13 +245,20 @@ export function AuthProvider({ children }) {
       
       // Upload public key to server (non-critical, can be done later)
       try {
-        await api.post('/keys/upload', { publicIdentityKeyJWK: publicKeyJWK });
+        await api.post('/keys/upload', { publicIdentityKeyJWK: publicKeyJWK, deviceName: getDeviceName() });
         console.log('✓ Identity public key uploaded to server');
       } catch (keyError) {
         console.warn('Failed to upload public key (non-critical):', keyError);
         // Non-fatal - user can upload later, but we should inform them
         // Don't throw - registration was successful
       }
+
+      // Publish prekeys (requires the identity key on the server)
+      try {
+        await publishPreKeys(user.id, password);
+      } catch (preKeyError) {
+        console.warn('Failed to publish prekeys (non-critical):', preKeyError);
+      }
       
       return { success: true, user };
     } catch (error) {
@@ -309,6 +343,8 @@ export function AuthProvider({ children }) {
         try {
           const { clearAllUserMessages } = await import('../utils/messageStorage.js');
           await clearAllUserMessages(user.id);
+          const { clearSearchIndex } = await import('../utils/messageSearch.js');
+          await clearSearchIndex(user.id);
         } catch (error) {
           console.warn('Failed to clear user messages:', error);
         }
@@ -316,10 +352,32 @@ export function AuthProvider({ children }) {
       setUser(null);
       setAccessToken(null);
       clearAccessToken(); // Clear token store
+      clearDeviceId();
       setError(null);
     }
   };
 
+  /**
+   * Permanently deletes the account and wipes this browser's keys
+   * Local session state is only cleared once the server deleted the account.
+   * @param {string} password - Current password (re-authentication)
+   * @returns {Promise<{wiped: boolean}>} Whether local key material was wiped
+   */
+  const deleteAccount = async (password) => {
+    const userId = user?.id;
+    const { deleteAccount: deleteAccountAndWipe } = await import('../utils/accountDeletion.js');
+    const result = await deleteAccountAndWipe(userId, password);
+
+    clearSessionEncryptionCache(userId);
+    passwordCache.delete(userId);
+    setUser(null);
+    setAccessToken(null);
+    clearAccessToken();
+    clearDeviceId();
+    setError(null);
+    return result;
+  };
+
   /**
    * Updates access token (used by interceptors)
    */
@@ -337,6 +395,7 @@ export function AuthProvider({ children }) {
     login,
     register,
     logout,
+    deleteAccount,
     refreshAccessToken,
     updateAccessToken,
     cachePassword,
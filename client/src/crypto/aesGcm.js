@@ -20,9 +20,10 @@ export function generateIV() {
  * Encrypts data using AES-256-GCM
  * @param {ArrayBuffer} key - 256-bit encryption key
  * @param {ArrayBuffer|string} plaintext - Data to encrypt
+ * @param {ArrayBuffer|Uint8Array} [additionalData] - Optional authenticated (unencrypted) data
  * @returns {Promise<{ciphertext: ArrayBuffer, iv: Uint8Array, authTag: ArrayBuffer}>}
  */
-export async function encryptAESGCM(key, plaintext) {
+export async function encryptAESGCM(key, plaintext, additionalData = null) {
   try {
     // Convert string to ArrayBuffer if needed
     let plaintextBuffer;
@@ -49,15 +50,15 @@ export async function encryptAESGCM(key, plaintext) {
     );
 
     // Encrypt
-    const encrypted = await crypto.subtle.encrypt(
-      {
-        name: 'AES-GCM',
-        iv: iv,
-        tagLength: 128 // 128-bit authentication tag
-      },
-      cryptoKey,
-      plaintextBuffer
-    );
+    const params = {
+      name: 'AES-GCM',
+      iv: iv,
+      tagLength: 128 // 128-bit authentication tag
+    };
+    if (additionalData) {
+      params.additionalData = additionalData;
+    }
+    const encrypted = await crypto.subtle.encrypt(params, cryptoKey, plaintextBuffer);
 
     // Extract ciphertext and auth tag
     // In Web Crypto API, the auth tag is appended to the ciphertext
@@ -82,9 +83,10 @@ export async function encryptAESGCM(key, plaintext) {
  * @param {Uint8Array|ArrayBuffer} iv - Initialization vector (96 bits)
  * @param {ArrayBuffer} ciphertext - Encrypted data
  * @param {ArrayBuffer} authTag - Authentication tag (128 bits)
+ * @param {ArrayBuffer|Uint8Array} [additionalData] - Authenticated data used during encryption
  * @returns {Promise<ArrayBuffer>} Decrypted plaintext
  */
-export async function decryptAESGCM(key, iv, ciphertext, authTag) {
+export async function decryptAESGCM(key, iv, ciphertext, authTag, additionalData = null) {
   try {
     // Ensure IV is Uint8Array
     const ivArray = iv instanceof Uint8Array ? iv : new Uint8Array(iv);
@@ -107,15 +109,15 @@ export async function decryptAESGCM(key, iv, ciphertext, authTag) {
     combined.set(new Uint8Array(authTag), ciphertext.byteLength);
 
     // Decrypt
-    const decrypted = await crypto.subtle.decrypt(
-      {
-        name: 'AES-GCM',
-        iv: ivArray,
-        tagLength: 128
-      },
-      cryptoKey,
-      combined
-    );
+    const params = {
+      name: 'AES-GCM',
+      iv: ivArray,
+      tagLength: 128
+    };
+    if (additionalData) {
+      params.additionalData = additionalData;
+    }
+    const decrypted = await crypto.subtle.decrypt(params, cryptoKey, combined);
 
     return decrypted;
   } catch (error) {
@@ -136,10 +138,11 @@ export async function decryptAESGCM(key, iv, ciphertext, authTag) {
  * @param {Uint8Array|ArrayBuffer} iv - Initialization vector
  * @param {ArrayBuffer} ciphertext - Encrypted data
  * @param {ArrayBuffer} authTag - Authentication tag
+ * @param {ArrayBuffer|Uint8Array} [additionalData] - Authenticated data used during encryption
  * @returns {Promise<string>} Decrypted text
  */
-export async function decryptAESGCMToString(key, iv, ciphertext, authTag) {
-  const decrypted = await decryptAESGCM(key, iv, ciphertext, authTag);
+export async function decryptAESGCMToString(key, iv, ciphertext, authTag, additionalData = null) {
+  const decrypted = await decryptAESGCM(key, iv, ciphertext, authTag, additionalData);
   const decoder = new TextDecoder();
   return decoder.decode(decrypted);
 }
@@ -0,0 +1,338 @@
+/**
+ * Encrypted Backup and Restore
+ *
+ * Bundles everything needed to keep using an account after browser storage
+ * is cleared into one passphrase-encrypted file:
+ * - the identity private key (JWK)
+ * - all sessions of the user, including Double Ratchet state
+ * - the group sender keys
+ * - optionally the stored message history, pairwise and group
+ * - the device ID, so the restored browser keeps acting as the same device
+ *
+ * A backup is a snapshot: the peer has moved on since it was made, so a
+ * restored Double Ratchet is stale and sending on it would reuse message keys.
+ * Restored ratchet sessions are marked needsRehandshake; they still decrypt
+ * what arrives on them, but new messages go out on a fresh session (see
+ * sendToPeerDevices). For the same reason our own sender keys are not
+ * restored and a new one is distributed on the next group message.
+ *
+ * File format (JSON):
+ *   { format, version, userId, createdAt, includesMessages,
+ *     kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt },
+ *     cipher: { name: 'AES-GCM', iv },
+ *     ciphertext }
+ * Everything except the ciphertext is the header. It is passed to AES-GCM as
+ * additional authenticated data, so editing it (e.g. the user ID or version)
+ * makes decryption fail. Like storePrivateKeyEncrypted, the key is derived
+ * with PBKDF2-SHA-256, but with more iterations since the file can be attacked
+ * offline.
+ */
+
+import { storePrivateKeyEncrypted, loadPrivateKey } from './identityKeys.js';
+import { initializeSessionEncryption, getUserSessions, storeSession } from './sessionManager.js';
+import { exportSenderKeyStates, importSenderKeyStates } from './senderKeys.js';
+import { arrayBufferToBase64, base64ToArrayBuffer } from './signatures.js';
+import { getDeviceId, restoreDeviceId } from '../utils/deviceStore.js';
+
+export const BACKUP_FORMAT = 'infosec-backup';
+export const BACKUP_VERSION = 2; // 2: sender keys and group messages
+export const MIN_PASSPHRASE_LENGTH = 12;
+
+const DEFAULT_BACKUP_ITERATIONS = 600000;
+const MAX_BACKUP_ITERATIONS = 10000000;
+const SESSION_KEY_FIELDS = ['rootKey', 'sendKey', 'recvKey'];
+
+/**
+ * PBKDF2 iteration count for new backups
+ * Tests may lower it via CRYPTO_PBKDF2_ITERATIONS, like the identity key store.
+ * @returns {number}
+ */
+function getBackupIterations() {
+  return (
+    (typeof process !== 'undefined' &&
+      process.env &&
+      parseInt(process.env.CRYPTO_PBKDF2_ITERATIONS || '', 10)) ||
+    DEFAULT_BACKUP_ITERATIONS
+  );
+}
+
+/**
+ * Derives the backup encryption key from the passphrase
+ * @param {string} passphrase - Backup passphrase
+ * @param {Uint8Array} salt - Salt from the backup header
+ * @param {number} iterations - PBKDF2 iterations from the backup header
+ * @returns {Promise<CryptoKey>}
+ */
+async function deriveBackupKey(passphrase, salt, iterations) {
+  const passphraseKey = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+
+  return await crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    passphraseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Serializes the backup header as AES-GCM additional data
+ * @param {Object} header - Backup header (file without ciphertext)
+ * @returns {Uint8Array}
+ */
+function encodeHeader(header) {
+  return new TextEncoder().encode(JSON.stringify({
+    format: header.format,
+    version: header.version,
+    userId: header.userId,
+    createdAt: header.createdAt,
+    includesMessages: header.includesMessages,
+    kdf: header.kdf,
+    cipher: header.cipher
+  }));
+}
+
+/**
+ * Converts a decrypted session into JSON (key buffers become base64)
+ * @param {Object} session - Session from getUserSessions
+ * @returns {Object}
+ */
+function serializeSession(session) {
+  const serialized = { ...session };
+  for (const field of SESSION_KEY_FIELDS) {
+    serialized[field] = arrayBufferToBase64(session[field]);
+  }
+  return serialized;
+}
+
+/**
+ * Converts a backed-up session back into the shape storeSession expects
+ * @param {Object} session - Serialized session
+ * @returns {Object}
+ */
+function deserializeSession(session) {
+  const restored = { ...session };
+  for (const field of SESSION_KEY_FIELDS) {
+    restored[field] = base64ToArrayBuffer(session[field]);
+  }
+  return restored;
+}
+
+/**
+ * Checks a passphrase before it is used to encrypt a backup
+ * @param {string} passphrase - Backup passphrase
+ * @returns {string|null} Error message, or null if the passphrase is acceptable
+ */
+export function validateBackupPassphrase(passphrase) {
+  if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    return `Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters long`;
+  }
+  return null;
+}
+
+/**
+ * Creates an encrypted backup of the user's identity key, sessions and sender keys
+ * @param {string} userId - User ID
+ * @param {string} password - Account password (unlocks the local key store)
+ * @param {string} passphrase - Backup passphrase
+ * @param {Object} [options]
+ * @param {boolean} [options.includeMessages=false] - Also back up stored message history (including groups)
+ * @returns {Promise<Object>} Backup file contents
+ */
+export async function createBackup(userId, password, passphrase, { includeMessages = false } = {}) {
+  const passphraseError = validateBackupPassphrase(passphrase);
+  if (passphraseError) {
+    throw new Error(passphraseError);
+  }
+
+  const privateKey = await loadPrivateKey(userId, password);
+  const identityKey = await crypto.subtle.exportKey('jwk', privateKey);
+
+  await initializeSessionEncryption(userId, password);
+  const sessions = (await getUserSessions(userId)).filter(session => session.userId === userId);
+  const senderKeys = await exportSenderKeyStates(userId);
+
+  let messages = [];
+  if (includeMessages) {
+    // Group messages are stored under the group ID, not a session
+    const { loadAllMessages } = await import('../utils/messageStorage.js');
+    messages = await loadAllMessages(userId);
+  }
+
+  const payload = {
+    userId,
+    deviceId: getDeviceId(),
+    identityKey,
+    sessions: sessions.map(serializeSession),
+    senderKeys,
+    messages
+  };
+
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const header = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    userId,
+    createdAt: new Date().toISOString(),
+    includesMessages: includeMessages,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: getBackupIterations(), salt: arrayBufferToBase64(salt) },
+    cipher: { name: 'AES-GCM', iv: arrayBufferToBase64(iv) }
+  };
+
+  const key = await deriveBackupKey(passphrase, salt, header.kdf.iterations);
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: encodeHeader(header) },
+    key,
+    new TextEncoder().encode(JSON.stringify(payload))
+  );
+
+  console.log(`✓ Backup created: ${sessions.length} sessions, ${senderKeys.length} sender keys, ${messages.length} messages`);
+
+  return { ...header, ciphertext: arrayBufferToBase64(ciphertext) };
+}
+
+/**
+ * Parses and validates a backup file without decrypting it
+ * @param {string|Object} file - Backup file text or parsed JSON
+ * @returns {Object} Backup file contents
+ */
+export function parseBackupFile(file) {
+  let backup = file;
+  if (typeof file === 'string') {
+    try {
+      backup = JSON.parse(file);
+    } catch {
+      throw new Error('Backup file is not valid JSON');
+    }
+  }
+
+  if (!backup || typeof backup !== 'object' || backup.format !== BACKUP_FORMAT) {
+    throw new Error('Not a backup file');
+  }
+  if (!Number.isInteger(backup.version) || backup.version < 1) {
+    throw new Error('Backup file has an invalid version');
+  }
+  if (backup.version > BACKUP_VERSION) {
+    throw new Error(`Backup version ${backup.version} is newer than this app supports (${BACKUP_VERSION}). Please update the app.`);
+  }
+
+  const { kdf, cipher } = backup;
+  if (kdf?.name !== 'PBKDF2' || kdf.hash !== 'SHA-256' ||
+      !Number.isInteger(kdf.iterations) || kdf.iterations < 1 || kdf.iterations > MAX_BACKUP_ITERATIONS ||
+      typeof kdf.salt !== 'string') {
+    throw new Error('Backup file has unsupported key derivation parameters');
+  }
+  if (cipher?.name !== 'AES-GCM' || typeof cipher.iv !== 'string' || typeof backup.ciphertext !== 'string') {
+    throw new Error('Backup file has unsupported encryption parameters');
+  }
+  if (typeof backup.userId !== 'string') {
+    throw new Error('Backup file is missing the user ID');
+  }
+
+  return backup;
+}
+
+/**
+ * Decrypts a backup file
+ * Fails if the passphrase is wrong or the file (header or ciphertext) was modified.
+ * @param {string|Object} file - Backup file text or parsed JSON
+ * @param {string} passphrase - Backup passphrase
+ * @returns {Promise<Object>} Backup payload
+ */
+export async function decryptBackup(file, passphrase) {
+  const backup = parseBackupFile(file);
+
+  let plaintext;
+  try {
+    const key = await deriveBackupKey(
+      passphrase,
+      new Uint8Array(base64ToArrayBuffer(backup.kdf.salt)),
+      backup.kdf.iterations
+    );
+    plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: new Uint8Array(base64ToArrayBuffer(backup.cipher.iv)), additionalData: encodeHeader(backup) },
+      key,
+      base64ToArrayBuffer(backup.ciphertext)
+    );
+  } catch {
+    throw new Error('Failed to decrypt backup. The passphrase is incorrect or the file was modified.');
+  }
+
+  const payload = JSON.parse(new TextDecoder().decode(plaintext));
+  if (payload.userId !== backup.userId || !payload.identityKey || !Array.isArray(payload.sessions) ||
+      (payload.senderKeys !== undefined && !Array.isArray(payload.senderKeys))) {
+    throw new Error('Backup contents are incomplete');
+  }
+  return payload;
+}
+
+/**
+ * Restores a backup into this browser
+ * The identity key, sessions and sender keys are re-encrypted with the
+ * current account password; existing sessions with the same ID are
+ * overwritten. Ratchet sessions are marked as needing a re-handshake.
+ * @param {string|Object} file - Backup file text or parsed JSON
+ * @param {string} passphrase - Backup passphrase
+ * @param {string} userId - Logged-in user ID (must match the backup)
+ * @param {string} password - Account password (encrypts the restored data)
+ * @returns {Promise<{sessions: number, senderKeys: number, messages: number, deviceId: string|null}>}
+ */
+export async function restoreBackup(file, passphrase, userId, password) {
+  const payload = await decryptBackup(file, passphrase);
+  if (payload.userId !== userId) {
+    throw new Error('This backup belongs to a different account');
+  }
+
+  let privateKey;
+  try {
+    privateKey = await crypto.subtle.importKey(
+      'jwk',
+      payload.identityKey,
+      { name: 'ECDSA', namedCurve: 'P-256' },
+      true,
+      ['sign']
+    );
+  } catch (error) {
+    throw new Error(`Backup contains an invalid identity key: ${error.message}`);
+  }
+
+  await storePrivateKeyEncrypted(userId, privateKey, password);
+  await initializeSessionEncryption(userId, password);
+
+  let sessions = 0;
+  for (const session of payload.sessions) {
+    if (session.userId !== userId) continue;
+    const restored = deserializeSession(session);
+    if (restored.ratchet) {
+      restored.needsRehandshake = true;
+    }
+    await storeSession(restored, userId);
+    sessions++;
+  }
+
+  // Version 1 backups have no sender keys
+  const senderKeys = await importSenderKeyStates(userId, payload.senderKeys || []);
+
+  const messages = Array.isArray(payload.messages) ? payload.messages : [];
+  if (messages.length > 0) {
+    const { storeMessage } = await import('../utils/messageStorage.js');
+    for (const message of messages) {
+      await storeMessage(message.sessionId, message, userId);
+    }
+  }
+
+  if (payload.deviceId) {
+    restoreDeviceId(userId, payload.deviceId);
+  }
+
+  console.log(`✓ Backup restored: ${sessions} sessions, ${senderKeys} sender keys, ${messages.length} messages`);
+
+  return { sessions, senderKeys, messages: messages.length, deviceId: payload.deviceId || null };
+}
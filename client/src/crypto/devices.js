@@ -0,0 +1,294 @@
+/**
+ * Device Linking
+ *
+ * Every device (browser) of a user has its own identity key. The first
+ * device is active immediately; a new device uploads its identity key and
+ * stays pending until one of the user's active devices approves it:
+ * - both devices show a link code derived from the new device's identity key
+ * - the user types the code shown on the new device into the approving one
+ * - the approving device signs the new key with its own identity key
+ *   (ECDSA P-256, raw r || s), and the server verifies that signature before
+ *   activating the device and appending its key to the transparency log
+ *
+ * Senders reach every active device of a peer: the conversation session is
+ * with the peer's oldest device, and each further device gets its own prekey
+ * session that joins the same conversation (session.conversationId).
+ */
+
+import {
+  generateIdentityKeyPair,
+  storePrivateKeyEncrypted,
+  exportPublicKey,
+  loadPrivateKey,
+  loadPublicKeyJWK,
+  hasIdentityKey,
+  importPublicKey
+} from './identityKeys.js';
+import { getUserSessions, loadSession, storeSession } from './sessionManager.js';
+import { signData, verifySignature, arrayBufferToBase64, base64ToArrayBuffer } from './signatures.js';
+import { DEFAULT_DEVICE_ID, getDeviceId, getDeviceName } from '../utils/deviceStore.js';
+
+const LINK_CODE_DIGITS = 6;
+
+/**
+ * Loads the API client lazily (keeps this module importable outside the app bundle)
+ * @returns {Promise<Object>} Axios instance
+ */
+async function getApi() {
+  return (await import('../services/api.js')).default;
+}
+
+/**
+ * Builds the string an active device signs to approve a new device
+ * (must match server/src/controllers/keys.controller.js buildDeviceLinkData)
+ * @param {string} userId - Account the device joins
+ * @param {string} deviceId - New device ID
+ * @param {Object} jwk - New device's identity public key
+ * @returns {string}
+ */
+export function buildDeviceLinkData(userId, deviceId, jwk) {
+  return JSON.stringify({
+    userId: String(userId),
+    deviceId,
+    publicKey: { kty: jwk.kty, crv: jwk.crv, x: jwk.x, y: jwk.y }
+  });
+}
+
+/**
+ * Derives the link code shown on both devices (e.g. "042 917")
+ * The code commits to the new device's identity key, so a key substituted by
+ * the server produces a different code on the approving device.
+ * @param {string} userId - Account the device joins
+ * @param {string} deviceId - New device ID
+ * @param {Object} jwk - New device's identity public key
+ * @returns {Promise<string>}
+ */
+export async function computeDeviceLinkCode(userId, deviceId, jwk) {
+  const data = new TextEncoder().encode(buildDeviceLinkData(userId, deviceId, jwk));
+  const hash = new DataView(await crypto.subtle.digest('SHA-256', data));
+  const code = String(hash.getUint32(0) % 10 ** LINK_CODE_DIGITS).padStart(LINK_CODE_DIGITS, '0');
+  return `${code.slice(0, 3)} ${code.slice(3)}`;
+}
+
+/**
+ * Compares a typed link code with the expected one (ignores spacing)
+ * @param {string} typed - Code typed by the user
+ * @param {string} expected - Code from computeDeviceLinkCode
+ * @returns {boolean}
+ */
+export function linkCodesMatch(typed, expected) {
+  const normalize = value => String(value || '').replace(/\D/g, '');
+  return normalize(typed).length === LINK_CODE_DIGITS && normalize(typed) === normalize(expected);
+}
+
+/**
+ * Signs a device link with our identity key
+ * @param {CryptoKey} identityPrivateKey - Approving device's identity key
+ * @param {string} userId - Account the device joins
+ * @param {string} deviceId - New device ID
+ * @param {Object} jwk - New device's identity public key
+ * @returns {Promise<string>} Base64 signature
+ */
+export async function signDeviceLink(identityPrivateKey, userId, deviceId, jwk) {
+  const signature = await signData(identityPrivateKey, buildDeviceLinkData(userId, deviceId, jwk));
+  return arrayBufferToBase64(signature);
+}
+
+/**
+ * Checks that a peer device was approved by the peer's oldest device, directly
+ * or through other approved devices
+ * Each step is the approval signature (signDeviceLink) served with the
+ * device, checked here so contacts do not rely on the server having checked it.
+ * @param {string} peerId - Peer user ID
+ * @param {string} deviceId - Device to check
+ * @param {Array<{deviceId: string, publicIdentityKeyJWK: Object, linkedBy: Object|null}>} devices - Peer's active devices, oldest first
+ * @returns {Promise<boolean>} True if the approvals lead back to devices[0]
+ */
+export async function verifyDeviceApprovalChain(peerId, deviceId, devices) {
+  const byId = new Map(devices.map(device => [device.deviceId, device]));
+  const anchorId = devices[0]?.deviceId;
+  const visited = new Set();
+
+  let device = byId.get(deviceId);
+  while (device && device.deviceId !== anchorId) {
+    const { linkedBy } = device;
+    const approver = byId.get(linkedBy?.deviceId);
+    if (!approver || visited.has(approver.deviceId) || typeof linkedBy.signature !== 'string') {
+      return false;
+    }
+    visited.add(device.deviceId);
+
+    try {
+      const approverKey = await importPublicKey(approver.publicIdentityKeyJWK);
+      const data = buildDeviceLinkData(peerId, device.deviceId, device.publicIdentityKeyJWK);
+      if (!(await verifySignature(approverKey, base64ToArrayBuffer(linkedBy.signature), data))) {
+        return false;
+      }
+    } catch {
+      return false;
+    }
+    device = approver;
+  }
+  return Boolean(device);
+}
+
+/**
+ * Makes sure this browser has an identity key registered as one of the user's devices
+ * A browser without a local identity key generates one. On an account that
+ * already has devices the key stays pending until another device approves it.
+ * @param {string} userId - User ID
+ * @param {string} password - User password (encrypts the stored private key)
+ * @returns {Promise<{deviceId: string, status: string, code?: string, expiresAt?: string}>}
+ */
+export async function registerDevice(userId, password) {
+  const api = await getApi();
+  const deviceId = getDeviceId();
+
+  let publicIdentityKeyJWK;
+  if (await hasIdentityKey(userId)) {
+    const response = await api.get('/keys/me');
+    if (response.data.success) {
+      const { status, publicIdentityKeyJWK: jwk } = response.data.data;
+      return status === 'pending'
+        ? { deviceId, status, code: await computeDeviceLinkCode(userId, deviceId, jwk) }
+        : { deviceId, status };
+    }
+
+    // Our key is not on the server (e.g. the device was removed): request a link again
+    publicIdentityKeyJWK = await loadPublicKeyJWK(userId, password);
+  } else {
+    const { privateKey, publicKey } = await generateIdentityKeyPair();
+    await storePrivateKeyEncrypted(userId, privateKey, password);
+    publicIdentityKeyJWK = await exportPublicKey(publicKey);
+  }
+
+  const response = await api.post('/keys/upload', {
+    publicIdentityKeyJWK,
+    deviceName: getDeviceName()
+  });
+  if (!response.data.success) {
+    throw new Error(response.data.message || response.data.error || 'Failed to register device');
+  }
+
+  const { status, expiresAt } = response.data.data;
+  return status === 'pending'
+    ? { deviceId, status, expiresAt, code: await computeDeviceLinkCode(userId, deviceId, publicIdentityKeyJWK) }
+    : { deviceId, status };
+}
+
+/**
+ * Lists our devices, including ones waiting for approval
+ * Pending devices carry the link code the user has to confirm.
+ * @param {string} userId - Our user ID
+ * @returns {Promise<Array<Object>>}
+ */
+export async function fetchOwnDevices(userId) {
+  const api = await getApi();
+  const response = await api.get('/keys/devices');
+  if (!response.data.success) {
+    throw new Error(response.data.error || 'Failed to load devices');
+  }
+
+  return await Promise.all(response.data.data.devices.map(async device => ({
+    ...device,
+    code: device.status === 'pending'
+      ? await computeDeviceLinkCode(userId, device.deviceId, device.publicIdentityKeyJWK)
+      : null
+  })));
+}
+
+/**
+ * Approves a pending device after the user typed its link code
+ * @param {string} userId - Our user ID
+ * @param {string} password - User password (unlocks our identity key)
+ * @param {Object} device - Pending device from fetchOwnDevices
+ * @param {string} typedCode - Code the user read off the new device
+ * @returns {Promise<Object>} Activated device
+ */
+export async function approveDevice(userId, password, device, typedCode) {
+  if (!linkCodesMatch(typedCode, device.code)) {
+    throw new Error('Link code does not match. Check the code shown on the new device.');
+  }
+
+  const identityPrivateKey = await loadPrivateKey(userId, password);
+  const signature = await signDeviceLink(identityPrivateKey, userId, device.deviceId, device.publicIdentityKeyJWK);
+
+  const api = await getApi();
+  const response = await api.post(`/keys/devices/${device.deviceId}/approve`, { signature });
+  if (!response.data.success) {
+    throw new Error(response.data.message || response.data.error || 'Failed to approve device');
+  }
+  return response.data.data;
+}
+
+/**
+ * Removes one of our other devices (or rejects a pending one)
+ * @param {string} deviceId - Device to remove
+ * @returns {Promise<void>}
+ */
+export async function removeDevice(deviceId) {
+  const api = await getApi();
+  const response = await api.delete(`/keys/devices/${deviceId}`);
+  if (!response.data.success) {
+    throw new Error(response.data.error || 'Failed to remove device');
+  }
+}
+
+/**
+ * Lists a peer's active devices, oldest first
+ * @param {string} peerId - Peer user ID
+ * @returns {Promise<Array<{deviceId: string, deviceName: string|null, publicIdentityKeyJWK: Object}>>}
+ */
+export async function fetchPeerDevices(peerId) {
+  const api = await getApi();
+  const response = await api.get(`/keys/${peerId}`);
+  if (!response.data.success) {
+    throw new Error(response.data.error || 'Failed to fetch peer devices');
+  }
+  return response.data.data.devices || [{ ...response.data.data, deviceId: DEFAULT_DEVICE_ID }];
+}
+
+/**
+ * Returns the session with one of a peer's devices within a conversation,
+ * creating a prekey session (the device may be offline) if there is none
+ * @param {string} userId - Our user ID
+ * @param {Object} conversation - Conversation session (with the peer's oldest device)
+ * @param {string} deviceId - Peer device
+ * @param {string} password - User password (for session encryption)
+ * @returns {Promise<string>} Session ID
+ */
+export async function getPeerDeviceSessionId(userId, conversation, deviceId, password) {
+  const sessions = await getUserSessions(userId);
+  const existing = sessions.find(session =>
+    session.peerId === conversation.peerId &&
+    session.peerDeviceId === deviceId &&
+    (session.conversationId || session.sessionId) === conversation.sessionId &&
+    !session.needsRehandshake
+  );
+  if (existing) {
+    return existing.sessionId;
+  }
+
+  const { initiatePreKeySession } = await import('./sessionEstablishment.js');
+  const { sessionId } = await initiatePreKeySession(userId, conversation.peerId, password, deviceId);
+
+  const session = await loadSession(sessionId, userId);
+  session.conversationId = conversation.sessionId;
+  await storeSession(session, userId);
+  return sessionId;
+}
+
+/**
+ * Returns the session that replaces a conversation restored from a backup
+ * The restored ratchet is stale (see backup.js), so messages go to the same
+ * device on a new prekey session that belongs to the conversation.
+ * @param {string} userId - Our user ID
+ * @param {Object} conversation - Conversation session marked needsRehandshake
+ * @param {string} password - User password (for session encryption)
+ * @returns {Promise<string>} Session ID
+ */
+export async function getRehandshakeSessionId(userId, conversation, password) {
+  // Sessions from before devices existed are with the peer's oldest device
+  const deviceId = conversation.peerDeviceId || (await fetchPeerDevices(conversation.peerId))[0]?.deviceId;
+  return await getPeerDeviceSessionId(userId, conversation, deviceId, password);
+}
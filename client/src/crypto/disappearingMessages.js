@@ -0,0 +1,207 @@
+/**
+ * Disappearing Messages
+ *
+ * Each pairwise conversation can have a timer (30 seconds to 4 weeks) after
+ * which its messages are deleted on both sides. The timer is agreed through a
+ * control message on the conversation's sessions, encrypted like text and
+ * signed with the sender's identity key, so neither the server nor anyone
+ * holding a copy of the session can change it. The agreed timer is kept in
+ * the conversation's session record (session.disappearingTimer); the latest
+ * change (by setAt) wins if both peers change it at the same time.
+ *
+ * Payload (JSON, encrypted): { kind: 'disappearing_timer', from, to, seconds, setAt, signature }
+ * seconds is 0 when the timer is turned off.
+ *
+ * Messages expire relative to their envelope timestamp. Envelopes of a timed
+ * conversation carry expiresIn so the server expires their metadata too.
+ * The purge deletes expired messages from the messages store, the offline
+ * queue and the search index; useChat drops them (and decrypted file blobs)
+ * from memory.
+ */
+
+import { signData, verifySignature, arrayBufferToBase64, base64ToArrayBuffer } from './signatures.js';
+import { deleteExpiredMessages } from '../utils/messageStorage.js';
+import { purgeExpiredQueuedMessages } from '../utils/messageQueue.js';
+import { removeExpiredFromSearchIndex } from '../utils/messageSearch.js';
+
+export const TIMER_KIND = 'disappearing_timer';
+export const TIMER_OFF = 0;
+export const MIN_TIMER_SECONDS = 30;
+export const MAX_TIMER_SECONDS = 4 * 7 * 24 * 60 * 60; // 4 weeks
+export const PURGE_INTERVAL = 5000; // Check for expired messages every 5 s
+
+/**
+ * Timers offered in the chat settings
+ */
+export const TIMER_OPTIONS = [
+  { seconds: TIMER_OFF, label: 'Off' },
+  { seconds: 30, label: '30 seconds' },
+  { seconds: 5 * 60, label: '5 minutes' },
+  { seconds: 60 * 60, label: '1 hour' },
+  { seconds: 8 * 60 * 60, label: '8 hours' },
+  { seconds: 24 * 60 * 60, label: '1 day' },
+  { seconds: 7 * 24 * 60 * 60, label: '1 week' },
+  { seconds: MAX_TIMER_SECONDS, label: '4 weeks' }
+];
+
+/**
+ * Checks a timer value (0 turns the timer off)
+ * @param {*} seconds - Timer in seconds
+ * @returns {boolean}
+ */
+export function isValidTimer(seconds) {
+  return seconds === TIMER_OFF ||
+    (Number.isInteger(seconds) && seconds >= MIN_TIMER_SECONDS && seconds <= MAX_TIMER_SECONDS);
+}
+
+/**
+ * Describes a timer for display
+ * @param {number} seconds - Timer in seconds
+ * @returns {string}
+ */
+export function formatTimer(seconds) {
+  const option = TIMER_OPTIONS.find(entry => entry.seconds === seconds);
+  return option ? option.label : `${seconds} seconds`;
+}
+
+/**
+ * Builds the data covered by a timer change's signature
+ * @param {{from: string, to: string, seconds: number, setAt: number}} timer - Timer change
+ * @returns {string}
+ */
+function timerSigningData({ from, to, seconds, setAt }) {
+  return JSON.stringify([TIMER_KIND, from, to, seconds, setAt]);
+}
+
+/**
+ * Creates a signed timer change
+ * @param {CryptoKey} identityPrivateKey - Our identity private key
+ * @param {string} from - Our user ID
+ * @param {string} to - Peer user ID
+ * @param {number} seconds - New timer in seconds (0: off)
+ * @param {number} [setAt] - When the timer was changed (ms)
+ * @returns {Promise<{from: string, to: string, seconds: number, setAt: number, signature: string}>}
+ */
+export async function signTimer(identityPrivateKey, from, to, seconds, setAt = Date.now()) {
+  if (!isValidTimer(seconds)) {
+    throw new Error(`Invalid disappearing message timer: ${seconds}`);
+  }
+  const timer = { from, to, seconds, setAt };
+  const signature = await signData(identityPrivateKey, timerSigningData(timer));
+  return { ...timer, signature: arrayBufferToBase64(signature) };
+}
+
+/**
+ * Verifies a timer change against the sender's identity key
+ * @param {Object} timer - Parsed timer change
+ * @param {CryptoKey} identityPublicKey - Sender's identity public key
+ * @returns {Promise<boolean>}
+ */
+export async function verifyTimer(timer, identityPublicKey) {
+  try {
+    return await verifySignature(identityPublicKey, base64ToArrayBuffer(timer.signature), timerSigningData(timer));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Serializes a signed timer change for encryption
+ * @param {Object} timer - Signed timer change
+ * @returns {string} Timer payload
+ */
+export function buildTimerPayload(timer) {
+  const { from, to, seconds, setAt, signature } = timer;
+  return JSON.stringify({ kind: TIMER_KIND, from, to, seconds, setAt, signature });
+}
+
+/**
+ * Parses a decrypted pairwise message as a timer change
+ * @param {string} plaintext - Decrypted message text
+ * @returns {Object|null} Timer change (signature not yet verified), or null for ordinary text
+ */
+export function parseTimerPayload(plaintext) {
+  if (typeof plaintext !== 'string' || !plaintext.includes(TIMER_KIND)) {
+    return null;
+  }
+  try {
+    const message = JSON.parse(plaintext);
+    if (message?.kind !== TIMER_KIND ||
+        typeof message.from !== 'string' ||
+        typeof message.to !== 'string' ||
+        !isValidTimer(message.seconds) ||
+        !Number.isInteger(message.setAt) || message.setAt <= 0 ||
+        typeof message.signature !== 'string') {
+      return null;
+    }
+    const { from, to, seconds, setAt, signature } = message;
+    return { from, to, seconds, setAt, signature };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Records a timer change in a session record (caller stores the session)
+ * An older change than the one already recorded is ignored; of two changes
+ * made at the same time, the shorter timer wins.
+ * @param {Object} session - Conversation session record
+ * @param {Object} timer - Verified timer change
+ * @returns {boolean} True if the session was changed
+ */
+export function applyTimerToSession(session, timer) {
+  const current = session.disappearingTimer;
+  if (current && (current.setAt > timer.setAt ||
+      (current.setAt === timer.setAt && current.seconds <= timer.seconds))) {
+    return false;
+  }
+  session.disappearingTimer = { seconds: timer.seconds, setAt: timer.setAt, setBy: timer.from };
+  return true;
+}
+
+/**
+ * Returns a conversation's timer
+ * @param {Object|null} session - Conversation session record
+ * @returns {number} Timer in seconds (0: off)
+ */
+export function getTimerSeconds(session) {
+  return session?.disappearingTimer?.seconds || TIMER_OFF;
+}
+
+/**
+ * Computes when a message of a timed conversation expires
+ * @param {number} timestamp - Message timestamp (ms)
+ * @param {number} seconds - Conversation timer (0: off)
+ * @returns {number|null} Expiry time (ms), or null if the message does not expire
+ */
+export function getExpiresAt(timestamp, seconds) {
+  return seconds ? timestamp + seconds * 1000 : null;
+}
+
+/**
+ * Checks whether a message (or file) has disappeared
+ * @param {{expiresAt?: number}} item - Message or file with optional expiresAt
+ * @param {number} [now] - Current time (ms)
+ * @returns {boolean}
+ */
+export function isExpired(item, now = Date.now()) {
+  return !!item?.expiresAt && item.expiresAt <= now;
+}
+
+/**
+ * Deletes everything of a user's disappearing messages that has expired:
+ * stored messages, queued envelopes and search index entries
+ * @param {string} userId - User ID
+ * @param {number} [now] - Current time (ms)
+ * @returns {Promise<{messages: number, queued: number, searchEntries: number}>}
+ */
+export async function purgeExpiredMessages(userId, now = Date.now()) {
+  const messages = await deleteExpiredMessages(now);
+  const queued = await purgeExpiredQueuedMessages(now);
+  const searchEntries = await removeExpiredFromSearchIndex(userId, now);
+
+  if (messages.length > 0 || queued > 0) {
+    console.log(`✓ Purged ${messages.length} disappeared message(s) and ${queued} queued envelope(s)`);
+  }
+  return { messages: messages.length, queued, searchEntries };
+}
@@ -0,0 +1,419 @@
+/**
+ * Double Ratchet
+ *
+ * Signal-style per-message key evolution for text sessions, built on the
+ * HKDF and ECDH helpers from ecdh.js.
+ *
+ * - Symmetric-key ratchet: every message key is derived from a chain key
+ *   which is then advanced (HMAC-SHA256), so old message keys cannot be
+ *   recomputed from the current state (forward secrecy).
+ * - DH ratchet: every time the peer presents a new ratchet public key, fresh
+ *   ECDH output is mixed into the root key, so a compromised state heals
+ *   once both sides have exchanged new keys (post-compromise security).
+ *
+ * Bootstrapping from the KEP:
+ * - Initiator: uses the responder's KEP ephemeral key as the first remote
+ *   ratchet key and immediately derives a DH sending chain.
+ * - Responder: keeps its KEP ephemeral key pair as the first ratchet key and
+ *   sends on the HKDF-derived sendKey until the initiator's first message
+ *   triggers a DH ratchet step.
+ * - Sessions created without KEP material fall back to a symmetric-only
+ *   ratchet seeded from sendKey/recvKey.
+ *
+ * The state object is JSON-serializable (base64 keys, JWK key pairs) so it
+ * can be encrypted and persisted in the session record by sessionManager.js.
+ */
+
+import { generateEphemeralKeyPair, computeSharedSecret, hkdf, exportPublicKey, importPublicKey } from './ecdh.js';
+import { encryptAESGCM, decryptAESGCM } from './aesGcm.js';
+import { arrayBufferToBase64, base64ToArrayBuffer } from './signatures.js';
+
+export const RATCHET_VERSION = 1;
+
+/**
+ * Maximum number of message keys skipped in a single chain step.
+ * Protects against a malicious header forcing unbounded key derivation.
+ */
+export const MAX_SKIP = 1000;
+
+/**
+ * Maximum number of cached out-of-order message keys per session.
+ * Oldest entries are evicted first.
+ */
+export const MAX_SKIPPED_KEYS = 2000;
+
+/**
+ * Reduces a public JWK to the fields needed to identify and import it
+ * @param {Object} jwk - Public key JWK
+ * @returns {Object} Minimal JWK
+ */
+function normalizePublicJwk(jwk) {
+  return { kty: jwk.kty, crv: jwk.crv, x: jwk.x, y: jwk.y };
+}
+
+/**
+ * Returns a stable identifier for a ratchet public key
+ * @param {Object|null} jwk - Public key JWK
+ * @returns {string|null}
+ */
+function ratchetKeyId(jwk) {
+  return jwk ? `${jwk.x}.${jwk.y}` : null;
+}
+
+/**
+ * Generates a new ratchet key pair and exports it for storage
+ * @returns {Promise<{privateKey: CryptoKey, jwk: {publicKey: Object, privateKey: Object}}>}
+ */
+async function createRatchetKeyPair() {
+  const { privateKey, publicKey } = await generateEphemeralKeyPair();
+  return {
+    privateKey,
+    jwk: await exportRatchetKeyPair({ privateKey, publicKey })
+  };
+}
+
+/**
+ * Exports an ECDH key pair to JWK form for the ratchet state
+ * @param {{privateKey: CryptoKey, publicKey: CryptoKey}} keyPair - ECDH key pair
+ * @returns {Promise<{publicKey: Object, privateKey: Object}>}
+ */
+async function exportRatchetKeyPair(keyPair) {
+  const publicJwk = await exportPublicKey(keyPair.publicKey);
+  const privateJwk = await crypto.subtle.exportKey('jwk', keyPair.privateKey);
+  return {
+    publicKey: normalizePublicJwk(publicJwk),
+    privateKey: privateJwk
+  };
+}
+
+/**
+ * Imports our ratchet private key from JWK
+ * @param {Object} jwk - Private key JWK
+ * @returns {Promise<CryptoKey>}
+ */
+async function importRatchetPrivateKey(jwk) {
+  return await crypto.subtle.importKey(
+    'jwk',
+    jwk,
+    {
+      name: 'ECDH',
+      namedCurve: 'P-256'
+    },
+    false,
+    ['deriveBits']
+  );
+}
+
+/**
+ * Root key KDF: mixes a DH output into the root key
+ * KDF_RK(rk, dh) = HKDF(dh, salt=rk, info="RATCHET_ROOT") -> (rk', ck)
+ * @param {string} rootKey - Current root key (base64)
+ * @param {ArrayBuffer} dhOutput - ECDH shared secret
+ * @returns {Promise<{rootKey: string, chainKey: string}>} New root key and chain key (base64)
+ */
+async function kdfRootKey(rootKey, dhOutput) {
+  const info = new TextEncoder().encode('RATCHET_ROOT');
+  const derived = await hkdf(dhOutput, base64ToArrayBuffer(rootKey), info, 512);
+  return {
+    rootKey: arrayBufferToBase64(derived.slice(0, 32)),
+    chainKey: arrayBufferToBase64(derived.slice(32, 64))
+  };
+}
+
+/**
+ * Chain key KDF: derives a message key and advances the chain
+ * messageKey = HMAC(ck, 0x01), nextChainKey = HMAC(ck, 0x02)
+ * Also drives group sender key chains (senderKeys.js).
+ * @param {string} chainKey - Current chain key (base64)
+ * @returns {Promise<{messageKey: ArrayBuffer, chainKey: string}>}
+ */
+export async function kdfChainKey(chainKey) {
+  const hmacKey = await crypto.subtle.importKey(
+    'raw',
+    base64ToArrayBuffer(chainKey),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const messageKey = await crypto.subtle.sign('HMAC', hmacKey, new Uint8Array([0x01]));
+  const nextChainKey = await crypto.subtle.sign('HMAC', hmacKey, new Uint8Array([0x02]));
+  return {
+    messageKey,
+    chainKey: arrayBufferToBase64(nextChainKey)
+  };
+}
+
+/**
+ * Builds the AES-GCM associated data binding the header to the ciphertext
+ * @param {string} sessionId - Session identifier
+ * @param {Object} header - Ratchet header
+ * @returns {Uint8Array}
+ */
+function buildAssociatedData(sessionId, header) {
+  return new TextEncoder().encode(JSON.stringify({
+    sessionId,
+    dh: ratchetKeyId(header.dh),
+    pn: header.pn,
+    n: header.n
+  }));
+}
+
+/**
+ * Creates an empty ratchet state
+ * @param {string} mode - 'dh' or 'symmetric'
+ * @returns {Object}
+ */
+function createState(mode) {
+  return {
+    version: RATCHET_VERSION,
+    mode,
+    rootKey: null,
+    dhSelf: null,
+    dhRemote: null,
+    sendChainKey: null,
+    recvChainKey: null,
+    sendCount: 0,
+    recvCount: 0,
+    prevSendCount: 0,
+    dhRatchetCount: 0,
+    skippedKeys: []
+  };
+}
+
+/**
+ * Deep-copies a ratchet state so failed operations leave the original intact
+ * @param {Object} state - Ratchet state
+ * @returns {Object}
+ */
+function cloneState(state) {
+  return JSON.parse(JSON.stringify(state));
+}
+
+/**
+ * Initializes ratchet state for the KEP initiator
+ * @param {ArrayBuffer} rootKey - Session root key from HKDF
+ * @param {ArrayBuffer} sendKey - Session send key (unused by the initiator's DH chain)
+ * @param {ArrayBuffer} recvKey - Session receive key (seeds the responder's first chain)
+ * @param {Object} peerRatchetPublicJwk - Responder's KEP ephemeral public key (JWK)
+ * @returns {Promise<Object>} Ratchet state
+ */
+export async function initializeRatchetAsInitiator(rootKey, sendKey, recvKey, peerRatchetPublicJwk) {
+  try {
+    const state = createState('dh');
+    const { privateKey, jwk } = await createRatchetKeyPair();
+    const peerPublicKey = await importPublicKey(normalizePublicJwk(peerRatchetPublicJwk));
+    const dhOutput = await computeSharedSecret(privateKey, peerPublicKey);
+    const derived = await kdfRootKey(arrayBufferToBase64(rootKey), dhOutput);
+
+    state.rootKey = derived.rootKey;
+    state.sendChainKey = derived.chainKey;
+    state.recvChainKey = arrayBufferToBase64(recvKey);
+    state.dhSelf = jwk;
+    state.dhRemote = normalizePublicJwk(peerRatchetPublicJwk);
+    return state;
+  } catch (error) {
+    throw new Error(`Failed to initialize ratchet (initiator): ${error.message}`);
+  }
+}
+
+/**
+ * Initializes ratchet state for the KEP responder
+ * @param {ArrayBuffer} rootKey - Session root key from HKDF
+ * @param {ArrayBuffer} sendKey - Session send key (seeds our first chain)
+ * @param {ArrayBuffer} recvKey - Session receive key (unused; initiator starts on a DH chain)
+ * @param {{privateKey: CryptoKey, publicKey: CryptoKey}} ownRatchetKeyPair - Our KEP ephemeral key pair
+ * @returns {Promise<Object>} Ratchet state
+ */
+export async function initializeRatchetAsResponder(rootKey, sendKey, recvKey, ownRatchetKeyPair) {
+  try {
+    const state = createState('dh');
+    state.rootKey = arrayBufferToBase64(rootKey);
+    state.sendChainKey = arrayBufferToBase64(sendKey);
+    state.dhSelf = await exportRatchetKeyPair(ownRatchetKeyPair);
+    return state;
+  } catch (error) {
+    throw new Error(`Failed to initialize ratchet (responder): ${error.message}`);
+  }
+}
+
+/**
+ * Initializes a symmetric-only ratchet (no DH steps)
+ * Used for sessions created without KEP ephemeral keys.
+ * @param {ArrayBuffer} rootKey - Session root key
+ * @param {ArrayBuffer} sendKey - Session send key
+ * @param {ArrayBuffer} recvKey - Session receive key
+ * @returns {Object} Ratchet state
+ */
+export function initializeSymmetricRatchet(rootKey, sendKey, recvKey) {
+  const state = createState('symmetric');
+  state.rootKey = arrayBufferToBase64(rootKey);
+  state.sendChainKey = arrayBufferToBase64(sendKey);
+  state.recvChainKey = arrayBufferToBase64(recvKey);
+  return state;
+}
+
+/**
+ * Derives and caches message keys up to (but excluding) index `until`
+ * on the current receiving chain
+ * @param {Object} state - Ratchet state (mutated)
+ * @param {number} until - Message index to stop at
+ */
+async function skipMessageKeys(state, until) {
+  if (!state.recvChainKey) {
+    return;
+  }
+  if (until - state.recvCount > MAX_SKIP) {
+    throw new Error(`Too many skipped messages (${until - state.recvCount} > ${MAX_SKIP})`);
+  }
+
+  const dh = ratchetKeyId(state.dhRemote);
+  while (state.recvCount < until) {
+    const { messageKey, chainKey } = await kdfChainKey(state.recvChainKey);
+    state.recvChainKey = chainKey;
+    state.skippedKeys.push({
+      dh,
+      n: state.recvCount,
+      messageKey: arrayBufferToBase64(messageKey),
+      storedAt: Date.now()
+    });
+    state.recvCount += 1;
+  }
+
+  // Bound the cache, evicting oldest keys first
+  if (state.skippedKeys.length > MAX_SKIPPED_KEYS) {
+    state.skippedKeys.splice(0, state.skippedKeys.length - MAX_SKIPPED_KEYS);
+  }
+}
+
+/**
+ * Performs a DH ratchet step after receiving a new remote ratchet key
+ * @param {Object} state - Ratchet state (mutated)
+ * @param {Object} remotePublicJwk - Peer's new ratchet public key
+ */
+async function dhRatchetStep(state, remotePublicJwk) {
+  state.prevSendCount = state.sendCount;
+  state.sendCount = 0;
+  state.recvCount = 0;
+  state.dhRemote = normalizePublicJwk(remotePublicJwk);
+
+  const remotePublicKey = await importPublicKey(state.dhRemote);
+
+  // Receiving chain: DH(our current key, their new key)
+  const ownPrivateKey = await importRatchetPrivateKey(state.dhSelf.privateKey);
+  const recv = await kdfRootKey(state.rootKey, await computeSharedSecret(ownPrivateKey, remotePublicKey));
+  state.rootKey = recv.rootKey;
+  state.recvChainKey = recv.chainKey;
+
+  // Sending chain: DH(our new key, their new key); old private key is discarded
+  const { privateKey, jwk } = await createRatchetKeyPair();
+  state.dhSelf = jwk;
+  const send = await kdfRootKey(state.rootKey, await computeSharedSecret(privateKey, remotePublicKey));
+  state.rootKey = send.rootKey;
+  state.sendChainKey = send.chainKey;
+  state.dhRatchetCount += 1;
+}
+
+/**
+ * Checks whether a header refers to a cached out-of-order message key
+ * @param {Object} state - Ratchet state
+ * @param {Object} header - Ratchet header from envelope
+ * @returns {boolean}
+ */
+export function hasSkippedMessageKey(state, header) {
+  if (!state || !header || !Array.isArray(state.skippedKeys)) {
+    return false;
+  }
+  const dh = ratchetKeyId(header.dh);
+  return state.skippedKeys.some(entry => entry.dh === dh && entry.n === header.n);
+}
+
+/**
+ * Encrypts a message with the next sending-chain message key
+ * @param {Object} state - Ratchet state (not mutated)
+ * @param {string} sessionId - Session identifier (bound into associated data)
+ * @param {ArrayBuffer|string} plaintext - Message to encrypt
+ * @returns {Promise<{state: Object, header: Object, ciphertext: ArrayBuffer, iv: Uint8Array, authTag: ArrayBuffer}>}
+ */
+export async function ratchetEncrypt(state, sessionId, plaintext) {
+  const next = cloneState(state);
+  if (!next.sendChainKey) {
+    throw new Error('Ratchet has no sending chain');
+  }
+
+  const { messageKey, chainKey } = await kdfChainKey(next.sendChainKey);
+  next.sendChainKey = chainKey;
+
+  const header = {
+    dh: next.dhSelf ? next.dhSelf.publicKey : null,
+    pn: next.prevSendCount,
+    n: next.sendCount
+  };
+  next.sendCount += 1;
+
+  const { ciphertext, iv, authTag } = await encryptAESGCM(
+    messageKey,
+    plaintext,
+    buildAssociatedData(sessionId, header)
+  );
+
+  return { state: next, header, ciphertext, iv, authTag };
+}
+
+/**
+ * Decrypts a message, advancing the ratchet as required by its header
+ * The returned state must be persisted only if decryption succeeded;
+ * on failure the input state is left untouched.
+ * @param {Object} state - Ratchet state (not mutated)
+ * @param {string} sessionId - Session identifier (bound into associated data)
+ * @param {Object} header - Ratchet header {dh, pn, n}
+ * @param {ArrayBuffer} ciphertext - Encrypted data
+ * @param {Uint8Array|ArrayBuffer} iv - Initialization vector
+ * @param {ArrayBuffer} authTag - Authentication tag
+ * @returns {Promise<{state: Object, plaintext: ArrayBuffer}>}
+ */
+export async function ratchetDecrypt(state, sessionId, header, ciphertext, iv, authTag) {
+  const next = cloneState(state);
+  const associatedData = buildAssociatedData(sessionId, header);
+
+  // 1. Out-of-order message: use (and delete) the cached key
+  const headerDh = ratchetKeyId(header.dh);
+  const skippedIndex = next.skippedKeys.findIndex(entry => entry.dh === headerDh && entry.n === header.n);
+  if (skippedIndex !== -1) {
+    const [entry] = next.skippedKeys.splice(skippedIndex, 1);
+    const plaintext = await decryptAESGCM(
+      base64ToArrayBuffer(entry.messageKey),
+      iv,
+      ciphertext,
+      authTag,
+      associatedData
+    );
+    return { state: next, plaintext };
+  }
+
+  // 2. New remote ratchet key: finish the current chain, then step the DH ratchet
+  if (headerDh !== ratchetKeyId(next.dhRemote)) {
+    if (!header.dh) {
+      throw new Error('Ratchet header is missing DH public key');
+    }
+    if (!next.dhSelf) {
+      throw new Error('Session ratchet does not support DH ratchet steps');
+    }
+    await skipMessageKeys(next, header.pn);
+    await dhRatchetStep(next, header.dh);
+  }
+
+  // 3. Advance the receiving chain to this message
+  if (!next.recvChainKey) {
+    throw new Error('Ratchet has no receiving chain');
+  }
+  if (header.n < next.recvCount) {
+    throw new Error('Message key already used (possible replay)');
+  }
+  await skipMessageKeys(next, header.n);
+  const { messageKey, chainKey } = await kdfChainKey(next.recvChainKey);
+  next.recvChainKey = chainKey;
+  next.recvCount += 1;
+
+  const plaintext = await decryptAESGCM(messageKey, iv, ciphertext, authTag, associatedData);
+  return { state: next, plaintext };
+}
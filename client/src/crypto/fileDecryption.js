@@ -9,80 +9,236 @@ import { base64ToArrayBuffer } from './signatures.js';
 import { getRecvKey, loadSession } from './sessionManager.js';
 import { clearPlaintextAfterDecryption } from './memorySecurity.js';
 
-/**
- * Decrypts file metadata and chunks, reconstructs original file
- * @param {Object} metaEnvelope - FILE_META envelope
- * @param {Array<Object>} chunkEnvelopes - Array of FILE_CHUNK envelopes
- * @param {string} sessionId - Session identifier
- * @param {string} userId - User ID for key access
- * @param {Function} onProgress - Optional progress callback (chunkIndex, totalChunks, progress)
- * @returns {Promise<{blob: Blob, filename: string, mimetype: string}>}
- */
 /**
  * Validates timestamp freshness
  * @param {number} messageTimestamp - Message timestamp
  * @param {number} maxAge - Maximum age in milliseconds (default: 2 minutes)
+ * @param {number} maxFutureSkew - Maximum clock skew into the future (default: 2 minutes)
  * @returns {boolean} True if timestamp is valid
  */
-function validateTimestamp(messageTimestamp, maxAge = 120000) {
+function validateTimestamp(messageTimestamp, maxAge = 120000, maxFutureSkew = 120000) {
   const now = Date.now();
   const age = now - messageTimestamp;
-  return age <= maxAge && age >= -maxAge;
+  return age <= maxAge && age >= -maxFutureSkew;
 }
 
-export async function decryptFile(metaEnvelope, chunkEnvelopes, sessionId, userId = null, onProgress = null) {
-  try {
-    // 1. Validate timestamps (maxAge = 2 minutes = 120000ms)
-    const maxAge = 120000;
-    
-    // Check metadata envelope timestamp
-    if (metaEnvelope.timestamp && !validateTimestamp(metaEnvelope.timestamp, maxAge)) {
-      const now = Date.now();
-      const age = Math.abs(now - metaEnvelope.timestamp);
-      const error = new Error(`Timestamp out of validity window: message is ${Math.round(age / 1000)}s old (max ${maxAge / 1000}s)`);
-      console.error(`Timestamp validation error: ${error.message}`);
-      throw error;
+/**
+ * Throws if an envelope is outside the timestamp validity window
+ * @param {Object} envelope - FILE_META or FILE_CHUNK envelope
+ * @param {number} maxAge - Maximum age in milliseconds
+ */
+function assertFreshTimestamp(envelope, maxAge) {
+  if (envelope.timestamp && !validateTimestamp(envelope.timestamp, maxAge)) {
+    const age = Math.abs(Date.now() - envelope.timestamp);
+    const what = envelope.type === 'FILE_CHUNK'
+      ? `chunk ${envelope.meta?.chunkIndex ?? 'unknown'} is`
+      : 'message is';
+    const error = new Error(`Timestamp out of validity window: ${what} ${Math.round(age / 1000)}s old (max ${maxAge / 1000}s)`);
+    console.error(`Timestamp validation error: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Sink that collects decrypted chunks into a Blob
+ * Each chunk becomes its own Blob part, so the browser can keep large files
+ * out of the JS heap instead of concatenating them into one buffer.
+ * @param {string} mimetype - MIME type of the resulting Blob
+ * @returns {{write: Function, close: Function}}
+ */
+export function createBlobSink(mimetype) {
+  const parts = [];
+  return {
+    write(chunk) {
+      parts.push(new Blob([chunk]));
+    },
+    close() {
+      return new Blob(parts, { type: mimetype });
     }
-    
-    // Check chunk envelope timestamps
-    if (chunkEnvelopes && Array.isArray(chunkEnvelopes)) {
-      for (const chunk of chunkEnvelopes) {
-        if (chunk.timestamp && !validateTimestamp(chunk.timestamp, maxAge)) {
-          const now = Date.now();
-          const age = Math.abs(now - chunk.timestamp);
-          const error = new Error(`Timestamp out of validity window: chunk ${chunk.meta?.chunkIndex ?? 'unknown'} is ${Math.round(age / 1000)}s old (max ${maxAge / 1000}s)`);
-          console.error(`Timestamp validation error: ${error.message}`);
-          throw error;
-        }
-      }
+  };
+}
+
+/**
+ * Sink that writes decrypted chunks to a WritableStream
+ * (e.g. from the File System Access API's createWritable())
+ * @param {WritableStream} stream - Destination stream
+ * @returns {{write: Function, close: Function}}
+ */
+export function createWritableSink(stream) {
+  const writer = stream.getWriter();
+  return {
+    async write(chunk) {
+      await writer.ready;
+      await writer.write(new Uint8Array(chunk).slice());
+    },
+    async close() {
+      await writer.close();
+      return null;
     }
-    
-    // 2. Get receive key (with userId for encrypted key access)
-    // Load session first to get userId if not provided
-    if (!userId) {
-      const session = await loadSession(sessionId, null);
-      if (session) {
-        userId = session.userId;
-      }
+  };
+}
+
+// Out-of-order chunks held (still encrypted) until the missing ones arrive
+const MAX_PENDING_CHUNKS = 64;
+
+/**
+ * Starts decrypting a file from its FILE_META envelope
+ * Chunks are passed to push() as they arrive; each is decrypted and written
+ * to the sink in order, then its plaintext is cleared, so only out-of-order
+ * chunks are buffered. finish() checks that the whole file arrived.
+ * @param {Object} metaEnvelope - FILE_META envelope
+ * @param {string} sessionId - Session identifier
+ * @param {string} userId - User ID for key access
+ * @param {Object} options - Optional settings
+ * @param {Object} options.sink - {write(chunk), close()} (default: Blob sink)
+ * @param {Function} options.onProgress - Progress callback (chunkIndex, totalChunks, progress, speed, timeRemaining)
+ * @param {number} options.maxAge - Timestamp validity window (for mailbox deliveries)
+ * @returns {Promise<{filename: string, mimetype: string, size: number, totalChunks: number, push: Function, finish: Function}>}
+ */
+export async function createFileDecryptor(metaEnvelope, sessionId, userId = null, options = {}) {
+  // Validate timestamps (maxAge = 2 minutes = 120000ms unless delivered from the mailbox)
+  const maxAge = options.maxAge || 120000;
+  assertFreshTimestamp(metaEnvelope, maxAge);
+
+  // Get receive key (with userId for encrypted key access)
+  // Load session first to get userId if not provided
+  if (!userId) {
+    const session = await loadSession(sessionId, null);
+    if (session) {
+      userId = session.userId;
     }
-    const recvKey = await getRecvKey(sessionId, userId);
+  }
+  const recvKey = await getRecvKey(sessionId, userId);
 
-    // 3. Decrypt metadata
-    const metaCiphertext = base64ToArrayBuffer(metaEnvelope.ciphertext);
-    const metaIV = base64ToArrayBuffer(metaEnvelope.iv);
-    const metaAuthTag = base64ToArrayBuffer(metaEnvelope.authTag);
+  // Decrypt metadata
+  const decryptedMeta = await decryptAESGCM(
+    recvKey,
+    base64ToArrayBuffer(metaEnvelope.iv),
+    base64ToArrayBuffer(metaEnvelope.ciphertext),
+    base64ToArrayBuffer(metaEnvelope.authTag)
+  );
+  const { filename, size, totalChunks, mimetype } = JSON.parse(new TextDecoder().decode(decryptedMeta));
+  clearPlaintextAfterDecryption(decryptedMeta);
 
-    const decryptedMeta = await decryptAESGCM(recvKey, metaIV, metaCiphertext, metaAuthTag);
-    const decoder = new TextDecoder();
-    const metadataJson = decoder.decode(decryptedMeta);
-    const metadata = JSON.parse(metadataJson);
+  const sink = options.sink || createBlobSink(mimetype);
+  const onProgress = options.onProgress || null;
+  const pending = new Map(); // chunkIndex -> envelope
+  const startTime = Date.now();
+  let nextIndex = 0;
+  let processedBytes = 0;
 
-    const { filename, size, totalChunks, mimetype } = metadata;
-    
-    // Report initial progress
+  // Report initial progress
+  if (onProgress) {
+    onProgress(0, totalChunks, 0, 0, 0);
+  }
+
+  const writeChunk = async (chunkEnvelope) => {
+    const decryptedChunk = await decryptAESGCM(
+      recvKey,
+      base64ToArrayBuffer(chunkEnvelope.iv),
+      base64ToArrayBuffer(chunkEnvelope.ciphertext),
+      base64ToArrayBuffer(chunkEnvelope.authTag)
+    );
+    processedBytes += decryptedChunk.byteLength;
+    await sink.write(decryptedChunk);
+    clearPlaintextAfterDecryption(decryptedChunk);
+    nextIndex++;
+
+    // Report progress
     if (onProgress) {
-      onProgress(0, totalChunks, 0, 0, 0);
+      const progress = (nextIndex / totalChunks) * 100;
+      const elapsed = (Date.now() - startTime) / 1000; // seconds
+      const speed = elapsed > 0 ? processedBytes / elapsed : 0; // bytes per second
+      const remainingBytes = Math.max(0, size - processedBytes);
+      const timeRemaining = speed > 0 ? remainingBytes / speed : 0; // seconds
+
+      onProgress(nextIndex, totalChunks, progress, speed, timeRemaining);
     }
+  };
+
+  /**
+   * Adds a chunk; decrypts it and any buffered successors once it is next in order
+   * @param {Object} chunkEnvelope - FILE_CHUNK envelope
+   * @returns {Promise<boolean>} True once every chunk has been written
+   */
+  const push = async (chunkEnvelope) => {
+    assertFreshTimestamp(chunkEnvelope, maxAge);
+
+    const index = chunkEnvelope.meta?.chunkIndex;
+    if (!Number.isInteger(index) || index < 0 || index >= totalChunks) {
+      throw new Error(`Chunk index mismatch: expected ${nextIndex}, got ${index}`);
+    }
+
+    // Duplicates of written or buffered chunks are ignored
+    if (index < nextIndex || pending.has(index)) {
+      return nextIndex === totalChunks;
+    }
+
+    if (index !== nextIndex) {
+      if (pending.size >= MAX_PENDING_CHUNKS) {
+        throw new Error(`Too many out-of-order chunks: waiting for chunk ${nextIndex}`);
+      }
+      pending.set(index, chunkEnvelope);
+      return false;
+    }
+
+    await writeChunk(chunkEnvelope);
+    while (pending.has(nextIndex)) {
+      const buffered = pending.get(nextIndex);
+      pending.delete(nextIndex);
+      await writeChunk(buffered);
+    }
+    return nextIndex === totalChunks;
+  };
+
+  /**
+   * Closes the sink once every chunk has been written
+   * @returns {Promise<{blob: Blob|null, filename: string, mimetype: string, size: number}>}
+   */
+  const finish = async () => {
+    if (nextIndex !== totalChunks) {
+      throw new Error(`Missing chunks: expected ${totalChunks}, got ${nextIndex + pending.size}`);
+    }
+    if (processedBytes !== size) {
+      throw new Error(`File size mismatch: expected ${size} bytes, got ${processedBytes}`);
+    }
+
+    const blob = await sink.close();
+    console.log(`✓ File decrypted: ${filename} (${totalChunks} chunks)`);
+    return { blob, filename, mimetype, size };
+  };
+
+  return { filename, mimetype, size, totalChunks, push, finish };
+}
+
+/**
+ * Decrypts file metadata and chunks, reconstructs original file
+ * @param {Object} metaEnvelope - FILE_META envelope
+ * @param {Array<Object>} chunkEnvelopes - Array of FILE_CHUNK envelopes
+ * @param {string} sessionId - Session identifier
+ * @param {string} userId - User ID for key access
+ * @param {Function} onProgress - Optional progress callback (chunkIndex, totalChunks, progress)
+ * @param {Object} options - Optional receive options ({ maxAge } for mailbox deliveries, { sink } for a custom sink)
+ * @returns {Promise<{blob: Blob, filename: string, mimetype: string}>}
+ */
+export async function decryptFile(metaEnvelope, chunkEnvelopes, sessionId, userId = null, onProgress = null, options = {}) {
+  try {
+    // 1. Validate all chunk timestamps before decrypting anything
+    const maxAge = options.maxAge || 120000;
+    assertFreshTimestamp(metaEnvelope, maxAge);
+    if (chunkEnvelopes && Array.isArray(chunkEnvelopes)) {
+      for (const chunk of chunkEnvelopes) {
+        assertFreshTimestamp(chunk, maxAge);
+      }
+    }
+
+    // 2. Decrypt metadata
+    const decryptor = await createFileDecryptor(metaEnvelope, sessionId, userId, {
+      sink: options.sink,
+      onProgress,
+      maxAge
+    });
+    const { totalChunks } = decryptor;
 
     // 3. Sort chunks by index
     const sortedChunks = chunkEnvelopes
@@ -96,10 +252,7 @@ export async function decryptFile(metaEnvelope, chunkEnvelopes, sessionId, userI
       throw error;
     }
 
-    // 5. Decrypt all chunks
-    const decryptedChunks = [];
-    const startTime = Date.now();
-
+    // 5. Decrypt chunks in order into the sink
     for (let i = 0; i < sortedChunks.length; i++) {
       const chunkEnvelope = sortedChunks[i];
 
@@ -110,56 +263,10 @@ export async function decryptFile(metaEnvelope, chunkEnvelopes, sessionId, userI
         throw error;
       }
 
-      // Decrypt chunk
-      const chunkCiphertext = base64ToArrayBuffer(chunkEnvelope.ciphertext);
-      const chunkIV = base64ToArrayBuffer(chunkEnvelope.iv);
-      const chunkAuthTag = base64ToArrayBuffer(chunkEnvelope.authTag);
-
-      const decryptedChunk = await decryptAESGCM(recvKey, chunkIV, chunkCiphertext, chunkAuthTag);
-      decryptedChunks.push(decryptedChunk);
-
-      // Report progress
-      if (onProgress) {
-        const progress = ((i + 1) / totalChunks) * 100;
-        const elapsed = (Date.now() - startTime) / 1000; // seconds
-        // Calculate processed bytes (sum of all decrypted chunks so far)
-        const processedBytes = decryptedChunks.reduce((sum, chunk) => sum + chunk.byteLength, 0) + decryptedChunk.byteLength;
-        const speed = elapsed > 0 ? processedBytes / elapsed : 0; // bytes per second
-        const remainingBytes = Math.max(0, size - processedBytes);
-        const timeRemaining = speed > 0 ? remainingBytes / speed : 0; // seconds
-
-        onProgress(i + 1, totalChunks, progress, speed, timeRemaining);
-      }
-    }
-
-    // 6. Combine chunks into single ArrayBuffer
-    const totalSize = decryptedChunks.reduce((sum, chunk) => sum + chunk.byteLength, 0);
-    const combinedBuffer = new Uint8Array(totalSize);
-    let offset = 0;
-
-    for (const chunk of decryptedChunks) {
-      combinedBuffer.set(new Uint8Array(chunk), offset);
-      offset += chunk.byteLength;
+      await decryptor.push(chunkEnvelope);
     }
 
-    // 7. Create Blob
-    const blob = new Blob([combinedBuffer], { type: mimetype });
-
-    // 8. Clear decrypted chunks from memory after blob creation
-    for (const chunk of decryptedChunks) {
-      clearPlaintextAfterDecryption(chunk);
-    }
-    clearPlaintextAfterDecryption(combinedBuffer);
-    clearPlaintextAfterDecryption(decryptedMeta);
-
-    console.log(`✓ File decrypted: ${filename} (${totalChunks} chunks)`);
-
-    return {
-      blob,
-      filename,
-      mimetype,
-      size
-    };
+    return await decryptor.finish();
   } catch (error) {
     // Log decryption errors for security monitoring
     console.error(`Failed to decrypt file: ${error.message}`, error);
@@ -3,44 +3,82 @@
  * 
  * Handles encryption of files in chunks for efficient transmission.
  * Files are split into 256 KB chunks, each encrypted independently.
+ * Chunks are read and encrypted one at a time, so large files never have
+ * to fit in memory.
  */
 
 import { encryptAESGCM, generateIV } from './aesGcm.js';
 import { buildFileMetaEnvelope, buildFileChunkEnvelope } from './messageEnvelope.js';
 import { getSendKey } from './sessionManager.js';
+import { clearPlaintextAfterEncryption } from './memorySecurity.js';
 
 const CHUNK_SIZE = 256 * 1024; // 256 KB
-const MAX_FILE_SIZE = 100 * 1024 * 1024; // 100 MB maximum file size
+const MAX_FILE_SIZE = 4 * 1024 * 1024 * 1024; // 4 GB maximum file size (streamed)
+const MAX_BUFFERED_FILE_SIZE = 100 * 1024 * 1024; // 100 MB maximum for encryptFile (all chunks in memory)
 
 /**
- * Encrypts a file and returns metadata and chunk envelopes
+ * Formats a byte count for size limit errors
+ * @param {number} bytes - Byte count
+ * @returns {string} e.g. "100 MB" or "4 GB"
+ */
+function formatLimit(bytes) {
+  return bytes >= 1024 * 1024 * 1024
+    ? `${bytes / 1024 / 1024 / 1024} GB`
+    : `${bytes / 1024 / 1024} MB`;
+}
+
+/**
+ * Throws if a file is larger than the given limit
+ * @param {number} fileSize - File size in bytes
+ * @param {number} limit - Maximum size in bytes
+ */
+function assertFileSize(fileSize, limit) {
+  if (fileSize > limit) {
+    throw new Error(`File size (${(fileSize / 1024 / 1024).toFixed(2)} MB) exceeds maximum allowed size (${formatLimit(limit)})`);
+  }
+}
+
+/**
+ * Reads a file one chunk at a time
+ * Slices are read lazily, so only the current chunk is held in memory.
+ * @param {Blob} file - File to read
+ * @yields {{index: number, data: ArrayBuffer, end: number}}
+ */
+async function* readFileChunks(file) {
+  const totalChunks = Math.ceil(file.size / CHUNK_SIZE);
+  for (let index = 0; index < totalChunks; index++) {
+    const start = index * CHUNK_SIZE;
+    const end = Math.min(start + CHUNK_SIZE, file.size);
+    yield { index, data: await file.slice(start, end).arrayBuffer(), end };
+  }
+}
+
+/**
+ * Encrypts a file chunk by chunk and hands each envelope to sendEnvelope
+ * The next chunk is only read once sendEnvelope resolves, so a sender that
+ * waits for the server's acknowledgement applies backpressure and memory use
+ * stays at about one chunk regardless of file size.
  * @param {File} file - File to encrypt
  * @param {string} sessionId - Session identifier
  * @param {string} sender - Sender user ID
  * @param {string} receiver - Receiver user ID
  * @param {string} userId - User ID for key access
- * @param {Function} onProgress - Optional progress callback (chunkIndex, totalChunks, progress)
- * @returns {Promise<{fileMetaEnvelope: Object, chunkEnvelopes: Array<Object>}>}
+ * @param {Function} sendEnvelope - async (envelope) => void, called with FILE_META then each FILE_CHUNK
+ * @param {Function} onProgress - Optional progress callback (chunkIndex, totalChunks, progress, speed, timeRemaining)
+ * @returns {Promise<{fileMetaEnvelope: Object, totalChunks: number}>}
  */
-export async function encryptFile(file, sessionId, sender, receiver, userId = null, onProgress = null) {
+export async function encryptFileStream(file, sessionId, sender, receiver, userId = null, sendEnvelope, onProgress = null) {
   try {
-    // 1. Read file as ArrayBuffer
-    const fileBuffer = await file.arrayBuffer();
-    const fileSize = fileBuffer.byteLength;
+    const fileSize = file.size;
+    assertFileSize(fileSize, MAX_FILE_SIZE);
 
-    // 2. Validate file size
-    if (fileSize > MAX_FILE_SIZE) {
-      throw new Error(`File size (${(fileSize / 1024 / 1024).toFixed(2)} MB) exceeds maximum allowed size (${MAX_FILE_SIZE / 1024 / 1024} MB)`);
-    }
-
-    // 3. Calculate number of chunks
     const totalChunks = Math.ceil(fileSize / CHUNK_SIZE);
 
-    // 4. Get send key (with userId for encrypted key access)
+    // Get send key (with userId for encrypted key access)
     // If userId not provided, will try to get from session
     const sendKey = await getSendKey(sessionId, userId || sender);
 
-    // 4. Encrypt file metadata
+    // Encrypt file metadata
     const metadata = {
       filename: file.name,
       size: fileSize,
@@ -48,11 +86,8 @@ export async function encryptFile(file, sessionId, sender, receiver, userId = nu
       mimetype: file.type || 'application/octet-stream'
     };
 
-    const metadataJson = JSON.stringify(metadata);
-    const encoder = new TextEncoder();
-    const metadataBuffer = encoder.encode(metadataJson);
-
-    const { ciphertext: metaCiphertext, iv: metaIV, authTag: metaAuthTag } = 
+    const metadataBuffer = new TextEncoder().encode(JSON.stringify(metadata));
+    const { ciphertext: metaCiphertext, iv: metaIV, authTag: metaAuthTag } =
       await encryptAESGCM(sendKey, metadataBuffer);
 
     const fileMetaEnvelope = buildFileMetaEnvelope(
@@ -64,20 +99,15 @@ export async function encryptFile(file, sessionId, sender, receiver, userId = nu
       metaAuthTag,
       metadata
     );
+    await sendEnvelope(fileMetaEnvelope);
 
-    // 5. Encrypt file chunks
-    const chunkEnvelopes = [];
+    // Encrypt and hand over one chunk at a time
     const startTime = Date.now();
 
-    for (let i = 0; i < totalChunks; i++) {
-      const start = i * CHUNK_SIZE;
-      const end = Math.min(start + CHUNK_SIZE, fileSize);
-      const chunk = fileBuffer.slice(start, end);
+    for await (const { index, data, end } of readFileChunks(file)) {
+      const { ciphertext, iv, authTag } = await encryptAESGCM(sendKey, data);
+      clearPlaintextAfterEncryption(data);
 
-      // Encrypt chunk
-      const { ciphertext, iv, authTag } = await encryptAESGCM(sendKey, chunk);
-
-      // Build chunk envelope
       const chunkEnvelope = buildFileChunkEnvelope(
         sessionId,
         sender,
@@ -86,37 +116,71 @@ export async function encryptFile(file, sessionId, sender, receiver, userId = nu
         iv,
         authTag,
         {
-          chunkIndex: i,
+          chunkIndex: index,
           totalChunks: totalChunks
         }
       );
-
-      chunkEnvelopes.push(chunkEnvelope);
+      await sendEnvelope(chunkEnvelope);
 
       // Report progress
       if (onProgress) {
-        const progress = ((i + 1) / totalChunks) * 100;
+        const progress = ((index + 1) / totalChunks) * 100;
         const elapsed = (Date.now() - startTime) / 1000; // seconds
-        const processedBytes = end;
-        const speed = processedBytes / elapsed; // bytes per second
-        const remainingBytes = fileSize - processedBytes;
-        const timeRemaining = remainingBytes / speed; // seconds
+        const speed = elapsed > 0 ? end / elapsed : 0; // bytes per second
+        const timeRemaining = speed > 0 ? (fileSize - end) / speed : 0; // seconds
 
-        onProgress(i + 1, totalChunks, progress, speed, timeRemaining);
+        onProgress(index + 1, totalChunks, progress, speed, timeRemaining);
       }
     }
 
     console.log(`✓ File encrypted: ${file.name} (${totalChunks} chunks)`);
 
-    return {
-      fileMetaEnvelope,
-      chunkEnvelopes
-    };
+    return { fileMetaEnvelope, totalChunks };
   } catch (error) {
     throw new Error(`Failed to encrypt file: ${error.message}`);
   }
 }
 
+/**
+ * Encrypts a file and returns metadata and chunk envelopes
+ * Keeps every envelope in memory, so it is limited to smaller files; use
+ * encryptFileStream to send large files.
+ * @param {File} file - File to encrypt
+ * @param {string} sessionId - Session identifier
+ * @param {string} sender - Sender user ID
+ * @param {string} receiver - Receiver user ID
+ * @param {string} userId - User ID for key access
+ * @param {Function} onProgress - Optional progress callback (chunkIndex, totalChunks, progress)
+ * @returns {Promise<{fileMetaEnvelope: Object, chunkEnvelopes: Array<Object>}>}
+ */
+export async function encryptFile(file, sessionId, sender, receiver, userId = null, onProgress = null) {
+  try {
+    assertFileSize(file.size, MAX_BUFFERED_FILE_SIZE);
+  } catch (error) {
+    throw new Error(`Failed to encrypt file: ${error.message}`);
+  }
+
+  const chunkEnvelopes = [];
+  const { fileMetaEnvelope } = await encryptFileStream(
+    file,
+    sessionId,
+    sender,
+    receiver,
+    userId,
+    async (envelope) => {
+      if (envelope.type === 'FILE_CHUNK') {
+        chunkEnvelopes.push(envelope);
+      }
+    },
+    onProgress
+  );
+
+  return {
+    fileMetaEnvelope,
+    chunkEnvelopes
+  };
+}
+
 /**
  * Gets the chunk size used for file encryption
  * @returns {number} Chunk size in bytes
@@ -125,3 +189,11 @@ export function getChunkSize() {
   return CHUNK_SIZE;
 }
 
+
+/**
+ * Gets the maximum file size that can be sent
+ * @returns {number} Size in bytes
+ */
+export function getMaxFileSize() {
+  return MAX_FILE_SIZE;
+}
@@ -0,0 +1,107 @@
+/**
+ * Group Sessions
+ *
+ * Keeps our group sender keys in step with group membership:
+ * - distributes our sender key to members that do not have it yet, over the
+ *   pairwise Double Ratchet sessions (prekey sessions are created for members
+ *   we have never talked to, so they do not need to be online), to each of
+ *   their devices
+ * - rotates our sender key whenever the group epoch moved past it, so members
+ *   removed in the meantime cannot read anything we send afterwards
+ * - drops the keys of removed members, or of the whole group when we leave
+ */
+
+import { getUserSessions } from './sessionManager.js';
+import { sendToPeerDevices } from './messageFlow.js';
+import {
+  loadSenderKeyState,
+  createSenderKey,
+  buildSenderKeyDistribution,
+  markSenderKeyDistributed,
+  deleteSenderKeys
+} from './senderKeys.js';
+
+/**
+ * Returns the pairwise conversation with a member, creating a prekey session if needed
+ * @param {string} userId - Our user ID
+ * @param {string} peerId - Member user ID
+ * @param {string} password - User password (for session encryption)
+ * @returns {Promise<string>} Pairwise session ID
+ */
+async function getPairwiseSessionId(userId, peerId, password) {
+  const sessions = await getUserSessions(userId);
+  const existing = sessions.find(session =>
+    session.peerId === peerId && (!session.conversationId || session.conversationId === session.sessionId));
+  if (existing) {
+    return existing.sessionId;
+  }
+
+  const { initiatePreKeySession } = await import('./sessionEstablishment.js');
+  const { sessionId } = await initiatePreKeySession(userId, peerId, password);
+  return sessionId;
+}
+
+/**
+ * Ensures every other member holds our current sender key
+ * Rotates first if our key predates the group's current epoch.
+ * @param {string} userId - Our user ID
+ * @param {Object} group - Group from the API {id, epoch, members: [{userId}]}
+ * @param {string} password - User password (for session encryption)
+ * @param {Function} socketEmit - Socket.IO emit function
+ * @returns {Promise<{sent: Array<string>, failed: Array<{userId: string, error: string}>}>}
+ */
+export async function distributeSenderKey(userId, group, password, socketEmit) {
+  let state = await loadSenderKeyState(userId, group.id, userId);
+  if (!state || state.epoch < group.epoch) {
+    state = await createSenderKey(userId, group.id, group.epoch);
+  }
+
+  const pending = group.members
+    .map(member => String(member.userId))
+    .filter(memberId => memberId !== String(userId) && !(state.distributedTo || []).includes(memberId));
+  if (pending.length === 0) {
+    return { sent: [], failed: [] };
+  }
+
+  const distribution = JSON.stringify(await buildSenderKeyDistribution(userId, group.id, group.epoch));
+  const sent = [];
+  const failed = [];
+
+  for (const memberId of pending) {
+    try {
+      const sessionId = await getPairwiseSessionId(userId, memberId, password);
+      await sendToPeerDevices(sessionId, distribution, socketEmit, userId, password);
+      sent.push(memberId);
+    } catch (error) {
+      console.error(`Failed to send sender key to ${memberId}:`, error);
+      failed.push({ userId: memberId, error: error.message });
+    }
+  }
+
+  await markSenderKeyDistributed(userId, group.id, sent);
+  return { sent, failed };
+}
+
+/**
+ * Applies a membership change reported by the server ('group:updated')
+ * @param {string} userId - Our user ID
+ * @param {Object} group - Group after the change
+ * @param {Object} change - {type, userIds}
+ * @returns {Promise<{left: boolean, rotated: boolean}>}
+ */
+export async function applyGroupChange(userId, group, change) {
+  if (change.type !== 'removed') {
+    return { left: false, rotated: false };
+  }
+
+  if (change.userIds.map(String).includes(String(userId))) {
+    await deleteSenderKeys(userId, group.id);
+    return { left: true, rotated: false };
+  }
+
+  for (const removedId of change.userIds) {
+    await deleteSenderKeys(userId, group.id, String(removedId));
+  }
+  await createSenderKey(userId, group.id, group.epoch);
+  return { left: false, rotated: true };
+}
@@ -12,7 +12,7 @@
  */
 
 const DB_NAME = 'InfosecCryptoDB';
-const DB_VERSION = 7; // Must match the highest version used by any module
+const DB_VERSION = 11; // Must match the highest version used by any module
 const STORE_NAME = 'identityKeys';
 
 /**
@@ -61,6 +61,22 @@ async function openDB() {
         queueStore.createIndex('sessionId', 'sessionId', { unique: false });
         queueStore.createIndex('timestamp', 'timestamp', { unique: false });
       }
+      if (!db.objectStoreNames.contains('preKeys')) {
+        const preKeyStore = db.createObjectStore('preKeys', { keyPath: 'id' });
+        preKeyStore.createIndex('userId', 'userId', { unique: false });
+      }
+      if (!db.objectStoreNames.contains('contacts')) {
+        const contactStore = db.createObjectStore('contacts', { keyPath: 'id' });
+        contactStore.createIndex('userId', 'userId', { unique: false });
+      }
+      if (!db.objectStoreNames.contains('senderKeys')) {
+        const senderKeyStore = db.createObjectStore('senderKeys', { keyPath: 'id' });
+        senderKeyStore.createIndex('groupId', 'groupId', { unique: false });
+      }
+      if (!db.objectStoreNames.contains('searchIndex')) {
+        const searchIndexStore = db.createObjectStore('searchIndex', { keyPath: 'id' });
+        searchIndexStore.createIndex('userId', 'userId', { unique: false });
+      }
     };
   });
 }
@@ -239,6 +255,44 @@ export async function storePrivateKeyEncrypted(userId, privateKey, password) {
   }
 }
 
+/**
+ * Re-encrypts a stored private key record under a new password
+ * The record is returned rather than stored, so a password change can write
+ * it together with the other re-encrypted keys (see sessionManager.js).
+ * @param {Object} record - Record from the identityKeys store
+ * @param {string} oldPassword - Password the record is encrypted with
+ * @param {string} newPassword - New password
+ * @returns {Promise<Object>} Record to store in place of the old one
+ * @throws {Error} If the old password does not decrypt the key
+ */
+export async function reencryptPrivateKeyRecord(record, oldPassword, newPassword) {
+  let keyData;
+  try {
+    keyData = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: new Uint8Array(record.iv) },
+      await deriveKeyFromPassword(oldPassword, new Uint8Array(record.salt)),
+      new Uint8Array(record.encryptedData)
+    );
+  } catch (error) {
+    throw new Error('Failed to decrypt private key. The password may be incorrect.');
+  }
+
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const encryptedData = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    await deriveKeyFromPassword(newPassword, salt),
+    keyData
+  );
+
+  return {
+    ...record,
+    encryptedData: Array.from(new Uint8Array(encryptedData)),
+    salt: Array.from(salt),
+    iv: Array.from(iv)
+  };
+}
+
 /**
  * Loads and decrypts private key
  * @param {string} userId - User ID
@@ -344,6 +398,20 @@ export async function loadPrivateKey(userId, password) {
   }
 }
 
+/**
+ * Derives our identity public key (JWK) from the locally stored private key
+ * Use instead of /keys/me wherever the value must not depend on the server
+ * (e.g. safety numbers).
+ * @param {string} userId - User ID
+ * @param {string} password - User password for decryption
+ * @returns {Promise<Object>} Public key JWK {kty, crv, x, y}
+ */
+export async function loadPublicKeyJWK(userId, password) {
+  const privateKey = await loadPrivateKey(userId, password);
+  const { kty, crv, x, y } = await crypto.subtle.exportKey('jwk', privateKey);
+  return { kty, crv, x, y };
+}
+
 /**
  * Exports public key in JWK format
  * @param {CryptoKey} publicKey - Public key to export
@@ -0,0 +1,360 @@
+/**
+ * Key Transparency Verification
+ *
+ * The server appends every identity key publish and rotation to an
+ * append-only Merkle log and signs the tree heads (ES256). Before trusting a
+ * fetched identity key we check that:
+ * - the key is the one committed to in the log (inclusion proof)
+ * - the tree head is signed by the log key we pinned on first use
+ * - the log only grew since the last tree head we saw (consistency proof)
+ *
+ * Hashing matches RFC 9162: leaf = SHA-256(0x00 || data),
+ * node = SHA-256(0x01 || left || right).
+ */
+
+import { base64ToArrayBuffer } from './signatures.js';
+import { DEFAULT_DEVICE_ID } from '../utils/deviceStore.js';
+
+const LOG_KEY_STORAGE_KEY = 'keyTransparency.logKey';
+const TREE_HEAD_STORAGE_KEY = 'keyTransparency.treeHead';
+
+/**
+ * Creates a key transparency error
+ * @param {string} message - Error message
+ * @returns {Error} Error with code 'KEY_TRANSPARENCY_FAILED'
+ */
+function transparencyError(message) {
+  const error = new Error(`Key transparency check failed: ${message}`);
+  error.code = 'KEY_TRANSPARENCY_FAILED';
+  return error;
+}
+
+/**
+ * Converts a hex string to bytes
+ * @param {string} hex - Hex string
+ * @returns {Uint8Array}
+ */
+function hexToBytes(hex) {
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
+
+/**
+ * Constant-length byte comparison
+ * @param {Uint8Array} a - First value
+ * @param {Uint8Array} b - Second value
+ * @returns {boolean}
+ */
+function bytesEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a[i] ^ b[i];
+  }
+  return diff === 0;
+}
+
+/**
+ * Hashes a domain prefix followed by byte arrays
+ * @param {number} prefix - 0x00 (leaf) or 0x01 (node)
+ * @param {...Uint8Array} parts - Data
+ * @returns {Promise<Uint8Array>}
+ */
+async function prefixedHash(prefix, ...parts) {
+  const data = new Uint8Array(1 + parts.reduce((sum, part) => sum + part.length, 0));
+  data[0] = prefix;
+  let offset = 1;
+  for (const part of parts) {
+    data.set(part, offset);
+    offset += part.length;
+  }
+  return new Uint8Array(await crypto.subtle.digest('SHA-256', data));
+}
+
+/**
+ * Builds the canonical leaf string for a log entry (must match the server)
+ * @param {Object} entry - {userId, deviceId?, publicKey, version, timestamp}
+ * @returns {string}
+ */
+export function buildLeafData(entry) {
+  return JSON.stringify({
+    userId: String(entry.userId),
+    ...(entry.deviceId ? { deviceId: entry.deviceId } : {}),
+    publicKey: {
+      kty: entry.publicKey.kty,
+      crv: entry.publicKey.crv,
+      x: entry.publicKey.x,
+      y: entry.publicKey.y
+    },
+    version: entry.version,
+    timestamp: entry.timestamp
+  });
+}
+
+/**
+ * Hashes a leaf
+ * @param {string} leafData - Canonical leaf string
+ * @returns {Promise<Uint8Array>}
+ */
+export async function hashLeaf(leafData) {
+  return prefixedHash(0x00, new TextEncoder().encode(leafData));
+}
+
+/**
+ * Hashes two child nodes
+ * @param {Uint8Array} left - Left child
+ * @param {Uint8Array} right - Right child
+ * @returns {Promise<Uint8Array>}
+ */
+export async function hashChildren(left, right) {
+  return prefixedHash(0x01, left, right);
+}
+
+/**
+ * Verifies a Merkle inclusion proof (RFC 9162 section 2.1.3.2)
+ * @param {Uint8Array} leafHash - Hash of the leaf
+ * @param {number} index - Leaf index
+ * @param {number} treeSize - Tree size
+ * @param {Array<Uint8Array>} auditPath - Sibling hashes
+ * @param {Uint8Array} rootHash - Expected root
+ * @returns {Promise<boolean>}
+ */
+export async function verifyInclusionProof(leafHash, index, treeSize, auditPath, rootHash) {
+  if (index >= treeSize) return false;
+
+  let fn = index;
+  let sn = treeSize - 1;
+  let r = leafHash;
+  for (const p of auditPath) {
+    if (sn === 0) return false;
+    if ((fn & 1) === 1 || fn === sn) {
+      r = await hashChildren(p, r);
+      while ((fn & 1) === 0 && fn !== 0) {
+        fn >>= 1;
+        sn >>= 1;
+      }
+    } else {
+      r = await hashChildren(r, p);
+    }
+    fn >>= 1;
+    sn >>= 1;
+  }
+  return sn === 0 && bytesEqual(r, rootHash);
+}
+
+/**
+ * Verifies a Merkle consistency proof (RFC 9162 section 2.1.4.2)
+ * @param {number} first - Older tree size
+ * @param {number} second - Newer tree size
+ * @param {Uint8Array} firstRoot - Older root
+ * @param {Uint8Array} secondRoot - Newer root
+ * @param {Array<Uint8Array>} proof - Consistency proof
+ * @returns {Promise<boolean>}
+ */
+export async function verifyConsistencyProof(first, second, firstRoot, secondRoot, proof) {
+  if (first > second) return false;
+  if (first === second) return proof.length === 0 && bytesEqual(firstRoot, secondRoot);
+  if (first === 0) return true;
+
+  // When the older tree is a complete subtree its root is the first proof node
+  const path = (first & (first - 1)) === 0 ? [firstRoot, ...proof] : [...proof];
+  if (path.length === 0) return false;
+
+  let fn = first - 1;
+  let sn = second - 1;
+  while ((fn & 1) === 1) {
+    fn >>= 1;
+    sn >>= 1;
+  }
+
+  let fr = path[0];
+  let sr = path[0];
+  for (const c of path.slice(1)) {
+    if (sn === 0) return false;
+    if ((fn & 1) === 1 || fn === sn) {
+      fr = await hashChildren(c, fr);
+      sr = await hashChildren(c, sr);
+      while ((fn & 1) === 0 && fn !== 0) {
+        fn >>= 1;
+        sn >>= 1;
+      }
+    } else {
+      sr = await hashChildren(sr, c);
+    }
+    fn >>= 1;
+    sn >>= 1;
+  }
+  return sn === 0 && bytesEqual(fr, firstRoot) && bytesEqual(sr, secondRoot);
+}
+
+/**
+ * Verifies a signed tree head
+ * @param {Object} treeHead - {treeSize, rootHash, timestamp, signature}
+ * @param {Object} logPublicKeyJWK - Log verification key (EC P-256 JWK)
+ * @returns {Promise<boolean>}
+ */
+export async function verifyTreeHeadSignature(treeHead, logPublicKeyJWK) {
+  try {
+    const key = await crypto.subtle.importKey(
+      'jwk',
+      { kty: logPublicKeyJWK.kty, crv: logPublicKeyJWK.crv, x: logPublicKeyJWK.x, y: logPublicKeyJWK.y },
+      { name: 'ECDSA', namedCurve: 'P-256' },
+      false,
+      ['verify']
+    );
+    const data = new TextEncoder().encode(JSON.stringify({
+      treeSize: treeHead.treeSize,
+      rootHash: treeHead.rootHash,
+      timestamp: treeHead.timestamp
+    }));
+    return await crypto.subtle.verify(
+      { name: 'ECDSA', hash: 'SHA-256' },
+      key,
+      base64ToArrayBuffer(treeHead.signature),
+      data
+    );
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Returns the pinned log key, pinning the given one on first use
+ * @param {Object} logPublicKeyJWK - Log key served by the server
+ * @returns {Object} Pinned log key
+ * @throws {Error} If the served key differs from the pinned one
+ */
+export function pinLogPublicKey(logPublicKeyJWK) {
+  const stored = localStorage.getItem(LOG_KEY_STORAGE_KEY);
+  if (!stored) {
+    const { kty, crv, x, y } = logPublicKeyJWK;
+    localStorage.setItem(LOG_KEY_STORAGE_KEY, JSON.stringify({ kty, crv, x, y }));
+    return { kty, crv, x, y };
+  }
+
+  const pinned = JSON.parse(stored);
+  if (pinned.x !== logPublicKeyJWK.x || pinned.y !== logPublicKeyJWK.y) {
+    throw transparencyError('log signing key changed');
+  }
+  return pinned;
+}
+
+/**
+ * Returns the last tree head we verified, if any
+ * @returns {Object|null}
+ */
+export function getLastTreeHead() {
+  const stored = localStorage.getItem(TREE_HEAD_STORAGE_KEY);
+  return stored ? JSON.parse(stored) : null;
+}
+
+/**
+ * Checks a newly served tree head against the last one we verified
+ * @param {Object} treeHead - New signed tree head (signature already verified)
+ * @param {Function} fetchConsistencyProof - (first, second) => Promise<Array<string>> hex proof
+ * @returns {Promise<void>}
+ * @throws {Error} If the log was rolled back or rewritten
+ */
+export async function checkTreeHeadConsistency(treeHead, fetchConsistencyProof) {
+  const previous = getLastTreeHead();
+
+  if (previous) {
+    if (treeHead.treeSize < previous.treeSize) {
+      throw transparencyError(`log shrank from ${previous.treeSize} to ${treeHead.treeSize} entries`);
+    }
+
+    const proof = treeHead.treeSize === previous.treeSize
+      ? []
+      : await fetchConsistencyProof(previous.treeSize, treeHead.treeSize);
+    const consistent = await verifyConsistencyProof(
+      previous.treeSize,
+      treeHead.treeSize,
+      hexToBytes(previous.rootHash),
+      hexToBytes(treeHead.rootHash),
+      proof.map(hexToBytes)
+    );
+    if (!consistent) {
+      throw transparencyError('log history was rewritten');
+    }
+  }
+
+  localStorage.setItem(TREE_HEAD_STORAGE_KEY, JSON.stringify(treeHead));
+}
+
+/**
+ * Verifies an inclusion proof response for a fetched identity key
+ * @param {string} userId - Key owner
+ * @param {Object} publicKeyJWK - Identity key fetched from /keys/:userId
+ * @param {Object} proof - {entry, auditPath, treeHead} from /keys/:userId/inclusion
+ * @param {Object} logPublicKeyJWK - Pinned log key
+ * @param {string} [deviceId] - Device the key was served for (default device if omitted)
+ * @returns {Promise<void>}
+ * @throws {Error} With code 'KEY_TRANSPARENCY_FAILED'
+ */
+export async function verifyInclusionResponse(userId, publicKeyJWK, proof, logPublicKeyJWK, deviceId = DEFAULT_DEVICE_ID) {
+  const { entry, auditPath, treeHead } = proof;
+  // Leaves of the default device carry no device ID
+  const logDeviceId = deviceId === DEFAULT_DEVICE_ID ? undefined : deviceId;
+
+  if (String(entry.userId) !== String(userId) ||
+      (entry.deviceId || undefined) !== logDeviceId ||
+      entry.publicKey.x !== publicKeyJWK.x ||
+      entry.publicKey.y !== publicKeyJWK.y) {
+    throw transparencyError('logged key does not match the key served for this user');
+  }
+
+  if (!(await verifyTreeHeadSignature(treeHead, logPublicKeyJWK))) {
+    throw transparencyError('invalid tree head signature');
+  }
+
+  // Leaf is rebuilt from the key we were served, not taken from the server
+  const leafHash = await hashLeaf(buildLeafData({ ...entry, userId, deviceId: logDeviceId, publicKey: publicKeyJWK }));
+  const included = await verifyInclusionProof(
+    leafHash,
+    entry.index,
+    treeHead.treeSize,
+    auditPath.map(hexToBytes),
+    hexToBytes(treeHead.rootHash)
+  );
+  if (!included) {
+    throw transparencyError('identity key is not in the log');
+  }
+}
+
+/**
+ * Verifies that a fetched identity key is committed to in the transparency log
+ * @param {string} userId - Key owner
+ * @param {Object} publicKeyJWK - Identity key fetched from the server
+ * @param {string} [deviceId] - Device the key belongs to (default device if omitted)
+ * @returns {Promise<Object>} Verified log entry
+ * @throws {Error} With code 'KEY_TRANSPARENCY_FAILED'
+ */
+export async function verifyKeyInLog(userId, publicKeyJWK, deviceId = DEFAULT_DEVICE_ID) {
+  const api = (await import('../services/api.js')).default;
+
+  let logKeyResponse;
+  let proofResponse;
+  try {
+    logKeyResponse = await api.get('/keys/log/key');
+    proofResponse = await api.get(`/keys/${userId}/inclusion`, { params: { deviceId } });
+  } catch (error) {
+    throw transparencyError(`log unavailable (${error.message})`);
+  }
+  if (!logKeyResponse.data.success || !proofResponse.data.success) {
+    throw transparencyError('log unavailable');
+  }
+
+  const logPublicKeyJWK = pinLogPublicKey(logKeyResponse.data.data.publicKeyJWK);
+  const proof = proofResponse.data.data;
+  await verifyInclusionResponse(userId, publicKeyJWK, proof, logPublicKeyJWK, deviceId);
+
+  await checkTreeHeadConsistency(proof.treeHead, async (first, second) => {
+    const response = await api.get('/keys/log/consistency', { params: { first, second } });
+    return response.data.data.proof;
+  });
+
+  return proof.entry;
+}
@@ -0,0 +1,270 @@
+/**
+ * Message Edits, Deletes and Reactions
+ *
+ * A message already sent on a pairwise conversation can be edited or deleted
+ * for everyone by its author, and either side can react to it. Each change is
+ * an EDIT, DELETE or REACTION envelope encrypted on the conversation's
+ * sessions like a text message; its payload is signed with the sender's
+ * identity key (as timer changes are), so only the peer's own devices can
+ * change what we see.
+ *
+ * Payload (JSON, encrypted): { kind: 'message_action', action, from, to, targets, text?, emoji?, sentAt, signature }
+ * targets lists the {sessionId, seq} copies of the target message: a message
+ * sent to several devices has one copy per device session, and each device
+ * finds the one it received. An empty emoji removes our reaction.
+ *
+ * Edits and reactions are applied if they are newer (by sentAt) than the
+ * change already applied; a deleted message keeps no content, reactions or
+ * quoted reply and accepts no further changes.
+ */
+
+import { signData, verifySignature, arrayBufferToBase64, base64ToArrayBuffer } from './signatures.js';
+import { updateStoredMessages } from '../utils/messageStorage.js';
+import { indexMessage } from '../utils/messageSearch.js';
+
+export const MESSAGE_ACTION_KIND = 'message_action';
+export const ACTION_EDIT = 'EDIT';
+export const ACTION_DELETE = 'DELETE';
+export const ACTION_REACTION = 'REACTION';
+export const MESSAGE_ACTION_TYPES = [ACTION_EDIT, ACTION_DELETE, ACTION_REACTION];
+
+/**
+ * Reactions offered in the chat
+ */
+export const REACTION_EMOJIS = ['👍', '❤️', '😂', '😮', '😢', '🙏'];
+
+const MAX_ACTION_TARGETS = 32; // One copy per device of the author's peer
+const MAX_EMOJI_LENGTH = 16;
+
+/**
+ * Lists the copies of a message a change can refer to
+ * Sent messages have one copy per peer device; received messages are known
+ * by the session they arrived on.
+ * @param {Object} message - Stored or displayed message
+ * @param {string} conversationId - Conversation the message belongs to
+ * @returns {Array<{sessionId: string, seq: number}>}
+ */
+export function getMessageTargets(message, conversationId) {
+  if (message.copies) {
+    return message.copies.map(({ sessionId, seq }) => ({ sessionId, seq }));
+  }
+  return [{ sessionId: message.receivedOn || conversationId, seq: message.seq }];
+}
+
+/**
+ * Checks whether a change refers to a message
+ * @param {Object} message - Stored or displayed message
+ * @param {string} conversationId - Conversation the message belongs to
+ * @param {Array<{sessionId: string, seq: number}>} targets - Targets of the change
+ * @returns {boolean}
+ */
+export function isActionTarget(message, conversationId, targets) {
+  return getMessageTargets(message, conversationId).some(copy =>
+    targets.some(target => target.sessionId === copy.sessionId && target.seq === copy.seq)
+  );
+}
+
+/**
+ * Checks the value an action carries
+ * @param {string} action - ACTION_EDIT, ACTION_DELETE or ACTION_REACTION
+ * @param {{text?: string, emoji?: string}} change - Action fields
+ * @returns {boolean}
+ */
+function isValidActionValue(action, { text, emoji }) {
+  switch (action) {
+    case ACTION_EDIT:
+      return typeof text === 'string' && text.trim().length > 0;
+    case ACTION_DELETE:
+      return true;
+    case ACTION_REACTION:
+      return typeof emoji === 'string' && emoji.length <= MAX_EMOJI_LENGTH;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Builds the data covered by a message action's signature
+ * @param {Object} change - Message action
+ * @returns {string}
+ */
+function actionSigningData({ action, from, to, targets, text, emoji, sentAt }) {
+  const value = action === ACTION_EDIT ? text : action === ACTION_REACTION ? emoji : null;
+  return JSON.stringify([MESSAGE_ACTION_KIND, action, from, to, targets, value, sentAt]);
+}
+
+/**
+ * Creates a signed message action
+ * @param {CryptoKey} identityPrivateKey - Our identity private key
+ * @param {string} action - ACTION_EDIT, ACTION_DELETE or ACTION_REACTION
+ * @param {string} from - Our user ID
+ * @param {string} to - Peer user ID
+ * @param {Array<{sessionId: string, seq: number}>} targets - Copies of the target message
+ * @param {string} [value] - New text (edits) or emoji (reactions, '' to remove)
+ * @param {number} [sentAt] - When the change was made (ms)
+ * @returns {Promise<Object>} Signed action {action, from, to, targets, text?, emoji?, sentAt, signature}
+ */
+export async function signMessageAction(identityPrivateKey, action, from, to, targets, value = null, sentAt = Date.now()) {
+  const change = { action, from, to, targets, sentAt };
+  if (action === ACTION_EDIT) change.text = value;
+  if (action === ACTION_REACTION) change.emoji = value;
+
+  if (!isValidActionValue(action, change)) {
+    throw new Error(`Invalid message action: ${action}`);
+  }
+  if (!Array.isArray(targets) || targets.length === 0 || targets.length > MAX_ACTION_TARGETS) {
+    throw new Error('Message action must refer to a sent message');
+  }
+
+  const signature = await signData(identityPrivateKey, actionSigningData(change));
+  return { ...change, signature: arrayBufferToBase64(signature) };
+}
+
+/**
+ * Verifies a message action against the sender's identity key
+ * @param {Object} change - Parsed message action
+ * @param {CryptoKey} identityPublicKey - Sender's identity public key
+ * @returns {Promise<boolean>}
+ */
+export async function verifyMessageAction(change, identityPublicKey) {
+  try {
+    return await verifySignature(identityPublicKey, base64ToArrayBuffer(change.signature), actionSigningData(change));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Serializes a signed message action for encryption
+ * @param {Object} change - Signed message action
+ * @returns {string} Action payload
+ */
+export function buildMessageActionPayload(change) {
+  return JSON.stringify({ kind: MESSAGE_ACTION_KIND, ...change });
+}
+
+/**
+ * Parses a decrypted EDIT, DELETE or REACTION payload
+ * @param {string} plaintext - Decrypted payload
+ * @param {string} type - Type of the envelope it arrived in (must match the action)
+ * @returns {Object|null} Message action (signature not yet verified), or null if malformed
+ */
+export function parseMessageActionPayload(plaintext, type) {
+  try {
+    const change = JSON.parse(plaintext);
+    if (change?.kind !== MESSAGE_ACTION_KIND ||
+        change.action !== type ||
+        typeof change.from !== 'string' ||
+        typeof change.to !== 'string' ||
+        !Array.isArray(change.targets) ||
+        change.targets.length === 0 || change.targets.length > MAX_ACTION_TARGETS ||
+        !change.targets.every(target => typeof target?.sessionId === 'string' && Number.isInteger(target.seq)) ||
+        !isValidActionValue(change.action, change) ||
+        !Number.isInteger(change.sentAt) || change.sentAt <= 0 ||
+        typeof change.signature !== 'string') {
+      return null;
+    }
+
+    const { action, from, to, targets, text, emoji, sentAt, signature } = change;
+    const parsed = {
+      action,
+      from,
+      to,
+      targets: targets.map(({ sessionId, seq }) => ({ sessionId, seq })),
+      sentAt,
+      signature
+    };
+    if (action === ACTION_EDIT) parsed.text = text;
+    if (action === ACTION_REACTION) parsed.emoji = emoji;
+    return parsed;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Applies a message action to one message
+ * Only the author may edit or delete a message, and only text messages can
+ * be edited. Changes older than the one already applied are ignored.
+ * @param {Object} message - Target message
+ * @param {Object} change - Verified message action
+ * @returns {Object|null} Updated message, or null if the change does not apply
+ */
+export function applyMessageAction(message, change) {
+  if (message.deleted) {
+    return null;
+  }
+
+  switch (change.action) {
+    case ACTION_EDIT:
+      if (message.sender !== change.from || message.type !== 'text' ||
+          (message.editedAt || 0) >= change.sentAt) {
+        return null;
+      }
+      return { ...message, content: change.text, editedAt: change.sentAt };
+
+    case ACTION_DELETE: {
+      if (message.sender !== change.from) {
+        return null;
+      }
+      const { reactions, editedAt, replyTo, ...rest } = message;
+      return { ...rest, content: '', deleted: true, deletedAt: change.sentAt };
+    }
+
+    case ACTION_REACTION: {
+      const reactions = message.reactions || {};
+      const current = Object.hasOwn(reactions, change.from) ? reactions[change.from] : null;
+      if (current && current.sentAt >= change.sentAt) {
+        return null;
+      }
+      return {
+        ...message,
+        reactions: { ...reactions, [change.from]: { emoji: change.emoji, sentAt: change.sentAt } }
+      };
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Counts a message's reactions for display
+ * @param {Object} message - Message with optional reactions
+ * @param {string} userId - Our user ID
+ * @returns {Array<{emoji: string, count: number, mine: boolean}>}
+ */
+export function summarizeReactions(message, userId) {
+  const summary = new Map();
+  for (const [reactorId, { emoji }] of Object.entries(message.reactions || {})) {
+    if (!emoji) continue;
+    const entry = summary.get(emoji) || { emoji, count: 0, mine: false };
+    entry.count++;
+    entry.mine = entry.mine || reactorId === userId;
+    summary.set(emoji, entry);
+  }
+  return [...summary.values()];
+}
+
+/**
+ * Applies a verified message action to the stored conversation history
+ * Edited messages are re-indexed for search; deleted ones leave the index.
+ * @param {string} conversationId - Conversation the target message is stored under
+ * @param {Object} change - Verified message action
+ * @param {string} userId - Owner of the message history
+ * @returns {Promise<Array<Object>>} Updated messages (empty if no stored message matched)
+ */
+export async function applyMessageActionToHistory(conversationId, change, userId) {
+  const updated = await updateStoredMessages(
+    conversationId,
+    (message) => (isActionTarget(message, conversationId, change.targets) ? applyMessageAction(message, change) : null),
+    userId
+  );
+
+  if (change.action !== ACTION_REACTION) {
+    for (const message of updated) {
+      await indexMessage(userId, conversationId, message);
+    }
+  }
+  return updated;
+}
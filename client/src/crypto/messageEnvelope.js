@@ -8,6 +8,7 @@
 import { generateNonce, generateTimestamp } from './messages.js';
 import { sequenceManager } from './messages.js';
 import { arrayBufferToBase64, signData } from './signatures.js';
+import { MESSAGE_ACTION_TYPES } from './messageActions.js';
 
 /**
  * Builds a text message envelope with optional identity signature for non-repudiation
@@ -18,9 +19,11 @@ import { arrayBufferToBase64, signData } from './signatures.js';
  * @param {Uint8Array} iv - Initialization vector (96 bits)
  * @param {ArrayBuffer} authTag - Authentication tag
  * @param {CryptoKey} identityPrivateKey - Optional identity private key for signing
+ * @param {Object} ratchetHeader - Optional Double Ratchet header {dh, pn, n}
+ * @param {Object} preKeyHeader - Optional pre-key header {ephPub, signedPreKeyId, oneTimePreKeyId, signature}
  * @returns {Promise<Object>} Message envelope with optional signature
  */
-export async function buildTextMessageEnvelope(sessionId, sender, receiver, ciphertext, iv, authTag, identityPrivateKey = null) {
+export async function buildTextMessageEnvelope(sessionId, sender, receiver, ciphertext, iv, authTag, identityPrivateKey = null, ratchetHeader = null, preKeyHeader = null) {
   const { timestamp, nonce } = generateTimestamp();
   const seq = sequenceManager.getNextSequence(sessionId);
 
@@ -37,6 +40,16 @@ export async function buildTextMessageEnvelope(sessionId, sender, receiver, ciph
     nonce: arrayBufferToBase64(nonce)
   };
 
+  // Ratchet header travels in the clear; it is bound to the ciphertext as AES-GCM associated data
+  if (ratchetHeader) {
+    envelope.ratchetHeader = ratchetHeader;
+  }
+
+  // Pre-key header lets an offline peer derive the session (see preKeys.js); it carries its own signature
+  if (preKeyHeader) {
+    envelope.preKeyHeader = preKeyHeader;
+  }
+
   // Add identity signature for non-repudiation if identity key provided
   if (identityPrivateKey) {
     const signaturePayload = JSON.stringify({
@@ -45,6 +58,7 @@ export async function buildTextMessageEnvelope(sessionId, sender, receiver, ciph
       receiver,
       timestamp,
       seq,
+      ratchetHeader,
       ciphertextHash: arrayBufferToBase64(ciphertext.slice(0, Math.min(32, ciphertext.byteLength))) // Hash of first 32 bytes
     });
     const encoder = new TextEncoder();
@@ -56,6 +70,116 @@ export async function buildTextMessageEnvelope(sessionId, sender, receiver, ciph
   return envelope;
 }
 
+/**
+ * Builds a delivery/read receipt envelope
+ * Receipts are encrypted on the pairwise session like text messages, so the
+ * server only learns that a receipt was sent, not which messages it covers.
+ * @param {string} sessionId - Session identifier
+ * @param {string} sender - Sender user ID
+ * @param {string} receiver - Receiver user ID
+ * @param {ArrayBuffer} ciphertext - Encrypted receipt payload
+ * @param {Uint8Array} iv - Initialization vector (96 bits)
+ * @param {ArrayBuffer} authTag - Authentication tag
+ * @param {Object} ratchetHeader - Optional Double Ratchet header {dh, pn, n}
+ * @returns {Object} Receipt envelope
+ */
+export function buildReceiptEnvelope(sessionId, sender, receiver, ciphertext, iv, authTag, ratchetHeader = null) {
+  const { timestamp, nonce } = generateTimestamp();
+  const seq = sequenceManager.getNextSequence(sessionId);
+
+  const envelope = {
+    type: 'RECEIPT',
+    sessionId,
+    sender,
+    receiver,
+    ciphertext: arrayBufferToBase64(ciphertext),
+    iv: arrayBufferToBase64(iv),
+    authTag: arrayBufferToBase64(authTag),
+    timestamp,
+    seq,
+    nonce: arrayBufferToBase64(nonce)
+  };
+
+  if (ratchetHeader) {
+    envelope.ratchetHeader = ratchetHeader;
+  }
+
+  return envelope;
+}
+
+/**
+ * Builds an edit, delete or reaction envelope
+ * Message actions are encrypted on the pairwise session like receipts; the
+ * server learns the action type but not which message it changes.
+ * @param {string} type - 'EDIT', 'DELETE' or 'REACTION'
+ * @param {string} sessionId - Session identifier
+ * @param {string} sender - Sender user ID
+ * @param {string} receiver - Receiver user ID
+ * @param {ArrayBuffer} ciphertext - Encrypted action payload
+ * @param {Uint8Array} iv - Initialization vector (96 bits)
+ * @param {ArrayBuffer} authTag - Authentication tag
+ * @param {Object} ratchetHeader - Optional Double Ratchet header {dh, pn, n}
+ * @returns {Object} Message action envelope
+ */
+export function buildMessageActionEnvelope(type, sessionId, sender, receiver, ciphertext, iv, authTag, ratchetHeader = null) {
+  if (!MESSAGE_ACTION_TYPES.includes(type)) {
+    throw new Error(`Invalid message action type: ${type}`);
+  }
+  const { timestamp, nonce } = generateTimestamp();
+  const seq = sequenceManager.getNextSequence(sessionId);
+
+  const envelope = {
+    type,
+    sessionId,
+    sender,
+    receiver,
+    ciphertext: arrayBufferToBase64(ciphertext),
+    iv: arrayBufferToBase64(iv),
+    authTag: arrayBufferToBase64(authTag),
+    timestamp,
+    seq,
+    nonce: arrayBufferToBase64(nonce)
+  };
+
+  if (ratchetHeader) {
+    envelope.ratchetHeader = ratchetHeader;
+  }
+
+  return envelope;
+}
+
+/**
+ * Builds a group text message envelope (encrypted once with the sender key)
+ * The server fans it out to every other member, so it has no single receiver.
+ * @param {string} groupId - Group ID (also used as the sessionId)
+ * @param {string} sender - Sender user ID
+ * @param {ArrayBuffer} ciphertext - Encrypted message content
+ * @param {Uint8Array} iv - Initialization vector (96 bits)
+ * @param {ArrayBuffer} authTag - Authentication tag
+ * @param {Object} senderKeyHeader - Sender key header {keyId, iteration}
+ * @param {string} signature - Base64 signature by the sender key's signing key
+ * @returns {Object} Group message envelope
+ */
+export function buildGroupMessageEnvelope(groupId, sender, ciphertext, iv, authTag, senderKeyHeader, signature) {
+  const { timestamp, nonce } = generateTimestamp();
+  const seq = sequenceManager.getNextSequence(groupId);
+
+  return {
+    type: 'MSG',
+    sessionId: groupId,
+    groupId,
+    sender,
+    ciphertext: arrayBufferToBase64(ciphertext),
+    iv: arrayBufferToBase64(iv),
+    authTag: arrayBufferToBase64(authTag),
+    timestamp,
+    seq,
+    nonce: arrayBufferToBase64(nonce),
+    senderKeyHeader,
+    signature
+  };
+}
+
 /**
  * Builds a file metadata envelope
  * @param {string} sessionId - Session identifier
@@ -130,8 +254,10 @@ export function buildFileChunkEnvelope(sessionId, sender, receiver, ciphertext,
  * @returns {{valid: boolean, error?: string}}
  */
 export function validateEnvelopeStructure(envelope) {
-  // Check required fields
-  const requiredFields = ['type', 'sessionId', 'sender', 'receiver', 'ciphertext', 'iv', 'authTag', 'timestamp', 'seq'];
+  // Check required fields (group envelopes are addressed to the group instead of a receiver)
+  const requiredFields = envelope.groupId
+    ? ['type', 'sessionId', 'groupId', 'sender', 'ciphertext', 'iv', 'authTag', 'timestamp', 'seq', 'senderKeyHeader', 'signature']
+    : ['type', 'sessionId', 'sender', 'receiver', 'ciphertext', 'iv', 'authTag', 'timestamp', 'seq'];
   
   for (const field of requiredFields) {
     if (!(field in envelope)) {
@@ -140,7 +266,7 @@ export function validateEnvelopeStructure(envelope) {
   }
 
   // Validate type
-  if (!['MSG', 'FILE_META', 'FILE_CHUNK'].includes(envelope.type)) {
+  if (!['MSG', 'FILE_META', 'FILE_CHUNK', 'RECEIPT', ...MESSAGE_ACTION_TYPES].includes(envelope.type)) {
     return { valid: false, error: 'Invalid message type' };
   }
 
@@ -162,6 +288,62 @@ export function validateEnvelopeStructure(envelope) {
     }
   }
 
+  // Validate ratchet header if present (text messages, receipts and message actions only)
+  if (envelope.ratchetHeader !== undefined) {
+    const header = envelope.ratchetHeader;
+    if (envelope.type === 'FILE_META' || envelope.type === 'FILE_CHUNK') {
+      return { valid: false, error: 'Ratchet header is not allowed on file envelopes' };
+    }
+    if (!header || typeof header !== 'object') {
+      return { valid: false, error: 'ratchetHeader must be an object' };
+    }
+    if (!Number.isInteger(header.n) || header.n < 0 || !Number.isInteger(header.pn) || header.pn < 0) {
+      return { valid: false, error: 'ratchetHeader must include non-negative integer n and pn' };
+    }
+    if (header.dh !== null && (typeof header.dh !== 'object' || !header.dh.x || !header.dh.y)) {
+      return { valid: false, error: 'ratchetHeader.dh must be a public key JWK or null' };
+    }
+  }
+
+  // Validate pre-key header if present (first text messages of a prekey session)
+  if (envelope.preKeyHeader !== undefined) {
+    const header = envelope.preKeyHeader;
+    if (envelope.type !== 'MSG') {
+      return { valid: false, error: 'Pre-key header is only allowed on MSG envelopes' };
+    }
+    if (!header || typeof header !== 'object') {
+      return { valid: false, error: 'preKeyHeader must be an object' };
+    }
+    if (!header.ephPub || typeof header.ephPub !== 'object' || !header.ephPub.x || !header.ephPub.y) {
+      return { valid: false, error: 'preKeyHeader.ephPub must be a public key JWK' };
+    }
+    if (!Number.isInteger(header.signedPreKeyId) ||
+        (header.oneTimePreKeyId !== null && !Number.isInteger(header.oneTimePreKeyId))) {
+      return { valid: false, error: 'preKeyHeader must include integer prekey IDs' };
+    }
+    if (typeof header.signature !== 'string') {
+      return { valid: false, error: 'preKeyHeader.signature must be a base64 string' };
+    }
+  }
+
+  // Validate sender key header (group text messages only)
+  if (envelope.groupId !== undefined) {
+    const header = envelope.senderKeyHeader;
+    if (envelope.type !== 'MSG') {
+      return { valid: false, error: 'Group envelopes must be MSG envelopes' };
+    }
+    if (envelope.sessionId !== envelope.groupId) {
+      return { valid: false, error: 'Group envelope sessionId must match groupId' };
+    }
+    if (!header || typeof header !== 'object' || typeof header.keyId !== 'string' ||
+        !Number.isInteger(header.iteration) || header.iteration < 0) {
+      return { valid: false, error: 'senderKeyHeader must include keyId and a non-negative integer iteration' };
+    }
+    if (typeof envelope.signature !== 'string') {
+      return { valid: false, error: 'signature must be a base64 string' };
+    }
+  }
+
   // Validate file metadata if present
   if (envelope.type === 'FILE_META' || envelope.type === 'FILE_CHUNK') {
     if (!envelope.meta) {
@@ -3,27 +3,113 @@
  * 
  * Handles sending and receiving encrypted messages using session keys
  * from Phase 3. Includes replay protection and integrity checking.
+ * 
+ * Text messages on sessions with ratchet state are encrypted with per-message
+ * keys from the Double Ratchet (doubleRatchet.js); sessions without it fall
+ * back to the static sendKey/recvKey pair.
+ *
+ * Group messages (envelopes with groupId) are encrypted once with the
+ * sender's group sender key (senderKeys.js). Sender keys themselves arrive as
+ * distribution messages over the pairwise sessions and are consumed here
+ * instead of being returned as chat text.
+ *
+ * Pairwise envelopes are addressed to one device of the peer (receiverDevice);
+ * sendToPeerDevices repeats a message on the sessions with the peer's other
+ * devices so each of them can decrypt it.
+ *
+ * Delivery/read receipts (receipts.js) are RECEIPT envelopes encrypted on the
+ * pairwise session like text messages; they are returned as control results.
+ *
+ * With sealed sender turned on (sealedSender.js), pairwise text messages and
+ * receipts are sealed to the recipient device and sent without identifying us;
+ * group messages and file transfers are always sent identified.
+ *
+ * Disappearing-message timer changes (disappearingMessages.js) are signed
+ * control messages on the pairwise sessions. Envelopes of a conversation with
+ * a timer carry expiresIn, and received messages report the timer so the
+ * caller can expire them.
+ *
+ * Edits, deletes and reactions (messageActions.js) are signed EDIT, DELETE and
+ * REACTION envelopes sent to every device of the peer, returned as control
+ * results and applied to the history once their signature is verified.
  */
 
-import { getSendKey, getRecvKey, updateSessionSeq, loadSession, triggerReplayDetection, triggerInvalidSignature, isNonceUsed, storeUsedNonce } from './sessionManager.js';
+import { getSendKey, getRecvKey, updateSessionSeq, loadSession, storeSession, triggerReplayDetection, triggerInvalidSignature, isNonceUsed, storeUsedNonce } from './sessionManager.js';
 import { encryptAESGCM, decryptAESGCM, decryptAESGCMToString } from './aesGcm.js';
-import { buildTextMessageEnvelope } from './messageEnvelope.js';
+import { ratchetEncrypt, ratchetDecrypt, hasSkippedMessageKey } from './doubleRatchet.js';
+import { buildTextMessageEnvelope, buildGroupMessageEnvelope, buildReceiptEnvelope, buildMessageActionEnvelope } from './messageEnvelope.js';
+import {
+  SENDER_KEY_DISTRIBUTION,
+  senderKeyEncrypt,
+  senderKeyDecrypt,
+  loadSenderKeyState,
+  hasSkippedSenderKey,
+  parseSenderKeyDistribution,
+  processSenderKeyDistribution
+} from './senderKeys.js';
 import { validateEnvelopeStructure } from './messageEnvelope.js';
 import { base64ToArrayBuffer } from './signatures.js';
 import { sequenceManager, generateTimestamp } from './messages.js';
 import { clearPlaintextAfterEncryption, clearPlaintextAfterDecryption } from './memorySecurity.js';
 import { logReplayAttempt, logTimestampFailure, logSeqMismatch, logDecryptionError, logMessageDropped } from '../utils/clientLogger.js';
+import { fetchPeerDevices, getPeerDeviceSessionId, getRehandshakeSessionId } from './devices.js';
+import { RECEIPT_KIND, buildReceiptPayload, parseReceiptPayload } from './receipts.js';
+import { isSealedSenderEnabled, sendSealedEnvelope } from './sealedSender.js';
+import { loadPrivateKey, importPublicKey } from './identityKeys.js';
+import {
+  TIMER_KIND,
+  isValidTimer,
+  signTimer,
+  verifyTimer,
+  buildTimerPayload,
+  parseTimerPayload,
+  applyTimerToSession,
+  getTimerSeconds
+} from './disappearingMessages.js';
+import {
+  MESSAGE_ACTION_KIND,
+  MESSAGE_ACTION_TYPES,
+  getMessageTargets,
+  signMessageAction,
+  verifyMessageAction,
+  buildMessageActionPayload,
+  parseMessageActionPayload,
+  applyMessageActionToHistory
+} from './messageActions.js';
+import { parseReplyPayload } from './replies.js';
+
+/**
+ * Default freshness window for live messages (2 minutes)
+ */
+const DEFAULT_MAX_AGE = 120000;
+
+/**
+ * Freshness window for envelopes held in the server mailbox while the
+ * recipient was offline (matches the server's default mailbox TTL of 7 days).
+ * Replay protection for these still relies on sequence numbers and nonces.
+ */
+export const MAILBOX_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
 
 /**
  * Validates timestamp freshness
  * @param {number} messageTimestamp - Message timestamp
  * @param {number} maxAge - Maximum age in milliseconds (default: 2 minutes)
+ * @param {number} maxFutureSkew - Maximum clock skew into the future (default: 2 minutes)
  * @returns {boolean} True if timestamp is valid
  */
-function validateTimestamp(messageTimestamp, maxAge = 120000) {
+function validateTimestamp(messageTimestamp, maxAge = DEFAULT_MAX_AGE, maxFutureSkew = DEFAULT_MAX_AGE) {
   const now = Date.now();
   const age = now - messageTimestamp;
-  return age <= maxAge && age >= -maxAge;
+  return age <= maxAge && age >= -maxFutureSkew;
+}
+
+/**
+ * Whether an envelope type carries text (file envelopes carry bytes)
+ * @param {string} type - Envelope type
+ * @returns {boolean}
+ */
+function isTextEnvelope(type) {
+  return type === 'MSG' || type === 'RECEIPT' || MESSAGE_ACTION_TYPES.includes(type);
 }
 
 /**
@@ -42,6 +128,47 @@ async function hashNonce(nonceBuffer) {
   return hex;
 }
 
+/**
+ * Pending operation per session, used to serialize ratchet state updates.
+ * Concurrent sends/receives on one session would otherwise load the same
+ * chain state and reuse (or lose) message keys.
+ */
+const sessionLocks = new Map(); // sessionId -> Promise
+
+/**
+ * Runs an operation after all previously queued operations for the session
+ * @param {string} sessionId - Session identifier
+ * @param {Function} operation - Async operation to run
+ * @returns {Promise<*>} Operation result
+ */
+async function withSessionLock(sessionId, operation) {
+  const previous = sessionLocks.get(sessionId) || Promise.resolve();
+  const current = previous.then(operation);
+  const tail = current.catch(() => {});
+  sessionLocks.set(sessionId, tail);
+  try {
+    return await current;
+  } finally {
+    if (sessionLocks.get(sessionId) === tail) {
+      sessionLocks.delete(sessionId);
+    }
+  }
+}
+
+/**
+ * Returns the disappearing-message timer of the conversation a session belongs to
+ * Sessions with a peer's other devices follow their conversation's timer.
+ * @param {Object} session - Session record (already loaded)
+ * @param {string} userId - User ID (for encrypted key access)
+ * @returns {Promise<number>} Timer in seconds (0: off)
+ */
+async function loadConversationTimer(session, userId) {
+  if (!session.conversationId || session.conversationId === session.sessionId) {
+    return getTimerSeconds(session);
+  }
+  return getTimerSeconds(await loadSession(session.conversationId, userId));
+}
+
 /**
  * Sends an encrypted text message
  * @param {string} sessionId - Session identifier
@@ -50,6 +177,33 @@ async function hashNonce(nonceBuffer) {
  * @returns {Promise<Object>} Sent envelope
  */
 export async function sendEncryptedMessage(sessionId, plaintext, socketEmit, userId = null) {
+  return await withSessionLock(sessionId, () => encryptAndSendMessage(sessionId, plaintext, socketEmit, userId));
+}
+
+/**
+ * Sends an encrypted delivery or read receipt
+ * @param {string} sessionId - Session the acknowledged messages arrived on
+ * @param {string} status - RECEIPT_DELIVERED or RECEIPT_READ
+ * @param {Array<number>} seqs - Sequence numbers of the acknowledged messages
+ * @param {Function} socketEmit - Socket.IO emit function
+ * @param {string} userId - User ID (for encrypted key access)
+ * @returns {Promise<Object>} Sent envelope
+ */
+export async function sendReceipt(sessionId, status, seqs, socketEmit, userId = null) {
+  const payload = buildReceiptPayload(status, seqs);
+  return await withSessionLock(sessionId, () => encryptAndSendMessage(sessionId, payload, socketEmit, userId, 'RECEIPT'));
+}
+
+/**
+ * Encrypts and sends a text message, receipt or message action (caller holds the session lock)
+ * @param {string} sessionId - Session identifier
+ * @param {string} plaintext - Message text (or receipt/action payload) to encrypt and send
+ * @param {Function} socketEmit - Socket.IO emit function
+ * @param {string} userId - User ID (for encrypted key access)
+ * @param {string} type - Envelope type: 'MSG', 'RECEIPT', 'EDIT', 'DELETE' or 'REACTION'
+ * @returns {Promise<Object>} Sent envelope
+ */
+async function encryptAndSendMessage(sessionId, plaintext, socketEmit, userId, type = 'MSG') {
   try {
     // 1. Load session (with userId for encrypted key access)
     const session = await loadSession(sessionId, userId);
@@ -62,12 +216,27 @@ export async function sendEncryptedMessage(sessionId, plaintext, socketEmit, use
     if (!userId) {
       userId = session.userId;
     }
+
+    // Restored from a backup: the peer's ratchet has moved on (see backup.js)
+    if (session.needsRehandshake) {
+      throw new Error('Session was restored from a backup and must be re-established before sending');
+    }
     
-    // 2. Get send key
-    const sendKey = await getSendKey(sessionId, userId);
+    // 2-3. Encrypt plaintext with the next ratchet message key (or static sendKey for legacy sessions)
+    let ciphertext, iv, authTag;
+    let ratchetHeader = null;
+    if (session.ratchet) {
+      const result = await ratchetEncrypt(session.ratchet, sessionId, plaintext);
+      ({ ciphertext, iv, authTag } = result);
+      ratchetHeader = result.header;
 
-    // 3. Encrypt plaintext with sendKey
-    const { ciphertext, iv, authTag } = await encryptAESGCM(sendKey, plaintext);
+      // Persist the advanced chain before the message leaves so a key is never reused
+      session.ratchet = result.state;
+      await storeSession(session, userId);
+    } else {
+      const sendKey = await getSendKey(sessionId, userId);
+      ({ ciphertext, iv, authTag } = await encryptAESGCM(sendKey, plaintext));
+    }
 
     // 3.5. Clear plaintext from memory after encryption
     if (plaintext instanceof ArrayBuffer) {
@@ -78,19 +247,38 @@ export async function sendEncryptedMessage(sessionId, plaintext, socketEmit, use
     }
 
     // 4. Build envelope
-    const envelope = buildTextMessageEnvelope(
-      sessionId,
-      session.userId,
-      session.peerId,
-      ciphertext,
-      iv,
-      authTag
-    );
+    const envelope = type === 'RECEIPT'
+      ? buildReceiptEnvelope(sessionId, session.userId, session.peerId, ciphertext, iv, authTag, ratchetHeader)
+      : MESSAGE_ACTION_TYPES.includes(type)
+        ? buildMessageActionEnvelope(type, sessionId, session.userId, session.peerId, ciphertext, iv, authTag, ratchetHeader)
+        : await buildTextMessageEnvelope(
+          sessionId,
+          session.userId,
+          session.peerId,
+          ciphertext,
+          iv,
+          authTag,
+          null,
+          ratchetHeader,
+          session.pendingPreKey || null
+        );
+    if (session.peerDeviceId) {
+      envelope.receiverDevice = session.peerDeviceId;
+    }
+    // Lets the server expire the message metadata with the conversation
+    const expiresIn = await loadConversationTimer(session, userId);
+    if (expiresIn) {
+      envelope.expiresIn = expiresIn;
+    }
 
-    // 5. Send via WebSocket
-    socketEmit('msg:send', envelope);
+    // 5. Send via WebSocket (sealed if enabled and the peer device accepts it)
+    const sealed = isSealedSenderEnabled() && await sendSealedEnvelope(envelope);
+    if (!sealed) {
+      socketEmit('msg:send', envelope);
+    }
 
-    console.log(`✓ Encrypted message sent (seq: ${envelope.seq})`);
+    const what = type === 'MSG' ? 'message' : type === 'RECEIPT' ? 'receipt' : 'message action';
+    console.log(`✓ Encrypted ${what} sent (seq: ${envelope.seq})`);
 
     return envelope;
   } catch (error) {
@@ -103,13 +291,258 @@ export async function sendEncryptedMessage(sessionId, plaintext, socketEmit, use
   }
 }
 
+/**
+ * Sends an encrypted text message to every active device of the session's peer
+ * The message goes out on the given (conversation) session first; each other
+ * device gets its own copy on its own session, created from the device's
+ * prekeys if needed. A device that cannot be reached does not fail the send.
+ * A conversation restored from a backup sends on the session that replaces
+ * it, so the returned envelope may name a different session.
+ * @param {string} sessionId - Conversation session identifier
+ * @param {string} plaintext - Message text to encrypt and send
+ * @param {Function} socketEmit - Socket.IO emit function
+ * @param {string} userId - Our user ID
+ * @param {string} password - User password (for new device sessions)
+ * @param {string} [type] - Envelope type: 'MSG' or a message action type
+ * @returns {Promise<{envelope: Object, devices: Array<{deviceId: string, sessionId?: string, seq?: number, error?: string}>}>}
+ */
+export async function sendToPeerDevices(sessionId, plaintext, socketEmit, userId, password, type = 'MSG') {
+  const send = (targetSessionId) => withSessionLock(targetSessionId, () =>
+    encryptAndSendMessage(targetSessionId, plaintext, socketEmit, userId, type));
+  const conversation = await loadSession(sessionId, userId);
+  const envelope = await send(conversation?.needsRehandshake
+    ? await getRehandshakeSessionId(userId, conversation, password)
+    : sessionId);
+
+  let peerDevices;
+  try {
+    peerDevices = await fetchPeerDevices(conversation.peerId);
+  } catch (error) {
+    console.warn(`Could not list devices of ${conversation.peerId}:`, error.message);
+    return { envelope, devices: [] };
+  }
+
+  // Sessions from before devices existed are with the peer's oldest device
+  const coveredDeviceId = conversation.peerDeviceId || peerDevices[0]?.deviceId;
+  const devices = [];
+  for (const { deviceId } of peerDevices) {
+    if (deviceId === coveredDeviceId) continue;
+    try {
+      const deviceSessionId = await getPeerDeviceSessionId(userId, conversation, deviceId, password);
+      const deviceEnvelope = await send(deviceSessionId);
+      devices.push({ deviceId, sessionId: deviceSessionId, seq: deviceEnvelope.seq });
+    } catch (error) {
+      console.warn(`Failed to send to device ${deviceId} of ${conversation.peerId}:`, error.message);
+      devices.push({ deviceId, error: error.message });
+    }
+  }
+
+  return { envelope, devices };
+}
+
+/**
+ * Records a verified timer change in a conversation's session record
+ * @param {string} conversationId - Conversation session identifier
+ * @param {string} userId - User ID (for encrypted key access)
+ * @param {Object} timer - Timer change
+ * @returns {Promise<boolean>} True if the timer changed (older changes are ignored)
+ */
+async function storeTimer(conversationId, userId, timer) {
+  return await withSessionLock(conversationId, async () => {
+    const session = await loadSession(conversationId, userId);
+    if (!session) {
+      throw new Error('Session not found');
+    }
+    if (!applyTimerToSession(session, timer)) {
+      return false;
+    }
+    await storeSession(session, userId);
+    return true;
+  });
+}
+
+/**
+ * Changes the disappearing-message timer of a conversation
+ * The signed change goes to every device of the peer; our own session record
+ * is updated once it has been sent.
+ * @param {string} sessionId - Conversation session identifier
+ * @param {number} seconds - New timer in seconds (0: off)
+ * @param {Function} socketEmit - Socket.IO emit function
+ * @param {string} userId - Our user ID
+ * @param {string} password - User password (unlocks the identity key that signs the change)
+ * @returns {Promise<{timer: Object, envelope: Object, devices: Array<Object>}>}
+ */
+export async function sendDisappearingTimer(sessionId, seconds, socketEmit, userId, password) {
+  if (!isValidTimer(seconds)) {
+    throw new Error(`Invalid disappearing message timer: ${seconds}`);
+  }
+  const session = await loadSession(sessionId, userId);
+  if (!session) {
+    throw new Error('Session not found');
+  }
+
+  const identityPrivateKey = await loadPrivateKey(userId, password);
+  const timer = await signTimer(identityPrivateKey, userId, session.peerId, seconds);
+  const { envelope, devices } = await sendToPeerDevices(sessionId, buildTimerPayload(timer), socketEmit, userId, password);
+  await storeTimer(sessionId, userId, timer);
+
+  console.log(`✓ Disappearing message timer set to ${seconds}s`);
+  return { timer, envelope, devices };
+}
+
+/**
+ * Applies a timer change received from the peer
+ * The change must come from the session peer, be addressed to us and carry a
+ * valid signature by the identity key of the device that sent it.
+ * @param {Object} result - Control result of handleIncomingMessage (control: TIMER_KIND)
+ * @param {string} userId - Our user ID
+ * @returns {Promise<boolean>} True if the conversation's timer changed
+ * @throws {Error} If the change is not from the peer or its signature is invalid
+ */
+export async function acceptDisappearingTimer(result, userId) {
+  const { timer, envelope, conversationId, peerId, peerDeviceId } = result;
+  if (timer.from !== peerId || timer.to !== userId) {
+    throw new Error('Timer change is not addressed to this conversation');
+  }
+
+  const { fetchPeerDeviceKey } = await import('./sessionEstablishment.js');
+  const { publicIdentityKeyJWK } = await fetchPeerDeviceKey(userId, peerId, peerDeviceId || undefined);
+  const valid = await verifyTimer(timer, await importPublicKey(publicIdentityKeyJWK));
+  if (!valid) {
+    const error = 'Invalid disappearing timer signature';
+    triggerInvalidSignature(envelope.sessionId, { ...envelope, reason: error });
+    await logMessageDropped(envelope.sessionId, envelope.seq, error, userId);
+    throw new Error(error);
+  }
+
+  return await storeTimer(conversationId, userId, timer);
+}
+
+/**
+ * Edits, deletes or reacts to a message of a pairwise conversation
+ * The signed action goes to every device of the peer and is then applied to
+ * our own stored history.
+ * @param {string} sessionId - Conversation session identifier
+ * @param {string} type - 'EDIT', 'DELETE' or 'REACTION'
+ * @param {Object} message - Target message (with copies if we sent it, receivedOn if we received it)
+ * @param {string|null} value - New text (edits) or emoji (reactions, '' to remove)
+ * @param {Function} socketEmit - Socket.IO emit function
+ * @param {string} userId - Our user ID
+ * @param {string} password - User password (unlocks the identity key that signs the action)
+ * @returns {Promise<{action: Object, envelope: Object, devices: Array<Object>, updated: Array<Object>}>}
+ */
+export async function sendMessageAction(sessionId, type, message, value, socketEmit, userId, password) {
+  const session = await loadSession(sessionId, userId);
+  if (!session) {
+    throw new Error('Session not found');
+  }
+
+  const identityPrivateKey = await loadPrivateKey(userId, password);
+  const action = await signMessageAction(
+    identityPrivateKey,
+    type,
+    userId,
+    session.peerId,
+    getMessageTargets(message, sessionId),
+    value
+  );
+  const { envelope, devices } = await sendToPeerDevices(
+    sessionId,
+    buildMessageActionPayload(action),
+    socketEmit,
+    userId,
+    password,
+    type
+  );
+  const updated = await applyMessageActionToHistory(sessionId, action, userId);
+
+  console.log(`✓ ${type} sent for message ${message.id}`);
+  return { action, envelope, devices, updated };
+}
+
+/**
+ * Applies an edit, delete or reaction received from the peer
+ * The action must come from the session peer, be addressed to us and carry a
+ * valid signature by the identity key of the device that sent it.
+ * @param {Object} result - Control result of handleIncomingMessage (control: MESSAGE_ACTION_KIND)
+ * @param {string} userId - Our user ID
+ * @returns {Promise<Array<Object>>} Updated messages (empty if the action changed nothing)
+ * @throws {Error} If the action is not from the peer or its signature is invalid
+ */
+export async function acceptMessageAction(result, userId) {
+  const { action, envelope, conversationId, peerId, peerDeviceId } = result;
+  if (action.from !== peerId || action.to !== userId) {
+    throw new Error('Message action is not addressed to this conversation');
+  }
+
+  const { fetchPeerDeviceKey } = await import('./sessionEstablishment.js');
+  const { publicIdentityKeyJWK } = await fetchPeerDeviceKey(userId, peerId, peerDeviceId || undefined);
+  const valid = await verifyMessageAction(action, await importPublicKey(publicIdentityKeyJWK));
+  if (!valid) {
+    const error = 'Invalid message action signature';
+    triggerInvalidSignature(envelope.sessionId, { ...envelope, reason: error });
+    await logMessageDropped(envelope.sessionId, envelope.seq, error, userId);
+    throw new Error(error);
+  }
+
+  return await applyMessageActionToHistory(conversationId, action, userId);
+}
+
+/**
+ * Sends an encrypted group text message
+ * Our sender key must already have been distributed (see groupSessions.js).
+ * @param {string} groupId - Group ID
+ * @param {string} plaintext - Message text to encrypt and send
+ * @param {Function} socketEmit - Socket.IO emit function
+ * @param {string} userId - Our user ID
+ * @returns {Promise<Object>} Sent envelope
+ */
+export async function sendGroupMessage(groupId, plaintext, socketEmit, userId) {
+  return await withSessionLock(groupId, async () => {
+    try {
+      const { header, ciphertext, iv, authTag, signature } = await senderKeyEncrypt(userId, groupId, plaintext);
+      clearPlaintextAfterEncryption(plaintext);
+
+      const envelope = buildGroupMessageEnvelope(groupId, userId, ciphertext, iv, authTag, header, signature);
+      socketEmit('msg:send', envelope);
+
+      console.log(`✓ Encrypted group message sent (iteration: ${header.iteration})`);
+      return envelope;
+    } catch (error) {
+      if (error.userMessage) {
+        throw error;
+      }
+      const { createUserFriendlyError } = await import('../utils/cryptoErrors.js');
+      throw createUserFriendlyError(error, 'message sending');
+    }
+  });
+}
+
 /**
  * Handles incoming encrypted message
  * @param {Object} envelope - Message envelope
  * @param {string} userId - User ID (for encrypted key access)
- * @returns {Promise<{valid: boolean, plaintext?: string, error?: string}>}
+ * @param {Object} options - Receive options
+ * @param {number} options.maxAge - Timestamp freshness window in ms (use MAILBOX_MAX_AGE for mailbox deliveries)
+ * @returns {Promise<{valid: boolean, plaintext?: string, replyTo?: Object, conversationId?: string, expiresIn?: number, error?: string, retryable?: boolean}>}
+ *   retryable: the envelope was not consumed and may be processed later (e.g. its session or key has not arrived yet)
+ */
+export async function handleIncomingMessage(envelope, userId = null, options = {}) {
+  return await withSessionLock(envelope?.sessionId, () => processIncomingMessage(envelope, userId, options));
+}
+
+/**
+ * Validates and decrypts an incoming envelope (caller holds the session lock)
+ * @param {Object} envelope - Message envelope
+ * @param {string} userId - User ID (for encrypted key access)
+ * @param {Object} options - Receive options (see handleIncomingMessage)
+ * @returns {Promise<{valid: boolean, plaintext?: string, replyTo?: Object, conversationId?: string, expiresIn?: number, error?: string, retryable?: boolean}>}
  */
-export async function handleIncomingMessage(envelope, userId = null) {
+async function processIncomingMessage(envelope, userId, options = {}) {
+  if (envelope?.groupId) {
+    return await processIncomingGroupMessage(envelope, userId, options);
+  }
+
   try {
     // 1. Validate envelope structure
     const structureCheck = validateEnvelopeStructure(envelope);
@@ -118,8 +551,8 @@ export async function handleIncomingMessage(envelope, userId = null) {
       return { valid: false, error: structureCheck.error };
     }
 
-    // 2. Validate timestamp freshness
-    const maxAge = 120000; // 2 minutes
+    // 2. Validate timestamp freshness (2 minutes unless delivered from the mailbox)
+    const maxAge = options.maxAge || DEFAULT_MAX_AGE;
     if (!validateTimestamp(envelope.timestamp, maxAge)) {
       const error = 'Timestamp out of validity window';
       console.warn(`⚠️  Replay attempt: ${error}`);
@@ -130,11 +563,30 @@ export async function handleIncomingMessage(envelope, userId = null) {
     }
 
     // 3. Load session early to get lastSeq for validation
-    const session = await loadSession(envelope.sessionId, userId);
+    let session = await loadSession(envelope.sessionId, userId);
+    if (!session && envelope.preKeyHeader) {
+      // First message of a session the sender derived from our prekey bundle
+      try {
+        const { acceptPreKeySession } = await import('./sessionEstablishment.js');
+        ({ session } = await acceptPreKeySession(envelope, userId || envelope.receiver));
+      } catch (error) {
+        console.error('Failed to accept prekey session:', error);
+        await logMessageDropped(envelope.sessionId, envelope.seq, error.message, userId);
+        return { valid: false, error: error.message };
+      }
+    }
     if (!session) {
       const error = 'Session not found';
       await logMessageDropped(envelope.sessionId, envelope.seq, error, userId);
-      return { valid: false, error };
+      return { valid: false, error, retryable: true };
+    }
+
+    // Ratchet state arrives with the session handshake; checked before the
+    // sequence number is taken so the envelope can still be processed later
+    if (envelope.ratchetHeader && !session.ratchet) {
+      const error = 'Ratchet header received for a session without ratchet state';
+      await logMessageDropped(envelope.sessionId, envelope.seq, error, userId);
+      return { valid: false, error, retryable: true };
     }
 
     // Use userId from session if not provided
@@ -143,9 +595,15 @@ export async function handleIncomingMessage(envelope, userId = null) {
     }
 
     // 3.5. Validate sequence number (strictly increasing)
+    // Late ratchet messages are accepted only while their skipped key is cached;
+    // the key is deleted on use, so a delivered message cannot be replayed.
     const lastSeq = session.lastSeq || 0;
     const isValidSeq = sequenceManager.validateSequence(envelope.sessionId, envelope.seq);
-    if (!isValidSeq) {
+    const isLateRatchetMessage = !isValidSeq &&
+      !!session.ratchet &&
+      !!envelope.ratchetHeader &&
+      hasSkippedMessageKey(session.ratchet, envelope.ratchetHeader);
+    if (!isValidSeq && !isLateRatchetMessage) {
       const error = 'Sequence number must be strictly increasing';
       console.warn(`⚠️  Replay attempt: ${error}`);
       await logSeqMismatch(envelope.sessionId, envelope.seq, lastSeq, userId);
@@ -185,30 +643,119 @@ export async function handleIncomingMessage(envelope, userId = null) {
     }
 
     // 5. Get receive key (session already loaded and validated)
-
-    const recvKey = await getRecvKey(envelope.sessionId, userId);
+    // Ratchet messages derive their own key in step 7
+    const recvKey = envelope.ratchetHeader ? null : await getRecvKey(envelope.sessionId, userId);
 
     // 6. Convert base64 fields to ArrayBuffer
     const ciphertext = base64ToArrayBuffer(envelope.ciphertext);
     const iv = base64ToArrayBuffer(envelope.iv);
     const authTag = base64ToArrayBuffer(envelope.authTag);
 
-    // 7. Decrypt using recvKey
+    // 7. Decrypt using the ratchet message key or recvKey
     let plaintext;
     try {
-      if (envelope.type === 'MSG') {
-        plaintext = await decryptAESGCMToString(recvKey, iv, ciphertext, authTag);
+      if (envelope.ratchetHeader) {
+        const result = await ratchetDecrypt(
+          session.ratchet,
+          envelope.sessionId,
+          envelope.ratchetHeader,
+          ciphertext,
+          iv,
+          authTag
+        );
+        plaintext = isTextEnvelope(envelope.type)
+          ? new TextDecoder().decode(result.plaintext)
+          : result.plaintext;
+
+        // 8. Persist advanced ratchet state together with the sequence number
+        session.ratchet = result.state;
+        // Any reply proves the peer holds the session; stop sending the pre-key header
+        delete session.pendingPreKey;
+        session.lastSeq = Math.max(lastSeq, envelope.seq);
+        session.lastTimestamp = Date.now();
+        session.updatedAt = new Date().toISOString();
+        await storeSession(session, userId);
       } else {
-        // For file chunks, return ArrayBuffer
-        plaintext = await decryptAESGCM(recvKey, iv, ciphertext, authTag);
-      }
+        if (isTextEnvelope(envelope.type)) {
+          plaintext = await decryptAESGCMToString(recvKey, iv, ciphertext, authTag);
+        } else {
+          // For file chunks, return ArrayBuffer
+          plaintext = await decryptAESGCM(recvKey, iv, ciphertext, authTag);
+        }
 
-      // 8. Update session sequence (with userId for encrypted storage)
-      await updateSessionSeq(envelope.sessionId, envelope.seq, userId);
+        // 8. Update session sequence (with userId for encrypted storage)
+        await updateSessionSeq(envelope.sessionId, envelope.seq, userId);
+      }
 
       // 9. Store nonce hash in session metadata (track last 200 nonces)
       await storeUsedNonce(envelope.sessionId, nonceHash);
 
+      // 10. Sender key distributions are key material, not chat text.
+      // The owner is the authenticated session peer, not the envelope's sender field.
+      const distribution = envelope.type === 'MSG' ? parseSenderKeyDistribution(plaintext) : null;
+      if (distribution) {
+        await processSenderKeyDistribution(userId || session.userId, session.peerId, distribution);
+        console.log(`✓ Sender key received for group ${distribution.groupId}`);
+        return {
+          valid: true,
+          control: SENDER_KEY_DISTRIBUTION,
+          groupId: distribution.groupId,
+          envelope
+        };
+      }
+
+      // 10.5. Timer changes are checked against the peer's identity key by the caller
+      // (acceptDisappearingTimer), outside this session's lock
+      const timer = envelope.type === 'MSG' ? parseTimerPayload(plaintext) : null;
+      if (timer) {
+        return {
+          valid: true,
+          control: TIMER_KIND,
+          timer,
+          envelope,
+          conversationId: session.conversationId || envelope.sessionId,
+          peerId: session.peerId,
+          peerDeviceId: session.peerDeviceId || null
+        };
+      }
+
+      // 11. Receipts update the status of our sent messages instead of being displayed
+      if (envelope.type === 'RECEIPT') {
+        const receipt = parseReceiptPayload(plaintext);
+        if (!receipt) {
+          const error = 'Malformed receipt';
+          await logMessageDropped(envelope.sessionId, envelope.seq, error, userId);
+          return { valid: false, error };
+        }
+        return {
+          valid: true,
+          control: RECEIPT_KIND,
+          receipt,
+          envelope,
+          conversationId: session.conversationId || envelope.sessionId
+        };
+      }
+
+      // 11.5. Edits, deletes and reactions are checked against the peer's identity key
+      // by the caller (acceptMessageAction), outside this session's lock
+      if (MESSAGE_ACTION_TYPES.includes(envelope.type)) {
+        const action = parseMessageActionPayload(plaintext, envelope.type);
+        if (!action) {
+          const error = 'Malformed message action';
+          await logMessageDropped(envelope.sessionId, envelope.seq, error, userId);
+          return { valid: false, error };
+        }
+        return {
+          valid: true,
+          control: MESSAGE_ACTION_KIND,
+          action,
+          envelope,
+          conversationId: session.conversationId || envelope.sessionId,
+          peerId: session.peerId,
+          peerDeviceId: session.peerDeviceId || null
+        };
+      }
+
       console.log(`✓ Message decrypted successfully (seq: ${envelope.seq})`);
 
       // Note: Plaintext is returned to caller - they should clear it after use
@@ -221,10 +768,16 @@ export async function handleIncomingMessage(envelope, userId = null) {
         }, 100);
       }
       
+      // Sessions with a peer's other devices belong to one conversation;
+      // expiresIn is our agreed timer, not the one the envelope claims
+      const reply = envelope.type === 'MSG' ? parseReplyPayload(plaintext) : null;
       return {
         valid: true,
-        plaintext,
-        envelope
+        plaintext: reply ? reply.text : plaintext,
+        replyTo: reply?.replyTo,
+        envelope,
+        conversationId: session.conversationId || envelope.sessionId,
+        expiresIn: await loadConversationTimer(session, userId)
       };
     } catch (error) {
       // Log technical error for debugging
@@ -242,12 +795,109 @@ export async function handleIncomingMessage(envelope, userId = null) {
       return { valid: false, error: userMessage, technicalError: technicalMessage };
     }
   } catch (error) {
-    // Outer catch for any unexpected errors
+    // Outer catch for any unexpected errors (e.g. session storage locked)
     const technicalMessage = error.technicalMessage || error.message;
     console.error('Unexpected error in handleIncomingMessage:', technicalMessage);
     const userMessage = error.userMessage || error.message || 'An unexpected error occurred';
-    return { valid: false, error: userMessage, technicalError: technicalMessage };
+    return { valid: false, error: userMessage, technicalError: technicalMessage, retryable: true };
   }
 }
 
+/**
+ * Validates and decrypts an incoming group envelope (caller holds the group lock)
+ * Replays are rejected by the sender key chain itself: every message key is
+ * derived once and cached keys for late messages are deleted on use.
+ * @param {Object} envelope - Group message envelope
+ * @param {string} userId - Our user ID (required: there is no session record to take it from)
+ * @param {Object} options - Receive options (see handleIncomingMessage)
+ * @returns {Promise<{valid: boolean, plaintext?: string, replyTo?: Object, error?: string, code?: string, retryable?: boolean}>}
+ */
+async function processIncomingGroupMessage(envelope, userId, options = {}) {
+  try {
+    // 1. Validate envelope structure
+    const structureCheck = validateEnvelopeStructure(envelope);
+    if (!structureCheck.valid) {
+      console.error('Invalid envelope structure:', structureCheck.error);
+      return { valid: false, error: structureCheck.error };
+    }
+    if (!userId) {
+      return { valid: false, error: 'User ID is required to decrypt group messages' };
+    }
+
+    // 2. Validate timestamp freshness (2 minutes unless delivered from the mailbox)
+    const maxAge = options.maxAge || DEFAULT_MAX_AGE;
+    if (!validateTimestamp(envelope.timestamp, maxAge)) {
+      const error = 'Timestamp out of validity window';
+      console.warn(`⚠️  Replay attempt: ${error}`);
+      await logTimestampFailure(envelope.sessionId, envelope.seq, envelope.timestamp, error, userId);
+      await logReplayAttempt(envelope.sessionId, envelope.seq, envelope.timestamp, error, userId);
+      triggerReplayDetection(envelope.sessionId, { ...envelope, reason: error });
+      return { valid: false, error };
+    }
 
+    // 3. Validate sequence number per sender (each member counts their own messages)
+    const senderStream = `${userId}:${envelope.groupId}:${envelope.sender}`;
+    const state = await loadSenderKeyState(userId, envelope.groupId, envelope.sender);
+    if (!state || state.keyId !== envelope.senderKeyHeader?.keyId) {
+      // The sender's key distribution may still be on its way: checked before
+      // the sequence number is taken so the envelope can be processed later
+      const technicalMessage = 'No sender key from this member yet';
+      await logMessageDropped(envelope.sessionId, envelope.seq, technicalMessage, userId);
+      const { getCryptoErrorMessage } = await import('../utils/cryptoErrors.js');
+      const { userMessage } = getCryptoErrorMessage({ code: 'SENDER_KEY_MISSING', message: technicalMessage }, 'decryption');
+      return { valid: false, error: userMessage, code: 'SENDER_KEY_MISSING', technicalError: technicalMessage, retryable: true };
+    }
+    const isValidSeq = sequenceManager.validateSequence(senderStream, envelope.seq);
+    if (!isValidSeq && !hasSkippedSenderKey(state, envelope.senderKeyHeader)) {
+      const error = 'Sequence number must be strictly increasing';
+      console.warn(`⚠️  Replay attempt: ${error}`);
+      await logSeqMismatch(envelope.sessionId, envelope.seq, 0, userId);
+      await logReplayAttempt(envelope.sessionId, envelope.seq, envelope.timestamp, error, userId);
+      triggerReplayDetection(envelope.sessionId, { ...envelope, reason: error });
+      return { valid: false, error };
+    }
+
+    // 4. Verify the sender's signature and decrypt with their sender key
+    let plaintext;
+    try {
+      const decrypted = await senderKeyDecrypt(
+        userId,
+        envelope.groupId,
+        envelope.sender,
+        envelope.senderKeyHeader,
+        envelope.ciphertext,
+        envelope.iv,
+        envelope.authTag,
+        envelope.signature
+      );
+      plaintext = new TextDecoder().decode(decrypted);
+    } catch (error) {
+      const technicalMessage = error.message;
+      console.error('Failed to decrypt group message:', technicalMessage);
+      await logDecryptionError(envelope.sessionId, envelope.seq, technicalMessage, userId);
+      if (error.code === 'INVALID_SIGNATURE' || technicalMessage.includes('decrypt')) {
+        triggerInvalidSignature(envelope.sessionId, { ...envelope, reason: technicalMessage });
+      }
+      if (error.code === 'REPLAY_DETECTED') {
+        triggerReplayDetection(envelope.sessionId, { ...envelope, reason: technicalMessage });
+      }
+      const { getCryptoErrorMessage } = await import('../utils/cryptoErrors.js');
+      const { userMessage } = getCryptoErrorMessage(error, 'decryption');
+      return { valid: false, error: userMessage, code: error.code, technicalError: technicalMessage };
+    }
+
+    console.log(`✓ Group message decrypted successfully (iteration: ${envelope.senderKeyHeader.iteration})`);
+    const reply = parseReplyPayload(plaintext);
+    return {
+      valid: true,
+      plaintext: reply ? reply.text : plaintext,
+      replyTo: reply?.replyTo,
+      envelope
+    };
+  } catch (error) {
+    const technicalMessage = error.technicalMessage || error.message;
+    console.error('Unexpected error in handleIncomingMessage:', technicalMessage);
+    const userMessage = error.userMessage || error.message || 'An unexpected error occurred';
+    return { valid: false, error: userMessage, technicalError: technicalMessage, retryable: true };
+  }
+}
@@ -0,0 +1,515 @@
+/**
+ * Prekey Management (X3DH-style asynchronous session setup)
+ *
+ * Lets a peer derive a session with us while we are offline:
+ * - Signed prekey (SPK): medium-term ECDH P-256 key signed by our identity key
+ * - One-time prekeys (OPK): single-use ECDH P-256 keys; the server hands out
+ *   and deletes one per bundle fetch
+ *
+ * Identity keys are ECDSA-only, so they authenticate by signature rather than DH:
+ * the SPK is signed by the responder, the pre-key header by the initiator.
+ *
+ * Shared secret:
+ *   DH1 = ECDH(EK_initiator, SPK_responder)
+ *   DH2 = ECDH(EK_initiator, OPK_responder)  (omitted when no one-time prekey is left)
+ *   sharedSecret = DH1 || DH2  -> deriveSessionKeys()
+ *
+ * Private halves are encrypted with the session encryption key and stored in
+ * the 'preKeys' IndexedDB store; public halves are uploaded via /keys/prekeys.
+ */
+
+import { generateEphemeralKeyPair, computeSharedSecret, exportPublicKey, importPublicKey } from './ecdh.js';
+import { signData, verifySignature, signEphemeralKey, verifyEphemeralKeySignature, arrayBufferToBase64, base64ToArrayBuffer } from './signatures.js';
+import { encryptForStorage, decryptFromStorage } from './sessionManager.js';
+
+const DB_NAME = 'InfosecCryptoDB';
+const DB_VERSION = 11; // Must match the highest version used by any module
+const PREKEYS_STORE = 'preKeys';
+
+/**
+ * Number of one-time prekeys generated per upload
+ */
+export const ONE_TIME_PREKEY_BATCH = 50;
+
+/**
+ * Opens IndexedDB database
+ * @returns {Promise<IDBDatabase>}
+ */
+async function openDB() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result);
+
+    request.onupgradeneeded = (event) => {
+      const db = event.target.result;
+      // Create preKeys store if it doesn't exist
+      if (!db.objectStoreNames.contains(PREKEYS_STORE)) {
+        const preKeyStore = db.createObjectStore(PREKEYS_STORE, { keyPath: 'id' });
+        preKeyStore.createIndex('userId', 'userId', { unique: false });
+      }
+      if (!db.objectStoreNames.contains('contacts')) {
+        const contactStore = db.createObjectStore('contacts', { keyPath: 'id' });
+        contactStore.createIndex('userId', 'userId', { unique: false });
+      }
+      if (!db.objectStoreNames.contains('senderKeys')) {
+        const senderKeyStore = db.createObjectStore('senderKeys', { keyPath: 'id' });
+        senderKeyStore.createIndex('groupId', 'groupId', { unique: false });
+      }
+      if (!db.objectStoreNames.contains('searchIndex')) {
+        const searchIndexStore = db.createObjectStore('searchIndex', { keyPath: 'id' });
+        searchIndexStore.createIndex('userId', 'userId', { unique: false });
+      }
+      // Also ensure other common stores exist (for backward compatibility)
+      if (!db.objectStoreNames.contains('identityKeys')) {
+        db.createObjectStore('identityKeys', { keyPath: 'userId' });
+      }
+      if (!db.objectStoreNames.contains('sessions')) {
+        db.createObjectStore('sessions', { keyPath: 'sessionId' });
+      }
+      if (!db.objectStoreNames.contains('sessionEncryptionKeys')) {
+        db.createObjectStore('sessionEncryptionKeys', { keyPath: 'userId' });
+      }
+      if (!db.objectStoreNames.contains('messages')) {
+        const msgStore = db.createObjectStore('messages', { keyPath: 'id' });
+        msgStore.createIndex('sessionId', 'sessionId', { unique: false });
+        msgStore.createIndex('timestamp', 'timestamp', { unique: false });
+        msgStore.createIndex('seq', 'seq', { unique: false });
+      }
+      if (!db.objectStoreNames.contains('clientLogs')) {
+        const logStore = db.createObjectStore('clientLogs', {
+          keyPath: 'id',
+          autoIncrement: true
+        });
+        logStore.createIndex('timestamp', 'timestamp', { unique: false });
+        logStore.createIndex('userId', 'userId', { unique: false });
+        logStore.createIndex('sessionId', 'sessionId', { unique: false });
+        logStore.createIndex('event', 'event', { unique: false });
+        logStore.createIndex('synced', 'synced', { unique: false });
+      }
+      if (!db.objectStoreNames.contains('messageQueue')) {
+        const queueStore = db.createObjectStore('messageQueue', { keyPath: 'id', autoIncrement: true });
+        queueStore.createIndex('sessionId', 'sessionId', { unique: false });
+        queueStore.createIndex('timestamp', 'timestamp', { unique: false });
+      }
+    };
+  });
+}
+
+/**
+ * Builds the storage key for a prekey record
+ * @param {string} userId - User ID
+ * @param {string} kind - 'signed' or 'oneTime'
+ * @param {number} keyId - Prekey ID
+ * @returns {string}
+ */
+function preKeyRecordId(userId, kind, keyId) {
+  return `${userId}:${kind}:${keyId}`;
+}
+
+/**
+ * Generates a random 31-bit prekey ID
+ * @returns {number}
+ */
+function generatePreKeyId() {
+  return crypto.getRandomValues(new Uint32Array(1))[0] >>> 1;
+}
+
+/**
+ * Concatenates DH outputs into one shared secret
+ * @param {Array<ArrayBuffer>} dhOutputs - ECDH outputs in protocol order
+ * @returns {ArrayBuffer}
+ */
+function concatDHOutputs(dhOutputs) {
+  const total = dhOutputs.reduce((sum, dh) => sum + dh.byteLength, 0);
+  const combined = new Uint8Array(total);
+  let offset = 0;
+  for (const dh of dhOutputs) {
+    combined.set(new Uint8Array(dh), offset);
+    offset += dh.byteLength;
+  }
+  return combined.buffer;
+}
+
+/**
+ * Generates a signed prekey
+ * @param {CryptoKey} identityPrivateKey - Identity private key (ECDSA) for signing
+ * @returns {Promise<{keyId: number, keyPair: {privateKey: CryptoKey, publicKey: CryptoKey}, publicKeyJWK: Object, signature: string}>}
+ */
+export async function generateSignedPreKey(identityPrivateKey) {
+  try {
+    const keyPair = await generateEphemeralKeyPair();
+    const publicKeyJWK = await exportPublicKey(keyPair.publicKey);
+    const signature = await signEphemeralKey(identityPrivateKey, publicKeyJWK);
+
+    return {
+      keyId: generatePreKeyId(),
+      keyPair,
+      publicKeyJWK,
+      signature: arrayBufferToBase64(signature)
+    };
+  } catch (error) {
+    throw new Error(`Failed to generate signed prekey: ${error.message}`);
+  }
+}
+
+/**
+ * Generates a batch of one-time prekeys
+ * @param {number} count - Number of keys (default: ONE_TIME_PREKEY_BATCH)
+ * @returns {Promise<Array<{keyId: number, keyPair: Object, publicKeyJWK: Object}>>}
+ */
+export async function generateOneTimePreKeys(count = ONE_TIME_PREKEY_BATCH) {
+  try {
+    const preKeys = [];
+    for (let i = 0; i < count; i++) {
+      const keyPair = await generateEphemeralKeyPair();
+      preKeys.push({
+        keyId: generatePreKeyId(),
+        keyPair,
+        publicKeyJWK: await exportPublicKey(keyPair.publicKey)
+      });
+    }
+    return preKeys;
+  } catch (error) {
+    throw new Error(`Failed to generate one-time prekeys: ${error.message}`);
+  }
+}
+
+/**
+ * Verifies the identity signature on a peer's signed prekey
+ * @param {CryptoKey} identityPublicKey - Peer identity public key (ECDSA)
+ * @param {{publicKeyJWK: Object, signature: string}} signedPreKey - Signed prekey from bundle
+ * @returns {Promise<boolean>} True if signature is valid
+ */
+export async function verifySignedPreKey(identityPublicKey, signedPreKey) {
+  if (!signedPreKey?.publicKeyJWK || !signedPreKey?.signature) {
+    return false;
+  }
+  return await verifyEphemeralKeySignature(
+    identityPublicKey,
+    base64ToArrayBuffer(signedPreKey.signature),
+    signedPreKey.publicKeyJWK
+  );
+}
+
+/**
+ * Stores a prekey pair, encrypting the private key with the session encryption key
+ * @param {string} userId - User ID
+ * @param {string} kind - 'signed' or 'oneTime'
+ * @param {number} keyId - Prekey ID
+ * @param {{privateKey: CryptoKey, publicKey: CryptoKey}} keyPair - ECDH key pair
+ * @returns {Promise<void>}
+ */
+export async function storePreKeyPair(userId, kind, keyId, keyPair) {
+  try {
+    const privateJwk = await crypto.subtle.exportKey('jwk', keyPair.privateKey);
+    const record = {
+      id: preKeyRecordId(userId, kind, keyId),
+      userId,
+      kind,
+      keyId,
+      publicKeyJWK: await exportPublicKey(keyPair.publicKey),
+      privateKey: await encryptForStorage(userId, privateJwk),
+      createdAt: new Date().toISOString()
+    };
+
+    const db = await openDB();
+    const transaction = db.transaction([PREKEYS_STORE], 'readwrite');
+    const store = transaction.objectStore(PREKEYS_STORE);
+
+    await new Promise((resolve, reject) => {
+      const request = store.put(record);
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  } catch (error) {
+    throw new Error(`Failed to store prekey: ${error.message}`);
+  }
+}
+
+/**
+ * Loads and decrypts a prekey pair
+ * @param {string} userId - User ID
+ * @param {string} kind - 'signed' or 'oneTime'
+ * @param {number} keyId - Prekey ID
+ * @returns {Promise<{privateKey: CryptoKey, publicKey: CryptoKey, publicKeyJWK: Object}|null>} Key pair or null if unknown
+ */
+export async function loadPreKeyPair(userId, kind, keyId) {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([PREKEYS_STORE], 'readonly');
+    const store = transaction.objectStore(PREKEYS_STORE);
+
+    const record = await new Promise((resolve, reject) => {
+      const request = store.get(preKeyRecordId(userId, kind, keyId));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    if (!record) {
+      return null;
+    }
+
+    const privateJwk = await decryptFromStorage(userId, record.privateKey);
+    // Extractable so the signed prekey can seed the responder's ratchet state
+    const privateKey = await crypto.subtle.importKey(
+      'jwk',
+      privateJwk,
+      {
+        name: 'ECDH',
+        namedCurve: 'P-256'
+      },
+      true,
+      ['deriveKey', 'deriveBits']
+    );
+
+    return {
+      privateKey,
+      publicKey: await importPublicKey(record.publicKeyJWK),
+      publicKeyJWK: record.publicKeyJWK
+    };
+  } catch (error) {
+    throw new Error(`Failed to load prekey: ${error.message}`);
+  }
+}
+
+/**
+ * Deletes a prekey (one-time prekeys are deleted once used)
+ * @param {string} userId - User ID
+ * @param {string} kind - 'signed' or 'oneTime'
+ * @param {number} keyId - Prekey ID
+ * @returns {Promise<void>}
+ */
+export async function deletePreKey(userId, kind, keyId) {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([PREKEYS_STORE], 'readwrite');
+    const store = transaction.objectStore(PREKEYS_STORE);
+
+    await new Promise((resolve, reject) => {
+      const request = store.delete(preKeyRecordId(userId, kind, keyId));
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  } catch (error) {
+    throw new Error(`Failed to delete prekey: ${error.message}`);
+  }
+}
+
+/**
+ * Computes the initiator's X3DH shared secret from a peer bundle
+ * @param {CryptoKey} ephPrivateKey - Our ephemeral private key (EK)
+ * @param {Object} signedPreKeyJWK - Peer signed prekey (public JWK)
+ * @param {Object|null} oneTimePreKeyJWK - Peer one-time prekey (public JWK) or null
+ * @returns {Promise<ArrayBuffer>} Shared secret (DH1 || DH2)
+ */
+export async function computeInitiatorSecret(ephPrivateKey, signedPreKeyJWK, oneTimePreKeyJWK = null) {
+  try {
+    const dhOutputs = [
+      await computeSharedSecret(ephPrivateKey, await importPublicKey(signedPreKeyJWK))
+    ];
+    if (oneTimePreKeyJWK) {
+      dhOutputs.push(await computeSharedSecret(ephPrivateKey, await importPublicKey(oneTimePreKeyJWK)));
+    }
+    return concatDHOutputs(dhOutputs);
+  } catch (error) {
+    throw new Error(`Failed to compute prekey shared secret: ${error.message}`);
+  }
+}
+
+/**
+ * Computes the responder's X3DH shared secret from a pre-key header
+ * @param {Object} ephPubJWK - Initiator ephemeral public key (JWK)
+ * @param {CryptoKey} signedPreKeyPrivate - Our signed prekey private key
+ * @param {CryptoKey|null} oneTimePreKeyPrivate - Our one-time prekey private key or null
+ * @returns {Promise<ArrayBuffer>} Shared secret (DH1 || DH2)
+ */
+export async function computeResponderSecret(ephPubJWK, signedPreKeyPrivate, oneTimePreKeyPrivate = null) {
+  try {
+    const ephPublicKey = await importPublicKey(ephPubJWK);
+    const dhOutputs = [
+      await computeSharedSecret(signedPreKeyPrivate, ephPublicKey)
+    ];
+    if (oneTimePreKeyPrivate) {
+      dhOutputs.push(await computeSharedSecret(oneTimePreKeyPrivate, ephPublicKey));
+    }
+    return concatDHOutputs(dhOutputs);
+  } catch (error) {
+    throw new Error(`Failed to compute prekey shared secret: ${error.message}`);
+  }
+}
+
+/**
+ * Serializes the signed portion of a pre-key header
+ * @param {string} sessionId - Session ID
+ * @param {string} from - Initiator user ID
+ * @param {string} to - Responder user ID
+ * @param {Object} header - Pre-key header fields
+ * @returns {string}
+ */
+function preKeyHeaderSigningData(sessionId, from, to, header) {
+  return JSON.stringify({
+    sessionId,
+    from,
+    to,
+    ephPub: header.ephPub,
+    signedPreKeyId: header.signedPreKeyId,
+    oneTimePreKeyId: header.oneTimePreKeyId
+  });
+}
+
+/**
+ * Builds the pre-key header the initiator attaches to its first messages
+ * Signed with the initiator identity key so the responder can authenticate EK.
+ * @param {CryptoKey} identityPrivateKey - Initiator identity private key (ECDSA)
+ * @param {string} sessionId - Session ID
+ * @param {string} from - Initiator user ID
+ * @param {string} to - Responder user ID
+ * @param {Object} ephPubJWK - Initiator ephemeral public key (JWK)
+ * @param {number} signedPreKeyId - Responder signed prekey ID used
+ * @param {number|null} oneTimePreKeyId - Responder one-time prekey ID used, or null
+ * @returns {Promise<{ephPub: Object, signedPreKeyId: number, oneTimePreKeyId: number|null, signature: string}>}
+ */
+export async function buildPreKeyHeader(identityPrivateKey, sessionId, from, to, ephPubJWK, signedPreKeyId, oneTimePreKeyId) {
+  const header = {
+    ephPub: ephPubJWK,
+    signedPreKeyId,
+    oneTimePreKeyId: oneTimePreKeyId ?? null
+  };
+  const signature = await signData(identityPrivateKey, preKeyHeaderSigningData(sessionId, from, to, header));
+  return { ...header, signature: arrayBufferToBase64(signature) };
+}
+
+/**
+ * Verifies the initiator's signature on a pre-key header
+ * @param {CryptoKey} identityPublicKey - Initiator identity public key (ECDSA)
+ * @param {Object} header - Pre-key header from envelope
+ * @param {string} sessionId - Session ID from envelope
+ * @param {string} from - Envelope sender
+ * @param {string} to - Envelope receiver
+ * @returns {Promise<boolean>} True if signature is valid
+ */
+export async function verifyPreKeyHeader(identityPublicKey, header, sessionId, from, to) {
+  if (!header?.signature) {
+    return false;
+  }
+  return await verifySignature(
+    identityPublicKey,
+    base64ToArrayBuffer(header.signature),
+    preKeyHeaderSigningData(sessionId, from, to, header)
+  );
+}
+
+/**
+ * Uploads one-time prekeys (and optionally a signed prekey) after storing their private halves
+ * @param {string} userId - User ID
+ * @param {Object|null} signedPreKey - Output of generateSignedPreKey, or null
+ * @param {Array<Object>} oneTimePreKeys - Output of generateOneTimePreKeys
+ * @returns {Promise<{signedPreKeyId: number|null, remaining: number}>}
+ */
+async function uploadPreKeys(userId, signedPreKey, oneTimePreKeys) {
+  if (signedPreKey) {
+    await storePreKeyPair(userId, 'signed', signedPreKey.keyId, signedPreKey.keyPair);
+  }
+  for (const preKey of oneTimePreKeys) {
+    await storePreKeyPair(userId, 'oneTime', preKey.keyId, preKey.keyPair);
+  }
+
+  const api = (await import('../services/api.js')).default;
+  const response = await api.post('/keys/prekeys', {
+    signedPreKey: signedPreKey
+      ? { keyId: signedPreKey.keyId, publicKeyJWK: signedPreKey.publicKeyJWK, signature: signedPreKey.signature }
+      : undefined,
+    oneTimePreKeys: oneTimePreKeys.map(preKey => ({ keyId: preKey.keyId, publicKeyJWK: preKey.publicKeyJWK }))
+  });
+
+  if (!response.data.success) {
+    throw new Error(response.data.error || 'Prekey upload rejected');
+  }
+  return response.data.data;
+}
+
+/**
+ * Generates and publishes a fresh signed prekey and a batch of one-time prekeys
+ * Call after generating or rotating the identity key.
+ * @param {string} userId - User ID
+ * @param {string} password - User password (to unlock the identity key)
+ * @returns {Promise<{signedPreKeyId: number|null, remaining: number}>}
+ */
+export async function publishPreKeys(userId, password) {
+  try {
+    const { loadPrivateKey } = await import('./identityKeys.js');
+    const { initializeSessionEncryption } = await import('./sessionManager.js');
+    await initializeSessionEncryption(userId, password);
+
+    const identityPrivateKey = await loadPrivateKey(userId, password);
+    const signedPreKey = await generateSignedPreKey(identityPrivateKey);
+    const oneTimePreKeys = await generateOneTimePreKeys();
+
+    const result = await uploadPreKeys(userId, signedPreKey, oneTimePreKeys);
+    console.log(`✓ Prekeys published (${oneTimePreKeys.length} one-time prekeys)`);
+    return result;
+  } catch (error) {
+    throw new Error(`Failed to publish prekeys: ${error.message}`);
+  }
+}
+
+/**
+ * Tops up one-time prekeys when the server reports depletion
+ * Publishes a full set if no signed prekey exists yet.
+ * @param {string} userId - User ID
+ * @param {string} password - User password
+ * @returns {Promise<{uploaded: number}>}
+ */
+export async function replenishPreKeys(userId, password) {
+  try {
+    const api = (await import('../services/api.js')).default;
+    const response = await api.get('/keys/prekeys/count');
+    if (!response.data.success) {
+      throw new Error(response.data.error || 'Failed to fetch prekey count');
+    }
+
+    const { remaining, signedPreKeyId, needsReplenish, maxOneTimePreKeys } = response.data.data;
+
+    if (signedPreKeyId === null) {
+      await publishPreKeys(userId, password);
+      return { uploaded: ONE_TIME_PREKEY_BATCH };
+    }
+
+    if (!needsReplenish) {
+      return { uploaded: 0 };
+    }
+
+    const { initializeSessionEncryption } = await import('./sessionManager.js');
+    await initializeSessionEncryption(userId, password);
+
+    const count = Math.min(ONE_TIME_PREKEY_BATCH, maxOneTimePreKeys - remaining);
+    const oneTimePreKeys = await generateOneTimePreKeys(count);
+    await uploadPreKeys(userId, null, oneTimePreKeys);
+
+    console.log(`✓ Replenished ${count} one-time prekeys`);
+    return { uploaded: count };
+  } catch (error) {
+    throw new Error(`Failed to replenish prekeys: ${error.message}`);
+  }
+}
+
+/**
+ * Fetches a prekey bundle for a peer (consumes one of their one-time prekeys)
+ * @param {string} peerId - Peer user ID
+ * @param {string} [deviceId] - Peer device (default: the peer's oldest active device)
+ * @returns {Promise<{deviceId: string, publicIdentityKeyJWK: Object, signedPreKey: Object, oneTimePreKey: Object|null}>}
+ */
+export async function fetchPreKeyBundle(peerId, deviceId) {
+  try {
+    const api = (await import('../services/api.js')).default;
+    const response = await api.get(`/keys/${peerId}/bundle`, { params: deviceId ? { deviceId } : undefined });
+    if (!response.data.success || !response.data.data?.signedPreKey) {
+      throw new Error(response.data.error || 'Prekey bundle not available');
+    }
+    return response.data.data;
+  } catch (error) {
+    throw new Error(`Failed to fetch prekey bundle: ${error.message}`);
+  }
+}
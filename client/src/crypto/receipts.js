@@ -0,0 +1,170 @@
+/**
+ * Delivery and Read Receipts
+ *
+ * Receipts tell a sender that their messages reached one of our devices
+ * (delivered) or were shown in an open chat (read). They travel as RECEIPT
+ * envelopes on the same pairwise session as the messages they acknowledge,
+ * encrypted like text messages, so the server cannot tell which messages
+ * were read.
+ *
+ * Payload (JSON, encrypted): { kind: 'receipt', status, ranges }
+ * ranges lists inclusive [first, last] sequence numbers of the acknowledged
+ * messages on that session, so a batch of consecutive messages is one range.
+ *
+ * Read receipts are only sent while the readReceipts setting is on.
+ * Delivery receipts are always sent.
+ */
+
+import { getUserSettings } from '../utils/userSettings.js';
+import { updateMessageStatus } from '../utils/messageStorage.js';
+
+export const RECEIPT_KIND = 'receipt';
+export const RECEIPT_DELIVERED = 'delivered';
+export const RECEIPT_READ = 'read';
+
+const RECEIPT_STATUSES = [RECEIPT_DELIVERED, RECEIPT_READ];
+const MAX_RECEIPT_RANGES = 100;
+const RECEIPT_BATCH_DELAY = 1000; // Collect receipts for 1 s before sending
+
+/**
+ * Collapses sequence numbers into inclusive ranges
+ * @param {Array<number>} seqs - Sequence numbers (any order, duplicates allowed)
+ * @returns {Array<[number, number]>} Sorted, non-overlapping ranges
+ */
+export function toSeqRanges(seqs) {
+  const sorted = [...new Set(seqs)].filter(Number.isInteger).sort((a, b) => a - b);
+  const ranges = [];
+  for (const seq of sorted) {
+    const last = ranges[ranges.length - 1];
+    if (last && seq === last[1] + 1) {
+      last[1] = seq;
+    } else {
+      ranges.push([seq, seq]);
+    }
+  }
+  return ranges;
+}
+
+/**
+ * Checks whether a sequence number is covered by a receipt
+ * @param {Array<[number, number]>} ranges - Receipt ranges
+ * @param {number} seq - Sequence number
+ * @returns {boolean}
+ */
+export function rangesInclude(ranges, seq) {
+  return ranges.some(([first, last]) => seq >= first && seq <= last);
+}
+
+/**
+ * Serializes a receipt for encryption
+ * @param {string} status - RECEIPT_DELIVERED or RECEIPT_READ
+ * @param {Array<number>} seqs - Sequence numbers being acknowledged
+ * @returns {string} Receipt payload
+ */
+export function buildReceiptPayload(status, seqs) {
+  if (!RECEIPT_STATUSES.includes(status)) {
+    throw new Error(`Invalid receipt status: ${status}`);
+  }
+  const ranges = toSeqRanges(seqs);
+  if (ranges.length === 0) {
+    throw new Error('Receipt must acknowledge at least one message');
+  }
+  return JSON.stringify({ kind: RECEIPT_KIND, status, ranges: ranges.slice(-MAX_RECEIPT_RANGES) });
+}
+
+/**
+ * Parses a decrypted receipt payload
+ * @param {string} plaintext - Decrypted payload
+ * @returns {{status: string, ranges: Array<[number, number]>}|null} Receipt, or null if malformed
+ */
+export function parseReceiptPayload(plaintext) {
+  try {
+    const receipt = JSON.parse(plaintext);
+    if (receipt?.kind !== RECEIPT_KIND ||
+        !RECEIPT_STATUSES.includes(receipt.status) ||
+        !Array.isArray(receipt.ranges) ||
+        receipt.ranges.length === 0 || receipt.ranges.length > MAX_RECEIPT_RANGES ||
+        !receipt.ranges.every(range => Array.isArray(range) && range.length === 2 &&
+          Number.isInteger(range[0]) && Number.isInteger(range[1]) && range[0] <= range[1])) {
+      return null;
+    }
+    return { status: receipt.status, ranges: receipt.ranges };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether receipts of a given status may be sent under the user's settings
+ * @param {string} status - RECEIPT_DELIVERED or RECEIPT_READ
+ * @returns {boolean}
+ */
+export function isReceiptEnabled(status) {
+  return status !== RECEIPT_READ || getUserSettings().readReceipts !== false;
+}
+
+/**
+ * Applies a received receipt to our stored sent messages
+ * A message matches if it (or its copy for one of the peer's other devices)
+ * was sent on the receipt's session with a covered sequence number.
+ * @param {string} conversationId - Conversation the messages are stored under
+ * @param {string} sessionId - Session the receipt arrived on
+ * @param {{status: string, ranges: Array<[number, number]>}} receipt - Parsed receipt
+ * @returns {Promise<Array<string>>} IDs of messages whose status changed
+ */
+export async function applyReceipt(conversationId, sessionId, receipt) {
+  return await updateMessageStatus(
+    conversationId,
+    (message) => message.sent && (message.copies || [{ sessionId: conversationId, seq: message.seq }])
+      .some(copy => copy.sessionId === sessionId && rangesInclude(receipt.ranges, copy.seq)),
+    receipt.status
+  );
+}
+
+/**
+ * Collects receipts and sends them in batches, one per session and status
+ * @param {Function} send - async (sessionId, status, seqs) => void
+ * @param {number} delay - How long to collect before sending (ms)
+ * @returns {{add: Function, flush: Function, cancel: Function}}
+ */
+export function createReceiptBatcher(send, delay = RECEIPT_BATCH_DELAY) {
+  const pending = new Map(); // `${status}:${sessionId}` -> { sessionId, status, seqs }
+  let timer = null;
+
+  const flush = async () => {
+    clearTimeout(timer);
+    timer = null;
+    const batches = [...pending.values()];
+    pending.clear();
+
+    for (const { sessionId, status, seqs } of batches) {
+      try {
+        await send(sessionId, status, seqs);
+      } catch (error) {
+        console.warn(`Failed to send ${status} receipt for ${sessionId}:`, error.message);
+      }
+    }
+  };
+
+  const add = (sessionId, status, seq) => {
+    if (!isReceiptEnabled(status)) return;
+
+    const key = `${status}:${sessionId}`;
+    if (!pending.has(key)) {
+      pending.set(key, { sessionId, status, seqs: [] });
+    }
+    pending.get(key).seqs.push(seq);
+
+    if (!timer) {
+      timer = setTimeout(flush, delay);
+    }
+  };
+
+  const cancel = () => {
+    clearTimeout(timer);
+    timer = null;
+    pending.clear();
+  };
+
+  return { add, flush, cancel };
+}
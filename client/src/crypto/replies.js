@@ -0,0 +1,149 @@
+/**
+ * Replies and Threads
+ *
+ * A reply is a text message whose encrypted payload also quotes the message
+ * it answers, so the server cannot tell replies from other messages:
+ *
+ * Payload (JSON, encrypted): { kind: 'reply', text, replyTo: { id?, targets?, sender, snippet } }
+ *
+ * Group messages have the same ID for every member, so group replies name
+ * the target by id. Pairwise message IDs are per device; pairwise replies
+ * name the target by its {sessionId, seq} copies instead (see
+ * messageActions.js), and each device finds its own copy. The snippet lets
+ * the quote be shown even when the original is not loaded.
+ *
+ * replyTo is stored with the message (encrypted at rest), so quotes and
+ * threads are rebuilt from messageStorage after a reload. A thread is a
+ * message together with every reply that leads back to it.
+ */
+
+import { getMessageTargets, isActionTarget } from './messageActions.js';
+
+export const REPLY_KIND = 'reply';
+export const MAX_SNIPPET_LENGTH = 120;
+
+const MAX_REPLY_TARGETS = 32;
+
+/**
+ * Shortens message text for a quote
+ * @param {string} text - Message text
+ * @returns {string}
+ */
+export function makeSnippet(text) {
+  const flat = String(text || '').replace(/\s+/g, ' ').trim();
+  return flat.length > MAX_SNIPPET_LENGTH ? `${flat.slice(0, MAX_SNIPPET_LENGTH - 1)}…` : flat;
+}
+
+/**
+ * Describes the message a reply answers
+ * @param {Object} message - Message being replied to
+ * @param {string} conversationId - Conversation (session or group ID)
+ * @param {boolean} isGroup - Whether the conversation is a group
+ * @returns {{id?: string, targets?: Array<{sessionId: string, seq: number}>, sender: string, snippet: string}}
+ */
+export function createReplyTo(message, conversationId, isGroup) {
+  const replyTo = { sender: message.sender, snippet: makeSnippet(message.content) };
+  if (isGroup) {
+    replyTo.id = message.id;
+  } else {
+    replyTo.targets = getMessageTargets(message, conversationId);
+  }
+  return replyTo;
+}
+
+/**
+ * Serializes a reply for encryption
+ * @param {string} text - Reply text
+ * @param {Object} replyTo - Quoted message (see createReplyTo)
+ * @returns {string} Reply payload
+ */
+export function buildReplyPayload(text, replyTo) {
+  const { id, targets, sender, snippet } = replyTo;
+  return JSON.stringify({ kind: REPLY_KIND, text, replyTo: { id, targets, sender, snippet } });
+}
+
+/**
+ * Parses a decrypted text message as a reply
+ * @param {string} plaintext - Decrypted message text
+ * @returns {{text: string, replyTo: Object}|null} Reply, or null for ordinary text
+ */
+export function parseReplyPayload(plaintext) {
+  if (typeof plaintext !== 'string' || !plaintext.startsWith('{') || !plaintext.includes(REPLY_KIND)) {
+    return null;
+  }
+  try {
+    const message = JSON.parse(plaintext);
+    const replyTo = message?.replyTo;
+    if (message?.kind !== REPLY_KIND ||
+        typeof message.text !== 'string' ||
+        !replyTo || typeof replyTo !== 'object' ||
+        typeof replyTo.sender !== 'string' ||
+        typeof replyTo.snippet !== 'string' || replyTo.snippet.length > MAX_SNIPPET_LENGTH) {
+      return null;
+    }
+
+    const parsed = { sender: replyTo.sender, snippet: replyTo.snippet };
+    if (typeof replyTo.id === 'string') {
+      parsed.id = replyTo.id;
+    } else if (Array.isArray(replyTo.targets) &&
+        replyTo.targets.length > 0 && replyTo.targets.length <= MAX_REPLY_TARGETS &&
+        replyTo.targets.every(target => typeof target?.sessionId === 'string' && Number.isInteger(target.seq))) {
+      parsed.targets = replyTo.targets.map(({ sessionId, seq }) => ({ sessionId, seq }));
+    } else {
+      return null;
+    }
+    return { text: message.text, replyTo: parsed };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Finds the message a reply answers among loaded messages
+ * @param {Array<Object>} messages - Messages of the conversation
+ * @param {string} conversationId - Conversation (session or group ID)
+ * @param {Object} replyTo - Quoted message of the reply
+ * @returns {Object|null} Original message, or null if it is not loaded
+ */
+export function findReplyTarget(messages, conversationId, replyTo) {
+  if (!replyTo) return null;
+  return messages.find(message => (replyTo.id
+    ? message.id === replyTo.id
+    : !!replyTo.targets && isActionTarget(message, conversationId, replyTo.targets))) || null;
+}
+
+/**
+ * Groups loaded messages into threads
+ * Each reply belongs to the thread of the first message its chain of
+ * replies leads back to; replies whose original is not loaded start a thread.
+ * @param {Array<Object>} messages - Messages of the conversation
+ * @param {string} conversationId - Conversation (session or group ID)
+ * @returns {Map<string, Array<Object>>} Root message ID -> replies in the thread (in list order)
+ */
+export function buildThreads(messages, conversationId) {
+  const parents = new Map(); // message ID -> ID of the message it answers
+  for (const message of messages) {
+    const target = findReplyTarget(messages, conversationId, message.replyTo);
+    if (target && target.id !== message.id) {
+      parents.set(message.id, target.id);
+    }
+  }
+
+  const rootOf = (id) => {
+    const seen = new Set();
+    while (parents.has(id) && !seen.has(id)) {
+      seen.add(id);
+      id = parents.get(id);
+    }
+    return id;
+  };
+
+  const threads = new Map();
+  for (const message of messages) {
+    if (!parents.has(message.id)) continue;
+    const rootId = rootOf(message.id);
+    if (!threads.has(rootId)) threads.set(rootId, []);
+    threads.get(rootId).push(message);
+  }
+  return threads;
+}
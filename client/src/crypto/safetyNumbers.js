@@ -0,0 +1,162 @@
+/**
+ * Safety Numbers
+ *
+ * Out-of-band identity verification between two contacts.
+ * Each user's identity public key is turned into a 30-digit fingerprint
+ * (iterated SHA-512 over version || key || userId); the safety number is
+ * both fingerprints ordered by user ID, so both sides see the same 60 digits.
+ *
+ * If the server substitutes a key (MITM, see attacks/mitmAttacker.js), the
+ * two users' safety numbers differ. Users compare the digits in person or
+ * scan each other's QR code, which carries the same value.
+ */
+
+import { base64ToArrayBuffer } from './signatures.js';
+
+const FINGERPRINT_VERSION = 0;
+const FINGERPRINT_ITERATIONS = 5200;
+const FINGERPRINT_CHUNKS = 6;
+const QR_PAYLOAD_PREFIX = 'E2EE-SN';
+const QR_PAYLOAD_VERSION = 1;
+
+/**
+ * Decodes a base64url string (JWK coordinates) to bytes
+ * @param {string} value - base64url string
+ * @returns {Uint8Array}
+ */
+function base64UrlToBytes(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+  return new Uint8Array(base64ToArrayBuffer(padded));
+}
+
+/**
+ * Serializes an identity public key as an uncompressed EC point (0x04 || x || y)
+ * Only x and y are used, so key_ops/ext differences do not change the result.
+ * @param {Object} publicKeyJWK - EC P-256 public key (JWK)
+ * @returns {Uint8Array}
+ */
+function encodeIdentityKey(publicKeyJWK) {
+  if (!publicKeyJWK?.x || !publicKeyJWK?.y) {
+    throw new Error('Identity key must be an EC public key JWK');
+  }
+  const x = base64UrlToBytes(publicKeyJWK.x);
+  const y = base64UrlToBytes(publicKeyJWK.y);
+  const point = new Uint8Array(1 + x.length + y.length);
+  point[0] = 0x04;
+  point.set(x, 1);
+  point.set(y, 1 + x.length);
+  return point;
+}
+
+/**
+ * Concatenates byte arrays
+ * @param {...Uint8Array} parts - Byte arrays
+ * @returns {Uint8Array}
+ */
+function concatBytes(...parts) {
+  const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+}
+
+/**
+ * Computes the 30-digit fingerprint of a user's identity key
+ * @param {string} userId - Key owner's user ID
+ * @param {Object} publicKeyJWK - Identity public key (JWK)
+ * @returns {Promise<string>} 30 decimal digits
+ */
+export async function computeFingerprint(userId, publicKeyJWK) {
+  try {
+    const key = encodeIdentityKey(publicKeyJWK);
+    const version = new Uint8Array([0, FINGERPRINT_VERSION]);
+
+    // Iterated hashing makes brute-forcing a colliding key expensive
+    let hash = concatBytes(version, key, new TextEncoder().encode(String(userId)));
+    for (let i = 0; i < FINGERPRINT_ITERATIONS; i++) {
+      hash = new Uint8Array(await crypto.subtle.digest('SHA-512', concatBytes(hash, key)));
+    }
+
+    // Six 5-byte chunks, each reduced to 5 digits
+    let digits = '';
+    for (let i = 0; i < FINGERPRINT_CHUNKS; i++) {
+      let chunk = 0;
+      for (let j = 0; j < 5; j++) {
+        chunk = chunk * 256 + hash[i * 5 + j];
+      }
+      digits += String(chunk % 100000).padStart(5, '0');
+    }
+    return digits;
+  } catch (error) {
+    throw new Error(`Failed to compute fingerprint: ${error.message}`);
+  }
+}
+
+/**
+ * Computes the safety number shared by two users
+ * @param {string} userId - Our user ID
+ * @param {Object} publicKeyJWK - Our identity public key (JWK)
+ * @param {string} peerId - Peer user ID
+ * @param {Object} peerPublicKeyJWK - Peer identity public key (JWK)
+ * @returns {Promise<string>} 60 decimal digits (identical on both sides)
+ */
+export async function computeSafetyNumber(userId, publicKeyJWK, peerId, peerPublicKeyJWK) {
+  const ours = await computeFingerprint(userId, publicKeyJWK);
+  const theirs = await computeFingerprint(peerId, peerPublicKeyJWK);
+  return String(userId) < String(peerId) ? ours + theirs : theirs + ours;
+}
+
+/**
+ * Splits a safety number into 5-digit groups for display
+ * @param {string} safetyNumber - 60-digit safety number
+ * @returns {Array<string>} Twelve 5-digit groups
+ */
+export function formatSafetyNumber(safetyNumber) {
+  return safetyNumber.match(/\d{5}/g) || [];
+}
+
+/**
+ * Builds the QR payload for a safety number
+ * @param {string} safetyNumber - 60-digit safety number
+ * @returns {string} QR payload
+ */
+export function buildVerificationPayload(safetyNumber) {
+  return `${QR_PAYLOAD_PREFIX}:${QR_PAYLOAD_VERSION}:${safetyNumber}`;
+}
+
+/**
+ * Compares a scanned (or pasted) QR payload with our safety number
+ * @param {string} payload - Scanned QR payload
+ * @param {string} safetyNumber - Our 60-digit safety number
+ * @returns {{match: boolean, error?: string}}
+ */
+export function compareVerificationPayload(payload, safetyNumber) {
+  const parts = String(payload || '').trim().split(':');
+  if (parts.length !== 3 || parts[0] !== QR_PAYLOAD_PREFIX) {
+    return { match: false, error: 'Not a safety number code' };
+  }
+  if (parts[1] !== String(QR_PAYLOAD_VERSION)) {
+    return { match: false, error: `Unsupported safety number version: ${parts[1]}` };
+  }
+  if (!/^\d{60}$/.test(parts[2])) {
+    return { match: false, error: 'Malformed safety number' };
+  }
+  if (parts[2] !== safetyNumber) {
+    return { match: false, error: 'Safety numbers do not match' };
+  }
+  return { match: true };
+}
+
+/**
+ * Computes a short hex fingerprint of an identity key for change detection
+ * @param {Object} publicKeyJWK - Identity public key (JWK)
+ * @returns {Promise<string>} Hex SHA-256 of the encoded key
+ */
+export async function getIdentityKeyHash(publicKeyJWK) {
+  const digest = await crypto.subtle.digest('SHA-256', encodeIdentityKey(publicKeyJWK));
+  return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,357 @@
+/**
+ * Sealed Sender
+ *
+ * Optional delivery mode that hides who is talking to whom from the server.
+ * A pairwise envelope (sender, receiver, session ID, seq) is sealed whole,
+ * together with a server-issued sender certificate, to the recipient device's
+ * sealing key; the outer envelope only carries the recipient's delivery token:
+ *
+ *   {type: 'SEALED', deliveryToken, timestamp, nonce, ephPub, iv, ciphertext, authTag}
+ *
+ * Sealing (ECIES-style):
+ *   shared = ECDH(ephemeral, recipient sealing key)
+ *   key    = HKDF-SHA256(shared, info = "sealed-sender" || ephPub || sealing key)
+ *   AES-256-GCM over JSON {certificate, envelope}, AAD = "SEALED|timestamp|nonce"
+ *
+ * Sealed envelopes go out on a separate connection without an access token,
+ * so the server cannot tie them to the sending account. Recipients check
+ * the sender certificate (signed with the pinned log key, see
+ * keyTransparency.js) against the unsealed envelope's sender.
+ *
+ * Each device registers a delivery token and sealing key while the setting is
+ * on; the sealing private key is kept in the 'preKeys' store. Envelopes for
+ * peer devices without a registration are sent identified (msg:send).
+ */
+
+import { generateEphemeralKeyPair, computeSharedSecret, exportPublicKey, importPublicKey, hkdf } from './ecdh.js';
+import { encryptAESGCM, decryptAESGCMToString } from './aesGcm.js';
+import { arrayBufferToBase64, base64ToArrayBuffer } from './signatures.js';
+import { storePreKeyPair, loadPreKeyPair } from './preKeys.js';
+import { pinLogPublicKey } from './keyTransparency.js';
+import { getUserSettings } from '../utils/userSettings.js';
+import { DEFAULT_DEVICE_ID } from '../utils/deviceStore.js';
+
+const SEALING_KEY_KIND = 'sealing';
+const SEALING_KEY_ID = 0;
+const CERTIFICATE_RENEW_MARGIN = 5 * 60 * 1000; // Renew certificates 5 minutes before expiry
+const ACCESS_CACHE_TTL = 10 * 60 * 1000; // Re-fetch peer delivery tokens every 10 minutes
+const SEALED_SEND_ACK_TIMEOUT = 10000; // Wait up to 10 s for the server to accept a sealed envelope
+
+let cachedCertificate = null;
+let logPublicKeyJWK = null;
+const peerAccessCache = new Map(); // peerId -> {devices, fetchedAt}
+
+/**
+ * Loads the API client lazily (keeps this module importable outside the app bundle)
+ * @returns {Promise<Object>} Axios instance
+ */
+async function getApi() {
+  return (await import('../services/api.js')).default;
+}
+
+/**
+ * Checks whether the user turned sealed sender on
+ * @returns {boolean}
+ */
+export function isSealedSenderEnabled() {
+  return getUserSettings().sealedSender === true;
+}
+
+/**
+ * Builds the string a sender certificate signature covers
+ * (must match server/src/utils/sealedSender.js buildSenderCertificateData)
+ * @param {Object} certificate - {userId, deviceId, expiresAt}
+ * @returns {string}
+ */
+export function buildSenderCertificateData({ userId, deviceId, expiresAt }) {
+  return JSON.stringify({ type: 'sender-certificate', userId: String(userId), deviceId, expiresAt });
+}
+
+/**
+ * Derives the AES-GCM key for one sealed envelope
+ * @param {ArrayBuffer} sharedSecret - ECDH output
+ * @param {Object} ephPubJWK - Sender's ephemeral public key
+ * @param {Object} sealingKeyJWK - Recipient's sealing public key
+ * @returns {Promise<ArrayBuffer>} 256-bit key
+ */
+async function deriveSealingKey(sharedSecret, ephPubJWK, sealingKeyJWK) {
+  const info = new TextEncoder().encode(
+    `sealed-sender|${ephPubJWK.x}|${ephPubJWK.y}|${sealingKeyJWK.x}|${sealingKeyJWK.y}`
+  );
+  return await hkdf(sharedSecret, null, info, 256);
+}
+
+/**
+ * Additional data binding the outer timestamp and nonce to the sealed payload
+ * @param {number} timestamp - Outer envelope timestamp
+ * @param {string} nonce - Outer envelope nonce
+ * @returns {Uint8Array}
+ */
+function sealedAdditionalData(timestamp, nonce) {
+  return new TextEncoder().encode(`SEALED|${timestamp}|${nonce}`);
+}
+
+/**
+ * Seals an envelope for one recipient device
+ * @param {Object} envelope - Pairwise envelope as built by messageEnvelope.js
+ * @param {{deliveryToken: string, sealingKey: Object}} access - Recipient device registration
+ * @param {Object} certificate - Our sender certificate
+ * @returns {Promise<Object>} Sealed envelope
+ */
+export async function sealEnvelope(envelope, access, certificate) {
+  const ephemeral = await generateEphemeralKeyPair();
+  const ephPub = await exportPublicKey(ephemeral.publicKey);
+  const sharedSecret = await computeSharedSecret(ephemeral.privateKey, await importPublicKey(access.sealingKey));
+  const key = await deriveSealingKey(sharedSecret, ephPub, access.sealingKey);
+
+  const timestamp = Date.now();
+  const nonce = arrayBufferToBase64(crypto.getRandomValues(new Uint8Array(16)));
+  const { ciphertext, iv, authTag } = await encryptAESGCM(
+    key,
+    JSON.stringify({ certificate, envelope }),
+    sealedAdditionalData(timestamp, nonce)
+  );
+
+  return {
+    type: 'SEALED',
+    deliveryToken: access.deliveryToken,
+    timestamp,
+    nonce,
+    ephPub: { kty: ephPub.kty, crv: ephPub.crv, x: ephPub.x, y: ephPub.y },
+    iv: arrayBufferToBase64(iv),
+    ciphertext: arrayBufferToBase64(ciphertext),
+    authTag: arrayBufferToBase64(authTag)
+  };
+}
+
+/**
+ * Returns the pinned key that signs sender certificates (the log key)
+ * @returns {Promise<Object>} EC P-256 JWK
+ */
+async function getCertificateVerifyKey() {
+  if (!logPublicKeyJWK) {
+    const api = await getApi();
+    const response = await api.get('/keys/log/key');
+    if (!response.data.success) {
+      throw new Error(response.data.error || 'Certificate verification key unavailable');
+    }
+    logPublicKeyJWK = pinLogPublicKey(response.data.data.publicKeyJWK);
+  }
+  return logPublicKeyJWK;
+}
+
+/**
+ * Verifies a sender certificate's signature
+ * @param {Object} certificate - {userId, deviceId, expiresAt, signature}
+ * @param {Object} verifyKeyJWK - Server signing key (EC P-256 JWK)
+ * @returns {Promise<boolean>}
+ */
+export async function verifySenderCertificate(certificate, verifyKeyJWK) {
+  try {
+    const key = await crypto.subtle.importKey(
+      'jwk',
+      { kty: verifyKeyJWK.kty, crv: verifyKeyJWK.crv, x: verifyKeyJWK.x, y: verifyKeyJWK.y },
+      { name: 'ECDSA', namedCurve: 'P-256' },
+      false,
+      ['verify']
+    );
+    return await crypto.subtle.verify(
+      { name: 'ECDSA', hash: 'SHA-256' },
+      key,
+      base64ToArrayBuffer(certificate.signature),
+      new TextEncoder().encode(buildSenderCertificateData(certificate))
+    );
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Decrypts a sealed envelope with a sealing key pair
+ * @param {Object} sealed - Sealed envelope (sealed:receive or mailbox)
+ * @param {{privateKey: CryptoKey, publicKeyJWK: Object}} sealingKeyPair - Our sealing key pair
+ * @returns {Promise<{certificate: Object, envelope: Object}>} Sealed contents (not yet checked)
+ */
+export async function openSealedEnvelope(sealed, sealingKeyPair) {
+  const sharedSecret = await computeSharedSecret(sealingKeyPair.privateKey, await importPublicKey(sealed.ephPub));
+  const key = await deriveSealingKey(sharedSecret, sealed.ephPub, sealingKeyPair.publicKeyJWK);
+  const plaintext = await decryptAESGCMToString(
+    key,
+    base64ToArrayBuffer(sealed.iv),
+    base64ToArrayBuffer(sealed.ciphertext),
+    base64ToArrayBuffer(sealed.authTag),
+    sealedAdditionalData(sealed.timestamp, sealed.nonce)
+  );
+  const { certificate, envelope } = JSON.parse(plaintext);
+  if (!certificate || !envelope || envelope.groupId) {
+    throw new Error('Malformed sealed envelope');
+  }
+  return { certificate, envelope };
+}
+
+/**
+ * Checks that the sender certificate vouches for the unsealed envelope
+ * @param {{certificate: Object, envelope: Object}} contents - Output of openSealedEnvelope
+ * @param {string} userId - Our user ID
+ * @param {Object} verifyKeyJWK - Server signing key (EC P-256 JWK)
+ * @returns {Promise<Object>} Inner envelope, with senderDevice taken from the certificate
+ * @throws {Error} If the certificate is invalid, expired or names someone else
+ */
+export async function checkSealedSender({ certificate, envelope }, userId, verifyKeyJWK) {
+  if (!(await verifySenderCertificate(certificate, verifyKeyJWK))) {
+    throw new Error('Invalid sender certificate');
+  }
+  if (String(certificate.userId) !== String(envelope.sender)) {
+    throw new Error('Sender certificate does not match the envelope sender');
+  }
+  if (String(envelope.receiver) !== String(userId)) {
+    throw new Error('Sealed envelope is addressed to another user');
+  }
+  if (certificate.expiresAt < envelope.timestamp) {
+    throw new Error('Sender certificate expired');
+  }
+
+  return { ...envelope, senderDevice: certificate.deviceId };
+}
+
+/**
+ * Unseals an envelope addressed to this device and checks its sender certificate
+ * @param {Object} sealed - Sealed envelope (sealed:receive or mailbox)
+ * @param {string} userId - Our user ID
+ * @returns {Promise<Object>} Inner envelope, with senderDevice taken from the certificate
+ * @throws {Error} If the envelope cannot be unsealed or the certificate does not vouch for the sender
+ */
+export async function unsealEnvelope(sealed, userId) {
+  const sealingKeyPair = await loadPreKeyPair(userId, SEALING_KEY_KIND, SEALING_KEY_ID);
+  if (!sealingKeyPair) {
+    throw new Error('Sealed envelope received but this device has no sealing key');
+  }
+
+  const contents = await openSealedEnvelope(sealed, sealingKeyPair);
+  return await checkSealedSender(contents, userId, await getCertificateVerifyKey());
+}
+
+/**
+ * Returns our sender certificate, fetching a new one shortly before expiry
+ * @returns {Promise<Object>} Certificate
+ */
+async function getSenderCertificate() {
+  if (cachedCertificate && cachedCertificate.expiresAt - CERTIFICATE_RENEW_MARGIN > Date.now()) {
+    return cachedCertificate;
+  }
+  const api = await getApi();
+  const response = await api.get('/sealed-sender/certificate');
+  if (!response.data.success) {
+    throw new Error(response.data.error || 'Sender certificate unavailable');
+  }
+  cachedCertificate = response.data.data.certificate;
+  return cachedCertificate;
+}
+
+/**
+ * Returns the sealed-sender registrations of a peer's devices
+ * @param {string} peerId - Peer user ID
+ * @returns {Promise<Array<{deviceId: string, deliveryToken: string, sealingKey: Object}>>}
+ *   Empty if the peer does not accept sealed envelopes
+ */
+async function getPeerAccess(peerId) {
+  const cached = peerAccessCache.get(peerId);
+  if (cached && Date.now() - cached.fetchedAt < ACCESS_CACHE_TTL) {
+    return cached.devices;
+  }
+  const api = await getApi();
+  const response = await api.get(`/sealed-sender/access/${peerId}`);
+  const devices = response.data.success ? response.data.data.devices : [];
+  peerAccessCache.set(peerId, { devices, fetchedAt: Date.now() });
+  return devices;
+}
+
+/**
+ * Returns the anonymous connection sealed envelopes are sent on
+ * @returns {Promise<Object>} Socket.IO socket
+ */
+async function getAnonymousSocket() {
+  return (await import('../services/anonymousSocket.js')).getAnonymousSocket();
+}
+
+/**
+ * Sends a pairwise envelope sealed, if the peer device accepts sealed envelopes
+ * Never throws: any failure returns false so the caller sends it identified.
+ * @param {Object} envelope - Pairwise envelope
+ * @returns {Promise<boolean>} True if the server accepted the sealed envelope
+ */
+export async function sendSealedEnvelope(envelope) {
+  try {
+    const receiverDevice = envelope.receiverDevice || DEFAULT_DEVICE_ID;
+    const access = (await getPeerAccess(envelope.receiver)).find(device => device.deviceId === receiverDevice);
+    if (!access) {
+      return false;
+    }
+
+    const sealed = await sealEnvelope(envelope, access, await getSenderCertificate());
+    const socket = await getAnonymousSocket();
+    const response = await socket.timeout(SEALED_SEND_ACK_TIMEOUT).emitWithAck('sealed:send', sealed);
+    if (response?.success) {
+      return true;
+    }
+
+    if (response?.code === 'UNKNOWN_DELIVERY_TOKEN') {
+      // The peer rotated or withdrew its token
+      peerAccessCache.delete(envelope.receiver);
+    }
+    console.warn('[SealedSender] Sealed envelope rejected, sending identified:', response?.message);
+    return false;
+  } catch (error) {
+    console.warn('[SealedSender] Sealed delivery unavailable, sending identified:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Registers this device for sealed delivery (idempotent)
+ * Creates the sealing key pair on first use; the delivery token is kept
+ * unless rotateToken is set.
+ * @param {string} userId - Our user ID
+ * @param {string} password - User password (to unlock key storage)
+ * @param {Object} options
+ * @param {boolean} options.rotateToken - Ask the server for a new delivery token
+ * @returns {Promise<{deviceId: string, deliveryToken: string, sealingKey: Object}>}
+ */
+export async function registerSealedSender(userId, password, { rotateToken = false } = {}) {
+  try {
+    const { initializeSessionEncryption } = await import('./sessionManager.js');
+    await initializeSessionEncryption(userId, password);
+
+    let sealingKeyPair = await loadPreKeyPair(userId, SEALING_KEY_KIND, SEALING_KEY_ID);
+    if (!sealingKeyPair) {
+      const keyPair = await generateEphemeralKeyPair();
+      await storePreKeyPair(userId, SEALING_KEY_KIND, SEALING_KEY_ID, keyPair);
+      sealingKeyPair = { ...keyPair, publicKeyJWK: await exportPublicKey(keyPair.publicKey) };
+    }
+
+    const { kty, crv, x, y } = sealingKeyPair.publicKeyJWK;
+    const api = await getApi();
+    const response = await api.post('/sealed-sender/access', { sealingKey: { kty, crv, x, y }, rotateToken });
+    if (!response.data.success) {
+      throw new Error(response.data.error || 'Sealed sender registration rejected');
+    }
+    return response.data.data;
+  } catch (error) {
+    throw new Error(`Failed to register for sealed sender: ${error.message}`);
+  }
+}
+
+/**
+ * Withdraws this device's registration; peers go back to identified delivery
+ * @returns {Promise<void>}
+ */
+export async function unregisterSealedSender() {
+  const api = await getApi();
+  const response = await api.delete('/sealed-sender/access');
+  if (!response.data.success) {
+    throw new Error(response.data.error || 'Failed to turn off sealed sender');
+  }
+  cachedCertificate = null;
+  peerAccessCache.clear();
+  (await import('../services/anonymousSocket.js')).closeAnonymousSocket();
+}
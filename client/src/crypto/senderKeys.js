@@ -0,0 +1,580 @@
+/**
+ * Group Sender Keys
+ *
+ * Signal-style sender keys for group conversations. Each member owns one
+ * sender key per group:
+ * - a chain key, advanced per message with the Double Ratchet chain KDF
+ *   (messageKey = HMAC(ck, 0x01), ck' = HMAC(ck, 0x02)) for forward secrecy
+ * - an ECDSA P-256 signing key pair, so other members (who all know the chain
+ *   key) cannot forge messages in this member's name
+ *
+ * A member encrypts each group message once; the server fans it out. The
+ * chain key and signing public key are handed to the other members in a
+ * sender key distribution message sent over the existing pairwise sessions.
+ * When a member is removed every remaining member rotates their sender key,
+ * so the removed member cannot read anything sent afterwards.
+ *
+ * States are encrypted with the session encryption key and kept in the
+ * 'senderKeys' IndexedDB store, one record per (user, group, sender).
+ */
+
+import { kdfChainKey } from './doubleRatchet.js';
+import { encryptAESGCM, decryptAESGCM } from './aesGcm.js';
+import { signData, verifySignature, arrayBufferToBase64, base64ToArrayBuffer } from './signatures.js';
+import { encryptForStorage, decryptFromStorage } from './sessionManager.js';
+
+const DB_NAME = 'InfosecCryptoDB';
+const DB_VERSION = 11; // Must match the highest version used by any module
+const SENDER_KEYS_STORE = 'senderKeys';
+
+/**
+ * Marks a pairwise message as a sender key distribution rather than chat text
+ */
+export const SENDER_KEY_DISTRIBUTION = 'sender_key_distribution';
+
+/**
+ * Maximum number of message keys skipped in a single step.
+ * Protects against a malicious header forcing unbounded key derivation.
+ */
+export const MAX_SENDER_KEY_SKIP = 1000;
+
+/**
+ * Maximum number of cached out-of-order message keys per sender.
+ * Oldest entries are evicted first.
+ */
+export const MAX_SKIPPED_SENDER_KEYS = 200;
+
+/**
+ * Opens IndexedDB database
+ * @returns {Promise<IDBDatabase>}
+ */
+async function openDB() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result);
+
+    request.onupgradeneeded = (event) => {
+      const db = event.target.result;
+      // Create senderKeys store if it doesn't exist
+      if (!db.objectStoreNames.contains(SENDER_KEYS_STORE)) {
+        const senderKeyStore = db.createObjectStore(SENDER_KEYS_STORE, { keyPath: 'id' });
+        senderKeyStore.createIndex('groupId', 'groupId', { unique: false });
+      }
+      if (!db.objectStoreNames.contains('searchIndex')) {
+        const searchIndexStore = db.createObjectStore('searchIndex', { keyPath: 'id' });
+        searchIndexStore.createIndex('userId', 'userId', { unique: false });
+      }
+      // Also ensure other common stores exist (for backward compatibility)
+      if (!db.objectStoreNames.contains('contacts')) {
+        const contactStore = db.createObjectStore('contacts', { keyPath: 'id' });
+        contactStore.createIndex('userId', 'userId', { unique: false });
+      }
+      if (!db.objectStoreNames.contains('preKeys')) {
+        const preKeyStore = db.createObjectStore('preKeys', { keyPath: 'id' });
+        preKeyStore.createIndex('userId', 'userId', { unique: false });
+      }
+      if (!db.objectStoreNames.contains('identityKeys')) {
+        db.createObjectStore('identityKeys', { keyPath: 'userId' });
+      }
+      if (!db.objectStoreNames.contains('sessions')) {
+        db.createObjectStore('sessions', { keyPath: 'sessionId' });
+      }
+      if (!db.objectStoreNames.contains('sessionEncryptionKeys')) {
+        db.createObjectStore('sessionEncryptionKeys', { keyPath: 'userId' });
+      }
+      if (!db.objectStoreNames.contains('messages')) {
+        const msgStore = db.createObjectStore('messages', { keyPath: 'id' });
+        msgStore.createIndex('sessionId', 'sessionId', { unique: false });
+        msgStore.createIndex('timestamp', 'timestamp', { unique: false });
+        msgStore.createIndex('seq', 'seq', { unique: false });
+      }
+      if (!db.objectStoreNames.contains('clientLogs')) {
+        const logStore = db.createObjectStore('clientLogs', {
+          keyPath: 'id',
+          autoIncrement: true
+        });
+        logStore.createIndex('timestamp', 'timestamp', { unique: false });
+        logStore.createIndex('userId', 'userId', { unique: false });
+        logStore.createIndex('sessionId', 'sessionId', { unique: false });
+        logStore.createIndex('event', 'event', { unique: false });
+        logStore.createIndex('synced', 'synced', { unique: false });
+      }
+      if (!db.objectStoreNames.contains('messageQueue')) {
+        const queueStore = db.createObjectStore('messageQueue', { keyPath: 'id', autoIncrement: true });
+        queueStore.createIndex('sessionId', 'sessionId', { unique: false });
+        queueStore.createIndex('timestamp', 'timestamp', { unique: false });
+      }
+    };
+  });
+}
+
+/**
+ * Builds the storage key for a sender key record
+ * @param {string} userId - Our user ID
+ * @param {string} groupId - Group ID
+ * @param {string} senderId - Owner of the sender key
+ * @returns {string}
+ */
+function senderKeyRecordId(userId, groupId, senderId) {
+  return `${userId}:${groupId}:${senderId}`;
+}
+
+/**
+ * Creates a sender key error
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error}
+ */
+function senderKeyError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Builds the AES-GCM associated data binding the header to the ciphertext
+ * @param {string} groupId - Group ID
+ * @param {string} senderId - Sender user ID
+ * @param {Object} header - {keyId, iteration}
+ * @returns {Uint8Array}
+ */
+function buildAssociatedData(groupId, senderId, header) {
+  return new TextEncoder().encode(JSON.stringify({
+    groupId,
+    senderId,
+    keyId: header.keyId,
+    iteration: header.iteration
+  }));
+}
+
+/**
+ * Builds the byte string covered by the sender's signature
+ * @param {string} groupId - Group ID
+ * @param {string} senderId - Sender user ID
+ * @param {Object} header - {keyId, iteration}
+ * @param {string} iv - Base64 IV
+ * @param {string} ciphertext - Base64 ciphertext
+ * @param {string} authTag - Base64 auth tag
+ * @returns {Uint8Array}
+ */
+function buildSignaturePayload(groupId, senderId, header, iv, ciphertext, authTag) {
+  return new TextEncoder().encode(JSON.stringify({
+    groupId,
+    senderId,
+    keyId: header.keyId,
+    iteration: header.iteration,
+    iv,
+    ciphertext,
+    authTag
+  }));
+}
+
+/**
+ * Writes a sender key state (encrypted at rest)
+ * @param {string} userId - Our user ID
+ * @param {string} groupId - Group ID
+ * @param {string} senderId - Owner of the sender key
+ * @param {Object} state - Sender key state
+ * @returns {Promise<void>}
+ */
+async function storeSenderKeyState(userId, groupId, senderId, state) {
+  const record = {
+    id: senderKeyRecordId(userId, groupId, senderId),
+    userId,
+    groupId,
+    senderId,
+    keyId: state.keyId,
+    state: await encryptForStorage(userId, state),
+    updatedAt: new Date().toISOString()
+  };
+
+  const db = await openDB();
+  const transaction = db.transaction([SENDER_KEYS_STORE], 'readwrite');
+  const store = transaction.objectStore(SENDER_KEYS_STORE);
+
+  await new Promise((resolve, reject) => {
+    const request = store.put(record);
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Loads and decrypts a sender key state
+ * @param {string} userId - Our user ID
+ * @param {string} groupId - Group ID
+ * @param {string} senderId - Owner of the sender key
+ * @returns {Promise<Object|null>} State or null if unknown
+ */
+export async function loadSenderKeyState(userId, groupId, senderId) {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([SENDER_KEYS_STORE], 'readonly');
+    const store = transaction.objectStore(SENDER_KEYS_STORE);
+
+    const record = await new Promise((resolve, reject) => {
+      const request = store.get(senderKeyRecordId(userId, groupId, senderId));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    return record ? await decryptFromStorage(userId, record.state) : null;
+  } catch (error) {
+    throw new Error(`Failed to load sender key: ${error.message}`);
+  }
+}
+
+/**
+ * Creates (or replaces) our own sender key for a group
+ * @param {string} userId - Our user ID
+ * @param {string} groupId - Group ID
+ * @param {number} epoch - Group membership epoch the key was created for
+ * @returns {Promise<Object>} New sender key state
+ */
+export async function createSenderKey(userId, groupId, epoch = 0) {
+  try {
+    const signingKeyPair = await crypto.subtle.generateKey(
+      { name: 'ECDSA', namedCurve: 'P-256' },
+      true,
+      ['sign', 'verify']
+    );
+    const { kty, crv, x, y } = await crypto.subtle.exportKey('jwk', signingKeyPair.publicKey);
+
+    const state = {
+      keyId: arrayBufferToBase64(crypto.getRandomValues(new Uint8Array(8))),
+      epoch,
+      chainKey: arrayBufferToBase64(crypto.getRandomValues(new Uint8Array(32))),
+      iteration: 0,
+      signingPublicKeyJWK: { kty, crv, x, y },
+      signingPrivateKeyJWK: await crypto.subtle.exportKey('jwk', signingKeyPair.privateKey),
+      distributedTo: [],
+      skippedKeys: []
+    };
+
+    await storeSenderKeyState(userId, groupId, userId, state);
+    return state;
+  } catch (error) {
+    throw new Error(`Failed to create sender key: ${error.message}`);
+  }
+}
+
+/**
+ * Builds the distribution message for our current sender key
+ * Creates a sender key first if we do not have one for this group yet.
+ * Recipients can decrypt from the current iteration onwards, not earlier messages.
+ * @param {string} userId - Our user ID
+ * @param {string} groupId - Group ID
+ * @param {number} epoch - Current group epoch (used only when creating a key)
+ * @returns {Promise<Object>} Distribution message (send over a pairwise session)
+ */
+export async function buildSenderKeyDistribution(userId, groupId, epoch = 0) {
+  const state = await loadSenderKeyState(userId, groupId, userId) ||
+    await createSenderKey(userId, groupId, epoch);
+
+  return {
+    kind: SENDER_KEY_DISTRIBUTION,
+    groupId,
+    epoch: state.epoch,
+    keyId: state.keyId,
+    iteration: state.iteration,
+    chainKey: state.chainKey,
+    signingPublicKeyJWK: state.signingPublicKeyJWK
+  };
+}
+
+/**
+ * Records which members have been sent our current sender key
+ * @param {string} userId - Our user ID
+ * @param {string} groupId - Group ID
+ * @param {Array<string>} memberIds - Members that received the distribution
+ * @returns {Promise<void>}
+ */
+export async function markSenderKeyDistributed(userId, groupId, memberIds) {
+  const state = await loadSenderKeyState(userId, groupId, userId);
+  if (!state) return;
+
+  const distributedTo = new Set([...(state.distributedTo || []), ...memberIds.map(String)]);
+  await storeSenderKeyState(userId, groupId, userId, { ...state, distributedTo: [...distributedTo] });
+}
+
+/**
+ * Checks whether a late message's key is still cached for a sender
+ * @param {Object} state - Sender key state
+ * @param {Object} header - {keyId, iteration}
+ * @returns {boolean}
+ */
+export function hasSkippedSenderKey(state, header) {
+  return !!state &&
+    state.keyId === header.keyId &&
+    (state.skippedKeys || []).some(entry => entry.iteration === header.iteration);
+}
+
+/**
+ * Parses a decrypted pairwise message as a sender key distribution
+ * @param {string} plaintext - Decrypted message text
+ * @returns {Object|null} Distribution message, or null for ordinary text
+ */
+export function parseSenderKeyDistribution(plaintext) {
+  if (typeof plaintext !== 'string' || !plaintext.includes(SENDER_KEY_DISTRIBUTION)) {
+    return null;
+  }
+  try {
+    const message = JSON.parse(plaintext);
+    if (message?.kind !== SENDER_KEY_DISTRIBUTION ||
+        typeof message.groupId !== 'string' ||
+        typeof message.keyId !== 'string' ||
+        typeof message.chainKey !== 'string' ||
+        !Number.isInteger(message.iteration) || message.iteration < 0 ||
+        !message.signingPublicKeyJWK?.x || !message.signingPublicKeyJWK?.y) {
+      return null;
+    }
+    return message;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Stores a sender key received from another member
+ * A redistribution of the key we already hold never rewinds its chain.
+ * @param {string} userId - Our user ID
+ * @param {string} senderId - Member the key belongs to (pairwise session peer)
+ * @param {Object} distribution - Parsed distribution message
+ * @returns {Promise<Object>} Stored state
+ */
+export async function processSenderKeyDistribution(userId, senderId, distribution) {
+  const { groupId, keyId, epoch, iteration, chainKey, signingPublicKeyJWK } = distribution;
+
+  const existing = await loadSenderKeyState(userId, groupId, senderId);
+  if (existing && existing.keyId === keyId && existing.iteration >= iteration) {
+    return existing;
+  }
+
+  const { kty, crv, x, y } = signingPublicKeyJWK;
+  const state = {
+    keyId,
+    epoch: epoch || 0,
+    chainKey,
+    iteration,
+    signingPublicKeyJWK: { kty, crv, x, y },
+    skippedKeys: []
+  };
+  await storeSenderKeyState(userId, groupId, senderId, state);
+  return state;
+}
+
+/**
+ * Encrypts a group message with our sender key and signs it
+ * The advanced chain is persisted before returning so a key is never reused.
+ * @param {string} userId - Our user ID
+ * @param {string} groupId - Group ID
+ * @param {ArrayBuffer|string} plaintext - Message to encrypt
+ * @returns {Promise<{header: Object, ciphertext: ArrayBuffer, iv: Uint8Array, authTag: ArrayBuffer, signature: string}>}
+ */
+export async function senderKeyEncrypt(userId, groupId, plaintext) {
+  const state = await loadSenderKeyState(userId, groupId, userId);
+  if (!state) {
+    throw senderKeyError('No sender key for this group', 'SENDER_KEY_MISSING');
+  }
+
+  const header = { keyId: state.keyId, iteration: state.iteration };
+  const { messageKey, chainKey } = await kdfChainKey(state.chainKey);
+  await storeSenderKeyState(userId, groupId, userId, {
+    ...state,
+    chainKey,
+    iteration: state.iteration + 1
+  });
+
+  const { ciphertext, iv, authTag } = await encryptAESGCM(
+    messageKey,
+    plaintext,
+    buildAssociatedData(groupId, userId, header)
+  );
+
+  const signingKey = await crypto.subtle.importKey(
+    'jwk',
+    state.signingPrivateKeyJWK,
+    { name: 'ECDSA', namedCurve: 'P-256' },
+    false,
+    ['sign']
+  );
+  const signature = await signData(signingKey, buildSignaturePayload(
+    groupId,
+    userId,
+    header,
+    arrayBufferToBase64(iv),
+    arrayBufferToBase64(ciphertext),
+    arrayBufferToBase64(authTag)
+  ));
+
+  return { header, ciphertext, iv, authTag, signature: arrayBufferToBase64(signature) };
+}
+
+/**
+ * Verifies and decrypts a group message from another member
+ * State is persisted only if decryption succeeded.
+ * @param {string} userId - Our user ID
+ * @param {string} groupId - Group ID
+ * @param {string} senderId - Sender user ID
+ * @param {Object} header - {keyId, iteration}
+ * @param {string} ciphertext - Base64 ciphertext
+ * @param {string} iv - Base64 IV
+ * @param {string} authTag - Base64 auth tag
+ * @param {string} signature - Base64 sender signature
+ * @returns {Promise<ArrayBuffer>} Plaintext
+ */
+export async function senderKeyDecrypt(userId, groupId, senderId, header, ciphertext, iv, authTag, signature) {
+  const state = await loadSenderKeyState(userId, groupId, senderId);
+  if (!state || state.keyId !== header.keyId) {
+    throw senderKeyError('No sender key from this member yet', 'SENDER_KEY_MISSING');
+  }
+
+  // 1. Signature first: only the key owner can produce it
+  const signingKey = await crypto.subtle.importKey(
+    'jwk',
+    state.signingPublicKeyJWK,
+    { name: 'ECDSA', namedCurve: 'P-256' },
+    false,
+    ['verify']
+  );
+  const validSignature = await verifySignature(
+    signingKey,
+    base64ToArrayBuffer(signature),
+    buildSignaturePayload(groupId, senderId, header, iv, ciphertext, authTag)
+  );
+  if (!validSignature) {
+    throw senderKeyError('Invalid sender signature on group message', 'INVALID_SIGNATURE');
+  }
+
+  const next = { ...state, skippedKeys: [...(state.skippedKeys || [])] };
+  let messageKey;
+
+  if (header.iteration < next.iteration) {
+    // 2a. Out-of-order message: use (and delete) the cached key
+    const index = next.skippedKeys.findIndex(entry => entry.iteration === header.iteration);
+    if (index === -1) {
+      throw senderKeyError('Message key already used (possible replay)', 'REPLAY_DETECTED');
+    }
+    messageKey = base64ToArrayBuffer(next.skippedKeys.splice(index, 1)[0].messageKey);
+  } else {
+    // 2b. Advance the chain, caching keys for messages that have not arrived yet
+    if (header.iteration - next.iteration > MAX_SENDER_KEY_SKIP) {
+      throw new Error('Too many skipped group messages');
+    }
+    while (next.iteration < header.iteration) {
+      const step = await kdfChainKey(next.chainKey);
+      next.skippedKeys.push({ iteration: next.iteration, messageKey: arrayBufferToBase64(step.messageKey) });
+      next.chainKey = step.chainKey;
+      next.iteration += 1;
+    }
+    if (next.skippedKeys.length > MAX_SKIPPED_SENDER_KEYS) {
+      next.skippedKeys = next.skippedKeys.slice(-MAX_SKIPPED_SENDER_KEYS);
+    }
+    const step = await kdfChainKey(next.chainKey);
+    messageKey = step.messageKey;
+    next.chainKey = step.chainKey;
+    next.iteration += 1;
+  }
+
+  const plaintext = await decryptAESGCM(
+    messageKey,
+    base64ToArrayBuffer(iv),
+    base64ToArrayBuffer(ciphertext),
+    base64ToArrayBuffer(authTag),
+    buildAssociatedData(groupId, senderId, header)
+  );
+
+  await storeSenderKeyState(userId, groupId, senderId, next);
+  return plaintext;
+}
+
+/**
+ * Deletes sender keys for a group
+ * @param {string} userId - Our user ID
+ * @param {string} groupId - Group ID
+ * @param {string} senderId - Only this member's key (default: every key in the group)
+ * @returns {Promise<void>}
+ */
+export async function deleteSenderKeys(userId, groupId, senderId = null) {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([SENDER_KEYS_STORE], 'readwrite');
+    const store = transaction.objectStore(SENDER_KEYS_STORE);
+
+    const records = await new Promise((resolve, reject) => {
+      const request = store.index('groupId').getAll(groupId);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    const doomed = records.filter(record =>
+      record.userId === userId && (!senderId || record.senderId === senderId));
+
+    await Promise.all(doomed.map(record => new Promise((resolve, reject) => {
+      const request = store.delete(record.id);
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    })));
+  } catch (error) {
+    throw new Error(`Failed to delete sender keys: ${error.message}`);
+  }
+}
+
+/**
+ * Loads and decrypts every sender key we hold, for a backup
+ * @param {string} userId - Our user ID
+ * @returns {Promise<Array<{groupId: string, senderId: string, state: Object}>>}
+ */
+export async function exportSenderKeyStates(userId) {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([SENDER_KEYS_STORE], 'readonly');
+    const store = transaction.objectStore(SENDER_KEYS_STORE);
+
+    const records = await new Promise((resolve, reject) => {
+      const request = store.getAll();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    const states = [];
+    for (const record of records.filter(record => record.userId === userId)) {
+      try {
+        states.push({
+          groupId: record.groupId,
+          senderId: record.senderId,
+          state: await decryptFromStorage(userId, record.state)
+        });
+      } catch (error) {
+        // Skip keys that can't be decrypted, like getUserSessions
+        console.warn(`Failed to decrypt sender key ${record.id}:`, error);
+      }
+    }
+    return states;
+  } catch (error) {
+    throw new Error(`Failed to export sender keys: ${error.message}`);
+  }
+}
+
+/**
+ * Stores sender keys of other members from a backup
+ * Our own sender keys are skipped: other members have already received
+ * messages at the iterations of the backed-up chain, so resuming it would
+ * reuse message keys. A new key is created and distributed on the next send.
+ * @param {string} userId - Our user ID
+ * @param {Array<{groupId: string, senderId: string, state: Object}>} states - From exportSenderKeyStates
+ * @returns {Promise<number>} Number of sender keys stored
+ */
+export async function importSenderKeyStates(userId, states) {
+  let imported = 0;
+  for (const { groupId, senderId, state } of states) {
+    if (senderId === userId || typeof groupId !== 'string' || typeof senderId !== 'string' || !state?.keyId) {
+      continue;
+    }
+    await storeSenderKeyState(userId, groupId, senderId, state);
+    imported++;
+  }
+  return imported;
+}
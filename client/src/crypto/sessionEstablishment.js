@@ -8,15 +8,99 @@
  * 1. Initiator: Generate ephemeral key → Sign with identity key → Send KEP_INIT
  * 2. Responder: Receive KEP_INIT → Validate → Generate ephemeral key → Sign → Send KEP_RESPONSE
  * 3. Both: Compute shared secret → Derive session keys → Store session
+ * 4. Both: Initialize Double Ratchet state from the exchanged ephemeral keys
+ *
+ * If the peer is offline, the initiator falls back to the peer's prekey bundle
+ * (see preKeys.js) and derives the session without a round trip; the responder
+ * completes it from the pre-key header on the first message.
+ *
+ * Every session is with one device of the peer (session.peerDeviceId); each
+ * device has its own identity key and prekeys.
  */
 
 import { generateEphemeralKeyPair, computeSharedSecret, deriveSessionKeys, exportPublicKey, importPublicKey as importEphPublicKey } from './ecdh.js';
 import { buildKEPInit, buildKEPResponse, validateKEPInit, validateKEPResponse } from './messages.js';
 import { loadPrivateKey, importPublicKey as importIdentityPublicKey } from './identityKeys.js';
 import { createSession, initializeSessionEncryption } from './sessionManager.js';
+import { initializeRatchetAsInitiator, initializeRatchetAsResponder } from './doubleRatchet.js';
 import { generateSecureSessionId } from './sessionIdSecurity.js';
+import {
+  fetchPreKeyBundle,
+  verifySignedPreKey,
+  computeInitiatorSecret,
+  computeResponderSecret,
+  buildPreKeyHeader,
+  verifyPreKeyHeader,
+  loadPreKeyPair,
+  deletePreKey
+} from './preKeys.js';
+import { assertContactIdentityKeyUnchanged, assertContactDeviceApproved } from '../utils/contactStore.js';
+import { verifyKeyInLog } from './keyTransparency.js';
+import { verifyDeviceApprovalChain } from './devices.js';
+import { DEFAULT_DEVICE_ID } from '../utils/deviceStore.js';
 import api from '../services/api.js';
 
+/**
+ * Fetches and checks the identity key of one of a peer's devices
+ * The key of the peer's oldest device is pinned (safety numbers are computed
+ * over it) and every other device must have been approved through it (see
+ * verifyDeviceApprovalChain); every device key must be committed to in the
+ * transparency log.
+ * @param {string} userId - Our user ID
+ * @param {string} peerId - Peer user ID
+ * @param {string} [deviceId] - Peer device (default: the peer's oldest active device)
+ * @returns {Promise<{deviceId: string, publicIdentityKeyJWK: Object}>}
+ */
+export async function fetchPeerDeviceKey(userId, peerId, deviceId) {
+  let data;
+  try {
+    const response = await api.get(`/keys/${peerId}`, { params: deviceId ? { deviceId } : undefined });
+    if (!response.data.success || !response.data.data?.publicIdentityKeyJWK) {
+      throw new Error('Failed to fetch peer public key');
+    }
+    data = response.data.data;
+  } catch (error) {
+    throw new Error(`Failed to fetch peer's public identity key: ${error.message}`);
+  }
+
+  // Refuse a key that differs from the one we verified for this contact,
+  // or that the server has not committed to in the transparency log
+  const peerDeviceId = data.deviceId || DEFAULT_DEVICE_ID;
+  const primary = data.devices?.[0];
+  if (!primary || primary.deviceId === peerDeviceId) {
+    await assertContactIdentityKeyUnchanged(userId, peerId, data.publicIdentityKeyJWK);
+  } else {
+    await assertContactIdentityKeyUnchanged(userId, peerId, primary.publicIdentityKeyJWK);
+    await verifyKeyInLog(peerId, primary.publicIdentityKeyJWK, primary.deviceId);
+
+    // The listed device must be the one served, so its approval covers this key
+    const listed = data.devices.find(device => device.deviceId === peerDeviceId);
+    const approved = listed?.publicIdentityKeyJWK.x === data.publicIdentityKeyJWK.x &&
+      listed?.publicIdentityKeyJWK.y === data.publicIdentityKeyJWK.y &&
+      await verifyDeviceApprovalChain(peerId, peerDeviceId, data.devices);
+    await assertContactDeviceApproved(userId, peerId, peerDeviceId, approved);
+  }
+  await verifyKeyInLog(peerId, data.publicIdentityKeyJWK, peerDeviceId);
+
+  return { deviceId: peerDeviceId, publicIdentityKeyJWK: data.publicIdentityKeyJWK };
+}
+
+/**
+ * Records which peer device a freshly created session belongs to
+ * @param {string} sessionId - Session identifier
+ * @param {string} userId - Our user ID
+ * @param {string} peerDeviceId - Peer device
+ * @param {Object} [extra] - Further fields to store on the session
+ * @returns {Promise<Object>} Updated session
+ */
+async function setSessionPeerDevice(sessionId, userId, peerDeviceId, extra = {}) {
+  const { loadSession, storeSession } = await import('./sessionManager.js');
+  const session = await loadSession(sessionId, userId);
+  Object.assign(session, { peerDeviceId }, extra);
+  await storeSession(session, userId);
+  return session;
+}
+
 /**
  * Initiates a new session with a peer
  * @param {string} userId - Our user ID
@@ -65,17 +149,10 @@ export async function initiateSession(userId, peerId, password, socket) {
       }
     }
 
-    // 6. Fetch peer's public identity key
-    let peerIdentityPubKeyJWK;
-    try {
-      const response = await api.get(`/keys/${peerId}`);
-      if (!response.data.success || !response.data.data?.publicIdentityKeyJWK) {
-        throw new Error('Failed to fetch peer public key');
-      }
-      peerIdentityPubKeyJWK = response.data.data.publicIdentityKeyJWK;
-    } catch (error) {
-      throw new Error(`Failed to fetch peer's public identity key: ${error.message}`);
-    }
+    // 6. Fetch and check the identity key of the peer's oldest device
+    // (the session is with that device; others are reached via prekey sessions)
+    const { deviceId: peerDeviceId, publicIdentityKeyJWK: peerIdentityPubKeyJWK } =
+      await fetchPeerDeviceKey(userId, peerId);
 
     // 7. Import peer's public identity key (ECDSA for signature verification)
     const peerIdentityPubKey = await importIdentityPublicKey(peerIdentityPubKeyJWK);
@@ -91,6 +168,8 @@ export async function initiateSession(userId, peerId, password, socket) {
       identityPrivateKey,
       sessionId
     );
+    // Routing only; the server forwards KEP_INIT to this device
+    kepInitMessage.toDevice = peerDeviceId;
 
     // 9. Send KEP_INIT via WebSocket
     return new Promise((resolve, reject) => {
@@ -105,13 +184,15 @@ export async function initiateSession(userId, peerId, password, socket) {
         if (data.sessionId === sessionId) {
           console.log(`KEP_INIT delivery status: ${data.delivered ? 'delivered' : 'pending'}`);
           if (!data.delivered) {
-            console.warn('KEP_INIT not delivered - peer may be offline');
-            // If peer is offline, reject immediately with a helpful message
+            console.warn('KEP_INIT not delivered - peer may be offline, falling back to prekey bundle');
             clearTimeout(timeout);
             socket.off('kep:response', handleResponse);
             socket.off('kep:sent', handleSent);
             socket.off('error', handleError);
-            reject(new Error('Peer is not online. The other user must be connected to establish a session.'));
+            // Peer is offline: derive the session from their published prekeys instead
+            initiatePreKeySession(userId, peerId, password, peerDeviceId)
+              .then(resolve)
+              .catch(error => reject(new Error(`Peer is not online and no prekey session could be established: ${error.message}`)));
           }
         }
       };
@@ -129,7 +210,8 @@ export async function initiateSession(userId, peerId, password, socket) {
 
       const handleResponse = async (kepResponseMessage) => {
         // Only handle response for this session
-        if (kepResponseMessage.sessionId !== sessionId || kepResponseMessage.from !== peerId) {
+        if (kepResponseMessage.sessionId !== sessionId || kepResponseMessage.from !== peerId ||
+            (kepResponseMessage.fromDevice || DEFAULT_DEVICE_ID) !== peerDeviceId) {
           console.log('KEP_RESPONSE received but not for this session:', {
             receivedSessionId: kepResponseMessage.sessionId,
             expectedSessionId: sessionId,
@@ -190,14 +272,19 @@ export async function initiateSession(userId, peerId, password, socket) {
             throw new Error('Key confirmation failed');
           }
 
+          // 14.5. Initialize Double Ratchet (responder's ephemeral key is the first remote ratchet key)
+          const ratchet = await initializeRatchetAsInitiator(rootKey, sendKey, recvKey, kepResponseMessage.ephPub);
+
           // 15. Create and store session
           const session = {
             sessionId,
             userId,
             peerId,
+            peerDeviceId,
             rootKey,
             sendKey,
             recvKey,
+            ratchet,
             lastSeq: 0,
             lastTimestamp: Date.now(),
             usedNonceHashes: [],
@@ -205,7 +292,8 @@ export async function initiateSession(userId, peerId, password, socket) {
             updatedAt: new Date().toISOString()
           };
 
-          await createSession(sessionId, userId, peerId, rootKey, sendKey, recvKey, password);
+          await createSession(sessionId, userId, peerId, rootKey, sendKey, recvKey, password, ratchet);
+          await setSessionPeerDevice(sessionId, userId, peerDeviceId);
 
           // 16. Clear ephemeral private key from memory
           // (Note: In JavaScript, we can't explicitly clear CryptoKey, but we can null the reference)
@@ -232,6 +320,163 @@ export async function initiateSession(userId, peerId, password, socket) {
   }
 }
 
+/**
+ * Establishes a session from the peer's prekey bundle (peer may be offline)
+ * The returned session carries a pendingPreKey header that is attached to
+ * outgoing messages until the peer has answered.
+ * @param {string} userId - Our user ID
+ * @param {string} peerId - Peer user ID
+ * @param {string} password - User password for key decryption
+ * @param {string} [deviceId] - Peer device (default: the peer's oldest active device)
+ * @returns {Promise<{sessionId: string, session: Object}>} Established session
+ */
+export async function initiatePreKeySession(userId, peerId, password, deviceId) {
+  try {
+    console.log(`Initiating prekey session with ${peerId}...`);
+
+    // 1. Initialize session encryption and load our identity key
+    await initializeSessionEncryption(userId, password);
+    const identityPrivateKey = await loadPrivateKey(userId, password);
+
+    // 2. Fetch peer's bundle (consumes one of their one-time prekeys); it must
+    // carry the identity key we checked for that device
+    const peerDevice = await fetchPeerDeviceKey(userId, peerId, deviceId);
+    const bundle = await fetchPreKeyBundle(peerId, peerDevice.deviceId);
+    if (bundle.publicIdentityKeyJWK.x !== peerDevice.publicIdentityKeyJWK.x ||
+        bundle.publicIdentityKeyJWK.y !== peerDevice.publicIdentityKeyJWK.y) {
+      throw new Error('Prekey bundle identity key does not match the device key');
+    }
+    const peerIdentityPubKey = await importIdentityPublicKey(bundle.publicIdentityKeyJWK);
+
+    // 3. Verify the signed prekey was signed by the peer's identity key
+    const spkValid = await verifySignedPreKey(peerIdentityPubKey, bundle.signedPreKey);
+    if (!spkValid) {
+      throw new Error('Invalid signed prekey signature');
+    }
+
+    // 4. Generate our ephemeral key and compute the shared secret
+    let { privateKey: ephPrivateKey, publicKey: ephPublicKey } = await generateEphemeralKeyPair();
+    const sharedSecret = await computeInitiatorSecret(
+      ephPrivateKey,
+      bundle.signedPreKey.publicKeyJWK,
+      bundle.oneTimePreKey?.publicKeyJWK || null
+    );
+
+    // 5. Derive session keys
+    const sessionId = await generateSecureSessionId(userId, peerId);
+    const { rootKey, sendKey, recvKey } = await deriveSessionKeys(
+      sharedSecret,
+      sessionId,
+      userId,
+      peerId
+    );
+
+    // 6. Initialize Double Ratchet (peer's signed prekey is the first remote ratchet key)
+    const ratchet = await initializeRatchetAsInitiator(rootKey, sendKey, recvKey, bundle.signedPreKey.publicKeyJWK);
+
+    // 7. Build signed pre-key header for the responder
+    const pendingPreKey = await buildPreKeyHeader(
+      identityPrivateKey,
+      sessionId,
+      userId,
+      peerId,
+      await exportPublicKey(ephPublicKey),
+      bundle.signedPreKey.keyId,
+      bundle.oneTimePreKey?.keyId ?? null
+    );
+
+    // 8. Create and store session
+    await createSession(sessionId, userId, peerId, rootKey, sendKey, recvKey, password, ratchet);
+    const session = await setSessionPeerDevice(sessionId, userId, peerDevice.deviceId, { pendingPreKey });
+
+    ephPrivateKey = null;
+
+    console.log(`✓ Prekey session established: ${sessionId}`);
+    return { sessionId, session };
+  } catch (error) {
+    throw new Error(`Failed to initiate prekey session: ${error.message}`);
+  }
+}
+
+/**
+ * Completes a session from the pre-key header of an incoming message
+ * Requires the session encryption key to be cached (user is logged in).
+ * @param {Object} envelope - Incoming envelope carrying preKeyHeader
+ * @param {string} userId - Our user ID
+ * @returns {Promise<{sessionId: string, session: Object}>} Established session
+ */
+export async function acceptPreKeySession(envelope, userId) {
+  try {
+    const { sessionId, sender: peerId, preKeyHeader } = envelope;
+    console.log(`Accepting prekey session ${sessionId} from ${peerId}...`);
+
+    // 1. Fetch and import the identity key of the sending device (stamped by the server)
+    const { deviceId: peerDeviceId, publicIdentityKeyJWK: peerIdentityPubKeyJWK } =
+      await fetchPeerDeviceKey(userId, peerId, envelope.senderDevice || DEFAULT_DEVICE_ID);
+    const peerIdentityPubKey = await importIdentityPublicKey(peerIdentityPubKeyJWK);
+
+    // 2. Verify the initiator signed this header for this session
+    const headerValid = await verifyPreKeyHeader(peerIdentityPubKey, preKeyHeader, sessionId, peerId, userId);
+    if (!headerValid) {
+      throw new Error('Invalid pre-key header signature');
+    }
+
+    // 3. Load the prekeys the initiator used
+    const signedPreKey = await loadPreKeyPair(userId, 'signed', preKeyHeader.signedPreKeyId);
+    if (!signedPreKey) {
+      throw new Error(`Unknown signed prekey ${preKeyHeader.signedPreKeyId}`);
+    }
+    let oneTimePreKey = null;
+    if (preKeyHeader.oneTimePreKeyId !== null) {
+      oneTimePreKey = await loadPreKeyPair(userId, 'oneTime', preKeyHeader.oneTimePreKeyId);
+      if (!oneTimePreKey) {
+        throw new Error(`Unknown or already used one-time prekey ${preKeyHeader.oneTimePreKeyId}`);
+      }
+    }
+
+    // 4. Compute shared secret and derive session keys
+    const sharedSecret = await computeResponderSecret(
+      preKeyHeader.ephPub,
+      signedPreKey.privateKey,
+      oneTimePreKey?.privateKey || null
+    );
+    const { rootKey, sendKey, recvKey } = await deriveSessionKeys(
+      sharedSecret,
+      sessionId,
+      userId,
+      peerId
+    );
+
+    // 5. Initialize Double Ratchet (our signed prekey pair is the first ratchet key)
+    const ratchet = await initializeRatchetAsResponder(rootKey, sendKey, recvKey, {
+      privateKey: signedPreKey.privateKey,
+      publicKey: signedPreKey.publicKey
+    });
+
+    // 6. Create and store session
+    await createSession(sessionId, userId, peerId, rootKey, sendKey, recvKey, null, ratchet);
+
+    // 7. One-time prekeys are single use
+    if (oneTimePreKey) {
+      await deletePreKey(userId, 'oneTime', preKeyHeader.oneTimePreKeyId);
+    }
+
+    // Further sessions with the same peer (their other devices) join our
+    // existing conversation with them instead of opening a new chat
+    const { getUserSessions } = await import('./sessionManager.js');
+    const conversation = (await getUserSessions(userId))
+      .find(s => s.sessionId !== sessionId && s.peerId === peerId && (!s.conversationId || s.conversationId === s.sessionId));
+    const session = await setSessionPeerDevice(sessionId, userId, peerDeviceId, {
+      conversationId: conversation?.sessionId || sessionId
+    });
+
+    console.log(`✓ Prekey session accepted: ${sessionId}`);
+    return { sessionId, session };
+  } catch (error) {
+    throw new Error(`Failed to accept prekey session: ${error.message}`);
+  }
+}
+
 /**
  * Handles incoming KEP_INIT message
  * @param {Object} kepInitMessage - KEP_INIT message from peer
@@ -259,17 +504,9 @@ export async function handleKEPInit(kepInitMessage, userId, password, socket) {
       return { sessionId, session: existingSession };
     }
 
-    // 4. Fetch peer's public identity key
-    let peerIdentityPubKeyJWK;
-    try {
-      const response = await api.get(`/keys/${peerId}`);
-      if (!response.data.success || !response.data.data?.publicIdentityKeyJWK) {
-        throw new Error('Failed to fetch peer public key');
-      }
-      peerIdentityPubKeyJWK = response.data.data.publicIdentityKeyJWK;
-    } catch (error) {
-      throw new Error(`Failed to fetch peer's public identity key: ${error.message}`);
-    }
+    // 4. Fetch and check the identity key of the sending device (stamped by the server)
+    const { deviceId: peerDeviceId, publicIdentityKeyJWK: peerIdentityPubKeyJWK } =
+      await fetchPeerDeviceKey(userId, peerId, kepInitMessage.fromDevice || DEFAULT_DEVICE_ID);
 
     // 5. Import peer's public identity key (ECDSA for signature verification)
     const peerIdentityPubKey = await importIdentityPublicKey(peerIdentityPubKeyJWK);
@@ -310,6 +547,7 @@ export async function handleKEPInit(kepInitMessage, userId, password, socket) {
       rootKey,
       sessionId
     );
+    kepResponseMessage.toDevice = peerDeviceId;
     console.log(`[KEP] KEP_RESPONSE message built successfully`);
 
     // 13. Send KEP_RESPONSE via WebSocket
@@ -317,14 +555,22 @@ export async function handleKEPInit(kepInitMessage, userId, password, socket) {
     socket.emit('kep:response', kepResponseMessage);
     console.log(`[KEP] ✓ KEP_RESPONSE sent for session ${sessionId} to peer ${peerId}`);
 
+    // 13.5. Initialize Double Ratchet (our ephemeral key pair becomes the first ratchet key)
+    const ratchet = await initializeRatchetAsResponder(rootKey, sendKey, recvKey, {
+      privateKey: ephPrivateKey,
+      publicKey: ephPublicKey
+    });
+
     // 14. Create and store session
     const session = {
       sessionId,
       userId,
       peerId,
+      peerDeviceId,
       rootKey,
       sendKey,
       recvKey,
+      ratchet,
       lastSeq: 0,
       lastTimestamp: Date.now(),
       usedNonceHashes: [],
@@ -332,7 +578,8 @@ export async function handleKEPInit(kepInitMessage, userId, password, socket) {
       updatedAt: new Date().toISOString()
     };
 
-    await createSession(sessionId, userId, peerId, rootKey, sendKey, recvKey, password);
+    await createSession(sessionId, userId, peerId, rootKey, sendKey, recvKey, password, ratchet);
+    await setSessionPeerDevice(sessionId, userId, peerDeviceId);
 
     // 15. Clear ephemeral private key from memory
     ephPrivateKey = null;
@@ -6,10 +6,15 @@
  * - Key retrieval (send/recv keys)
  * - Sequence number management
  * - Session persistence in IndexedDB
+ * - Double Ratchet state persistence (encrypted alongside session keys)
+ * - Per-user message storage key, wrapped by the password-derived key
  * - Replay detection and logging (Phase 7)
  * - Invalid signature detection and logging (Phase 7)
  */
 
+import { initializeSymmetricRatchet } from './doubleRatchet.js';
+import { reencryptPrivateKeyRecord } from './identityKeys.js';
+
 /**
  * Logging hooks for attack detection (Phase 7)
  */
@@ -55,7 +60,7 @@ export function triggerInvalidSignature(sessionId, message) {
 }
 
 const DB_NAME = 'InfosecCryptoDB';
-const DB_VERSION = 7; // Must match the highest version used by any module
+const DB_VERSION = 11; // Must match the highest version used by any module
 const SESSIONS_STORE = 'sessions';
 const SESSION_ENCRYPTION_STORE = 'sessionEncryptionKeys'; // Store encryption metadata
 
@@ -108,6 +113,22 @@ async function openDB() {
         logStore.createIndex('event', 'event', { unique: false });
         logStore.createIndex('synced', 'synced', { unique: false });
       }
+      if (!db.objectStoreNames.contains('preKeys')) {
+        const preKeyStore = db.createObjectStore('preKeys', { keyPath: 'id' });
+        preKeyStore.createIndex('userId', 'userId', { unique: false });
+      }
+      if (!db.objectStoreNames.contains('contacts')) {
+        const contactStore = db.createObjectStore('contacts', { keyPath: 'id' });
+        contactStore.createIndex('userId', 'userId', { unique: false });
+      }
+      if (!db.objectStoreNames.contains('senderKeys')) {
+        const senderKeyStore = db.createObjectStore('senderKeys', { keyPath: 'id' });
+        senderKeyStore.createIndex('groupId', 'groupId', { unique: false });
+      }
+      if (!db.objectStoreNames.contains('searchIndex')) {
+        const searchIndexStore = db.createObjectStore('searchIndex', { keyPath: 'id' });
+        searchIndexStore.createIndex('userId', 'userId', { unique: false });
+      }
     };
   });
 }
@@ -118,6 +139,12 @@ async function openDB() {
  */
 const sessionEncryptionKeyCache = new Map(); // userId -> { key: CryptoKey, expiresAt: number }
 
+/**
+ * In-memory cache for unwrapped message storage keys
+ * Only served while the user's session encryption key is cached.
+ */
+const messageStorageKeyCache = new Map(); // userId -> Promise<ArrayBuffer>
+
 /**
  * Derives session encryption key from password
  * Uses same PBKDF2 parameters as identity key encryption for consistency.
@@ -352,12 +379,348 @@ async function decryptSessionKey(encrypted, iv, authTag, encryptionKey) {
   return decrypted;
 }
 
+/**
+ * Encrypts ratchet state (JSON) for storage
+ * @param {Object} ratchetState - Double Ratchet state
+ * @param {CryptoKey} encryptionKey - Encryption key
+ * @returns {Promise<{encrypted: number[], iv: number[], authTag: number[]}>}
+ */
+async function encryptRatchetState(ratchetState, encryptionKey) {
+  const data = new TextEncoder().encode(JSON.stringify(ratchetState));
+  const enc = await encryptSessionKey(data, encryptionKey);
+  return {
+    encrypted: Array.from(new Uint8Array(enc.encrypted)),
+    iv: Array.from(enc.iv),
+    authTag: Array.from(new Uint8Array(enc.authTag))
+  };
+}
+
+/**
+ * Decrypts ratchet state from storage
+ * @param {{encrypted: number[], iv: number[], authTag: number[]}} stored - Stored ratchet state
+ * @param {CryptoKey} encryptionKey - Decryption key
+ * @returns {Promise<Object>} Double Ratchet state
+ */
+async function decryptRatchetState(stored, encryptionKey) {
+  const decrypted = await decryptSessionKey(
+    new Uint8Array(stored.encrypted).buffer,
+    new Uint8Array(stored.iv),
+    new Uint8Array(stored.authTag).buffer,
+    encryptionKey
+  );
+  return JSON.parse(new TextDecoder().decode(decrypted));
+}
+
+/**
+ * Encrypts a JSON-serializable value with the user's cached session encryption key
+ * Used for other per-user secrets kept next to sessions (e.g. prekey private keys).
+ * @param {string} userId - User ID
+ * @param {Object} value - Value to encrypt
+ * @returns {Promise<{encrypted: number[], iv: number[], authTag: number[]}>}
+ */
+export async function encryptForStorage(userId, value) {
+  const cached = sessionEncryptionKeyCache.get(userId);
+  if (!cached || cached.expiresAt <= Date.now()) {
+    throw new Error('Session encryption key not available. Call initializeSessionEncryption() first.');
+  }
+  return await encryptRatchetState(value, cached.key);
+}
+
+/**
+ * Decrypts a value produced by encryptForStorage
+ * @param {string} userId - User ID
+ * @param {{encrypted: number[], iv: number[], authTag: number[]}} stored - Stored value
+ * @returns {Promise<Object>} Decrypted value
+ */
+export async function decryptFromStorage(userId, stored) {
+  const cached = sessionEncryptionKeyCache.get(userId);
+  if (!cached || cached.expiresAt <= Date.now()) {
+    throw new Error('Session encryption key not available. Call initializeSessionEncryption() first.');
+  }
+  return await decryptRatchetState(stored, cached.key);
+}
+
 /**
  * Clears session encryption key cache for user
  * @param {string} userId - User ID
  */
 export function clearSessionEncryptionCache(userId) {
   sessionEncryptionKeyCache.delete(userId);
+  messageStorageKeyCache.delete(userId);
+}
+
+/**
+ * Reads the user's encryption metadata record (salt, wrapped message storage key)
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>}
+ */
+async function loadEncryptionRecord(userId) {
+  const db = await openDB();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction([SESSION_ENCRYPTION_STORE], 'readonly');
+      const request = transaction.objectStore(SESSION_ENCRYPTION_STORE).get(userId);
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Writes the user's encryption metadata record
+ * @param {Object} record - Record keyed by userId
+ * @returns {Promise<void>}
+ */
+async function saveEncryptionRecord(record) {
+  const db = await openDB();
+  try {
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction([SESSION_ENCRYPTION_STORE], 'readwrite');
+      transaction.objectStore(SESSION_ENCRYPTION_STORE).put(record);
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Wraps a raw key with a password-derived key
+ * @param {ArrayBuffer} rawKey - Key to wrap
+ * @param {CryptoKey} wrappingKey - Password-derived AES-GCM key
+ * @returns {Promise<{encrypted: number[], iv: number[], authTag: number[]}>}
+ */
+async function wrapStorageKey(rawKey, wrappingKey) {
+  const enc = await encryptSessionKey(rawKey, wrappingKey);
+  return {
+    encrypted: Array.from(new Uint8Array(enc.encrypted)),
+    iv: Array.from(enc.iv),
+    authTag: Array.from(new Uint8Array(enc.authTag))
+  };
+}
+
+/**
+ * Unwraps a key produced by wrapStorageKey
+ * @param {{encrypted: number[], iv: number[], authTag: number[]}} wrapped - Wrapped key
+ * @param {CryptoKey} wrappingKey - Password-derived AES-GCM key
+ * @returns {Promise<ArrayBuffer>} Raw key
+ */
+async function unwrapStorageKey(wrapped, wrappingKey) {
+  return await decryptSessionKey(
+    new Uint8Array(wrapped.encrypted).buffer,
+    new Uint8Array(wrapped.iv),
+    new Uint8Array(wrapped.authTag).buffer,
+    wrappingKey
+  );
+}
+
+/**
+ * Gets the user's message storage key (AES-256, raw)
+ * Message history is encrypted with a random per-user key, stored wrapped by
+ * the password-derived session encryption key. Changing the password only
+ * re-wraps this key; stored messages are not re-encrypted. The key is
+ * generated on first use.
+ * @param {string} userId - User ID
+ * @returns {Promise<ArrayBuffer>} Raw 256-bit key
+ * @throws {Error} If the session encryption key is not cached
+ */
+export async function getMessageStorageKey(userId) {
+  const cached = sessionEncryptionKeyCache.get(userId);
+  if (!cached || cached.expiresAt <= Date.now()) {
+    throw new Error('Session encryption key not available. Call initializeSessionEncryption() first.');
+  }
+
+  // Concurrent first calls share one promise, so only one key is ever generated
+  if (!messageStorageKeyCache.has(userId)) {
+    const pending = (async () => {
+      const record = await loadEncryptionRecord(userId);
+      if (!record) {
+        throw new Error('Session encryption metadata missing. Call initializeSessionEncryption() first.');
+      }
+      if (record.messageStorageKey) {
+        return await unwrapStorageKey(record.messageStorageKey, cached.key);
+      }
+
+      const rawKey = crypto.getRandomValues(new Uint8Array(32)).buffer;
+      record.messageStorageKey = await wrapStorageKey(rawKey, cached.key);
+      await saveEncryptionRecord(record);
+      return rawKey;
+    })();
+    messageStorageKeyCache.set(userId, pending);
+    pending.catch(() => messageStorageKeyCache.delete(userId));
+  }
+  return await messageStorageKeyCache.get(userId);
+}
+
+/**
+ * Re-wraps the message storage key after a password change
+ * Both passwords are run through the stored salt; the key itself (and so every
+ * stored message) stays the same.
+ * @param {string} userId - User ID
+ * @param {string} oldPassword - Previous password
+ * @param {string} newPassword - New password
+ * @returns {Promise<boolean>} False if the user has no message storage key yet
+ * @throws {Error} If the old password does not unwrap the key
+ */
+export async function rewrapMessageStorageKey(userId, oldPassword, newPassword) {
+  const record = await loadEncryptionRecord(userId);
+  if (!record?.messageStorageKey) {
+    return false;
+  }
+
+  const salt = new Uint8Array(record.salt);
+  const oldKey = await deriveSessionEncryptionKey(oldPassword, salt);
+  let rawKey;
+  try {
+    rawKey = await unwrapStorageKey(record.messageStorageKey, oldKey);
+  } catch (error) {
+    throw new Error('Current password does not unlock the message storage key');
+  }
+
+  const newKey = await deriveSessionEncryptionKey(newPassword, salt);
+  record.messageStorageKey = await wrapStorageKey(rawKey, newKey);
+  record.messageStorageKeyRewrappedAt = new Date().toISOString();
+  await saveEncryptionRecord(record);
+  return true;
+}
+
+/**
+ * Fields encrypted with the session encryption key, per store
+ * Each holds {encrypted, iv, authTag} (see wrapStorageKey).
+ */
+const PASSWORD_ENCRYPTED_FIELDS = {
+  [SESSION_ENCRYPTION_STORE]: ['messageStorageKey'],
+  [SESSIONS_STORE]: ['rootKey', 'sendKey', 'recvKey', 'ratchet'],
+  preKeys: ['privateKey'],
+  senderKeys: ['state']
+};
+
+const CHANGE_PASSWORD_MAX_ATTEMPTS = 3;
+
+/**
+ * Re-encrypts everything stored under the account password
+ * Covers the identity key, sessions (with ratchet state), prekeys, sender
+ * keys and the wrapped message storage key. Every record is decrypted with
+ * the old password before anything is written, and all records are written
+ * in one transaction: on failure nothing changes. Keys cached from the old
+ * password are cleared afterwards.
+ * @param {string} userId - User ID
+ * @param {string} oldPassword - Password the stored keys are encrypted with
+ * @param {string} newPassword - New password
+ * @returns {Promise<number>} Number of records re-encrypted
+ * @throws {Error} If the old password does not decrypt a record
+ */
+export async function changeStoragePassword(userId, oldPassword, newPassword) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const count = await reencryptStoredKeys(userId, oldPassword, newPassword);
+      clearSessionEncryptionCache(userId);
+      return count;
+    } catch (error) {
+      // A record changed (e.g. a message advanced a ratchet) between reading and writing
+      if (error.name !== 'StaleRecordError' || attempt === CHANGE_PASSWORD_MAX_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * One attempt of changeStoragePassword
+ * @param {string} userId - User ID
+ * @param {string} oldPassword - Old password
+ * @param {string} newPassword - New password
+ * @returns {Promise<number>} Number of records re-encrypted
+ */
+async function reencryptStoredKeys(userId, oldPassword, newPassword) {
+  const db = await openDB();
+  try {
+    const storeNames = ['identityKeys', ...Object.keys(PASSWORD_ENCRYPTED_FIELDS)]
+      .filter(name => db.objectStoreNames.contains(name));
+
+    const records = await new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeNames, 'readonly');
+      const found = [];
+      for (const storeName of storeNames) {
+        const request = transaction.objectStore(storeName).getAll();
+        request.onsuccess = () => {
+          for (const value of request.result) {
+            if (value.userId === userId) {
+              found.push({ storeName, value });
+            }
+          }
+        };
+      }
+      transaction.oncomplete = () => resolve(found);
+      transaction.onerror = () => reject(transaction.error);
+    });
+
+    // Session-key fields share one key, derived from the salt in the encryption record
+    const encryptionRecord = records.find(({ storeName }) => storeName === SESSION_ENCRYPTION_STORE)?.value;
+    let oldKey = null;
+    let newKey = null;
+    if (encryptionRecord) {
+      const salt = new Uint8Array(encryptionRecord.salt);
+      oldKey = await deriveSessionEncryptionKey(oldPassword, salt);
+      newKey = await deriveSessionEncryptionKey(newPassword, salt);
+    }
+
+    const updates = [];
+    for (const { storeName, value } of records) {
+      let updated;
+      if (storeName === 'identityKeys') {
+        updated = await reencryptPrivateKeyRecord(value, oldPassword, newPassword);
+      } else {
+        // Sessions from before at-rest encryption hold no encrypted fields
+        const fields = PASSWORD_ENCRYPTED_FIELDS[storeName].filter(field => value[field]?.encrypted);
+        if (fields.length === 0) continue;
+        if (!oldKey) {
+          throw new Error('Session encryption metadata missing');
+        }
+        updated = { ...value };
+        for (const field of fields) {
+          try {
+            updated[field] = await wrapStorageKey(await unwrapStorageKey(value[field], oldKey), newKey);
+          } catch (error) {
+            throw new Error('Current password does not unlock the stored keys');
+          }
+        }
+      }
+      updates.push({ storeName, original: value, updated });
+    }
+
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeNames, 'readwrite');
+      let stale = false;
+      for (const { storeName, original, updated } of updates) {
+        const store = transaction.objectStore(storeName);
+        const request = store.get(original[store.keyPath]);
+        request.onsuccess = () => {
+          if (stale) return;
+          if (JSON.stringify(request.result) !== JSON.stringify(original)) {
+            stale = true;
+            transaction.abort();
+            return;
+          }
+          store.put(updated);
+        };
+      }
+      transaction.oncomplete = () => resolve();
+      transaction.onabort = () => {
+        const error = new Error(stale ? 'Stored keys changed during re-encryption' : 'Failed to write re-encrypted keys');
+        if (stale) error.name = 'StaleRecordError';
+        reject(transaction.error || error);
+      };
+    });
+
+    return updates.length;
+  } finally {
+    db.close();
+  }
 }
 
 /**
@@ -397,9 +760,10 @@ function base64ToArrayBuffer(base64) {
  * @param {ArrayBuffer} sendKey - Key for sending messages
  * @param {ArrayBuffer} recvKey - Key for receiving messages
  * @param {string} password - User password for encryption (optional, uses cached key if available)
+ * @param {Object} ratchetState - Double Ratchet state (optional, defaults to a symmetric-only ratchet)
  * @returns {Promise<void>}
  */
-export async function createSession(sessionId, userId, peerId, rootKey, sendKey, recvKey, password = null) {
+export async function createSession(sessionId, userId, peerId, rootKey, sendKey, recvKey, password = null, ratchetState = null) {
   try {
     // Get encryption key (from cache or derive from password)
     let encryptionKey = null;
@@ -420,6 +784,13 @@ export async function createSession(sessionId, userId, peerId, rootKey, sendKey,
     const sendKeyEnc = await encryptSessionKey(sendKey, encryptionKey);
     const recvKeyEnc = await encryptSessionKey(recvKey, encryptionKey);
 
+    // Text messages evolve keys through the Double Ratchet; sessions created
+    // without KEP ephemeral material get a symmetric-only ratchet
+    const ratchet = await encryptRatchetState(
+      ratchetState || initializeSymmetricRatchet(rootKey, sendKey, recvKey),
+      encryptionKey
+    );
+
     const session = {
       sessionId,
       userId,
@@ -439,6 +810,7 @@ export async function createSession(sessionId, userId, peerId, rootKey, sendKey,
         iv: Array.from(recvKeyEnc.iv),
         authTag: Array.from(new Uint8Array(recvKeyEnc.authTag))
       },
+      ratchet,
       encrypted: true, // Flag to indicate encrypted storage
       lastSeq: 0,
       lastTimestamp: Date.now(),
@@ -556,11 +928,17 @@ export async function loadSession(sessionId, userId = null, password = null) {
     const recvKeyTag = new Uint8Array(session.recvKey.authTag).buffer;
     const recvKey = await decryptSessionKey(recvKeyBuf, recvKeyIV, recvKeyTag, encryptionKey);
 
+    // Sessions created before the Double Ratchet have no ratchet state
+    const ratchet = session.ratchet
+      ? await decryptRatchetState(session.ratchet, encryptionKey)
+      : null;
+
     return {
       ...session,
       rootKey,
       sendKey,
-      recvKey
+      recvKey,
+      ratchet
     };
   } catch (error) {
     throw new Error(`Failed to load session: ${error.message}`);
@@ -680,6 +1058,9 @@ export async function storeSession(session, userId = null) {
     const rootKeyEnc = await encryptSessionKey(session.rootKey, encryptionKey);
     const sendKeyEnc = await encryptSessionKey(session.sendKey, encryptionKey);
     const recvKeyEnc = await encryptSessionKey(session.recvKey, encryptionKey);
+    const ratchet = session.ratchet
+      ? await encryptRatchetState(session.ratchet, encryptionKey)
+      : null;
 
     const sessionToStore = {
       ...session,
@@ -698,6 +1079,7 @@ export async function storeSession(session, userId = null) {
         iv: Array.from(recvKeyEnc.iv),
         authTag: Array.from(new Uint8Array(recvKeyEnc.authTag))
       },
+      ratchet,
       encrypted: true,
       updatedAt: new Date().toISOString()
     };
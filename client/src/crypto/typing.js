@@ -0,0 +1,179 @@
+/**
+ * Encrypted Typing Indicators
+ *
+ * typing:start / typing:stop signals are encrypted under the pairwise
+ * session's static send key, so the server only learns that some signal was
+ * sent on a session, not what it says. Unlike messages they are not stored,
+ * queued or sequenced: the server forwards them to the peer's device if it
+ * is online and drops them otherwise.
+ *
+ * Payload (JSON, encrypted): { kind: 'typing', state, sessionId, timestamp }
+ * The session ID and state are also bound as additional authenticated data,
+ * so a signal cannot be moved to another session or relabelled. Signals older
+ * than TYPING_MAX_AGE are ignored, which bounds replays.
+ *
+ * Typing signals are only sent while the showPresence setting is on.
+ */
+
+import { loadSession } from './sessionManager.js';
+import { encryptAESGCM, decryptAESGCMToString } from './aesGcm.js';
+import { arrayBufferToBase64, base64ToArrayBuffer } from './signatures.js';
+import { getUserSettings } from '../utils/userSettings.js';
+
+export const TYPING_KIND = 'typing';
+export const TYPING_START = 'start';
+export const TYPING_STOP = 'stop';
+
+const TYPING_STATES = [TYPING_START, TYPING_STOP];
+export const TYPING_MAX_AGE = 10000; // Ignore signals older than 10 s
+export const TYPING_IDLE_TIMEOUT = 3000; // Send stop after 3 s without input
+export const TYPING_REFRESH_INTERVAL = 4000; // Repeat start while typing continues
+export const TYPING_DISPLAY_TIMEOUT = 6000; // Hide the indicator if no start is repeated
+
+/**
+ * Whether presence and typing signals may be shared under the user's settings
+ * @returns {boolean}
+ */
+export function isPresenceShared() {
+  return getUserSettings().showPresence !== false;
+}
+
+/**
+ * Additional authenticated data binding a signal to its session and state
+ * @param {string} sessionId - Session identifier
+ * @param {string} state - TYPING_START or TYPING_STOP
+ * @returns {Uint8Array}
+ */
+function typingAAD(sessionId, state) {
+  return new TextEncoder().encode(`${TYPING_KIND}:${state}:${sessionId}`);
+}
+
+/**
+ * Encrypts a typing signal for the peer of a session
+ * @param {string} sessionId - Session identifier
+ * @param {string} state - TYPING_START or TYPING_STOP
+ * @param {string} userId - Our user ID (for encrypted key access)
+ * @returns {Promise<Object>} Signal payload for typing:start / typing:stop
+ */
+export async function encryptTypingSignal(sessionId, state, userId = null) {
+  if (!TYPING_STATES.includes(state)) {
+    throw new Error(`Invalid typing state: ${state}`);
+  }
+
+  const session = await loadSession(sessionId, userId);
+  if (!session) {
+    throw new Error('Session not found');
+  }
+
+  const payload = JSON.stringify({ kind: TYPING_KIND, state, sessionId, timestamp: Date.now() });
+  const { ciphertext, iv, authTag } = await encryptAESGCM(session.sendKey, payload, typingAAD(sessionId, state));
+
+  const signal = {
+    sessionId,
+    receiver: session.peerId,
+    iv: arrayBufferToBase64(iv),
+    ciphertext: arrayBufferToBase64(ciphertext),
+    authTag: arrayBufferToBase64(authTag)
+  };
+  if (session.peerDeviceId) {
+    signal.receiverDevice = session.peerDeviceId;
+  }
+  return signal;
+}
+
+/**
+ * Decrypts and checks a received typing signal
+ * @param {Object} signal - Forwarded signal (with sender set by the server)
+ * @param {string} state - State named by the event (TYPING_START or TYPING_STOP)
+ * @param {string} userId - Our user ID (for encrypted key access)
+ * @param {number} maxAge - Maximum signal age (ms)
+ * @returns {Promise<{sessionId: string, conversationId: string, sender: string, state: string, timestamp: number}|null>} Signal, or null if invalid
+ */
+export async function decryptTypingSignal(signal, state, userId = null, maxAge = TYPING_MAX_AGE) {
+  try {
+    if (!TYPING_STATES.includes(state) || typeof signal?.sessionId !== 'string') {
+      return null;
+    }
+
+    const session = await loadSession(signal.sessionId, userId);
+    if (!session || session.peerId !== signal.sender) {
+      return null;
+    }
+
+    const plaintext = await decryptAESGCMToString(
+      session.recvKey,
+      base64ToArrayBuffer(signal.iv),
+      base64ToArrayBuffer(signal.ciphertext),
+      base64ToArrayBuffer(signal.authTag),
+      typingAAD(signal.sessionId, state)
+    );
+    const payload = JSON.parse(plaintext);
+
+    if (payload?.kind !== TYPING_KIND || payload.state !== state || payload.sessionId !== signal.sessionId ||
+        !Number.isFinite(payload.timestamp) || Math.abs(Date.now() - payload.timestamp) > maxAge) {
+      return null;
+    }
+
+    return {
+      sessionId: signal.sessionId,
+      conversationId: session.conversationId || signal.sessionId,
+      sender: signal.sender,
+      state,
+      timestamp: payload.timestamp
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Encrypts and emits a typing signal
+ * @param {string} sessionId - Session identifier
+ * @param {string} state - TYPING_START or TYPING_STOP
+ * @param {Function} socketEmit - Socket.IO emit function
+ * @param {string} userId - Our user ID (for encrypted key access)
+ * @returns {Promise<Object|null>} Sent signal, or null if presence sharing is off
+ */
+export async function sendTypingSignal(sessionId, state, socketEmit, userId = null) {
+  if (!isPresenceShared()) return null;
+
+  const signal = await encryptTypingSignal(sessionId, state, userId);
+  socketEmit(`typing:${state}`, signal);
+  return signal;
+}
+
+/**
+ * Turns input activity into start/stop signals
+ * start is sent on the first keystroke and repeated every refresh interval
+ * while typing continues; stop is sent after the idle timeout or on stop().
+ * @param {Function} send - (state) => void
+ * @param {Object} [options]
+ * @param {number} [options.idleTimeout] - Idle time before stop (ms)
+ * @param {number} [options.refreshInterval] - How often start is repeated (ms)
+ * @returns {{keystroke: Function, stop: Function}}
+ */
+export function createTypingNotifier(send, { idleTimeout = TYPING_IDLE_TIMEOUT, refreshInterval = TYPING_REFRESH_INTERVAL } = {}) {
+  let lastStartAt = 0;
+  let idleTimer = null;
+
+  const stop = () => {
+    clearTimeout(idleTimer);
+    idleTimer = null;
+    if (lastStartAt) {
+      lastStartAt = 0;
+      send(TYPING_STOP);
+    }
+  };
+
+  const keystroke = () => {
+    const now = Date.now();
+    if (now - lastStartAt >= refreshInterval) {
+      lastStartAt = now;
+      send(TYPING_START);
+    }
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(stop, idleTimeout);
+  };
+
+  return { keystroke, stop };
+}
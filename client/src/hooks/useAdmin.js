@@ -0,0 +1,95 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../context/AuthContext';
+import api from '../services/api';
+
+/**
+ * Fetches a /api/admin endpoint and returns its data
+ * @param {string} path - Path below /admin
+ * @returns {Promise<Object>}
+ */
+async function fetchAdmin(path) {
+  const response = await api.get(`/admin${path}`);
+  if (!response.data?.success) {
+    throw new Error(response.data?.message || response.data?.error || 'Admin request failed');
+  }
+  return response.data.data;
+}
+
+/**
+ * Hook for the admin security console
+ * Loads alert statistics, active alerts, locked accounts, failure trends
+ * and log integrity. Only usable by admins; the server rejects everyone else.
+ */
+export function useAdmin({ hours = 24 } = {}) {
+  const { user } = useAuth();
+  const [overview, setOverview] = useState(null);
+  const [alerts, setAlerts] = useState([]);
+  const [lockedAccounts, setLockedAccounts] = useState([]);
+  const [trends, setTrends] = useState(null);
+  const [logFiles, setLogFiles] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const isAdmin = user?.role === 'admin';
+
+  const refetch = useCallback(async () => {
+    if (!isAdmin) {
+      setLoading(false);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      const [overviewData, alertsData, lockedData, trendsData, integrityData] = await Promise.all([
+        fetchAdmin('/overview'),
+        fetchAdmin(`/alerts?hours=${hours}`),
+        fetchAdmin('/locked-accounts'),
+        fetchAdmin(`/trends?hours=${hours}`),
+        fetchAdmin('/log-integrity')
+      ]);
+
+      setOverview(overviewData);
+      setAlerts(alertsData.alerts);
+      setLockedAccounts(lockedData.accounts);
+      setTrends(trendsData);
+      setLogFiles(integrityData.files);
+    } catch (err) {
+      console.error('Failed to load admin console:', err);
+      setError(err.message || 'Failed to load admin console');
+    } finally {
+      setLoading(false);
+    }
+  }, [isAdmin, hours]);
+
+  useEffect(() => {
+    refetch();
+  }, [refetch]);
+
+  /**
+   * Lifts an account lockout and reloads the lockout list
+   * @param {string} userId - Locked user's ID
+   */
+  const unlockAccount = useCallback(async (userId) => {
+    const response = await api.post(`/admin/locked-accounts/${userId}/unlock`);
+    if (!response.data?.success) {
+      throw new Error(response.data?.message || response.data?.error || 'Failed to unlock account');
+    }
+
+    setLockedAccounts((accounts) => accounts.filter((account) => account.userId !== userId));
+    setOverview((current) => current && { ...current, lockedAccounts: Math.max(0, current.lockedAccounts - 1) });
+  }, []);
+
+  return {
+    overview,
+    alerts,
+    lockedAccounts,
+    trends,
+    logFiles,
+    loading,
+    error,
+    refetch,
+    unlockAccount
+  };
+}
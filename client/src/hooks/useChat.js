@@ -1,27 +1,86 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
 import { useAuth } from '../context/AuthContext';
-import { sendEncryptedMessage } from '../crypto/messageFlow.js';
+import { sendToPeerDevices, sendGroupMessage, sendReceipt, sendDisappearingTimer, acceptDisappearingTimer, sendMessageAction, acceptMessageAction } from '../crypto/messageFlow.js';
 import { handleIncomingMessage } from '../crypto/messageFlow.js';
-import { encryptFile } from '../crypto/fileEncryption.js';
-import { decryptFile } from '../crypto/fileDecryption.js';
+import { encryptFileStream } from '../crypto/fileEncryption.js';
+import { createFileDecryptor } from '../crypto/fileDecryption.js';
 import {
   loadSession,
+  getUserSessions,
+  deleteSession,
   setReplayDetectionCallback,
   setInvalidSignatureCallback,
 } from '../crypto/sessionManager.js';
-import { storeMessage, loadMessages } from '../utils/messageStorage.js';
+import { storeMessage, loadMessages, updateMessageStatus } from '../utils/messageStorage.js';
+import { indexMessage } from '../utils/messageSearch.js';
+import { RECEIPT_KIND, RECEIPT_DELIVERED, RECEIPT_READ, applyReceipt, createReceiptBatcher } from '../crypto/receipts.js';
+import { TYPING_START, TYPING_STOP, TYPING_DISPLAY_TIMEOUT, sendTypingSignal, decryptTypingSignal, createTypingNotifier } from '../crypto/typing.js';
 import { initiateSession, handleKEPInit } from '../crypto/sessionEstablishment.js';
+import { replenishPreKeys } from '../crypto/preKeys.js';
+import { pinContactIdentityKey } from '../utils/contactStore.js';
+import { distributeSenderKey, applyGroupChange } from '../crypto/groupSessions.js';
 import { useConnectionState } from './useConnectionState.js';
 import { queueMessage, getQueuedMessages, removeQueuedMessage, incrementQueueAttempt } from '../utils/messageQueue.js';
+import { isSealedSenderEnabled, registerSealedSender, unsealEnvelope } from '../crypto/sealedSender.js';
+import { TIMER_KIND, PURGE_INTERVAL, getTimerSeconds, getExpiresAt, isExpired, purgeExpiredMessages } from '../crypto/disappearingMessages.js';
+import { MESSAGE_ACTION_KIND, ACTION_EDIT, ACTION_DELETE, ACTION_REACTION } from '../crypto/messageActions.js';
+import { createReplyTo, buildReplyPayload } from '../crypto/replies.js';
+import { registerMailboxHandler, isMailboxEntryDone, buildReceivedMessage } from '../utils/mailbox.js';
+
+const compareBySeq = (a, b) => (a.seq || 0) - (b.seq || 0);
+const compareByTime = (a, b) => (a.timestamp || 0) - (b.timestamp || 0);
+
+// Swaps in edited, deleted or reacted-to messages (matched by ID)
+const replaceUpdated = (messages, updated) => {
+  if (updated.length === 0) return messages;
+  const byId = new Map(updated.map(message => [message.id, message]));
+  return messages.map(message => byId.get(message.id) || message);
+};
+
+const FILE_ENVELOPE_ACK_TIMEOUT = 30000; // Wait up to 30 s for the server to accept a file envelope
+const MAX_FILE_SEND_RETRIES = 3; // Retries per envelope after hitting the rate limit
+
+/**
+ * Sends one file envelope and waits for the server to accept it
+ * Waiting on the acknowledgement keeps a single chunk in flight, and
+ * rate-limited chunks are retried once the limit resets.
+ * @param {Object} socket - Socket.IO socket instance
+ * @param {Object} envelope - FILE_META or FILE_CHUNK envelope
+ */
+async function sendFileEnvelope(socket, envelope) {
+  for (let attempt = 0; ; attempt++) {
+    if (!socket.connected) {
+      throw new Error('Connection lost while sending file chunks. Please try again.');
+    }
+
+    let response;
+    try {
+      response = await socket.timeout(FILE_ENVELOPE_ACK_TIMEOUT).emitWithAck('msg:send', envelope);
+    } catch {
+      throw new Error('Server did not confirm the file chunk in time. Please try again.');
+    }
+
+    if (response?.success) {
+      return;
+    }
+    if (response?.code === 'RATE_LIMITED' && attempt < MAX_FILE_SEND_RETRIES) {
+      await new Promise(resolve => setTimeout(resolve, response.retryAfter || 1000));
+      continue;
+    }
+    throw new Error(response?.message || 'Server rejected the file chunk');
+  }
+}
 
 /**
  * Custom hook for chat functionality
  * @param {string} sessionId - Session identifier
  * @param {Object} socket - Socket.IO socket instance
+ * @param {string} peerId - Peer user ID (pairwise chats)
+ * @param {Object} initialGroup - Group from the API (group chats; sessionId is the group ID)
  * @returns {Object} Chat functions and state
  */
-export function useChat(sessionId, socket, peerId = null) {
-  const { user, getCachedPassword, isAuthenticated } = useAuth();
+export function useChat(sessionId, socket, peerId = null, initialGroup = null) {
+  const { user, getCachedPassword, isAuthenticated, logout } = useAuth();
   const [messages, setMessages] = useState([]);
   const [files, setFiles] = useState([]); // Pending file reconstructions
   const [isDecrypting, setIsDecrypting] = useState(false);
@@ -30,9 +89,17 @@ export function useChat(sessionId, socket, peerId = null) {
   const [sessionError, setSessionError] = useState(null);
   const [fileProgress, setFileProgress] = useState(null); // {filename, progress, speed, timeRemaining, type}
   const [errors, setErrors] = useState([]); // Array of error objects
-  const fileChunksRef = useRef(new Map()); // sessionId -> {meta, chunks}
+  const [peerKeyChangedAt, setPeerKeyChangedAt] = useState(null); // Set when the server reports a peer key change
+  const [group, setGroup] = useState(initialGroup); // Current group state (group chats only)
+  const [removedFromGroup, setRemovedFromGroup] = useState(false);
+  const [peerDeleted, setPeerDeleted] = useState(false); // Set when the server reports the peer deleted their account
+  const [peerTyping, setPeerTyping] = useState(false); // Peer is typing (pairwise chats)
+  const [disappearingTimer, setDisappearingTimer] = useState(0); // Agreed timer in seconds (pairwise chats; 0: off)
+  const fileChunksRef = useRef(new Map()); // `${sessionId}:${sender}` -> incoming file transfer
   const sessionRetryRef = useRef(0); // Track retry attempts
   const sessionRetryTimeoutRef = useRef(null); // Track retry timeout
+  const receiptBatcherRef = useRef(null); // Batches delivery/read receipts per session
+  const typingNotifierRef = useRef(null); // Turns input activity into typing:start/typing:stop
   
   // Connection state management
   const { isConnected, connectionError, reconnect } = useConnectionState(socket);
@@ -57,177 +124,322 @@ export function useChat(sessionId, socket, peerId = null) {
     loadPersistedMessages();
   }, [sessionId]);
 
+  useEffect(() => {
+    setPeerDeleted(false);
+  }, [peerId]);
+
+  // Disappearing-message timer agreed for this conversation (kept in its session record)
+  useEffect(() => {
+    setDisappearingTimer(0);
+    if (!sessionId || !user?.id || initialGroup) return;
+
+    let cancelled = false;
+    loadSession(sessionId, user.id)
+      .then(session => {
+        if (!cancelled) setDisappearingTimer(getTimerSeconds(session));
+      })
+      .catch(error => console.warn('Failed to load disappearing message timer:', error.message));
+    return () => {
+      cancelled = true;
+    };
+  }, [sessionId, user?.id, initialGroup]);
+
+  // Disappearing messages: drop expired messages and decrypted files from memory,
+  // and from the messages store, offline queue and search index
+  useEffect(() => {
+    if (!user?.id) return;
+
+    const purge = async () => {
+      const now = Date.now();
+      setMessages(prev => (prev.some(message => isExpired(message, now))
+        ? prev.filter(message => !isExpired(message, now))
+        : prev));
+      setFiles(prev => (prev.some(file => isExpired(file, now))
+        ? prev.filter(file => !isExpired(file, now))
+        : prev));
+      try {
+        await purgeExpiredMessages(user.id, now);
+      } catch (error) {
+        console.error('Failed to purge disappeared messages:', error);
+      }
+    };
+
+    purge();
+    const interval = setInterval(purge, PURGE_INTERVAL);
+    return () => clearInterval(interval);
+  }, [user?.id]);
+
+  // Group details may arrive after mount (fetched by the page)
+  useEffect(() => {
+    setGroup(initialGroup);
+    setRemovedFromGroup(false);
+  }, [initialGroup]);
+
+  // Delivery/read receipts for pairwise messages, sent in batches per session
+  useEffect(() => {
+    if (!socket || !user?.id) return;
+
+    const batcher = createReceiptBatcher(async (receiptSessionId, status, seqs) => {
+      if (!socket.connected) {
+        throw new Error('Socket not connected');
+      }
+      await sendReceipt(receiptSessionId, status, seqs, (event, data) => socket.emit(event, data), user.id);
+    });
+    receiptBatcherRef.current = batcher;
+
+    return () => {
+      batcher.flush();
+      receiptBatcherRef.current = null;
+    };
+  }, [socket, user?.id]);
+
+  // Encrypted typing indicators (pairwise chats only)
+  useEffect(() => {
+    setPeerTyping(false);
+    if (!socket || !sessionId || !user?.id || group) return;
+
+    const notifier = createTypingNotifier((state) => {
+      if (!socket.connected) return;
+      sendTypingSignal(sessionId, state, (event, data) => socket.emit(event, data), user.id)
+        .catch(error => console.warn('Failed to send typing signal:', error.message));
+    });
+    typingNotifierRef.current = notifier;
+
+    let hideTimer = null;
+    const handleTyping = (state) => async (signal) => {
+      const result = await decryptTypingSignal(signal, state, user.id);
+      if (!result || result.conversationId !== sessionId) return;
+
+      clearTimeout(hideTimer);
+      setPeerTyping(state === TYPING_START);
+      if (state === TYPING_START) {
+        // A peer that goes away without sending stop stops showing as typing
+        hideTimer = setTimeout(() => setPeerTyping(false), TYPING_DISPLAY_TIMEOUT);
+      }
+    };
+    const handleTypingStart = handleTyping(TYPING_START);
+    const handleTypingStop = handleTyping(TYPING_STOP);
+
+    socket.on('typing:start', handleTypingStart);
+    socket.on('typing:stop', handleTypingStop);
+
+    return () => {
+      notifier.stop();
+      clearTimeout(hideTimer);
+      typingNotifierRef.current = null;
+      socket.off('typing:start', handleTypingStart);
+      socket.off('typing:stop', handleTypingStop);
+    };
+  }, [socket, sessionId, user?.id, group]);
+
+  /**
+   * Reports input activity in the message box (sends encrypted typing signals)
+   */
+  const notifyTyping = useCallback(() => {
+    typingNotifierRef.current?.keystroke();
+  }, []);
+
   // Handle incoming messages
   useEffect(() => {
     if (!socket || !sessionId) return;
 
-    const handleMessage = async (envelope) => {
+    // Resolves to whether a mailbox envelope may be acknowledged (see utils/mailbox.js)
+    const handleMessage = async (envelope, options = {}) => {
       try {
         setIsDecrypting(true);
 
-        const result = await handleIncomingMessage(envelope);
+        // Sealed-sender envelopes name their sender only inside the sealed payload
+        if (envelope?.type === 'SEALED') {
+          envelope = await unsealEnvelope(envelope, user?.id);
+        }
+
+        // Group envelopes have no session record to take our user ID from
+        const result = await handleIncomingMessage(envelope, envelope?.groupId ? user?.id : null, options);
+
+        if (result.valid && result.control === RECEIPT_KIND) {
+          // The peer received or read some of our messages
+          const updatedIds = await applyReceipt(result.conversationId, envelope.sessionId, result.receipt);
+          if (result.conversationId === sessionId && updatedIds.length > 0) {
+            setMessages(prev => prev.map(message =>
+              updatedIds.includes(message.id) ? { ...message, status: result.receipt.status } : message
+            ));
+          }
+          return true;
+        }
+
+        if (result.valid && result.control === TIMER_KIND) {
+          // The peer changed the conversation's disappearing-message timer
+          try {
+            const changed = await acceptDisappearingTimer(result, user?.id);
+            if (changed && result.conversationId === sessionId) {
+              setDisappearingTimer(result.timer.seconds);
+            }
+          } catch (error) {
+            console.error('Rejected disappearing message timer:', error.message);
+            setErrors(prev => [...prev, {
+              id: `timer-error-${Date.now()}`,
+              title: 'Timer Change Rejected',
+              message: 'A change to the disappearing message timer could not be verified and was ignored.',
+              variant: 'destructive',
+              timestamp: Date.now()
+            }]);
+          }
+          return true;
+        }
+
+        if (result.valid && result.control === MESSAGE_ACTION_KIND) {
+          // The peer edited, deleted or reacted to a message
+          try {
+            const updated = await acceptMessageAction(result, user?.id);
+            if (result.conversationId === sessionId) {
+              setMessages(prev => replaceUpdated(prev, updated));
+            }
+          } catch (error) {
+            console.error('Rejected message action:', error.message);
+            setErrors(prev => [...prev, {
+              id: `action-error-${Date.now()}`,
+              title: 'Message Change Rejected',
+              message: 'An edit, deletion or reaction could not be verified and was ignored.',
+              variant: 'destructive',
+              timestamp: Date.now()
+            }]);
+          }
+          return true;
+        }
+
+        if (result.valid && result.control) {
+          // Key material (e.g. a sender key distribution), nothing to display
+          return true;
+        }
 
         if (result.valid) {
           if (envelope.type === 'MSG') {
             // Text message
-            const newMessage = {
-              id: `${envelope.sessionId}-${envelope.seq}`,
-              type: 'text',
-              content: result.plaintext,
-              sender: envelope.sender,
-              timestamp: envelope.timestamp,
-              seq: envelope.seq
-            };
-            
-            // Add to state (sorted by sequence)
-            setMessages(prev => {
-              const updated = [...prev, newMessage].sort((a, b) => (a.seq || 0) - (b.seq || 0));
-              return updated;
-            });
-            
-            // Persist to IndexedDB
-            storeMessage(envelope.sessionId, newMessage);
-          } else if (envelope.type === 'FILE_META') {
-            // File metadata - start file reconstruction
-            // Use a unique file ID based on sessionId and timestamp to handle multiple files
-            const fileId = `${envelope.sessionId}-file-${envelope.timestamp}-${envelope.seq}`;
-            fileChunksRef.current.set(fileId, {
-              meta: envelope,
-              chunks: [],
-              receivedAt: Date.now()
-            });
-            console.log(`File metadata received: ${fileId}, expecting ${envelope.meta?.totalChunks || 'unknown'} chunks`);
-          } else if (envelope.type === 'FILE_CHUNK') {
-            // File chunk - find matching file metadata by sessionId and timestamp proximity
-            let fileData = null;
-            let fileId = null;
-            
-            // Find the file metadata entry - match by sessionId and similar timestamp (within 5 seconds)
-            const chunkTimestamp = envelope.timestamp;
-            for (const [id, data] of fileChunksRef.current.entries()) {
-              const timeDiff = Math.abs(data.meta.timestamp - chunkTimestamp);
-              if (data.meta.sessionId === envelope.sessionId && 
-                  timeDiff < 5000 && // Within 5 seconds
-                  data.meta.meta?.totalChunks === envelope.meta?.totalChunks) {
-                fileData = data;
-                fileId = id;
-                break;
-              }
+            const newMessage = buildReceivedMessage(envelope, result);
+            if (isExpired(newMessage)) {
+              // Held in the mailbox until after it disappeared
+              return true;
+            }
+
+            // The read receipt follows once the message is shown (see below)
+            if (!envelope.groupId) {
+              receiptBatcherRef.current?.add(envelope.sessionId, RECEIPT_DELIVERED, envelope.seq);
             }
             
-            // If no match found, try to find by sessionId only (fallback)
-            if (!fileData) {
-              for (const [id, data] of fileChunksRef.current.entries()) {
-                if (data.meta.sessionId === envelope.sessionId) {
-                  // Use the most recent file metadata
-                  if (!fileData || data.receivedAt > fileData.receivedAt) {
-                    fileData = data;
-                    fileId = id;
-                  }
-                }
-              }
+            // Add to state (sorted by sequence; group chats by time, since seq is per sender).
+            // Messages for another chat are only persisted until that chat is opened.
+            if ((envelope.groupId || result.conversationId || envelope.sessionId) === sessionId) {
+              setMessages(prev => {
+                const updated = [...prev, newMessage].sort(envelope.groupId ? compareByTime : compareBySeq);
+                return updated;
+              });
             }
             
-            if (fileData) {
-              // Check if this chunk is already received (avoid duplicates)
-              const isDuplicate = fileData.chunks.some(
-                chunk => chunk.meta?.chunkIndex === envelope.meta?.chunkIndex
-              );
-              
-              if (!isDuplicate) {
-                // Add chunk
-                fileData.chunks.push(envelope);
-                fileData.chunks.sort((a, b) => (a.meta?.chunkIndex || 0) - (b.meta?.chunkIndex || 0));
-                
-                console.log(`File chunk ${envelope.meta?.chunkIndex} received for ${fileId} (${fileData.chunks.length}/${fileData.meta.meta?.totalChunks || '?'})`);
-                
-                // Check if all chunks received
-                const totalChunks = fileData.meta.meta?.totalChunks || 0;
-                if (fileData.chunks.length === totalChunks && totalChunks > 0) {
-                  try {
-                    // Show reassembly progress
-                    setFileProgress({
-                      filename: 'Reassembling file...',
-                      progress: 0,
-                      type: 'reassemble'
-                    });
-
-                    // Decrypt and reconstruct file with progress tracking
-                    let reassemblyFilename = 'Reassembling file...';
-                    const decrypted = await decryptFile(
-                      fileData.meta, 
-                      fileData.chunks, 
-                      sessionId,
-                      user?.id || null,
-                      (chunkIndex, totalChunks, progress, speed, timeRemaining) => {
-                        setFileProgress({
-                          filename: reassemblyFilename,
-                          progress,
-                          speed,
-                          timeRemaining,
-                          type: 'reassemble'
-                        });
-                      }
-                    );
-                    
-                    // Update filename once we have it
-                    reassemblyFilename = decrypted.filename;
-                    
-                    setFiles(prev => [...prev, {
-                      id: fileId,
-                      filename: decrypted.filename,
-                      blob: decrypted.blob,
-                      mimetype: decrypted.mimetype,
-                      size: decrypted.size,
-                      timestamp: fileData.meta.timestamp || Date.now()
-                    }]);
-
-                    // Clear progress
-                    setFileProgress(null);
-
-                    // Clean up
-                    fileChunksRef.current.delete(fileId);
-                    console.log(`✓ File decrypted and added: ${decrypted.filename}`);
-                  } catch (error) {
-                    console.error('Failed to decrypt file:', error);
-                    setFileProgress(null);
-                    setErrors(prev => [...prev, {
-                      id: `file-error-${Date.now()}`,
-                      title: 'File Decryption Failed',
-                      message: error.message || 'Failed to decrypt and reassemble file',
-                      variant: 'destructive',
-                      timestamp: Date.now()
-                    }]);
-                    // Don't delete fileData on error - might retry
-                  }
-                }
-              } else {
-                console.log(`Duplicate chunk ${envelope.meta?.chunkIndex} ignored for ${fileId}`);
+            // Persist to IndexedDB (sessions with a peer's other devices share one conversation)
+            await storeMessage(result.conversationId || envelope.sessionId, newMessage, user?.id);
+            await indexMessage(user?.id, result.conversationId || envelope.sessionId, newMessage);
+          } else if (envelope.type === 'FILE_META') {
+            // File metadata - start decrypting the file as its chunks arrive.
+            // Senders wait for each chunk to be accepted, so a sender has one file in flight per session.
+            const transferKey = `${envelope.sessionId}:${envelope.sender}`;
+            const transfer = {
+              fileId: `${envelope.sessionId}-file-${envelope.timestamp}-${envelope.seq}`,
+              conversationId: result.conversationId || envelope.sessionId,
+              timestamp: envelope.timestamp,
+              expiresAt: getExpiresAt(envelope.timestamp, result.expiresIn),
+              failed: false
+            };
+            let reassemblyFilename = envelope.meta?.filename || 'Receiving file...';
+            transfer.queue = createFileDecryptor(envelope, envelope.sessionId, user?.id || null, {
+              maxAge: options.maxAge,
+              onProgress: (chunkIndex, totalChunks, progress, speed, timeRemaining) => {
+                setFileProgress({
+                  filename: reassemblyFilename,
+                  progress,
+                  speed,
+                  timeRemaining,
+                  type: 'reassemble'
+                });
               }
-            } else {
-              console.warn('Received FILE_CHUNK without matching FILE_META, storing for later', {
+            }).then(decryptor => {
+              transfer.decryptor = decryptor;
+              reassemblyFilename = decryptor.filename;
+            });
+            fileChunksRef.current.set(transferKey, transfer);
+            console.log(`File metadata received: ${transfer.fileId}, expecting ${envelope.meta?.totalChunks || 'unknown'} chunks`);
+          } else if (envelope.type === 'FILE_CHUNK') {
+            // File chunk - decrypt it into the sender's current file
+            const transferKey = `${envelope.sessionId}:${envelope.sender}`;
+            const transfer = fileChunksRef.current.get(transferKey);
+
+            if (!transfer) {
+              console.warn('Received FILE_CHUNK without matching FILE_META, ignoring', {
                 sessionId: envelope.sessionId,
                 chunkIndex: envelope.meta?.chunkIndex,
                 totalChunks: envelope.meta?.totalChunks
               });
-              // Store chunk temporarily - might receive metadata later
-              const tempFileId = `${envelope.sessionId}-temp-${envelope.timestamp}`;
-              if (!fileChunksRef.current.has(tempFileId)) {
-                fileChunksRef.current.set(tempFileId, {
-                  meta: null,
-                  chunks: [envelope],
-                  receivedAt: Date.now()
-                });
-                // Clean up temp entries after 30 seconds
-                setTimeout(() => {
-                  if (fileChunksRef.current.has(tempFileId)) {
-                    fileChunksRef.current.delete(tempFileId);
-                  }
-                }, 30000);
-              }
+              return true;
             }
+
+            // Chunks are decrypted one after another, in the order they arrive
+            transfer.queue = transfer.queue.then(async () => {
+              if (transfer.failed) return;
+
+              const complete = await transfer.decryptor.push(envelope);
+              if (!complete) return;
+
+              const decrypted = await transfer.decryptor.finish();
+              if (transfer.conversationId === sessionId) {
+                setFiles(prev => [...prev, {
+                  id: transfer.fileId,
+                  filename: decrypted.filename,
+                  blob: decrypted.blob,
+                  mimetype: decrypted.mimetype,
+                  size: decrypted.size,
+                  timestamp: transfer.timestamp || Date.now(),
+                  expiresAt: transfer.expiresAt
+                }]);
+              }
+
+              // Clear progress and clean up
+              setFileProgress(null);
+              if (fileChunksRef.current.get(transferKey) === transfer) {
+                fileChunksRef.current.delete(transferKey);
+              }
+              console.log(`✓ File decrypted and added: ${decrypted.filename}`);
+              indexMessage(user?.id, transfer.conversationId, {
+                id: transfer.fileId,
+                type: 'file',
+                sender: envelope.sender,
+                timestamp: transfer.timestamp || Date.now(),
+                fileName: decrypted.filename,
+                expiresAt: transfer.expiresAt
+              });
+            }).catch(error => {
+              if (transfer.failed) return;
+              transfer.failed = true;
+              console.error('Failed to decrypt file:', error);
+              setFileProgress(null);
+              setErrors(prev => [...prev, {
+                id: `file-error-${Date.now()}`,
+                title: 'File Decryption Failed',
+                message: error.message || 'Failed to decrypt and reassemble file',
+                variant: 'destructive',
+                timestamp: Date.now()
+              }]);
+              if (fileChunksRef.current.get(transferKey) === transfer) {
+                fileChunksRef.current.delete(transferKey);
+              }
+            });
           }
+          return true;
         } else {
+          // Mailbox envelopes that may still succeed (e.g. the session is not set up yet)
+          // stay in the mailbox and are only reported if they fail for good
+          if (options.maxAge && !isMailboxEntryDone(result)) {
+            return false;
+          }
+
           // Log technical error but show user-friendly message
           const technicalError = result.technicalError || result.error;
           const userError = result.error || 'Failed to process message';
@@ -243,6 +455,7 @@ export function useChat(sessionId, socket, peerId = null) {
               timestamp: Date.now()
             }]);
           }
+          return true;
         }
       } catch (error) {
         // Log technical error for debugging
@@ -258,12 +471,17 @@ export function useChat(sessionId, socket, peerId = null) {
           variant: 'destructive',
           timestamp: Date.now()
         }]);
+        return false;
       } finally {
         setIsDecrypting(false);
       }
     };
 
     socket.on('msg:receive', handleMessage);
+    socket.on('sealed:receive', handleMessage);
+
+    // Mailbox envelopes of this conversation, drained by the app (useMailbox)
+    const unregisterMailboxHandler = registerMailboxHandler(sessionId, handleMessage);
 
     // Handle KEP_INIT messages
     const handleKEPInitMessage = async (kepInitMessage) => {
@@ -301,12 +519,153 @@ export function useChat(sessionId, socket, peerId = null) {
 
     socket.on('kep:init', handleKEPInitMessage);
 
+    // Server signals that our one-time prekeys are running out
+    const handlePreKeysLow = async ({ remaining } = {}) => {
+      const password = user?.id ? getCachedPassword(user.id) : null;
+      if (!password) {
+        console.warn('[PreKeys] Password not cached - cannot replenish prekeys');
+        return;
+      }
+
+      try {
+        console.log(`[PreKeys] Only ${remaining} one-time prekeys left, replenishing...`);
+        await replenishPreKeys(user.id, password);
+      } catch (error) {
+        console.error('[PreKeys] Failed to replenish prekeys:', error);
+      }
+    };
+
+    socket.on('prekeys:low', handlePreKeysLow);
+
     return () => {
       socket.off('msg:receive', handleMessage);
+      socket.off('sealed:receive', handleMessage);
+      unregisterMailboxHandler();
       socket.off('kep:init', handleKEPInitMessage);
+      socket.off('prekeys:low', handlePreKeysLow);
     };
   }, [socket, sessionId, user, getCachedPassword]);
 
+  // Sealed sender: keep this device's delivery token and sealing key registered while the setting is on
+  useEffect(() => {
+    if (!user?.id || !isSealedSenderEnabled()) return;
+
+    const password = getCachedPassword(user.id);
+    if (!password) {
+      console.warn('[SealedSender] Password not cached - cannot register for sealed delivery');
+      return;
+    }
+    registerSealedSender(user.id, password)
+      .catch(error => console.error('[SealedSender] Registration failed:', error.message));
+  }, [user?.id, getCachedPassword]);
+
+  // Server broadcast: a contact uploaded a new identity key
+  useEffect(() => {
+    if (!socket || !user?.id) return;
+
+    const handleIdentityKeyChanged = async ({ userId: contactId, publicIdentityKeyJWK } = {}) => {
+      if (!contactId || !publicIdentityKeyJWK) return;
+
+      try {
+        // Compare against the pinned key; a change is logged as a security alert
+        const { status } = await pinContactIdentityKey(user.id, contactId, publicIdentityKeyJWK);
+        console.warn(`[TOFU] Identity key of ${contactId} changed (status: ${status})`);
+        if (contactId === peerId) {
+          setPeerKeyChangedAt(Date.now());
+        }
+      } catch (error) {
+        console.error('[TOFU] Failed to check changed identity key:', error);
+      }
+    };
+
+    socket.on('identity:key-changed', handleIdentityKeyChanged);
+
+    return () => {
+      socket.off('identity:key-changed', handleIdentityKeyChanged);
+    };
+  }, [socket, user?.id, peerId]);
+
+  // Server broadcast: a contact deleted their account
+  useEffect(() => {
+    if (!socket || !user?.id) return;
+
+    const handleIdentityDeleted = async ({ userId: contactId } = {}) => {
+      if (!contactId) return;
+
+      console.warn(`[Account] ${contactId} deleted their account`);
+      if (contactId === peerId) {
+        setPeerDeleted(true);
+      }
+
+      // The identity can never be reached again: drop our ratchet state with it (history is kept)
+      try {
+        const sessions = await getUserSessions(user.id);
+        for (const session of sessions) {
+          if (session.peerId === contactId || session.userId === contactId) {
+            await deleteSession(session.sessionId);
+          }
+        }
+      } catch (error) {
+        console.error('[Account] Failed to delete sessions with deleted contact:', error);
+      }
+    };
+
+    socket.on('identity:deleted', handleIdentityDeleted);
+
+    return () => {
+      socket.off('identity:deleted', handleIdentityDeleted);
+    };
+  }, [socket, user?.id, peerId]);
+
+  // Server broadcast: our account was deleted from another device; erase this device's keys too
+  useEffect(() => {
+    if (!socket || !user?.id) return;
+
+    const handleAccountDeleted = async () => {
+      try {
+        const { wipeLocalCryptoData } = await import('../utils/accountDeletion.js');
+        await wipeLocalCryptoData(user.id);
+      } catch (error) {
+        console.error('[Account] Failed to wipe local data after account deletion:', error);
+      } finally {
+        await logout();
+      }
+    };
+
+    socket.on('account:deleted', handleAccountDeleted);
+
+    return () => {
+      socket.off('account:deleted', handleAccountDeleted);
+    };
+  }, [socket, user?.id, logout]);
+
+  // Server broadcast: membership of a group we belong to changed
+  useEffect(() => {
+    if (!socket || !user?.id) return;
+
+    const handleGroupUpdated = async ({ group: updated, change } = {}) => {
+      if (!updated || !change) return;
+
+      try {
+        // Removals rotate our sender key (or drop the group's keys if we were removed);
+        // the new key is distributed on our next send
+        const { left } = await applyGroupChange(user.id, updated, change);
+        if (updated.id === sessionId) {
+          setGroup(updated);
+          setRemovedFromGroup(left);
+        }
+      } catch (error) {
+        console.error('[Groups] Failed to apply group change:', error);
+      }
+    };
+
+    socket.on('group:updated', handleGroupUpdated);
+
+    return () => {
+      socket.off('group:updated', handleGroupUpdated);
+    };
+  }, [socket, user?.id, sessionId]);
+
   // Wire replay/invalid-signature detection into UI-level security events
   useEffect(() => {
     // Replay detection: sequence/timestamp violations
@@ -344,13 +703,46 @@ export function useChat(sessionId, socket, peerId = null) {
     // No explicit teardown needed – callbacks are overwritten when sessionId changes
   }, [sessionId]);
 
+  // Messages from the peer count as read once shown in the open chat while the page is visible
+  useEffect(() => {
+    if (!sessionId || group) return;
+
+    const markRead = async () => {
+      if (document.visibilityState !== 'visible') return;
+
+      const unread = messages.filter(message => !message.sent && message.receivedOn && message.status !== RECEIPT_READ);
+      if (unread.length === 0) return;
+
+      for (const message of unread) {
+        receiptBatcherRef.current?.add(message.receivedOn, RECEIPT_READ, message.seq);
+      }
+      const unreadIds = unread.map(message => message.id);
+      await updateMessageStatus(sessionId, message => unreadIds.includes(message.id), RECEIPT_READ);
+      setMessages(prev => prev.map(message =>
+        unreadIds.includes(message.id) ? { ...message, status: RECEIPT_READ } : message
+      ));
+    };
+
+    markRead();
+    document.addEventListener('visibilitychange', markRead);
+    return () => {
+      document.removeEventListener('visibilitychange', markRead);
+    };
+  }, [sessionId, group, messages]);
+
   /**
    * Sends an encrypted text message
+   * @param {string} plaintext - Message text
+   * @param {Object} [replyToMessage] - Message this one replies to (quoted in the encrypted payload)
    */
-  const sendMessage = useCallback(async (plaintext) => {
+  const sendMessage = useCallback(async (plaintext, replyToMessage = null) => {
     if (!sessionId || !plaintext.trim()) {
       return;
     }
+    typingNotifierRef.current?.stop();
+
+    const replyTo = replyToMessage ? createReplyTo(replyToMessage, sessionId, !!group) : null;
+    const payload = replyTo ? buildReplyPayload(plaintext, replyTo) : plaintext;
 
     try {
       // Ensure session exists before sending
@@ -364,28 +756,66 @@ export function useChat(sessionId, socket, peerId = null) {
         }
       }
 
-      const session = await loadSession(sessionId, user.id, password);
-      if (!session) {
-        // Check if session is being established
-        if (isEstablishingSession) {
-          throw new Error('Session is being established. Please wait a moment and try again.');
+      let envelope;
+      let outgoing;
+      let copies = null;
+      if (group) {
+        if (removedFromGroup) {
+          throw new Error('You are no longer a member of this group.');
         }
-        throw new Error('Session not found. Please wait for session establishment to complete.');
-      }
 
-      // Build envelope
-      const envelope = await sendEncryptedMessage(sessionId, plaintext, (event, data) => {
-        // This callback is for internal use during encryption
-        // Actual sending happens below
-      });
+        // Make sure every member holds our current sender key before using it
+        const { failed } = await distributeSenderKey(user.id, group, password, (event, data) => {
+          if (socket && socket.connected) {
+            socket.emit(event, data);
+          } else {
+            throw new Error('Socket not connected');
+          }
+        });
+        if (failed.length > 0) {
+          console.warn(`Sender key not delivered to ${failed.length} member(s); retrying on next send`);
+        }
+
+        envelope = await sendGroupMessage(sessionId, payload, () => {
+          // Actual sending happens below
+        }, user.id);
+        outgoing = [envelope];
+      } else {
+        const session = await loadSession(sessionId, user.id, password);
+        if (!session) {
+          // Check if session is being established
+          if (isEstablishingSession) {
+            throw new Error('Session is being established. Please wait a moment and try again.');
+          }
+          throw new Error('Session not found. Please wait for session establishment to complete.');
+        }
+
+        // Build one envelope per device of the peer (actual sending happens below)
+        outgoing = [];
+        let devices;
+        ({ envelope, devices } = await sendToPeerDevices(sessionId, payload, (event, data) => {
+          outgoing.push(data);
+        }, user.id, password));
+
+        // Receipts from each device refer to the copy sent on its own session
+        // (a conversation restored from a backup sends on a new one)
+        copies = [
+          { sessionId: envelope.sessionId, seq: envelope.seq },
+          ...devices.filter(device => device.sessionId).map(({ sessionId: copySessionId, seq }) => ({ sessionId: copySessionId, seq }))
+        ];
+      }
       
       // Send message if connected, otherwise queue it
       if (socket && socket.connected) {
-        socket.emit('msg:send', envelope);
+        for (const deviceEnvelope of outgoing) {
+          socket.emit('msg:send', deviceEnvelope);
+        }
       } else {
         // Queue message for later sending
         console.warn('Socket not connected, queueing message');
-        await queueMessage(sessionId, envelope, 'text');
+        for (const deviceEnvelope of outgoing) {
+          await queueMessage(sessionId, deviceEnvelope, 'text');
+        }
         setErrors(prev => [...prev, {
           id: `offline-${Date.now()}`,
           title: 'Message Queued',
@@ -397,7 +827,7 @@ export function useChat(sessionId, socket, peerId = null) {
 
       // Add to local messages immediately (optimistic update, sorted by sequence)
       const newMessage = {
-        id: `${sessionId}-${envelope.seq}`,
+        id: group ? `${sessionId}-${user.id}-${envelope.seq}` : `${envelope.sessionId}-${envelope.seq}`,
         type: 'text',
         content: plaintext,
         sender: user.id,
@@ -405,14 +835,25 @@ export function useChat(sessionId, socket, peerId = null) {
         seq: envelope.seq,
         sent: true
       };
+      if (copies) {
+        newMessage.status = 'sent';
+        newMessage.copies = copies;
+      }
+      if (replyTo) {
+        newMessage.replyTo = replyTo;
+      }
+      if (envelope.expiresIn) {
+        newMessage.expiresAt = getExpiresAt(envelope.timestamp, envelope.expiresIn);
+      }
       
       setMessages(prev => {
-        const updated = [...prev, newMessage].sort((a, b) => (a.seq || 0) - (b.seq || 0));
+        const updated = [...prev, newMessage].sort(group ? compareByTime : compareBySeq);
         return updated;
       });
       
       // Persist to IndexedDB
-      storeMessage(sessionId, newMessage);
+      storeMessage(sessionId, newMessage, user?.id);
+      indexMessage(user?.id, sessionId, newMessage);
     } catch (error) {
       // Log technical error for debugging
       const technicalMessage = error.technicalMessage || error.message;
@@ -427,7 +868,7 @@ export function useChat(sessionId, socket, peerId = null) {
       }
       throw error;
     }
-  }, [socket, sessionId, user]);
+  }, [socket, sessionId, user, group, removedFromGroup]);
 
   /**
    * Sends an encrypted file
@@ -450,18 +891,26 @@ export function useChat(sessionId, socket, peerId = null) {
         type: 'upload'
       });
 
-      // Encrypt file with progress tracking
-      const { fileMetaEnvelope, chunkEnvelopes } = await encryptFile(
+      // Check if socket is connected before sending
+      if (!socket.connected) {
+        throw new Error('Socket not connected. Please wait for connection to be established.');
+      }
+
+      // Encrypt and send one chunk at a time; the next chunk is read once the server accepts the last.
+      // Chunks of a disappearing conversation expire on the server with it.
+      const expiresIn = getTimerSeconds(session);
+      const sentAt = Date.now();
+      const { totalChunks } = await encryptFileStream(
         file,
         sessionId,
         session.userId,
         receiverId || session.peerId,
         user?.id || session.userId,
+        (envelope) => sendFileEnvelope(socket, expiresIn ? { ...envelope, expiresIn } : envelope),
         (chunkIndex, totalChunks, progress, speed, timeRemaining) => {
-          // Encryption progress (0-50%)
           setFileProgress({
             filename: file.name,
-            progress: progress * 0.5, // Encryption is 50% of total
+            progress,
             speed,
             timeRemaining,
             type: 'upload'
@@ -469,42 +918,17 @@ export function useChat(sessionId, socket, peerId = null) {
         }
       );
 
-      // Check if socket is connected before sending
-      if (!socket.connected) {
-        throw new Error('Socket not connected. Please wait for connection to be established.');
-      }
-
-      // Send metadata first
-      socket.emit('msg:send', fileMetaEnvelope);
-      console.log(`✓ File metadata sent: ${file.name} (${chunkEnvelopes.length} chunks)`);
-
-      // Send chunks sequentially with small delay to avoid overwhelming the connection
-      const totalChunks = chunkEnvelopes.length;
-      for (let i = 0; i < chunkEnvelopes.length; i++) {
-        // Check connection before each chunk
-        if (!socket.connected) {
-          throw new Error('Connection lost while sending file chunks. Please try again.');
-        }
-        
-        socket.emit('msg:send', chunkEnvelopes[i]);
-        
-        // Update progress (50% encryption done, now 50-100% upload)
-        const uploadProgress = 50 + ((i + 1) / totalChunks) * 50;
-        setFileProgress(prev => prev ? {
-          ...prev,
-          progress: uploadProgress,
-          type: 'upload'
-        } : null);
-        
-        // Small delay between chunks to avoid overwhelming the connection
-        if (i < chunkEnvelopes.length - 1) {
-          await new Promise(resolve => setTimeout(resolve, 10));
-        }
-      }
-
       // Clear progress
       setFileProgress(null);
       console.log(`✓ File sent: ${file.name} (${totalChunks} chunks)`);
+      indexMessage(user?.id, sessionId, {
+        id: `${sessionId}-file-sent-${sentAt}`,
+        type: 'file',
+        sender: user?.id || session.userId,
+        timestamp: sentAt,
+        fileName: file.name,
+        expiresAt: getExpiresAt(sentAt, expiresIn)
+      });
     } catch (error) {
       // Clear progress on error
       setFileProgress(null);
@@ -532,12 +956,71 @@ export function useChat(sessionId, socket, peerId = null) {
       }
       throw error;
     }
-  }, [socket, sessionId]);
+  }, [socket, sessionId, user]);
+
+  /**
+   * Changes the conversation's disappearing-message timer (pairwise chats)
+   * @param {number} seconds - New timer in seconds (0: off)
+   */
+  const changeDisappearingTimer = useCallback(async (seconds) => {
+    if (!sessionId || group) {
+      return;
+    }
+
+    const password = getCachedPassword(user.id);
+    if (!password) {
+      throw new Error('Password cache expired. Please log out and log back in to change the timer.');
+    }
+    if (!socket || !socket.connected) {
+      throw new Error('Socket not connected. The timer can only be changed while online.');
+    }
+
+    await sendDisappearingTimer(sessionId, seconds, (event, data) => socket.emit(event, data), user.id, password);
+    setDisappearingTimer(seconds);
+  }, [socket, sessionId, user, group, getCachedPassword]);
+
+  /**
+   * Edits, deletes or reacts to a message (pairwise chats)
+   * @param {string} type - ACTION_EDIT, ACTION_DELETE or ACTION_REACTION
+   * @param {Object} message - Target message
+   * @param {string|null} value - New text (edits) or emoji (reactions, '' to remove)
+   */
+  const sendAction = useCallback(async (type, message, value = null) => {
+    if (!sessionId || group) {
+      return;
+    }
+
+    const password = getCachedPassword(user.id);
+    if (!password) {
+      throw new Error('Password cache expired. Please log out and log back in to change messages.');
+    }
+    if (!socket || !socket.connected) {
+      throw new Error('Socket not connected. Messages can only be changed while online.');
+    }
+
+    const { updated } = await sendMessageAction(
+      sessionId,
+      type,
+      message,
+      value,
+      (event, data) => socket.emit(event, data),
+      user.id,
+      password
+    );
+    setMessages(prev => replaceUpdated(prev, updated));
+  }, [socket, sessionId, user, group, getCachedPassword]);
+
+  const editMessage = useCallback((message, text) => sendAction(ACTION_EDIT, message, text), [sendAction]);
+  const deleteMessage = useCallback((message) => sendAction(ACTION_DELETE, message), [sendAction]);
+  const reactToMessage = useCallback((message, emoji) => sendAction(ACTION_REACTION, message, emoji), [sendAction]);
 
   // Check if session exists and establish if needed
   useEffect(() => {
     if (!sessionId || !user?.id || !socket || isEstablishingSession) return;
 
+    // Group chats use sender keys; pairwise sessions are set up per member on send
+    if (initialGroup) return;
+
     // If peerId is not set, we can't establish a new session
     // But we can still check if an existing session exists
     if (!peerId) {
@@ -702,7 +1185,7 @@ export function useChat(sessionId, socket, peerId = null) {
       }
       sessionRetryRef.current = 0;
     };
-  }, [sessionId, user?.id, peerId, socket, getCachedPassword, isEstablishingSession]);
+  }, [sessionId, user?.id, peerId, initialGroup, socket, getCachedPassword, isEstablishingSession]);
 
   // Remove old errors (older than 10 seconds)
   useEffect(() => {
@@ -777,7 +1260,18 @@ export function useChat(sessionId, socket, peerId = null) {
     },
     isConnected,
     connectionError,
-    reconnect
+    reconnect,
+    peerKeyChangedAt,
+    peerDeleted,
+    group,
+    removedFromGroup,
+    peerTyping,
+    notifyTyping,
+    disappearingTimer,
+    changeDisappearingTimer,
+    editMessage,
+    deleteMessage,
+    reactToMessage
   };
 }
 
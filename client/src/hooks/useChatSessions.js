@@ -2,6 +2,44 @@ import { useState, useEffect } from 'react';
 import { useAuth } from '../context/AuthContext';
 import { getUserSessions } from '../crypto/sessionManager';
 import { formatChatTimestamp } from '../utils/formatTime';
+import api from '../services/api';
+
+/**
+ * Fetches the groups the user belongs to as chat list items
+ * Groups are listed from the server; their sessionId is the group ID.
+ * @returns {Promise<Array<Object>>} Group chat items (empty if the request fails)
+ */
+async function fetchGroupChats() {
+  try {
+    const response = await api.get('/groups');
+    return (response.data.data || []).map(group => ({
+      id: group.id,
+      sessionId: group.id,
+      name: group.name,
+      lastMessage: `${group.members.length} members`,
+      timestamp: formatChatTimestamp(group.updatedAt || group.createdAt),
+      unreadCount: 0,
+      avatar: null,
+      isGroup: true,
+      group,
+      createdAt: group.createdAt,
+      updatedAt: group.updatedAt
+    }));
+  } catch (err) {
+    console.error('Failed to fetch groups:', err);
+    return [];
+  }
+}
+
+/**
+ * Drops sessions with a peer's other devices; they belong to the conversation
+ * session with that peer and are not listed as chats of their own
+ * @param {Array<Object>} sessions - Sessions from getUserSessions
+ * @returns {Array<Object>} Conversation sessions
+ */
+function conversationSessions(sessions) {
+  return sessions.filter(session => !session.conversationId || session.conversationId === session.sessionId);
+}
 
 /**
  * Hook to fetch and manage chat sessions
@@ -26,7 +64,7 @@ export function useChatSessions() {
         const userSessions = await getUserSessions(user.id);
         
         // Transform sessions into chat list format
-        const formattedSessions = userSessions.map(session => ({
+        const formattedSessions = conversationSessions(userSessions).map(session => ({
           id: session.sessionId,
           sessionId: session.sessionId,
           name: session.peerId || 'Unknown User', // You might want to fetch peer name from API
@@ -39,6 +77,7 @@ export function useChatSessions() {
           createdAt: session.createdAt,
           updatedAt: session.updatedAt
         }));
+        formattedSessions.push(...await fetchGroupChats());
 
         // Sort by most recent update
         formattedSessions.sort((a, b) => {
@@ -65,8 +104,8 @@ export function useChatSessions() {
 
   return { sessions, loading, error, refetch: () => {
     if (user?.id) {
-      getUserSessions(user.id).then(userSessions => {
-        const formattedSessions = userSessions.map(session => ({
+      Promise.all([getUserSessions(user.id), fetchGroupChats()]).then(([userSessions, groupChats]) => {
+        const formattedSessions = conversationSessions(userSessions).map(session => ({
           id: session.sessionId,
           sessionId: session.sessionId,
           name: session.peerId || 'Unknown User',
@@ -79,6 +118,7 @@ export function useChatSessions() {
           createdAt: session.createdAt,
           updatedAt: session.updatedAt
         }));
+        formattedSessions.push(...groupChats);
         formattedSessions.sort((a, b) => {
           const timeA = new Date(a.timestamp || 0).getTime();
           const timeB = new Date(b.timestamp || 0).getTime();
@@ -0,0 +1,23 @@
+import { useEffect } from 'react';
+import api from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import { startClientLogSync } from '../utils/clientLogger';
+
+/**
+ * Uploads security events logged in this browser to the server audit trail
+ * Runs in the background while the user is signed in.
+ */
+export function useClientLogSync() {
+  const { user, isAuthenticated } = useAuth();
+
+  useEffect(() => {
+    if (!isAuthenticated || !user?.id) return;
+
+    return startClientLogSync(async (logs) => {
+      const response = await api.post('/logs/client', { logs });
+      if (!response.data?.success) {
+        throw new Error(response.data?.message || response.data?.error || 'Failed to upload security logs');
+      }
+    }, { userId: user.id });
+  }, [isAuthenticated, user?.id]);
+}
@@ -0,0 +1,121 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { loadPublicKeyJWK } from '../crypto/identityKeys';
+import { computeSafetyNumber, buildVerificationPayload, compareVerificationPayload } from '../crypto/safetyNumbers';
+import {
+  CONTACT_STATUS,
+  pinContactIdentityKey,
+  markContactVerified,
+  clearContactVerification,
+} from '../utils/contactStore';
+import api from '../services/api';
+
+/**
+ * Hook for safety-number verification of a contact
+ * Our own key is derived from the local private key so a malicious server
+ * cannot make both sides see matching numbers.
+ * @param {string|null} peerId - Contact user ID (null disables the hook)
+ */
+export function useContactVerification(peerId) {
+  const { user, getCachedPassword } = useAuth();
+  const [safetyNumber, setSafetyNumber] = useState(null);
+  const [peerPublicKeyJWK, setPeerPublicKeyJWK] = useState(null);
+  const [status, setStatus] = useState(CONTACT_STATUS.UNVERIFIED);
+  const [wasVerified, setWasVerified] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(async () => {
+    if (!user?.id || !peerId) {
+      setSafetyNumber(null);
+      setPeerPublicKeyJWK(null);
+      setStatus(CONTACT_STATUS.UNVERIFIED);
+      setWasVerified(false);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await api.get(`/keys/${peerId}`);
+      if (!response.data.success || !response.data.data?.publicIdentityKeyJWK) {
+        throw new Error('Failed to fetch contact identity key');
+      }
+      const peerKey = response.data.data.publicIdentityKeyJWK;
+
+      // Pin/compare first: a changed key must be flagged even if our own key is locked
+      const pin = await pinContactIdentityKey(user.id, peerId, peerKey);
+      setPeerPublicKeyJWK(peerKey);
+      setStatus(pin.status);
+      setWasVerified(!!pin.contact?.verified);
+
+      const password = getCachedPassword(user.id);
+      if (!password) {
+        throw new Error('Password required to compute the safety number. Please log out and log back in.');
+      }
+      const ownKey = await loadPublicKeyJWK(user.id, password);
+      setSafetyNumber(await computeSafetyNumber(user.id, ownKey, peerId, peerKey));
+    } catch (err) {
+      console.error('[useContactVerification] Failed to load safety number:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [user?.id, peerId, getCachedPassword]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  /**
+   * Marks the contact verified for the key the safety number was computed from
+   */
+  const markVerified = useCallback(async () => {
+    if (!user?.id || !peerId || !peerPublicKeyJWK) return;
+    await markContactVerified(user.id, peerId, peerPublicKeyJWK);
+    setStatus(CONTACT_STATUS.VERIFIED);
+    setWasVerified(true);
+  }, [user?.id, peerId, peerPublicKeyJWK]);
+
+  /**
+   * Removes verification (also used to accept a changed key without verifying)
+   */
+  const clearVerification = useCallback(async () => {
+    if (!user?.id || !peerId || !peerPublicKeyJWK) return;
+    await clearContactVerification(user.id, peerId, peerPublicKeyJWK);
+    setStatus(CONTACT_STATUS.UNVERIFIED);
+    setWasVerified(false);
+  }, [user?.id, peerId, peerPublicKeyJWK]);
+
+  /**
+   * Compares a scanned QR payload and marks the contact verified on match
+   * @param {string} payload - Scanned or pasted QR payload
+   * @returns {Promise<{match: boolean, error?: string}>}
+   */
+  const verifyScannedPayload = useCallback(async (payload) => {
+    if (!safetyNumber) {
+      return { match: false, error: 'Safety number not available' };
+    }
+    const result = compareVerificationPayload(payload, safetyNumber);
+    if (result.match) {
+      await markVerified();
+    }
+    return result;
+  }, [safetyNumber, markVerified]);
+
+  return {
+    safetyNumber,
+    qrPayload: safetyNumber ? buildVerificationPayload(safetyNumber) : null,
+    status,
+    isVerified: status === CONTACT_STATUS.VERIFIED,
+    keyChanged: status === CONTACT_STATUS.CHANGED,
+    wasVerified,
+    loading,
+    error,
+    markVerified,
+    clearVerification,
+    verifyScannedPayload,
+    refresh,
+  };
+}
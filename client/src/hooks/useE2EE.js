@@ -28,6 +28,7 @@ import { initiateKeyRotation, respondToKeyRotation } from '../crypto/keyRotation
 import { loadSession, getSendKey, getRecvKey } from '../crypto/sessionManager';
 import { importPublicKey } from '../crypto/ecdh';
 import api from '../services/api';
+import { getDeviceId } from '../utils/deviceStore';
 
 /**
  * useE2EE hook for encrypted messaging
@@ -234,7 +235,8 @@ export function useE2EE(sessionId, peerId) {
       socketRef.current = io(wsURL, {
         transports: ['polling', 'websocket'], // Try polling first in dev (works through proxy)
         auth: {
-          token
+          token,
+          deviceId: getDeviceId()
         },
         secure: true,
         rejectUnauthorized: false, // For self-signed certs in dev
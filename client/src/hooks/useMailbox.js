@@ -0,0 +1,44 @@
+import { useEffect } from 'react';
+import { io } from 'socket.io-client';
+import { useAuth } from '../context/AuthContext';
+import { getDeviceId } from '../utils/deviceStore';
+import { startMailboxDrain } from '../utils/mailbox';
+
+/**
+ * Drains the offline mailbox in the background while the user is signed in
+ * Uses a mailbox-only connection: the server never routes live envelopes to
+ * it, so open chats keep receiving them on their own connection.
+ */
+export function useMailbox() {
+  const { user, accessToken, isAuthenticated } = useAuth();
+
+  useEffect(() => {
+    if (!isAuthenticated || !user?.id || !accessToken) return;
+
+    // In development, use Vite proxy to avoid mixed content issues
+    const wsURL = import.meta.env.DEV
+      ? window.location.origin // Use same origin (Vite proxy will handle it)
+      : 'https://localhost:8443';
+
+    const socket = io(wsURL, {
+      transports: ['polling', 'websocket'],
+      rejectUnauthorized: false, // Allow self-signed certificates
+      auth: {
+        token: accessToken,
+        deviceId: getDeviceId(),
+        mailboxOnly: true
+      },
+      reconnection: true,
+      reconnectionDelay: 1000,
+      reconnectionDelayMax: 10000,
+      forceNew: true // Never share a chat's connection
+    });
+
+    const stopDrain = startMailboxDrain(socket, user.id);
+
+    return () => {
+      stopDrain();
+      socket.close();
+    };
+  }, [isAuthenticated, user?.id, accessToken]);
+}
@@ -0,0 +1,51 @@
+import { useState, useEffect } from 'react';
+import { getUserSettings } from '../utils/userSettings';
+
+/**
+ * Hook to follow a peer's online status and last-seen time
+ * The server only answers for peers we have an established session with,
+ * so an unknown peer simply stays offline with no last-seen time.
+ * On each connection the user's showPresence setting is sent to the server.
+ * @param {Object} socket - Socket.IO client
+ * @param {string} peerId - Peer user ID (null for none)
+ * @returns {{online: boolean, lastSeenAt: string|null}}
+ */
+export function usePresence(socket, peerId) {
+  const [presence, setPresence] = useState({ online: false, lastSeenAt: null });
+
+  useEffect(() => {
+    setPresence({ online: false, lastSeenAt: null });
+    if (!socket || !peerId) return;
+
+    const subscribe = () => {
+      socket.emit('presence:settings', { visible: getUserSettings().showPresence !== false });
+      socket.emit('presence:subscribe', { userIds: [peerId] });
+    };
+
+    const apply = (entry) => {
+      if (entry?.userId === peerId) {
+        setPresence({ online: !!entry.online, lastSeenAt: entry.lastSeenAt || null });
+      }
+    };
+
+    const onState = (data) => {
+      (data?.users || []).forEach(apply);
+    };
+
+    socket.on('connect', subscribe);
+    socket.on('presence:state', onState);
+    socket.on('presence:update', apply);
+
+    if (socket.connected) {
+      subscribe();
+    }
+
+    return () => {
+      socket.off('connect', subscribe);
+      socket.off('presence:state', onState);
+      socket.off('presence:update', apply);
+    };
+  }, [socket, peerId]);
+
+  return presence;
+}
@@ -119,6 +119,15 @@ export function useSecurityAlerts() {
               }
               break;
               
+            case 'identity_key_changed':
+              severity = metadata.wasVerified ? 'critical' : 'high';
+              title = 'Contact Identity Key Changed';
+              message = metadata.reason || 'A contact\'s identity key changed';
+              if (metadata.wasVerified) {
+                message += ' (previously verified)';
+              }
+              break;
+              
             case 'message_dropped':
               severity = 'medium';
               title = 'Message Dropped';
@@ -232,6 +241,11 @@ export function useSecurityAlerts() {
                 title = 'Invalid Signature Detected';
                 message = `Signature verification failed: ${metadata.reason || 'Invalid signature'}`;
                 break;
+              case 'identity_key_changed':
+                severity = metadata.wasVerified ? 'critical' : 'high';
+                title = 'Contact Identity Key Changed';
+                message = metadata.reason || 'A contact\'s identity key changed';
+                break;
               default:
                 severity = 'medium';
                 title = 'Security Event';
@@ -0,0 +1,325 @@
+import { useState, useEffect, useMemo } from "react";
+import { io } from "socket.io-client";
+import { ShieldAlert, Lock, Repeat, FileWarning, RefreshCw, Unlock, CheckCircle, XCircle } from "lucide-react";
+import { Header } from "../components/layout/Header";
+import { StatCard } from "../components/shared/StatCard";
+import { SecurityAlert } from "../components/shared/SecurityAlert";
+import { BatchSessionEstablishment } from "../components/admin/BatchSessionEstablishment";
+import { Button } from "../components/ui/button";
+import { Badge } from "../components/ui/badge";
+import { Skeleton } from "../components/ui/skeleton";
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from "../components/ui/card";
+import { useAuth } from "../context/AuthContext";
+import { useAdmin } from "../hooks/useAdmin";
+import { toast } from "../hooks/use-toast";
+import { getDeviceId } from "../utils/deviceStore";
+import { formatChatTimestamp } from "../utils/formatTime";
+
+const alertConfig = {
+  AUTH_FAILURE_THRESHOLD: {
+    title: "Repeated Failed Logins",
+    severity: "high",
+    detail: (alert) => `${alert.attemptCount} failed attempts in ${alert.timeWindow}`,
+  },
+  REPLAY_ATTEMPT_THRESHOLD: {
+    title: "Repeated Replay Attempts",
+    severity: "high",
+    detail: (alert) => `${alert.attemptCount} replay attempts from ${alert.ip} in ${alert.timeWindow}`,
+  },
+  SIGNATURE_FAILURE_THRESHOLD: {
+    title: "Repeated Signature Failures",
+    severity: "critical",
+    detail: (alert) => `${alert.failureCount} invalid signatures in ${alert.timeWindow}`,
+  },
+};
+
+function describeAlert(alert) {
+  const config = alertConfig[alert.eventType];
+  if (!config) {
+    return { title: alert.eventType, severity: "medium", description: alert.reason || "Security alert" };
+  }
+  return {
+    title: config.title,
+    severity: config.severity,
+    description: `${alert.reason || config.title}: ${config.detail(alert)}`,
+  };
+}
+
+function TrendChart({ buckets }) {
+  const max = Math.max(1, ...buckets.map((b) => b.replayAttempts + b.signatureFailures));
+
+  return (
+    <div>
+      <div className="flex items-end gap-1 h-32">
+        {buckets.map((bucket) => (
+          <div
+            key={bucket.hour}
+            className="flex-1 flex flex-col justify-end h-full"
+            title={`${new Date(bucket.hour).toLocaleString()}: ${bucket.replayAttempts} replay, ${bucket.signatureFailures} signature`}
+          >
+            <div
+              className="bg-destructive/70 rounded-t-sm"
+              style={{ height: `${(bucket.signatureFailures / max) * 100}%` }}
+            />
+            <div
+              className="bg-warning/70"
+              style={{ height: `${(bucket.replayAttempts / max) * 100}%` }}
+            />
+          </div>
+        ))}
+      </div>
+      <div className="flex items-center gap-4 mt-3 text-xs text-muted-foreground">
+        <span className="flex items-center gap-1.5">
+          <span className="w-2.5 h-2.5 rounded-sm bg-warning/70" /> Replay attempts
+        </span>
+        <span className="flex items-center gap-1.5">
+          <span className="w-2.5 h-2.5 rounded-sm bg-destructive/70" /> Signature failures
+        </span>
+      </div>
+    </div>
+  );
+}
+
+export default function Admin() {
+  const { accessToken } = useAuth();
+  const { overview, alerts, lockedAccounts, trends, logFiles, loading, error, refetch, unlockAccount } = useAdmin();
+  const [unlocking, setUnlocking] = useState(null);
+  const [socket, setSocket] = useState(null);
+
+  // WebSocket connection for batch session establishment
+  useEffect(() => {
+    if (!accessToken) return;
+
+    const wsURL = import.meta.env.DEV
+      ? window.location.origin
+      : 'https://localhost:8443';
+
+    const newSocket = io(wsURL, {
+      transports: ['polling', 'websocket'],
+      rejectUnauthorized: false,
+      auth: {
+        token: accessToken,
+        deviceId: getDeviceId()
+      },
+      reconnection: true,
+      reconnectionDelay: 1000,
+      timeout: 20000
+    });
+
+    setSocket(newSocket);
+
+    return () => {
+      newSocket.close();
+    };
+  }, [accessToken]);
+
+  const handleUnlock = async (account) => {
+    try {
+      setUnlocking(account.userId);
+      await unlockAccount(account.userId);
+      toast({
+        title: "Account unlocked",
+        description: `${account.email || account.userId} can sign in again.`,
+      });
+    } catch (err) {
+      toast({
+        title: "Unlock failed",
+        description: err.message,
+        variant: "destructive",
+      });
+    } finally {
+      setUnlocking(null);
+    }
+  };
+
+  const statsArray = useMemo(() => {
+    if (!overview || !trends) return [];
+    return [
+      {
+        icon: ShieldAlert,
+        label: "Active Alerts (24h)",
+        value: overview.activeAlerts.toString(),
+        change: overview.activeAlerts > 0 ? "Review" : "None",
+        changeType: overview.activeAlerts > 0 ? "negative" : "positive",
+      },
+      {
+        icon: Lock,
+        label: "Locked Accounts",
+        value: overview.lockedAccounts.toString(),
+        change: overview.lockedAccounts > 0 ? "Locked" : "None",
+        changeType: overview.lockedAccounts > 0 ? "negative" : "neutral",
+      },
+      {
+        icon: Repeat,
+        label: "Replay / Signature Failures (24h)",
+        value: `${trends.totals.replayAttempts} / ${trends.totals.signatureFailures}`,
+        change: `${overview.statistics.rules.length} alert rules active`,
+        changeType: "neutral",
+      },
+      {
+        icon: FileWarning,
+        label: "Tampered Log Entries",
+        value: overview.tamperedLogEntries.toString(),
+        change: overview.tamperedLogEntries > 0 ? "Tampered" : "Verified",
+        changeType: overview.tamperedLogEntries > 0 ? "negative" : "positive",
+      },
+    ];
+  }, [overview, trends]);
+
+  return (
+    <div className="min-h-screen">
+      <Header title="Security Operations" showMenu />
+
+      <div className="p-4 sm:p-6 lg:p-8 space-y-6">
+        <div className="flex justify-end">
+          <Button variant="outline" size="sm" onClick={refetch} disabled={loading}>
+            <RefreshCw className={loading ? "w-4 h-4 animate-spin" : "w-4 h-4"} />
+            Refresh
+          </Button>
+        </div>
+
+        {error ? (
+          <div className="text-center py-12">
+            <p className="text-destructive mb-2">Error loading admin console: {error}</p>
+            <Button variant="outline" size="sm" onClick={refetch}>
+              Retry
+            </Button>
+          </div>
+        ) : loading && !overview ? (
+          <div className="grid grid-cols-1 sm:grid-cols-2 xl:grid-cols-4 gap-4">
+            {[1, 2, 3, 4].map((i) => (
+              <div key={i} className="p-5 rounded-xl bg-card border border-border">
+                <Skeleton className="h-10 w-10 mb-4" />
+                <Skeleton className="h-6 w-1/3 mb-2" />
+                <Skeleton className="h-4 w-2/3" />
+              </div>
+            ))}
+          </div>
+        ) : (
+          <>
+            {/* Summary */}
+            <div className="grid grid-cols-1 sm:grid-cols-2 xl:grid-cols-4 gap-4">
+              {statsArray.map((stat, i) => (
+                <StatCard
+                  key={stat.label}
+                  {...stat}
+                  className="animate-fade-in"
+                  style={{ animationDelay: `${i * 50}ms` }}
+                />
+              ))}
+            </div>
+
+            {/* Active Alerts */}
+            <Card>
+              <CardHeader>
+                <CardTitle>Active Alerts</CardTitle>
+                <CardDescription>Threshold alerts raised in the last 24 hours (HMAC-verified)</CardDescription>
+              </CardHeader>
+              <CardContent className="space-y-3">
+                {alerts.map((alert, i) => {
+                  const { title, severity, description } = describeAlert(alert);
+                  return (
+                    <SecurityAlert
+                      key={`${alert.timestamp}-${i}`}
+                      title={title}
+                      description={description}
+                      severity={severity}
+                      timestamp={formatChatTimestamp(alert.timestamp)}
+                    />
+                  );
+                })}
+                {alerts.length === 0 && (
+                  <p className="text-sm text-muted-foreground">No alerts in the last 24 hours.</p>
+                )}
+              </CardContent>
+            </Card>
+
+            {/* Locked Accounts */}
+            <Card>
+              <CardHeader>
+                <CardTitle>Locked Accounts</CardTitle>
+                <CardDescription>Accounts locked after repeated failed logins</CardDescription>
+              </CardHeader>
+              <CardContent className="space-y-2">
+                {lockedAccounts.map((account) => (
+                  <div
+                    key={account.userId}
+                    className="flex items-center justify-between gap-3 p-3 rounded-lg bg-secondary/50"
+                  >
+                    <div className="min-w-0">
+                      <p className="font-medium text-foreground truncate">{account.email || account.userId}</p>
+                      <p className="text-xs text-muted-foreground">
+                        {account.failedAttempts} failed attempts · locked until {new Date(account.lockoutUntil).toLocaleTimeString()}
+                      </p>
+                    </div>
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() => handleUnlock(account)}
+                      disabled={unlocking === account.userId}
+                    >
+                      <Unlock className="w-4 h-4" />
+                      Unlock
+                    </Button>
+                  </div>
+                ))}
+                {lockedAccounts.length === 0 && (
+                  <p className="text-sm text-muted-foreground">No accounts are locked.</p>
+                )}
+              </CardContent>
+            </Card>
+
+            {/* Trends */}
+            {trends && (
+              <Card>
+                <CardHeader>
+                  <CardTitle>Replay & Signature Failures</CardTitle>
+                  <CardDescription>Hourly counts over the last {trends.hours} hours</CardDescription>
+                </CardHeader>
+                <CardContent>
+                  <TrendChart buckets={trends.buckets} />
+                </CardContent>
+              </Card>
+            )}
+
+            {/* Log Integrity */}
+            <Card>
+              <CardHeader>
+                <CardTitle>Log Integrity</CardTitle>
+                <CardDescription>HMAC verification of every protected log entry</CardDescription>
+              </CardHeader>
+              <CardContent className="space-y-2">
+                {logFiles.map((file) => (
+                  <div key={file.file} className="flex items-center justify-between gap-3 py-2 border-b border-border last:border-0">
+                    <div className="flex items-center gap-2 min-w-0">
+                      {file.tampered > 0 ? (
+                        <XCircle className="w-4 h-4 text-destructive flex-shrink-0" />
+                      ) : (
+                        <CheckCircle className="w-4 h-4 text-success flex-shrink-0" />
+                      )}
+                      <span className="font-mono text-sm truncate">{file.file}</span>
+                    </div>
+                    <div className="flex items-center gap-2 flex-shrink-0">
+                      {!file.exists ? (
+                        <Badge variant="secondary">No entries</Badge>
+                      ) : (
+                        <>
+                          <Badge variant="secondary">{file.valid} verified</Badge>
+                          {file.tampered > 0 && (
+                            <Badge variant="destructive">{file.tampered} tampered</Badge>
+                          )}
+                        </>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </CardContent>
+            </Card>
+
+            <BatchSessionEstablishment socket={socket} />
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
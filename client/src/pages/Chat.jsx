@@ -2,16 +2,35 @@ import { useState, useEffect, useRef } from 'react';
 import { useParams, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { useChat } from '../hooks/useChat';
+import { usePresence } from '../hooks/usePresence';
 import { io } from 'socket.io-client';
-import { ArrowLeft, Lock, Shield, Download } from 'lucide-react';
+import { ArrowLeft, Lock, Shield, Download, ShieldAlert, Users, Search, Timer } from 'lucide-react';
 import { Button } from '../components/ui/button';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '../components/ui/dialog';
 import { ChatBubble } from '../components/chat/ChatBubble';
 import { MessageInput } from '../components/chat/MessageInput';
 import { SecurityAlert } from '../components/shared/SecurityAlert';
 import { FileCard } from '../components/shared/FileCard';
 import { FileProgress } from '../components/chat/FileProgress';
 import { ErrorMessage } from '../components/chat/ErrorMessage';
+import { MessageSearch } from '../components/chat/MessageSearch';
+import { DisappearingTimerDialog } from '../components/chat/DisappearingTimerDialog';
+import { ThreadView } from '../components/chat/ThreadView';
+import { formatTimer } from '../crypto/disappearingMessages.js';
+import { summarizeReactions } from '../crypto/messageActions.js';
+import { findReplyTarget, buildThreads } from '../crypto/replies.js';
 import { loadSession } from '../crypto/sessionManager.js';
+import api from '../services/api';
+import { getDeviceId } from '../utils/deviceStore';
+import { useContactVerification } from '../hooks/useContactVerification';
+import { SafetyNumberDialog, VerificationBadge } from '../components/shared/SafetyNumberDialog';
 
 export function Chat() {
   const { sessionId } = useParams();
@@ -26,6 +45,16 @@ export function Chat() {
 
   // Get peerId from route state, URL params, or session
   const [peerId, setPeerId] = useState(location.state?.peerId || null);
+  const [initialGroup, setInitialGroup] = useState(location.state?.group || null);
+  const [showSafetyNumber, setShowSafetyNumber] = useState(false);
+  const [pendingSend, setPendingSend] = useState(null); // Send held back by the key change interstitial
+  const [showSearch, setShowSearch] = useState(false);
+  const [showTimer, setShowTimer] = useState(false);
+  const [focusMessageId, setFocusMessageId] = useState(location.state?.messageId || null); // Search hit to scroll to
+  const [highlightedMessageId, setHighlightedMessageId] = useState(location.state?.messageId || null);
+  const [replyingTo, setReplyingTo] = useState(null); // Message the composer replies to
+  const [threadRootId, setThreadRootId] = useState(null); // Thread shown in the thread view
+  const verification = useContactVerification(peerId);
 
   const { 
     messages, 
@@ -41,16 +70,52 @@ export function Chat() {
     clearError,
     isConnected,
     connectionError,
-    reconnect
+    reconnect,
+    peerKeyChangedAt,
+    peerDeleted,
+    group,
+    removedFromGroup,
+    peerTyping,
+    notifyTyping,
+    disappearingTimer,
+    changeDisappearingTimer,
+    editMessage,
+    deleteMessage,
+    reactToMessage
   } = useChat(
     sessionId,
     socket,
-    peerId
+    peerId,
+    initialGroup
   );
 
+  const presence = usePresence(socket, group ? null : peerId);
+
+  // Edits, deletes and reactions go to pairwise contacts whose key we still trust
+  const canChangeMessages = !group && !peerDeleted && !verification.keyChanged;
+  // Replies are ordinary messages: possible whenever the composer is
+  const canReply = !removedFromGroup && !peerDeleted && !(verification.keyChanged && verification.wasVerified);
+  // The message being replied to may be deleted or disappear while composing
+  const replyTarget = replyingTo ? messages.find((msg) => msg.id === replyingTo.id && !msg.deleted) : null;
+
+  // A reply or thread belongs to the conversation it was started in
+  useEffect(() => {
+    setReplyingTo(null);
+    setThreadRootId(null);
+  }, [sessionId]);
+
+  // Group chats opened by URL: fetch the group (404 for pairwise sessions)
+  useEffect(() => {
+    if (!sessionId || !location.state?.isGroup || initialGroup) return;
+
+    api.get(`/groups/${sessionId}`)
+      .then((response) => setInitialGroup(response.data.data))
+      .catch((error) => console.warn('Could not load group:', error));
+  }, [sessionId, location.state?.isGroup, initialGroup]);
+
   // Load session to get peerId if not already set
   useEffect(() => {
-    if (!sessionId || !user?.id || peerId) return;
+    if (!sessionId || !user?.id || peerId || initialGroup) return;
 
     const loadSessionInfo = async () => {
       try {
@@ -71,7 +136,7 @@ export function Chat() {
     };
 
     loadSessionInfo();
-  }, [sessionId, user?.id, peerId]);
+  }, [sessionId, user?.id, peerId, initialGroup]);
 
   // Initialize WebSocket connection
   useEffect(() => {
@@ -86,7 +151,8 @@ export function Chat() {
       transports: ['polling', 'websocket'], // Try polling first in dev (works through proxy)
       rejectUnauthorized: false, // Allow self-signed certificates
       auth: {
-        token: accessToken
+        token: accessToken,
+        deviceId: getDeviceId()
       },
       reconnection: true,
       reconnectionDelay: 1000,
@@ -147,9 +213,58 @@ export function Chat() {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   }, [messages, files]);
 
+  // Scroll to a search hit once it is loaded (runs after the scroll to bottom)
+  useEffect(() => {
+    if (!focusMessageId) return;
+    const element = document.getElementById(`message-${focusMessageId}`);
+    if (element) {
+      element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      setFocusMessageId(null);
+    }
+  }, [focusMessageId, messages, files]);
+
+  // Highlights a message and scrolls to it (search hits, quoted messages, threads)
+  const jumpToMessage = (messageId) => {
+    setHighlightedMessageId(messageId);
+    setFocusMessageId(messageId);
+  };
+
+  const handleSearchSelect = (hit) => {
+    setShowSearch(false);
+    jumpToMessage(hit.id);
+  };
+
+  // Server reported that the peer uploaded a new identity key
+  const refreshVerification = verification.refresh;
+  useEffect(() => {
+    if (peerKeyChangedAt) {
+      refreshVerification();
+    }
+  }, [peerKeyChangedAt, refreshVerification]);
+
+  /**
+   * Holds back a send to a contact whose identity key changed
+   * Verified contacts are blocked until re-verified; TOFU-pinned contacts
+   * get an interstitial asking the user to confirm.
+   * @returns {boolean} True if the send was held back
+   */
+  const holdForKeyChange = (pending) => {
+    if (!verification.keyChanged) return false;
+    if (verification.wasVerified) {
+      setShowSafetyNumber(true);
+    } else {
+      setPendingSend(pending);
+    }
+    return true;
+  };
+
   const handleSendMessage = async (message) => {
     if (!message.trim() || sending) return;
+    if (holdForKeyChange({ type: 'text', message, replyTo: replyTarget })) return;
+    await deliverMessage(message, replyTarget);
+  };
 
+  const deliverMessage = async (message, replyTo = null) => {
     // Don't allow sending if session is being established
     if (isEstablishingSession) {
       alert('Please wait for the secure session to be established before sending messages.');
@@ -158,7 +273,8 @@ export function Chat() {
 
     setSending(true);
     try {
-      await sendMessage(message);
+      await sendMessage(message, replyTo);
+      if (replyTo) setReplyingTo(null);
     } catch (error) {
       console.error('Failed to send message:', error);
       const errorMessage = error.message || 'Failed to send message. Please try again.';
@@ -187,7 +303,11 @@ export function Chat() {
 
   const handleSendFile = async () => {
     if (!selectedFile || sending) return;
+    if (holdForKeyChange({ type: 'file' })) return;
+    await deliverFile();
+  };
 
+  const deliverFile = async () => {
     setSending(true);
     try {
       await sendFile(selectedFile);
@@ -201,6 +321,18 @@ export function Chat() {
     }
   };
 
+  // Interstitial: accept the contact's new key (re-pin) and send what was held back
+  const handleSendAnyway = async () => {
+    const pending = pendingSend;
+    setPendingSend(null);
+    await verification.clearVerification();
+    if (pending?.type === 'text') {
+      await deliverMessage(pending.message, pending.replyTo);
+    } else if (pending?.type === 'file') {
+      await deliverFile();
+    }
+  };
+
   const handleDownloadFile = (file) => {
     const url = URL.createObjectURL(file.blob);
     const a = document.createElement('a');
@@ -223,8 +355,35 @@ export function Chat() {
     );
   }
 
-  const sessionName = `Session ${sessionId.substring(0, 8)}`;
+  const sessionName = group ? group.name : `Session ${sessionId.substring(0, 8)}`;
   const initials = sessionName.split(' ').map((n) => n[0]).join('').toUpperCase().slice(0, 2);
+  const senderName = (senderId) => {
+    if (senderId === user.id) return 'You';
+    return group ? senderId : sessionName;
+  };
+
+  // Replies grouped under the first message of their thread (rebuilt from the loaded history)
+  const threads = buildThreads(messages, sessionId);
+  const threadRoot = threadRootId ? messages.find((msg) => msg.id === threadRootId) : null;
+
+  // Quote shown above a reply: the original as it is now if loaded, else the snippet it carried
+  const quoteOf = (msg) => {
+    if (!msg.replyTo) return null;
+    const target = findReplyTarget(messages, sessionId, msg.replyTo);
+    return {
+      target,
+      name: senderName(target ? target.sender : msg.replyTo.sender),
+      text: target ? target.content : msg.replyTo.snippet,
+      deleted: !!target?.deleted
+    };
+  };
+  const peerStatus = peerTyping
+    ? 'typing...'
+    : presence.online
+      ? 'Online'
+      : presence.lastSeenAt
+        ? `Last seen ${new Date(presence.lastSeenAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}`
+        : 'Encrypted session';
 
   return (
     <div className="h-screen flex flex-col bg-background">
@@ -240,6 +399,9 @@ export function Chat() {
               <div className="w-10 h-10 rounded-full bg-gradient-to-br from-primary/80 to-accent flex items-center justify-center">
                 <span className="text-sm font-semibold text-primary-foreground">{initials}</span>
               </div>
+              {!group && presence.online && (
+                <span className="absolute bottom-0 right-0 w-3 h-3 rounded-full bg-success border-2 border-card" />
+              )}
             </div>
             <div>
               <div className="flex items-center gap-1.5">
@@ -247,17 +409,51 @@ export function Chat() {
                 <Lock className="w-3.5 h-3.5 text-success" />
               </div>
               <span className="text-xs text-muted-foreground">
-                Encrypted session
+                {group ? (
+                  <span className="inline-flex items-center gap-1">
+                    <Users className="w-3 h-3" />
+                    {group.members.length} members
+                  </span>
+                ) : peerStatus}
               </span>
             </div>
           </div>
         </div>
+
+        <div className="flex items-center gap-2">
+          <Button variant="ghost" size="icon" onClick={() => setShowSearch(true)} title="Search this chat">
+            <Search className="w-5 h-5" />
+          </Button>
+          {peerId && !group && (
+            <Button
+              variant="ghost"
+              size="icon"
+              onClick={() => setShowTimer(true)}
+              title="Disappearing messages"
+              disabled={peerDeleted}
+            >
+              <Timer className={`w-5 h-5 ${disappearingTimer ? 'text-primary' : ''}`} />
+            </Button>
+          )}
+          {peerId && !group && (
+            <VerificationBadge
+              status={verification.status}
+              onClick={() => setShowSafetyNumber(true)}
+            />
+          )}
+        </div>
       </header>
 
       {/* Encryption Banner */}
       <div className="flex items-center justify-center gap-2 py-2 bg-success/5 border-b border-success/10">
         <Shield className="w-3.5 h-3.5 text-success" />
         <span className="text-xs text-success">Messages are end-to-end encrypted</span>
+        {disappearingTimer > 0 && (
+          <span className="inline-flex items-center gap-1 text-xs text-muted-foreground">
+            <Timer className="w-3 h-3" />
+            disappear after {formatTimer(disappearingTimer)}
+          </span>
+        )}
       </div>
 
       {/* Session Establishment Status */}
@@ -295,6 +491,46 @@ export function Chat() {
         </div>
       )}
 
+      {removedFromGroup && (
+        <div className="px-4 pt-4">
+          <SecurityAlert
+            severity="medium"
+            title="Removed From Group"
+            description="You are no longer a member of this group. Its keys were deleted from this device and new messages cannot be read or sent."
+            timestamp={new Date().toLocaleString()}
+          />
+        </div>
+      )}
+
+      {peerDeleted && (
+        <div className="px-4 pt-4">
+          <SecurityAlert
+            severity="medium"
+            title="Account Deleted"
+            description="This contact deleted their account. Their keys are gone, so new messages cannot be sent to them. Your message history is kept on this device."
+            timestamp={new Date().toLocaleString()}
+          />
+        </div>
+      )}
+
+      {/* Identity Key Change */}
+      {verification.keyChanged && (
+        <div className="px-4 pt-4">
+          <SecurityAlert
+            severity={verification.wasVerified ? 'critical' : 'high'}
+            title="Safety Number Changed"
+            description={
+              verification.wasVerified
+                ? "This contact's identity key is different from the one you verified. Sending is blocked until you verify the new safety number or accept the new key."
+                : "This contact's identity key is different from the one first seen. You will be asked to confirm before sending."
+            }
+            timestamp={new Date().toLocaleString()}
+            actionLabel="Verify safety number"
+            onAction={() => setShowSafetyNumber(true)}
+          />
+        </div>
+      )}
+
       {/* Connection Status */}
       {!isConnected && (
         <div className="px-4 pt-4">
@@ -342,22 +578,49 @@ export function Chat() {
       {/* Messages */}
       <div className="flex-1 overflow-y-auto p-4 space-y-1 scrollbar-thin">
         {messages
-          .sort((a, b) => (a.seq || 0) - (b.seq || 0)) // Ensure sorted by sequence
-          .map((msg, i) => (
-            <ChatBubble
-              key={msg.id}
-              message={msg.type === 'text' ? msg.content : '[File]'}
-              timestamp={new Date(msg.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
-              isSender={msg.sender === user.id}
-              isRead={true}
-              isEncrypted={true}
-              className="animate-fade-in"
-              style={{ animationDelay: `${i * 50}ms` }}
-            />
-          ))}
+          .sort((a, b) => group
+            ? (a.timestamp || 0) - (b.timestamp || 0) // Group seq numbers are per sender
+            : (a.seq || 0) - (b.seq || 0)) // Ensure sorted by sequence
+          .map((msg, i) => {
+            const quote = quoteOf(msg);
+            return (
+              <div
+                key={msg.id}
+                id={`message-${msg.id}`}
+                className={msg.id === highlightedMessageId ? 'rounded-2xl ring-2 ring-primary/40' : undefined}
+              >
+                <ChatBubble
+                  message={msg.type === 'text' ? msg.content : '[File]'}
+                  timestamp={new Date(msg.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                  isSender={msg.sender === user.id}
+                  status={msg.status}
+                  isEncrypted={true}
+                  edited={!!msg.editedAt}
+                  deleted={!!msg.deleted}
+                  reactions={summarizeReactions(msg, user.id)}
+                  onReact={canChangeMessages ? (emoji) => reactToMessage(msg, emoji) : undefined}
+                  onEdit={canChangeMessages && msg.sender === user.id && msg.type === 'text'
+                    ? (text) => editMessage(msg, text)
+                    : undefined}
+                  onDelete={canChangeMessages && msg.sender === user.id ? () => deleteMessage(msg) : undefined}
+                  quote={quote}
+                  onQuoteClick={quote?.target ? () => jumpToMessage(quote.target.id) : undefined}
+                  onReply={canReply && msg.type === 'text' ? () => setReplyingTo(msg) : undefined}
+                  replyCount={threads.get(msg.id)?.length || 0}
+                  onOpenThread={() => setThreadRootId(msg.id)}
+                  className="animate-fade-in"
+                  style={{ animationDelay: `${i * 50}ms` }}
+                />
+              </div>
+            );
+          })}
 
         {files.map((file, i) => (
-          <div key={file.id} className="flex w-full mb-3 animate-fade-in justify-start">
+          <div
+            key={file.id}
+            id={`message-${file.id}`}
+            className={`flex w-full mb-3 animate-fade-in justify-start${file.id === highlightedMessageId ? ' rounded-2xl ring-2 ring-primary/40' : ''}`}
+          >
             <div className="max-w-[80%] sm:max-w-[70%] lg:max-w-[60%] rounded-2xl px-4 py-3 bg-secondary text-secondary-foreground">
               <div className="flex items-center gap-3 p-2.5 rounded-lg mb-2 bg-background/50">
                 <div className="w-10 h-10 rounded-lg flex items-center justify-center bg-primary/20">
@@ -432,9 +695,104 @@ export function Chat() {
         />
         <MessageInput
           onSend={handleSendMessage}
-          onAttach={handleAttach}
+          onAttach={group ? undefined : handleAttach}
+          onTyping={group ? undefined : notifyTyping}
+          replyTo={replyTarget && canReply
+            ? { id: replyTarget.id, name: senderName(replyTarget.sender), snippet: replyTarget.content }
+            : null}
+          onCancelReply={() => setReplyingTo(null)}
+          disabled={removedFromGroup || peerDeleted || (verification.keyChanged && verification.wasVerified)}
+          disabledPlaceholder={removedFromGroup
+            ? 'You are no longer a member of this group'
+            : peerDeleted ? 'This account no longer exists' : undefined}
         />
       </div>
+
+      {/* Search This Chat */}
+      <Dialog open={showSearch} onOpenChange={setShowSearch}>
+        <DialogContent className="sm:max-w-[520px]">
+          <DialogHeader>
+            <DialogTitle className="flex items-center gap-2">
+              <Search className="w-5 h-5" />
+              Search {sessionName}
+            </DialogTitle>
+            <DialogDescription>
+              Searches the encrypted index of this chat stored on this device. Nothing is sent to the server.
+            </DialogDescription>
+          </DialogHeader>
+          <MessageSearch
+            conversationId={sessionId}
+            senders={group
+              ? group.members.filter((member) => member.userId !== user.id).map((member) => ({ value: member.userId, label: member.userId }))
+              : peerId ? [{ value: peerId, label: sessionName }] : []}
+            onSelect={handleSearchSelect}
+          />
+        </DialogContent>
+      </Dialog>
+
+      <DisappearingTimerDialog
+        open={showTimer}
+        onOpenChange={setShowTimer}
+        peerName={sessionName}
+        seconds={disappearingTimer}
+        onChange={changeDisappearingTimer}
+      />
+
+      <ThreadView
+        open={!!threadRoot}
+        onOpenChange={(open) => !open && setThreadRootId(null)}
+        root={threadRoot}
+        replies={threadRoot ? threads.get(threadRoot.id) || [] : []}
+        senderName={senderName}
+        onSelect={(msg) => {
+          setThreadRootId(null);
+          jumpToMessage(msg.id);
+        }}
+        onReply={canReply
+          ? (root) => {
+            setThreadRootId(null);
+            setReplyingTo(root);
+          }
+          : undefined}
+      />
+
+      <SafetyNumberDialog
+        open={showSafetyNumber}
+        onOpenChange={setShowSafetyNumber}
+        peerName={sessionName}
+        verification={verification}
+      />
+
+      {/* Key Change Interstitial (TOFU-pinned, unverified contacts) */}
+      <Dialog open={!!pendingSend} onOpenChange={(open) => !open && setPendingSend(null)}>
+        <DialogContent className="sm:max-w-[450px]">
+          <DialogHeader>
+            <DialogTitle className="flex items-center gap-2 text-destructive">
+              <ShieldAlert className="w-5 h-5" />
+              Safety Number Changed
+            </DialogTitle>
+            <DialogDescription>
+              The identity key of this contact changed since you first talked. This happens when
+              they reinstall or reset their keys, but it can also mean someone is intercepting
+              your messages. Verify the new safety number before sending sensitive information.
+            </DialogDescription>
+          </DialogHeader>
+          <DialogFooter className="gap-2 sm:gap-0">
+            <Button
+              variant="outline"
+              onClick={() => {
+                setPendingSend(null);
+                setShowSafetyNumber(true);
+              }}
+            >
+              Verify safety number
+            </Button>
+            <Button variant="destructive" onClick={handleSendAnyway}>
+              Accept and send
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
     </div>
   );
 }
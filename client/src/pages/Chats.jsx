@@ -1,21 +1,47 @@
 import { useState } from "react";
 import { useNavigate } from "react-router-dom";
-import { Plus, Search } from "lucide-react";
+import { Plus, Search, History } from "lucide-react";
 import { Header } from "../components/layout/Header";
 import { ChatListItem } from "../components/chat/ChatListItem";
 import { Button } from "../components/ui/button";
 import { Input } from "../components/ui/input";
 import { Skeleton } from "../components/ui/skeleton";
 import { NewChatDialog } from "../components/chat/NewChatDialog";
+import { MessageSearch } from "../components/chat/MessageSearch";
 import { useChatSessions } from "../hooks/useChatSessions";
 
 export default function Chats() {
   const [search, setSearch] = useState("");
   const [newChatOpen, setNewChatOpen] = useState(false);
   const [filter, setFilter] = useState("All");
+  const [searchingMessages, setSearchingMessages] = useState(false);
   const navigate = useNavigate();
   const { sessions, loading, error } = useChatSessions();
 
+  const openChat = (chat, messageId) => {
+    navigate(`/chat/${chat.sessionId}`, {
+      state: {
+        ...(chat.isGroup ? { isGroup: true, group: chat.group } : { peerId: chat.peerId }),
+        messageId,
+      },
+    });
+  };
+
+  // Message search: people we have pairwise chats with, and hits opened in their chat
+  const searchSenders = sessions
+    .filter((chat) => !chat.isGroup && chat.peerId)
+    .map((chat) => ({ value: chat.peerId, label: chat.name }));
+  const conversationName = (conversationId) =>
+    sessions.find((chat) => chat.sessionId === conversationId)?.name || "an old conversation";
+  const openSearchHit = (hit) => {
+    const chat = sessions.find((item) => item.sessionId === hit.conversationId);
+    if (chat) {
+      openChat(chat, hit.id);
+    } else {
+      navigate(`/chat/${hit.conversationId}`, { state: { messageId: hit.id } });
+    }
+  };
+
   // Filter chats based on search and category
   const filteredChats = sessions.filter((chat) => {
     // Search filter
@@ -29,8 +55,7 @@ export default function Chats() {
       case "Unread":
         return chat.unreadCount > 0;
       case "Groups":
-        // Groups not implemented yet, return false for now
-        return false;
+        return !!chat.isGroup;
       case "Archived":
         // Archived not implemented yet, return false for now
         return false;
@@ -56,6 +81,15 @@ export default function Chats() {
               className="pl-10"
             />
           </div>
+          <Button
+            size="icon"
+            variant={searchingMessages ? "default" : "secondary"}
+            className="flex-shrink-0"
+            onClick={() => setSearchingMessages((open) => !open)}
+            title="Search messages"
+          >
+            <History className="w-5 h-5" />
+          </Button>
           <Button 
             size="icon" 
             className="flex-shrink-0"
@@ -65,6 +99,17 @@ export default function Chats() {
           </Button>
         </div>
 
+        {/* Message Search (decrypted locally, index stored encrypted) */}
+        {searchingMessages && (
+          <div className="mb-6 p-4 rounded-xl bg-card border border-border">
+            <MessageSearch
+              senders={searchSenders}
+              conversationName={conversationName}
+              onSelect={openSearchHit}
+            />
+          </div>
+        )}
+
         {/* Chat Categories */}
         <div className="flex gap-2 mb-4 overflow-x-auto pb-2 scrollbar-thin">
           {["All", "Unread", "Groups", "Archived"].map((cat) => (
@@ -108,9 +153,7 @@ export default function Chats() {
                 >
                   <ChatListItem
                     {...chat}
-                    onClick={() => navigate(`/chat/${chat.sessionId}`, { 
-                      state: { peerId: chat.peerId } 
-                    })}
+                    onClick={() => openChat(chat)}
                   />
                 </div>
               ))}
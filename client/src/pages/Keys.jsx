@@ -1,5 +1,5 @@
 import { useState } from "react";
-import { Key, Plus, RefreshCw, Shield, Copy, Eye, EyeOff, Download, Trash2, Clock, AlertTriangle, CheckCircle2 } from "lucide-react";
+import { Key, Plus, RefreshCw, Shield, Copy, Eye, EyeOff, Download, Upload, Trash2, Clock, AlertTriangle, CheckCircle2, ShieldCheck, Archive } from "lucide-react";
 import { Header } from "../components/layout/Header";
 import { Button } from "../components/ui/button";
 import { KeyStatusBadge } from "../components/shared/KeyStatusBadge";
@@ -16,7 +16,11 @@ import {
 import { cn } from "../lib/utils.js";
 import { useKeys } from "../hooks/useKeys";
 import { useAuth } from "../context/AuthContext";
+import { useContactVerification } from "../hooks/useContactVerification";
+import { SafetyNumberDialog } from "../components/shared/SafetyNumberDialog";
+import { BackupDialog } from "../components/shared/BackupDialog";
 import { generateIdentityKeyPair, storePrivateKeyEncrypted, exportPublicKey, deleteIdentityKey, loadPrivateKey, hasIdentityKey } from "../crypto/identityKeys";
+import { publishPreKeys } from "../crypto/preKeys";
 import { rotateIdentityKeys } from "../crypto/keyRotation";
 import api from "../services/api";
 import { toast } from "../hooks/use-toast";
@@ -35,6 +39,9 @@ export default function Keys() {
   const [showPassword, setShowPassword] = useState(false);
   const [actionType, setActionType] = useState(null); // 'generate' | 'rotate'
   const [targetKeyId, setTargetKeyId] = useState(null);
+  const [verifyPeerId, setVerifyPeerId] = useState(null);
+  const [backupMode, setBackupMode] = useState(null); // 'export' | 'import'
+  const verification = useContactVerification(verifyPeerId);
   const { keys, loading, error, refetch } = useKeys();
 
   const toggleFingerprint = (id) => {
@@ -196,6 +203,9 @@ export default function Keys() {
             throw new Error(uploadErr.response?.data?.message || 'Failed to upload public key to server');
           }
         }
+
+        // Publish prekeys for the new identity key
+        await publishPreKeys(user.id, password);
         
         toast({
           title: "Success",
@@ -230,6 +240,9 @@ export default function Keys() {
             throw new Error(uploadErr.response?.data?.message || 'Failed to upload rotated public key to server');
           }
         }
+
+        // Server dropped the old prekeys with the old identity key; publish new ones
+        await publishPreKeys(user.id, password);
         
         toast({
           title: "Success",
@@ -352,6 +365,31 @@ export default function Keys() {
           </div>
         </div>
 
+        {/* Backup */}
+        <div className="p-4 rounded-xl bg-card border border-border">
+          <div className="flex flex-col sm:flex-row items-start sm:items-center justify-between gap-4">
+            <div className="flex items-start gap-3">
+              <Archive className="w-5 h-5 text-primary flex-shrink-0 mt-0.5" />
+              <div>
+                <p className="text-sm font-medium text-foreground">Backup & Restore</p>
+                <p className="text-xs text-muted-foreground mt-1">
+                  Clearing browser data deletes your keys and sessions. Keep an encrypted backup to restore them.
+                </p>
+              </div>
+            </div>
+            <div className="flex gap-2 w-full sm:w-auto">
+              <Button variant="outline" size="sm" onClick={() => setBackupMode('export')}>
+                <Download className="w-4 h-4 mr-2" />
+                Back Up
+              </Button>
+              <Button variant="outline" size="sm" onClick={() => setBackupMode('import')}>
+                <Upload className="w-4 h-4 mr-2" />
+                Restore
+              </Button>
+            </div>
+          </div>
+        </div>
+
         {/* Keys List */}
         <div className="space-y-6">
           {loading ? (
@@ -571,6 +609,17 @@ export default function Keys() {
                                 >
                                   <Copy className="w-3.5 h-3.5" />
                                 </Button>
+                                {key.peerId && (
+                                  <Button
+                                    variant="ghost"
+                                    size="sm"
+                                    onClick={() => setVerifyPeerId(key.peerId)}
+                                    title="Verify safety number"
+                                  >
+                                    <ShieldCheck className="w-3.5 h-3.5 mr-1" />
+                                    Verify
+                                  </Button>
+                                )}
                               </div>
                             </div>
                           </div>
@@ -764,6 +813,25 @@ export default function Keys() {
           </DialogFooter>
         </DialogContent>
       </Dialog>
+
+      {/* Safety Number Dialog for session peers */}
+      <SafetyNumberDialog
+        open={!!verifyPeerId}
+        onOpenChange={(open) => !open && setVerifyPeerId(null)}
+        peerName={verifyPeerId ? `Peer ${verifyPeerId.substring(0, 8)}` : ''}
+        verification={verification}
+      />
+
+      <BackupDialog
+        open={!!backupMode}
+        onOpenChange={(open) => {
+          if (!open) {
+            setBackupMode(null);
+            refetch();
+          }
+        }}
+        mode={backupMode}
+      />
     </div>
   );
 }
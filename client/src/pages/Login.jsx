@@ -1,10 +1,15 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
-import { Lock, Mail, Eye, EyeOff, Shield, ArrowRight } from 'lucide-react';
+import { Lock, Mail, Eye, EyeOff, Shield, ArrowRight, Smartphone } from 'lucide-react';
 import { Button } from '../components/ui/button';
 import { Input } from '../components/ui/input';
 import { toast } from '../hooks/use-toast';
+import api from '../services/api';
+import { replenishPreKeys } from '../crypto/preKeys.js';
+
+// How often a pending device checks whether it has been approved
+const DEVICE_LINK_POLL_INTERVAL = 3000;
 
 export function Login() {
   const [email, setEmail] = useState('');
@@ -12,16 +17,66 @@ export function Login() {
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
   const [showPassword, setShowPassword] = useState(false);
-  const { login } = useAuth();
+  const [deviceLink, setDeviceLink] = useState(null); // { userId, password, code } while waiting for approval
+  const { login, logout } = useAuth();
   const navigate = useNavigate();
 
+  // A new device waits until one of the user's other devices approves it
+  useEffect(() => {
+    if (!deviceLink) return;
+
+    let cancelled = false;
+    const interval = setInterval(async () => {
+      try {
+        const response = await api.get('/keys/me');
+        if (cancelled || response.data.data?.status !== 'active') return;
+
+        cancelled = true;
+        clearInterval(interval);
+        try {
+          await replenishPreKeys(deviceLink.userId, deviceLink.password);
+        } catch (preKeyError) {
+          console.warn('Failed to publish prekeys (non-critical):', preKeyError);
+        }
+        toast({
+          title: "Device linked",
+          description: "This device can now send and receive messages.",
+        });
+        navigate('/dashboard');
+      } catch (pollError) {
+        // 404 means the request was rejected or expired
+        if (pollError.response?.status === 404 && !cancelled) {
+          cancelled = true;
+          clearInterval(interval);
+          setDeviceLink(null);
+          setError('The link request was rejected or expired. Sign in again to retry.');
+          await logout();
+        }
+      }
+    }, DEVICE_LINK_POLL_INTERVAL);
+
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [deviceLink, navigate, logout]);
+
+  const handleCancelLink = async () => {
+    setDeviceLink(null);
+    await logout();
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
     setLoading(true);
 
     try {
-      await login(email, password);
+      const { user, device } = await login(email, password);
+      if (device?.status === 'pending') {
+        setDeviceLink({ userId: user.id, password, code: device.code });
+        return;
+      }
       toast({
         title: "Login successful",
         description: "Welcome back!",
@@ -103,6 +158,28 @@ export function Login() {
             <p className="text-muted-foreground mt-1">Enter your credentials to access your account</p>
           </div>
 
+          {deviceLink ? (
+            <div className="space-y-5">
+              <div className="p-5 rounded-xl bg-card border border-border text-center">
+                <div className="w-12 h-12 mx-auto mb-3 rounded-xl bg-primary/10 flex items-center justify-center">
+                  <Smartphone className="w-6 h-6 text-primary" />
+                </div>
+                <h3 className="font-semibold text-foreground">Link this device</h3>
+                <p className="text-sm text-muted-foreground mt-1">
+                  On a device where you are already signed in, open Settings → Linked Devices and enter this code:
+                </p>
+                <p className="mt-4 text-3xl font-mono font-bold tracking-widest text-foreground">{deviceLink.code}</p>
+                <div className="mt-4 flex items-center justify-center gap-2 text-xs text-muted-foreground">
+                  <div className="w-3 h-3 border-2 border-muted-foreground/30 border-t-muted-foreground rounded-full animate-spin" />
+                  <span>Waiting for approval...</span>
+                </div>
+              </div>
+              <Button variant="outline" className="w-full" onClick={handleCancelLink}>
+                Cancel
+              </Button>
+            </div>
+          ) : (
+          <>
           {error && (
             <div className="mb-5 p-3 rounded-lg bg-destructive/10 border border-destructive/20 text-destructive text-sm">
               {error}
@@ -184,6 +261,8 @@ export function Login() {
               Create account
             </Link>
           </p>
+          </>
+          )}
 
           <div className="mt-8 pt-6 border-t border-border">
             <div className="flex items-center justify-center gap-2 text-xs text-muted-foreground">
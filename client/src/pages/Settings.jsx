@@ -14,6 +14,11 @@ import {
   Eye,
   EyeOff,
   X,
+  MonitorSmartphone,
+  Download,
+  Upload,
+  Activity,
+  VenetianMask,
 } from "lucide-react";
 import { useAuth } from "../context/AuthContext";
 import { useNavigate } from "react-router-dom";
@@ -35,10 +40,14 @@ import { cn } from "../lib/utils.js";
 import { getUserSettings, updateSetting } from "../utils/userSettings";
 import { toast } from "../hooks/use-toast";
 import api from "../services/api";
+import { getDeviceId } from "../utils/deviceStore";
 import { formatChatTimestamp } from "../utils/formatTime";
 import { validatePassword } from "../utils/passwordValidation";
-import { BatchSessionEstablishment } from "../components/admin/BatchSessionEstablishment";
+import { DevicesDialog } from "../components/shared/DevicesDialog";
+import { BackupDialog } from "../components/shared/BackupDialog";
 import { io } from "socket.io-client";
+import { registerSealedSender, unregisterSealedSender } from "../crypto/sealedSender";
+import { changeStoragePassword, initializeSessionEncryption } from "../crypto/sessionManager";
 
 function SettingItem({ icon: Icon, label, description, action, onClick, danger }) {
   // If there's an action (like Switch), render as div to avoid nested buttons
@@ -77,7 +86,7 @@ function SettingItem({ icon: Icon, label, description, action, onClick, danger }
 }
 
 export default function Settings() {
-  const { user, logout, accessToken } = useAuth();
+  const { user, logout, deleteAccount, accessToken, getCachedPassword, cachePassword } = useAuth();
   const navigate = useNavigate();
   const { theme, toggleTheme } = useTheme();
   const [socket, setSocket] = useState(null);
@@ -94,7 +103,8 @@ export default function Settings() {
       transports: ['polling', 'websocket'],
       rejectUnauthorized: false,
       auth: {
-        token: accessToken
+        token: accessToken,
+        deviceId: getDeviceId()
       },
       reconnection: true,
       reconnectionDelay: 1000,
@@ -104,6 +114,14 @@ export default function Settings() {
       forceNew: false
     });
 
+    // Another browser asks to join the account
+    newSocket.on('device:link-requested', (data) => {
+      toast({
+        title: "New device wants to link",
+        description: `${data.deviceName || 'A new device'} is waiting for approval in Linked Devices.`,
+      });
+    });
+
     setSocket(newSocket);
 
     return () => {
@@ -115,6 +133,8 @@ export default function Settings() {
   const [settings, setSettings] = useState(() => getUserSettings());
   const [notifications, setNotifications] = useState(settings.notifications);
   const [readReceipts, setReadReceipts] = useState(settings.readReceipts);
+  const [showPresence, setShowPresence] = useState(settings.showPresence);
+  const [sealedSender, setSealedSender] = useState(settings.sealedSender);
   const [securityAlerts, setSecurityAlerts] = useState(settings.securityAlerts);
   
   // Dialog states
@@ -122,7 +142,10 @@ export default function Settings() {
   const [showDeleteDialog, setShowDeleteDialog] = useState(false);
   const [showChangePasswordDialog, setShowChangePasswordDialog] = useState(false);
   const [showSessionsDialog, setShowSessionsDialog] = useState(false);
+  const [showDevicesDialog, setShowDevicesDialog] = useState(false);
+  const [backupMode, setBackupMode] = useState(null); // 'export' | 'import'
   const [isDeleting, setIsDeleting] = useState(false);
+  const [deletePassword, setDeletePassword] = useState('');
   
   // Change password form state
   const [oldPassword, setOldPassword] = useState('');
@@ -142,6 +165,8 @@ export default function Settings() {
     const currentSettings = getUserSettings();
     setNotifications(currentSettings.notifications);
     setReadReceipts(currentSettings.readReceipts);
+    setShowPresence(currentSettings.showPresence);
+    setSealedSender(currentSettings.sealedSender);
     setSecurityAlerts(currentSettings.securityAlerts);
   }, []);
 
@@ -167,6 +192,48 @@ export default function Settings() {
     });
   };
 
+  const handleShowPresenceChange = (checked) => {
+    setShowPresence(checked);
+    updateSetting('showPresence', checked);
+    socket?.emit('presence:settings', { visible: checked });
+    toast({
+      title: checked ? "Online status shared" : "Online status hidden",
+      description: checked 
+        ? "Contacts can see when you're online or typing" 
+        : "Contacts no longer see your online status, last seen or typing",
+    });
+  };
+
+  const handleSealedSenderChange = async (checked) => {
+    try {
+      if (checked) {
+        const password = user?.id ? getCachedPassword(user.id) : null;
+        if (!password) {
+          throw new Error("Please log out and log back in to turn on sealed sender");
+        }
+        await registerSealedSender(user.id, password);
+      } else {
+        await unregisterSealedSender();
+      }
+    } catch (error) {
+      toast({
+        title: "Could not change sealed sender",
+        description: error.message,
+        variant: "destructive",
+      });
+      return;
+    }
+
+    setSealedSender(checked);
+    updateSetting('sealedSender', checked);
+    toast({
+      title: checked ? "Sealed sender enabled" : "Sealed sender disabled",
+      description: checked 
+        ? "The server no longer sees who sends your messages to contacts who also use it" 
+        : "Messages are sent with your identity visible to the server",
+    });
+  };
+
   const handleSecurityAlertsChange = (checked) => {
     setSecurityAlerts(checked);
     updateSetting('securityAlerts', checked);
@@ -311,21 +378,48 @@ export default function Settings() {
 
     setIsChangingPassword(true);
     try {
-      const response = await api.post('/auth/change-password', {
-        oldPassword,
-        newPassword,
-      });
-
-      if (response.data.success) {
+      // Local keys and message history are re-encrypted first: if that fails
+      // (e.g. a wrong current password), the account password is left as it is
+      try {
+        await changeStoragePassword(user.id, oldPassword, newPassword);
+      } catch (reencryptError) {
+        console.warn('Failed to re-encrypt local keys:', reencryptError);
         toast({
-          title: "Password changed",
-          description: "Your password has been successfully updated.",
+          title: "Password not changed",
+          description: "Your encryption keys on this device could not be re-encrypted. Check your current password and try again.",
+          variant: "destructive",
         });
-        setShowChangePasswordDialog(false);
-        setOldPassword('');
-        setNewPassword('');
-        setConfirmPassword('');
+        return;
       }
+
+      let response;
+      try {
+        response = await api.post('/auth/change-password', {
+          oldPassword,
+          newPassword,
+        });
+        if (!response.data.success) {
+          throw new Error(response.data.message || 'Failed to change password');
+        }
+      } catch (error) {
+        // Roll back, so local keys stay encrypted with the password the server still accepts
+        await changeStoragePassword(user.id, newPassword, oldPassword)
+          .catch(rollbackError => console.error('Failed to roll back local key re-encryption:', rollbackError));
+        await initializeSessionEncryption(user.id, oldPassword).catch(() => {});
+        throw error;
+      }
+
+      // Keys derived from the old password were cleared with the re-encryption
+      await initializeSessionEncryption(user.id, newPassword);
+      cachePassword(user.id, newPassword);
+      toast({
+        title: "Password changed",
+        description: "Your password has been successfully updated.",
+      });
+      setShowChangePasswordDialog(false);
+      setOldPassword('');
+      setNewPassword('');
+      setConfirmPassword('');
     } catch (error) {
       const errorMessage = error.response?.data?.message || error.response?.data?.error || 'Failed to change password';
       toast({
@@ -339,29 +433,38 @@ export default function Settings() {
   };
 
   const handleDeleteAccount = async () => {
+    if (!deletePassword) {
+      toast({
+        title: "Password required",
+        description: "Enter your password to confirm account deletion.",
+        variant: "destructive",
+      });
+      return;
+    }
+
     setIsDeleting(true);
     try {
-      // TODO: Implement actual account deletion API call
-      // await api.delete('/auth/account');
-      
-      // For now, just sign out
-      await logout();
+      const { wiped } = await deleteAccount(deletePassword);
+      setShowDeleteDialog(false);
       navigate('/login');
       toast({
         title: "Account deleted",
-        description: "Your account has been permanently deleted.",
+        description: wiped
+          ? "Your account and the encryption keys on this device have been permanently deleted."
+          : "Your account has been deleted, but keys on this device could not be erased. Clear this site's data in your browser.",
         variant: "destructive",
       });
     } catch (error) {
       console.error('Failed to delete account:', error);
+      const errorMessage = error.response?.data?.message || error.response?.data?.error || 'Failed to delete account. Please try again or contact support.';
       toast({
         title: "Error",
-        description: "Failed to delete account. Please try again or contact support.",
+        description: errorMessage,
         variant: "destructive",
       });
     } finally {
       setIsDeleting(false);
-      setShowDeleteDialog(false);
+      setDeletePassword('');
     }
   };
 
@@ -422,6 +525,24 @@ export default function Settings() {
                 loadSessions();
               }}
             />
+            <SettingItem
+              icon={MonitorSmartphone}
+              label="Linked Devices"
+              description="Link a new device or remove an old one"
+              onClick={() => setShowDevicesDialog(true)}
+            />
+            <SettingItem
+              icon={Download}
+              label="Back Up Keys"
+              description="Export your keys and sessions to an encrypted file"
+              onClick={() => setBackupMode('export')}
+            />
+            <SettingItem
+              icon={Upload}
+              label="Restore Backup"
+              description="Import keys and sessions from a backup file"
+              onClick={() => setBackupMode('import')}
+            />
           </div>
         </div>
 
@@ -442,6 +563,28 @@ export default function Settings() {
                 />
               }
             />
+            <SettingItem
+              icon={Activity}
+              label="Online Status & Typing"
+              description="Show contacts when you're online, last seen or typing"
+              action={
+                <Switch
+                  checked={showPresence}
+                  onCheckedChange={handleShowPresenceChange}
+                />
+              }
+            />
+            <SettingItem
+              icon={VenetianMask}
+              label="Sealed Sender"
+              description="Hide who sent each message from the server"
+              action={
+                <Switch
+                  checked={sealedSender}
+                  onCheckedChange={handleSealedSenderChange}
+                />
+              }
+            />
           </div>
         </div>
 
@@ -556,7 +699,13 @@ export default function Settings() {
       </Dialog>
 
       {/* Delete Account Confirmation Dialog */}
-      <Dialog open={showDeleteDialog} onOpenChange={setShowDeleteDialog}>
+      <Dialog
+        open={showDeleteDialog}
+        onOpenChange={(open) => {
+          setShowDeleteDialog(open);
+          if (!open) setDeletePassword('');
+        }}
+      >
         <DialogContent className="sm:max-w-[500px]">
           <DialogHeader>
             <DialogTitle className="flex items-center gap-2 text-destructive">
@@ -578,6 +727,18 @@ export default function Settings() {
               </div>
             </DialogDescription>
           </DialogHeader>
+          <div className="space-y-2">
+            <Label htmlFor="deletePassword">Confirm with your password</Label>
+            <Input
+              id="deletePassword"
+              type="password"
+              value={deletePassword}
+              onChange={(e) => setDeletePassword(e.target.value)}
+              placeholder="Enter your password"
+              autoComplete="current-password"
+              disabled={isDeleting}
+            />
+          </div>
           <DialogFooter className="gap-2 sm:gap-0">
             <Button
               variant="outline"
@@ -589,7 +750,7 @@ export default function Settings() {
             <Button
               variant="destructive"
               onClick={handleDeleteAccount}
-              disabled={isDeleting}
+              disabled={isDeleting || !deletePassword}
             >
               {isDeleting ? (
                 <>
@@ -852,6 +1013,18 @@ export default function Settings() {
           </DialogFooter>
         </DialogContent>
       </Dialog>
+
+      <DevicesDialog
+        open={showDevicesDialog}
+        onOpenChange={setShowDevicesDialog}
+        socket={socket}
+      />
+
+      <BackupDialog
+        open={!!backupMode}
+        onOpenChange={(open) => !open && setBackupMode(null)}
+        mode={backupMode}
+      />
     </div>
   );
 }
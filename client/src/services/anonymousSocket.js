@@ -0,0 +1,37 @@
+import { io } from 'socket.io-client';
+
+/**
+ * Anonymous Socket.IO connection for sealed-sender envelopes
+ * Carries no access token or device ID, so the server sees an unauthenticated
+ * client and cannot tie sealed envelopes to the sending account.
+ */
+
+const wsURL = import.meta.env.DEV
+  ? window.location.origin // Use same origin (Vite proxy will handle it)
+  : 'https://localhost:8443';
+
+let socket = null;
+
+/**
+ * Returns the anonymous connection, opening it on first use
+ * @returns {Object} Socket.IO socket
+ */
+export function getAnonymousSocket() {
+  if (!socket) {
+    socket = io(wsURL, {
+      transports: ['polling', 'websocket'],
+      rejectUnauthorized: false, // Allow self-signed certificates
+      reconnection: true,
+      forceNew: true // Never share the authenticated connection
+    });
+  }
+  return socket;
+}
+
+/**
+ * Closes the anonymous connection (sealed sender turned off)
+ */
+export function closeAnonymousSocket() {
+  socket?.close();
+  socket = null;
+}
@@ -1,5 +1,6 @@
 import axios from 'axios';
 import { getAccessToken, notifyTokenUpdate } from '../utils/tokenStore.js';
+import { getDeviceId } from '../utils/deviceStore.js';
 
 /**
  * Axios instance configured for the secure backend API
@@ -43,6 +44,11 @@ api.interceptors.request.use(
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
+    // Identify this browser among the user's devices
+    const deviceId = getDeviceId();
+    if (deviceId) {
+      config.headers['X-Device-Id'] = deviceId;
+    }
     return config;
   },
   (error) => {
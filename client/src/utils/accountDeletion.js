@@ -0,0 +1,102 @@
+/**
+ * Account Deletion
+ * Deletes the account on the server, then erases this browser's copy of the
+ * user's keys and history. Once the private keys in InfosecCryptoDB are gone,
+ * ciphertext that was sent to this identity can no longer be decrypted
+ * (cryptographic erasure); the server has already dropped the public keys.
+ */
+
+import { logAccountDeletionRequested, syncCriticalEventsToServer } from './clientLogger.js';
+
+const DB_NAME = 'InfosecCryptoDB';
+const DEVICE_ID_STORAGE_PREFIX = 'deviceId:';
+
+/**
+ * Loads the API client lazily (keeps this module importable outside the app bundle)
+ * @returns {Promise<Object>} Axios instance
+ */
+async function getApi() {
+  return (await import('../services/api.js')).default;
+}
+
+/**
+ * Erases all local key material and history for a user
+ * Every object store of the crypto database is emptied in one transaction,
+ * including data of other accounts that signed in on this browser.
+ * The database itself is kept: other modules hold open connections, and a
+ * pending deleteDatabase would block them until the page is closed.
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<string>>} Names of the cleared stores
+ */
+export async function wipeLocalCryptoData(userId) {
+  const db = await new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  let cleared = [];
+  try {
+    const storeNames = Array.from(db.objectStoreNames);
+    if (storeNames.length > 0) {
+      const transaction = db.transaction(storeNames, 'readwrite');
+      for (const name of storeNames) {
+        transaction.objectStore(name).clear();
+      }
+      await new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+      });
+      cleared = storeNames;
+    }
+  } finally {
+    db.close();
+  }
+
+  if (userId) {
+    localStorage.removeItem(`${DEVICE_ID_STORAGE_PREFIX}${userId}`);
+  }
+
+  console.log(`[AccountDeletion] Wiped ${DB_NAME} (${cleared.length} stores)`);
+  return cleared;
+}
+
+/**
+ * Deletes the user's account and wipes this browser's crypto database
+ * The deletion is logged and uploaded to the server audit trail first, while
+ * the account can still submit logs. Nothing local is touched if the server
+ * rejects the request (e.g. wrong password).
+ * @param {string} userId - User ID
+ * @param {string} password - Current password (re-authentication)
+ * @returns {Promise<{wiped: boolean}>} Whether local data was wiped
+ * @throws {Error} If the server did not delete the account
+ */
+export async function deleteAccount(userId, password) {
+  const api = await getApi();
+
+  await logAccountDeletionRequested(userId);
+  try {
+    await syncCriticalEventsToServer(async (logs) => {
+      const response = await api.post('/logs/client', { logs });
+      if (!response.data?.success) {
+        throw new Error(response.data?.message || response.data?.error || 'Failed to upload security logs');
+      }
+    }, { userId });
+  } catch (error) {
+    console.warn('[AccountDeletion] Could not upload security logs before deletion:', error.message);
+  }
+
+  const response = await api.delete('/auth/account', { data: { password } });
+  if (!response.data?.success) {
+    throw new Error(response.data?.message || response.data?.error || 'Failed to delete account');
+  }
+
+  try {
+    await wipeLocalCryptoData(userId);
+    return { wiped: true };
+  } catch (error) {
+    console.error('[AccountDeletion] Account deleted but local data could not be wiped:', error);
+    return { wiped: false };
+  }
+}
@@ -11,8 +11,10 @@
  */
 
 const DB_NAME = 'InfosecCryptoDB';
-const DB_VERSION = 7; // Must match the highest version used by any module
+const DB_VERSION = 11; // Must match the highest version used by any module
 const CLIENT_LOGS_STORE = 'clientLogs';
+const SYNC_BATCH_SIZE = 100; // Matches the server's per-request limit (POST /api/logs/client)
+const SYNC_INTERVAL = 60 * 1000; // Background sync every minute
 
 /**
  * Ensures the clientLogs store exists in the database
@@ -129,6 +131,22 @@ async function openDB() {
         queueStore.createIndex('sessionId', 'sessionId', { unique: false });
         queueStore.createIndex('timestamp', 'timestamp', { unique: false });
       }
+      if (!db.objectStoreNames.contains('preKeys')) {
+        const preKeyStore = db.createObjectStore('preKeys', { keyPath: 'id' });
+        preKeyStore.createIndex('userId', 'userId', { unique: false });
+      }
+      if (!db.objectStoreNames.contains('contacts')) {
+        const contactStore = db.createObjectStore('contacts', { keyPath: 'id' });
+        contactStore.createIndex('userId', 'userId', { unique: false });
+      }
+      if (!db.objectStoreNames.contains('senderKeys')) {
+        const senderKeyStore = db.createObjectStore('senderKeys', { keyPath: 'id' });
+        senderKeyStore.createIndex('groupId', 'groupId', { unique: false });
+      }
+      if (!db.objectStoreNames.contains('searchIndex')) {
+        const searchIndexStore = db.createObjectStore('searchIndex', { keyPath: 'id' });
+        searchIndexStore.createIndex('userId', 'userId', { unique: false });
+      }
     };
   });
 }
@@ -324,66 +342,128 @@ export async function clearLogs(options = {}) {
   }
 }
 
+/**
+ * Marks log entries as synced
+ * @param {Array<number>} ids - Log entry IDs
+ * @returns {Promise<void>}
+ */
+async function markLogsSynced(ids) {
+  const db = await openDB();
+  const transaction = db.transaction([CLIENT_LOGS_STORE], 'readwrite');
+  const store = transaction.objectStore(CLIENT_LOGS_STORE);
+
+  for (const id of ids) {
+    const log = await new Promise((resolve, reject) => {
+      const request = store.get(id);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    if (!log) continue;
+
+    log.synced = true;
+    await new Promise((resolve, reject) => {
+      const request = store.put(log);
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+}
+
 /**
  * Syncs critical security events to server
- * Only syncs events that haven't been synced yet
- * @param {Function} apiCall - Function to make API call to server (should accept array of log entries)
+ * Only syncs events that haven't been synced yet, in batches of at most
+ * SYNC_BATCH_SIZE (the server's per-request limit). Each batch is marked
+ * synced only after the server accepted it; the server attributes events to
+ * the authenticated user, so only our own (or unattributed) events are sent.
+ * @param {Function} apiCall - Function to make API call to server (should accept array of log entries and throw on failure)
+ * @param {Object} [options] - Sync options
+ * @param {string} [options.userId] - Only sync events logged for this user (or for no user)
  * @returns {Promise<number>} Number of events synced
  */
-export async function syncCriticalEventsToServer(apiCall) {
+export async function syncCriticalEventsToServer(apiCall, options = {}) {
   try {
-    // Get all unsynced logs
+    // Get all unsynced logs (booleans are not valid IndexedDB keys, so the synced index cannot be queried)
     const db = await openDB();
-    const transaction = db.transaction([CLIENT_LOGS_STORE], 'readwrite');
+    const transaction = db.transaction([CLIENT_LOGS_STORE], 'readonly');
     const store = transaction.objectStore(CLIENT_LOGS_STORE);
-    const index = store.index('synced');
 
-    const unsyncedLogs = await new Promise((resolve, reject) => {
-      const request = index.getAll(false); // Get all where synced === false
+    const allLogs = await new Promise((resolve, reject) => {
+      const request = store.getAll();
       request.onsuccess = () => resolve(request.result || []);
       request.onerror = () => reject(request.error);
     });
 
+    const unsyncedLogs = allLogs.filter(log =>
+      log.synced === false && (!options.userId || !log.userId || log.userId === options.userId)
+    );
+
     if (unsyncedLogs.length === 0) {
       return 0;
     }
 
-    // Prepare logs for server (remove IndexedDB-specific fields)
-    const logsToSync = unsyncedLogs.map(log => ({
-      timestamp: log.timestamp,
-      userId: log.userId,
-      sessionId: log.sessionId,
-      event: log.event,
-      metadata: log.metadata
-    }));
-
-    // Send to server
-    try {
-      await apiCall(logsToSync);
+    let synced = 0;
+    for (let offset = 0; offset < unsyncedLogs.length; offset += SYNC_BATCH_SIZE) {
+      const batch = unsyncedLogs.slice(offset, offset + SYNC_BATCH_SIZE);
 
-      // Mark as synced
-      for (const log of unsyncedLogs) {
-        log.synced = true;
-        await new Promise((resolve, reject) => {
-          const request = store.put(log);
-          request.onsuccess = () => resolve();
-          request.onerror = () => reject(request.error);
-        });
-      }
+      // Prepare logs for server (remove IndexedDB-specific fields)
+      const logsToSync = batch.map(log => ({
+        timestamp: log.timestamp,
+        userId: log.userId,
+        sessionId: log.sessionId,
+        event: log.event,
+        metadata: log.metadata
+      }));
 
-      console.log(`[ClientLogger] Synced ${logsToSync.length} events to server`);
-      return logsToSync.length;
-    } catch (error) {
-      console.error('[ClientLogger] Failed to sync events to server:', error);
-      // Don't mark as synced if sync failed
-      throw error;
+      // Send to server; don't mark as synced if sync failed
+      await apiCall(logsToSync);
+      await markLogsSynced(batch.map(log => log.id));
+      synced += batch.length;
     }
+
+    console.log(`[ClientLogger] Synced ${synced} events to server`);
+    return synced;
   } catch (error) {
     console.error('[ClientLogger] Failed to sync critical events:', error);
     throw error;
   }
 }
 
+/**
+ * Periodically syncs security events to the server in the background
+ * A sync runs immediately and then every interval; a sync that is still
+ * running when the next one is due is not overlapped. Failures are retried
+ * on the next run.
+ * @param {Function} apiCall - Function to make API call to server (see syncCriticalEventsToServer)
+ * @param {Object} [options] - Sync options
+ * @param {string} [options.userId] - Only sync events logged for this user (or for no user)
+ * @param {number} [options.interval] - Time between syncs (ms)
+ * @returns {Function} Stops the background sync
+ */
+export function startClientLogSync(apiCall, { userId, interval = SYNC_INTERVAL } = {}) {
+  let running = false;
+  let stopped = false;
+
+  const run = async () => {
+    if (running || stopped) return;
+    running = true;
+    try {
+      await syncCriticalEventsToServer(apiCall, { userId });
+    } catch (error) {
+      console.warn('[ClientLogger] Background sync failed, will retry:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, interval);
+
+  return () => {
+    stopped = true;
+    clearInterval(timer);
+  };
+}
+
 /**
  * Convenience functions for specific event types
  */
@@ -496,3 +576,54 @@ export async function logMITMDemonstration(sessionId, scenario, attackSuccessful
   });
 }
 
+
+/**
+ * Logs a change of a contact's pinned identity key
+ * @param {string} peerId - Contact whose key changed
+ * @param {string} previousKeyHash - Pinned key hash
+ * @param {string} newKeyHash - Key hash now served for the contact
+ * @param {boolean} wasVerified - Whether the pinned key had been verified
+ * @param {string} [userId] - User ID
+ */
+export async function logIdentityKeyChanged(peerId, previousKeyHash, newKeyHash, wasVerified, userId = null) {
+  return logSecurityEvent('identity_key_changed', {
+    userId,
+    reason: `Identity key of contact ${peerId} changed`,
+    additional: {
+      peerId,
+      previousKeyHash,
+      newKeyHash,
+      wasVerified
+    }
+  });
+}
+
+/**
+ * Logs a contact device whose approval does not lead back to the pinned device
+ * @param {string} peerId - Contact the device belongs to
+ * @param {string} deviceId - Unapproved device
+ * @param {boolean} wasVerified - Whether the contact is verified (the device is refused)
+ * @param {string} [userId] - User ID
+ */
+export async function logUnapprovedDevice(peerId, deviceId, wasVerified, userId = null) {
+  return logSecurityEvent('device_not_approved', {
+    userId,
+    reason: `Device ${deviceId} of contact ${peerId} has no valid approval`,
+    additional: {
+      peerId,
+      deviceId,
+      wasVerified
+    }
+  });
+}
+
+/**
+ * Logs that the user asked to delete their account
+ * @param {string} userId - User ID
+ */
+export async function logAccountDeletionRequested(userId) {
+  return logSecurityEvent('account_deletion_requested', {
+    userId,
+    reason: 'User requested permanent account deletion'
+  });
+}
@@ -0,0 +1,313 @@
+/**
+ * Contact Verification Storage
+ *
+ * Persists per-contact identity key state in IndexedDB.
+ * The first identity key seen for a contact is pinned (trust on first use).
+ * A contact becomes "verified" once the user has compared safety numbers
+ * (see crypto/safetyNumbers.js). If the key served for a contact later
+ * differs from the pinned one, the contact is reported as "changed" until
+ * the user re-verifies or explicitly accepts the new key.
+ */
+
+import { getIdentityKeyHash } from '../crypto/safetyNumbers.js';
+import { logIdentityKeyChanged, logUnapprovedDevice } from './clientLogger.js';
+
+const DB_NAME = 'InfosecCryptoDB';
+const DB_VERSION = 11; // Must match the highest version used by any module
+const CONTACTS_STORE = 'contacts';
+
+/**
+ * Contact verification states
+ */
+export const CONTACT_STATUS = {
+  UNVERIFIED: 'unverified',
+  VERIFIED: 'verified',
+  CHANGED: 'changed'
+};
+
+/**
+ * Opens IndexedDB database
+ * @returns {Promise<IDBDatabase>}
+ */
+async function openDB() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result);
+
+    request.onupgradeneeded = (event) => {
+      const db = event.target.result;
+      // Create contacts store if it doesn't exist
+      if (!db.objectStoreNames.contains(CONTACTS_STORE)) {
+        const contactStore = db.createObjectStore(CONTACTS_STORE, { keyPath: 'id' });
+        contactStore.createIndex('userId', 'userId', { unique: false });
+      }
+      if (!db.objectStoreNames.contains('senderKeys')) {
+        const senderKeyStore = db.createObjectStore('senderKeys', { keyPath: 'id' });
+        senderKeyStore.createIndex('groupId', 'groupId', { unique: false });
+      }
+      if (!db.objectStoreNames.contains('searchIndex')) {
+        const searchIndexStore = db.createObjectStore('searchIndex', { keyPath: 'id' });
+        searchIndexStore.createIndex('userId', 'userId', { unique: false });
+      }
+      // Also ensure other common stores exist (for backward compatibility)
+      if (!db.objectStoreNames.contains('identityKeys')) {
+        db.createObjectStore('identityKeys', { keyPath: 'userId' });
+      }
+      if (!db.objectStoreNames.contains('sessions')) {
+        db.createObjectStore('sessions', { keyPath: 'sessionId' });
+      }
+      if (!db.objectStoreNames.contains('sessionEncryptionKeys')) {
+        db.createObjectStore('sessionEncryptionKeys', { keyPath: 'userId' });
+      }
+      if (!db.objectStoreNames.contains('messages')) {
+        const msgStore = db.createObjectStore('messages', { keyPath: 'id' });
+        msgStore.createIndex('sessionId', 'sessionId', { unique: false });
+        msgStore.createIndex('timestamp', 'timestamp', { unique: false });
+        msgStore.createIndex('seq', 'seq', { unique: false });
+      }
+      if (!db.objectStoreNames.contains('clientLogs')) {
+        const logStore = db.createObjectStore('clientLogs', {
+          keyPath: 'id',
+          autoIncrement: true
+        });
+        logStore.createIndex('timestamp', 'timestamp', { unique: false });
+        logStore.createIndex('userId', 'userId', { unique: false });
+        logStore.createIndex('sessionId', 'sessionId', { unique: false });
+        logStore.createIndex('event', 'event', { unique: false });
+        logStore.createIndex('synced', 'synced', { unique: false });
+      }
+      if (!db.objectStoreNames.contains('messageQueue')) {
+        const queueStore = db.createObjectStore('messageQueue', { keyPath: 'id', autoIncrement: true });
+        queueStore.createIndex('sessionId', 'sessionId', { unique: false });
+        queueStore.createIndex('timestamp', 'timestamp', { unique: false });
+      }
+      if (!db.objectStoreNames.contains('preKeys')) {
+        const preKeyStore = db.createObjectStore('preKeys', { keyPath: 'id' });
+        preKeyStore.createIndex('userId', 'userId', { unique: false });
+      }
+    };
+  });
+}
+
+/**
+ * Builds the storage key for a contact record
+ * @param {string} userId - Our user ID
+ * @param {string} peerId - Contact user ID
+ * @returns {string}
+ */
+function contactRecordId(userId, peerId) {
+  return `${userId}:${peerId}`;
+}
+
+/**
+ * Writes a contact record
+ * @param {Object} record - Contact record
+ * @returns {Promise<void>}
+ */
+async function putContact(record) {
+  const db = await openDB();
+  const transaction = db.transaction([CONTACTS_STORE], 'readwrite');
+  const store = transaction.objectStore(CONTACTS_STORE);
+
+  await new Promise((resolve, reject) => {
+    const request = store.put(record);
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Loads a contact record
+ * @param {string} userId - Our user ID
+ * @param {string} peerId - Contact user ID
+ * @returns {Promise<Object|null>} Contact record or null
+ */
+export async function getContact(userId, peerId) {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([CONTACTS_STORE], 'readonly');
+    const store = transaction.objectStore(CONTACTS_STORE);
+
+    const record = await new Promise((resolve, reject) => {
+      const request = store.get(contactRecordId(userId, peerId));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    return record || null;
+  } catch (error) {
+    throw new Error(`Failed to load contact: ${error.message}`);
+  }
+}
+
+/**
+ * Marks a contact as verified for the given identity key
+ * @param {string} userId - Our user ID
+ * @param {string} peerId - Contact user ID
+ * @param {Object} peerPublicKeyJWK - Identity key whose safety number was compared
+ * @returns {Promise<Object>} Updated contact record
+ */
+export async function markContactVerified(userId, peerId, peerPublicKeyJWK) {
+  try {
+    const now = new Date().toISOString();
+    const existing = await getContact(userId, peerId);
+    const record = {
+      id: contactRecordId(userId, peerId),
+      userId,
+      peerId,
+      createdAt: existing?.createdAt || now,
+      identityKeyHash: await getIdentityKeyHash(peerPublicKeyJWK),
+      changedKeyHash: null,
+      verified: true,
+      verifiedAt: now,
+      updatedAt: now
+    };
+    await putContact(record);
+    return record;
+  } catch (error) {
+    throw new Error(`Failed to mark contact verified: ${error.message}`);
+  }
+}
+
+/**
+ * Clears verification for a contact, recording the current identity key
+ * Used both to un-verify and to accept a changed key (user must re-verify).
+ * @param {string} userId - Our user ID
+ * @param {string} peerId - Contact user ID
+ * @param {Object} peerPublicKeyJWK - Current identity key
+ * @returns {Promise<Object>} Updated contact record
+ */
+export async function clearContactVerification(userId, peerId, peerPublicKeyJWK) {
+  try {
+    const now = new Date().toISOString();
+    const existing = await getContact(userId, peerId);
+    const record = {
+      id: contactRecordId(userId, peerId),
+      userId,
+      peerId,
+      createdAt: existing?.createdAt || now,
+      identityKeyHash: await getIdentityKeyHash(peerPublicKeyJWK),
+      changedKeyHash: null,
+      verified: false,
+      verifiedAt: null,
+      updatedAt: now
+    };
+    await putContact(record);
+    return record;
+  } catch (error) {
+    throw new Error(`Failed to clear contact verification: ${error.message}`);
+  }
+}
+
+/**
+ * Checks a contact's current identity key against the persisted state
+ * @param {string} userId - Our user ID
+ * @param {string} peerId - Contact user ID
+ * @param {Object} peerPublicKeyJWK - Identity key returned by the server
+ * @returns {Promise<{status: string, contact: Object|null}>} status is one of CONTACT_STATUS
+ */
+export async function checkContactIdentityKey(userId, peerId, peerPublicKeyJWK) {
+  const contact = await getContact(userId, peerId);
+  if (!contact?.identityKeyHash) {
+    return { status: CONTACT_STATUS.UNVERIFIED, contact };
+  }
+
+  const keyHash = await getIdentityKeyHash(peerPublicKeyJWK);
+  if (keyHash !== contact.identityKeyHash) {
+    return { status: CONTACT_STATUS.CHANGED, contact };
+  }
+  return { status: contact.verified ? CONTACT_STATUS.VERIFIED : CONTACT_STATUS.UNVERIFIED, contact };
+}
+
+/**
+ * Compares a contact's identity key with the pinned one, pinning it on first sight
+ * Called on every identity key fetch and KEP message. A change is logged as
+ * an 'identity_key_changed' security event once per new key.
+ * @param {string} userId - Our user ID
+ * @param {string} peerId - Contact user ID
+ * @param {Object} peerPublicKeyJWK - Identity key returned by the server
+ * @returns {Promise<{status: string, contact: Object, firstSeen: boolean}>}
+ */
+export async function pinContactIdentityKey(userId, peerId, peerPublicKeyJWK) {
+  try {
+    const { status, contact } = await checkContactIdentityKey(userId, peerId, peerPublicKeyJWK);
+
+    if (!contact?.identityKeyHash) {
+      const now = new Date().toISOString();
+      const record = {
+        id: contactRecordId(userId, peerId),
+        userId,
+        peerId,
+        createdAt: contact?.createdAt || now,
+        identityKeyHash: await getIdentityKeyHash(peerPublicKeyJWK),
+        changedKeyHash: null,
+        verified: false,
+        verifiedAt: null,
+        updatedAt: now
+      };
+      await putContact(record);
+      return { status, contact: record, firstSeen: true };
+    }
+
+    if (status === CONTACT_STATUS.CHANGED) {
+      const newKeyHash = await getIdentityKeyHash(peerPublicKeyJWK);
+      if (contact.changedKeyHash !== newKeyHash) {
+        // Keep the pinned hash until the user accepts; remember which key we alerted on
+        const record = { ...contact, changedKeyHash: newKeyHash, updatedAt: new Date().toISOString() };
+        await putContact(record);
+        await logIdentityKeyChanged(peerId, contact.identityKeyHash, newKeyHash, !!contact.verified, userId);
+        return { status, contact: record, firstSeen: false };
+      }
+    }
+
+    return { status, contact, firstSeen: false };
+  } catch (error) {
+    throw new Error(`Failed to pin contact identity key: ${error.message}`);
+  }
+}
+
+/**
+ * Pins the key on first sight and throws if a verified contact's key changed
+ * Session setup calls this before trusting a key fetched from the server.
+ * Changes to unverified (TOFU-pinned) keys are only logged; the chat warns
+ * before sending to them.
+ * @param {string} userId - Our user ID
+ * @param {string} peerId - Contact user ID
+ * @param {Object} peerPublicKeyJWK - Identity key returned by the server
+ * @returns {Promise<void>}
+ * @throws {Error} With code 'IDENTITY_KEY_CHANGED'
+ */
+export async function assertContactIdentityKeyUnchanged(userId, peerId, peerPublicKeyJWK) {
+  const { status, contact } = await pinContactIdentityKey(userId, peerId, peerPublicKeyJWK);
+  if (status === CONTACT_STATUS.CHANGED && contact.verified) {
+    const error = new Error('Safety number changed: the identity key of this verified contact is different. Verify the new safety number before continuing.');
+    error.code = 'IDENTITY_KEY_CHANGED';
+    throw error;
+  }
+}
+
+/**
+ * Applies the same policy to a contact's other devices, which are trusted
+ * through approvals leading back to the pinned key
+ * The safety number only covers the pinned key, so a verified contact's
+ * unapproved device is refused; for unverified contacts it is only logged.
+ * @param {string} userId - Our user ID
+ * @param {string} peerId - Contact user ID
+ * @param {string} deviceId - Contact device
+ * @param {boolean} approved - Whether the device's approvals were verified
+ * @returns {Promise<void>}
+ * @throws {Error} With code 'DEVICE_NOT_APPROVED'
+ */
+export async function assertContactDeviceApproved(userId, peerId, deviceId, approved) {
+  if (approved) return;
+
+  const contact = await getContact(userId, peerId);
+  await logUnapprovedDevice(peerId, deviceId, !!contact?.verified, userId);
+  if (contact?.verified) {
+    const error = new Error(`Device ${deviceId} of this verified contact was not approved by their verified device.`);
+    error.code = 'DEVICE_NOT_APPROVED';
+    throw error;
+  }
+}
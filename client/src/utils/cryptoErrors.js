@@ -27,6 +27,42 @@ export function getCryptoErrorMessage(error, operation = 'operation') {
     };
   }
   
+  // Verified contact's identity key changed (possible MITM)
+  if (error.code === 'IDENTITY_KEY_CHANGED' || (error.message && error.message.includes('Safety number changed'))) {
+    return {
+      userMessage: 'The safety number with this contact has changed. Verify their new safety number before sending messages.',
+      technicalMessage: technicalMessage,
+      errorType: 'IDENTITY_KEY_CHANGED'
+    };
+  }
+  
+  // Device of a verified contact that their verified device did not approve
+  if (error.code === 'DEVICE_NOT_APPROVED') {
+    return {
+      userMessage: 'One of this contact\'s devices was not approved by the device you verified. Messages will not be sent to it until they link it again.',
+      technicalMessage: technicalMessage,
+      errorType: 'DEVICE_NOT_APPROVED'
+    };
+  }
+  
+  // Fetched identity key not provable from the key transparency log
+  if (error.code === 'KEY_TRANSPARENCY_FAILED' || (error.message && error.message.includes('Key transparency check failed'))) {
+    return {
+      userMessage: 'This contact\'s key could not be verified against the public key log. Do not continue the conversation until this is resolved.',
+      technicalMessage: technicalMessage,
+      errorType: 'KEY_TRANSPARENCY_FAILED'
+    };
+  }
+  
+  // Group message from a member whose sender key has not arrived yet
+  if (error.code === 'SENDER_KEY_MISSING') {
+    return {
+      userMessage: 'This group message cannot be decrypted yet because the sender\'s key has not arrived. It will be readable once they send their key.',
+      technicalMessage: technicalMessage,
+      errorType: 'SENDER_KEY_MISSING'
+    };
+  }
+  
   // Key-related errors
   if (error.message && (
     error.message.includes('key') ||
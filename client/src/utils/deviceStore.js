@@ -0,0 +1,95 @@
+/**
+ * Device Store
+ * Identifies this browser as one of the user's devices.
+ * The device ID is persisted per user in localStorage and kept in memory so
+ * axios interceptors (X-Device-Id) and socket connections can send it.
+ */
+
+/**
+ * Device ID of a browser that held the user's identity key before devices
+ * existed (matches the server's default device)
+ */
+export const DEFAULT_DEVICE_ID = 'primary';
+
+const DEVICE_ID_STORAGE_PREFIX = 'deviceId:';
+
+let currentDeviceId = null;
+
+/**
+ * Generates a new random device ID
+ * @returns {string} 32 hex characters
+ */
+function generateDeviceId() {
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Selects this browser's device ID for a user and makes it current
+ * A browser that already stores the user's identity key keeps acting as the
+ * default device, so accounts created before devices existed keep working.
+ * @param {string} userId - User ID
+ * @returns {Promise<string>} Device ID
+ */
+export async function initializeDeviceId(userId) {
+  const storageKey = `${DEVICE_ID_STORAGE_PREFIX}${userId}`;
+  let deviceId = localStorage.getItem(storageKey);
+
+  if (!deviceId) {
+    const { hasIdentityKey } = await import('../crypto/identityKeys.js');
+    deviceId = (await hasIdentityKey(userId)) ? DEFAULT_DEVICE_ID : generateDeviceId();
+    localStorage.setItem(storageKey, deviceId);
+  }
+
+  currentDeviceId = deviceId;
+  return deviceId;
+}
+
+/**
+ * Makes a restored device ID current (restoring a backup also restores which device this browser is)
+ * @param {string} userId - User ID
+ * @param {string} deviceId - Device ID from the backup
+ */
+export function restoreDeviceId(userId, deviceId) {
+  localStorage.setItem(`${DEVICE_ID_STORAGE_PREFIX}${userId}`, deviceId);
+  currentDeviceId = deviceId;
+}
+
+/**
+ * Gets the current device ID
+ * @returns {string|null} Device ID, or null before login
+ */
+export function getDeviceId() {
+  return currentDeviceId;
+}
+
+/**
+ * Clears the current device ID (the stored ID is kept for the next login)
+ */
+export function clearDeviceId() {
+  currentDeviceId = null;
+}
+
+/**
+ * Describes this browser for the device list (e.g. "Firefox on Linux")
+ * @returns {string} Device name
+ */
+export function getDeviceName() {
+  const userAgent = typeof navigator !== 'undefined' ? navigator.userAgent : '';
+  const browser = [
+    ['Edg/', 'Edge'],
+    ['Firefox/', 'Firefox'],
+    ['Chrome/', 'Chrome'],
+    ['Safari/', 'Safari']
+  ].find(([token]) => userAgent.includes(token))?.[1] || 'Browser';
+  const os = [
+    ['Android', 'Android'],
+    ['iPhone', 'iOS'],
+    ['iPad', 'iOS'],
+    ['Windows', 'Windows'],
+    ['Mac OS', 'macOS'],
+    ['Linux', 'Linux']
+  ].find(([token]) => userAgent.includes(token))?.[1];
+
+  return os ? `${browser} on ${os}` : browser;
+}
@@ -0,0 +1,279 @@
+/**
+ * Offline Mailbox
+ *
+ * Drains the envelopes the server held for this device while it was offline.
+ * Draining runs for as long as the user is signed in (useMailbox), over a
+ * mailbox-only connection the server never routes live envelopes to, so it
+ * does not depend on a chat being open.
+ *
+ * Each envelope is dispatched by its session: the chat open for that
+ * conversation handles it through the handler it registered
+ * (registerMailboxHandler); otherwise it is decrypted and stored here. File
+ * transfers are only reassembled by an open chat, so they wait in the mailbox
+ * until one is opened.
+ *
+ * An envelope is acknowledged, and so deleted by the server, only once it was
+ * stored or can never be processed. Envelopes that may succeed later (no
+ * session or sender key yet, storage locked, a file with no chat open) are
+ * left for the next drain, which starts again at the oldest entry.
+ */
+
+import { handleIncomingMessage, acceptDisappearingTimer, acceptMessageAction, sendReceipt, MAILBOX_MAX_AGE } from '../crypto/messageFlow.js';
+import { loadSession } from '../crypto/sessionManager.js';
+import { unsealEnvelope } from '../crypto/sealedSender.js';
+import { RECEIPT_KIND, RECEIPT_DELIVERED, applyReceipt, createReceiptBatcher } from '../crypto/receipts.js';
+import { TIMER_KIND, getExpiresAt, isExpired } from '../crypto/disappearingMessages.js';
+import { MESSAGE_ACTION_KIND } from '../crypto/messageActions.js';
+import { storeMessage } from './messageStorage.js';
+import { indexMessage } from './messageSearch.js';
+
+/**
+ * How often envelopes left for a retry are fetched again (1 minute)
+ */
+export const MAILBOX_RETRY_INTERVAL = 60000;
+
+const FILE_TYPES = ['FILE_META', 'FILE_CHUNK'];
+
+const handlers = new Map(); // conversation ID -> handler of the open chat
+let requestDrain = null; // Starts a drain on the running mailbox connection
+
+/**
+ * Registers the open chat's handler for mailbox envelopes of its conversation
+ * @param {string} conversationId - Conversation (session or group ID)
+ * @param {Function} handler - async (envelope, options) => boolean: whether the envelope may be acknowledged
+ * @returns {Function} Unregisters the handler
+ */
+export function registerMailboxHandler(conversationId, handler) {
+  handlers.set(conversationId, handler);
+  // File transfers left for this chat can be delivered now
+  requestDrain?.();
+
+  return () => {
+    if (handlers.get(conversationId) === handler) {
+      handlers.delete(conversationId);
+    }
+  };
+}
+
+/**
+ * Whether a result of handleIncomingMessage lets the mailbox entry go
+ * @param {Object} result - Result of handleIncomingMessage
+ * @returns {boolean} False if the envelope may still be processed later
+ */
+export function isMailboxEntryDone(result) {
+  return result.valid || !result.retryable;
+}
+
+/**
+ * Builds the stored form of a received text message
+ * @param {Object} envelope - MSG envelope
+ * @param {Object} result - Valid result of handleIncomingMessage
+ * @returns {Object} Message
+ */
+export function buildReceivedMessage(envelope, result) {
+  const message = {
+    // Group seq numbers are per sender
+    id: envelope.groupId
+      ? `${envelope.sessionId}-${envelope.sender}-${envelope.seq}`
+      : `${envelope.sessionId}-${envelope.seq}`,
+    type: 'text',
+    content: result.plaintext,
+    sender: envelope.sender,
+    timestamp: envelope.timestamp,
+    seq: envelope.seq
+  };
+  if (result.replyTo) {
+    message.replyTo = result.replyTo;
+  }
+
+  // Pairwise messages are acknowledged on the session they arrived on
+  if (!envelope.groupId) {
+    message.receivedOn = envelope.sessionId;
+    message.status = RECEIPT_DELIVERED;
+  }
+
+  // Disappearing messages expire with our agreed timer, counted from the envelope timestamp
+  if (result.expiresIn) {
+    message.expiresAt = getExpiresAt(envelope.timestamp, result.expiresIn);
+  }
+  return message;
+}
+
+/**
+ * Finds the open chat an envelope belongs to
+ * @param {Object} envelope - Unsealed envelope
+ * @param {string} userId - Our user ID
+ * @returns {Promise<Function|undefined>} Handler of the chat
+ */
+async function findHandler(envelope, userId) {
+  if (envelope?.groupId) {
+    return handlers.get(envelope.groupId);
+  }
+  if (typeof envelope?.sessionId !== 'string') {
+    return undefined;
+  }
+  if (handlers.has(envelope.sessionId)) {
+    return handlers.get(envelope.sessionId);
+  }
+  // Sessions with a peer's other devices belong to the conversation they were opened from
+  const session = await loadSession(envelope.sessionId, userId);
+  return session?.conversationId ? handlers.get(session.conversationId) : undefined;
+}
+
+/**
+ * Decrypts a mailbox envelope no chat is open for and stores what it carries
+ * @param {Object} envelope - Unsealed envelope
+ * @param {string} userId - Our user ID
+ * @param {Object} options
+ * @param {Function} [options.onDelivered] - (sessionId, seq) => void, for pairwise text messages stored
+ * @returns {Promise<boolean>} Whether the envelope may be acknowledged
+ */
+export async function storeMailboxEnvelope(envelope, userId, { onDelivered } = {}) {
+  if (FILE_TYPES.includes(envelope?.type)) {
+    return false;
+  }
+
+  // Group envelopes have no session record to take our user ID from
+  const result = await handleIncomingMessage(envelope, envelope?.groupId ? userId : null, { maxAge: MAILBOX_MAX_AGE });
+  if (!result.valid) {
+    console.warn('Mailbox envelope not processed:', result.technicalError || result.error);
+    return isMailboxEntryDone(result);
+  }
+
+  if (result.control === RECEIPT_KIND) {
+    await applyReceipt(result.conversationId, envelope.sessionId, result.receipt);
+    return true;
+  }
+
+  // Rejected timer changes and message actions cannot become valid later
+  if (result.control === TIMER_KIND) {
+    await acceptDisappearingTimer(result, userId)
+      .catch(error => console.error('Rejected disappearing message timer:', error.message));
+    return true;
+  }
+  if (result.control === MESSAGE_ACTION_KIND) {
+    await acceptMessageAction(result, userId)
+      .catch(error => console.error('Rejected message action:', error.message));
+    return true;
+  }
+  if (result.control) {
+    // Key material (e.g. a sender key distribution), already applied
+    return true;
+  }
+
+  const message = buildReceivedMessage(envelope, result);
+  if (isExpired(message)) {
+    // Held in the mailbox until after it disappeared
+    return true;
+  }
+
+  // Sessions with a peer's other devices share one conversation
+  const conversationId = result.conversationId || envelope.sessionId;
+  await storeMessage(conversationId, message, userId);
+  await indexMessage(userId, conversationId, message);
+  if (!envelope.groupId) {
+    onDelivered?.(envelope.sessionId, envelope.seq);
+  }
+  return true;
+}
+
+/**
+ * Processes one batch delivered by the server
+ * @param {Array<{messageId: string, envelope: Object}>} messages - Mailbox entries
+ * @param {string} userId - Our user ID
+ * @param {Object} options - See storeMailboxEnvelope
+ * @returns {Promise<Array<string>>} IDs of the entries to acknowledge
+ */
+export async function receiveMailboxBatch(messages, userId, options = {}) {
+  const acknowledged = [];
+
+  for (const { messageId, envelope: delivered } of messages) {
+    try {
+      // Sealed-sender envelopes name their session only inside the sealed payload
+      const envelope = delivered?.type === 'SEALED'
+        ? await unsealEnvelope(delivered, userId)
+        : delivered;
+
+      const handler = await findHandler(envelope, userId);
+      const done = handler
+        ? await handler(envelope, { maxAge: MAILBOX_MAX_AGE })
+        : await storeMailboxEnvelope(envelope, userId, options);
+      if (done) {
+        acknowledged.push(messageId);
+      }
+    } catch (error) {
+      // Left in the mailbox (e.g. storage locked) for the next drain
+      console.warn('Mailbox envelope left for a retry:', error.message);
+    }
+  }
+
+  return acknowledged;
+}
+
+/**
+ * Drains the mailbox over a connection, now and again after each retry interval
+ * @param {Object} socket - Socket.IO socket (mailbox-only connection)
+ * @param {string} userId - Our user ID
+ * @returns {Function} Stops draining
+ */
+export function startMailboxDrain(socket, userId) {
+  let drainStartedAt = null; // Set while a drain is in progress
+
+  // Delivery receipts for messages stored here (the open chat sends its own)
+  const receiptBatcher = createReceiptBatcher(async (sessionId, status, seqs) => {
+    if (!socket.connected) {
+      throw new Error('Socket not connected');
+    }
+    await sendReceipt(sessionId, status, seqs, (event, data) => socket.emit(event, data), userId);
+  });
+  const onDelivered = (sessionId, seq) => receiptBatcher.add(sessionId, RECEIPT_DELIVERED, seq);
+
+  const drain = () => {
+    // A drain whose batch never arrived (e.g. the server failed) is given up after one interval
+    const busy = drainStartedAt !== null && Date.now() - drainStartedAt < MAILBOX_RETRY_INTERVAL;
+    if (busy || !socket.connected) return;
+    drainStartedAt = Date.now();
+    socket.emit('mailbox:fetch');
+  };
+
+  const handleDelivery = async ({ messages = [], hasMore = false } = {}) => {
+    try {
+      const acknowledged = await receiveMailboxBatch(messages, userId, { onDelivered });
+      if (acknowledged.length > 0) {
+        socket.emit('mailbox:ack', { messageIds: acknowledged });
+      }
+
+      // Entries left for a retry stay at the front of the mailbox: continue behind this batch
+      if (hasMore && messages.length > 0 && socket.connected) {
+        drainStartedAt = Date.now();
+        socket.emit('mailbox:fetch', { after: messages[messages.length - 1].queuedAt });
+        return;
+      }
+    } catch (error) {
+      console.error('Failed to process mailbox batch:', error);
+    }
+    drainStartedAt = null;
+  };
+
+  const handleDisconnect = () => {
+    drainStartedAt = null;
+  };
+
+  socket.on('connect', drain);
+  socket.on('disconnect', handleDisconnect);
+  socket.on('mailbox:deliver', handleDelivery);
+  const interval = setInterval(drain, MAILBOX_RETRY_INTERVAL);
+  requestDrain = drain;
+  drain();
+
+  return () => {
+    clearInterval(interval);
+    socket.off('connect', drain);
+    socket.off('disconnect', handleDisconnect);
+    socket.off('mailbox:deliver', handleDelivery);
+    if (requestDrain === drain) {
+      requestDrain = null;
+    }
+    receiptBatcher.flush();
+  };
+}
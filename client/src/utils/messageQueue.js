@@ -1,12 +1,14 @@
 /**
  * Message Queue
  * 
- * Queues messages when offline and sends them when connection is restored
+ * Queues messages when offline and sends them when connection is restored.
+ * Envelopes of disappearing conversations (expiresIn) are dropped from the
+ * queue once their timer runs out, sent or not.
  */
 
 const QUEUE_STORE = 'messageQueue';
 const DB_NAME = 'InfosecCryptoDB';
-const DB_VERSION = 7;
+const DB_VERSION = 11;
 
 /**
  * Opens IndexedDB database
@@ -88,6 +90,22 @@ function ensureAllStores(db, transaction) {
     logStore.createIndex('event', 'event', { unique: false });
     logStore.createIndex('synced', 'synced', { unique: false });
   }
+  if (!db.objectStoreNames.contains('preKeys')) {
+    const preKeyStore = db.createObjectStore('preKeys', { keyPath: 'id' });
+    preKeyStore.createIndex('userId', 'userId', { unique: false });
+  }
+  if (!db.objectStoreNames.contains('contacts')) {
+    const contactStore = db.createObjectStore('contacts', { keyPath: 'id' });
+    contactStore.createIndex('userId', 'userId', { unique: false });
+  }
+  if (!db.objectStoreNames.contains('senderKeys')) {
+    const senderKeyStore = db.createObjectStore('senderKeys', { keyPath: 'id' });
+    senderKeyStore.createIndex('groupId', 'groupId', { unique: false });
+  }
+  if (!db.objectStoreNames.contains('searchIndex')) {
+    const searchIndexStore = db.createObjectStore('searchIndex', { keyPath: 'id' });
+    searchIndexStore.createIndex('userId', 'userId', { unique: false });
+  }
 }
 
 /**
@@ -116,6 +134,9 @@ export async function queueMessage(sessionId, envelope, type = 'text') {
       timestamp: Date.now(),
       attempts: 0
     };
+    if (envelope?.expiresIn) {
+      queuedMessage.expiresAt = envelope.timestamp + envelope.expiresIn * 1000;
+    }
 
     const id = await new Promise((resolve, reject) => {
       const request = store.add(queuedMessage);
@@ -130,6 +151,44 @@ export async function queueMessage(sessionId, envelope, type = 'text') {
   }
 }
 
+/**
+ * Checks whether a queued envelope outlived its disappearing timer
+ * @param {Object} queuedMessage - Queue entry
+ * @param {number} [now] - Current time (ms)
+ * @returns {boolean}
+ */
+function isExpired(queuedMessage, now = Date.now()) {
+  return !!queuedMessage.expiresAt && queuedMessage.expiresAt <= now;
+}
+
+/**
+ * Reads every queued row of a session, expired or not
+ * @param {IDBObjectStore} store - Queue store (in an open transaction)
+ * @param {string} sessionId - Session identifier
+ * @returns {Promise<Array>} Queued rows
+ */
+async function getSessionRows(store, sessionId) {
+  // Check if index exists
+  let index;
+  try {
+    index = store.index('sessionId');
+  } catch (e) {
+    // Index doesn't exist, use getAll and filter
+    const allMessages = await new Promise((resolve, reject) => {
+      const request = store.getAll();
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(request.error);
+    });
+    return allMessages.filter(msg => msg.sessionId === sessionId);
+  }
+
+  return await new Promise((resolve, reject) => {
+    const request = index.getAll(sessionId);
+    request.onsuccess = () => resolve(request.result || []);
+    request.onerror = () => reject(request.error);
+  });
+}
+
 /**
  * Gets all queued messages for a session
  * @param {string} sessionId - Session identifier
@@ -147,33 +206,12 @@ export async function getQueuedMessages(sessionId) {
     
     const transaction = db.transaction([QUEUE_STORE], 'readonly');
     const store = transaction.objectStore(QUEUE_STORE);
-    
-    // Check if index exists
-    let index;
-    try {
-      index = store.index('sessionId');
-    } catch (e) {
-      // Index doesn't exist, use getAll and filter
-      const allMessages = await new Promise((resolve, reject) => {
-        const request = store.getAll();
-        request.onsuccess = () => resolve(request.result || []);
-        request.onerror = () => reject(request.error);
-      });
-      
-      const filtered = allMessages.filter(msg => msg.sessionId === sessionId);
-      filtered.sort((a, b) => a.timestamp - b.timestamp);
-      return filtered;
-    }
-
-    const messages = await new Promise((resolve, reject) => {
-      const request = index.getAll(sessionId);
-      request.onsuccess = () => resolve(request.result || []);
-      request.onerror = () => reject(request.error);
-    });
+    const messages = await getSessionRows(store, sessionId);
 
     // Sort by timestamp (oldest first)
-    messages.sort((a, b) => a.timestamp - b.timestamp);
-    return messages;
+    const pending = messages.filter(msg => !isExpired(msg));
+    pending.sort((a, b) => a.timestamp - b.timestamp);
+    return pending;
   } catch (error) {
     console.error('Failed to get queued messages:', error);
     return [];
@@ -245,15 +283,69 @@ export async function incrementQueueAttempt(queueId) {
   }
 }
 
+/**
+ * Drops queued envelopes whose disappearing timer ran out
+ * @param {number} [now] - Current time (ms)
+ * @returns {Promise<number>} Number of dropped envelopes
+ */
+export async function purgeExpiredQueuedMessages(now = Date.now()) {
+  try {
+    const db = await openDB();
+    if (!db.objectStoreNames.contains(QUEUE_STORE)) {
+      return 0;
+    }
+
+    const transaction = db.transaction([QUEUE_STORE], 'readwrite');
+    const store = transaction.objectStore(QUEUE_STORE);
+
+    const messages = await new Promise((resolve, reject) => {
+      const request = store.getAll();
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(request.error);
+    });
+
+    const expired = messages.filter(msg => isExpired(msg, now));
+    await Promise.all(
+      expired.map(msg =>
+        new Promise((resolve, reject) => {
+          const request = store.delete(msg.id);
+          request.onsuccess = () => resolve();
+          request.onerror = () => reject(request.error);
+        })
+      )
+    );
+    return expired.length;
+  } catch (error) {
+    console.error('Failed to purge expired queued messages:', error);
+    return 0;
+  }
+}
+
 /**
  * Clears all queued messages for a session
+ * Expired rows are cleared too (getQueuedMessages hides them).
  * @param {string} sessionId - Session identifier
  * @returns {Promise<void>}
  */
 export async function clearQueue(sessionId) {
   try {
-    const messages = await getQueuedMessages(sessionId);
-    await Promise.all(messages.map(msg => removeQueuedMessage(msg.id)));
+    const db = await openDB();
+    if (!db.objectStoreNames.contains(QUEUE_STORE)) {
+      return;
+    }
+
+    const transaction = db.transaction([QUEUE_STORE], 'readwrite');
+    const store = transaction.objectStore(QUEUE_STORE);
+    const messages = await getSessionRows(store, sessionId);
+    await Promise.all(
+      messages.map(msg =>
+        new Promise((resolve, reject) => {
+          const request = store.delete(msg.id);
+          request.onsuccess = () => resolve();
+          request.onerror = () => reject(request.error);
+        })
+      )
+    );
   } catch (error) {
     console.error('Failed to clear queue:', error);
   }
@@ -0,0 +1,514 @@
+/**
+ * Message Search
+ *
+ * Client-side full-text search over decrypted message history. The index
+ * lives in the `searchIndex` IndexedDB store, one record per conversation,
+ * encrypted with the user's message storage key (the key that protects the
+ * history itself). Only a record's owner and conversation ID are readable;
+ * terms, senders, times and file names are inside the ciphertext.
+ *
+ * A record holds the indexed entries and an inverted index from terms to
+ * entry IDs. Messages are indexed as they are sent or received; history
+ * stored before the index existed is indexed on the first search.
+ * Entries of disappearing messages carry their expiry and are removed with
+ * the messages (see disappearingMessages.js). Edited messages are indexed
+ * again and deleted ones removed (see messageActions.js).
+ */
+
+import { getMessageStorageKey } from '../crypto/sessionManager.js';
+import { encryptAESGCM, decryptAESGCMToString } from '../crypto/aesGcm.js';
+import { arrayBufferToBase64, base64ToArrayBuffer } from '../crypto/signatures.js';
+import { loadAllMessages } from './messageStorage.js';
+
+const DB_NAME = 'InfosecCryptoDB';
+const DB_VERSION = 11; // Must match the highest version used by any module
+const SEARCH_INDEX_STORE = 'searchIndex';
+
+const DEFAULT_RESULT_LIMIT = 50;
+const SNIPPET_LENGTH = 120;
+
+/**
+ * Opens IndexedDB database
+ * @returns {Promise<IDBDatabase>}
+ */
+async function openDB() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result);
+
+    request.onupgradeneeded = (event) => {
+      const db = event.target.result;
+
+      if (!db.objectStoreNames.contains(SEARCH_INDEX_STORE)) {
+        const searchIndexStore = db.createObjectStore(SEARCH_INDEX_STORE, { keyPath: 'id' });
+        searchIndexStore.createIndex('userId', 'userId', { unique: false });
+      }
+
+      // Ensure all other required stores exist
+      if (!db.objectStoreNames.contains('messages')) {
+        const msgStore = db.createObjectStore('messages', { keyPath: 'id' });
+        msgStore.createIndex('sessionId', 'sessionId', { unique: false });
+        msgStore.createIndex('timestamp', 'timestamp', { unique: false });
+        msgStore.createIndex('seq', 'seq', { unique: false });
+      }
+      if (!db.objectStoreNames.contains('messageQueue')) {
+        const queueStore = db.createObjectStore('messageQueue', { keyPath: 'id', autoIncrement: true });
+        queueStore.createIndex('sessionId', 'sessionId', { unique: false });
+        queueStore.createIndex('timestamp', 'timestamp', { unique: false });
+      }
+      if (!db.objectStoreNames.contains('sessions')) {
+        db.createObjectStore('sessions', { keyPath: 'sessionId' });
+      }
+      if (!db.objectStoreNames.contains('sessionEncryptionKeys')) {
+        db.createObjectStore('sessionEncryptionKeys', { keyPath: 'userId' });
+      }
+      if (!db.objectStoreNames.contains('identityKeys')) {
+        db.createObjectStore('identityKeys', { keyPath: 'userId' });
+      }
+      if (!db.objectStoreNames.contains('clientLogs')) {
+        const logStore = db.createObjectStore('clientLogs', {
+          keyPath: 'id',
+          autoIncrement: true
+        });
+        logStore.createIndex('timestamp', 'timestamp', { unique: false });
+        logStore.createIndex('userId', 'userId', { unique: false });
+        logStore.createIndex('sessionId', 'sessionId', { unique: false });
+        logStore.createIndex('event', 'event', { unique: false });
+        logStore.createIndex('synced', 'synced', { unique: false });
+      }
+      if (!db.objectStoreNames.contains('preKeys')) {
+        const preKeyStore = db.createObjectStore('preKeys', { keyPath: 'id' });
+        preKeyStore.createIndex('userId', 'userId', { unique: false });
+      }
+      if (!db.objectStoreNames.contains('contacts')) {
+        const contactStore = db.createObjectStore('contacts', { keyPath: 'id' });
+        contactStore.createIndex('userId', 'userId', { unique: false });
+      }
+      if (!db.objectStoreNames.contains('senderKeys')) {
+        const senderKeyStore = db.createObjectStore('senderKeys', { keyPath: 'id' });
+        senderKeyStore.createIndex('groupId', 'groupId', { unique: false });
+      }
+    };
+  });
+}
+
+/**
+ * Runs one request against the search index store
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {Function} run - (store) => IDBRequest
+ * @returns {Promise<*>} Request result, once the transaction completed
+ */
+async function withIndexStore(mode, run) {
+  const db = await openDB();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction([SEARCH_INDEX_STORE], mode);
+      const request = run(transaction.objectStore(SEARCH_INDEX_STORE));
+      transaction.oncomplete = () => resolve(request?.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+const conversationRecordId = (userId, conversationId) => `${userId}|${conversationId}`;
+const statusRecordId = (userId) => `status|${userId}`;
+
+/**
+ * Splits text into lowercase search terms (accents removed)
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Unique terms
+ */
+export function tokenize(text) {
+  if (!text) return [];
+  const normalized = String(text).normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  return [...new Set(normalized.split(/[^\p{L}\p{N}]+/u).filter(Boolean))];
+}
+
+/**
+ * Builds the authenticated data binding an index record to its owner and conversation
+ * @param {string} userId - User ID
+ * @param {string} conversationId - Conversation (session or group) ID
+ * @returns {Uint8Array}
+ */
+function recordAAD(userId, conversationId) {
+  return new TextEncoder().encode(`search:${userId}|${conversationId}`);
+}
+
+/**
+ * Encrypts a conversation's index for storage
+ * @param {string} userId - User ID
+ * @param {string} conversationId - Conversation ID
+ * @param {{entries: Object, terms: Object}} index - Decrypted index
+ * @returns {Promise<Object>} Index record
+ */
+async function sealIndex(userId, conversationId, index) {
+  const key = await getMessageStorageKey(userId);
+  const { ciphertext, iv, authTag } = await encryptAESGCM(
+    key,
+    JSON.stringify(index),
+    recordAAD(userId, conversationId)
+  );
+  return {
+    id: conversationRecordId(userId, conversationId),
+    userId,
+    conversationId,
+    encryptedIndex: {
+      ciphertext: arrayBufferToBase64(ciphertext),
+      iv: arrayBufferToBase64(iv),
+      authTag: arrayBufferToBase64(authTag)
+    },
+    updatedAt: Date.now()
+  };
+}
+
+/**
+ * Decrypts a conversation's index record
+ * @param {Object} record - Index record
+ * @returns {Promise<{entries: Object, terms: Object}>}
+ */
+async function openIndex(record) {
+  const key = await getMessageStorageKey(record.userId);
+  const json = await decryptAESGCMToString(
+    key,
+    base64ToArrayBuffer(record.encryptedIndex.iv),
+    base64ToArrayBuffer(record.encryptedIndex.ciphertext),
+    base64ToArrayBuffer(record.encryptedIndex.authTag),
+    recordAAD(record.userId, record.conversationId)
+  );
+  return JSON.parse(json);
+}
+
+/**
+ * Converts a chat message into an index entry
+ * @param {Object} message - Message with id, content or fileName, sender, timestamp
+ * @returns {Object} Index entry
+ */
+function toEntry(message) {
+  const isFile = message.type === 'file' || !!message.fileName;
+  return {
+    id: message.id,
+    type: isFile ? 'file' : (message.type || 'text'),
+    sender: message.sender || null,
+    timestamp: message.timestamp || Date.now(),
+    text: typeof message.content === 'string' ? message.content : '',
+    fileName: message.fileName || null,
+    expiresAt: message.expiresAt || null
+  };
+}
+
+/**
+ * Returns the entry IDs listed for a term
+ * Terms are user text: never read inherited properties such as "constructor".
+ * @param {{entries: Object, terms: Object}} index - Decrypted index
+ * @param {string} term - Index term
+ * @returns {Array<string>}
+ */
+function postings(index, term) {
+  return Object.hasOwn(index.terms, term) ? index.terms[term] : [];
+}
+
+/**
+ * Removes an entry and its terms
+ * @param {{entries: Object, terms: Object}} index - Decrypted index
+ * @param {string} id - Entry ID
+ * @returns {boolean} True if the entry existed
+ */
+function removeEntry(index, id) {
+  const previous = Object.hasOwn(index.entries, id) ? index.entries[id] : null;
+  if (!previous) return false;
+
+  for (const term of tokenize(`${previous.text} ${previous.fileName || ''}`)) {
+    const remaining = postings(index, term).filter(entryId => entryId !== id);
+    if (remaining.length > 0) {
+      index.terms[term] = remaining;
+    } else {
+      delete index.terms[term];
+    }
+  }
+  delete index.entries[id];
+  return true;
+}
+
+/**
+ * Adds (or replaces) an entry and its terms
+ * @param {{entries: Object, terms: Object}} index - Decrypted index
+ * @param {Object} entry - Index entry
+ */
+function addEntry(index, entry) {
+  removeEntry(index, entry.id);
+
+  index.entries[entry.id] = entry;
+  for (const term of tokenize(`${entry.text} ${entry.fileName || ''}`)) {
+    index.terms[term] = [...postings(index, term), entry.id];
+  }
+}
+
+/**
+ * Adds messages to a conversation's index (deleted messages are removed)
+ * @param {string} userId - User ID
+ * @param {string} conversationId - Conversation ID
+ * @param {Array<Object>} messages - Messages to index
+ * @returns {Promise<void>}
+ */
+async function updateConversationIndex(userId, conversationId, messages) {
+  const record = await withIndexStore('readonly', store => store.get(conversationRecordId(userId, conversationId)));
+  const index = record ? await openIndex(record) : { entries: {}, terms: {} };
+
+  for (const message of messages) {
+    if (!message?.id) continue;
+    if (message.deleted) {
+      removeEntry(index, message.id);
+    } else {
+      addEntry(index, toEntry(message));
+    }
+  }
+
+  const updated = await sealIndex(userId, conversationId, index);
+  await withIndexStore('readwrite', store => store.put(updated));
+}
+
+/**
+ * Per-user queue: index records are read, changed and written back, so updates
+ * for the same user must not interleave
+ */
+const updateQueues = new Map(); // userId -> Promise
+
+function enqueueUpdate(userId, task) {
+  const previous = updateQueues.get(userId) || Promise.resolve();
+  const next = previous.then(task, task);
+  updateQueues.set(userId, next.catch(() => {}));
+  return next;
+}
+
+/**
+ * Indexes a message as it is sent, received or edited (a deleted message is removed)
+ * Failures are logged, never thrown: search must not break messaging.
+ * @param {string} userId - Owner of the index
+ * @param {string} conversationId - Conversation the message belongs to (session or group ID)
+ * @param {Object} message - Message with id, type, content, sender, timestamp
+ *   and, for attachments, fileName; expiresAt for disappearing messages
+ * @returns {Promise<void>}
+ */
+export async function indexMessage(userId, conversationId, message) {
+  if (!userId || !conversationId || !message?.id) return;
+
+  try {
+    await enqueueUpdate(userId, () => updateConversationIndex(userId, conversationId, [message]));
+  } catch (error) {
+    console.error('Failed to index message:', error);
+  }
+}
+
+/**
+ * Indexes all stored message history of a user
+ * Entries already in the index are kept (attachments are not part of the
+ * stored history); messages are re-indexed by ID, so running it twice is safe.
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Number of indexed messages
+ * @throws {Error} If the message storage key is locked
+ */
+export async function buildSearchIndex(userId) {
+  // Fail early instead of marking an index built from unreadable history
+  await getMessageStorageKey(userId);
+
+  return await enqueueUpdate(userId, async () => {
+    const messages = await loadAllMessages(userId);
+    const byConversation = new Map();
+    for (const message of messages) {
+      if (!byConversation.has(message.sessionId)) byConversation.set(message.sessionId, []);
+      byConversation.get(message.sessionId).push(message);
+    }
+
+    for (const [conversationId, conversationMessages] of byConversation) {
+      await updateConversationIndex(userId, conversationId, conversationMessages);
+    }
+
+    await withIndexStore('readwrite', store => store.put({
+      id: statusRecordId(userId),
+      userId,
+      status: true,
+      builtAt: Date.now()
+    }));
+    console.log(`✓ Search index built (${messages.length} messages)`);
+    return messages.length;
+  });
+}
+
+/**
+ * Cuts a snippet of the message text around the first matched term
+ * @param {string} text - Message text
+ * @param {Array<string>} terms - Query terms
+ * @returns {string}
+ */
+function makeSnippet(text, terms) {
+  if (!text || text.length <= SNIPPET_LENGTH) return text || '';
+
+  const lower = text.toLowerCase();
+  const positions = terms.map(term => lower.indexOf(term)).filter(position => position >= 0);
+  const first = positions.length > 0 ? Math.min(...positions) : 0;
+  const start = Math.max(0, Math.min(first - 30, text.length - SNIPPET_LENGTH));
+  const end = start + SNIPPET_LENGTH;
+  return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * Finds entry IDs containing every query term (as a word prefix)
+ * @param {{entries: Object, terms: Object}} index - Decrypted index
+ * @param {Array<string>} queryTerms - Tokenized query
+ * @returns {Array<string>} Matching entry IDs
+ */
+function matchTerms(index, queryTerms) {
+  const indexTerms = Object.keys(index.terms);
+  let matches = null;
+
+  for (const queryTerm of queryTerms) {
+    const ids = new Set();
+    for (const term of indexTerms) {
+      if (term.startsWith(queryTerm)) {
+        index.terms[term].forEach(id => ids.add(id));
+      }
+    }
+    matches = matches ? new Set([...matches].filter(id => ids.has(id))) : ids;
+    if (matches.size === 0) break;
+  }
+  return [...matches];
+}
+
+/**
+ * Searches the user's message history
+ * Filters combine (all must match). A query without any filter returns nothing.
+ * @param {string} userId - User ID
+ * @param {Object} query - Search filters
+ * @param {string} [query.text] - Keywords; every word must start a word in the message or file name
+ * @param {string} [query.sender] - Sender user ID
+ * @param {number} [query.from] - Earliest timestamp (ms, inclusive)
+ * @param {number} [query.to] - Latest timestamp (ms, inclusive)
+ * @param {string} [query.fileName] - Part of an attachment name (only attachments match)
+ * @param {string} [query.conversationId] - Restrict to one conversation
+ * @param {number} [query.limit=50] - Maximum number of results
+ * @returns {Promise<Array<Object>>} Hits {id, conversationId, type, sender, timestamp, text, fileName, snippet}, newest first
+ * @throws {Error} If the message storage key is locked
+ */
+export async function searchMessages(userId, query = {}) {
+  const {
+    text = '',
+    sender = null,
+    from = null,
+    to = null,
+    fileName = '',
+    conversationId = null,
+    limit = DEFAULT_RESULT_LIMIT
+  } = query;
+  const queryTerms = tokenize(text);
+  const fileNeedle = fileName.trim().toLowerCase();
+
+  if (queryTerms.length === 0 && !sender && from == null && to == null && !fileNeedle) {
+    return [];
+  }
+
+  // Throws while the history is locked, rather than returning no results
+  await getMessageStorageKey(userId);
+
+  const status = await withIndexStore('readonly', store => store.get(statusRecordId(userId)));
+  if (!status) {
+    await buildSearchIndex(userId);
+  }
+
+  const records = await withIndexStore('readonly', store => store.index('userId').getAll(userId));
+  const now = Date.now();
+  const hits = [];
+
+  for (const record of records) {
+    if (!record.encryptedIndex) continue;
+    if (conversationId && record.conversationId !== conversationId) continue;
+
+    let index;
+    try {
+      index = await openIndex(record);
+    } catch (error) {
+      console.warn(`Cannot decrypt search index for ${record.conversationId}:`, error.message);
+      continue;
+    }
+
+    const ids = queryTerms.length > 0 ? matchTerms(index, queryTerms) : Object.keys(index.entries);
+    for (const id of ids) {
+      const entry = index.entries[id];
+      // Disappearing messages may outlive their timer until the next purge
+      if (entry.expiresAt && entry.expiresAt <= now) continue;
+      if (sender && entry.sender !== sender) continue;
+      if (from != null && entry.timestamp < from) continue;
+      if (to != null && entry.timestamp > to) continue;
+      if (fileNeedle && !(entry.fileName || '').toLowerCase().includes(fileNeedle)) continue;
+
+      hits.push({
+        ...entry,
+        conversationId: record.conversationId,
+        snippet: makeSnippet(entry.text, queryTerms)
+      });
+    }
+  }
+
+  hits.sort((a, b) => b.timestamp - a.timestamp);
+  return hits.slice(0, limit);
+}
+
+/**
+ * Removes entries of disappeared messages from a user's index
+ * Failures are logged, never thrown (the purge retries on its next run).
+ * @param {string} userId - User ID
+ * @param {number} [now] - Current time (ms)
+ * @returns {Promise<number>} Number of removed entries
+ */
+export async function removeExpiredFromSearchIndex(userId, now = Date.now()) {
+  if (!userId) return 0;
+
+  try {
+    return await enqueueUpdate(userId, async () => {
+      const records = await withIndexStore('readonly', store => store.index('userId').getAll(userId));
+      let removed = 0;
+
+      for (const record of records) {
+        if (!record.encryptedIndex) continue;
+
+        const index = await openIndex(record);
+        const expired = Object.values(index.entries)
+          .filter(entry => entry.expiresAt && entry.expiresAt <= now)
+          .map(entry => entry.id);
+        if (expired.length === 0) continue;
+
+        expired.forEach(id => removeEntry(index, id));
+        const updated = await sealIndex(userId, record.conversationId, index);
+        await withIndexStore('readwrite', store => store.put(updated));
+        removed += expired.length;
+      }
+      return removed;
+    });
+  } catch (error) {
+    console.error('Failed to remove expired search entries:', error);
+    return 0;
+  }
+}
+
+/**
+ * Deletes a user's search index (on logout, with the message history)
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+export async function clearSearchIndex(userId) {
+  try {
+    await enqueueUpdate(userId, async () => {
+      const ids = await withIndexStore('readonly', store => store.index('userId').getAllKeys(userId));
+      await withIndexStore('readwrite', store => {
+        ids.forEach(id => store.delete(id));
+        return null;
+      });
+    });
+  } catch (error) {
+    console.error('Failed to clear search index:', error);
+  }
+}
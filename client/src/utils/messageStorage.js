@@ -3,12 +3,25 @@
  * 
  * Handles persistence of messages in IndexedDB for offline access
  * and message history across page reloads.
+ *
+ * Message content is encrypted at rest with the owner's message storage key
+ * (see getMessageStorageKey in sessionManager.js). Metadata needed to find,
+ * order and update messages (session, sender, seq, timestamp, status) stays
+ * readable so status updates do not need the key. Reactions are encrypted
+ * the same way, bound to their row as a separate field.
  */
 
+import { getMessageStorageKey } from '../crypto/sessionManager.js';
+import { encryptAESGCM, decryptAESGCMToString } from '../crypto/aesGcm.js';
+import { arrayBufferToBase64, base64ToArrayBuffer } from '../crypto/signatures.js';
+
 const DB_NAME = 'InfosecCryptoDB';
-const DB_VERSION = 7; // Database version (must match highest version used by any module)
+const DB_VERSION = 11; // Database version (must match highest version used by any module)
 const MESSAGES_STORE = 'messages';
 
+// Delivery status only moves forward
+const STATUS_RANK = { sent: 0, delivered: 1, read: 2 };
+
 /**
  * Opens IndexedDB database
  * @returns {Promise<IDBDatabase>}
@@ -75,18 +88,103 @@ async function openDB() {
         logStore.createIndex('event', 'event', { unique: false });
         logStore.createIndex('synced', 'synced', { unique: false });
       }
+      if (!db.objectStoreNames.contains('preKeys')) {
+        const preKeyStore = db.createObjectStore('preKeys', { keyPath: 'id' });
+        preKeyStore.createIndex('userId', 'userId', { unique: false });
+      }
+      if (!db.objectStoreNames.contains('contacts')) {
+        const contactStore = db.createObjectStore('contacts', { keyPath: 'id' });
+        contactStore.createIndex('userId', 'userId', { unique: false });
+      }
+      if (!db.objectStoreNames.contains('senderKeys')) {
+        const senderKeyStore = db.createObjectStore('senderKeys', { keyPath: 'id' });
+        senderKeyStore.createIndex('groupId', 'groupId', { unique: false });
+      }
+      if (!db.objectStoreNames.contains('searchIndex')) {
+        const searchIndexStore = db.createObjectStore('searchIndex', { keyPath: 'id' });
+        searchIndexStore.createIndex('userId', 'userId', { unique: false });
+      }
     };
   });
 }
 
+/**
+ * Builds the authenticated data binding encrypted content to its row
+ * @param {string} id - Message ID
+ * @param {string} sessionId - Session identifier
+ * @param {string} [field] - Encrypted field ('message' for the content, 'reactions', 'replyTo')
+ * @returns {Uint8Array}
+ */
+function contentAAD(id, sessionId, field = 'message') {
+  return new TextEncoder().encode(`${field}:${id}|${sessionId}`);
+}
+
+/**
+ * Encrypts message content for a stored row
+ * @param {string} userId - Owner of the message history
+ * @param {string} id - Message ID
+ * @param {string} sessionId - Session identifier
+ * @param {*} content - JSON-serializable content
+ * @param {string} [field] - Encrypted field (see contentAAD)
+ * @returns {Promise<{ciphertext: string, iv: string, authTag: string}>}
+ */
+async function encryptContent(userId, id, sessionId, content, field = 'message') {
+  const key = await getMessageStorageKey(userId);
+  const { ciphertext, iv, authTag } = await encryptAESGCM(
+    key,
+    JSON.stringify(content ?? null),
+    contentAAD(id, sessionId, field)
+  );
+  return {
+    ciphertext: arrayBufferToBase64(ciphertext),
+    iv: arrayBufferToBase64(iv),
+    authTag: arrayBufferToBase64(authTag)
+  };
+}
+
+/**
+ * Decrypts the content of a stored row
+ * @param {Object} row - Stored message with owner and encryptedContent
+ * @param {Object} [encrypted] - Encrypted field to decrypt (default: the content)
+ * @param {string} [field] - Encrypted field (see contentAAD)
+ * @returns {Promise<*>} Message content
+ */
+async function decryptContent(row, encrypted = row.encryptedContent, field = 'message') {
+  const key = await getMessageStorageKey(row.owner);
+  const json = await decryptAESGCMToString(
+    key,
+    base64ToArrayBuffer(encrypted.iv),
+    base64ToArrayBuffer(encrypted.ciphertext),
+    base64ToArrayBuffer(encrypted.authTag),
+    contentAAD(row.id, row.sessionId, field)
+  );
+  return JSON.parse(json);
+}
+
 /**
  * Stores a message in IndexedDB
+ * The content is encrypted with the user's message storage key; without an
+ * unlocked key the message is not persisted (plaintext is never written).
  * @param {string} sessionId - Session identifier
  * @param {Object} message - Message object with id, type, content, sender, timestamp, seq
+ *   and optionally status ('sent' | 'delivered' | 'read'), copies (sent: [{sessionId, seq}]
+ *   per peer device), receivedOn (received: session the message arrived on),
+ *   expiresAt (disappearing messages: when the purge deletes it, ms), editedAt,
+ *   deleted/deletedAt, reactions ({[userId]: {emoji, sentAt}}, see messageActions.js)
+ *   and replyTo (the quoted message of a reply, see replies.js)
+ * @param {string} userId - Owner of the message history (whose storage key encrypts it)
  * @returns {Promise<void>}
  */
-export async function storeMessage(sessionId, message) {
+export async function storeMessage(sessionId, message, userId) {
   try {
+    if (!userId) {
+      console.warn('No user for message storage key, not storing message');
+      return;
+    }
+
+    const id = message.id || `${sessionId}-${message.seq}`;
+    const encryptedContent = await encryptContent(userId, id, sessionId, message.content);
+
     const db = await openDB();
     
     // Verify store exists before attempting transaction
@@ -99,16 +197,42 @@ export async function storeMessage(sessionId, message) {
     const store = transaction.objectStore(MESSAGES_STORE);
 
     const messageToStore = {
-      id: message.id || `${sessionId}-${message.seq}`,
+      id,
       sessionId,
+      owner: userId,
       type: message.type || 'text',
-      content: message.content,
+      encryptedContent,
       sender: message.sender,
       timestamp: message.timestamp || Date.now(),
       seq: message.seq || 0,
       sent: message.sent || false,
       createdAt: new Date().toISOString()
     };
+    if (message.status) {
+      messageToStore.status = message.status;
+    }
+    if (message.copies) {
+      messageToStore.copies = message.copies;
+    }
+    if (message.receivedOn) {
+      messageToStore.receivedOn = message.receivedOn;
+    }
+    if (message.expiresAt) {
+      messageToStore.expiresAt = message.expiresAt;
+    }
+    if (message.editedAt) {
+      messageToStore.editedAt = message.editedAt;
+    }
+    if (message.deleted) {
+      messageToStore.deleted = true;
+      messageToStore.deletedAt = message.deletedAt;
+    }
+    if (message.reactions && Object.keys(message.reactions).length > 0) {
+      messageToStore.encryptedReactions = await encryptContent(userId, id, sessionId, message.reactions, 'reactions');
+    }
+    if (message.replyTo) {
+      messageToStore.encryptedReplyTo = await encryptContent(userId, id, sessionId, message.replyTo, 'replyTo');
+    }
 
     await new Promise((resolve, reject) => {
       const request = store.put(messageToStore);
@@ -121,8 +245,45 @@ export async function storeMessage(sessionId, message) {
   }
 }
 
+/**
+ * Decrypts the content of loaded rows
+ * Rows whose owner's storage key is not unlocked (or that fail authentication)
+ * are left out. Legacy plaintext rows are returned unchanged until migrated.
+ * Disappeared messages the purge has not deleted yet are left out too.
+ * @param {Array<Object>} rows - Stored messages
+ * @returns {Promise<Array<Object>>} Messages with plaintext content
+ */
+async function decryptRows(rows) {
+  const now = Date.now();
+  const messages = [];
+  for (const row of rows) {
+    if (row.expiresAt && row.expiresAt <= now) {
+      continue;
+    }
+    if (!row.encryptedContent) {
+      messages.push(row);
+      continue;
+    }
+    try {
+      const { encryptedContent, encryptedReactions, encryptedReplyTo, owner, ...message } = row;
+      message.content = await decryptContent(row);
+      if (encryptedReactions) {
+        message.reactions = await decryptContent(row, encryptedReactions, 'reactions');
+      }
+      if (encryptedReplyTo) {
+        message.replyTo = await decryptContent(row, encryptedReplyTo, 'replyTo');
+      }
+      messages.push(message);
+    } catch (error) {
+      console.warn(`Cannot decrypt stored message ${row.id}:`, error.message);
+    }
+  }
+  return messages;
+}
+
 /**
  * Loads messages for a session from IndexedDB
+ * Only the returned (most recent) messages are decrypted.
  * @param {string} sessionId - Session identifier
  * @param {number} limit - Maximum number of messages to load (default: 100)
  * @returns {Promise<Array>} Array of messages sorted by sequence number
@@ -154,7 +315,7 @@ export async function loadMessages(sessionId, limit = 100) {
       
       const filtered = allMessages.filter(msg => msg.sessionId === sessionId);
       filtered.sort((a, b) => (a.seq || 0) - (b.seq || 0));
-      return filtered.slice(-limit);
+      return await decryptRows(filtered.slice(-limit));
     }
 
     const messages = await new Promise((resolve, reject) => {
@@ -167,13 +328,213 @@ export async function loadMessages(sessionId, limit = 100) {
     messages.sort((a, b) => (a.seq || 0) - (b.seq || 0));
 
     // Return most recent messages (last N)
-    return messages.slice(-limit);
+    return await decryptRows(messages.slice(-limit));
   } catch (error) {
     console.error('Failed to load messages:', error);
     return [];
   }
 }
 
+/**
+ * Loads every stored message of a user, across all sessions
+ * Used to (re)build the search index; unlike loadMessages there is no limit.
+ * @param {string} userId - Owner of the message history
+ * @returns {Promise<Array>} Decrypted messages (with sessionId), in no particular order
+ */
+export async function loadAllMessages(userId) {
+  try {
+    const db = await openDB();
+    if (!db.objectStoreNames.contains(MESSAGES_STORE)) {
+      return [];
+    }
+
+    const rows = await new Promise((resolve, reject) => {
+      const request = db.transaction([MESSAGES_STORE], 'readonly').objectStore(MESSAGES_STORE).getAll();
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(request.error);
+    });
+
+    return await decryptRows(rows.filter(row => row.owner === userId));
+  } catch (error) {
+    console.error('Failed to load all messages:', error);
+    return [];
+  }
+}
+
+/**
+ * Raises the delivery status of stored messages
+ * Messages that already have the same or a later status are left alone.
+ * @param {string} sessionId - Session (conversation) the messages are stored under
+ * @param {Function} matches - (message) => boolean, selects the messages to update
+ * @param {string} status - 'delivered' or 'read'
+ * @returns {Promise<Array<string>>} IDs of messages whose status changed
+ */
+export async function updateMessageStatus(sessionId, matches, status) {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([MESSAGES_STORE], 'readwrite');
+    const store = transaction.objectStore(MESSAGES_STORE);
+    const index = store.index('sessionId');
+
+    const messages = await new Promise((resolve, reject) => {
+      const request = index.getAll(sessionId);
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(request.error);
+    });
+
+    const updated = messages.filter(msg =>
+      matches(msg) && (STATUS_RANK[msg.status] ?? -1) < STATUS_RANK[status]
+    );
+
+    await Promise.all(
+      updated.map(msg =>
+        new Promise((resolve, reject) => {
+          const request = store.put({ ...msg, status });
+          request.onsuccess = () => resolve();
+          request.onerror = () => reject(request.error);
+        })
+      )
+    );
+
+    return updated.map(msg => msg.id);
+  } catch (error) {
+    console.error('Failed to update message status:', error);
+    return [];
+  }
+}
+
+/**
+ * Rewrites stored messages of a session (edits, deletions, reactions)
+ * Each decrypted message is passed to update; the messages it returns a
+ * replacement for are encrypted and stored again.
+ * @param {string} sessionId - Session (conversation) the messages are stored under
+ * @param {Function} update - (message) => Object|null, the updated message or null to keep it
+ * @param {string} userId - Owner of the message history
+ * @returns {Promise<Array<Object>>} Updated messages
+ */
+export async function updateStoredMessages(sessionId, update, userId) {
+  try {
+    const db = await openDB();
+    if (!db.objectStoreNames.contains(MESSAGES_STORE)) {
+      return [];
+    }
+
+    const rows = await new Promise((resolve, reject) => {
+      const request = db.transaction([MESSAGES_STORE], 'readonly')
+        .objectStore(MESSAGES_STORE).index('sessionId').getAll(sessionId);
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(request.error);
+    });
+
+    const updated = [];
+    for (const message of await decryptRows(rows.filter(row => row.owner === userId))) {
+      const replacement = update(message);
+      if (replacement) {
+        await storeMessage(sessionId, replacement, userId);
+        updated.push(replacement);
+      }
+    }
+    return updated;
+  } catch (error) {
+    console.error('Failed to update stored messages:', error);
+    return [];
+  }
+}
+
+/**
+ * Encrypts message rows still stored in plaintext (one-time migration)
+ * Rows written before at-rest encryption have no owner; the first user to
+ * unlock their storage key on this browser takes them over. Safe to call on
+ * every login: once no plaintext rows remain it does nothing.
+ * @param {string} userId - User whose storage key encrypts the rows
+ * @returns {Promise<number>} Number of migrated rows
+ */
+export async function migratePlaintextMessages(userId) {
+  try {
+    const db = await openDB();
+    if (!db.objectStoreNames.contains(MESSAGES_STORE)) {
+      return 0;
+    }
+
+    const rows = await new Promise((resolve, reject) => {
+      const request = db.transaction([MESSAGES_STORE], 'readonly').objectStore(MESSAGES_STORE).getAll();
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(request.error);
+    });
+    const plaintextRows = rows.filter(row => !row.encryptedContent);
+    if (plaintextRows.length === 0) {
+      return 0;
+    }
+
+    // Encrypt first: a transaction would auto-commit while awaiting Web Crypto
+    const migrated = [];
+    for (const row of plaintextRows) {
+      const { content, ...rest } = row;
+      migrated.push({
+        ...rest,
+        owner: userId,
+        encryptedContent: await encryptContent(userId, row.id, row.sessionId, content)
+      });
+    }
+
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction([MESSAGES_STORE], 'readwrite');
+      const store = transaction.objectStore(MESSAGES_STORE);
+      for (const row of migrated) {
+        store.put(row);
+      }
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+
+    console.log(`✓ Encrypted ${migrated.length} stored messages`);
+    return migrated.length;
+  } catch (error) {
+    console.error('Failed to migrate stored messages:', error);
+    return 0;
+  }
+}
+
+/**
+ * Deletes disappearing messages whose timer ran out
+ * @param {number} [now] - Current time (ms)
+ * @returns {Promise<Array<{id: string, sessionId: string}>>} Deleted messages
+ */
+export async function deleteExpiredMessages(now = Date.now()) {
+  try {
+    const db = await openDB();
+    if (!db.objectStoreNames.contains(MESSAGES_STORE)) {
+      return [];
+    }
+
+    const transaction = db.transaction([MESSAGES_STORE], 'readwrite');
+    const store = transaction.objectStore(MESSAGES_STORE);
+
+    const rows = await new Promise((resolve, reject) => {
+      const request = store.getAll();
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(request.error);
+    });
+
+    const expired = rows.filter(row => row.expiresAt && row.expiresAt <= now);
+    await Promise.all(
+      expired.map(row =>
+        new Promise((resolve, reject) => {
+          const deleteRequest = store.delete(row.id);
+          deleteRequest.onsuccess = () => resolve();
+          deleteRequest.onerror = () => reject(deleteRequest.error);
+        })
+      )
+    );
+
+    return expired.map(({ id, sessionId }) => ({ id, sessionId }));
+  } catch (error) {
+    console.error('Failed to delete expired messages:', error);
+    return [];
+  }
+}
+
 /**
  * Clears all messages for a session
  * @param {string} sessionId - Session identifier
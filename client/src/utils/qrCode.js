@@ -0,0 +1,528 @@
+/**
+ * Minimal QR Code Encoder
+ *
+ * Encodes short strings (safety-number verification payloads) as QR codes.
+ * Byte mode, error correction level M, versions 1-10 (up to 213 bytes),
+ * automatic mask selection. Output is a boolean module matrix that the
+ * UI renders as SVG; no canvas or third-party library needed.
+ *
+ * Follows ISO/IEC 18004: Reed-Solomon over GF(256) with polynomial 0x11D,
+ * BCH-coded format (0x537) and version (0x1F25) information.
+ */
+
+const MIN_VERSION = 1;
+const MAX_VERSION = 10;
+
+/**
+ * Error correction level M, indexed by version (index 0 unused)
+ */
+const ECC_CODEWORDS_PER_BLOCK = [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+const NUM_ERROR_CORRECTION_BLOCKS = [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+const ECC_LEVEL_M_FORMAT_BITS = 0;
+
+/**
+ * Mask penalty weights (ISO/IEC 18004 section 7.8.3)
+ */
+const PENALTY_N1 = 3;
+const PENALTY_N2 = 3;
+const PENALTY_N3 = 40;
+const PENALTY_N4 = 10;
+
+/**
+ * Returns bit i of x
+ * @param {number} x - Value
+ * @param {number} i - Bit index
+ * @returns {boolean}
+ */
+function getBit(x, i) {
+  return ((x >>> i) & 1) !== 0;
+}
+
+/**
+ * Number of modules available for data and ECC in a version
+ * @param {number} version - QR version
+ * @returns {number}
+ */
+function getNumRawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const numAlign = Math.floor(version / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (version >= 7) {
+      result -= 36;
+    }
+  }
+  return result;
+}
+
+/**
+ * Number of data codewords (excluding ECC) in a version at level M
+ * @param {number} version - QR version
+ * @returns {number}
+ */
+function getNumDataCodewords(version) {
+  return Math.floor(getNumRawDataModules(version) / 8) -
+    ECC_CODEWORDS_PER_BLOCK[version] * NUM_ERROR_CORRECTION_BLOCKS[version];
+}
+
+/**
+ * Alignment pattern center coordinates for a version
+ * @param {number} version - QR version
+ * @returns {Array<number>}
+ */
+function getAlignmentPatternPositions(version) {
+  if (version === 1) {
+    return [];
+  }
+  const size = version * 4 + 17;
+  const numAlign = Math.floor(version / 7) + 2;
+  const step = Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+  const result = [6];
+  for (let pos = size - 7; result.length < numAlign; pos -= step) {
+    result.splice(1, 0, pos);
+  }
+  return result;
+}
+
+/**
+ * Multiplies two elements of GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+ * @param {number} x - Field element
+ * @param {number} y - Field element
+ * @returns {number}
+ */
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11D);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+/**
+ * Computes the Reed-Solomon generator polynomial of a degree
+ * @param {number} degree - Number of ECC codewords
+ * @returns {Array<number>} Coefficients, highest power first (leading 1 omitted)
+ */
+function reedSolomonDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) {
+        result[j] ^= result[j + 1];
+      }
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+/**
+ * Computes Reed-Solomon ECC codewords for a data block
+ * @param {Array<number>} data - Data codewords
+ * @param {Array<number>} divisor - Generator polynomial
+ * @returns {Array<number>} ECC codewords
+ */
+function reedSolomonRemainder(data, divisor) {
+  const result = new Array(divisor.length).fill(0);
+  for (const b of data) {
+    const factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => {
+      result[i] ^= gfMultiply(coef, factor);
+    });
+  }
+  return result;
+}
+
+/**
+ * Builds the data codewords (mode, length, payload, padding) for a version
+ * @param {Uint8Array} bytes - Payload bytes
+ * @param {number} version - QR version
+ * @returns {Array<number>}
+ */
+function buildDataCodewords(bytes, version) {
+  const bits = [];
+  const appendBits = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) {
+      bits.push((value >>> i) & 1);
+    }
+  };
+
+  const capacityBits = getNumDataCodewords(version) * 8;
+  appendBits(0x4, 4); // Byte mode
+  appendBits(bytes.length, version <= 9 ? 8 : 16);
+  for (const b of bytes) {
+    appendBits(b, 8);
+  }
+
+  // Terminator and byte alignment
+  appendBits(0, Math.min(4, capacityBits - bits.length));
+  appendBits(0, (8 - (bits.length % 8)) % 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((acc, bit) => (acc << 1) | bit, 0));
+  }
+
+  // Alternating pad bytes up to capacity
+  for (let pad = 0xEC; codewords.length < capacityBits / 8; pad ^= 0xEC ^ 0x11) {
+    codewords.push(pad);
+  }
+  return codewords;
+}
+
+/**
+ * Splits data into blocks, appends ECC and interleaves them
+ * @param {Array<number>} data - Data codewords
+ * @param {number} version - QR version
+ * @returns {Array<number>} Final codeword sequence
+ */
+function addEccAndInterleave(data, version) {
+  const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[version];
+  const blockEccLen = ECC_CODEWORDS_PER_BLOCK[version];
+  const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+  const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+  const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+
+  const divisor = reedSolomonDivisor(blockEccLen);
+  const blocks = [];
+  for (let i = 0, k = 0; i < numBlocks; i++) {
+    const dataLen = shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1);
+    const block = data.slice(k, k + dataLen);
+    k += dataLen;
+    const ecc = reedSolomonRemainder(block, divisor);
+    if (i < numShortBlocks) {
+      block.push(0); // Placeholder so all blocks align; skipped below
+    }
+    blocks.push(block.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) {
+        result.push(block[i]);
+      }
+    });
+  }
+  return result;
+}
+
+/**
+ * Mutable module grid with function-pattern tracking
+ */
+function createGrid(size) {
+  return {
+    size,
+    modules: Array.from({ length: size }, () => new Array(size).fill(false)),
+    isFunction: Array.from({ length: size }, () => new Array(size).fill(false))
+  };
+}
+
+/**
+ * Sets a function module (finder, timing, format, ...) at column x, row y
+ */
+function setFunctionModule(grid, x, y, isDark) {
+  grid.modules[y][x] = isDark;
+  grid.isFunction[y][x] = true;
+}
+
+/**
+ * Draws format information (ECC level M + mask) with its BCH code
+ * @param {Object} grid - Module grid
+ * @param {number} mask - Mask pattern (0-7)
+ */
+function drawFormatBits(grid, mask) {
+  const data = (ECC_LEVEL_M_FORMAT_BITS << 3) | mask;
+  let rem = data;
+  for (let i = 0; i < 10; i++) {
+    rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  }
+  const bits = ((data << 10) | rem) ^ 0x5412;
+  const { size } = grid;
+
+  // First copy (around top-left finder)
+  for (let i = 0; i <= 5; i++) {
+    setFunctionModule(grid, 8, i, getBit(bits, i));
+  }
+  setFunctionModule(grid, 8, 7, getBit(bits, 6));
+  setFunctionModule(grid, 8, 8, getBit(bits, 7));
+  setFunctionModule(grid, 7, 8, getBit(bits, 8));
+  for (let i = 9; i < 15; i++) {
+    setFunctionModule(grid, 14 - i, 8, getBit(bits, i));
+  }
+
+  // Second copy (split between top-right and bottom-left finders)
+  for (let i = 0; i < 8; i++) {
+    setFunctionModule(grid, size - 1 - i, 8, getBit(bits, i));
+  }
+  for (let i = 8; i < 15; i++) {
+    setFunctionModule(grid, 8, size - 15 + i, getBit(bits, i));
+  }
+  setFunctionModule(grid, 8, size - 8, true); // Always-dark module
+}
+
+/**
+ * Draws version information (versions 7+) with its BCH code
+ * @param {Object} grid - Module grid
+ * @param {number} version - QR version
+ */
+function drawVersion(grid, version) {
+  if (version < 7) {
+    return;
+  }
+  let rem = version;
+  for (let i = 0; i < 12; i++) {
+    rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+  }
+  const bits = (version << 12) | rem;
+  for (let i = 0; i < 18; i++) {
+    const bit = getBit(bits, i);
+    const a = grid.size - 11 + (i % 3);
+    const b = Math.floor(i / 3);
+    setFunctionModule(grid, a, b, bit);
+    setFunctionModule(grid, b, a, bit);
+  }
+}
+
+/**
+ * Draws finder, separator, timing and alignment patterns plus reserved areas
+ * @param {Object} grid - Module grid
+ * @param {number} version - QR version
+ */
+function drawFunctionPatterns(grid, version) {
+  const { size } = grid;
+
+  for (let i = 0; i < size; i++) {
+    setFunctionModule(grid, 6, i, i % 2 === 0);
+    setFunctionModule(grid, i, 6, i % 2 === 0);
+  }
+
+  // Finder patterns with separators
+  for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x >= 0 && x < size && y >= 0 && y < size) {
+          setFunctionModule(grid, x, y, dist !== 2 && dist !== 4);
+        }
+      }
+    }
+  }
+
+  // Alignment patterns (skipping the three finder corners)
+  const positions = getAlignmentPatternPositions(version);
+  const last = positions.length - 1;
+  positions.forEach((px, i) => {
+    positions.forEach((py, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) {
+        return;
+      }
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          setFunctionModule(grid, px + dx, py + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    });
+  });
+
+  // Reserve format areas (real bits drawn after mask selection)
+  drawFormatBits(grid, 0);
+  drawVersion(grid, version);
+}
+
+/**
+ * Places codewords in the zigzag pattern over non-function modules
+ * @param {Object} grid - Module grid
+ * @param {Array<number>} codewords - Final codeword sequence
+ */
+function drawCodewords(grid, codewords) {
+  const { size } = grid;
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) {
+      right = 5; // Skip vertical timing pattern
+    }
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vert : vert;
+        if (!grid.isFunction[y][x] && i < codewords.length * 8) {
+          grid.modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+          i++;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * XORs a mask pattern over all non-function modules (self-inverse)
+ * @param {Object} grid - Module grid
+ * @param {number} mask - Mask pattern (0-7)
+ */
+function applyMask(grid, mask) {
+  const conditions = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+    (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+    (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+  ];
+  const invert = conditions[mask];
+  for (let y = 0; y < grid.size; y++) {
+    for (let x = 0; x < grid.size; x++) {
+      if (!grid.isFunction[y][x] && invert(x, y)) {
+        grid.modules[y][x] = !grid.modules[y][x];
+      }
+    }
+  }
+}
+
+/**
+ * Scores a line of modules for runs (N1) and finder-like patterns (N3)
+ * @param {Array<boolean>} line - Row or column
+ * @returns {number}
+ */
+function linePenalty(line) {
+  let penalty = 0;
+
+  let runLength = 1;
+  for (let i = 1; i <= line.length; i++) {
+    if (i < line.length && line[i] === line[i - 1]) {
+      runLength++;
+    } else {
+      if (runLength >= 5) {
+        penalty += PENALTY_N1 + (runLength - 5);
+      }
+      runLength = 1;
+    }
+  }
+
+  // 1:1:3:1:1 dark pattern with four light modules on either side (outside counts as light)
+  const at = (i) => i >= 0 && i < line.length && line[i];
+  const core = [true, false, true, true, true, false, true];
+  for (let i = 0; i + core.length <= line.length; i++) {
+    if (!core.every((dark, k) => line[i + k] === dark)) {
+      continue;
+    }
+    const lightBefore = [1, 2, 3, 4].every(k => !at(i - k));
+    const lightAfter = [0, 1, 2, 3].every(k => !at(i + core.length + k));
+    if (lightBefore || lightAfter) {
+      penalty += PENALTY_N3;
+    }
+  }
+
+  return penalty;
+}
+
+/**
+ * Computes the mask penalty score of the current grid
+ * @param {Object} grid - Module grid
+ * @returns {number}
+ */
+function getPenaltyScore(grid) {
+  const { size, modules } = grid;
+  let penalty = 0;
+
+  for (let y = 0; y < size; y++) {
+    penalty += linePenalty(modules[y]);
+  }
+  for (let x = 0; x < size; x++) {
+    penalty += linePenalty(modules.map(row => row[x]));
+  }
+
+  // 2x2 blocks of one color
+  for (let y = 0; y < size - 1; y++) {
+    for (let x = 0; x < size - 1; x++) {
+      const color = modules[y][x];
+      if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+        penalty += PENALTY_N2;
+      }
+    }
+  }
+
+  // Balance of dark and light modules
+  const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+  const total = size * size;
+  const k = Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1;
+  penalty += Math.max(0, k) * PENALTY_N4;
+
+  return penalty;
+}
+
+/**
+ * Encodes text as a QR code
+ * @param {string} text - Text to encode (UTF-8)
+ * @returns {{version: number, size: number, mask: number, modules: Array<Array<boolean>>}} Module matrix, modules[y][x] true = dark
+ * @throws {Error} If the text does not fit in a version 10 symbol
+ */
+export function encodeQR(text) {
+  const bytes = new TextEncoder().encode(text);
+
+  let version = MIN_VERSION;
+  for (; version <= MAX_VERSION; version++) {
+    const requiredBits = 4 + (version <= 9 ? 8 : 16) + bytes.length * 8;
+    if (requiredBits <= getNumDataCodewords(version) * 8) {
+      break;
+    }
+  }
+  if (version > MAX_VERSION) {
+    throw new Error(`Data too long for QR code (${bytes.length} bytes)`);
+  }
+
+  const grid = createGrid(version * 4 + 17);
+  drawFunctionPatterns(grid, version);
+  drawCodewords(grid, addEccAndInterleave(buildDataCodewords(bytes, version), version));
+
+  // Pick the mask with the lowest penalty
+  let bestMask = 0;
+  let minPenalty = Infinity;
+  for (let mask = 0; mask < 8; mask++) {
+    applyMask(grid, mask);
+    drawFormatBits(grid, mask);
+    const penalty = getPenaltyScore(grid);
+    if (penalty < minPenalty) {
+      bestMask = mask;
+      minPenalty = penalty;
+    }
+    applyMask(grid, mask); // Undo
+  }
+  applyMask(grid, bestMask);
+  drawFormatBits(grid, bestMask);
+
+  return {
+    version,
+    size: grid.size,
+    mask: bestMask,
+    modules: grid.modules
+  };
+}
+
+/**
+ * Converts a QR module matrix to an SVG path (one unit per module)
+ * @param {Array<Array<boolean>>} modules - Module matrix from encodeQR
+ * @param {number} border - Quiet zone in modules (default: 4)
+ * @returns {string} SVG path data for the dark modules
+ */
+export function qrToSvgPath(modules, border = 4) {
+  const parts = [];
+  modules.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (dark) {
+        parts.push(`M${x + border},${y + border}h1v1h-1z`);
+      }
+    });
+  });
+  return parts.join('');
+}
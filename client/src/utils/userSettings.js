@@ -8,6 +8,8 @@ const SETTINGS_KEY = 'userSettings';
 const defaultSettings = {
   notifications: true,
   readReceipts: true,
+  showPresence: true, // Online status, last seen and typing indicators
+  sealedSender: false, // Hide who sends messages from the server (crypto/sealedSender.js)
   securityAlerts: true,
   biometric: false,
 };
@@ -26,6 +26,15 @@ describe('Crypto Error Handling Tests', () => {
       expect(result.errorType).toBe('KEY_NOT_FOUND');
     });
 
+    test('should handle identity key change errors', () => {
+      const error = new Error('Safety number changed: the identity key of this verified contact is different.');
+      error.code = 'IDENTITY_KEY_CHANGED';
+      const result = getCryptoErrorMessage(error, 'session establishment');
+      
+      expect(result.userMessage).toContain('safety number');
+      expect(result.errorType).toBe('IDENTITY_KEY_CHANGED');
+    });
+
     test('should handle session not found errors', () => {
       const error = new Error('Session not found');
       const result = getCryptoErrorMessage(error, 'decryption');
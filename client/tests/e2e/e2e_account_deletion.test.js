@@ -0,0 +1,60 @@
+/**
+ * Account Deletion Tests
+ *
+ * Verifies the local half of account deletion:
+ * - wiping InfosecCryptoDB removes identity keys, prekeys, message history
+ *   and pinned contacts
+ * - the per-user device ID is forgotten
+ * - modules can keep using the database after the wipe
+ */
+
+jest.setTimeout(60000);
+
+import { generateIdentityKeyPair, storePrivateKeyEncrypted, hasIdentityKey, exportPublicKey } from '../../src/crypto/identityKeys.js';
+import { generateEphemeralKeyPair } from '../../src/crypto/ecdh.js';
+import { initializeSessionEncryption } from '../../src/crypto/sessionManager.js';
+import { storePreKeyPair, loadPreKeyPair } from '../../src/crypto/preKeys.js';
+import { storeMessage, loadMessages } from '../../src/utils/messageStorage.js';
+import { pinContactIdentityKey, getContact } from '../../src/utils/contactStore.js';
+import { wipeLocalCryptoData } from '../../src/utils/accountDeletion.js';
+
+const USER = 'user-account-deletion';
+const PEER = 'peer-account-deletion';
+const PASSWORD = 'DeletionPassword123!';
+const SESSION_ID = 'session-account-deletion';
+
+describe('Account Deletion Tests', () => {
+  beforeAll(async () => {
+    await initializeSessionEncryption(USER, PASSWORD);
+  });
+
+  test('wipes keys, history and contacts from IndexedDB', async () => {
+    const identity = await generateIdentityKeyPair();
+    await storePrivateKeyEncrypted(USER, identity.privateKey, PASSWORD);
+    await storePreKeyPair(USER, 'signed', 1, await generateEphemeralKeyPair());
+    await storeMessage(SESSION_ID, { id: 'msg-1', content: 'hello', seq: 1, timestamp: Date.now() }, USER);
+    const peerIdentity = await generateIdentityKeyPair();
+    await pinContactIdentityKey(USER, PEER, await exportPublicKey(peerIdentity.publicKey));
+    localStorage.setItem(`deviceId:${USER}`, 'device-to-forget');
+
+    expect(await hasIdentityKey(USER)).toBe(true);
+    expect(await loadMessages(SESSION_ID)).toHaveLength(1);
+
+    const cleared = await wipeLocalCryptoData(USER);
+
+    expect(cleared).toEqual(expect.arrayContaining(['identityKeys', 'preKeys', 'messages', 'contacts']));
+    expect(await hasIdentityKey(USER)).toBe(false);
+    expect(await loadPreKeyPair(USER, 'signed', 1)).toBeNull();
+    expect(await loadMessages(SESSION_ID)).toEqual([]);
+    expect(await getContact(USER, PEER)).toBeNull();
+    expect(localStorage.getItem(`deviceId:${USER}`)).toBeNull();
+  });
+
+  test('leaves the database usable', async () => {
+    await wipeLocalCryptoData(USER);
+
+    const identity = await generateIdentityKeyPair();
+    await storePrivateKeyEncrypted(USER, identity.privateKey, PASSWORD);
+    expect(await hasIdentityKey(USER)).toBe(true);
+  });
+});
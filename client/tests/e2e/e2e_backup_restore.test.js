@@ -0,0 +1,232 @@
+/**
+ * E2EE Backup and Restore Tests
+ *
+ * Verifies passphrase-encrypted backups of the local key store:
+ * - a backup restores the identity key, sessions and messages after storage is wiped
+ * - other members' sender keys and group history are restored; our own sender key is not
+ * - restored ratchet sessions need a re-handshake and are not sent on
+ * - restored data is re-encrypted with the current account password
+ * - a wrong passphrase or a modified header or ciphertext is rejected
+ * - unknown formats, newer versions and other accounts' backups are rejected
+ */
+
+jest.setTimeout(60000);
+
+import {
+  createBackup,
+  decryptBackup,
+  restoreBackup,
+  parseBackupFile,
+  validateBackupPassphrase,
+  BACKUP_FORMAT,
+  BACKUP_VERSION
+} from '../../src/crypto/backup.js';
+import {
+  generateIdentityKeyPair,
+  storePrivateKeyEncrypted,
+  loadPublicKeyJWK,
+  deleteIdentityKey,
+  hasIdentityKey
+} from '../../src/crypto/identityKeys.js';
+import { createSession, loadSession, storeSession, deleteSession, clearSessionEncryptionCache } from '../../src/crypto/sessionManager.js';
+import {
+  createSenderKey,
+  processSenderKeyDistribution,
+  loadSenderKeyState,
+  deleteSenderKeys,
+  SENDER_KEY_DISTRIBUTION
+} from '../../src/crypto/senderKeys.js';
+import { sendEncryptedMessage, sendToPeerDevices } from '../../src/crypto/messageFlow.js';
+import { arrayBufferToBase64 } from '../../src/crypto/signatures.js';
+import { storeMessage, loadMessages, clearMessages } from '../../src/utils/messageStorage.js';
+import { getDeviceId, restoreDeviceId } from '../../src/utils/deviceStore.js';
+
+const ALICE = 'alice-backup-user';
+const BOB = 'bob-backup-user';
+const PASSWORD = 'AlicePassword123!';
+const PASSPHRASE = 'correct horse battery staple';
+const SESSION_ID = 'session-alice-bob-backup';
+const GROUP_ID = 'group-backup';
+
+const randomKey = () => crypto.getRandomValues(new Uint8Array(32)).buffer;
+const toArray = (buffer) => Array.from(new Uint8Array(buffer));
+
+describe('E2EE Backup and Restore Tests', () => {
+  let publicKeyJWK;
+  let sessionKeys;
+
+  beforeEach(async () => {
+    clearSessionEncryptionCache(ALICE);
+    const { privateKey } = await generateIdentityKeyPair();
+    await storePrivateKeyEncrypted(ALICE, privateKey, PASSWORD);
+    publicKeyJWK = await loadPublicKeyJWK(ALICE, PASSWORD);
+
+    sessionKeys = { rootKey: randomKey(), sendKey: randomKey(), recvKey: randomKey() };
+    await createSession(SESSION_ID, ALICE, BOB, sessionKeys.rootKey, sessionKeys.sendKey, sessionKeys.recvKey, PASSWORD);
+    await storeMessage(SESSION_ID, { id: 'msg-1', content: 'hello', sender: ALICE, seq: 1, sent: true }, ALICE);
+    restoreDeviceId(ALICE, 'laptop');
+  });
+
+  async function wipeLocalStorage() {
+    await deleteIdentityKey(ALICE);
+    await deleteSession(SESSION_ID);
+    await clearMessages(SESSION_ID);
+    await clearMessages(GROUP_ID);
+    await deleteSenderKeys(ALICE, GROUP_ID);
+    clearSessionEncryptionCache(ALICE);
+    localStorage.clear();
+  }
+
+  test('restores the identity key, sessions and messages after storage is wiped', async () => {
+    const backup = await createBackup(ALICE, PASSWORD, PASSPHRASE, { includeMessages: true });
+    await wipeLocalStorage();
+    expect(await hasIdentityKey(ALICE)).toBe(false);
+
+    const result = await restoreBackup(JSON.stringify(backup), PASSPHRASE, ALICE, PASSWORD);
+
+    expect(result).toEqual({ sessions: 1, senderKeys: 0, messages: 1, deviceId: 'laptop' });
+    expect(await loadPublicKeyJWK(ALICE, PASSWORD)).toEqual(publicKeyJWK);
+
+    const session = await loadSession(SESSION_ID, ALICE);
+    expect(session.peerId).toBe(BOB);
+    expect(toArray(session.rootKey)).toEqual(toArray(sessionKeys.rootKey));
+    expect(toArray(session.sendKey)).toEqual(toArray(sessionKeys.sendKey));
+    expect(toArray(session.recvKey)).toEqual(toArray(sessionKeys.recvKey));
+    expect(session.ratchet).toBeTruthy();
+
+    const messages = await loadMessages(SESSION_ID);
+    expect(messages.map(m => m.content)).toEqual(['hello']);
+    expect(getDeviceId()).toBe('laptop');
+    expect(localStorage.getItem(`deviceId:${ALICE}`)).toBe('laptop');
+  });
+
+  test('restores other members\' sender keys and group history, but not our own sender key', async () => {
+    const signingKey = await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+    const { kty, crv, x, y } = await crypto.subtle.exportKey('jwk', signingKey.publicKey);
+    const bobKey = await processSenderKeyDistribution(ALICE, BOB, {
+      kind: SENDER_KEY_DISTRIBUTION,
+      groupId: GROUP_ID,
+      epoch: 0,
+      keyId: 'bob-key',
+      iteration: 3,
+      chainKey: arrayBufferToBase64(randomKey()),
+      signingPublicKeyJWK: { kty, crv, x, y }
+    });
+    await createSenderKey(ALICE, GROUP_ID, 0);
+    await storeMessage(GROUP_ID, { id: `${GROUP_ID}-${BOB}-1`, content: 'hi group', sender: BOB, seq: 1 }, ALICE);
+
+    const backup = await createBackup(ALICE, PASSWORD, PASSPHRASE, { includeMessages: true });
+    await wipeLocalStorage();
+    expect(await loadMessages(GROUP_ID)).toEqual([]);
+
+    const result = await restoreBackup(backup, PASSPHRASE, ALICE, PASSWORD);
+
+    expect(result.senderKeys).toBe(1);
+    expect(result.messages).toBe(2);
+    expect(await loadSenderKeyState(ALICE, GROUP_ID, BOB)).toEqual(bobKey);
+    // Resuming our own chain would reuse message keys; a new key is distributed instead
+    expect(await loadSenderKeyState(ALICE, GROUP_ID, ALICE)).toBeNull();
+    expect((await loadMessages(GROUP_ID)).map(m => m.content)).toEqual(['hi group']);
+  });
+
+  test('marks restored ratchet sessions as needing a re-handshake and does not send on them', async () => {
+    const session = await loadSession(SESSION_ID, ALICE);
+    await storeSession({ ...session, peerDeviceId: 'bob-phone' }, ALICE);
+    const backup = await createBackup(ALICE, PASSWORD, PASSPHRASE);
+    await wipeLocalStorage();
+    await restoreBackup(backup, PASSPHRASE, ALICE, PASSWORD);
+
+    const restored = await loadSession(SESSION_ID, ALICE);
+    expect(restored.needsRehandshake).toBe(true);
+
+    const socketEmit = jest.fn();
+    await expect(sendEncryptedMessage(SESSION_ID, 'stale', socketEmit, ALICE)).rejects.toThrow();
+    expect(socketEmit).not.toHaveBeenCalled();
+
+    // The conversation sends on the fresh session with the same device instead
+    const replacementId = 'session-alice-bob-rehandshake';
+    await createSession(replacementId, ALICE, BOB, randomKey(), randomKey(), randomKey(), PASSWORD);
+    const replacement = await loadSession(replacementId, ALICE);
+    await storeSession({ ...replacement, peerDeviceId: 'bob-phone', conversationId: SESSION_ID }, ALICE);
+
+    const { envelope } = await sendToPeerDevices(SESSION_ID, 'hello again', socketEmit, ALICE, PASSWORD);
+
+    expect(envelope.sessionId).toBe(replacementId);
+    expect(socketEmit).toHaveBeenCalledWith('msg:send', expect.objectContaining({ sessionId: replacementId }));
+    expect(socketEmit).not.toHaveBeenCalledWith('msg:send', expect.objectContaining({ sessionId: SESSION_ID }));
+    expect((await loadSession(SESSION_ID, ALICE)).ratchet).toEqual(restored.ratchet);
+
+    await deleteSession(replacementId);
+  });
+
+  test('leaves out messages unless requested', async () => {
+    const backup = await createBackup(ALICE, PASSWORD, PASSPHRASE);
+    const payload = await decryptBackup(backup, PASSPHRASE);
+
+    expect(backup.includesMessages).toBe(false);
+    expect(payload.messages).toEqual([]);
+    expect(payload.sessions).toHaveLength(1);
+  });
+
+  test('re-encrypts restored keys with the new account password', async () => {
+    const backup = await createBackup(ALICE, PASSWORD, PASSPHRASE);
+    await wipeLocalStorage();
+
+    await restoreBackup(backup, PASSPHRASE, ALICE, 'NewPassword456!');
+
+    expect(await loadPublicKeyJWK(ALICE, 'NewPassword456!')).toEqual(publicKeyJWK);
+    await expect(loadPublicKeyJWK(ALICE, PASSWORD)).rejects.toThrow();
+  });
+
+  test('does not expose keys in the backup file', async () => {
+    const backup = await createBackup(ALICE, PASSWORD, PASSPHRASE);
+    const fileText = JSON.stringify(backup);
+
+    expect(backup.format).toBe(BACKUP_FORMAT);
+    expect(backup.version).toBe(BACKUP_VERSION);
+    expect(fileText).not.toContain(publicKeyJWK.x);
+    expect(fileText).not.toContain(SESSION_ID);
+  });
+
+  test('rejects a wrong passphrase', async () => {
+    const backup = await createBackup(ALICE, PASSWORD, PASSPHRASE);
+
+    await expect(decryptBackup(backup, 'wrong passphrase here')).rejects.toThrow(/passphrase is incorrect/);
+  });
+
+  test('rejects a modified header or ciphertext', async () => {
+    const backup = await createBackup(ALICE, PASSWORD, PASSPHRASE);
+
+    await expect(decryptBackup({ ...backup, createdAt: new Date(0).toISOString() }, PASSPHRASE))
+      .rejects.toThrow(/modified/);
+    await expect(decryptBackup({ ...backup, userId: BOB }, PASSPHRASE))
+      .rejects.toThrow(/modified/);
+
+    const bytes = Uint8Array.from(atob(backup.ciphertext), c => c.charCodeAt(0));
+    bytes[0] ^= 0xff;
+    const tampered = btoa(String.fromCharCode(...bytes));
+    await expect(decryptBackup({ ...backup, ciphertext: tampered }, PASSPHRASE))
+      .rejects.toThrow(/modified/);
+  });
+
+  test('rejects unknown formats and newer versions before decrypting', async () => {
+    const backup = await createBackup(ALICE, PASSWORD, PASSPHRASE);
+
+    expect(() => parseBackupFile('not json')).toThrow(/not valid JSON/);
+    expect(() => parseBackupFile({ ...backup, format: 'other' })).toThrow(/Not a backup file/);
+    expect(() => parseBackupFile({ ...backup, version: BACKUP_VERSION + 1 })).toThrow(/newer than this app supports/);
+    expect(() => parseBackupFile({ ...backup, kdf: { ...backup.kdf, iterations: 1e12 } })).toThrow(/key derivation/);
+  });
+
+  test('refuses to restore another account\'s backup', async () => {
+    const backup = await createBackup(ALICE, PASSWORD, PASSPHRASE);
+
+    await expect(restoreBackup(backup, PASSPHRASE, BOB, PASSWORD)).rejects.toThrow(/different account/);
+  });
+
+  test('requires a long enough passphrase', async () => {
+    expect(validateBackupPassphrase('short')).toMatch(/at least 12 characters/);
+    expect(validateBackupPassphrase(PASSPHRASE)).toBeNull();
+    await expect(createBackup(ALICE, PASSWORD, 'short')).rejects.toThrow(/at least 12 characters/);
+  });
+});
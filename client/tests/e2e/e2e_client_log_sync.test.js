@@ -0,0 +1,70 @@
+/**
+ * Client Security Log Sync Tests
+ *
+ * Verifies uploading of locally logged security events:
+ * - unsynced events are sent in batches the server accepts
+ * - events are marked synced only after a successful upload
+ * - only the signed-in user's (or unattributed) events are sent
+ */
+
+jest.setTimeout(60000);
+
+import {
+  logReplayAttempt,
+  logInvalidSignature,
+  getLogs,
+  clearLogs,
+  syncCriticalEventsToServer
+} from '../../src/utils/clientLogger.js';
+
+const ALICE = 'alice-log-sync-user';
+const BOB = 'bob-log-sync-user';
+
+describe('Client Security Log Sync Tests', () => {
+  beforeEach(async () => {
+    await clearLogs();
+  });
+
+  test('uploads unsynced events once and marks them synced', async () => {
+    await logReplayAttempt('session-1', 3, Date.now(), 'Duplicate nonce', ALICE);
+    await logInvalidSignature('session-1', 'Bad signature', ALICE, 'KEP_INIT');
+    const apiCall = jest.fn().mockResolvedValue();
+
+    expect(await syncCriticalEventsToServer(apiCall, { userId: ALICE })).toBe(2);
+    expect(apiCall).toHaveBeenCalledTimes(1);
+    expect(apiCall.mock.calls[0][0].map(log => log.event).sort()).toEqual(['invalid_signature', 'replay_attempt']);
+    expect(apiCall.mock.calls[0][0][0]).not.toHaveProperty('synced');
+
+    expect((await getLogs({ userId: ALICE })).every(log => log.synced)).toBe(true);
+    expect(await syncCriticalEventsToServer(apiCall, { userId: ALICE })).toBe(0);
+    expect(apiCall).toHaveBeenCalledTimes(1);
+  });
+
+  test('keeps events unsynced when the upload fails', async () => {
+    await logReplayAttempt('session-1', 3, Date.now(), 'Duplicate nonce', ALICE);
+    const apiCall = jest.fn().mockRejectedValue(new Error('Server unavailable'));
+
+    await expect(syncCriticalEventsToServer(apiCall, { userId: ALICE })).rejects.toThrow('Server unavailable');
+    expect((await getLogs({ userId: ALICE })).some(log => log.synced)).toBe(false);
+  });
+
+  test('sends at most 100 events per request', async () => {
+    for (let i = 0; i < 150; i++) {
+      await logReplayAttempt('session-1', i, Date.now(), 'Duplicate nonce', ALICE);
+    }
+    const apiCall = jest.fn().mockResolvedValue();
+
+    expect(await syncCriticalEventsToServer(apiCall, { userId: ALICE })).toBe(150);
+    expect(apiCall.mock.calls.map(([logs]) => logs.length)).toEqual([100, 50]);
+  });
+
+  test('does not upload another user\'s events', async () => {
+    await logReplayAttempt('session-1', 1, Date.now(), 'Duplicate nonce', ALICE);
+    await logReplayAttempt('session-2', 1, Date.now(), 'Duplicate nonce', BOB);
+    const apiCall = jest.fn().mockResolvedValue();
+
+    expect(await syncCriticalEventsToServer(apiCall, { userId: ALICE })).toBe(1);
+    expect(apiCall.mock.calls[0][0][0].userId).toBe(ALICE);
+    expect((await getLogs({ userId: BOB }))[0].synced).toBe(false);
+  });
+});
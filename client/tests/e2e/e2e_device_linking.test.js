@@ -0,0 +1,166 @@
+/**
+ * E2EE Device Linking Tests
+ *
+ * Verifies the client side of linking a new device:
+ * - both devices derive the same link code from the new device's key
+ * - a substituted key or device ID changes the code
+ * - typed codes are compared without spacing, and only full codes match
+ * - the approval signature verifies against the approver's identity key
+ * - contacts accept a device only if its approvals lead back to the oldest device
+ * - transparency log leaves of non-primary devices commit to the device ID
+ */
+
+jest.setTimeout(60000);
+
+import {
+  buildDeviceLinkData,
+  computeDeviceLinkCode,
+  linkCodesMatch,
+  signDeviceLink,
+  verifyDeviceApprovalChain
+} from '../../src/crypto/devices.js';
+import { generateIdentityKeyPair, exportPublicKey } from '../../src/crypto/identityKeys.js';
+import { verifySignature, base64ToArrayBuffer } from '../../src/crypto/signatures.js';
+import { buildLeafData } from '../../src/crypto/keyTransparency.js';
+
+const userId = '507f1f77bcf86cd799439011';
+
+async function generateDeviceKey() {
+  const keyPair = await generateIdentityKeyPair();
+  return { ...keyPair, jwk: await exportPublicKey(keyPair.publicKey) };
+}
+
+describe('Device Linking', () => {
+  let laptop;
+  let phone;
+
+  beforeAll(async () => {
+    laptop = await generateDeviceKey();
+    phone = await generateDeviceKey();
+  });
+
+  describe('Link Code', () => {
+    test('is six digits and identical on both devices', async () => {
+      const onNewDevice = await computeDeviceLinkCode(userId, 'phone', phone.jwk);
+      const onApprover = await computeDeviceLinkCode(userId, 'phone', { ...phone.jwk, ext: true, key_ops: ['verify'] });
+
+      expect(onNewDevice).toMatch(/^\d{3} \d{3}$/);
+      expect(onApprover).toBe(onNewDevice);
+    });
+
+    test('changes when the server substitutes the key or device', async () => {
+      const code = await computeDeviceLinkCode(userId, 'phone', phone.jwk);
+
+      expect(await computeDeviceLinkCode(userId, 'phone', laptop.jwk)).not.toBe(code);
+      expect(await computeDeviceLinkCode(userId, 'tablet', phone.jwk)).not.toBe(code);
+      expect(await computeDeviceLinkCode('507f1f77bcf86cd799439012', 'phone', phone.jwk)).not.toBe(code);
+    });
+
+    test('typed codes ignore spacing but must be complete', () => {
+      expect(linkCodesMatch('042917', '042 917')).toBe(true);
+      expect(linkCodesMatch(' 042-917 ', '042 917')).toBe(true);
+      expect(linkCodesMatch('042 918', '042 917')).toBe(false);
+      expect(linkCodesMatch('', '')).toBe(false);
+      expect(linkCodesMatch(undefined, '042 917')).toBe(false);
+    });
+  });
+
+  describe('Approval Signature', () => {
+    test('verifies against the approving device key', async () => {
+      const signature = await signDeviceLink(laptop.privateKey, userId, 'phone', phone.jwk);
+      const data = buildDeviceLinkData(userId, 'phone', phone.jwk);
+
+      expect(await verifySignature(laptop.publicKey, base64ToArrayBuffer(signature), data)).toBe(true);
+      expect(await verifySignature(phone.publicKey, base64ToArrayBuffer(signature), data)).toBe(false);
+    });
+
+    test('does not cover a different device key', async () => {
+      const signature = await signDeviceLink(laptop.privateKey, userId, 'phone', phone.jwk);
+      const substituted = buildDeviceLinkData(userId, 'phone', laptop.jwk);
+
+      expect(await verifySignature(laptop.publicKey, base64ToArrayBuffer(signature), substituted)).toBe(false);
+    });
+
+    test('signs only the public key coordinates', () => {
+      const data = JSON.parse(buildDeviceLinkData(userId, 'phone', { ...phone.jwk, d: 'secret', ext: true }));
+
+      expect(data).toEqual({
+        userId,
+        deviceId: 'phone',
+        publicKey: { kty: 'EC', crv: 'P-256', x: phone.jwk.x, y: phone.jwk.y }
+      });
+    });
+  });
+
+  describe('Approval Chain', () => {
+    let tablet;
+    let devices;
+
+    beforeAll(async () => {
+      tablet = await generateDeviceKey();
+      devices = [
+        { deviceId: 'laptop', publicIdentityKeyJWK: laptop.jwk, linkedBy: null },
+        {
+          deviceId: 'phone',
+          publicIdentityKeyJWK: phone.jwk,
+          linkedBy: { deviceId: 'laptop', signature: await signDeviceLink(laptop.privateKey, userId, 'phone', phone.jwk) }
+        },
+        {
+          deviceId: 'tablet',
+          publicIdentityKeyJWK: tablet.jwk,
+          linkedBy: { deviceId: 'phone', signature: await signDeviceLink(phone.privateKey, userId, 'tablet', tablet.jwk) }
+        }
+      ];
+    });
+
+    test('accepts devices approved directly or transitively by the oldest device', async () => {
+      expect(await verifyDeviceApprovalChain(userId, 'laptop', devices)).toBe(true);
+      expect(await verifyDeviceApprovalChain(userId, 'phone', devices)).toBe(true);
+      expect(await verifyDeviceApprovalChain(userId, 'tablet', devices)).toBe(true);
+    });
+
+    test('rejects a device whose key the approval does not cover', async () => {
+      const substituted = devices.map(device =>
+        device.deviceId === 'phone' ? { ...device, publicIdentityKeyJWK: tablet.jwk } : device);
+
+      expect(await verifyDeviceApprovalChain(userId, 'phone', substituted)).toBe(false);
+      // The tablet's approver is no longer trusted either
+      expect(await verifyDeviceApprovalChain(userId, 'tablet', substituted)).toBe(false);
+    });
+
+    test('rejects missing, unknown and self-made approvals', async () => {
+      const withApproval = (linkedBy) => devices.map(device =>
+        device.deviceId === 'tablet' ? { ...device, linkedBy } : device);
+      const selfSigned = await signDeviceLink(tablet.privateKey, userId, 'tablet', tablet.jwk);
+
+      expect(await verifyDeviceApprovalChain(userId, 'tablet', withApproval(null))).toBe(false);
+      expect(await verifyDeviceApprovalChain(userId, 'tablet', withApproval({ deviceId: 'desktop', signature: selfSigned }))).toBe(false);
+      expect(await verifyDeviceApprovalChain(userId, 'tablet', withApproval({ deviceId: 'tablet', signature: selfSigned }))).toBe(false);
+      expect(await verifyDeviceApprovalChain(userId, 'unknown', devices)).toBe(false);
+    });
+
+    test('rejects approvals for another account', async () => {
+      expect(await verifyDeviceApprovalChain('507f1f77bcf86cd799439012', 'phone', devices)).toBe(false);
+    });
+  });
+
+  describe('Transparency Log Leaves', () => {
+    const entry = {
+      userId,
+      publicKey: { kty: 'EC', crv: 'P-256', x: 'x', y: 'y' },
+      version: 1,
+      timestamp: 1700000000000
+    };
+
+    test('primary device leaves keep the original format', () => {
+      expect(JSON.parse(buildLeafData(entry))).not.toHaveProperty('deviceId');
+    });
+
+    test('other device leaves commit to the device ID', () => {
+      const leaf = buildLeafData({ ...entry, deviceId: 'phone' });
+
+      expect(JSON.parse(leaf).deviceId).toBe('phone');
+      expect(leaf).not.toBe(buildLeafData({ ...entry, deviceId: 'tablet' }));
+    });
+  });
+});
@@ -0,0 +1,219 @@
+/**
+ * Disappearing Message Tests
+ *
+ * Verifies per-conversation disappearing-message timers:
+ * - timer changes are signed with the identity key and validated on parse
+ * - the latest change wins when both peers change the timer
+ * - timer changes are encrypted control messages stored in the session record
+ * - envelopes of a timed conversation carry expiresIn
+ * - expired messages leave the messages store, the offline queue and the search index
+ */
+
+jest.setTimeout(60000);
+
+import {
+  TIMER_KIND,
+  MIN_TIMER_SECONDS,
+  MAX_TIMER_SECONDS,
+  isValidTimer,
+  signTimer,
+  verifyTimer,
+  buildTimerPayload,
+  parseTimerPayload,
+  applyTimerToSession,
+  getExpiresAt,
+  purgeExpiredMessages
+} from '../../src/crypto/disappearingMessages.js';
+import { sendEncryptedMessage, sendDisappearingTimer, acceptDisappearingTimer, handleIncomingMessage } from '../../src/crypto/messageFlow.js';
+import { generateIdentityKeyPair, storePrivateKeyEncrypted } from '../../src/crypto/identityKeys.js';
+import { createSession, loadSession, clearSessionEncryptionCache, initializeSessionEncryption } from '../../src/crypto/sessionManager.js';
+import { sequenceManager } from '../../src/crypto/messages.js';
+import { storeMessage, loadMessages, clearMessages } from '../../src/utils/messageStorage.js';
+import { queueMessage, getQueuedMessages, clearQueue } from '../../src/utils/messageQueue.js';
+import { indexMessage, searchMessages, clearSearchIndex } from '../../src/utils/messageSearch.js';
+
+const ALICE = 'alice-disappearing-user';
+const BOB = 'bob-disappearing-user';
+const PASSWORD = 'DisappearingPassword123!';
+const SESSION_ID = 'session-alice-bob-disappearing';
+
+const randomKey = () => crypto.getRandomValues(new Uint8Array(32)).buffer;
+
+describe('Disappearing Message Tests', () => {
+  describe('Timer Changes', () => {
+    let alice;
+    let bob;
+
+    beforeAll(async () => {
+      alice = await generateIdentityKeyPair();
+      bob = await generateIdentityKeyPair();
+    });
+
+    test('accepts timers from 30 seconds to 4 weeks, or off', () => {
+      expect(isValidTimer(0)).toBe(true);
+      expect(isValidTimer(MIN_TIMER_SECONDS)).toBe(true);
+      expect(isValidTimer(MAX_TIMER_SECONDS)).toBe(true);
+      expect(isValidTimer(MIN_TIMER_SECONDS - 1)).toBe(false);
+      expect(isValidTimer(MAX_TIMER_SECONDS + 1)).toBe(false);
+      expect(isValidTimer(90.5)).toBe(false);
+      expect(isValidTimer('3600')).toBe(false);
+    });
+
+    test('signs timer changes with the identity key', async () => {
+      const timer = await signTimer(alice.privateKey, ALICE, BOB, 3600);
+      const parsed = parseTimerPayload(buildTimerPayload(timer));
+
+      expect(parsed).toEqual(timer);
+      expect(await verifyTimer(parsed, alice.publicKey)).toBe(true);
+      expect(await verifyTimer(parsed, bob.publicKey)).toBe(false);
+      expect(await verifyTimer({ ...parsed, seconds: 30 }, alice.publicKey)).toBe(false);
+      expect(await verifyTimer({ ...parsed, to: ALICE }, alice.publicKey)).toBe(false);
+    });
+
+    test('rejects malformed timer changes', async () => {
+      await expect(signTimer(alice.privateKey, ALICE, BOB, 10)).rejects.toThrow(/Invalid disappearing message timer/);
+
+      const timer = await signTimer(alice.privateKey, ALICE, BOB, 300);
+      expect(parseTimerPayload('hello')).toBeNull();
+      expect(parseTimerPayload(JSON.stringify({ kind: TIMER_KIND, ...timer, seconds: 10 }))).toBeNull();
+      expect(parseTimerPayload(JSON.stringify({ kind: TIMER_KIND, ...timer, signature: undefined }))).toBeNull();
+      expect(parseTimerPayload(JSON.stringify({ kind: TIMER_KIND, ...timer, setAt: 'now' }))).toBeNull();
+    });
+
+    test('keeps the latest change', () => {
+      const session = {};
+
+      expect(applyTimerToSession(session, { from: ALICE, seconds: 3600, setAt: 2000 })).toBe(true);
+      expect(applyTimerToSession(session, { from: BOB, seconds: 30, setAt: 1000 })).toBe(false);
+      expect(session.disappearingTimer).toEqual({ seconds: 3600, setAt: 2000, setBy: ALICE });
+
+      // Changes made at the same time settle on the shorter timer on both sides
+      expect(applyTimerToSession(session, { from: BOB, seconds: 300, setAt: 2000 })).toBe(true);
+      expect(applyTimerToSession(session, { from: ALICE, seconds: 3600, setAt: 2000 })).toBe(false);
+      expect(session.disappearingTimer.seconds).toBe(300);
+
+      expect(applyTimerToSession(session, { from: ALICE, seconds: 0, setAt: 3000 })).toBe(true);
+      expect(session.disappearingTimer.seconds).toBe(0);
+    });
+  });
+
+  describe('Envelopes', () => {
+    beforeAll(async () => {
+      const identity = await generateIdentityKeyPair();
+      await storePrivateKeyEncrypted(ALICE, identity.privateKey, PASSWORD);
+
+      // Same send and receive key, so the session can decrypt its own messages
+      const key = randomKey();
+      clearSessionEncryptionCache(ALICE);
+      await createSession(SESSION_ID, ALICE, BOB, randomKey(), key, key, PASSWORD);
+    });
+
+    beforeEach(() => {
+      sequenceManager.resetSequence(SESSION_ID);
+    });
+
+    test('sends a signed, encrypted timer change and stores it in the session', async () => {
+      const socketEmit = jest.fn();
+      const { timer, envelope } = await sendDisappearingTimer(SESSION_ID, 3600, socketEmit, ALICE, PASSWORD);
+
+      expect(socketEmit).toHaveBeenCalledWith('msg:send', envelope);
+      expect(envelope.type).toBe('MSG');
+      expect(JSON.stringify(envelope)).not.toContain(TIMER_KIND);
+      expect(timer).toMatchObject({ from: ALICE, to: BOB, seconds: 3600 });
+
+      const session = await loadSession(SESSION_ID, ALICE);
+      expect(session.disappearingTimer).toEqual({ seconds: 3600, setAt: timer.setAt, setBy: ALICE });
+    });
+
+    test('returns a received timer change as a control result', async () => {
+      const { timer, envelope } = await sendDisappearingTimer(SESSION_ID, 300, jest.fn(), ALICE, PASSWORD);
+      sequenceManager.resetSequence(SESSION_ID);
+
+      const result = await handleIncomingMessage(envelope, ALICE);
+
+      expect(result.valid).toBe(true);
+      expect(result.control).toBe(TIMER_KIND);
+      expect(result.timer).toEqual(timer);
+      expect(result.conversationId).toBe(SESSION_ID);
+      expect(result.plaintext).toBeUndefined();
+
+      // Only the session peer may change the timer (this change came from ourselves)
+      await expect(acceptDisappearingTimer(result, ALICE)).rejects.toThrow(/not addressed to this conversation/);
+    });
+
+    test('marks envelopes of a timed conversation with expiresIn', async () => {
+      await sendDisappearingTimer(SESSION_ID, 3600, jest.fn(), ALICE, PASSWORD);
+      sequenceManager.resetSequence(SESSION_ID);
+
+      const envelope = await sendEncryptedMessage(SESSION_ID, 'this will disappear', jest.fn(), ALICE);
+      expect(envelope.expiresIn).toBe(3600);
+
+      sequenceManager.resetSequence(SESSION_ID);
+      const result = await handleIncomingMessage(envelope, ALICE);
+      expect(result.valid).toBe(true);
+      expect(result.plaintext).toBe('this will disappear');
+      expect(result.expiresIn).toBe(3600);
+
+      await sendDisappearingTimer(SESSION_ID, 0, jest.fn(), ALICE, PASSWORD);
+      const untimed = await sendEncryptedMessage(SESSION_ID, 'this stays', jest.fn(), ALICE);
+      expect(untimed.expiresIn).toBeUndefined();
+    });
+  });
+
+  describe('Purge', () => {
+    const PURGE_SESSION_ID = 'session-disappearing-purge';
+    const now = Date.now();
+
+    beforeEach(async () => {
+      clearSessionEncryptionCache(ALICE);
+      await initializeSessionEncryption(ALICE, PASSWORD);
+      await clearMessages(PURGE_SESSION_ID);
+      await clearQueue(PURGE_SESSION_ID);
+      await clearSearchIndex(ALICE);
+
+      const expired = {
+        id: 'msg-expired', content: 'gone soon', sender: BOB, seq: 1,
+        timestamp: now - 120000, expiresAt: getExpiresAt(now - 120000, 60)
+      };
+      const alive = {
+        id: 'msg-alive', content: 'gone later', sender: BOB, seq: 2,
+        timestamp: now, expiresAt: getExpiresAt(now, 3600)
+      };
+      const kept = { id: 'msg-kept', content: 'kept forever', sender: BOB, seq: 3, timestamp: now };
+      for (const message of [expired, alive, kept]) {
+        await storeMessage(PURGE_SESSION_ID, message, ALICE);
+        await indexMessage(ALICE, PURGE_SESSION_ID, message);
+      }
+
+      await queueMessage(PURGE_SESSION_ID, { type: 'MSG', seq: 4, timestamp: now - 120000, expiresIn: 60 });
+      await queueMessage(PURGE_SESSION_ID, { type: 'MSG', seq: 5, timestamp: now, expiresIn: 3600 });
+      await queueMessage(PURGE_SESSION_ID, { type: 'MSG', seq: 6, timestamp: now });
+    });
+
+    test('hides expired messages before they are purged', async () => {
+      const ids = (await loadMessages(PURGE_SESSION_ID)).map(message => message.id);
+      expect(ids).toEqual(['msg-alive', 'msg-kept']);
+
+      const queued = (await getQueuedMessages(PURGE_SESSION_ID)).map(entry => entry.envelope.seq);
+      expect(queued).toEqual([5, 6]);
+
+      const hits = (await searchMessages(ALICE, { text: 'gone' })).map(hit => hit.id);
+      expect(hits).toEqual(['msg-alive']);
+    });
+
+    test('deletes expired messages, queued envelopes and search entries', async () => {
+      const purged = await purgeExpiredMessages(ALICE);
+      expect(purged).toEqual({ messages: 1, queued: 1, searchEntries: 1 });
+
+      // Everything else expires later
+      const later = await purgeExpiredMessages(ALICE, now + 2 * 3600 * 1000);
+      expect(later).toEqual({ messages: 1, queued: 1, searchEntries: 1 });
+
+      expect(await purgeExpiredMessages(ALICE, now + 2 * 3600 * 1000))
+        .toEqual({ messages: 0, queued: 0, searchEntries: 0 });
+      expect((await loadMessages(PURGE_SESSION_ID)).map(message => message.id)).toEqual(['msg-kept']);
+      expect((await getQueuedMessages(PURGE_SESSION_ID)).map(entry => entry.envelope.seq)).toEqual([6]);
+      expect((await searchMessages(ALICE, { text: 'kept' })).map(hit => hit.id)).toEqual(['msg-kept']);
+    });
+  });
+});
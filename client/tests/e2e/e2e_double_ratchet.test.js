@@ -0,0 +1,223 @@
+/**
+ * E2EE Double Ratchet Tests
+ *
+ * Verifies per-message key evolution for text sessions:
+ * - initiator/responder bootstrap from KEP ephemeral keys
+ * - every message uses a fresh key (no static sendKey reuse)
+ * - DH ratchet steps on every change of speaker
+ * - out-of-order delivery via the bounded skipped-key cache
+ * - replayed and tampered messages are rejected
+ */
+
+import { generateEphemeralKeyPair, computeSharedSecret, deriveSessionKeys, exportPublicKey } from '../../src/crypto/ecdh.js';
+import {
+  initializeRatchetAsInitiator,
+  initializeRatchetAsResponder,
+  initializeSymmetricRatchet,
+  ratchetEncrypt,
+  ratchetDecrypt,
+  hasSkippedMessageKey,
+  MAX_SKIP
+} from '../../src/crypto/doubleRatchet.js';
+import { decryptAESGCMToString } from '../../src/crypto/aesGcm.js';
+
+const SESSION_ID = 'session-ratchet-test';
+
+/**
+ * Runs the KEP key derivation and ratchet bootstrap for Alice (initiator) and Bob (responder)
+ */
+async function establishRatchetPair() {
+  const aliceEph = await generateEphemeralKeyPair();
+  const bobEph = await generateEphemeralKeyPair();
+
+  const aliceShared = await computeSharedSecret(aliceEph.privateKey, bobEph.publicKey);
+  const bobShared = await computeSharedSecret(bobEph.privateKey, aliceEph.publicKey);
+
+  const aliceKeys = await deriveSessionKeys(aliceShared, SESSION_ID, 'alice', 'bob');
+  const bobKeys = await deriveSessionKeys(bobShared, SESSION_ID, 'bob', 'alice');
+
+  const bobEphPubJWK = await exportPublicKey(bobEph.publicKey);
+
+  const alice = await initializeRatchetAsInitiator(aliceKeys.rootKey, aliceKeys.sendKey, aliceKeys.recvKey, bobEphPubJWK);
+  const bob = await initializeRatchetAsResponder(bobKeys.rootKey, bobKeys.sendKey, bobKeys.recvKey, bobEph);
+
+  return { alice, bob, aliceKeys, bobKeys };
+}
+
+async function decryptText(state, message) {
+  const result = await ratchetDecrypt(state, SESSION_ID, message.header, message.ciphertext, message.iv, message.authTag);
+  return { state: result.state, text: new TextDecoder().decode(result.plaintext) };
+}
+
+describe('E2EE Double Ratchet Tests', () => {
+  test('initiator can send first and responder decrypts', async () => {
+    let { alice, bob } = await establishRatchetPair();
+
+    const msg = await ratchetEncrypt(alice, SESSION_ID, 'hello bob');
+    alice = msg.state;
+
+    const { text } = await decryptText(bob, msg);
+    expect(text).toBe('hello bob');
+  });
+
+  test('responder can send first on its HKDF-derived chain', async () => {
+    let { alice, bob } = await establishRatchetPair();
+
+    const msg = await ratchetEncrypt(bob, SESSION_ID, 'hi alice');
+    bob = msg.state;
+    expect(msg.header.n).toBe(0);
+
+    const { text } = await decryptText(alice, msg);
+    expect(text).toBe('hi alice');
+  });
+
+  test('every message uses a different key than the static session sendKey', async () => {
+    let { alice, aliceKeys } = await establishRatchetPair();
+
+    const first = await ratchetEncrypt(alice, SESSION_ID, 'same text');
+    alice = first.state;
+    const second = await ratchetEncrypt(alice, SESSION_ID, 'same text');
+
+    // Static sendKey cannot decrypt ratchet messages
+    await expect(
+      decryptAESGCMToString(aliceKeys.sendKey, first.iv, first.ciphertext, first.authTag)
+    ).rejects.toThrow();
+
+    // Chain key advanced between messages
+    expect(first.state.sendChainKey).not.toBe(second.state.sendChainKey);
+    expect(second.header.n).toBe(1);
+  });
+
+  test('DH ratchet steps on each change of speaker', async () => {
+    let { alice, bob } = await establishRatchetPair();
+
+    const a1 = await ratchetEncrypt(alice, SESSION_ID, 'a1');
+    alice = a1.state;
+    ({ state: bob } = await decryptText(bob, a1));
+    expect(bob.dhRatchetCount).toBe(1);
+
+    const b1 = await ratchetEncrypt(bob, SESSION_ID, 'b1');
+    bob = b1.state;
+    let text;
+    ({ state: alice, text } = await decryptText(alice, b1));
+    expect(text).toBe('b1');
+    expect(alice.dhRatchetCount).toBe(1);
+
+    const a2 = await ratchetEncrypt(alice, SESSION_ID, 'a2');
+    alice = a2.state;
+    expect(a2.header.dh.x).not.toBe(a1.header.dh.x);
+    ({ state: bob, text } = await decryptText(bob, a2));
+    expect(text).toBe('a2');
+    expect(bob.dhRatchetCount).toBe(2);
+  });
+
+  test('out-of-order messages decrypt using cached skipped keys', async () => {
+    let { alice, bob } = await establishRatchetPair();
+
+    const m0 = await ratchetEncrypt(alice, SESSION_ID, 'm0');
+    alice = m0.state;
+    const m1 = await ratchetEncrypt(alice, SESSION_ID, 'm1');
+    alice = m1.state;
+    const m2 = await ratchetEncrypt(alice, SESSION_ID, 'm2');
+    alice = m2.state;
+
+    let text;
+    ({ state: bob, text } = await decryptText(bob, m2));
+    expect(text).toBe('m2');
+    expect(hasSkippedMessageKey(bob, m0.header)).toBe(true);
+    expect(hasSkippedMessageKey(bob, m1.header)).toBe(true);
+
+    ({ state: bob, text } = await decryptText(bob, m0));
+    expect(text).toBe('m0');
+    ({ state: bob, text } = await decryptText(bob, m1));
+    expect(text).toBe('m1');
+    expect(bob.skippedKeys).toHaveLength(0);
+  });
+
+  test('messages from a previous sending chain survive a DH ratchet step', async () => {
+    let { alice, bob } = await establishRatchetPair();
+
+    // Bob sends twice on his initial chain; the second is delayed
+    const b0 = await ratchetEncrypt(bob, SESSION_ID, 'b0');
+    bob = b0.state;
+    const b1 = await ratchetEncrypt(bob, SESSION_ID, 'b1');
+    bob = b1.state;
+
+    ({ state: alice } = await decryptText(alice, b0));
+
+    // Round trip forces Bob onto a new DH chain
+    const a0 = await ratchetEncrypt(alice, SESSION_ID, 'a0');
+    alice = a0.state;
+    ({ state: bob } = await decryptText(bob, a0));
+    const b2 = await ratchetEncrypt(bob, SESSION_ID, 'b2');
+    bob = b2.state;
+    expect(b2.header.pn).toBe(2);
+
+    let text;
+    ({ state: alice, text } = await decryptText(alice, b2));
+    expect(text).toBe('b2');
+    ({ state: alice, text } = await decryptText(alice, b1));
+    expect(text).toBe('b1');
+  });
+
+  test('replaying a delivered message fails', async () => {
+    let { alice, bob } = await establishRatchetPair();
+
+    const msg = await ratchetEncrypt(alice, SESSION_ID, 'once');
+    alice = msg.state;
+    ({ state: bob } = await decryptText(bob, msg));
+
+    await expect(decryptText(bob, msg)).rejects.toThrow();
+  });
+
+  test('tampered ratchet header fails authentication and leaves state untouched', async () => {
+    let { alice, bob } = await establishRatchetPair();
+
+    const m0 = await ratchetEncrypt(alice, SESSION_ID, 'm0');
+    alice = m0.state;
+    const m1 = await ratchetEncrypt(alice, SESSION_ID, 'm1');
+    alice = m1.state;
+
+    const before = JSON.stringify(bob);
+    const tampered = { ...m1, header: { ...m1.header, n: 0 } };
+    await expect(decryptText(bob, tampered)).rejects.toThrow();
+    expect(JSON.stringify(bob)).toBe(before);
+  });
+
+  test('rejects headers that skip more than MAX_SKIP messages', async () => {
+    let { alice, bob } = await establishRatchetPair();
+
+    const msg = await ratchetEncrypt(alice, SESSION_ID, 'far ahead');
+    const forged = { ...msg, header: { ...msg.header, n: MAX_SKIP + 5 } };
+
+    await expect(decryptText(bob, forged)).rejects.toThrow(/Too many skipped messages/);
+  });
+
+  test('ratchet state survives JSON persistence', async () => {
+    let { alice, bob } = await establishRatchetPair();
+
+    const msg = await ratchetEncrypt(alice, SESSION_ID, 'persisted');
+    alice = msg.state;
+
+    const restoredBob = JSON.parse(JSON.stringify(bob));
+    const { text } = await decryptText(restoredBob, msg);
+    expect(text).toBe('persisted');
+  });
+
+  test('symmetric ratchet evolves keys for sessions without KEP material', async () => {
+    const rootKey = crypto.getRandomValues(new Uint8Array(32)).buffer;
+    const aliceToBob = crypto.getRandomValues(new Uint8Array(32)).buffer;
+    const bobToAlice = crypto.getRandomValues(new Uint8Array(32)).buffer;
+
+    let alice = initializeSymmetricRatchet(rootKey, aliceToBob, bobToAlice);
+    let bob = initializeSymmetricRatchet(rootKey, bobToAlice, aliceToBob);
+
+    const msg = await ratchetEncrypt(alice, SESSION_ID, 'symmetric');
+    alice = msg.state;
+    expect(msg.header.dh).toBeNull();
+
+    const { state, text } = await decryptText(bob, msg);
+    expect(text).toBe('symmetric');
+    expect(state.recvChainKey).not.toBe(bob.recvChainKey);
+  });
+});
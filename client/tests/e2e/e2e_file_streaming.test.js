@@ -0,0 +1,174 @@
+/**
+ * E2EE File Streaming Tests
+ *
+ * Verifies chunk-at-a-time file encryption and decryption:
+ * - each envelope is handed to the sender before the next chunk is read
+ * - a failing send stops encryption (backpressure)
+ * - chunks are decrypted into a sink as they arrive, in chunkIndex order
+ * - duplicate chunks are ignored and missing chunks are detected
+ */
+
+jest.setTimeout(60000);
+
+import { encryptFileStream, getChunkSize, getMaxFileSize } from '../../src/crypto/fileEncryption.js';
+import { createFileDecryptor } from '../../src/crypto/fileDecryption.js';
+import { createSession, clearSessionEncryptionCache } from '../../src/crypto/sessionManager.js';
+import { createTestFile, arrayBuffersEqual } from './testHelpers.js';
+
+const ALICE = 'alice-streaming-user';
+const BOB = 'bob-streaming-user';
+const PASSWORD = 'StreamPassword123!';
+const ALICE_SESSION = 'session-alice-bob-streaming';
+const BOB_SESSION = 'session-bob-alice-streaming';
+
+const randomKey = () => crypto.getRandomValues(new Uint8Array(32)).buffer;
+
+function randomContent(size) {
+  const content = new Uint8Array(size);
+  for (let offset = 0; offset < size; offset += 65536) {
+    crypto.getRandomValues(content.subarray(offset, Math.min(offset + 65536, size)));
+  }
+  return content;
+}
+
+function createMemorySink() {
+  const chunks = [];
+  return {
+    chunks,
+    write(chunk) {
+      chunks.push(new Uint8Array(chunk).slice());
+    },
+    close() {
+      return new Blob(chunks);
+    }
+  };
+}
+
+async function encryptToEnvelopes(file) {
+  const envelopes = [];
+  await encryptFileStream(file, ALICE_SESSION, ALICE, BOB, ALICE, async (envelope) => {
+    envelopes.push(envelope);
+  });
+  return { meta: envelopes[0], chunks: envelopes.slice(1) };
+}
+
+describe('E2EE File Streaming Tests', () => {
+  const content = randomContent(getChunkSize() * 2 + 1000);
+  const file = createTestFile('streamed.bin', content, 'application/octet-stream');
+
+  beforeAll(async () => {
+    // Alice's send key is Bob's receive key
+    const fileKey = randomKey();
+    clearSessionEncryptionCache(ALICE);
+    clearSessionEncryptionCache(BOB);
+    await createSession(ALICE_SESSION, ALICE, BOB, randomKey(), fileKey, randomKey(), PASSWORD);
+    await createSession(BOB_SESSION, BOB, ALICE, randomKey(), randomKey(), fileKey, PASSWORD);
+  });
+
+  test('allows files of several gigabytes', () => {
+    expect(getMaxFileSize()).toBeGreaterThanOrEqual(4 * 1024 * 1024 * 1024);
+  });
+
+  test('sends metadata first and waits for each envelope before reading the next chunk', async () => {
+    const events = [];
+    const originalSlice = file.slice.bind(file);
+    const trackedFile = {
+      name: file.name,
+      size: file.size,
+      type: file.type,
+      slice: (start, end) => {
+        events.push(`read ${start / getChunkSize()}`);
+        return originalSlice(start, end);
+      }
+    };
+
+    await encryptFileStream(trackedFile, ALICE_SESSION, ALICE, BOB, ALICE, async (envelope) => {
+      events.push(envelope.type === 'FILE_META' ? 'send meta' : `send ${envelope.meta.chunkIndex}`);
+      await new Promise(resolve => setTimeout(resolve, 5));
+    });
+
+    expect(events).toEqual(['send meta', 'read 0', 'send 0', 'read 1', 'send 1', 'read 2', 'send 2']);
+  });
+
+  test('stops encrypting when sending a chunk fails', async () => {
+    let sent = 0;
+    const sendEnvelope = async (envelope) => {
+      if (envelope.type === 'FILE_CHUNK' && envelope.meta.chunkIndex === 1) {
+        throw new Error('Server rejected the file chunk');
+      }
+      sent++;
+    };
+
+    await expect(encryptFileStream(file, ALICE_SESSION, ALICE, BOB, ALICE, sendEnvelope))
+      .rejects.toThrow('Failed to encrypt file: Server rejected the file chunk');
+    expect(sent).toBe(2);
+  });
+
+  test('decrypts chunks into the sink as they arrive', async () => {
+    const { meta, chunks } = await encryptToEnvelopes(file);
+    const sink = createMemorySink();
+    const decryptor = await createFileDecryptor(meta, BOB_SESSION, BOB, { sink });
+
+    expect(decryptor.filename).toBe('streamed.bin');
+    expect(decryptor.totalChunks).toBe(3);
+
+    expect(await decryptor.push(chunks[0])).toBe(false);
+    expect(sink.chunks).toHaveLength(1);
+    expect(await decryptor.push(chunks[1])).toBe(false);
+    expect(await decryptor.push(chunks[2])).toBe(true);
+
+    const { blob, size } = await decryptor.finish();
+    expect(size).toBe(content.byteLength);
+    expect(arrayBuffersEqual(await blob.arrayBuffer(), content.buffer)).toBe(true);
+  });
+
+  test('writes out-of-order chunks once the missing ones arrive and ignores duplicates', async () => {
+    const { meta, chunks } = await encryptToEnvelopes(file);
+    const sink = createMemorySink();
+    const decryptor = await createFileDecryptor(meta, BOB_SESSION, BOB, { sink });
+
+    await decryptor.push(chunks[2]);
+    await decryptor.push(chunks[1]);
+    expect(sink.chunks).toHaveLength(0);
+
+    expect(await decryptor.push(chunks[0])).toBe(true);
+    expect(await decryptor.push(chunks[1])).toBe(true);
+    expect(sink.chunks).toHaveLength(3);
+
+    const { blob } = await decryptor.finish();
+    expect(arrayBuffersEqual(await blob.arrayBuffer(), content.buffer)).toBe(true);
+  });
+
+  test('uses a Blob sink with the file type by default', async () => {
+    const { meta, chunks } = await encryptToEnvelopes(file);
+    const decryptor = await createFileDecryptor(meta, BOB_SESSION, BOB);
+
+    for (const chunk of chunks) {
+      await decryptor.push(chunk);
+    }
+
+    const { blob, mimetype } = await decryptor.finish();
+    expect(mimetype).toBe('application/octet-stream');
+    expect(blob.type).toBe('application/octet-stream');
+    expect(blob.size).toBe(content.byteLength);
+  });
+
+  test('rejects finishing with missing chunks and out-of-range indices', async () => {
+    const { meta, chunks } = await encryptToEnvelopes(file);
+    const decryptor = await createFileDecryptor(meta, BOB_SESSION, BOB, { sink: createMemorySink() });
+
+    await decryptor.push(chunks[0]);
+    await decryptor.push(chunks[2]);
+
+    await expect(decryptor.finish()).rejects.toThrow('Missing chunks: expected 3, got 2');
+    await expect(decryptor.push({ ...chunks[1], meta: { ...chunks[1].meta, chunkIndex: 3 } }))
+      .rejects.toThrow(/Chunk index mismatch/);
+  });
+
+  test('rejects a tampered chunk', async () => {
+    const { meta, chunks } = await encryptToEnvelopes(file);
+    const decryptor = await createFileDecryptor(meta, BOB_SESSION, BOB, { sink: createMemorySink() });
+
+    await expect(decryptor.push({ ...chunks[0], authTag: chunks[1].authTag })).rejects.toThrow();
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * E2EE Group Sender Key Tests
+ *
+ * Verifies group messaging with sender keys:
+ * - a distributed sender key lets every member decrypt a message encrypted once
+ * - forged signatures and replays are rejected
+ * - messages delivered out of order still decrypt
+ * - members removed from the group cannot read messages sent after rotation
+ * - group envelopes are validated like pairwise ones
+ */
+
+jest.setTimeout(60000);
+
+import { initializeSessionEncryption } from '../../src/crypto/sessionManager.js';
+import { sendGroupMessage, handleIncomingMessage } from '../../src/crypto/messageFlow.js';
+import { validateEnvelopeStructure } from '../../src/crypto/messageEnvelope.js';
+import {
+  createSenderKey,
+  buildSenderKeyDistribution,
+  parseSenderKeyDistribution,
+  processSenderKeyDistribution,
+  loadSenderKeyState,
+  deleteSenderKeys
+} from '../../src/crypto/senderKeys.js';
+import { applyGroupChange } from '../../src/crypto/groupSessions.js';
+
+const ALICE = 'group-test-alice';
+const BOB = 'group-test-bob';
+const CAROL = 'group-test-carol';
+const PASSWORD = 'GroupTestPassword123!';
+
+describe('E2EE Group Sender Key Tests', () => {
+  let groupCounter = 0;
+  let groupId;
+
+  beforeAll(async () => {
+    for (const userId of [ALICE, BOB, CAROL]) {
+      await initializeSessionEncryption(userId, PASSWORD);
+    }
+  });
+
+  beforeEach(() => {
+    groupId = `group-${Date.now()}-${++groupCounter}`;
+  });
+
+  /**
+   * Creates Alice's sender key and hands it to the given members
+   * (stands in for delivery over the pairwise sessions)
+   */
+  async function distributeAliceKey(memberIds, epoch = 0) {
+    const distribution = JSON.stringify(await buildSenderKeyDistribution(ALICE, groupId, epoch));
+    for (const memberId of memberIds) {
+      await processSenderKeyDistribution(memberId, ALICE, parseSenderKeyDistribution(distribution));
+    }
+  }
+
+  async function sendFromAlice(text) {
+    return await sendGroupMessage(groupId, text, () => {}, ALICE);
+  }
+
+  describe('Distribution and Decryption', () => {
+    test('should let every member decrypt a message encrypted once', async () => {
+      await createSenderKey(ALICE, groupId, 0);
+      await distributeAliceKey([BOB, CAROL]);
+
+      const envelope = await sendFromAlice('Hello group');
+
+      const bobResult = await handleIncomingMessage(envelope, BOB);
+      const carolResult = await handleIncomingMessage(envelope, CAROL);
+      expect(bobResult.valid).toBe(true);
+      expect(bobResult.plaintext).toBe('Hello group');
+      expect(carolResult.valid).toBe(true);
+      expect(carolResult.plaintext).toBe('Hello group');
+    });
+
+    test('should not treat ordinary text as a distribution', () => {
+      expect(parseSenderKeyDistribution('Hello')).toBeNull();
+      expect(parseSenderKeyDistribution('{"kind":"something_else"}')).toBeNull();
+    });
+
+    test('should not rewind a sender key when a distribution is redelivered', async () => {
+      await createSenderKey(ALICE, groupId, 0);
+      const distribution = await buildSenderKeyDistribution(ALICE, groupId, 0);
+      await processSenderKeyDistribution(BOB, ALICE, distribution);
+
+      await handleIncomingMessage(await sendFromAlice('one'), BOB);
+      await processSenderKeyDistribution(BOB, ALICE, distribution);
+
+      const state = await loadSenderKeyState(BOB, groupId, ALICE);
+      expect(state.iteration).toBe(1);
+    });
+
+    test('should report a missing sender key', async () => {
+      await createSenderKey(ALICE, groupId, 0);
+      const envelope = await sendFromAlice('Before distribution');
+
+      const result = await handleIncomingMessage(envelope, BOB);
+      expect(result.valid).toBe(false);
+      expect(result.code).toBe('SENDER_KEY_MISSING');
+    });
+  });
+
+  describe('Attack Resistance', () => {
+    test('should reject a forged signature', async () => {
+      await createSenderKey(ALICE, groupId, 0);
+      await distributeAliceKey([BOB]);
+
+      const envelope = await sendFromAlice('Signed');
+      const signature = atob(envelope.signature);
+      const forged = btoa(String.fromCharCode(signature.charCodeAt(0) ^ 0xff) + signature.slice(1));
+
+      const result = await handleIncomingMessage({ ...envelope, signature: forged }, BOB);
+      expect(result.valid).toBe(false);
+      expect(result.code).toBe('INVALID_SIGNATURE');
+    });
+
+    test('should reject a message claiming another sender', async () => {
+      await createSenderKey(ALICE, groupId, 0);
+      await distributeAliceKey([BOB, CAROL]);
+
+      const envelope = await sendFromAlice('From Alice');
+
+      // Carol holds no sender key for "Bob", and Alice's key is bound to Alice
+      const result = await handleIncomingMessage({ ...envelope, sender: BOB }, CAROL);
+      expect(result.valid).toBe(false);
+    });
+
+    test('should reject a replayed group message', async () => {
+      await createSenderKey(ALICE, groupId, 0);
+      await distributeAliceKey([BOB]);
+
+      const envelope = await sendFromAlice('Only once');
+      expect((await handleIncomingMessage(envelope, BOB)).valid).toBe(true);
+
+      const replay = await handleIncomingMessage(envelope, BOB);
+      expect(replay.valid).toBe(false);
+    });
+
+    test('should decrypt messages delivered out of order exactly once', async () => {
+      await createSenderKey(ALICE, groupId, 0);
+      await distributeAliceKey([BOB]);
+
+      const first = await sendFromAlice('first');
+      const second = await sendFromAlice('second');
+      const third = await sendFromAlice('third');
+
+      expect((await handleIncomingMessage(third, BOB)).plaintext).toBe('third');
+      expect((await handleIncomingMessage(first, BOB)).plaintext).toBe('first');
+      expect((await handleIncomingMessage(second, BOB)).plaintext).toBe('second');
+      expect((await handleIncomingMessage(first, BOB)).valid).toBe(false);
+    });
+  });
+
+  describe('Membership Changes', () => {
+    test('should keep removed members out after rotation', async () => {
+      await createSenderKey(ALICE, groupId, 0);
+      await distributeAliceKey([BOB, CAROL]);
+      expect((await handleIncomingMessage(await sendFromAlice('before'), CAROL)).valid).toBe(true);
+
+      // Carol is removed: the server bumps the epoch and Alice rotates
+      const group = { id: groupId, epoch: 1, members: [{ userId: ALICE }, { userId: BOB }] };
+      const change = { type: 'removed', userIds: [CAROL] };
+      expect(await applyGroupChange(ALICE, group, change)).toEqual({ left: false, rotated: true });
+      expect(await applyGroupChange(CAROL, group, change)).toEqual({ left: true, rotated: false });
+
+      // The new key goes to Bob only
+      await distributeAliceKey([BOB], 1);
+      const after = await sendFromAlice('after');
+
+      const bobResult = await handleIncomingMessage(after, BOB);
+      expect(bobResult.valid).toBe(true);
+      expect(bobResult.plaintext).toBe('after');
+
+      const carolResult = await handleIncomingMessage(after, CAROL);
+      expect(carolResult.valid).toBe(false);
+      expect(carolResult.code).toBe('SENDER_KEY_MISSING');
+    });
+
+    test('should drop all keys of a group on leave', async () => {
+      await createSenderKey(ALICE, groupId, 0);
+      await distributeAliceKey([BOB]);
+
+      await deleteSenderKeys(BOB, groupId);
+      expect(await loadSenderKeyState(BOB, groupId, ALICE)).toBeNull();
+    });
+  });
+
+  describe('Envelope Validation', () => {
+    test('should accept a well-formed group envelope', async () => {
+      await createSenderKey(ALICE, groupId, 0);
+      const envelope = await sendFromAlice('valid');
+
+      expect(envelope.groupId).toBe(groupId);
+      expect(envelope.sessionId).toBe(groupId);
+      expect(envelope.receiver).toBeUndefined();
+      expect(validateEnvelopeStructure(envelope).valid).toBe(true);
+    });
+
+    test('should reject group envelopes without a sender key header or signature', async () => {
+      await createSenderKey(ALICE, groupId, 0);
+      const envelope = await sendFromAlice('valid');
+
+      const { senderKeyHeader, ...noHeader } = envelope;
+      const { signature, ...noSignature } = envelope;
+      expect(validateEnvelopeStructure(noHeader).valid).toBe(false);
+      expect(validateEnvelopeStructure(noSignature).valid).toBe(false);
+      expect(validateEnvelopeStructure({ ...envelope, sessionId: 'other-session' }).valid).toBe(false);
+      expect(validateEnvelopeStructure({
+        ...envelope,
+        senderKeyHeader: { ...senderKeyHeader, iteration: -1 }
+      }).valid).toBe(false);
+    });
+  });
+});
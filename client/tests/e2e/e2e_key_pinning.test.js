@@ -0,0 +1,102 @@
+/**
+ * E2EE Identity Key Pinning Tests
+ *
+ * Verifies trust-on-first-use (TOFU) pinning of contact identity keys:
+ * - the first key seen for a contact is pinned
+ * - a different key is reported as changed and logged once
+ * - changes to unverified contacts warn, changes to verified contacts block
+ * - accepting the new key re-pins it
+ */
+
+jest.setTimeout(60000);
+
+import { generateIdentityKeyPair, exportPublicKey } from '../../src/crypto/identityKeys.js';
+import {
+  CONTACT_STATUS,
+  getContact,
+  markContactVerified,
+  clearContactVerification,
+  pinContactIdentityKey,
+  assertContactIdentityKeyUnchanged
+} from '../../src/utils/contactStore.js';
+import { getLogs } from '../../src/utils/clientLogger.js';
+import { getIdentityKeyHash } from '../../src/crypto/safetyNumbers.js';
+
+const ALICE = 'alice-user-id';
+const BOB = 'bob-user-id';
+
+describe('E2EE Identity Key Pinning Tests', () => {
+  let bobKey;
+  let bobNewKey;
+
+  beforeAll(async () => {
+    bobKey = await exportPublicKey((await generateIdentityKeyPair()).publicKey);
+    bobNewKey = await exportPublicKey((await generateIdentityKeyPair()).publicKey);
+  });
+
+  async function getKeyChangeLogs() {
+    return await getLogs({ userId: ALICE, event: 'identity_key_changed' });
+  }
+
+  test('pins the first key seen for a contact', async () => {
+    const first = await pinContactIdentityKey(ALICE, BOB, bobKey);
+
+    expect(first.firstSeen).toBe(true);
+    expect(first.status).toBe(CONTACT_STATUS.UNVERIFIED);
+    expect(first.contact.identityKeyHash).toBe(await getIdentityKeyHash(bobKey));
+
+    const second = await pinContactIdentityKey(ALICE, BOB, bobKey);
+    expect(second.firstSeen).toBe(false);
+    expect(second.status).toBe(CONTACT_STATUS.UNVERIFIED);
+  });
+
+  test('reports a changed key without replacing the pin', async () => {
+    await pinContactIdentityKey(ALICE, BOB, bobKey);
+
+    const result = await pinContactIdentityKey(ALICE, BOB, bobNewKey);
+
+    expect(result.status).toBe(CONTACT_STATUS.CHANGED);
+    const contact = await getContact(ALICE, BOB);
+    expect(contact.identityKeyHash).toBe(await getIdentityKeyHash(bobKey));
+    expect(contact.changedKeyHash).toBe(await getIdentityKeyHash(bobNewKey));
+  });
+
+  test('logs a key change once per new key', async () => {
+    await pinContactIdentityKey(ALICE, BOB, bobKey);
+    await pinContactIdentityKey(ALICE, BOB, bobNewKey);
+    await pinContactIdentityKey(ALICE, BOB, bobNewKey);
+
+    const logs = await getKeyChangeLogs();
+    expect(logs).toHaveLength(1);
+    expect(logs[0].metadata.peerId).toBe(BOB);
+    expect(logs[0].metadata.wasVerified).toBe(false);
+  });
+
+  test('unverified key change does not block session setup', async () => {
+    await pinContactIdentityKey(ALICE, BOB, bobKey);
+
+    await expect(assertContactIdentityKeyUnchanged(ALICE, BOB, bobNewKey)).resolves.toBeUndefined();
+  });
+
+  test('verified key change blocks session setup', async () => {
+    await markContactVerified(ALICE, BOB, bobKey);
+
+    await expect(assertContactIdentityKeyUnchanged(ALICE, BOB, bobNewKey))
+      .rejects.toMatchObject({ code: 'IDENTITY_KEY_CHANGED' });
+
+    const logs = await getKeyChangeLogs();
+    expect(logs[0].metadata.wasVerified).toBe(true);
+  });
+
+  test('accepting the new key re-pins it', async () => {
+    await pinContactIdentityKey(ALICE, BOB, bobKey);
+    await pinContactIdentityKey(ALICE, BOB, bobNewKey);
+
+    await clearContactVerification(ALICE, BOB, bobNewKey);
+
+    const result = await pinContactIdentityKey(ALICE, BOB, bobNewKey);
+    expect(result.status).toBe(CONTACT_STATUS.UNVERIFIED);
+    expect(result.contact.changedKeyHash).toBeNull();
+    expect((await pinContactIdentityKey(ALICE, BOB, bobKey)).status).toBe(CONTACT_STATUS.CHANGED);
+  });
+});
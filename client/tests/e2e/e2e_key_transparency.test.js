@@ -0,0 +1,238 @@
+/**
+ * E2EE Key Transparency Tests
+ *
+ * Verifies client-side checks against the server's key transparency log:
+ * - inclusion and consistency proofs (RFC 9162), including server vectors
+ * - a substituted identity key or forged tree head is rejected
+ * - the log key is pinned on first use
+ * - a rolled-back or rewritten log is detected between tree heads
+ */
+
+jest.setTimeout(60000);
+
+import {
+  buildLeafData,
+  hashLeaf,
+  hashChildren,
+  verifyInclusionProof,
+  verifyConsistencyProof,
+  verifyTreeHeadSignature,
+  verifyInclusionResponse,
+  checkTreeHeadConsistency,
+  pinLogPublicKey,
+  getLastTreeHead
+} from '../../src/crypto/keyTransparency.js';
+import { arrayBufferToBase64 } from '../../src/crypto/signatures.js';
+
+const toHex = (bytes) => Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+const fromHex = (hex) => new Uint8Array(hex.match(/../g).map(h => parseInt(h, 16)));
+
+function buildEntry(i) {
+  return {
+    index: i,
+    userId: `user-${i}`,
+    publicKey: { kty: 'EC', crv: 'P-256', x: `x${i}`, y: `y${i}` },
+    version: 1,
+    timestamp: 1700000000000 + i
+  };
+}
+
+async function buildLeaves(count) {
+  return Promise.all(Array.from({ length: count }, (_, i) => hashLeaf(buildLeafData(buildEntry(i)))));
+}
+
+// Reference tree construction (RFC 9162 MTH / PATH / PROOF)
+function splitPoint(n) {
+  let k = 1;
+  while (k * 2 < n) k *= 2;
+  return k;
+}
+
+async function merkleRoot(leaves) {
+  if (leaves.length === 1) return leaves[0];
+  const k = splitPoint(leaves.length);
+  return hashChildren(await merkleRoot(leaves.slice(0, k)), await merkleRoot(leaves.slice(k)));
+}
+
+async function inclusionPath(index, leaves) {
+  if (leaves.length <= 1) return [];
+  const k = splitPoint(leaves.length);
+  return index < k
+    ? [...await inclusionPath(index, leaves.slice(0, k)), await merkleRoot(leaves.slice(k))]
+    : [...await inclusionPath(index - k, leaves.slice(k)), await merkleRoot(leaves.slice(0, k))];
+}
+
+async function subProof(m, leaves, complete) {
+  if (m === leaves.length) return complete ? [] : [await merkleRoot(leaves)];
+  const k = splitPoint(leaves.length);
+  return m <= k
+    ? [...await subProof(m, leaves.slice(0, k), complete), await merkleRoot(leaves.slice(k))]
+    : [...await subProof(m - k, leaves.slice(k), false), await merkleRoot(leaves.slice(0, k))];
+}
+
+describe('E2EE Key Transparency Tests', () => {
+  let logKeyPair;
+  let logPublicKeyJWK;
+
+  beforeAll(async () => {
+    logKeyPair = await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+    logPublicKeyJWK = await crypto.subtle.exportKey('jwk', logKeyPair.publicKey);
+  });
+
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  async function signTreeHead(treeSize, rootHash, keyPair = logKeyPair) {
+    const treeHead = { treeSize, rootHash: toHex(rootHash), timestamp: Date.now() };
+    const signature = await crypto.subtle.sign(
+      { name: 'ECDSA', hash: 'SHA-256' },
+      keyPair.privateKey,
+      new TextEncoder().encode(JSON.stringify(treeHead))
+    );
+    return { ...treeHead, signature: arrayBufferToBase64(signature) };
+  }
+
+  describe('Merkle proofs', () => {
+    test('matches server-computed vectors', async () => {
+      const leaves = await buildLeaves(5);
+      const path = [
+        '100fed933e78fc3e10e2838fec21aaf2b9b09346df45ec37510fb69308e85e91',
+        '1768834fe1e44d644e3f866e9dfdd0e57858e250299aec44a8c8511eab4ebadd',
+        '6569a359bdcc6cc67488c48825a3ddcdd51aec9832f30fffcdd6a95a38aaef51'
+      ].map(fromHex);
+      const root = fromHex('f1d79c52dab6df1e1861e03f0ea3a036fe7775d4f2ff4a5d3d0d9616cbf0207a');
+      const oldRoot = fromHex('dde3425bb4bcf7a33bae2eab2d0c769b083897014b9ff2767be996d5e7e596f4');
+      const consistency = [
+        '100fed933e78fc3e10e2838fec21aaf2b9b09346df45ec37510fb69308e85e91',
+        'bacfe6b899a923947c50e1bfd927a22bed5b6c6d48233299ee7f56910e7fcff0',
+        '1768834fe1e44d644e3f866e9dfdd0e57858e250299aec44a8c8511eab4ebadd',
+        '6569a359bdcc6cc67488c48825a3ddcdd51aec9832f30fffcdd6a95a38aaef51'
+      ].map(fromHex);
+
+      expect(toHex(await merkleRoot(leaves))).toBe(toHex(root));
+      expect(await verifyInclusionProof(leaves[3], 3, 5, path, root)).toBe(true);
+      expect(await verifyConsistencyProof(3, 5, oldRoot, root, consistency)).toBe(true);
+    });
+
+    test('inclusion proofs verify for every leaf', async () => {
+      for (let size = 1; size <= 9; size++) {
+        const leaves = await buildLeaves(size);
+        const root = await merkleRoot(leaves);
+        for (let index = 0; index < size; index++) {
+          const path = await inclusionPath(index, leaves);
+          expect(await verifyInclusionProof(leaves[index], index, size, path, root)).toBe(true);
+        }
+      }
+    });
+
+    test('inclusion proof rejects wrong index and out-of-range index', async () => {
+      const leaves = await buildLeaves(6);
+      const root = await merkleRoot(leaves);
+      const path = await inclusionPath(2, leaves);
+
+      expect(await verifyInclusionProof(leaves[2], 3, 6, path, root)).toBe(false);
+      expect(await verifyInclusionProof(leaves[2], 6, 6, path, root)).toBe(false);
+    });
+
+    test('consistency proofs verify between tree sizes', async () => {
+      const leaves = await buildLeaves(9);
+      for (let second = 1; second <= 9; second++) {
+        const secondRoot = await merkleRoot(leaves.slice(0, second));
+        for (let first = 1; first <= second; first++) {
+          const proof = first === second ? [] : await subProof(first, leaves.slice(0, second), true);
+          const firstRoot = await merkleRoot(leaves.slice(0, first));
+          expect(await verifyConsistencyProof(first, second, firstRoot, secondRoot, proof)).toBe(true);
+        }
+      }
+    });
+  });
+
+  describe('Inclusion responses', () => {
+    async function buildProof(index, size) {
+      const leaves = await buildLeaves(size);
+      return {
+        entry: buildEntry(index),
+        auditPath: (await inclusionPath(index, leaves)).map(toHex),
+        treeHead: await signTreeHead(size, await merkleRoot(leaves))
+      };
+    }
+
+    test('accepts the logged key', async () => {
+      const proof = await buildProof(2, 7);
+      await expect(verifyInclusionResponse('user-2', buildEntry(2).publicKey, proof, logPublicKeyJWK))
+        .resolves.toBeUndefined();
+    });
+
+    test('rejects a key that differs from the logged one', async () => {
+      const proof = await buildProof(2, 7);
+      const substituted = { kty: 'EC', crv: 'P-256', x: 'attackerX', y: 'attackerY' };
+
+      await expect(verifyInclusionResponse('user-2', substituted, proof, logPublicKeyJWK))
+        .rejects.toMatchObject({ code: 'KEY_TRANSPARENCY_FAILED' });
+    });
+
+    test('rejects a forged entry that is not in the tree', async () => {
+      const proof = await buildProof(2, 7);
+      const forgedKey = { kty: 'EC', crv: 'P-256', x: 'attackerX', y: 'attackerY' };
+      proof.entry = { ...proof.entry, publicKey: forgedKey };
+
+      await expect(verifyInclusionResponse('user-2', forgedKey, proof, logPublicKeyJWK))
+        .rejects.toThrow('identity key is not in the log');
+    });
+
+    test('rejects tree heads not signed by the log key', async () => {
+      const proof = await buildProof(2, 7);
+      const otherKey = await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+      proof.treeHead = await signTreeHead(proof.treeHead.treeSize, fromHex(proof.treeHead.rootHash), otherKey);
+
+      expect(await verifyTreeHeadSignature(proof.treeHead, logPublicKeyJWK)).toBe(false);
+      await expect(verifyInclusionResponse('user-2', buildEntry(2).publicKey, proof, logPublicKeyJWK))
+        .rejects.toThrow('invalid tree head signature');
+    });
+  });
+
+  describe('Log key pinning and tree head history', () => {
+    test('pins the log key on first use', async () => {
+      expect(pinLogPublicKey(logPublicKeyJWK).x).toBe(logPublicKeyJWK.x);
+
+      const otherKey = await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+      const otherJWK = await crypto.subtle.exportKey('jwk', otherKey.publicKey);
+      expect(() => pinLogPublicKey(otherJWK)).toThrow('log signing key changed');
+    });
+
+    test('accepts a log that only grew', async () => {
+      const leaves = await buildLeaves(8);
+      await checkTreeHeadConsistency(await signTreeHead(5, await merkleRoot(leaves.slice(0, 5))), async () => []);
+
+      const fetchProof = jest.fn(async (first, second) =>
+        (await subProof(first, leaves.slice(0, second), true)).map(toHex));
+      await checkTreeHeadConsistency(await signTreeHead(8, await merkleRoot(leaves)), fetchProof);
+
+      expect(fetchProof).toHaveBeenCalledWith(5, 8);
+      expect(getLastTreeHead().treeSize).toBe(8);
+    });
+
+    test('detects a rolled-back log', async () => {
+      const leaves = await buildLeaves(8);
+      await checkTreeHeadConsistency(await signTreeHead(8, await merkleRoot(leaves)), async () => []);
+
+      await expect(checkTreeHeadConsistency(await signTreeHead(5, await merkleRoot(leaves.slice(0, 5))), async () => []))
+        .rejects.toThrow('log shrank');
+    });
+
+    test('detects rewritten history', async () => {
+      const leaves = await buildLeaves(8);
+      await checkTreeHeadConsistency(await signTreeHead(5, await merkleRoot(leaves.slice(0, 5))), async () => []);
+
+      const rewritten = [...leaves];
+      rewritten[1] = await hashLeaf('rewritten');
+      const fetchProof = async (first, second) =>
+        (await subProof(first, rewritten.slice(0, second), true)).map(toHex);
+
+      await expect(checkTreeHeadConsistency(await signTreeHead(8, await merkleRoot(rewritten)), fetchProof))
+        .rejects.toMatchObject({ code: 'KEY_TRANSPARENCY_FAILED' });
+      expect(getLastTreeHead().treeSize).toBe(5);
+    });
+  });
+});
@@ -0,0 +1,276 @@
+/**
+ * Message Action Tests
+ *
+ * Verifies edits, deletes for everyone and reactions:
+ * - actions are signed with the identity key and validated on parse
+ * - only the author may edit or delete a message; the latest change wins
+ * - actions travel as encrypted EDIT, DELETE and REACTION envelopes
+ * - the stored history and search index follow edits and deletes
+ * - reactions are encrypted at rest
+ */
+
+jest.setTimeout(60000);
+
+import {
+  ACTION_EDIT,
+  ACTION_DELETE,
+  ACTION_REACTION,
+  MESSAGE_ACTION_KIND,
+  getMessageTargets,
+  isActionTarget,
+  signMessageAction,
+  verifyMessageAction,
+  buildMessageActionPayload,
+  parseMessageActionPayload,
+  applyMessageAction,
+  summarizeReactions,
+  applyMessageActionToHistory
+} from '../../src/crypto/messageActions.js';
+import { validateEnvelopeStructure } from '../../src/crypto/messageEnvelope.js';
+import { sendMessageAction, acceptMessageAction, handleIncomingMessage } from '../../src/crypto/messageFlow.js';
+import { generateIdentityKeyPair, storePrivateKeyEncrypted } from '../../src/crypto/identityKeys.js';
+import { createSession, clearSessionEncryptionCache, initializeSessionEncryption } from '../../src/crypto/sessionManager.js';
+import { sequenceManager } from '../../src/crypto/messages.js';
+import { storeMessage, loadMessages, clearMessages } from '../../src/utils/messageStorage.js';
+import { indexMessage, searchMessages, clearSearchIndex } from '../../src/utils/messageSearch.js';
+
+const ALICE = 'alice-actions-user';
+const BOB = 'bob-actions-user';
+const PASSWORD = 'ActionsPassword123!';
+const SESSION_ID = 'session-alice-bob-actions';
+const TARGETS = [{ sessionId: SESSION_ID, seq: 1 }];
+
+const randomKey = () => crypto.getRandomValues(new Uint8Array(32)).buffer;
+
+/**
+ * Reads a raw row of the messages store (bypassing messageStorage.js)
+ */
+async function readRow(id) {
+  const db = await new Promise((resolve, reject) => {
+    const request = indexedDB.open('InfosecCryptoDB');
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  try {
+    return await new Promise((resolve, reject) => {
+      const request = db.transaction(['messages'], 'readonly').objectStore('messages').get(id);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+describe('Message Action Tests', () => {
+  describe('Signed Actions', () => {
+    let alice;
+    let bob;
+
+    beforeAll(async () => {
+      alice = await generateIdentityKeyPair();
+      bob = await generateIdentityKeyPair();
+    });
+
+    test('signs actions with the identity key', async () => {
+      const edit = await signMessageAction(alice.privateKey, ACTION_EDIT, ALICE, BOB, TARGETS, 'fixed typo');
+      const parsed = parseMessageActionPayload(buildMessageActionPayload(edit), ACTION_EDIT);
+
+      expect(parsed).toEqual(edit);
+      expect(await verifyMessageAction(parsed, alice.publicKey)).toBe(true);
+      expect(await verifyMessageAction(parsed, bob.publicKey)).toBe(false);
+      expect(await verifyMessageAction({ ...parsed, text: 'something else' }, alice.publicKey)).toBe(false);
+      expect(await verifyMessageAction({ ...parsed, targets: [{ sessionId: SESSION_ID, seq: 2 }] }, alice.publicKey)).toBe(false);
+    });
+
+    test('rejects malformed actions', async () => {
+      await expect(signMessageAction(alice.privateKey, ACTION_EDIT, ALICE, BOB, TARGETS, '  ')).rejects.toThrow(/Invalid message action/);
+      await expect(signMessageAction(alice.privateKey, ACTION_DELETE, ALICE, BOB, [])).rejects.toThrow(/sent message/);
+
+      const reaction = await signMessageAction(alice.privateKey, ACTION_REACTION, ALICE, BOB, TARGETS, '👍');
+      const payload = buildMessageActionPayload(reaction);
+      expect(parseMessageActionPayload(payload, ACTION_REACTION)).toEqual(reaction);
+
+      // The payload must match the envelope type it arrived in
+      expect(parseMessageActionPayload(payload, ACTION_DELETE)).toBeNull();
+      expect(parseMessageActionPayload('hello', ACTION_REACTION)).toBeNull();
+      expect(parseMessageActionPayload(JSON.stringify({ ...reaction, kind: MESSAGE_ACTION_KIND, emoji: 'x'.repeat(40) }), ACTION_REACTION)).toBeNull();
+      expect(parseMessageActionPayload(JSON.stringify({ ...reaction, kind: MESSAGE_ACTION_KIND, targets: [{ sessionId: SESSION_ID }] }), ACTION_REACTION)).toBeNull();
+    });
+
+    test('validates action envelopes like receipts', () => {
+      const envelope = {
+        type: ACTION_EDIT,
+        sessionId: SESSION_ID,
+        sender: ALICE,
+        receiver: BOB,
+        ciphertext: 'dGVzdA==',
+        iv: 'dGVzdA==',
+        authTag: 'dGVzdA==',
+        timestamp: Date.now(),
+        seq: 1,
+        nonce: 'dGVzdA==',
+        ratchetHeader: { dh: null, pn: 0, n: 0 }
+      };
+
+      expect(validateEnvelopeStructure(envelope)).toEqual({ valid: true });
+      expect(validateEnvelopeStructure({ ...envelope, type: 'PIN' }).error).toContain('Invalid message type');
+      expect(validateEnvelopeStructure({
+        ...envelope,
+        sessionId: 'group-1',
+        groupId: 'group-1',
+        senderKeyHeader: { keyId: 'k', iteration: 0 },
+        signature: 'dGVzdA=='
+      }).error).toContain('Group envelopes must be MSG envelopes');
+    });
+  });
+
+  describe('Applying Actions', () => {
+    const sent = { id: 'm1', type: 'text', content: 'helo', sender: ALICE, seq: 1, copies: TARGETS };
+    const action = (type, fields = {}) => ({ action: type, from: ALICE, to: BOB, targets: TARGETS, sentAt: 1000, ...fields });
+
+    test('finds a message by any of its copies', () => {
+      const received = { id: 'm2', sender: BOB, seq: 4, receivedOn: 'session-bob-device-2' };
+
+      expect(getMessageTargets(received, SESSION_ID)).toEqual([{ sessionId: 'session-bob-device-2', seq: 4 }]);
+      expect(isActionTarget(sent, SESSION_ID, [{ sessionId: 'other', seq: 1 }, ...TARGETS])).toBe(true);
+      expect(isActionTarget(received, SESSION_ID, TARGETS)).toBe(false);
+    });
+
+    test('lets only the author edit or delete', () => {
+      expect(applyMessageAction(sent, action(ACTION_EDIT, { from: BOB, text: 'hijacked' }))).toBeNull();
+      expect(applyMessageAction(sent, action(ACTION_DELETE, { from: BOB }))).toBeNull();
+
+      const edited = applyMessageAction(sent, action(ACTION_EDIT, { text: 'hello' }));
+      expect(edited).toMatchObject({ content: 'hello', editedAt: 1000 });
+
+      // An older edit arriving late does not win
+      expect(applyMessageAction(edited, action(ACTION_EDIT, { text: 'hel', sentAt: 900 }))).toBeNull();
+    });
+
+    test('keeps one reaction per person', () => {
+      let message = applyMessageAction(sent, action(ACTION_REACTION, { from: BOB, emoji: '👍' }));
+      message = applyMessageAction(message, action(ACTION_REACTION, { emoji: '👍', sentAt: 1100 }));
+      expect(summarizeReactions(message, ALICE)).toEqual([{ emoji: '👍', count: 2, mine: true }]);
+
+      message = applyMessageAction(message, action(ACTION_REACTION, { from: BOB, emoji: '❤️', sentAt: 1200 }));
+      expect(applyMessageAction(message, action(ACTION_REACTION, { from: BOB, emoji: '😢', sentAt: 1150 }))).toBeNull();
+      message = applyMessageAction(message, action(ACTION_REACTION, { emoji: '', sentAt: 1300 }));
+      expect(summarizeReactions(message, ALICE)).toEqual([{ emoji: '❤️', count: 1, mine: false }]);
+    });
+
+    test('deleting clears the message and blocks further changes', () => {
+      const reacted = applyMessageAction(sent, action(ACTION_REACTION, { from: BOB, emoji: '👍' }));
+      const deleted = applyMessageAction(reacted, action(ACTION_DELETE, { sentAt: 2000 }));
+
+      expect(deleted).toMatchObject({ id: 'm1', content: '', deleted: true, deletedAt: 2000 });
+      expect(deleted.reactions).toBeUndefined();
+      expect(applyMessageAction(deleted, action(ACTION_EDIT, { text: 'back', sentAt: 3000 }))).toBeNull();
+      expect(applyMessageAction(deleted, action(ACTION_REACTION, { from: BOB, emoji: '😂', sentAt: 3000 }))).toBeNull();
+    });
+  });
+
+  describe('History', () => {
+    beforeEach(async () => {
+      clearSessionEncryptionCache(ALICE);
+      await initializeSessionEncryption(ALICE, PASSWORD);
+      await clearMessages(SESSION_ID);
+      await clearSearchIndex(ALICE);
+
+      const message = { id: 'msg-history', type: 'text', content: 'lunch at noon', sender: ALICE, seq: 1, timestamp: Date.now(), sent: true, copies: TARGETS };
+      await storeMessage(SESSION_ID, message, ALICE);
+      await indexMessage(ALICE, SESSION_ID, message);
+    });
+
+    test('stores edits and re-indexes the message', async () => {
+      const [updated] = await applyMessageActionToHistory(SESSION_ID, {
+        action: ACTION_EDIT, from: ALICE, to: BOB, targets: TARGETS, text: 'dinner at eight', sentAt: Date.now()
+      }, ALICE);
+      expect(updated.content).toBe('dinner at eight');
+
+      const [stored] = await loadMessages(SESSION_ID);
+      expect(stored).toMatchObject({ content: 'dinner at eight', editedAt: updated.editedAt });
+      expect(await searchMessages(ALICE, { text: 'lunch' })).toEqual([]);
+      expect((await searchMessages(ALICE, { text: 'dinner' })).map(hit => hit.id)).toEqual(['msg-history']);
+    });
+
+    test('encrypts reactions at rest', async () => {
+      await applyMessageActionToHistory(SESSION_ID, {
+        action: ACTION_REACTION, from: BOB, to: ALICE, targets: TARGETS, emoji: '🙏', sentAt: Date.now()
+      }, ALICE);
+
+      const row = await readRow('msg-history');
+      expect(row.encryptedReactions).toEqual({
+        ciphertext: expect.any(String),
+        iv: expect.any(String),
+        authTag: expect.any(String)
+      });
+      expect(JSON.stringify(row)).not.toContain('🙏');
+      expect(JSON.stringify(row)).not.toContain(BOB);
+
+      const [stored] = await loadMessages(SESSION_ID);
+      expect(summarizeReactions(stored, ALICE)).toEqual([{ emoji: '🙏', count: 1, mine: false }]);
+    });
+
+    test('removes deleted messages from the index', async () => {
+      await applyMessageActionToHistory(SESSION_ID, {
+        action: ACTION_DELETE, from: ALICE, to: BOB, targets: TARGETS, sentAt: Date.now()
+      }, ALICE);
+
+      const [stored] = await loadMessages(SESSION_ID);
+      expect(stored).toMatchObject({ id: 'msg-history', content: '', deleted: true });
+      expect(JSON.stringify(await readRow('msg-history'))).not.toContain('lunch');
+      expect(await searchMessages(ALICE, { text: 'lunch' })).toEqual([]);
+    });
+  });
+
+  describe('Envelopes', () => {
+    beforeAll(async () => {
+      const identity = await generateIdentityKeyPair();
+      await storePrivateKeyEncrypted(ALICE, identity.privateKey, PASSWORD);
+
+      // Same send and receive key, so the session can decrypt its own messages
+      const key = randomKey();
+      clearSessionEncryptionCache(ALICE);
+      await createSession(SESSION_ID, ALICE, BOB, randomKey(), key, key, PASSWORD);
+    });
+
+    beforeEach(async () => {
+      sequenceManager.resetSequence(SESSION_ID);
+      await initializeSessionEncryption(ALICE, PASSWORD);
+      await clearMessages(SESSION_ID);
+      await storeMessage(SESSION_ID, {
+        id: 'msg-envelope', type: 'text', content: 'see you soon', sender: ALICE, seq: 1, timestamp: Date.now(), sent: true, copies: TARGETS
+      }, ALICE);
+    });
+
+    test('sends an encrypted EDIT envelope and updates our history', async () => {
+      const socketEmit = jest.fn();
+      const [message] = await loadMessages(SESSION_ID);
+      const { action, envelope, updated } = await sendMessageAction(SESSION_ID, ACTION_EDIT, message, 'see you tomorrow', socketEmit, ALICE, PASSWORD);
+
+      expect(socketEmit).toHaveBeenCalledWith('msg:send', envelope);
+      expect(envelope.type).toBe(ACTION_EDIT);
+      expect(JSON.stringify(envelope)).not.toContain('tomorrow');
+      expect(action).toMatchObject({ from: ALICE, to: BOB, targets: TARGETS, text: 'see you tomorrow' });
+      expect(updated.map(entry => entry.content)).toEqual(['see you tomorrow']);
+    });
+
+    test('returns a received action as a control result', async () => {
+      const [message] = await loadMessages(SESSION_ID);
+      const { action, envelope } = await sendMessageAction(SESSION_ID, ACTION_REACTION, message, '❤️', jest.fn(), ALICE, PASSWORD);
+      sequenceManager.resetSequence(SESSION_ID);
+
+      const result = await handleIncomingMessage(envelope, ALICE);
+
+      expect(result.valid).toBe(true);
+      expect(result.control).toBe(MESSAGE_ACTION_KIND);
+      expect(result.action).toEqual(action);
+      expect(result.conversationId).toBe(SESSION_ID);
+      expect(result.plaintext).toBeUndefined();
+
+      // Only the session peer may change our messages (this action came from ourselves)
+      await expect(acceptMessageAction(result, ALICE)).rejects.toThrow(/not addressed to this conversation/);
+    });
+  });
+});
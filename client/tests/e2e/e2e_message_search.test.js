@@ -0,0 +1,118 @@
+/**
+ * Message Search Tests
+ *
+ * Verifies the encrypted local search index:
+ * - keyword search by word prefix, ignoring case and accents
+ * - sender, date-range, attachment-name and conversation filters
+ * - the stored index holds no plaintext
+ * - history stored before the index existed is indexed on the first search
+ * - nothing can be searched while the storage key is locked
+ */
+
+jest.setTimeout(60000);
+
+import { initializeSessionEncryption, clearSessionEncryptionCache } from '../../src/crypto/sessionManager.js';
+import { storeMessage, clearMessages } from '../../src/utils/messageStorage.js';
+import { indexMessage, searchMessages, buildSearchIndex, clearSearchIndex, tokenize } from '../../src/utils/messageSearch.js';
+
+const USER = 'user-message-search';
+const PEER = 'peer-message-search';
+const OTHER = 'other-message-search';
+const PASSWORD = 'SearchPassword123!';
+const SESSION_ID = 'session-message-search';
+const OTHER_SESSION_ID = 'session-message-search-other';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 5, 15, 12, 0, 0);
+
+describe('Message Search Tests', () => {
+  const ids = (hits) => hits.map(hit => hit.id).sort();
+
+  beforeEach(async () => {
+    clearSessionEncryptionCache(USER);
+    await initializeSessionEncryption(USER, PASSWORD);
+    await clearSearchIndex(USER);
+    await clearMessages(SESSION_ID);
+    await clearMessages(OTHER_SESSION_ID);
+
+    await indexMessage(USER, SESSION_ID, {
+      id: 'm1', type: 'text', content: 'The Café opens at nine', sender: PEER, timestamp: NOW - 3 * DAY
+    });
+    await indexMessage(USER, SESSION_ID, {
+      id: 'm2', type: 'text', content: 'Meeting notes attached below', sender: USER, timestamp: NOW - DAY
+    });
+    await indexMessage(USER, SESSION_ID, {
+      id: 'f1', type: 'file', sender: PEER, timestamp: NOW, fileName: 'Quarterly-Report.pdf'
+    });
+    await indexMessage(USER, OTHER_SESSION_ID, {
+      id: 'm3', type: 'text', content: 'meeting moved to the cafe', sender: OTHER, timestamp: NOW
+    });
+  });
+
+  test('tokenizes without case, accents or punctuation', () => {
+    expect(tokenize('Café, CAFE & café!')).toEqual(['cafe']);
+    expect(tokenize('')).toEqual([]);
+  });
+
+  test('finds messages by keyword prefix across conversations', async () => {
+    expect(ids(await searchMessages(USER, { text: 'cafe' }))).toEqual(['m1', 'm3']);
+    expect(ids(await searchMessages(USER, { text: 'MEET' }))).toEqual(['m2', 'm3']);
+    expect(ids(await searchMessages(USER, { text: 'meeting cafe' }))).toEqual(['m3']);
+    expect(await searchMessages(USER, { text: 'constructor' })).toEqual([]);
+
+    const [hit] = await searchMessages(USER, { text: 'nine' });
+    expect(hit).toMatchObject({ id: 'm1', conversationId: SESSION_ID, sender: PEER, snippet: 'The Café opens at nine' });
+  });
+
+  test('filters by sender, date range and conversation', async () => {
+    expect(ids(await searchMessages(USER, { sender: PEER }))).toEqual(['f1', 'm1']);
+    expect(ids(await searchMessages(USER, { from: NOW - 2 * DAY, to: NOW - DAY }))).toEqual(['m2']);
+    expect(ids(await searchMessages(USER, { text: 'meeting', conversationId: SESSION_ID }))).toEqual(['m2']);
+    expect(await searchMessages(USER, {})).toEqual([]);
+  });
+
+  test('finds attachments by name', async () => {
+    const hits = await searchMessages(USER, { fileName: 'report' });
+    expect(hits).toHaveLength(1);
+    expect(hits[0]).toMatchObject({ id: 'f1', type: 'file', fileName: 'Quarterly-Report.pdf' });
+    expect(ids(await searchMessages(USER, { text: 'quarterly' }))).toEqual(['f1']);
+  });
+
+  test('stores the index encrypted', async () => {
+    const records = await new Promise((resolve, reject) => {
+      const request = indexedDB.open('InfosecCryptoDB');
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        const db = request.result;
+        const getAll = db.transaction(['searchIndex'], 'readonly').objectStore('searchIndex').getAll();
+        getAll.onsuccess = () => {
+          db.close();
+          resolve(getAll.result);
+        };
+        getAll.onerror = () => reject(getAll.error);
+      };
+    });
+
+    const userRecords = records.filter(record => record.userId === USER && record.encryptedIndex);
+    expect(userRecords.map(record => record.conversationId).sort()).toEqual([SESSION_ID, OTHER_SESSION_ID].sort());
+    const stored = JSON.stringify(userRecords);
+    for (const secret of ['nine', 'Meeting', 'Quarterly', PEER, OTHER]) {
+      expect(stored).not.toContain(secret);
+    }
+  });
+
+  test('indexes stored history on the first search', async () => {
+    await clearSearchIndex(USER);
+    await storeMessage(SESSION_ID, { id: 'stored-1', content: 'archived invoice', sender: PEER, seq: 1, timestamp: NOW }, USER);
+
+    expect(ids(await searchMessages(USER, { text: 'invoice' }))).toEqual(['stored-1']);
+    expect(await buildSearchIndex(USER)).toBe(1);
+    expect(ids(await searchMessages(USER, { text: 'invoice' }))).toEqual(['stored-1']);
+  });
+
+  test('cannot search while the storage key is locked', async () => {
+    clearSessionEncryptionCache(USER);
+    await expect(buildSearchIndex(USER)).rejects.toThrow(/initializeSessionEncryption/);
+    await expect(searchMessages(USER, { text: 'cafe' })).rejects.toThrow(/initializeSessionEncryption/);
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Message Storage Encryption Tests
+ *
+ * Verifies at-rest encryption of message history:
+ * - stored rows hold ciphertext only, bound to their ID and session
+ * - nothing is stored or shown while the storage key is locked
+ * - legacy plaintext rows are encrypted by a one-time migration
+ * - a password change re-wraps the storage key without touching messages
+ * - after a password change, the new password unlocks history, sessions and the identity key
+ */
+
+jest.setTimeout(60000);
+
+import {
+  initializeSessionEncryption,
+  clearSessionEncryptionCache,
+  rewrapMessageStorageKey,
+  changeStoragePassword,
+  getMessageStorageKey,
+  createSession,
+  loadSession
+} from '../../src/crypto/sessionManager.js';
+import { generateIdentityKeyPair, storePrivateKeyEncrypted, loadPrivateKey } from '../../src/crypto/identityKeys.js';
+import {
+  storeMessage,
+  loadMessages,
+  clearMessages,
+  migratePlaintextMessages
+} from '../../src/utils/messageStorage.js';
+
+const USER = 'user-message-storage';
+const PEER = 'peer-message-storage';
+const PASSWORD = 'StoragePassword123!';
+const NEW_PASSWORD = 'NewStoragePassword456!';
+const SESSION_ID = 'session-message-storage';
+
+/**
+ * Runs a request against the raw messages store (bypassing messageStorage.js)
+ */
+async function withMessagesStore(mode, run) {
+  const db = await new Promise((resolve, reject) => {
+    const request = indexedDB.open('InfosecCryptoDB');
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  try {
+    return await new Promise((resolve, reject) => {
+      const request = run(db.transaction(['messages'], mode).objectStore('messages'));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+const readRow = (id) => withMessagesStore('readonly', store => store.get(id));
+const writeRow = (row) => withMessagesStore('readwrite', store => store.put(row));
+
+describe('Message Storage Encryption Tests', () => {
+  beforeEach(async () => {
+    clearSessionEncryptionCache(USER);
+    await initializeSessionEncryption(USER, PASSWORD);
+    await clearMessages(SESSION_ID);
+  });
+
+  test('stores only ciphertext and decrypts on load', async () => {
+    await storeMessage(SESSION_ID, { id: 'msg-secret', content: 'meet at noon', sender: PEER, seq: 1 }, USER);
+
+    const row = await readRow('msg-secret');
+    expect(row.content).toBeUndefined();
+    expect(row.owner).toBe(USER);
+    expect(row.encryptedContent).toEqual({
+      ciphertext: expect.any(String),
+      iv: expect.any(String),
+      authTag: expect.any(String)
+    });
+    expect(JSON.stringify(row)).not.toContain('meet at noon');
+
+    const [message] = await loadMessages(SESSION_ID);
+    expect(message).toMatchObject({ id: 'msg-secret', content: 'meet at noon', sender: PEER, seq: 1 });
+    expect(message.encryptedContent).toBeUndefined();
+  });
+
+  test('binds ciphertext to its message', async () => {
+    await storeMessage(SESSION_ID, { id: 'msg-a', content: 'first', sender: PEER, seq: 1 }, USER);
+    await storeMessage(SESSION_ID, { id: 'msg-b', content: 'second', sender: PEER, seq: 2 }, USER);
+    const first = await readRow('msg-a');
+    const second = await readRow('msg-b');
+    await writeRow({ ...second, encryptedContent: first.encryptedContent });
+
+    const messages = await loadMessages(SESSION_ID);
+    expect(messages.map(message => message.content)).toEqual(['first']);
+  });
+
+  test('neither stores nor shows messages while the key is locked', async () => {
+    await storeMessage(SESSION_ID, { id: 'msg-visible', content: 'visible', sender: PEER, seq: 1 }, USER);
+    clearSessionEncryptionCache(USER);
+
+    await storeMessage(SESSION_ID, { id: 'msg-locked', content: 'locked', sender: PEER, seq: 2 }, USER);
+    expect(await readRow('msg-locked')).toBeUndefined();
+    expect(await loadMessages(SESSION_ID)).toEqual([]);
+
+    await initializeSessionEncryption(USER, PASSWORD);
+    expect((await loadMessages(SESSION_ID)).map(message => message.content)).toEqual(['visible']);
+  });
+
+  test('migrates plaintext rows once', async () => {
+    await writeRow({
+      id: 'msg-legacy',
+      sessionId: SESSION_ID,
+      type: 'text',
+      content: 'written before encryption',
+      sender: PEER,
+      timestamp: Date.now(),
+      seq: 1,
+      sent: false
+    });
+
+    expect(await migratePlaintextMessages(USER)).toBe(1);
+    const row = await readRow('msg-legacy');
+    expect(row.content).toBeUndefined();
+    expect(row.owner).toBe(USER);
+    expect(JSON.stringify(row)).not.toContain('written before encryption');
+    expect((await loadMessages(SESSION_ID))[0].content).toBe('written before encryption');
+
+    expect(await migratePlaintextMessages(USER)).toBe(0);
+  });
+
+  test('keeps history readable after a password change', async () => {
+    const user = 'user-message-storage-rewrap';
+    const sessionId = 'session-message-storage-rewrap';
+    await initializeSessionEncryption(user, PASSWORD);
+    await storeMessage(sessionId, { id: 'msg-rewrap', content: 'still here', sender: PEER, seq: 1 }, user);
+
+    await expect(rewrapMessageStorageKey(user, 'WrongPassword123!', NEW_PASSWORD)).rejects.toThrow(/does not unlock/);
+    expect(await rewrapMessageStorageKey(user, PASSWORD, NEW_PASSWORD)).toBe(true);
+
+    clearSessionEncryptionCache(user);
+    await initializeSessionEncryption(user, PASSWORD);
+    expect(await loadMessages(sessionId)).toEqual([]);
+
+    clearSessionEncryptionCache(user);
+    await initializeSessionEncryption(user, NEW_PASSWORD);
+    expect((await loadMessages(sessionId))[0].content).toBe('still here');
+  });
+
+  test('logging in with the new password reads back history and sessions', async () => {
+    const user = 'user-message-storage-change';
+    const sessionId = 'session-message-storage-change';
+    const rootKey = crypto.getRandomValues(new Uint8Array(32)).buffer;
+    await initializeSessionEncryption(user, PASSWORD);
+    const { privateKey } = await generateIdentityKeyPair();
+    await storePrivateKeyEncrypted(user, privateKey, PASSWORD);
+    await createSession(sessionId, user, PEER, rootKey, rootKey.slice(0), rootKey.slice(0), PASSWORD);
+    await storeMessage(sessionId, { id: 'msg-change', content: 'after the change', sender: PEER, seq: 1 }, user);
+
+    // A wrong current password changes nothing
+    await expect(changeStoragePassword(user, 'WrongPassword123!', NEW_PASSWORD)).rejects.toThrow();
+    expect((await loadMessages(sessionId))[0].content).toBe('after the change');
+
+    await changeStoragePassword(user, PASSWORD, NEW_PASSWORD);
+    // Keys derived from the old password are no longer cached
+    await expect(getMessageStorageKey(user)).rejects.toThrow(/not available/);
+
+    // Login with the new password
+    await initializeSessionEncryption(user, NEW_PASSWORD);
+    expect((await loadMessages(sessionId))[0].content).toBe('after the change');
+    const session = await loadSession(sessionId, user);
+    expect(session.peerId).toBe(PEER);
+    expect(Array.from(new Uint8Array(session.rootKey))).toEqual(Array.from(new Uint8Array(rootKey)));
+    expect(session.ratchet).toBeTruthy();
+    await expect(loadPrivateKey(user, NEW_PASSWORD)).resolves.toBeTruthy();
+
+    // The old password no longer unlocks anything
+    clearSessionEncryptionCache(user);
+    await initializeSessionEncryption(user, PASSWORD);
+    await expect(loadSession(sessionId, user)).rejects.toThrow();
+    expect(await loadMessages(sessionId)).toEqual([]);
+    await expect(loadPrivateKey(user, PASSWORD)).rejects.toThrow();
+  });
+});
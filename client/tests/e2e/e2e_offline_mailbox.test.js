@@ -0,0 +1,177 @@
+/**
+ * E2EE Offline Mailbox Tests
+ *
+ * Verifies how envelopes held by the server mailbox are drained:
+ * - text messages are decrypted and stored without a chat open
+ * - envelopes are handed to the open chat of their conversation
+ * - only stored or permanently invalid envelopes are acknowledged;
+ *   envelopes that may succeed later are left for a retry
+ * - draining continues behind envelopes left in the mailbox
+ */
+
+jest.setTimeout(60000);
+
+import {
+  receiveMailboxBatch,
+  registerMailboxHandler,
+  startMailboxDrain
+} from '../../src/utils/mailbox.js';
+import { sendEncryptedMessage, MAILBOX_MAX_AGE } from '../../src/crypto/messageFlow.js';
+import { createSession, clearSessionEncryptionCache } from '../../src/crypto/sessionManager.js';
+import { sequenceManager } from '../../src/crypto/messages.js';
+import { loadMessages, clearMessages } from '../../src/utils/messageStorage.js';
+
+const ALICE = 'alice-mailbox-user';
+const BOB = 'bob-mailbox-user';
+const PASSWORD = 'MailboxPassword123!';
+const SESSION_ID = 'session-alice-bob-mailbox';
+
+const randomKey = () => crypto.getRandomValues(new Uint8Array(32)).buffer;
+
+// Stand-in for the mailbox-only Socket.IO connection
+function createFakeSocket() {
+  const listeners = new Map();
+  return {
+    connected: true,
+    emitted: [],
+    on(event, listener) {
+      listeners.set(event, listener);
+    },
+    off(event) {
+      listeners.delete(event);
+    },
+    emit(event, data) {
+      this.emitted.push([event, data]);
+    },
+    deliver(data) {
+      return listeners.get('mailbox:deliver')(data);
+    }
+  };
+}
+
+describe('E2EE Offline Mailbox Tests', () => {
+  beforeAll(async () => {
+    // Same send and receive key, so the session can decrypt its own messages
+    const key = randomKey();
+    clearSessionEncryptionCache(ALICE);
+    await createSession(SESSION_ID, ALICE, BOB, randomKey(), key, key, PASSWORD);
+  });
+
+  beforeEach(async () => {
+    sequenceManager.resetSequence(SESSION_ID);
+    await clearMessages(SESSION_ID);
+  });
+
+  const sendToMailbox = async (text) => {
+    const envelope = await sendEncryptedMessage(SESSION_ID, text, jest.fn(), ALICE);
+    sequenceManager.resetSequence(SESSION_ID);
+    return envelope;
+  };
+
+  describe('Without a chat open', () => {
+    test('stores text messages and acknowledges them', async () => {
+      const envelope = await sendToMailbox('Sent while you were away');
+      const onDelivered = jest.fn();
+
+      const acknowledged = await receiveMailboxBatch([{ messageId: 'm1', envelope }], ALICE, { onDelivered });
+
+      expect(acknowledged).toEqual(['m1']);
+      const stored = await loadMessages(SESSION_ID);
+      expect(stored.map(message => message.content)).toEqual(['Sent while you were away']);
+      expect(stored[0].receivedOn).toBe(SESSION_ID);
+      expect(onDelivered).toHaveBeenCalledWith(SESSION_ID, envelope.seq);
+    });
+
+    test('leaves envelopes of sessions that are not set up yet for a retry', async () => {
+      const envelope = await sendToMailbox('Too early');
+
+      const acknowledged = await receiveMailboxBatch(
+        [{ messageId: 'm1', envelope: { ...envelope, sessionId: 'session-not-established-yet' } }],
+        ALICE
+      );
+
+      expect(acknowledged).toEqual([]);
+    });
+
+    test('acknowledges envelopes that can never be processed', async () => {
+      const acknowledged = await receiveMailboxBatch(
+        [{ messageId: 'm1', envelope: { type: 'MSG', sessionId: SESSION_ID } }],
+        ALICE
+      );
+
+      expect(acknowledged).toEqual(['m1']);
+      expect(await loadMessages(SESSION_ID)).toHaveLength(0);
+    });
+
+    test('leaves file transfers for the chat to reassemble', async () => {
+      const acknowledged = await receiveMailboxBatch(
+        [{ messageId: 'f1', envelope: { type: 'FILE_CHUNK', sessionId: SESSION_ID, seq: 1 } }],
+        ALICE
+      );
+
+      expect(acknowledged).toEqual([]);
+    });
+  });
+
+  describe('With a chat open', () => {
+    test('hands envelopes to the chat of their conversation', async () => {
+      const envelope = await sendToMailbox('For the open chat');
+      const handler = jest.fn()
+        .mockResolvedValueOnce(true)
+        .mockResolvedValueOnce(false);
+      const unregister = registerMailboxHandler(SESSION_ID, handler);
+
+      try {
+        const acknowledged = await receiveMailboxBatch([
+          { messageId: 'm1', envelope },
+          { messageId: 'f1', envelope: { type: 'FILE_CHUNK', sessionId: SESSION_ID, seq: 2 } }
+        ], ALICE);
+
+        expect(handler).toHaveBeenCalledWith(envelope, { maxAge: MAILBOX_MAX_AGE });
+        expect(handler).toHaveBeenCalledTimes(2);
+        expect(acknowledged).toEqual(['m1']);
+        // The chat stores the message itself
+        expect(await loadMessages(SESSION_ID)).toHaveLength(0);
+      } finally {
+        unregister();
+      }
+    });
+  });
+
+  describe('Draining', () => {
+    test('acknowledges processed entries and continues behind the ones left', async () => {
+      const first = await sendToMailbox('First');
+      const socket = createFakeSocket();
+      const stop = startMailboxDrain(socket, ALICE);
+
+      try {
+        expect(socket.emitted).toEqual([['mailbox:fetch', undefined]]);
+
+        await socket.deliver({
+          messages: [
+            { messageId: 'f1', envelope: { type: 'FILE_META', sessionId: SESSION_ID, seq: 1 }, queuedAt: '2026-01-01T00:00:00.000Z' },
+            { messageId: 'm1', envelope: first, queuedAt: '2026-01-01T00:00:01.000Z' }
+          ],
+          hasMore: true
+        });
+
+        expect(socket.emitted.slice(1)).toEqual([
+          ['mailbox:ack', { messageIds: ['m1'] }],
+          ['mailbox:fetch', { after: '2026-01-01T00:00:01.000Z' }]
+        ]);
+
+        const second = await sendToMailbox('Second');
+        await socket.deliver({
+          messages: [{ messageId: 'm2', envelope: second, queuedAt: '2026-01-01T00:00:02.000Z' }],
+          hasMore: false
+        });
+
+        expect(socket.emitted.slice(3)).toEqual([['mailbox:ack', { messageIds: ['m2'] }]]);
+        const stored = await loadMessages(SESSION_ID);
+        expect(stored.map(message => message.content)).toEqual(['First', 'Second']);
+      } finally {
+        stop();
+      }
+    });
+  });
+});
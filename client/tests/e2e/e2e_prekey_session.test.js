@@ -0,0 +1,208 @@
+/**
+ * E2EE Prekey Session Tests
+ *
+ * Verifies X3DH-style asynchronous session setup:
+ * - initiator and responder derive the same keys from a prekey bundle
+ *   (with and without a one-time prekey)
+ * - signed prekeys and pre-key headers are bound to the identity keys
+ * - prekey private halves survive an encrypted IndexedDB round trip
+ * - the derived keys bootstrap a working Double Ratchet
+ */
+
+jest.setTimeout(60000);
+
+import { generateIdentityKeyPair } from '../../src/crypto/identityKeys.js';
+import { generateEphemeralKeyPair, deriveSessionKeys, exportPublicKey } from '../../src/crypto/ecdh.js';
+import { initializeSessionEncryption } from '../../src/crypto/sessionManager.js';
+import { initializeRatchetAsInitiator, initializeRatchetAsResponder, ratchetEncrypt, ratchetDecrypt } from '../../src/crypto/doubleRatchet.js';
+import {
+  generateSignedPreKey,
+  generateOneTimePreKeys,
+  verifySignedPreKey,
+  computeInitiatorSecret,
+  computeResponderSecret,
+  buildPreKeyHeader,
+  verifyPreKeyHeader,
+  storePreKeyPair,
+  loadPreKeyPair,
+  deletePreKey
+} from '../../src/crypto/preKeys.js';
+import { validateEnvelopeStructure } from '../../src/crypto/messageEnvelope.js';
+import { arrayBuffersEqual } from './testHelpers.js';
+
+const SESSION_ID = 'session-prekey-test';
+
+describe('E2EE Prekey Session Tests', () => {
+  let aliceIdentity;
+  let bobIdentity;
+
+  beforeAll(async () => {
+    aliceIdentity = await generateIdentityKeyPair();
+    bobIdentity = await generateIdentityKeyPair();
+  });
+
+  /**
+   * Runs both halves of the prekey agreement for Alice (initiator) and Bob (offline responder)
+   */
+  async function agree(useOneTimePreKey) {
+    const signedPreKey = await generateSignedPreKey(bobIdentity.privateKey);
+    const [oneTimePreKey] = useOneTimePreKey ? await generateOneTimePreKeys(1) : [null];
+
+    const aliceEph = await generateEphemeralKeyPair();
+    const aliceSecret = await computeInitiatorSecret(
+      aliceEph.privateKey,
+      signedPreKey.publicKeyJWK,
+      oneTimePreKey?.publicKeyJWK || null
+    );
+    const bobSecret = await computeResponderSecret(
+      await exportPublicKey(aliceEph.publicKey),
+      signedPreKey.keyPair.privateKey,
+      oneTimePreKey?.keyPair.privateKey || null
+    );
+
+    return { signedPreKey, oneTimePreKey, aliceEph, aliceSecret, bobSecret };
+  }
+
+  describe('Shared Secret Agreement', () => {
+    test('should derive the same secret with a one-time prekey', async () => {
+      const { aliceSecret, bobSecret } = await agree(true);
+
+      expect(aliceSecret.byteLength).toBe(64);
+      expect(arrayBuffersEqual(aliceSecret, bobSecret)).toBe(true);
+    });
+
+    test('should derive the same secret when one-time prekeys are depleted', async () => {
+      const { aliceSecret, bobSecret } = await agree(false);
+
+      expect(aliceSecret.byteLength).toBe(32);
+      expect(arrayBuffersEqual(aliceSecret, bobSecret)).toBe(true);
+    });
+
+    test('should derive matching session keys on both sides', async () => {
+      const { aliceSecret, bobSecret } = await agree(true);
+
+      const aliceKeys = await deriveSessionKeys(aliceSecret, SESSION_ID, 'alice', 'bob');
+      const bobKeys = await deriveSessionKeys(bobSecret, SESSION_ID, 'bob', 'alice');
+
+      expect(arrayBuffersEqual(aliceKeys.rootKey, bobKeys.rootKey)).toBe(true);
+      expect(arrayBuffersEqual(aliceKeys.sendKey, bobKeys.recvKey)).toBe(true);
+      expect(arrayBuffersEqual(aliceKeys.recvKey, bobKeys.sendKey)).toBe(true);
+    });
+  });
+
+  describe('Signatures', () => {
+    test('should accept a signed prekey signed by the owner identity key', async () => {
+      const signedPreKey = await generateSignedPreKey(bobIdentity.privateKey);
+
+      expect(await verifySignedPreKey(bobIdentity.publicKey, signedPreKey)).toBe(true);
+    });
+
+    test('should reject a signed prekey substituted by the server', async () => {
+      const signedPreKey = await generateSignedPreKey(bobIdentity.privateKey);
+      const [forged] = await generateOneTimePreKeys(1);
+
+      const tampered = { ...signedPreKey, publicKeyJWK: forged.publicKeyJWK };
+      expect(await verifySignedPreKey(bobIdentity.publicKey, tampered)).toBe(false);
+      expect(await verifySignedPreKey(aliceIdentity.publicKey, signedPreKey)).toBe(false);
+    });
+
+    test('should bind the pre-key header to session and participants', async () => {
+      const eph = await generateEphemeralKeyPair();
+      const header = await buildPreKeyHeader(
+        aliceIdentity.privateKey,
+        SESSION_ID,
+        'alice',
+        'bob',
+        await exportPublicKey(eph.publicKey),
+        7,
+        null
+      );
+
+      expect(await verifyPreKeyHeader(aliceIdentity.publicKey, header, SESSION_ID, 'alice', 'bob')).toBe(true);
+      expect(await verifyPreKeyHeader(aliceIdentity.publicKey, header, 'other-session', 'alice', 'bob')).toBe(false);
+      expect(await verifyPreKeyHeader(aliceIdentity.publicKey, header, SESSION_ID, 'mallory', 'bob')).toBe(false);
+      expect(await verifyPreKeyHeader(aliceIdentity.publicKey, { ...header, signedPreKeyId: 8 }, SESSION_ID, 'alice', 'bob')).toBe(false);
+    });
+
+    test('should validate the pre-key header in the envelope structure', async () => {
+      const eph = await generateEphemeralKeyPair();
+      const header = await buildPreKeyHeader(
+        aliceIdentity.privateKey,
+        SESSION_ID,
+        'alice',
+        'bob',
+        await exportPublicKey(eph.publicKey),
+        7,
+        12
+      );
+      const envelope = {
+        type: 'MSG',
+        sessionId: SESSION_ID,
+        sender: 'alice',
+        receiver: 'bob',
+        ciphertext: 'Y2lwaGVy',
+        iv: 'aXY=',
+        authTag: 'dGFn',
+        nonce: 'bm9uY2U=',
+        timestamp: Date.now(),
+        seq: 1,
+        preKeyHeader: header
+      };
+
+      expect(validateEnvelopeStructure(envelope).valid).toBe(true);
+      expect(validateEnvelopeStructure({ ...envelope, preKeyHeader: { ...header, signedPreKeyId: '7' } }).valid).toBe(false);
+      expect(validateEnvelopeStructure({ ...envelope, type: 'FILE_CHUNK', meta: { chunkIndex: 0, totalChunks: 1 } }).valid).toBe(false);
+    });
+  });
+
+  describe('Prekey Storage', () => {
+    const userId = 'prekey-storage-user';
+
+    beforeAll(async () => {
+      await initializeSessionEncryption(userId, 'PrekeyTestPassword123!');
+    });
+
+    test('should round-trip an encrypted prekey pair', async () => {
+      const [preKey] = await generateOneTimePreKeys(1);
+      await storePreKeyPair(userId, 'oneTime', preKey.keyId, preKey.keyPair);
+
+      const loaded = await loadPreKeyPair(userId, 'oneTime', preKey.keyId);
+      expect(loaded.publicKeyJWK).toEqual(preKey.publicKeyJWK);
+
+      // Loaded private key must agree with a secret computed from the original
+      const eph = await generateEphemeralKeyPair();
+      const expected = await computeInitiatorSecret(eph.privateKey, preKey.publicKeyJWK);
+      const actual = await computeResponderSecret(await exportPublicKey(eph.publicKey), loaded.privateKey);
+      expect(arrayBuffersEqual(expected, actual)).toBe(true);
+    });
+
+    test('should forget a deleted one-time prekey', async () => {
+      const [preKey] = await generateOneTimePreKeys(1);
+      await storePreKeyPair(userId, 'oneTime', preKey.keyId, preKey.keyPair);
+      await deletePreKey(userId, 'oneTime', preKey.keyId);
+
+      expect(await loadPreKeyPair(userId, 'oneTime', preKey.keyId)).toBeNull();
+    });
+  });
+
+  describe('Ratchet Bootstrap', () => {
+    test('should exchange messages on a session derived from a bundle', async () => {
+      const { signedPreKey, aliceSecret, bobSecret } = await agree(true);
+      const aliceKeys = await deriveSessionKeys(aliceSecret, SESSION_ID, 'alice', 'bob');
+      const bobKeys = await deriveSessionKeys(bobSecret, SESSION_ID, 'bob', 'alice');
+
+      let alice = await initializeRatchetAsInitiator(aliceKeys.rootKey, aliceKeys.sendKey, aliceKeys.recvKey, signedPreKey.publicKeyJWK);
+      let bob = await initializeRatchetAsResponder(bobKeys.rootKey, bobKeys.sendKey, bobKeys.recvKey, signedPreKey.keyPair);
+
+      const first = await ratchetEncrypt(alice, SESSION_ID, 'sent while bob was offline');
+      alice = first.state;
+      const received = await ratchetDecrypt(bob, SESSION_ID, first.header, first.ciphertext, first.iv, first.authTag);
+      bob = received.state;
+      expect(new TextDecoder().decode(received.plaintext)).toBe('sent while bob was offline');
+
+      const reply = await ratchetEncrypt(bob, SESSION_ID, 'got it');
+      const answered = await ratchetDecrypt(alice, SESSION_ID, reply.header, reply.ciphertext, reply.iv, reply.authTag);
+      expect(new TextDecoder().decode(answered.plaintext)).toBe('got it');
+    });
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * E2EE Delivery and Read Receipt Tests
+ *
+ * Verifies encrypted receipts:
+ * - sequence numbers are batched into ranges
+ * - RECEIPT envelopes are encrypted and come back as control results
+ * - receipts raise the status of matching sent messages (never lower it)
+ * - read receipts honor the readReceipts setting
+ */
+
+jest.setTimeout(60000);
+
+import {
+  toSeqRanges,
+  rangesInclude,
+  buildReceiptPayload,
+  parseReceiptPayload,
+  applyReceipt,
+  createReceiptBatcher,
+  RECEIPT_KIND,
+  RECEIPT_DELIVERED,
+  RECEIPT_READ
+} from '../../src/crypto/receipts.js';
+import { sendReceipt, handleIncomingMessage } from '../../src/crypto/messageFlow.js';
+import { validateEnvelopeStructure } from '../../src/crypto/messageEnvelope.js';
+import { createSession, clearSessionEncryptionCache, initializeSessionEncryption } from '../../src/crypto/sessionManager.js';
+import { sequenceManager } from '../../src/crypto/messages.js';
+import { storeMessage, loadMessages, clearMessages } from '../../src/utils/messageStorage.js';
+import { updateSetting, resetSettings } from '../../src/utils/userSettings.js';
+
+const ALICE = 'alice-receipt-user';
+const BOB = 'bob-receipt-user';
+const PASSWORD = 'ReceiptPassword123!';
+const SESSION_ID = 'session-alice-bob-receipts';
+const DEVICE_SESSION_ID = 'session-alice-bob-phone-receipts';
+
+const randomKey = () => crypto.getRandomValues(new Uint8Array(32)).buffer;
+
+describe('E2EE Receipt Tests', () => {
+  beforeEach(() => {
+    resetSettings();
+  });
+
+  describe('Payload', () => {
+    test('collapses sequence numbers into ranges', () => {
+      expect(toSeqRanges([5, 1, 2, 3, 7, 6, 2, 10])).toEqual([[1, 3], [5, 7], [10, 10]]);
+      expect(rangesInclude([[1, 3], [10, 10]], 2)).toBe(true);
+      expect(rangesInclude([[1, 3], [10, 10]], 4)).toBe(false);
+    });
+
+    test('round-trips through the payload format', () => {
+      const payload = buildReceiptPayload(RECEIPT_READ, [3, 4, 9]);
+
+      expect(parseReceiptPayload(payload)).toEqual({ status: RECEIPT_READ, ranges: [[3, 4], [9, 9]] });
+    });
+
+    test('rejects malformed receipts', () => {
+      expect(() => buildReceiptPayload('seen', [1])).toThrow(/Invalid receipt status/);
+      expect(() => buildReceiptPayload(RECEIPT_READ, [])).toThrow(/at least one message/);
+
+      expect(parseReceiptPayload('hello')).toBeNull();
+      expect(parseReceiptPayload(JSON.stringify({ kind: RECEIPT_KIND, status: 'seen', ranges: [[1, 1]] }))).toBeNull();
+      expect(parseReceiptPayload(JSON.stringify({ kind: RECEIPT_KIND, status: RECEIPT_READ, ranges: [[5, 1]] }))).toBeNull();
+      expect(parseReceiptPayload(JSON.stringify({ kind: RECEIPT_KIND, status: RECEIPT_READ, ranges: [] }))).toBeNull();
+    });
+  });
+
+  describe('Envelopes', () => {
+    beforeAll(async () => {
+      // Same send and receive key, so the session can decrypt its own receipts
+      const key = randomKey();
+      clearSessionEncryptionCache(ALICE);
+      await createSession(SESSION_ID, ALICE, BOB, randomKey(), key, key, PASSWORD);
+    });
+
+    beforeEach(() => {
+      sequenceManager.resetSequence(SESSION_ID);
+    });
+
+    test('sends an encrypted RECEIPT envelope', async () => {
+      const socketEmit = jest.fn();
+      const envelope = await sendReceipt(SESSION_ID, RECEIPT_DELIVERED, [1, 2, 3], socketEmit, ALICE);
+
+      expect(socketEmit).toHaveBeenCalledWith('msg:send', envelope);
+      expect(envelope.type).toBe('RECEIPT');
+      expect(envelope.ratchetHeader).toBeDefined();
+      expect(validateEnvelopeStructure(envelope)).toEqual({ valid: true });
+      expect(JSON.stringify(envelope)).not.toContain(RECEIPT_DELIVERED);
+    });
+
+    test('decrypts a received RECEIPT envelope into a control result', async () => {
+      const envelope = await sendReceipt(SESSION_ID, RECEIPT_READ, [4, 5], jest.fn(), ALICE);
+      sequenceManager.resetSequence(SESSION_ID);
+
+      const result = await handleIncomingMessage(envelope, ALICE);
+
+      expect(result.valid).toBe(true);
+      expect(result.control).toBe(RECEIPT_KIND);
+      expect(result.receipt).toEqual({ status: RECEIPT_READ, ranges: [[4, 5]] });
+      expect(result.conversationId).toBe(SESSION_ID);
+      expect(result.plaintext).toBeUndefined();
+    });
+  });
+
+  describe('Message Status', () => {
+    beforeEach(async () => {
+      await initializeSessionEncryption(ALICE, PASSWORD);
+      await clearMessages(SESSION_ID);
+      await storeMessage(SESSION_ID, {
+        id: `${SESSION_ID}-1`, content: 'one', sender: ALICE, seq: 1, sent: true, status: 'sent',
+        copies: [{ sessionId: SESSION_ID, seq: 1 }, { sessionId: DEVICE_SESSION_ID, seq: 7 }]
+      }, ALICE);
+      await storeMessage(SESSION_ID, {
+        id: `${SESSION_ID}-2`, content: 'two', sender: ALICE, seq: 2, sent: true, status: 'sent',
+        copies: [{ sessionId: SESSION_ID, seq: 2 }]
+      }, ALICE);
+      await storeMessage(SESSION_ID, {
+        id: `${SESSION_ID}-3`, content: 'from bob', sender: BOB, seq: 3, receivedOn: SESSION_ID, status: RECEIPT_DELIVERED
+      }, ALICE);
+    });
+
+    const statuses = async () => Object.fromEntries(
+      (await loadMessages(SESSION_ID)).map(message => [message.content, message.status])
+    );
+
+    test('marks sent messages covered by a receipt', async () => {
+      const updated = await applyReceipt(SESSION_ID, SESSION_ID, { status: RECEIPT_DELIVERED, ranges: [[1, 3]] });
+
+      expect(updated.sort()).toEqual([`${SESSION_ID}-1`, `${SESSION_ID}-2`]);
+      expect(await statuses()).toEqual({ one: RECEIPT_DELIVERED, two: RECEIPT_DELIVERED, 'from bob': RECEIPT_DELIVERED });
+    });
+
+    test('matches copies sent to the peer\'s other devices by their own session', async () => {
+      await applyReceipt(SESSION_ID, DEVICE_SESSION_ID, { status: RECEIPT_READ, ranges: [[7, 7]] });
+      await applyReceipt(SESSION_ID, DEVICE_SESSION_ID, { status: RECEIPT_READ, ranges: [[2, 2]] });
+
+      expect(await statuses()).toMatchObject({ one: RECEIPT_READ, two: 'sent' });
+    });
+
+    test('never lowers the status', async () => {
+      await applyReceipt(SESSION_ID, SESSION_ID, { status: RECEIPT_READ, ranges: [[1, 1]] });
+      const updated = await applyReceipt(SESSION_ID, SESSION_ID, { status: RECEIPT_DELIVERED, ranges: [[1, 2]] });
+
+      expect(updated).toEqual([`${SESSION_ID}-2`]);
+      expect(await statuses()).toMatchObject({ one: RECEIPT_READ, two: RECEIPT_DELIVERED });
+    });
+  });
+
+  describe('Batching', () => {
+    test('sends one receipt per session and status', async () => {
+      const send = jest.fn().mockResolvedValue();
+      const batcher = createReceiptBatcher(send, 10000);
+
+      batcher.add('session-a', RECEIPT_DELIVERED, 2);
+      batcher.add('session-a', RECEIPT_DELIVERED, 1);
+      batcher.add('session-b', RECEIPT_DELIVERED, 5);
+      batcher.add('session-a', RECEIPT_READ, 1);
+      await batcher.flush();
+
+      expect(send).toHaveBeenCalledTimes(3);
+      expect(send).toHaveBeenCalledWith('session-a', RECEIPT_DELIVERED, [2, 1]);
+      expect(send).toHaveBeenCalledWith('session-b', RECEIPT_DELIVERED, [5]);
+      expect(send).toHaveBeenCalledWith('session-a', RECEIPT_READ, [1]);
+    });
+
+    test('does not send read receipts when they are turned off', async () => {
+      updateSetting('readReceipts', false);
+      const send = jest.fn().mockResolvedValue();
+      const batcher = createReceiptBatcher(send, 10000);
+
+      batcher.add('session-a', RECEIPT_READ, 1);
+      batcher.add('session-a', RECEIPT_DELIVERED, 1);
+      await batcher.flush();
+
+      expect(send).toHaveBeenCalledTimes(1);
+      expect(send).toHaveBeenCalledWith('session-a', RECEIPT_DELIVERED, [1]);
+    });
+  });
+});
@@ -0,0 +1,217 @@
+/**
+ * Reply Tests
+ *
+ * Verifies replies, quotes and threads:
+ * - the quoted message travels inside the encrypted payload and is validated on parse
+ * - pairwise replies find the original by any of its copies, group replies by id
+ * - quotes are encrypted at rest and survive a reload from messageStorage
+ * - threads group replies under the message their chain leads back to
+ */
+
+jest.setTimeout(60000);
+
+import {
+  REPLY_KIND,
+  MAX_SNIPPET_LENGTH,
+  makeSnippet,
+  createReplyTo,
+  buildReplyPayload,
+  parseReplyPayload,
+  findReplyTarget,
+  buildThreads
+} from '../../src/crypto/replies.js';
+import { ACTION_DELETE, applyMessageAction } from '../../src/crypto/messageActions.js';
+import { sendEncryptedMessage, handleIncomingMessage } from '../../src/crypto/messageFlow.js';
+import { createSession, clearSessionEncryptionCache, initializeSessionEncryption } from '../../src/crypto/sessionManager.js';
+import { sequenceManager } from '../../src/crypto/messages.js';
+import { storeMessage, loadMessages, clearMessages } from '../../src/utils/messageStorage.js';
+
+const ALICE = 'alice-replies-user';
+const BOB = 'bob-replies-user';
+const PASSWORD = 'RepliesPassword123!';
+const SESSION_ID = 'session-alice-bob-replies';
+const GROUP_ID = 'group-replies';
+
+const randomKey = () => crypto.getRandomValues(new Uint8Array(32)).buffer;
+
+/**
+ * Reads a raw row of the messages store (bypassing messageStorage.js)
+ */
+async function readRow(id) {
+  const db = await new Promise((resolve, reject) => {
+    const request = indexedDB.open('InfosecCryptoDB');
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  try {
+    return await new Promise((resolve, reject) => {
+      const request = db.transaction(['messages'], 'readonly').objectStore('messages').get(id);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+describe('Reply Tests', () => {
+  describe('Payloads', () => {
+    const original = {
+      id: `${SESSION_ID}-1`,
+      type: 'text',
+      content: 'are we still on for lunch?',
+      sender: BOB,
+      seq: 1,
+      receivedOn: 'session-bob-phone'
+    };
+
+    test('quotes pairwise messages by their copies', () => {
+      const replyTo = createReplyTo(original, SESSION_ID, false);
+      expect(replyTo).toEqual({
+        sender: BOB,
+        snippet: 'are we still on for lunch?',
+        targets: [{ sessionId: 'session-bob-phone', seq: 1 }]
+      });
+
+      const parsed = parseReplyPayload(buildReplyPayload('yes, at noon', replyTo));
+      expect(parsed).toEqual({ text: 'yes, at noon', replyTo });
+    });
+
+    test('quotes group messages by id', () => {
+      const groupMessage = { id: `${GROUP_ID}-${BOB}-4`, type: 'text', content: 'hi all', sender: BOB, seq: 4 };
+      const replyTo = createReplyTo(groupMessage, GROUP_ID, true);
+      expect(replyTo).toEqual({ sender: BOB, snippet: 'hi all', id: groupMessage.id });
+      expect(parseReplyPayload(buildReplyPayload('hello', replyTo)).replyTo).toEqual(replyTo);
+    });
+
+    test('shortens long quotes', () => {
+      const snippet = makeSnippet(`first line\n\n${'x'.repeat(500)}`);
+      expect(snippet.length).toBe(MAX_SNIPPET_LENGTH);
+      expect(snippet.startsWith('first line x')).toBe(true);
+      expect(snippet.endsWith('…')).toBe(true);
+    });
+
+    test('treats ordinary text as no reply', () => {
+      expect(parseReplyPayload('a reply to your message')).toBeNull();
+      expect(parseReplyPayload('{"kind":"reply"}')).toBeNull();
+      expect(parseReplyPayload(JSON.stringify({ kind: REPLY_KIND, text: 'x', replyTo: { sender: BOB, snippet: 'y' } }))).toBeNull();
+      expect(parseReplyPayload(JSON.stringify({
+        kind: REPLY_KIND, text: 'x', replyTo: { sender: BOB, snippet: 'y'.repeat(MAX_SNIPPET_LENGTH + 1), id: 'm' }
+      }))).toBeNull();
+      expect(parseReplyPayload(JSON.stringify({
+        kind: REPLY_KIND, text: 'x', replyTo: { sender: BOB, snippet: 'y', targets: [{ sessionId: 1, seq: 'a' }] }
+      }))).toBeNull();
+    });
+  });
+
+  describe('Threads', () => {
+    // Alice's view: she sent message 1 to both of Bob's devices
+    const copies = [{ sessionId: SESSION_ID, seq: 1 }, { sessionId: 'session-alice-bob-laptop', seq: 1 }];
+    const root = { id: `${SESSION_ID}-1`, type: 'text', content: 'plan for friday?', sender: ALICE, seq: 1, copies };
+    const fromLaptop = {
+      id: 'session-alice-bob-laptop-2', type: 'text', content: 'movie', sender: BOB, seq: 2,
+      receivedOn: 'session-alice-bob-laptop',
+      replyTo: { sender: ALICE, snippet: 'plan for friday?', targets: [{ sessionId: 'session-alice-bob-laptop', seq: 1 }] }
+    };
+    const answer = {
+      id: `${SESSION_ID}-3`, type: 'text', content: 'which one?', sender: ALICE, seq: 3,
+      copies: [{ sessionId: SESSION_ID, seq: 3 }],
+      replyTo: { sender: BOB, snippet: 'movie', targets: [{ sessionId: 'session-alice-bob-laptop', seq: 2 }] }
+    };
+    const unrelated = { id: `${SESSION_ID}-4`, type: 'text', content: 'by the way', sender: ALICE, seq: 4, copies: [{ sessionId: SESSION_ID, seq: 4 }] };
+
+    test('finds the original by the copy the replying device holds', () => {
+      const messages = [root, fromLaptop, answer, unrelated];
+      expect(findReplyTarget(messages, SESSION_ID, fromLaptop.replyTo)).toBe(root);
+      expect(findReplyTarget(messages, SESSION_ID, answer.replyTo)).toBe(fromLaptop);
+      expect(findReplyTarget(messages, SESSION_ID, { sender: BOB, snippet: 'gone', targets: [{ sessionId: SESSION_ID, seq: 99 }] })).toBeNull();
+    });
+
+    test('groups replies of replies under the first message', () => {
+      const threads = buildThreads([root, fromLaptop, answer, unrelated], SESSION_ID);
+      expect([...threads.keys()]).toEqual([root.id]);
+      expect(threads.get(root.id)).toEqual([fromLaptop, answer]);
+    });
+
+    test('does not thread replies whose original is not loaded', () => {
+      expect(buildThreads([answer, unrelated], SESSION_ID).size).toBe(0);
+    });
+
+    test('deleting a reply drops its quote', () => {
+      const deleted = applyMessageAction(answer, { action: ACTION_DELETE, from: ALICE, to: BOB, targets: answer.copies, sentAt: Date.now() });
+      expect(deleted.replyTo).toBeUndefined();
+      expect(deleted.content).toBe('');
+    });
+  });
+
+  describe('History', () => {
+    beforeEach(async () => {
+      clearSessionEncryptionCache(ALICE);
+      await initializeSessionEncryption(ALICE, PASSWORD);
+      await clearMessages(SESSION_ID);
+    });
+
+    test('encrypts quotes at rest and restores them after reload', async () => {
+      const replyTo = { sender: BOB, snippet: 'secret meeting spot', targets: [{ sessionId: SESSION_ID, seq: 1 }] };
+      await storeMessage(SESSION_ID, {
+        id: `${SESSION_ID}-1`, type: 'text', content: 'secret meeting spot', sender: BOB, seq: 1, timestamp: Date.now()
+      }, ALICE);
+      await storeMessage(SESSION_ID, {
+        id: `${SESSION_ID}-2`, type: 'text', content: 'got it', sender: ALICE, seq: 2, timestamp: Date.now(),
+        sent: true, copies: [{ sessionId: SESSION_ID, seq: 2 }], replyTo
+      }, ALICE);
+
+      const row = await readRow(`${SESSION_ID}-2`);
+      expect(row.encryptedReplyTo).toEqual({
+        ciphertext: expect.any(String),
+        iv: expect.any(String),
+        authTag: expect.any(String)
+      });
+      expect(JSON.stringify(row)).not.toContain('meeting');
+
+      const messages = await loadMessages(SESSION_ID);
+      const reply = messages.find(message => message.id === `${SESSION_ID}-2`);
+      expect(reply.replyTo).toEqual(replyTo);
+      expect(findReplyTarget(messages, SESSION_ID, reply.replyTo).id).toBe(`${SESSION_ID}-1`);
+      expect(buildThreads(messages, SESSION_ID).get(`${SESSION_ID}-1`)).toHaveLength(1);
+    });
+  });
+
+  describe('Envelopes', () => {
+    beforeAll(async () => {
+      // Same send and receive key, so the session can decrypt its own messages
+      const key = randomKey();
+      clearSessionEncryptionCache(ALICE);
+      await createSession(SESSION_ID, ALICE, BOB, randomKey(), key, key, PASSWORD);
+    });
+
+    beforeEach(async () => {
+      sequenceManager.resetSequence(SESSION_ID);
+      await initializeSessionEncryption(ALICE, PASSWORD);
+    });
+
+    test('carries the quote inside the encrypted payload', async () => {
+      const replyTo = { sender: BOB, snippet: 'where do we meet?', targets: [{ sessionId: SESSION_ID, seq: 1 }] };
+      const envelope = await sendEncryptedMessage(SESSION_ID, buildReplyPayload('at the station', replyTo), jest.fn(), ALICE);
+      sequenceManager.resetSequence(SESSION_ID);
+
+      expect(envelope.type).toBe('MSG');
+      expect(JSON.stringify(envelope)).not.toContain('station');
+      expect(JSON.stringify(envelope)).not.toContain('where do we meet');
+
+      const result = await handleIncomingMessage(envelope, ALICE);
+      expect(result.valid).toBe(true);
+      expect(result.plaintext).toBe('at the station');
+      expect(result.replyTo).toEqual(replyTo);
+    });
+
+    test('leaves ordinary messages unchanged', async () => {
+      const envelope = await sendEncryptedMessage(SESSION_ID, 'just text', jest.fn(), ALICE);
+      sequenceManager.resetSequence(SESSION_ID);
+
+      const result = await handleIncomingMessage(envelope, ALICE);
+      expect(result.plaintext).toBe('just text');
+      expect(result.replyTo).toBeUndefined();
+    });
+  });
+});
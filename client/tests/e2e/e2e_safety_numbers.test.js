@@ -0,0 +1,202 @@
+/**
+ * E2EE Safety Number Tests
+ *
+ * Verifies out-of-band identity verification:
+ * - fingerprints and safety numbers are deterministic and symmetric
+ * - a substituted identity key (MITM) changes the safety number
+ * - QR payloads compare correctly and reject malformed codes
+ * - QR codes are structurally valid (size, finder patterns, format info)
+ * - verified contacts are flagged when their identity key changes
+ */
+
+jest.setTimeout(60000);
+
+import { generateIdentityKeyPair, exportPublicKey } from '../../src/crypto/identityKeys.js';
+import {
+  computeFingerprint,
+  computeSafetyNumber,
+  formatSafetyNumber,
+  buildVerificationPayload,
+  compareVerificationPayload
+} from '../../src/crypto/safetyNumbers.js';
+import { encodeQR, qrToSvgPath } from '../../src/utils/qrCode.js';
+import {
+  CONTACT_STATUS,
+  getContact,
+  markContactVerified,
+  clearContactVerification,
+  checkContactIdentityKey,
+  assertContactIdentityKeyUnchanged
+} from '../../src/utils/contactStore.js';
+
+const ALICE = 'alice-user-id';
+const BOB = 'bob-user-id';
+
+describe('E2EE Safety Number Tests', () => {
+  let aliceKey;
+  let bobKey;
+  let malloryKey;
+
+  beforeAll(async () => {
+    aliceKey = await exportPublicKey((await generateIdentityKeyPair()).publicKey);
+    bobKey = await exportPublicKey((await generateIdentityKeyPair()).publicKey);
+    malloryKey = await exportPublicKey((await generateIdentityKeyPair()).publicKey);
+  });
+
+  describe('Fingerprints and safety numbers', () => {
+    test('fingerprint is 30 digits and deterministic', async () => {
+      const first = await computeFingerprint(ALICE, aliceKey);
+      const second = await computeFingerprint(ALICE, { ...aliceKey, key_ops: [], ext: true });
+
+      expect(first).toMatch(/^\d{30}$/);
+      expect(second).toBe(first);
+    });
+
+    test('fingerprint depends on both key and user ID', async () => {
+      const base = await computeFingerprint(ALICE, aliceKey);
+
+      expect(await computeFingerprint(BOB, aliceKey)).not.toBe(base);
+      expect(await computeFingerprint(ALICE, bobKey)).not.toBe(base);
+    });
+
+    test('both contacts compute the same safety number', async () => {
+      const aliceView = await computeSafetyNumber(ALICE, aliceKey, BOB, bobKey);
+      const bobView = await computeSafetyNumber(BOB, bobKey, ALICE, aliceKey);
+
+      expect(aliceView).toMatch(/^\d{60}$/);
+      expect(bobView).toBe(aliceView);
+      expect(formatSafetyNumber(aliceView)).toHaveLength(12);
+    });
+
+    test('substituted identity key changes the safety number', async () => {
+      // Server hands Alice Mallory's key instead of Bob's
+      const aliceView = await computeSafetyNumber(ALICE, aliceKey, BOB, malloryKey);
+      const bobView = await computeSafetyNumber(BOB, bobKey, ALICE, aliceKey);
+
+      expect(aliceView).not.toBe(bobView);
+    });
+
+    test('rejects non-EC keys', async () => {
+      await expect(computeFingerprint(ALICE, { kty: 'oct', k: 'abc' }))
+        .rejects.toThrow('Failed to compute fingerprint');
+    });
+  });
+
+  describe('QR payload comparison', () => {
+    let safetyNumber;
+
+    beforeAll(async () => {
+      safetyNumber = await computeSafetyNumber(ALICE, aliceKey, BOB, bobKey);
+    });
+
+    test('matching payload verifies', () => {
+      expect(compareVerificationPayload(buildVerificationPayload(safetyNumber), safetyNumber))
+        .toEqual({ match: true });
+    });
+
+    test('mismatching payload is reported', () => {
+      const other = safetyNumber.replace(/^\d/, (d) => String((Number(d) + 1) % 10));
+      const result = compareVerificationPayload(buildVerificationPayload(other), safetyNumber);
+
+      expect(result.match).toBe(false);
+      expect(result.error).toBe('Safety numbers do not match');
+    });
+
+    test('malformed payloads are rejected', () => {
+      expect(compareVerificationPayload('https://example.com', safetyNumber).error).toBe('Not a safety number code');
+      expect(compareVerificationPayload(`E2EE-SN:2:${safetyNumber}`, safetyNumber).error).toContain('Unsupported');
+      expect(compareVerificationPayload('E2EE-SN:1:12345', safetyNumber).error).toBe('Malformed safety number');
+      expect(compareVerificationPayload(null, safetyNumber).match).toBe(false);
+    });
+  });
+
+  describe('QR encoding', () => {
+    /**
+     * Reads the 15-bit format info copy next to the bottom-left and top-right finders
+     */
+    function readFormatBits(modules) {
+      const size = modules.length;
+      let bits = 0;
+      for (let i = 0; i < 8; i++) {
+        bits |= (modules[8][size - 1 - i] ? 1 : 0) << i;
+      }
+      for (let i = 8; i < 15; i++) {
+        bits |= (modules[size - 15 + i][8] ? 1 : 0) << i;
+      }
+      return bits ^ 0x5412;
+    }
+
+    function hasFinderAt(modules, x0, y0) {
+      for (let dy = 0; dy < 7; dy++) {
+        for (let dx = 0; dx < 7; dx++) {
+          const ring = Math.max(Math.abs(dx - 3), Math.abs(dy - 3));
+          if (modules[y0 + dy][x0 + dx] !== (ring !== 2)) return false;
+        }
+      }
+      return true;
+    }
+
+    test('encodes a verification payload with valid structure', async () => {
+      const payload = buildVerificationPayload(await computeSafetyNumber(ALICE, aliceKey, BOB, bobKey));
+      const qr = encodeQR(payload);
+
+      expect(qr.size).toBe(qr.version * 4 + 17);
+      expect(qr.modules).toHaveLength(qr.size);
+      expect(hasFinderAt(qr.modules, 0, 0)).toBe(true);
+      expect(hasFinderAt(qr.modules, qr.size - 7, 0)).toBe(true);
+      expect(hasFinderAt(qr.modules, 0, qr.size - 7)).toBe(true);
+
+      // Error correction level M (00) and the chosen mask
+      const format = readFormatBits(qr.modules);
+      expect(format >> 13).toBe(0);
+      expect((format >> 10) & 0x7).toBe(qr.mask);
+    });
+
+    test('SVG path covers every dark module', () => {
+      const qr = encodeQR('hello');
+      const dark = qr.modules.flat().filter(Boolean).length;
+
+      expect((qrToSvgPath(qr.modules).match(/M/g) || []).length).toBe(dark);
+    });
+
+    test('rejects payloads that do not fit', () => {
+      expect(() => encodeQR('x'.repeat(500))).toThrow('Data too long for QR code');
+    });
+  });
+
+  describe('Contact verification state', () => {
+    test('unknown contacts are unverified', async () => {
+      const { status, contact } = await checkContactIdentityKey(ALICE, BOB, bobKey);
+
+      expect(status).toBe(CONTACT_STATUS.UNVERIFIED);
+      expect(contact).toBeNull();
+    });
+
+    test('verified contact stays verified while the key is unchanged', async () => {
+      await markContactVerified(ALICE, BOB, bobKey);
+
+      const { status } = await checkContactIdentityKey(ALICE, BOB, bobKey);
+      expect(status).toBe(CONTACT_STATUS.VERIFIED);
+      await expect(assertContactIdentityKeyUnchanged(ALICE, BOB, bobKey)).resolves.toBeUndefined();
+    });
+
+    test('key change on a verified contact blocks session setup', async () => {
+      await markContactVerified(ALICE, BOB, bobKey);
+
+      const { status } = await checkContactIdentityKey(ALICE, BOB, malloryKey);
+      expect(status).toBe(CONTACT_STATUS.CHANGED);
+      await expect(assertContactIdentityKeyUnchanged(ALICE, BOB, malloryKey))
+        .rejects.toMatchObject({ code: 'IDENTITY_KEY_CHANGED' });
+    });
+
+    test('accepting the new key clears verification', async () => {
+      await markContactVerified(ALICE, BOB, bobKey);
+      await clearContactVerification(ALICE, BOB, malloryKey);
+
+      const contact = await getContact(ALICE, BOB);
+      expect(contact.verified).toBe(false);
+      expect((await checkContactIdentityKey(ALICE, BOB, malloryKey)).status).toBe(CONTACT_STATUS.UNVERIFIED);
+      await expect(assertContactIdentityKeyUnchanged(ALICE, BOB, malloryKey)).resolves.toBeUndefined();
+    });
+  });
+});
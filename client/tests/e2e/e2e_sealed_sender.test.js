@@ -0,0 +1,145 @@
+/**
+ * E2EE Sealed Sender Tests
+ *
+ * Verifies sealed-sender envelopes:
+ * - the outer envelope names neither the sender nor the session
+ * - only the recipient's sealing key opens it, and the outer timestamp and
+ *   nonce cannot be altered
+ * - the sender certificate must be signed by the server key, name the
+ *   envelope's sender and be valid when the envelope was written
+ * - the sealing private key survives an encrypted IndexedDB round trip
+ */
+
+jest.setTimeout(60000);
+
+import { generateEphemeralKeyPair, exportPublicKey } from '../../src/crypto/ecdh.js';
+import { initializeSessionEncryption } from '../../src/crypto/sessionManager.js';
+import { storePreKeyPair, loadPreKeyPair } from '../../src/crypto/preKeys.js';
+import { arrayBufferToBase64 } from '../../src/crypto/signatures.js';
+import {
+  sealEnvelope,
+  openSealedEnvelope,
+  checkSealedSender,
+  buildSenderCertificateData,
+  isSealedSenderEnabled
+} from '../../src/crypto/sealedSender.js';
+import { updateSetting, resetSettings } from '../../src/utils/userSettings.js';
+
+const ALICE = 'alice-sealed-user';
+const BOB = 'bob-sealed-user';
+const PASSWORD = 'SealedPassword123!';
+const SESSION_ID = 'session-alice-bob-sealed';
+const DELIVERY_TOKEN = 'a'.repeat(43);
+
+describe('E2EE Sealed Sender Tests', () => {
+  let serverKey;
+  let serverKeyJWK;
+  let bobSealing;
+  let access;
+
+  /**
+   * Signs a sender certificate the way the server does (ECDSA P-256, raw r || s)
+   */
+  async function issueCertificate(fields = {}) {
+    const certificate = { userId: ALICE, deviceId: 'laptop', expiresAt: Date.now() + 60 * 60 * 1000, ...fields };
+    const signature = await crypto.subtle.sign(
+      { name: 'ECDSA', hash: 'SHA-256' },
+      serverKey.privateKey,
+      new TextEncoder().encode(buildSenderCertificateData(certificate))
+    );
+    return { ...certificate, signature: arrayBufferToBase64(signature) };
+  }
+
+  function buildEnvelope(fields = {}) {
+    return {
+      type: 'MSG',
+      sessionId: SESSION_ID,
+      sender: ALICE,
+      receiver: BOB,
+      ciphertext: 'Y2lwaGVydGV4dA==',
+      iv: 'aXY=',
+      authTag: 'dGFn',
+      nonce: arrayBufferToBase64(crypto.getRandomValues(new Uint8Array(16))),
+      timestamp: Date.now(),
+      seq: 1,
+      ...fields
+    };
+  }
+
+  beforeAll(async () => {
+    serverKey = await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+    serverKeyJWK = await crypto.subtle.exportKey('jwk', serverKey.publicKey);
+
+    const keyPair = await generateEphemeralKeyPair();
+    bobSealing = { ...keyPair, publicKeyJWK: await exportPublicKey(keyPair.publicKey) };
+    access = { deviceId: 'phone', deliveryToken: DELIVERY_TOKEN, sealingKey: bobSealing.publicKeyJWK };
+  });
+
+  beforeEach(() => {
+    resetSettings();
+  });
+
+  test('is off unless the user turns it on', () => {
+    expect(isSealedSenderEnabled()).toBe(false);
+    updateSetting('sealedSender', true);
+    expect(isSealedSenderEnabled()).toBe(true);
+  });
+
+  test('hides the sender and session from the outer envelope', async () => {
+    const envelope = buildEnvelope();
+    const sealed = await sealEnvelope(envelope, access, await issueCertificate());
+
+    expect(Object.keys(sealed).sort()).toEqual(
+      ['authTag', 'ciphertext', 'deliveryToken', 'ephPub', 'iv', 'nonce', 'timestamp', 'type']
+    );
+    expect(sealed).toMatchObject({ type: 'SEALED', deliveryToken: DELIVERY_TOKEN });
+    const outer = JSON.stringify(sealed);
+    expect(outer).not.toContain(ALICE);
+    expect(outer).not.toContain(BOB);
+    expect(outer).not.toContain(SESSION_ID);
+
+    const contents = await openSealedEnvelope(sealed, bobSealing);
+    const unsealed = await checkSealedSender(contents, BOB, serverKeyJWK);
+    expect(unsealed).toEqual({ ...envelope, senderDevice: 'laptop' });
+  });
+
+  test('only opens with the recipient sealing key', async () => {
+    const sealed = await sealEnvelope(buildEnvelope(), access, await issueCertificate());
+    const otherKeyPair = await generateEphemeralKeyPair();
+    const other = { ...otherKeyPair, publicKeyJWK: await exportPublicKey(otherKeyPair.publicKey) };
+
+    await expect(openSealedEnvelope(sealed, other)).rejects.toThrow();
+  });
+
+  test('binds the outer timestamp and nonce', async () => {
+    const sealed = await sealEnvelope(buildEnvelope(), access, await issueCertificate());
+
+    await expect(openSealedEnvelope({ ...sealed, timestamp: sealed.timestamp + 1 }, bobSealing)).rejects.toThrow();
+    await expect(openSealedEnvelope({ ...sealed, nonce: 'AAAAAAAAAAAAAAAA' }, bobSealing)).rejects.toThrow();
+  });
+
+  test('rejects certificates that do not vouch for the sender', async () => {
+    const envelope = buildEnvelope();
+    const check = async (certificate, userId = BOB) => checkSealedSender(
+      await openSealedEnvelope(await sealEnvelope(envelope, access, certificate), bobSealing),
+      userId,
+      serverKeyJWK
+    );
+
+    await expect(check(await issueCertificate({ userId: 'mallory-sealed-user' }))).rejects.toThrow(/does not match/);
+    await expect(check(await issueCertificate({ expiresAt: envelope.timestamp - 1 }))).rejects.toThrow(/expired/);
+    await expect(check({ ...(await issueCertificate()), deviceId: 'phone' })).rejects.toThrow(/Invalid sender certificate/);
+    await expect(check(await issueCertificate(), ALICE)).rejects.toThrow(/another user/);
+  });
+
+  test('stores the sealing key encrypted and opens envelopes with it', async () => {
+    await initializeSessionEncryption(BOB, PASSWORD);
+    await storePreKeyPair(BOB, 'sealing', 0, bobSealing);
+    const loaded = await loadPreKeyPair(BOB, 'sealing', 0);
+
+    expect(loaded.publicKeyJWK).toEqual(bobSealing.publicKeyJWK);
+    const sealed = await sealEnvelope(buildEnvelope(), access, await issueCertificate());
+    const { envelope } = await openSealedEnvelope(sealed, loaded);
+    expect(envelope.sender).toBe(ALICE);
+  });
+});
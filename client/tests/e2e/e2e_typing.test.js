@@ -0,0 +1,144 @@
+/**
+ * E2EE Typing Indicator Tests
+ *
+ * Verifies encrypted typing signals:
+ * - signals are encrypted under the session key and addressed to the peer
+ * - a signal only decrypts for the state, session and sender it was made for
+ * - stale signals are ignored
+ * - typing signals honor the showPresence setting
+ * - input activity becomes start/stop signals
+ */
+
+jest.setTimeout(60000);
+
+import {
+  encryptTypingSignal,
+  decryptTypingSignal,
+  sendTypingSignal,
+  createTypingNotifier,
+  TYPING_START,
+  TYPING_STOP
+} from '../../src/crypto/typing.js';
+import { createSession, clearSessionEncryptionCache } from '../../src/crypto/sessionManager.js';
+import { updateSetting, resetSettings } from '../../src/utils/userSettings.js';
+
+const ALICE = 'alice-typing-user';
+const BOB = 'bob-typing-user';
+const PASSWORD = 'TypingPassword123!';
+const SESSION_ID = 'session-alice-bob-typing';
+
+const randomKey = () => crypto.getRandomValues(new Uint8Array(32)).buffer;
+
+// What the server forwards: the signal plus the authenticated sender
+const forwarded = (signal, sender = BOB) => ({ ...signal, sender, senderDevice: 'default' });
+
+describe('E2EE Typing Indicator Tests', () => {
+  beforeAll(async () => {
+    // Same send and receive key, so the session can decrypt its own signals
+    const key = randomKey();
+    clearSessionEncryptionCache(ALICE);
+    await createSession(SESSION_ID, ALICE, BOB, randomKey(), key, key, PASSWORD);
+  });
+
+  beforeEach(() => {
+    resetSettings();
+  });
+
+  describe('Signals', () => {
+    test('encrypts the signal for the session peer', async () => {
+      const signal = await encryptTypingSignal(SESSION_ID, TYPING_START, ALICE);
+
+      expect(signal.sessionId).toBe(SESSION_ID);
+      expect(signal.receiver).toBe(BOB);
+      expect(signal.iv).toBeDefined();
+      expect(signal.authTag).toBeDefined();
+      expect(JSON.stringify(signal)).not.toContain(TYPING_START);
+    });
+
+    test('decrypts a signal from the session peer', async () => {
+      const signal = await encryptTypingSignal(SESSION_ID, TYPING_STOP, ALICE);
+
+      const result = await decryptTypingSignal(forwarded(signal), TYPING_STOP, ALICE);
+
+      expect(result).toMatchObject({ sessionId: SESSION_ID, conversationId: SESSION_ID, sender: BOB, state: TYPING_STOP });
+    });
+
+    test('rejects a signal relabelled as the other state', async () => {
+      const signal = await encryptTypingSignal(SESSION_ID, TYPING_START, ALICE);
+
+      expect(await decryptTypingSignal(forwarded(signal), TYPING_STOP, ALICE)).toBeNull();
+    });
+
+    test('rejects a signal from someone other than the session peer', async () => {
+      const signal = await encryptTypingSignal(SESSION_ID, TYPING_START, ALICE);
+
+      expect(await decryptTypingSignal(forwarded(signal, 'mallory-typing-user'), TYPING_START, ALICE)).toBeNull();
+    });
+
+    test('rejects tampered and stale signals', async () => {
+      const signal = await encryptTypingSignal(SESSION_ID, TYPING_START, ALICE);
+      const other = await encryptTypingSignal(SESSION_ID, TYPING_START, ALICE);
+
+      expect(await decryptTypingSignal(forwarded({ ...signal, authTag: other.authTag }), TYPING_START, ALICE)).toBeNull();
+      expect(await decryptTypingSignal(forwarded(signal), TYPING_START, ALICE, -1)).toBeNull();
+    });
+  });
+
+  describe('Sending', () => {
+    test('emits the signal on the matching event', async () => {
+      const socketEmit = jest.fn();
+      const signal = await sendTypingSignal(SESSION_ID, TYPING_START, socketEmit, ALICE);
+
+      expect(socketEmit).toHaveBeenCalledWith('typing:start', signal);
+    });
+
+    test('does not send typing signals when presence is hidden', async () => {
+      updateSetting('showPresence', false);
+      const socketEmit = jest.fn();
+
+      expect(await sendTypingSignal(SESSION_ID, TYPING_START, socketEmit, ALICE)).toBeNull();
+      expect(socketEmit).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Notifier', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('sends start once, repeats it while typing continues, and stops when idle', () => {
+      const send = jest.fn();
+      const notifier = createTypingNotifier(send, { idleTimeout: 3000, refreshInterval: 4000 });
+
+      notifier.keystroke();
+      jest.advanceTimersByTime(1000);
+      notifier.keystroke();
+      expect(send.mock.calls).toEqual([[TYPING_START]]);
+
+      jest.advanceTimersByTime(2500);
+      notifier.keystroke();
+      jest.advanceTimersByTime(1000);
+      notifier.keystroke();
+      expect(send.mock.calls).toEqual([[TYPING_START], [TYPING_START]]);
+
+      jest.advanceTimersByTime(3000);
+      expect(send.mock.calls).toEqual([[TYPING_START], [TYPING_START], [TYPING_STOP]]);
+    });
+
+    test('stop() sends stop only after a start', () => {
+      const send = jest.fn();
+      const notifier = createTypingNotifier(send);
+
+      notifier.stop();
+      expect(send).not.toHaveBeenCalled();
+
+      notifier.keystroke();
+      notifier.stop();
+      expect(send.mock.calls).toEqual([[TYPING_START], [TYPING_STOP]]);
+    });
+  });
+});
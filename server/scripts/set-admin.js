@@ -0,0 +1,69 @@
+/**
+ * Set Admin Role Script
+ *
+ * Grants (or revokes) the admin role that unlocks the security
+ * operations console (/api/admin/*).
+ *
+ * Usage:
+ *   node server/scripts/set-admin.js <email>
+ *   node server/scripts/set-admin.js <email> --revoke
+ */
+
+import { connectDatabase, closeDatabase } from '../src/config/database.js';
+import { User } from '../src/models/User.js';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load environment variables
+dotenv.config({ path: join(__dirname, '../../.env') });
+
+/**
+ * Main function
+ */
+async function setAdmin() {
+  const args = process.argv.slice(2);
+  const email = args.find(arg => !arg.startsWith('--'));
+  const role = args.includes('--revoke') ? 'user' : 'admin';
+
+  if (!email) {
+    console.error('Usage: node server/scripts/set-admin.js <email> [--revoke]');
+    process.exit(1);
+  }
+
+  try {
+    const mongoUri = process.env.MONGODB_URI;
+    if (!mongoUri) {
+      throw new Error('MONGODB_URI environment variable is required');
+    }
+
+    await connectDatabase(mongoUri);
+
+    const user = await User.findOneAndUpdate(
+      { email: email.trim().toLowerCase() },
+      { role },
+      { new: true }
+    );
+
+    if (!user) {
+      console.error(`✗ No user found with email ${email}`);
+      await closeDatabase();
+      process.exit(1);
+    }
+
+    console.log(`✓ ${user.email} now has the '${user.role}' role`);
+    console.log('  Reload the client for the admin area to appear or disappear.');
+
+    await closeDatabase();
+  } catch (error) {
+    console.error('✗ Script failed:', error);
+    await closeDatabase();
+    process.exit(1);
+  }
+}
+
+// Run the script
+setAdmin();
@@ -0,0 +1,213 @@
+/**
+ * Admin Controller
+ * Security operations console: alert thresholds, account lockouts,
+ * replay/signature failure trends and HMAC log integrity.
+ * All routes require the admin role (requireAdmin).
+ */
+
+import { userService } from '../services/user.service.js';
+import { getAlertStatistics } from '../utils/alerting.js';
+import { getLockedAccounts, isAccountLocked, clearFailedAttempts } from '../utils/accountLockout.js';
+import { getLogIntegrityStatus, getRecentAlerts, getSecurityEventTrends } from '../utils/logAudit.js';
+import { writeProtectedLog } from '../utils/logIntegrity.js';
+import { securityLogger } from '../utils/logger.js';
+
+const DEFAULT_WINDOW_HOURS = 24;
+const MAX_WINDOW_HOURS = 7 * 24;
+
+/**
+ * Parses the ?hours= query parameter
+ * @param {*} value - Query value
+ * @returns {number|null} Hours, or null if invalid
+ */
+function parseWindowHours(value) {
+  if (value === undefined) {
+    return DEFAULT_WINDOW_HOURS;
+  }
+  const hours = Number(value);
+  if (!Number.isInteger(hours) || hours < 1 || hours > MAX_WINDOW_HOURS) {
+    return null;
+  }
+  return hours;
+}
+
+/**
+ * Adds account emails to locked account entries
+ * @param {Array<Object>} lockedAccounts - Entries from getLockedAccounts
+ * @returns {Promise<Array<Object>>}
+ */
+async function withEmails(lockedAccounts) {
+  const users = await userService.getUsersByIds(lockedAccounts.map(account => account.userId));
+  const emails = new Map(users.map(user => [user.id, user.email]));
+
+  return lockedAccounts.map(account => ({
+    userId: account.userId,
+    email: emails.get(account.userId) || null,
+    failedAttempts: account.failedAttempts,
+    lockoutUntil: new Date(account.lockoutUntil).toISOString()
+  }));
+}
+
+/**
+ * Summary for the admin dashboard
+ * GET /api/admin/overview
+ */
+export async function getOverview(req, res, next) {
+  try {
+    const integrity = getLogIntegrityStatus();
+
+    res.json({
+      success: true,
+      data: {
+        statistics: await getAlertStatistics(),
+        activeAlerts: getRecentAlerts({ hours: DEFAULT_WINDOW_HOURS }).length,
+        lockedAccounts: (await getLockedAccounts()).length,
+        tamperedLogEntries: integrity.reduce((sum, file) => sum + file.tampered, 0)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Lists alerts raised within the window
+ * GET /api/admin/alerts?hours=24
+ */
+export async function getAlerts(req, res, next) {
+  try {
+    const hours = parseWindowHours(req.query.hours);
+    if (hours === null) {
+      return res.status(400).json({
+        success: false,
+        error: `hours must be an integer between 1 and ${MAX_WINDOW_HOURS}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        hours,
+        alerts: getRecentAlerts({ hours })
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Lists currently locked accounts
+ * GET /api/admin/locked-accounts
+ */
+export async function listLockedAccounts(req, res, next) {
+  try {
+    res.json({
+      success: true,
+      data: {
+        accounts: await withEmails(await getLockedAccounts())
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Lifts the lockout of an account before it expires
+ * POST /api/admin/locked-accounts/:userId/unlock
+ */
+export async function unlockAccount(req, res, next) {
+  try {
+    const { userId } = req.params;
+
+    if (!(await isAccountLocked(userId)).locked) {
+      return res.status(404).json({
+        success: false,
+        error: 'Account is not locked'
+      });
+    }
+
+    await clearFailedAttempts(userId);
+
+    writeProtectedLog('admin_actions.log', {
+      eventType: 'ADMIN_ACCOUNT_UNLOCK',
+      adminId: req.user.id,
+      userId,
+      action: 'UNLOCKED'
+    });
+    securityLogger.info({
+      event: 'admin_account_unlock',
+      adminId: req.user.id,
+      userId,
+      timestamp: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      message: 'Account unlocked'
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Hourly replay attempt and signature failure counts
+ * GET /api/admin/trends?hours=24
+ */
+export async function getTrends(req, res, next) {
+  try {
+    const hours = parseWindowHours(req.query.hours);
+    if (hours === null) {
+      return res.status(400).json({
+        success: false,
+        error: `hours must be an integer between 1 and ${MAX_WINDOW_HOURS}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        hours,
+        ...getSecurityEventTrends({ hours })
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * HMAC verification results for each protected log file
+ * GET /api/admin/log-integrity
+ */
+export async function getLogIntegrity(req, res, next) {
+  try {
+    res.json({
+      success: true,
+      data: {
+        files: getLogIntegrityStatus()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Lists active users (for batch session establishment)
+ * GET /api/admin/users
+ */
+export async function listUsers(req, res, next) {
+  try {
+    res.json({
+      success: true,
+      data: {
+        users: await userService.listActiveUsers(req.user.id)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
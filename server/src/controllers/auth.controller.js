@@ -4,6 +4,14 @@ import { generateAccessToken, generateRefreshToken, verifyToken } from '../utils
 import { logAuthenticationAttempt } from '../utils/attackLogging.js';
 import { recordAuthFailure } from '../utils/alerting.js';
 import { authLogger } from '../utils/logger.js';
+import {
+  findContactIds,
+  removeFromAllGroups,
+  eraseAccountData,
+  writeAccountTombstone
+} from '../utils/accountDeletion.js';
+import { notifyGroupMembers } from './groups.controller.js';
+import { userRoom } from '../websocket/socketIndex.js';
 
 /**
  * Register a new user
@@ -136,7 +144,7 @@ export async function login(req, res, next) {
 
     // Check account lockout status
     const { isAccountLocked, recordFailedAttempt, clearFailedAttempts } = await import('../utils/accountLockout.js');
-    const lockoutStatus = isAccountLocked(user._id.toString());
+    const lockoutStatus = await isAccountLocked(user._id.toString());
     
     if (lockoutStatus.locked) {
       logAuthenticationAttempt(user._id.toString(), false, 'Account locked due to too many failed attempts');
@@ -153,7 +161,7 @@ export async function login(req, res, next) {
 
     if (!isValidPassword) {
       // Record failed attempt
-      const attemptStatus = recordFailedAttempt(user._id.toString());
+      const attemptStatus = await recordFailedAttempt(user._id.toString());
       logAuthenticationAttempt(user._id.toString(), false, 'Invalid password');
       recordAuthFailure(user._id.toString(), clientIP, 'Invalid password');
       
@@ -174,7 +182,7 @@ export async function login(req, res, next) {
     }
 
     // Clear failed attempts on successful login
-    clearFailedAttempts(user._id.toString());
+    await clearFailedAttempts(user._id.toString());
 
     // Log successful authentication
     logAuthenticationAttempt(user._id.toString(), true, 'Login successful');
@@ -427,6 +435,112 @@ export async function deactivate(req, res, next) {
   }
 }
 
+/**
+ * Permanently delete the user's account (requires the current password)
+ * DELETE /api/auth/account
+ * Body: { password }
+ * Erases the user's server-side data, leaves a MetadataAudit tombstone,
+ * tells contacts the identity is gone and disconnects the user's devices.
+ */
+export async function deleteAccount(req, res, next) {
+  try {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Not authenticated'
+      });
+    }
+
+    const { password } = req.body || {};
+    if (!password || typeof password !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields',
+        message: 'Password is required to delete the account'
+      });
+    }
+
+    const userId = req.user.id;
+    const clientIP = req.ip || req.socket.remoteAddress || req.headers['x-forwarded-for'] || 'unknown';
+
+    // Password re-authentication counts towards the login lockout
+    const { isAccountLocked, recordFailedAttempt, clearFailedAttempts } = await import('../utils/accountLockout.js');
+    if ((await isAccountLocked(userId)).locked) {
+      logAuthenticationAttempt(userId, false, 'Account deletion: account locked');
+      recordAuthFailure(userId, clientIP, 'Account locked');
+      return res.status(423).json({
+        success: false,
+        error: 'Account locked',
+        message: 'Account temporarily locked due to too many failed attempts.'
+      });
+    }
+
+    if (!(await userService.verifyPassword(req.user.email, password))) {
+      await recordFailedAttempt(userId);
+      logAuthenticationAttempt(userId, false, 'Account deletion: invalid password');
+      recordAuthFailure(userId, clientIP, 'Invalid password');
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid password',
+        message: 'Password is incorrect'
+      });
+    }
+    await clearFailedAttempts(userId);
+
+    // Cut off every session first so a partial failure cannot leave the account usable
+    await userService.revokeAllRefreshTokens(userId);
+    await userService.deactivateUser(userId);
+
+    const contactIds = await findContactIds(userId);
+    const groups = await removeFromAllGroups(userId);
+    const erased = await eraseAccountData(userId);
+    await writeAccountTombstone(userId, erased, {
+      ipAddress: clientIP,
+      userAgent: req.headers['user-agent'] || null
+    });
+
+    const io = req.app.get('io');
+    if (io) {
+      const timestamp = new Date().toISOString();
+      if (contactIds.length > 0) {
+        for (const socket of await io.in(contactIds.map(userRoom)).fetchSockets()) {
+          socket.emit('identity:deleted', { userId, timestamp });
+        }
+      }
+      for (const group of groups) {
+        await notifyGroupMembers(io, group, { type: 'removed', userIds: [userId], by: userId });
+      }
+      for (const socket of await io.in(userRoom(userId)).fetchSockets()) {
+        socket.emit('account:deleted', { timestamp });
+        socket.disconnect(true);
+      }
+    }
+
+    authLogger.info({
+      event: 'account_deleted',
+      userId,
+      ip: clientIP,
+      contactsNotified: contactIds.length,
+      groupsLeft: groups.length,
+      erased,
+      timestamp: new Date().toISOString()
+    });
+
+    res.clearCookie('refreshToken', {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'strict'
+    });
+
+    res.json({
+      success: true,
+      message: 'Account deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
 /**
  * Change user password
  * POST /api/auth/change-password
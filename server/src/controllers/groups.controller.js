@@ -0,0 +1,390 @@
+import mongoose from 'mongoose';
+import { Group, MAX_GROUP_MEMBERS, GROUP_ROLES } from '../models/Group.js';
+import { User } from '../models/User.js';
+import { securityLogger } from '../utils/logger.js';
+import { userRoom } from '../websocket/socketIndex.js';
+
+/**
+ * Formats a group document for API responses
+ * @param {Object} group - Group document
+ * @returns {Object}
+ */
+function formatGroup(group) {
+  return {
+    id: String(group._id),
+    name: group.name,
+    epoch: group.epoch,
+    createdBy: String(group.createdBy),
+    members: group.members.map(member => ({
+      userId: String(member.user),
+      role: member.role,
+      addedAt: member.addedAt
+    })),
+    createdAt: group.createdAt,
+    updatedAt: group.updatedAt
+  };
+}
+
+/**
+ * Validates a list of user IDs and returns the IDs of active users
+ * @param {Array<string>} userIds - Candidate user IDs
+ * @returns {Promise<Array<string>|null>} Deduplicated IDs, or null if any ID is invalid or unknown
+ */
+async function resolveMemberIds(userIds) {
+  if (!Array.isArray(userIds)) {
+    return null;
+  }
+
+  const unique = [...new Set(userIds.map(String))];
+  if (!unique.every(id => mongoose.isValidObjectId(id))) {
+    return null;
+  }
+
+  const found = await User.countDocuments({ _id: { $in: unique }, isActive: true });
+  return found === unique.length ? unique : null;
+}
+
+/**
+ * Loads a group the requesting user belongs to
+ * Non-members get the same 404 as a missing group so membership is not leaked.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} Group document, or null after responding
+ */
+async function loadGroupForMember(req, res) {
+  const { groupId } = req.params;
+  const group = mongoose.isValidObjectId(groupId) ? await Group.findById(groupId) : null;
+
+  if (!group || !group.getMember(req.user.id)) {
+    res.status(404).json({
+      success: false,
+      error: 'Group not found'
+    });
+    return null;
+  }
+  return group;
+}
+
+/**
+ * Notifies connected members that a group changed
+ * Removed users are notified too so they can drop the group's sender keys.
+ * @param {Object} io - Socket.IO server (may be undefined in tests)
+ * @param {Object} group - Group document after the change
+ * @param {Object} change - {type: 'created'|'added'|'removed'|'role', userIds, by}
+ * @returns {Promise<number>} Number of sockets notified
+ */
+export async function notifyGroupMembers(io, group, change) {
+  if (!io) return 0;
+
+  const recipients = new Set(group.members.map(member => String(member.user)));
+  if (change.type === 'removed') {
+    change.userIds.forEach(id => recipients.add(String(id)));
+  }
+
+  const payload = {
+    group: formatGroup(group),
+    change,
+    timestamp: new Date().toISOString()
+  };
+
+  if (recipients.size === 0) return 0;
+  const sockets = await io.in([...recipients].map(userRoom)).fetchSockets();
+  for (const socket of sockets) {
+    socket.emit('group:updated', payload);
+  }
+  return sockets.length;
+}
+
+/**
+ * Create a group; the creator becomes its first admin
+ * POST /api/groups
+ */
+export async function createGroup(req, res, next) {
+  try {
+    const { name, memberIds = [] } = req.body;
+
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Group name is required'
+      });
+    }
+
+    const others = await resolveMemberIds(memberIds);
+    if (!others) {
+      return res.status(400).json({
+        success: false,
+        error: 'memberIds must be a list of existing user IDs'
+      });
+    }
+
+    const memberSet = others.filter(id => id !== String(req.user.id));
+    if (memberSet.length + 1 > MAX_GROUP_MEMBERS) {
+      return res.status(400).json({
+        success: false,
+        error: `A group can have at most ${MAX_GROUP_MEMBERS} members`
+      });
+    }
+
+    const group = await Group.create({
+      name: name.trim(),
+      createdBy: req.user.id,
+      members: [
+        { user: req.user.id, role: 'admin' },
+        ...memberSet.map(id => ({ user: id, role: 'member' }))
+      ]
+    });
+
+    securityLogger.info({
+      event: 'group_created',
+      userId: req.user.id,
+      groupId: String(group._id),
+      memberCount: group.members.length,
+      timestamp: new Date().toISOString()
+    });
+
+    await notifyGroupMembers(req.app.get('io'), group, {
+      type: 'created',
+      userIds: group.members.map(member => String(member.user)),
+      by: String(req.user.id)
+    });
+
+    res.status(201).json({
+      success: true,
+      data: formatGroup(group)
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * List groups the current user belongs to
+ * GET /api/groups
+ */
+export async function listGroups(req, res, next) {
+  try {
+    const groups = await Group.find({ 'members.user': req.user.id }).sort({ updatedAt: -1 });
+
+    res.json({
+      success: true,
+      data: groups.map(formatGroup)
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get a group (members only)
+ * GET /api/groups/:groupId
+ */
+export async function getGroup(req, res, next) {
+  try {
+    const group = await loadGroupForMember(req, res);
+    if (!group) return;
+
+    res.json({
+      success: true,
+      data: formatGroup(group)
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Add members to a group (admins only)
+ * POST /api/groups/:groupId/members
+ */
+export async function addGroupMembers(req, res, next) {
+  try {
+    const group = await loadGroupForMember(req, res);
+    if (!group) return;
+
+    if (!group.isAdmin(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only group admins can add members'
+      });
+    }
+
+    const userIds = await resolveMemberIds(req.body.memberIds);
+    if (!userIds || userIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'memberIds must be a non-empty list of existing user IDs'
+      });
+    }
+
+    const added = userIds.filter(id => !group.getMember(id));
+    if (group.members.length + added.length > MAX_GROUP_MEMBERS) {
+      return res.status(400).json({
+        success: false,
+        error: `A group can have at most ${MAX_GROUP_MEMBERS} members`
+      });
+    }
+
+    if (added.length > 0) {
+      added.forEach(id => group.members.push({ user: id, role: 'member' }));
+      group.epoch += 1;
+      await group.save();
+
+      securityLogger.info({
+        event: 'group_members_added',
+        userId: req.user.id,
+        groupId: String(group._id),
+        added: added.length,
+        epoch: group.epoch,
+        timestamp: new Date().toISOString()
+      });
+
+      await notifyGroupMembers(req.app.get('io'), group, {
+        type: 'added',
+        userIds: added,
+        by: String(req.user.id)
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatGroup(group)
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Remove a member (admins), or leave the group (any member removing themselves)
+ * DELETE /api/groups/:groupId/members/:userId
+ */
+export async function removeGroupMember(req, res, next) {
+  try {
+    const group = await loadGroupForMember(req, res);
+    if (!group) return;
+
+    const targetId = String(req.params.userId);
+    const isSelf = targetId === String(req.user.id);
+
+    if (!isSelf && !group.isAdmin(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only group admins can remove members'
+      });
+    }
+
+    if (!group.getMember(targetId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'User is not a member of this group'
+      });
+    }
+
+    group.members = group.members.filter(member => String(member.user) !== targetId);
+
+    if (group.members.length === 0) {
+      await Group.deleteOne({ _id: group._id });
+      securityLogger.info({
+        event: 'group_deleted',
+        userId: req.user.id,
+        groupId: String(group._id),
+        timestamp: new Date().toISOString()
+      });
+      return res.json({
+        success: true,
+        data: null
+      });
+    }
+
+    // A group is never left without an admin: promote the longest-standing member
+    if (!group.members.some(member => member.role === 'admin')) {
+      group.members[0].role = 'admin';
+    }
+
+    group.epoch += 1;
+    await group.save();
+
+    securityLogger.info({
+      event: 'group_member_removed',
+      userId: req.user.id,
+      groupId: String(group._id),
+      removedUserId: targetId,
+      left: isSelf,
+      epoch: group.epoch,
+      timestamp: new Date().toISOString()
+    });
+
+    await notifyGroupMembers(req.app.get('io'), group, {
+      type: 'removed',
+      userIds: [targetId],
+      by: String(req.user.id)
+    });
+
+    res.json({
+      success: true,
+      data: formatGroup(group)
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Change a member's role (admins only)
+ * PATCH /api/groups/:groupId/members/:userId
+ */
+export async function updateGroupMemberRole(req, res, next) {
+  try {
+    const group = await loadGroupForMember(req, res);
+    if (!group) return;
+
+    if (!group.isAdmin(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only group admins can change roles'
+      });
+    }
+
+    const { role } = req.body;
+    if (!GROUP_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `role must be one of: ${GROUP_ROLES.join(', ')}`
+      });
+    }
+
+    const member = group.getMember(req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        error: 'User is not a member of this group'
+      });
+    }
+
+    if (role === 'member' && member.role === 'admin' &&
+        group.members.filter(m => m.role === 'admin').length === 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'A group must keep at least one admin'
+      });
+    }
+
+    // Roles do not affect who can read the group, so the epoch stays the same
+    member.role = role;
+    await group.save();
+
+    await notifyGroupMembers(req.app.get('io'), group, {
+      type: 'role',
+      userIds: [String(member.user)],
+      by: String(req.user.id)
+    });
+
+    res.json({
+      success: true,
+      data: formatGroup(group)
+    });
+  } catch (error) {
+    next(error);
+  }
+}
@@ -1,5 +1,6 @@
 import { KEPMessage } from '../models/KEPMessage.js';
 import { logInvalidKEPMessage, logReplayAttempt, validateTimestamp, generateMessageId } from '../utils/replayProtection.js';
+import { userRoom } from '../websocket/socketIndex.js';
 
 /**
  * Send KEP message
@@ -64,8 +65,7 @@ export async function sendKEPMessage(req, res, next) {
     const io = req.app.get('io');
     if (io) {
       // Find socket for recipient user
-      const sockets = await io.fetchSockets();
-      const recipientSocket = sockets.find(s => s.data.user?.id === to);
+      const [recipientSocket] = await io.in(userRoom(to)).fetchSockets();
 
       if (recipientSocket) {
         recipientSocket.emit('kep:message', {
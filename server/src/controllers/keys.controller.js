@@ -1,7 +1,206 @@
-import { PublicKey } from '../models/PublicKey.js';
+import { PublicKey, DEFAULT_DEVICE_ID, deviceIdQuery } from '../models/PublicKey.js';
+import { OneTimePreKey } from '../models/OneTimePreKey.js';
+import { MailboxMessage } from '../models/MailboxMessage.js';
+import { KeyLogEntry } from '../models/KeyLogEntry.js';
 import { userService } from '../services/user.service.js';
 import crypto from 'crypto';
+import mongoose from 'mongoose';
 import { logEvent } from '../utils/attackLogging.js';
+import { securityLogger } from '../utils/logger.js';
+import {
+  appendKeyLogEntry,
+  loadLogTree,
+  signTreeHead,
+  getLogPublicKeyJWK
+} from '../utils/keyTransparency.js';
+import { userRoom } from '../websocket/socketIndex.js';
+import { SealedSenderAccess } from '../models/SealedSenderAccess.js';
+import { findContactIds } from '../utils/accountDeletion.js';
+
+/**
+ * Prekey limits
+ * - MAX_ONE_TIME_PREKEYS: maximum stored one-time prekeys per user
+ * - MAX_PREKEYS_PER_UPLOAD: maximum one-time prekeys accepted per request
+ * - PREKEY_LOW_WATERMARK: owner is asked to replenish below this count
+ */
+const MAX_ONE_TIME_PREKEYS = 200;
+const MAX_PREKEYS_PER_UPLOAD = 100;
+const PREKEY_LOW_WATERMARK = 10;
+
+/**
+ * Device limits
+ * - DEVICE_ID_PATTERN: accepted X-Device-Id / deviceId values
+ * - MAX_DEVICES: maximum devices (active and pending) per user
+ * - DEVICE_LINK_TTL_MS: how long a new device waits for approval
+ */
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const MAX_DEVICES = 10;
+const DEVICE_LINK_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * Returns the device a request was made from (X-Device-Id header)
+ * Clients that predate devices send no header and act as the default device.
+ * @param {Object} req - Express request
+ * @returns {string|null} Device ID, or null if the header is malformed
+ */
+export function getRequestDeviceId(req) {
+  const deviceId = req.get('X-Device-Id');
+  if (deviceId === undefined) {
+    return DEFAULT_DEVICE_ID;
+  }
+  return DEVICE_ID_PATTERN.test(deviceId) ? deviceId : null;
+}
+
+/**
+ * Device ID recorded in the transparency log (the default device is left out
+ * so leaves logged before devices existed keep verifying)
+ * @param {Object} publicKey - PublicKey document
+ * @returns {string|undefined}
+ */
+function getLogDeviceId(publicKey) {
+  const deviceId = publicKey.deviceId || DEFAULT_DEVICE_ID;
+  return deviceId === DEFAULT_DEVICE_ID ? undefined : deviceId;
+}
+
+/**
+ * Finds the active key of one device, or of the user's oldest active device
+ * @param {string} userId - Key owner
+ * @param {string} [deviceId] - Device ID (default: oldest active device)
+ * @returns {Promise<Object|null>} PublicKey document
+ */
+export async function findActiveDeviceKey(userId, deviceId) {
+  if (deviceId) {
+    return PublicKey.findOne({ userId, deviceId: deviceIdQuery(deviceId), status: { $ne: 'pending' } });
+  }
+  return PublicKey.findOne({ userId, status: { $ne: 'pending' } }).sort({ createdAt: 1 });
+}
+
+/**
+ * Public view of a device
+ * linkedBy carries the approving device's signature so contacts can check
+ * the approval themselves (null for a user's first device).
+ * @param {Object} publicKey - PublicKey document
+ * @returns {Object}
+ */
+function serializeDevice(publicKey) {
+  return {
+    deviceId: publicKey.deviceId || DEFAULT_DEVICE_ID,
+    deviceName: publicKey.deviceName || null,
+    publicIdentityKeyJWK: publicKey.publicIdentityKeyJWK,
+    linkedBy: publicKey.linkedBy?.signature
+      ? { deviceId: publicKey.linkedBy.deviceId, signature: publicKey.linkedBy.signature }
+      : null,
+    createdAt: publicKey.createdAt
+  };
+}
+
+/**
+ * Builds the string a device signs to approve a new device
+ * (must match client/src/crypto/devices.js buildDeviceLinkData)
+ * @param {string} userId - Account the device joins
+ * @param {string} deviceId - New device ID
+ * @param {Object} jwk - New device's identity public key
+ * @returns {string}
+ */
+function buildDeviceLinkData(userId, deviceId, jwk) {
+  return JSON.stringify({
+    userId: String(userId),
+    deviceId,
+    publicKey: { kty: jwk.kty, crv: jwk.crv, x: jwk.x, y: jwk.y }
+  });
+}
+
+/**
+ * Verifies a device link approval signed by an active device's identity key
+ * @param {Object} approverJWK - Approving device's identity public key
+ * @param {string} data - Signed data (buildDeviceLinkData)
+ * @param {string} signature - Base64 raw (r || s) ECDSA P-256 SHA-256 signature
+ * @returns {boolean}
+ */
+function verifyDeviceLinkSignature(approverJWK, data, signature) {
+  try {
+    const { kty, crv, x, y } = approverJWK;
+    const key = crypto.createPublicKey({ key: { kty, crv, x, y }, format: 'jwk' });
+    return crypto.verify('sha256', Buffer.from(data), { key, dsaEncoding: 'ieee-p1363' }, Buffer.from(signature, 'base64'));
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Emits an event to a user's connected devices
+ * @param {Object} io - Socket.IO server (may be undefined in tests)
+ * @param {string} userId - Recipient user
+ * @param {string} event - Event name
+ * @param {Object} payload - Event payload
+ * @param {Function} [filter] - Device ID predicate (default: every device)
+ * @returns {Promise<Array<Object>>} Sockets the event was sent to
+ */
+async function emitToUserDevices(io, userId, event, payload, filter = () => true) {
+  if (!io) return [];
+
+  const sockets = (await io.in(userRoom(String(userId))).fetchSockets())
+    .filter(s => filter(s.data.deviceId || DEFAULT_DEVICE_ID));
+  for (const socket of sockets) {
+    socket.emit(event, payload);
+  }
+  return sockets;
+}
+
+/**
+ * Checks that a JWK is an EC P-256 public key without private component
+ * @param {Object} jwk - JWK to check
+ * @returns {boolean}
+ */
+function isValidP256PublicJWK(jwk) {
+  return !!jwk &&
+    typeof jwk === 'object' &&
+    jwk.kty === 'EC' &&
+    jwk.crv === 'P-256' &&
+    typeof jwk.x === 'string' &&
+    typeof jwk.y === 'string' &&
+    jwk.d === undefined;
+}
+
+/**
+ * Computes the integrity hash of a public key JWK (same as PublicKey pre-save hook)
+ * @param {Object} jwk - Public key JWK
+ * @returns {string} Hex SHA-256
+ */
+function computeKeyHash(jwk) {
+  const keyString = JSON.stringify(jwk, Object.keys(jwk).sort());
+  return crypto.createHash('sha256').update(keyString).digest('hex');
+}
+
+/**
+ * Tells a user's online contacts that their identity key changed
+ * Contacts are users they have exchanged KEP messages or messages with.
+ * @param {Object} io - Socket.IO server (may be undefined in tests)
+ * @param {Object} publicKey - Updated PublicKey document
+ * @returns {Promise<number>} Number of notified sockets
+ */
+async function notifyContactsOfKeyChange(io, publicKey) {
+  if (!io) return 0;
+
+  const userId = publicKey.userId;
+  const contactIds = await findContactIds(userId);
+  if (contactIds.length === 0) return 0;
+
+  const sockets = await io.in(contactIds.map(userRoom)).fetchSockets();
+  const payload = {
+    userId: String(userId),
+    deviceId: publicKey.deviceId || DEFAULT_DEVICE_ID,
+    publicIdentityKeyJWK: publicKey.publicIdentityKeyJWK,
+    keyHash: publicKey.keyHash,
+    version: publicKey.version,
+    timestamp: new Date().toISOString()
+  };
+
+  for (const socket of sockets) {
+    socket.emit('identity:key-changed', payload);
+  }
+  return sockets.length;
+}
 
 /**
  * Upload public identity key
@@ -16,7 +215,22 @@ export async function uploadPublicKey(req, res, next) {
       });
     }
 
-    const { publicIdentityKeyJWK } = req.body;
+    const deviceId = getRequestDeviceId(req);
+    if (!deviceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid device ID'
+      });
+    }
+
+    const { publicIdentityKeyJWK, deviceName = null } = req.body;
+
+    if (deviceName !== null && (typeof deviceName !== 'string' || deviceName.length > 64)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Device name must be a string of at most 64 characters'
+      });
+    }
 
     if (!publicIdentityKeyJWK) {
       return res.status(400).json({
@@ -41,8 +255,8 @@ export async function uploadPublicKey(req, res, next) {
       });
     }
 
-    // Check if public key already exists and verify integrity
-    const existingKey = await PublicKey.findOne({ userId: req.user.id });
+    // Check if this device already has a key and verify integrity
+    const existingKey = await PublicKey.findOne({ userId: req.user.id, deviceId: deviceIdQuery(deviceId) });
     if (existingKey) {
       // Verify key hasn't been tampered with by checking hash
       const keyString = JSON.stringify(existingKey.publicIdentityKeyJWK, Object.keys(existingKey.publicIdentityKeyJWK).sort());
@@ -50,8 +264,7 @@ export async function uploadPublicKey(req, res, next) {
       
       if (currentHash !== existingKey.keyHash) {
         // Key has been tampered with - log security event
-        logEvent('PUBLIC_KEY_TAMPER_DETECTED', existingKey.userId.toString(), 'Public key integrity check failed', {
-          userId: existingKey.userId.toString(),
+        logEvent('PUBLIC_KEY_TAMPER_DETECTED', null, existingKey.userId.toString(), 'Public key integrity check failed', {
           expectedHash: existingKey.keyHash,
           actualHash: currentHash
         });
@@ -64,24 +277,145 @@ export async function uploadPublicKey(req, res, next) {
       }
     }
 
-    // Upsert public key
+    // A device joining an account that already has active devices waits for
+    // one of them to approve it (see approveDevice)
+    const isNewDevice = !existingKey || existingKey.status === 'pending';
+    if (isNewDevice) {
+      const devices = await PublicKey.find({ userId: req.user.id }).select('deviceId status');
+      const hasActiveDevice = devices.some(device => device.status !== 'pending');
+
+      if (!existingKey && devices.length >= MAX_DEVICES) {
+        return res.status(409).json({
+          success: false,
+          error: `Too many devices (max ${MAX_DEVICES})`,
+          message: 'Remove a device before adding another one.'
+        });
+      }
+
+      if (hasActiveDevice) {
+        const linkRequestedAt = new Date();
+        const pendingKey = await PublicKey.findOneAndUpdate(
+          { userId: req.user.id, deviceId },
+          {
+            publicIdentityKeyJWK,
+            keyHash: computeKeyHash(publicIdentityKeyJWK),
+            deviceName,
+            status: 'pending',
+            linkRequestedAt,
+            updatedAt: linkRequestedAt,
+            $unset: { signedPreKey: 1 }
+          },
+          { upsert: true, new: true }
+        );
+        await OneTimePreKey.deleteMany({ userId: req.user.id, deviceId });
+
+        const expiresAt = new Date(linkRequestedAt.getTime() + DEVICE_LINK_TTL_MS);
+        const notified = await emitToUserDevices(req.app.get('io'), req.user.id, 'device:link-requested', {
+          deviceId,
+          deviceName,
+          publicIdentityKeyJWK,
+          expiresAt: expiresAt.toISOString()
+        }, id => id !== deviceId);
+
+        securityLogger.info({
+          event: 'device_link_requested',
+          userId: req.user.id,
+          deviceId,
+          notifiedSockets: notified.length,
+          timestamp: new Date().toISOString()
+        });
+
+        return res.status(202).json({
+          success: true,
+          message: 'Device is waiting for approval from one of your other devices',
+          data: {
+            userId: pendingKey.userId,
+            deviceId,
+            status: 'pending',
+            expiresAt
+          }
+        });
+      }
+    }
+
+    // A new identity key invalidates prekeys signed by (or published under) the old one
+    const identityKeyChanged = !isNewDevice &&
+      (existingKey.publicIdentityKeyJWK.x !== publicIdentityKeyJWK.x ||
+        existingKey.publicIdentityKeyJWK.y !== publicIdentityKeyJWK.y);
+
+    // Upsert public key (findOneAndUpdate skips the pre-save hook, so
+    // keyHash, version and previousVersions are maintained here)
+    const update = {
+      publicIdentityKeyJWK,
+      keyHash: computeKeyHash(publicIdentityKeyJWK),
+      status: 'active',
+      updatedAt: new Date()
+    };
+    if (deviceName !== null) {
+      update.deviceName = deviceName;
+    }
+    if (identityKeyChanged) {
+      update.$unset = { signedPreKey: 1 };
+      update.$inc = { version: 1 };
+      update.$push = {
+        previousVersions: {
+          keyHash: existingKey.keyHash || computeKeyHash(existingKey.publicIdentityKeyJWK),
+          version: existingKey.version || 1,
+          replacedAt: new Date()
+        }
+      };
+    }
+
     const publicKey = await PublicKey.findOneAndUpdate(
-      { userId: req.user.id },
-      {
-        publicIdentityKeyJWK,
-        updatedAt: new Date()
-      },
+      { userId: req.user.id, deviceId: deviceIdQuery(deviceId) },
+      update,
       {
         upsert: true,
         new: true
       }
     );
 
+    // Every publish and rotation goes into the transparency log, and a key
+    // published before the log existed is logged when its owner re-uploads it
+    const loggedKey = !isNewDevice && !identityKeyChanged && await KeyLogEntry.exists({
+      userId: req.user.id,
+      deviceId: getLogDeviceId(publicKey) ?? null,
+      'publicKey.x': publicIdentityKeyJWK.x,
+      'publicKey.y': publicIdentityKeyJWK.y
+    });
+    if (!loggedKey) {
+      const logEntry = await appendKeyLogEntry(req.user.id, publicIdentityKeyJWK, publicKey.version, getLogDeviceId(publicKey));
+      securityLogger.info({
+        event: 'key_log_appended',
+        userId: req.user.id,
+        deviceId,
+        index: logEntry.index,
+        version: logEntry.version,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (identityKeyChanged) {
+      await OneTimePreKey.deleteMany({ userId: req.user.id, deviceId: deviceIdQuery(deviceId) });
+
+      const notified = await notifyContactsOfKeyChange(req.app.get('io'), publicKey);
+      securityLogger.info({
+        event: 'identity_key_changed',
+        userId: req.user.id,
+        deviceId,
+        version: publicKey.version,
+        notifiedSockets: notified,
+        timestamp: new Date().toISOString()
+      });
+    }
+
     res.json({
       success: true,
       message: 'Public key uploaded successfully',
       data: {
         userId: publicKey.userId,
+        deviceId: publicKey.deviceId || DEFAULT_DEVICE_ID,
+        status: 'active',
         createdAt: publicKey.createdAt,
         updatedAt: publicKey.updatedAt
       }
@@ -93,11 +427,14 @@ export async function uploadPublicKey(req, res, next) {
 
 /**
  * Get public key by user ID
+ * Top-level fields describe the requested device (?deviceId=), or the user's
+ * oldest active device; `devices` lists every active device.
  * GET /api/keys/:userId
  */
 export async function getPublicKey(req, res, next) {
   try {
     const { userId } = req.params;
+    const { deviceId } = req.query;
 
     if (!userId) {
       return res.status(400).json({
@@ -106,48 +443,69 @@ export async function getPublicKey(req, res, next) {
       });
     }
 
-    const publicKey = await PublicKey.findOne({ userId });
+    if (deviceId !== undefined && !DEVICE_ID_PATTERN.test(deviceId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid device ID'
+      });
+    }
 
-    if (!publicKey) {
+    const devices = await PublicKey.find({ userId, status: { $ne: 'pending' } }).sort({ createdAt: 1 });
+
+    if (devices.length === 0) {
       return res.status(404).json({
         success: false,
         error: 'Public key not found for this user'
       });
     }
 
-    // Verify key integrity before returning (only if keyHash exists)
-    if (publicKey.keyHash) {
-      const keyString = JSON.stringify(publicKey.publicIdentityKeyJWK, Object.keys(publicKey.publicIdentityKeyJWK).sort());
-      const currentHash = crypto.createHash('sha256').update(keyString).digest('hex');
-      
-      if (currentHash !== publicKey.keyHash) {
-        // Key has been tampered with
-        logEvent('PUBLIC_KEY_TAMPER_DETECTED', userId, 'Public key integrity check failed on retrieval', {
-          userId: userId,
-          expectedHash: publicKey.keyHash,
-          actualHash: currentHash
-        });
-        
-        return res.status(500).json({
-          success: false,
-          error: 'Public key integrity violation',
-          message: 'Public key verification failed. Please contact support.'
-        });
+    for (const device of devices) {
+      // Verify key integrity before returning (only if keyHash exists)
+      if (device.keyHash) {
+        const currentHash = computeKeyHash(device.publicIdentityKeyJWK);
+
+        if (currentHash !== device.keyHash) {
+          // Key has been tampered with
+          logEvent('PUBLIC_KEY_TAMPER_DETECTED', null, userId, 'Public key integrity check failed on retrieval', {
+            deviceId: device.deviceId || DEFAULT_DEVICE_ID,
+            expectedHash: device.keyHash,
+            actualHash: currentHash
+          });
+
+          return res.status(500).json({
+            success: false,
+            error: 'Public key integrity violation',
+            message: 'Public key verification failed. Please contact support.'
+          });
+        }
+      } else {
+        // If keyHash doesn't exist, set it now (for backward compatibility)
+        device.keyHash = computeKeyHash(device.publicIdentityKeyJWK);
+        await device.save();
       }
-    } else {
-      // If keyHash doesn't exist, set it now (for backward compatibility)
-      const keyString = JSON.stringify(publicKey.publicIdentityKeyJWK, Object.keys(publicKey.publicIdentityKeyJWK).sort());
-      publicKey.keyHash = crypto.createHash('sha256').update(keyString).digest('hex');
-      await publicKey.save();
+    }
+
+    const publicKey = deviceId
+      ? devices.find(device => (device.deviceId || DEFAULT_DEVICE_ID) === deviceId)
+      : devices[0];
+
+    if (!publicKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'Device not found for this user'
+      });
     }
 
     res.json({
       success: true,
       data: {
         userId: publicKey.userId,
+        deviceId: publicKey.deviceId || DEFAULT_DEVICE_ID,
+        deviceName: publicKey.deviceName || null,
         publicIdentityKeyJWK: publicKey.publicIdentityKeyJWK,
         createdAt: publicKey.createdAt,
-        updatedAt: publicKey.updatedAt
+        updatedAt: publicKey.updatedAt,
+        devices: devices.map(serializeDevice)
       }
     });
   } catch (error) {
@@ -156,7 +514,7 @@ export async function getPublicKey(req, res, next) {
 }
 
 /**
- * Get current user's public key
+ * Get the current device's public key
  * GET /api/keys/me
  */
 export async function getMyPublicKey(req, res, next) {
@@ -168,7 +526,15 @@ export async function getMyPublicKey(req, res, next) {
       });
     }
 
-    const publicKey = await PublicKey.findOne({ userId: req.user.id });
+    const deviceId = getRequestDeviceId(req);
+    if (!deviceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid device ID'
+      });
+    }
+
+    const publicKey = await PublicKey.findOne({ userId: req.user.id, deviceId: deviceIdQuery(deviceId) });
 
     if (!publicKey) {
       return res.status(404).json({
@@ -181,6 +547,8 @@ export async function getMyPublicKey(req, res, next) {
       success: true,
       data: {
         userId: publicKey.userId,
+        deviceId: publicKey.deviceId || DEFAULT_DEVICE_ID,
+        status: publicKey.status || 'active',
         publicIdentityKeyJWK: publicKey.publicIdentityKeyJWK,
         createdAt: publicKey.createdAt,
         updatedAt: publicKey.updatedAt
@@ -191,3 +559,644 @@ export async function getMyPublicKey(req, res, next) {
   }
 }
 
+/**
+ * Upload signed prekey and/or a batch of one-time prekeys
+ * POST /api/keys/prekeys
+ */
+export async function uploadPreKeys(req, res, next) {
+  try {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    const deviceId = getRequestDeviceId(req);
+    if (!deviceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid device ID'
+      });
+    }
+
+    const { signedPreKey, oneTimePreKeys = [] } = req.body || {};
+
+    if (!Array.isArray(oneTimePreKeys) || oneTimePreKeys.length > MAX_PREKEYS_PER_UPLOAD) {
+      return res.status(400).json({
+        success: false,
+        error: `oneTimePreKeys must be an array of at most ${MAX_PREKEYS_PER_UPLOAD} keys`
+      });
+    }
+
+    if (!signedPreKey && oneTimePreKeys.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'signedPreKey or oneTimePreKeys is required'
+      });
+    }
+
+    if (signedPreKey) {
+      if (!Number.isInteger(signedPreKey.keyId) || !isValidP256PublicJWK(signedPreKey.publicKeyJWK) || typeof signedPreKey.signature !== 'string') {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid signed prekey'
+        });
+      }
+    }
+
+    for (const preKey of oneTimePreKeys) {
+      if (!Number.isInteger(preKey?.keyId) || !isValidP256PublicJWK(preKey.publicKeyJWK)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid one-time prekey'
+        });
+      }
+    }
+
+    // Prekeys are published next to an existing identity key of the same device
+    const deviceQuery = { userId: req.user.id, deviceId: deviceIdQuery(deviceId) };
+    const publicKey = await PublicKey.findOne(deviceQuery);
+    if (!publicKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'Public key not found. Please upload your public key first.'
+      });
+    }
+
+    const stored = await OneTimePreKey.countDocuments(deviceQuery);
+    if (stored + oneTimePreKeys.length > MAX_ONE_TIME_PREKEYS) {
+      return res.status(400).json({
+        success: false,
+        error: `Too many one-time prekeys (max ${MAX_ONE_TIME_PREKEYS} stored)`
+      });
+    }
+
+    if (signedPreKey) {
+      const { d, ...publicKeyOnly } = signedPreKey.publicKeyJWK;
+      await PublicKey.updateOne(
+        deviceQuery,
+        {
+          signedPreKey: {
+            keyId: signedPreKey.keyId,
+            publicKeyJWK: publicKeyOnly,
+            signature: signedPreKey.signature,
+            uploadedAt: new Date()
+          }
+        }
+      );
+    }
+
+    if (oneTimePreKeys.length > 0) {
+      await OneTimePreKey.insertMany(oneTimePreKeys.map(preKey => ({
+        userId: req.user.id,
+        deviceId,
+        keyId: preKey.keyId,
+        publicKeyJWK: preKey.publicKeyJWK
+      })));
+    }
+
+    securityLogger.info({
+      event: 'prekeys_uploaded',
+      userId: req.user.id,
+      deviceId,
+      signedPreKeyId: signedPreKey?.keyId ?? null,
+      oneTimePreKeys: oneTimePreKeys.length,
+      timestamp: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      message: 'Prekeys uploaded successfully',
+      data: {
+        signedPreKeyId: signedPreKey?.keyId ?? publicKey.signedPreKey?.keyId ?? null,
+        remaining: stored + oneTimePreKeys.length
+      }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'Duplicate prekey ID'
+      });
+    }
+    next(error);
+  }
+}
+
+/**
+ * Get remaining one-time prekey count for the current user
+ * GET /api/keys/prekeys/count
+ */
+export async function getPreKeyCount(req, res, next) {
+  try {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    const deviceId = getRequestDeviceId(req);
+    if (!deviceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid device ID'
+      });
+    }
+
+    const deviceQuery = { userId: req.user.id, deviceId: deviceIdQuery(deviceId) };
+    const publicKey = await PublicKey.findOne(deviceQuery);
+    const remaining = await OneTimePreKey.countDocuments(deviceQuery);
+
+    res.json({
+      success: true,
+      data: {
+        remaining,
+        signedPreKeyId: publicKey?.signedPreKey?.keyId ?? null,
+        signedPreKeyUploadedAt: publicKey?.signedPreKey?.uploadedAt ?? null,
+        lowWatermark: PREKEY_LOW_WATERMARK,
+        needsReplenish: remaining < PREKEY_LOW_WATERMARK,
+        maxOneTimePreKeys: MAX_ONE_TIME_PREKEYS
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get a prekey bundle for one of a user's devices, consuming one one-time prekey
+ * GET /api/keys/:userId/bundle?deviceId=<device> (default: oldest active device)
+ */
+export async function getPreKeyBundle(req, res, next) {
+  try {
+    const { userId } = req.params;
+
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        error: 'User ID is required'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID'
+      });
+    }
+
+    if (req.query.deviceId !== undefined && !DEVICE_ID_PATTERN.test(req.query.deviceId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid device ID'
+      });
+    }
+
+    const publicKey = await findActiveDeviceKey(userId, req.query.deviceId);
+
+    if (!publicKey || !publicKey.signedPreKey?.publicKeyJWK) {
+      return res.status(404).json({
+        success: false,
+        error: 'Prekey bundle not available for this user'
+      });
+    }
+
+    // Atomically hand out (and delete) the oldest one-time prekey of that device
+    const deviceId = publicKey.deviceId || DEFAULT_DEVICE_ID;
+    const deviceQuery = { userId, deviceId: deviceIdQuery(deviceId) };
+    const oneTimePreKey = await OneTimePreKey.findOneAndDelete(
+      deviceQuery,
+      { sort: { createdAt: 1 } }
+    );
+    const remaining = await OneTimePreKey.countDocuments(deviceQuery);
+
+    securityLogger.info({
+      event: 'prekey_bundle_fetched',
+      userId: req.user?.id || null,
+      targetUserId: userId,
+      deviceId,
+      oneTimePreKeyId: oneTimePreKey?.keyId ?? null,
+      remaining,
+      timestamp: new Date().toISOString()
+    });
+
+    // Track depletion and ask the owner to replenish if they are online
+    if (remaining < PREKEY_LOW_WATERMARK) {
+      if (!oneTimePreKey) {
+        securityLogger.warn({
+          event: 'prekeys_depleted',
+          targetUserId: userId,
+          deviceId,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      await emitToUserDevices(req.app.get('io'), userId, 'prekeys:low', {
+        remaining,
+        lowWatermark: PREKEY_LOW_WATERMARK,
+        timestamp: new Date().toISOString()
+      }, id => id === deviceId);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        userId: publicKey.userId,
+        deviceId,
+        publicIdentityKeyJWK: publicKey.publicIdentityKeyJWK,
+        signedPreKey: {
+          keyId: publicKey.signedPreKey.keyId,
+          publicKeyJWK: publicKey.signedPreKey.publicKeyJWK,
+          signature: publicKey.signedPreKey.signature
+        },
+        oneTimePreKey: oneTimePreKey
+          ? { keyId: oneTimePreKey.keyId, publicKeyJWK: oneTimePreKey.publicKeyJWK }
+          : null
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get the key transparency log's verification key
+ * GET /api/keys/log/key
+ */
+export async function getKeyLogPublicKey(req, res, next) {
+  try {
+    const publicKeyJWK = getLogPublicKeyJWK();
+    if (!publicKeyJWK) {
+      return res.status(503).json({
+        success: false,
+        error: 'Key transparency log unavailable'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { publicKeyJWK, algorithm: 'ES256' }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get the current signed tree head
+ * GET /api/keys/log/sth
+ */
+export async function getKeyLogTreeHead(req, res, next) {
+  try {
+    const tree = await loadLogTree();
+
+    res.json({
+      success: true,
+      data: signTreeHead(tree.size, tree.root())
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get proof that an older tree head is a prefix of a newer one
+ * GET /api/keys/log/consistency?first=<size>&second=<size>
+ */
+export async function getKeyLogConsistencyProof(req, res, next) {
+  try {
+    const first = Number(req.query.first);
+    const second = Number(req.query.second);
+    const tree = await loadLogTree();
+    const treeSize = tree.size;
+
+    if (!Number.isInteger(first) || !Number.isInteger(second) || first < 0 || first > second || second > treeSize) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid tree sizes',
+        message: `Require 0 <= first <= second <= ${treeSize}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        first,
+        second,
+        proof: tree.consistencyProof(first, second).map(hash => hash.toString('hex'))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get proof that the current identity key of one of a user's devices is in the log
+ * GET /api/keys/:userId/inclusion?deviceId=<device> (default: oldest active device)
+ */
+export async function getKeyInclusionProof(req, res, next) {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID'
+      });
+    }
+
+    if (req.query.deviceId !== undefined && !DEVICE_ID_PATTERN.test(req.query.deviceId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid device ID'
+      });
+    }
+
+    const publicKey = await findActiveDeviceKey(userId, req.query.deviceId);
+    if (!publicKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'Public key not found for this user'
+      });
+    }
+
+    // Only a key the owner published can be proven; a served key that is
+    // missing from the log gets no proof, so clients refuse it
+    const current = publicKey.publicIdentityKeyJWK;
+    const entry = await KeyLogEntry.findOne({
+      userId,
+      deviceId: getLogDeviceId(publicKey) ?? null,
+      'publicKey.x': current.x,
+      'publicKey.y': current.y
+    }).sort({ index: -1 });
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Key not found in the transparency log'
+      });
+    }
+
+    const tree = await loadLogTree();
+
+    res.json({
+      success: true,
+      data: {
+        entry: {
+          index: entry.index,
+          userId: String(entry.userId),
+          ...(entry.deviceId ? { deviceId: entry.deviceId } : {}),
+          publicKey: entry.publicKey,
+          version: entry.version,
+          timestamp: entry.timestamp
+        },
+        auditPath: tree.inclusionPath(entry.index).map(hash => hash.toString('hex')),
+        treeHead: signTreeHead(tree.size, tree.root())
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * List the current user's devices, including ones waiting for approval
+ * GET /api/keys/devices
+ */
+export async function listDevices(req, res, next) {
+  try {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    const currentDeviceId = getRequestDeviceId(req);
+
+    // Link requests nobody approved in time are dropped
+    await PublicKey.deleteMany({
+      userId: req.user.id,
+      status: 'pending',
+      linkRequestedAt: { $lt: new Date(Date.now() - DEVICE_LINK_TTL_MS) }
+    });
+
+    const devices = await PublicKey.find({ userId: req.user.id }).sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        devices: devices.map(device => ({
+          ...serializeDevice(device),
+          status: device.status || 'active',
+          current: (device.deviceId || DEFAULT_DEVICE_ID) === currentDeviceId,
+          linkedBy: device.linkedBy?.deviceId || null,
+          approvedAt: device.linkedBy?.approvedAt || null,
+          expiresAt: device.status === 'pending' && device.linkRequestedAt
+            ? new Date(device.linkRequestedAt.getTime() + DEVICE_LINK_TTL_MS)
+            : null
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Approve a pending device from an active one
+ * The approving device signs the new device's identity key after the user
+ * compared the link code shown on both screens.
+ * POST /api/keys/devices/:deviceId/approve
+ */
+export async function approveDevice(req, res, next) {
+  try {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    const { deviceId } = req.params;
+    const { signature } = req.body;
+    const approverDeviceId = getRequestDeviceId(req);
+
+    if (!DEVICE_ID_PATTERN.test(deviceId) || !approverDeviceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid device ID'
+      });
+    }
+
+    if (typeof signature !== 'string' || signature.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Signature is required'
+      });
+    }
+
+    const approver = await findActiveDeviceKey(req.user.id, approverDeviceId);
+    if (!approver) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only an active device can approve new devices'
+      });
+    }
+
+    const pending = await PublicKey.findOne({ userId: req.user.id, deviceId, status: 'pending' });
+    if (!pending) {
+      return res.status(404).json({
+        success: false,
+        error: 'No pending device with this ID'
+      });
+    }
+
+    if (!pending.linkRequestedAt || Date.now() - pending.linkRequestedAt.getTime() > DEVICE_LINK_TTL_MS) {
+      await PublicKey.deleteOne({ _id: pending._id });
+      return res.status(410).json({
+        success: false,
+        error: 'Device link request expired',
+        message: 'Sign in on the new device again to request a new link.'
+      });
+    }
+
+    const linkData = buildDeviceLinkData(req.user.id, deviceId, pending.publicIdentityKeyJWK);
+    if (!verifyDeviceLinkSignature(approver.publicIdentityKeyJWK, linkData, signature)) {
+      logEvent('DEVICE_LINK_SIGNATURE_INVALID', null, req.user.id, 'Device approval signature verification failed', {
+        deviceId,
+        approverDeviceId
+      });
+
+      return res.status(403).json({
+        success: false,
+        error: 'Invalid approval signature'
+      });
+    }
+
+    pending.status = 'active';
+    pending.linkRequestedAt = null;
+    pending.linkedBy = {
+      deviceId: approverDeviceId,
+      signature,
+      approvedAt: new Date()
+    };
+    await pending.save();
+
+    // Contacts only accept device keys they can find in the transparency log
+    const logEntry = await appendKeyLogEntry(req.user.id, pending.publicIdentityKeyJWK, pending.version, getLogDeviceId(pending));
+
+    await emitToUserDevices(req.app.get('io'), req.user.id, 'device:linked', {
+      deviceId,
+      deviceName: pending.deviceName || null,
+      linkedBy: approverDeviceId,
+      timestamp: new Date().toISOString()
+    });
+
+    securityLogger.info({
+      event: 'device_linked',
+      userId: req.user.id,
+      deviceId,
+      approverDeviceId,
+      logIndex: logEntry.index,
+      timestamp: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      message: 'Device linked successfully',
+      data: {
+        ...serializeDevice(pending),
+        status: 'active'
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Remove one of the current user's other devices (or reject a pending one)
+ * Its keys, prekeys and queued messages are deleted and its sockets disconnected.
+ * DELETE /api/keys/devices/:deviceId
+ */
+export async function revokeDevice(req, res, next) {
+  try {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    const { deviceId } = req.params;
+    const requesterDeviceId = getRequestDeviceId(req);
+
+    if (!DEVICE_ID_PATTERN.test(deviceId) || !requesterDeviceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid device ID'
+      });
+    }
+
+    if (deviceId === requesterDeviceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'A device cannot remove itself'
+      });
+    }
+
+    const requester = await findActiveDeviceKey(req.user.id, requesterDeviceId);
+    if (!requester) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only an active device can remove devices'
+      });
+    }
+
+    const deviceQuery = { userId: req.user.id, deviceId: deviceIdQuery(deviceId) };
+    const device = await PublicKey.findOneAndDelete(deviceQuery);
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        error: 'Device not found'
+      });
+    }
+
+    await OneTimePreKey.deleteMany(deviceQuery);
+    await MailboxMessage.deleteMany({ receiver: req.user.id, receiverDevice: deviceId });
+    await SealedSenderAccess.deleteOne({ userId: req.user.id, deviceId });
+
+    const io = req.app.get('io');
+    const revokedSockets = await emitToUserDevices(io, req.user.id, 'device:revoked', {
+      deviceId,
+      timestamp: new Date().toISOString()
+    }, id => id === deviceId);
+    for (const socket of revokedSockets) {
+      socket.disconnect(true);
+    }
+    await emitToUserDevices(io, req.user.id, 'device:removed', {
+      deviceId,
+      timestamp: new Date().toISOString()
+    }, id => id !== deviceId);
+
+    securityLogger.info({
+      event: 'device_revoked',
+      userId: req.user.id,
+      deviceId,
+      wasPending: device.status === 'pending',
+      requesterDeviceId,
+      timestamp: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      message: 'Device removed successfully',
+      data: { deviceId }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
@@ -0,0 +1,168 @@
+/**
+ * Client Log Controller
+ * Ingests security events detected in browsers (replay attempts, MITM and
+ * signature failures, ...) into the server-side audit trail.
+ */
+
+import { writeProtectedLog } from '../utils/logIntegrity.js';
+import { securityLogger } from '../utils/logger.js';
+
+/**
+ * Event types the client logger produces (client/src/utils/clientLogger.js)
+ */
+export const CLIENT_LOG_EVENTS = [
+  'replay_attempt',
+  'invalid_signature',
+  'decryption_error',
+  'kep_error',
+  'timestamp_failure',
+  'seq_mismatch',
+  'message_dropped',
+  'mitm_attack',
+  'mitm_demonstration',
+  'identity_key_changed',
+  'account_deletion_requested'
+];
+
+/**
+ * Maximum number of entries per batch
+ */
+export const MAX_CLIENT_LOG_BATCH = 100;
+
+const CLIENT_LOG_FILE = 'client_security.log';
+const MAX_METADATA_FIELDS = 20;
+const MAX_STRING_LENGTH = 500;
+const MAX_SESSION_ID_LENGTH = 200;
+const MAX_CLIENT_LOG_AGE = 30 * 24 * 60 * 60 * 1000; // Events older than 30 days are rejected
+const MAX_CLOCK_SKEW = 5 * 60 * 1000; // Events up to 5 minutes in the future are accepted
+
+// Metadata fields that could carry secrets are never written, whatever the client sends
+const FORBIDDEN_METADATA_FIELD = /password|secret|token|plaintext|private|jwk/i;
+
+/**
+ * Reduces client metadata to a flat object of short primitive values
+ * @param {*} metadata - Metadata from the client
+ * @returns {Object} Sanitized metadata
+ */
+function sanitizeMetadata(metadata) {
+  if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+    return {};
+  }
+
+  const sanitized = {};
+  for (const [field, value] of Object.entries(metadata).slice(0, MAX_METADATA_FIELDS)) {
+    if (FORBIDDEN_METADATA_FIELD.test(field)) continue;
+
+    if (typeof value === 'string') {
+      sanitized[field] = value.slice(0, MAX_STRING_LENGTH);
+    } else if ((typeof value === 'number' && Number.isFinite(value)) || typeof value === 'boolean' || value === null) {
+      sanitized[field] = value;
+    }
+  }
+  return sanitized;
+}
+
+/**
+ * Validates one client log entry
+ * @param {*} entry - Entry from the client
+ * @param {number} now - Current time (ms)
+ * @returns {{valid: boolean, entry?: Object, error?: string}}
+ */
+function validateClientLogEntry(entry, now) {
+  if (!entry || typeof entry !== 'object') {
+    return { valid: false, error: 'Entry must be an object' };
+  }
+  if (!CLIENT_LOG_EVENTS.includes(entry.event)) {
+    return { valid: false, error: 'Unknown event type' };
+  }
+
+  const timestamp = typeof entry.timestamp === 'string' ? Date.parse(entry.timestamp) : NaN;
+  if (Number.isNaN(timestamp) || timestamp < now - MAX_CLIENT_LOG_AGE || timestamp > now + MAX_CLOCK_SKEW) {
+    return { valid: false, error: 'Invalid or out-of-range timestamp' };
+  }
+
+  if (entry.sessionId !== undefined && entry.sessionId !== null &&
+      (typeof entry.sessionId !== 'string' || entry.sessionId.length > MAX_SESSION_ID_LENGTH)) {
+    return { valid: false, error: 'Invalid session ID' };
+  }
+
+  return {
+    valid: true,
+    entry: {
+      event: entry.event,
+      clientTimestamp: new Date(timestamp).toISOString(),
+      sessionId: entry.sessionId || null,
+      metadata: sanitizeMetadata(entry.metadata)
+    }
+  };
+}
+
+/**
+ * Ingest a batch of client security events
+ * POST /api/logs/client
+ * Body: { logs: [{ timestamp, event, sessionId?, metadata? }] }
+ * Events are attributed to the authenticated user, not to any userId the client sends.
+ * Invalid entries are skipped and counted so a bad entry cannot block the rest.
+ */
+export async function ingestClientLogs(req, res, next) {
+  try {
+    const { logs } = req.body || {};
+
+    if (!Array.isArray(logs) || logs.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'logs must be a non-empty array'
+      });
+    }
+
+    if (logs.length > MAX_CLIENT_LOG_BATCH) {
+      return res.status(413).json({
+        success: false,
+        error: `At most ${MAX_CLIENT_LOG_BATCH} log entries per request`
+      });
+    }
+
+    const now = Date.now();
+    const userId = req.user.id.toString();
+    const ip = req.ip || req.connection?.remoteAddress || null;
+    const userAgent = req.get('user-agent') || null;
+
+    let accepted = 0;
+    const rejected = [];
+    logs.forEach((entry, index) => {
+      const result = validateClientLogEntry(entry, now);
+      if (!result.valid) {
+        rejected.push({ index, error: result.error });
+        return;
+      }
+
+      writeProtectedLog(CLIENT_LOG_FILE, {
+        eventType: 'CLIENT_SECURITY_EVENT',
+        userId,
+        ...result.entry,
+        ip,
+        userAgent
+      });
+      accepted++;
+    });
+
+    if (rejected.length > 0) {
+      securityLogger.warn({
+        event: 'client_logs_rejected',
+        userId,
+        rejected: rejected.length,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        accepted,
+        rejected
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
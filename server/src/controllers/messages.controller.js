@@ -1,8 +1,11 @@
-import { MessageMeta, verifyMetadataHash } from '../models/MessageMeta.js';
+import { MessageMeta, verifyMetadataHash, isValidExpiresIn, getMessageMetaExpiry } from '../models/MessageMeta.js';
 import { logMessageMetadataAccess, logMessageForwarding, logFileChunkForwarding } from '../utils/messageLogging.js';
 import { validateTimestamp, generateMessageId, hashNonceBase64, isNonceHashUsed } from '../utils/replayProtection.js';
 import { logReplayAttempt } from '../utils/replayProtection.js';
 import { requireSenderAuthorization } from '../middlewares/authorization.middleware.js';
+import { storeInMailbox, acknowledgeMailbox, getMailboxEnvelopes } from '../utils/mailbox.js';
+import { userRoom } from '../websocket/socketIndex.js';
+import { getRequestDeviceId } from './keys.controller.js';
 
 /**
  * Relay message (REST fallback)
@@ -27,6 +30,13 @@ export async function relayMessage(req, res, next) {
       });
     }
 
+    if (envelope.expiresIn !== undefined && !isValidExpiresIn(envelope.expiresIn)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid disappearing timer'
+      });
+    }
+
     // Validate timestamp
     if (!validateTimestamp(envelope.timestamp)) {
       logReplayAttempt(envelope.sessionId, envelope.seq, envelope.timestamp, 'Timestamp out of validity window');
@@ -74,7 +84,8 @@ export async function relayMessage(req, res, next) {
       seq: envelope.seq,
       nonceHash,
       meta: envelope.meta || {},
-      delivered: false
+      delivered: false,
+      expiresAt: getMessageMetaExpiry(envelope.timestamp, envelope.expiresIn)
     });
 
     await messageMeta.save();
@@ -87,9 +98,9 @@ export async function relayMessage(req, res, next) {
 
     // Forward to recipient via WebSocket if online
     const io = req.app.get('io');
+    let recipientOnline = false;
     if (io) {
-      const sockets = await io.fetchSockets();
-      const recipientSocket = sockets.find(s => s.data.user?.id === envelope.receiver);
+      const [recipientSocket] = await io.in(userRoom(envelope.receiver)).fetchSockets();
 
       if (recipientSocket) {
         if (envelope.type === 'FILE_CHUNK') {
@@ -103,16 +114,23 @@ export async function relayMessage(req, res, next) {
         messageMeta.delivered = true;
         messageMeta.deliveredAt = new Date();
         await messageMeta.save();
+        recipientOnline = true;
       }
     }
 
+    // Hold the full envelope for offline recipients
+    if (!recipientOnline) {
+      await storeInMailbox(messageId, req.user.id, envelope);
+    }
+
     res.json({
       success: true,
       message: 'Message relayed',
       data: {
         messageId,
         sessionId: envelope.sessionId,
-        delivered: messageMeta.delivered
+        delivered: messageMeta.delivered,
+        queued: !recipientOnline
       }
     });
   } catch (error) {
@@ -166,9 +184,8 @@ export async function getPendingMessages(req, res, next) {
       if (!verifyMetadataHash(message)) {
         // Metadata tampering detected - log security event
         const { logEvent } = await import('../utils/attackLogging.js');
-        logEvent('METADATA_TAMPER_DETECTED', userId, 'Metadata integrity check failed', {
-          messageId: message.messageId,
-          sessionId: message.sessionId
+        logEvent('METADATA_TAMPER_DETECTED', message.sessionId, userId, 'Metadata integrity check failed', {
+          messageId: message.messageId
         });
         // Remove tampered message from results
         const index = pendingMessages.indexOf(message);
@@ -183,13 +200,57 @@ export async function getPendingMessages(req, res, next) {
       count: pendingMessages.length
     });
 
+    // Attach mailbox envelopes so the client can decrypt and acknowledge them
+    const envelopes = await getMailboxEnvelopes(userId, pendingMessages.map(msg => msg.messageId));
+
     // Apply metadata minimization
     const { minimizeMessageMeta } = await import('../utils/metadataMinimization.js');
     
     res.json({
       success: true,
       data: {
-        messages: pendingMessages.map(msg => minimizeMessageMeta(msg))
+        messages: pendingMessages.map(msg => ({
+          ...minimizeMessageMeta(msg),
+          envelope: envelopes.get(msg.messageId) || null
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Acknowledge mailbox messages (deletes stored envelopes)
+ * POST /api/messages/ack
+ */
+export async function acknowledgeMessages(req, res, next) {
+  try {
+    const { messageIds } = req.body;
+
+    if (!Array.isArray(messageIds) || messageIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'messageIds must be a non-empty array'
+      });
+    }
+
+    // Only the calling device's copies are removed (group messages are queued per device)
+    const deviceId = getRequestDeviceId(req);
+    if (!deviceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid device ID'
+      });
+    }
+
+    const { acknowledged } = await acknowledgeMailbox(req.user.id, messageIds, deviceId);
+
+    res.json({
+      success: true,
+      message: 'Messages acknowledged',
+      data: {
+        acknowledged
       }
     });
   } catch (error) {
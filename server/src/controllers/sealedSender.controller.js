@@ -0,0 +1,209 @@
+import mongoose from 'mongoose';
+import { SealedSenderAccess } from '../models/SealedSenderAccess.js';
+import { securityLogger } from '../utils/logger.js';
+import { haveEstablishedSession } from '../utils/presence.js';
+import { issueSenderCertificate, generateDeliveryToken } from '../utils/sealedSender.js';
+import { getRequestDeviceId, findActiveDeviceKey } from './keys.controller.js';
+
+/**
+ * Public view of a device's sealed-sender registration
+ * @param {Object} access - SealedSenderAccess document
+ * @returns {Object}
+ */
+function serializeAccess(access) {
+  const { kty, crv, x, y } = access.sealingKey;
+  return {
+    deviceId: access.deviceId,
+    deliveryToken: access.deliveryToken,
+    sealingKey: { kty, crv, x, y }
+  };
+}
+
+/**
+ * Resolves the requesting device, which must be an active device of the user
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<string|null>} Device ID, or null after responding
+ */
+async function requireActiveDevice(req, res) {
+  const deviceId = getRequestDeviceId(req);
+  if (!deviceId) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid device ID'
+    });
+    return null;
+  }
+
+  if (!(await findActiveDeviceKey(req.user.id, deviceId))) {
+    res.status(403).json({
+      success: false,
+      error: 'Only an active device can use sealed sender'
+    });
+    return null;
+  }
+  return deviceId;
+}
+
+/**
+ * Issue a sender certificate for the requesting device
+ * GET /api/sealed-sender/certificate
+ */
+export async function getSenderCertificate(req, res, next) {
+  try {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    const deviceId = await requireActiveDevice(req, res);
+    if (!deviceId) return;
+
+    res.json({
+      success: true,
+      data: { certificate: issueSenderCertificate(req.user.id, deviceId) }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Register (or update) the requesting device's sealing key
+ * POST /api/sealed-sender/access
+ * Body: { sealingKey: JWK, rotateToken?: boolean }
+ * The delivery token is kept across updates unless rotateToken is set.
+ */
+export async function registerSealedSenderAccess(req, res, next) {
+  try {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    const deviceId = await requireActiveDevice(req, res);
+    if (!deviceId) return;
+
+    const { sealingKey, rotateToken = false } = req.body || {};
+    if (!sealingKey || typeof sealingKey !== 'object') {
+      return res.status(400).json({
+        success: false,
+        error: 'sealingKey is required'
+      });
+    }
+    const { kty, crv, x, y, d } = sealingKey;
+
+    let access = await SealedSenderAccess.findOne({ userId: req.user.id, deviceId });
+    if (!access) {
+      access = new SealedSenderAccess({ userId: req.user.id, deviceId });
+    }
+    access.sealingKey = { kty, crv, x, y, ...(d !== undefined ? { d } : {}) };
+    if (!access.deliveryToken || rotateToken) {
+      access.deliveryToken = generateDeliveryToken();
+    }
+
+    try {
+      await access.save();
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid sealing key'
+        });
+      }
+      throw error;
+    }
+
+    securityLogger.info({
+      event: 'sealed_sender_registered',
+      userId: req.user.id,
+      deviceId,
+      rotated: Boolean(rotateToken),
+      timestamp: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      data: serializeAccess(access)
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Remove the requesting device's registration (peers fall back to identified delivery)
+ * DELETE /api/sealed-sender/access
+ */
+export async function deleteSealedSenderAccess(req, res, next) {
+  try {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    const deviceId = getRequestDeviceId(req);
+    if (!deviceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid device ID'
+      });
+    }
+
+    const { deletedCount } = await SealedSenderAccess.deleteOne({ userId: req.user.id, deviceId });
+
+    res.json({
+      success: true,
+      data: { removed: deletedCount > 0 }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get the delivery tokens and sealing keys of a peer's devices
+ * GET /api/sealed-sender/access/:userId
+ * Only users with an established session may look these up, so a token
+ * cannot be harvested by strangers.
+ */
+export async function getSealedSenderAccess(req, res, next) {
+  try {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    const { userId } = req.params;
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID'
+      });
+    }
+
+    if (!(await haveEstablishedSession(req.user.id, userId))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Sealed sender is only available to contacts with an established session'
+      });
+    }
+
+    const devices = await SealedSenderAccess.find({ userId }).sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: { userId, devices: devices.map(serializeAccess) }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
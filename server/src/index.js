@@ -10,14 +10,22 @@ import { connectDatabase, closeDatabase } from './config/database.js';
 import { setupSecurityMiddleware } from './middleware/security.js';
 import { generateSelfSignedCert } from './utils/https-cert.js';
 import { initializeWebSocket } from './websocket/socket-handler.js';
+import { createSocketAdapter } from './websocket/adapter.js';
 import { authErrorHandler } from './middlewares/auth.middleware.js';
 import { runPeriodicCleanup } from './utils/databaseCleanup.js';
+import { createAlertNotifier, loadAlertNotifierConfig, setAlertNotifier } from './utils/alertNotifier.js';
+import { getAlertRulesFile, reloadAlertRules, watchAlertRules } from './utils/alerting.js';
+import { createStateStore, setStateStore } from './utils/stateStore.js';
 import healthRouter from './routes/health.js';
 import authRouter from './routes/auth.routes.js';
 import keysRouter from './routes/keys.routes.js';
 import kepRouter from './routes/kep.routes.js';
 import messagesRouter from './routes/messages.routes.js';
 import auditRouter from './routes/audit.routes.js';
+import groupsRouter from './routes/groups.routes.js';
+import logsRouter from './routes/logs.routes.js';
+import adminRouter from './routes/admin.routes.js';
+import sealedSenderRouter from './routes/sealedSender.routes.js';
 // AI engine removed - not required for E2EE cryptography system
 
 // Load environment variables from project root
@@ -56,6 +64,10 @@ app.use('/api/keys', keysRouter);
 app.use('/api/kep', kepRouter);
 app.use('/api/messages', messagesRouter);
 app.use('/api/audit', auditRouter);
+app.use('/api/groups', groupsRouter);
+app.use('/api/logs', logsRouter);
+app.use('/api/admin', adminRouter);
+app.use('/api/sealed-sender', sealedSenderRouter);
 // AI routes removed - not required for E2EE cryptography system
 
 // Error handling middleware
@@ -125,6 +137,40 @@ async function startServers() {
       console.warn('⚠️  MONGO_URI not set. MongoDB connection skipped.');
     }
 
+    // Shared state for rate limits, lockouts and alert windows (STATE_STORE)
+    const store = createStateStore();
+    if (store.name === 'mongodb' && !process.env.MONGO_URI) {
+      throw new Error('STATE_STORE=mongodb requires MONGO_URI');
+    }
+    await store.init?.();
+    setStateStore(store);
+    console.log(`✓ State store: ${store.name}`);
+
+    // Socket.IO adapter: routes messages between server instances (SOCKET_ADAPTER)
+    const socketAdapter = createSocketAdapter();
+    if (socketAdapter.name === 'mongodb' && !process.env.MONGO_URI) {
+      throw new Error('SOCKET_ADAPTER=mongodb requires MONGO_URI');
+    }
+    await socketAdapter.init?.();
+    if (socketAdapter.adapter) {
+      io.adapter(socketAdapter.adapter);
+    }
+    console.log(`✓ Socket.IO adapter: ${socketAdapter.name}`);
+
+    // Configure alert notification sinks (fails fast on invalid settings)
+    const alertConfig = loadAlertNotifierConfig();
+    setAlertNotifier(createAlertNotifier(alertConfig));
+    const alertSinks = Object.keys(alertConfig.sinks);
+    console.log(`✓ Alert notifications: ${alertSinks.length > 0 ? alertSinks.join(', ') : 'no sinks configured'}`);
+
+    // Load alert rules (fails fast on an invalid rule file), then hot reload on change
+    const alertRules = reloadAlertRules();
+    if (!alertRules.loaded) {
+      throw new Error(alertRules.error);
+    }
+    watchAlertRules();
+    console.log(`✓ Alert rules: ${alertRules.rules} loaded from ${getAlertRulesFile()}`);
+
     // Start HTTP server (redirects to HTTPS)
     httpServer.listen(PORT_HTTP, () => {
       console.log(`✓ HTTP server running on port ${PORT_HTTP} (redirects to HTTPS)`);
@@ -141,7 +187,7 @@ async function startServers() {
     const CLEANUP_INTERVAL = 24 * 60 * 60 * 1000; // 24 hours
     setInterval(async () => {
       try {
-        await runPeriodicCleanup(90, 30); // 90 days for messages, 30 days for KEP
+        await runPeriodicCleanup(30); // 30 days for KEP (message metadata expires via its TTL index)
       } catch (error) {
         console.error('Scheduled cleanup failed:', error);
       }
@@ -150,7 +196,7 @@ async function startServers() {
     // Run initial cleanup after 1 minute (to allow server to start)
     setTimeout(async () => {
       try {
-        await runPeriodicCleanup(90, 30);
+        await runPeriodicCleanup(30);
       } catch (error) {
         console.error('Initial cleanup failed:', error);
       }
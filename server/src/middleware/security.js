@@ -64,7 +64,7 @@ export function setupSecurityMiddleware(app) {
       : ['http://localhost:5173', 'https://localhost:5173'],
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Device-Id']
   }));
 }
 
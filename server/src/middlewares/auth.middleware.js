@@ -51,7 +51,8 @@ export async function verifyTokenMiddleware(req, res, next) {
       // Attach user to request
       req.user = {
         id: user._id.toString(),
-        email: user.email
+        email: user.email,
+        role: user.role || 'user'
       };
 
       next();
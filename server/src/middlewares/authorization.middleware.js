@@ -5,6 +5,8 @@
  * and unauthorized access to resources.
  */
 
+import { securityLogger } from '../utils/logger.js';
+
 /**
  * Ensures the authenticated user can only access their own resources
  * Compares req.user.id with the userId parameter in the request
@@ -100,3 +102,34 @@ export function requireSessionAuthorization(req, res, next) {
   next();
 }
 
+/**
+ * Ensures the authenticated user has the admin role
+ * Denied attempts are logged as security events
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+export function requireAdmin(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+
+  if (req.user.role !== 'admin') {
+    securityLogger.warn({
+      event: 'admin_access_denied',
+      userId: req.user.id,
+      method: req.method,
+      path: req.originalUrl,
+      timestamp: new Date().toISOString()
+    });
+    return res.status(403).json({
+      success: false,
+      error: 'Forbidden: Admin access required'
+    });
+  }
+
+  next();
+}
@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+
+/**
+ * Maximum members per group (sender keys are distributed pairwise, so
+ * every membership change costs one message per member)
+ */
+export const MAX_GROUP_MEMBERS = 100;
+
+export const GROUP_ROLES = ['admin', 'member'];
+
+const groupMemberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: GROUP_ROLES,
+    default: 'member'
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+/**
+ * Group conversations.
+ * The server only knows membership; message content is encrypted with
+ * per-member sender keys that never leave the clients. `epoch` is bumped on
+ * every membership change so clients know when to redistribute or rotate
+ * their sender keys.
+ */
+const groupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  members: {
+    type: [groupMemberSchema],
+    validate: {
+      validator: (members) => members.length > 0 && members.length <= MAX_GROUP_MEMBERS,
+      message: `A group must have between 1 and ${MAX_GROUP_MEMBERS} members`
+    }
+  },
+  epoch: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Groups a user belongs to
+groupSchema.index({ 'members.user': 1 });
+
+/**
+ * Returns the membership entry for a user, if any
+ * @param {string} userId - User ID
+ * @returns {Object|undefined}
+ */
+groupSchema.methods.getMember = function getMember(userId) {
+  return this.members.find(member => String(member.user) === String(userId));
+};
+
+/**
+ * Checks whether a user is a group admin
+ * @param {string} userId - User ID
+ * @returns {boolean}
+ */
+groupSchema.methods.isAdmin = function isAdmin(userId) {
+  return this.getMember(userId)?.role === 'admin';
+};
+
+export const Group =
+  mongoose.models.Group || mongoose.model('Group', groupSchema);
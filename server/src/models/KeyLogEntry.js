@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+/**
+ * Key transparency log entries.
+ * Append-only: one leaf per identity key publish or rotation, numbered from 0.
+ * Entries are never updated or deleted; the Merkle tree over leafHash (in
+ * index order) is what signed tree heads commit to.
+ */
+const keyLogEntrySchema = new mongoose.Schema({
+  index: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Set for keys of additional devices; absent for a user's default device
+  deviceId: {
+    type: String,
+    default: undefined
+  },
+  // Canonical leaf fields (see utils/keyTransparency.js buildLeafData)
+  publicKey: {
+    type: Object,
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  timestamp: {
+    type: Number,
+    required: true
+  },
+  leafHash: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Latest entry per user and device
+keyLogEntrySchema.index({ userId: 1, deviceId: 1, index: -1 });
+
+export const KeyLogEntry =
+  mongoose.models.KeyLogEntry || mongoose.model('KeyLogEntry', keyLogEntrySchema);
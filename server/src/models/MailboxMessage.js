@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+
+/**
+ * Default mailbox retention (7 days), overridable via MAILBOX_TTL_DAYS
+ */
+const DEFAULT_MAILBOX_TTL_DAYS = 7;
+
+/**
+ * Returns the mailbox retention period in milliseconds
+ * @returns {number} TTL in milliseconds
+ */
+export function getMailboxTTL() {
+  const days = parseInt(process.env.MAILBOX_TTL_DAYS || `${DEFAULT_MAILBOX_TTL_DAYS}`, 10);
+  return (Number.isFinite(days) && days > 0 ? days : DEFAULT_MAILBOX_TTL_DAYS) * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Opaque encrypted-blob mailbox for offline recipients.
+ * The envelope is stored exactly as the sender built it (ciphertext, iv,
+ * authTag, nonce, signature); the server never decrypts it.
+ * Sealed-sender envelopes (type SEALED) have no known sender or session.
+ */
+const mailboxMessageSchema = new mongoose.Schema({
+  messageId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  sessionId: {
+    type: String,
+    required: function() { return this.type !== 'SEALED'; }
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: function() { return this.type !== 'SEALED'; },
+    select: false // Don't select by default to minimize metadata exposure
+  },
+  receiver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Device the envelope is encrypted for (null: whichever device fetches first)
+  receiverDevice: {
+    type: String,
+    default: null
+  },
+  type: {
+    type: String,
+    enum: ['MSG', 'FILE_META', 'FILE_CHUNK', 'RECEIPT', 'EDIT', 'DELETE', 'REACTION', 'SEALED'],
+    required: true
+  },
+  envelope: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    default: () => new Date(Date.now() + getMailboxTTL())
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// One entry per message and recipient device (group messages are fanned out to each member's devices)
+mailboxMessageSchema.index({ messageId: 1, receiver: 1, receiverDevice: 1 }, { unique: true });
+
+// Delivery order per recipient
+mailboxMessageSchema.index({ receiver: 1, createdAt: 1 });
+
+// TTL index: MongoDB removes undelivered envelopes once expiresAt passes
+mailboxMessageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const MailboxMessage =
+  mongoose.models.MailboxMessage || mongoose.model('MailboxMessage', mailboxMessageSchema);
@@ -1,6 +1,54 @@
 import mongoose from 'mongoose';
 import crypto from 'crypto';
 import { MetadataAudit } from './MetadataAudit.js';
+import { MAX_MESSAGE_AGE, MAX_CLOCK_SKEW } from '../utils/replayProtection.js';
+
+/**
+ * Default metadata retention (90 days), overridable via MESSAGE_META_TTL_DAYS
+ */
+const DEFAULT_MESSAGE_META_TTL_DAYS = 90;
+
+/**
+ * Bounds of a disappearing-message timer (envelope expiresIn, in seconds)
+ */
+export const MIN_DISAPPEARING_SECONDS = 30;
+export const MAX_DISAPPEARING_SECONDS = 4 * 7 * 24 * 60 * 60; // 4 weeks
+
+/**
+ * Returns the metadata retention period in milliseconds
+ * @returns {number} TTL in milliseconds
+ */
+export function getMessageMetaTTL() {
+  const days = parseInt(process.env.MESSAGE_META_TTL_DAYS || `${DEFAULT_MESSAGE_META_TTL_DAYS}`, 10);
+  return (Number.isFinite(days) && days > 0 ? days : DEFAULT_MESSAGE_META_TTL_DAYS) * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Checks the expiresIn field of an envelope from a disappearing conversation
+ * @param {*} expiresIn - Timer in seconds
+ * @returns {boolean} True if it is a whole number of seconds within the allowed range
+ */
+export function isValidExpiresIn(expiresIn) {
+  return Number.isInteger(expiresIn) &&
+    expiresIn >= MIN_DISAPPEARING_SECONDS &&
+    expiresIn <= MAX_DISAPPEARING_SECONDS;
+}
+
+/**
+ * Computes when a message's metadata expires
+ * Disappearing messages expire with the conversation timer, counted from the
+ * message timestamp; everything else is kept for the default retention period.
+ * The record is the replay check for its nonce and (seq, timestamp), so it is
+ * never removed while the timestamp would still pass validateTimestamp.
+ * @param {number} timestamp - Message timestamp (ms)
+ * @param {number} [expiresIn] - Conversation timer in seconds (validated)
+ * @returns {Date} Expiry date
+ */
+export function getMessageMetaExpiry(timestamp, expiresIn) {
+  return expiresIn
+    ? new Date(timestamp + Math.max(expiresIn * 1000, MAX_MESSAGE_AGE + MAX_CLOCK_SKEW))
+    : new Date(Date.now() + getMessageMetaTTL());
+}
 
 const messageMetaSchema = new mongoose.Schema({
   messageId: {
@@ -24,13 +72,20 @@ const messageMetaSchema = new mongoose.Schema({
   receiver: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true,
+    // Group messages are fanned out to every member and have no single receiver
+    required: function() { return !this.groupId; },
     index: true,
     select: false // Don't select by default to minimize metadata exposure
   },
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    default: null,
+    index: true
+  },
   type: {
     type: String,
-    enum: ['MSG', 'FILE_META', 'FILE_CHUNK'],
+    enum: ['MSG', 'FILE_META', 'FILE_CHUNK', 'RECEIPT', 'EDIT', 'DELETE', 'REACTION'],
     required: true
   },
   timestamp: {
@@ -64,6 +119,11 @@ const messageMetaSchema = new mongoose.Schema({
     type: String,
     index: true
   },
+  // Removed by the TTL index below (see getMessageMetaExpiry)
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + getMessageMetaTTL())
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -76,6 +136,7 @@ const messageMetaSchema = new mongoose.Schema({
 messageMetaSchema.index({ receiver: 1, delivered: 1 });
 messageMetaSchema.index({ sessionId: 1, seq: 1 });
 messageMetaSchema.index({ sender: 1, createdAt: -1 });
+messageMetaSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
 // Compound unique index to prevent replay attacks (same sessionId + seq + timestamp)
 messageMetaSchema.index({ sessionId: 1, seq: 1, timestamp: 1 }, { unique: true });
@@ -2,22 +2,24 @@ import mongoose from 'mongoose';
 
 /**
  * Metadata Audit Trail
- * Tracks all changes to message metadata for non-repudiation and security
+ * Tracks all changes to message metadata for non-repudiation and security.
+ * Account deletions leave an ACCOUNT_DELETE tombstone that belongs to no
+ * single message or session.
  */
 const metadataAuditSchema = new mongoose.Schema({
   messageId: {
     type: String,
-    required: true,
+    required: function() { return this.action !== 'ACCOUNT_DELETE'; },
     index: true
   },
   sessionId: {
     type: String,
-    required: true,
+    required: function() { return this.action !== 'ACCOUNT_DELETE'; },
     index: true
   },
   action: {
     type: String,
-    enum: ['CREATE', 'UPDATE', 'DELETE', 'READ'],
+    enum: ['CREATE', 'UPDATE', 'DELETE', 'READ', 'ACCOUNT_DELETE'],
     required: true
   },
   changedBy: {
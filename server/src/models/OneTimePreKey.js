@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+import { DEFAULT_DEVICE_ID } from './PublicKey.js';
+
+/**
+ * One-time prekeys (X3DH-style asynchronous session setup).
+ * Each key is handed out at most once: it is deleted atomically when a
+ * prekey bundle is fetched for its owner. Keys belong to one device of the user.
+ */
+const oneTimePreKeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  deviceId: {
+    type: String,
+    default: DEFAULT_DEVICE_ID
+  },
+  keyId: {
+    type: Number,
+    required: true
+  },
+  publicKeyJWK: {
+    type: Object,
+    required: true,
+    validate: {
+      validator: function(jwk) {
+        // Must be an EC P-256 public key without private component
+        return !!jwk &&
+          typeof jwk === 'object' &&
+          jwk.kty === 'EC' &&
+          jwk.crv === 'P-256' &&
+          !!jwk.x &&
+          !!jwk.y &&
+          jwk.d === undefined;
+      },
+      message: 'Invalid JWK structure. Must be EC P-256 public key without private key component.'
+    }
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// A key ID may only be used once per device
+oneTimePreKeySchema.index({ userId: 1, deviceId: 1, keyId: 1 }, { unique: true });
+// Bundles hand out the oldest key first
+oneTimePreKeySchema.index({ userId: 1, deviceId: 1, createdAt: 1 });
+
+export const OneTimePreKey =
+  mongoose.models.OneTimePreKey || mongoose.model('OneTimePreKey', oneTimePreKeySchema);
@@ -1,14 +1,51 @@
 import mongoose from 'mongoose';
 import crypto from 'crypto';
 
+/**
+ * Device ID of keys uploaded before devices existed (and of clients that send no
+ * X-Device-Id header)
+ */
+export const DEFAULT_DEVICE_ID = 'primary';
+
+/**
+ * One identity key per device. A user's first device is active immediately;
+ * further devices stay pending until an active device approves them.
+ */
 const publicKeySchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true,
-    unique: true,
     index: true
   },
+  deviceId: {
+    type: String,
+    default: DEFAULT_DEVICE_ID,
+    match: /^[A-Za-z0-9_-]{1,64}$/
+  },
+  deviceName: {
+    type: String,
+    trim: true,
+    maxlength: 64,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['active', 'pending'],
+    default: 'active',
+    index: true
+  },
+  // When a pending device asked to be linked (pending devices expire)
+  linkRequestedAt: {
+    type: Date,
+    default: null
+  },
+  // Approval by an existing device (absent for a user's first device)
+  linkedBy: {
+    deviceId: String,
+    signature: String, // Base64 ECDSA signature by the approving device's identity key
+    approvedAt: Date
+  },
   publicIdentityKeyJWK: {
     type: Object,
     required: true,
@@ -59,6 +96,13 @@ const publicKeySchema = new mongoose.Schema({
     version: Number,
     replacedAt: Date
   }],
+  // Medium-term ECDH prekey signed by the identity key (X3DH-style asynchronous setup)
+  signedPreKey: {
+    keyId: Number,
+    publicKeyJWK: Object,
+    signature: String, // Base64 ECDSA signature over JSON.stringify(publicKeyJWK)
+    uploadedAt: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -107,7 +151,18 @@ publicKeySchema.pre('save', function(next) {
   next();
 });
 
-// Note: userId index is automatically created by unique: true
+// One key per device
+publicKeySchema.index({ userId: 1, deviceId: 1 }, { unique: true });
+
+/**
+ * Query value matching a device ID (keys stored before devices existed have no
+ * deviceId and belong to the default device)
+ * @param {string} deviceId - Device ID
+ * @returns {string|Object}
+ */
+export function deviceIdQuery(deviceId) {
+  return deviceId === DEFAULT_DEVICE_ID ? { $in: [DEFAULT_DEVICE_ID, null] } : deviceId;
+}
 
 export const PublicKey =
   mongoose.models.PublicKey || mongoose.model('PublicKey', publicKeySchema);
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+/**
+ * Sealed-sender registration of one device. Peers address sealed envelopes
+ * to the delivery token instead of a user ID, and seal them to the device's
+ * sealing key (ECDH P-256); the server routes on the token alone.
+ */
+const sealedSenderAccessSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  deviceId: {
+    type: String,
+    required: true,
+    match: /^[A-Za-z0-9_-]{1,64}$/
+  },
+  // Random server-generated routing token (base64url, 32 bytes)
+  deliveryToken: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  sealingKey: {
+    type: Object,
+    required: true,
+    validate: {
+      validator: function(jwk) {
+        return !!jwk && typeof jwk === 'object' &&
+          jwk.kty === 'EC' && jwk.crv === 'P-256' &&
+          typeof jwk.x === 'string' && typeof jwk.y === 'string' &&
+          jwk.d === undefined;
+      },
+      message: 'Invalid sealing key. Must be EC P-256 public key without private key component.'
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// One registration per device
+sealedSenderAccessSchema.index({ userId: 1, deviceId: 1 }, { unique: true });
+
+export const SealedSenderAccess =
+  mongoose.models.SealedSenderAccess || mongoose.model('SealedSenderAccess', sealedSenderAccessSchema);
@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+/**
+ * Socket.IO cluster messages exchanged between server instances by the
+ * MongoDB adapter (websocket/adapter.js). Instances insert messages and
+ * receive each other's through a change stream; payload is the BSON-encoded
+ * socket.io-adapter message (broadcasts, room changes, fetchSockets requests).
+ */
+const socketEventSchema = new mongoose.Schema({
+  // Namespace the message belongs to, e.g. "/"
+  nsp: {
+    type: String,
+    required: true
+  },
+  // Adapter (server instance) that published the message
+  uid: {
+    type: String,
+    required: true
+  },
+  // Set on responses: the adapter that sent the request
+  requesterUid: {
+    type: String,
+    default: undefined
+  },
+  payload: {
+    type: Buffer,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  versionKey: false
+});
+
+// TTL index: messages are only read through the change stream, so they are
+// kept just long enough for a briefly disconnected stream to resume
+socketEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 60 * 60 });
+
+export const SocketEvent =
+  mongoose.models.SocketEvent || mongoose.model('SocketEvent', socketEventSchema, 'socket_io_events');
@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+/**
+ * Shared short-lived state (rate limit counters, account lockouts, alert
+ * windows) for the MongoDB state store (utils/stateStore.js).
+ * A key holds a value, a counter or a list of window entries.
+ */
+const stateEntrySchema = new mongoose.Schema({
+  // Namespaced key, e.g. "lockout:<userId>" or "ratelimit:auth:<ip>"
+  _id: {
+    type: String,
+    required: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
+  count: {
+    type: Number,
+    default: undefined
+  },
+  entries: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: undefined
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  versionKey: false
+});
+
+// TTL index: MongoDB removes entries once expiresAt passes (reads also skip
+// expired entries, since the TTL monitor only runs about once a minute)
+stateEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const StateEntry =
+  mongoose.models.StateEntry || mongoose.model('StateEntry', stateEntrySchema, 'state_entries');
@@ -47,6 +47,19 @@ const userSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
+  },
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user' // Admins can access the security operations console
+  },
+  lastSeenAt: {
+    type: Date,
+    default: null // Set when the user's last connected device disconnects
+  },
+  presenceHidden: {
+    type: Boolean,
+    default: false // Hide online status and last seen from contacts
   }
 }, {
   timestamps: true
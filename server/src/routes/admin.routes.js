@@ -0,0 +1,54 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import {
+  getOverview,
+  getAlerts,
+  listLockedAccounts,
+  unlockAccount,
+  getTrends,
+  getLogIntegrity,
+  listUsers
+} from '../controllers/admin.controller.js';
+import { verifyTokenMiddleware, requireAuth } from '../middlewares/auth.middleware.js';
+import { requireAdmin } from '../middlewares/authorization.middleware.js';
+import { createRateLimitStore } from '../utils/stateStore.js';
+
+const router = express.Router();
+
+// Rate limiting for admin endpoints
+const adminLimiter = rateLimit({
+  windowMs: 1 * 60 * 1000, // 1 minute
+  max: 60, // 60 requests per minute
+  store: createRateLimitStore('admin'),
+  message: {
+    success: false,
+    error: 'Too many requests',
+    message: 'Too many admin requests. Please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// All admin routes require an authenticated admin
+router.use(adminLimiter, verifyTokenMiddleware, requireAuth, requireAdmin);
+
+// Dashboard summary
+router.get('/overview', getOverview);
+
+// Alerts raised within the window
+router.get('/alerts', getAlerts);
+
+// Locked accounts and manual unlock
+router.get('/locked-accounts', listLockedAccounts);
+router.post('/locked-accounts/:userId/unlock', unlockAccount);
+
+// Replay/signature failure trends
+router.get('/trends', getTrends);
+
+// HMAC integrity of protected logs
+router.get('/log-integrity', getLogIntegrity);
+
+// Users for batch session establishment
+router.get('/users', listUsers);
+
+export default router;
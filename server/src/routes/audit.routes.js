@@ -2,6 +2,7 @@ import express from 'express';
 import rateLimit from 'express-rate-limit';
 import { getMessageAuditTrail, getSessionAuditTrail } from '../controllers/audit.controller.js';
 import { verifyTokenMiddleware, requireAuth } from '../middlewares/auth.middleware.js';
+import { createRateLimitStore } from '../utils/stateStore.js';
 
 const router = express.Router();
 
@@ -9,6 +10,7 @@ const router = express.Router();
 const auditLimiter = rateLimit({
   windowMs: 1 * 60 * 1000, // 1 minute
   max: 20, // 20 requests per minute
+  store: createRateLimitStore('audit'),
   message: {
     success: false,
     error: 'Too many requests',
@@ -9,12 +9,14 @@ import {
   getMe,
   deactivate,
   reactivate,
+  deleteAccount,
   changePassword,
   getSessions,
   revokeSession,
   searchUsers
 } from '../controllers/auth.controller.js';
 import { verifyTokenMiddleware, requireAuth } from '../middlewares/auth.middleware.js';
+import { createRateLimitStore } from '../utils/stateStore.js';
 
 const router = express.Router();
 
@@ -22,6 +24,7 @@ const router = express.Router();
 const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 5, // 5 requests per window
+  store: createRateLimitStore('auth'),
   message: {
     success: false,
     error: 'Too many requests',
@@ -102,6 +105,16 @@ router.post(
 // Reactivate account route (placeholder)
 router.post('/reactivate', reactivate);
 
+// Delete account route (requires auth and password re-authentication)
+router.delete(
+  '/account',
+  authLimiter,
+  verifyTokenMiddleware,
+  requireAuth,
+  body('password').notEmpty().withMessage('Password is required'),
+  deleteAccount
+);
+
 // Change password route (requires auth)
 router.post(
   '/change-password',
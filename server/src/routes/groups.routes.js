@@ -0,0 +1,77 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { createGroup, listGroups, getGroup, addGroupMembers, removeGroupMember, updateGroupMemberRole } from '../controllers/groups.controller.js';
+import { verifyTokenMiddleware, requireAuth } from '../middlewares/auth.middleware.js';
+import { createRateLimitStore } from '../utils/stateStore.js';
+
+const router = express.Router();
+
+// Rate limiting for group endpoints
+const groupLimiter = rateLimit({
+  windowMs: 1 * 60 * 1000, // 1 minute
+  max: 30, // 30 requests per minute per IP
+  store: createRateLimitStore('groups'),
+  message: {
+    success: false,
+    error: 'Too many requests',
+    message: 'Too many group requests. Please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Create group (requires auth; creator becomes admin)
+router.post(
+  '/',
+  groupLimiter,
+  verifyTokenMiddleware,
+  requireAuth,
+  createGroup
+);
+
+// List current user's groups (requires auth)
+router.get(
+  '/',
+  groupLimiter,
+  verifyTokenMiddleware,
+  requireAuth,
+  listGroups
+);
+
+// Get group (requires auth; members only)
+router.get(
+  '/:groupId',
+  groupLimiter,
+  verifyTokenMiddleware,
+  requireAuth,
+  getGroup
+);
+
+// Add members (requires auth; admins only)
+router.post(
+  '/:groupId/members',
+  groupLimiter,
+  verifyTokenMiddleware,
+  requireAuth,
+  addGroupMembers
+);
+
+// Remove member or leave (requires auth; admins, or the member themselves)
+router.delete(
+  '/:groupId/members/:userId',
+  groupLimiter,
+  verifyTokenMiddleware,
+  requireAuth,
+  removeGroupMember
+);
+
+// Change member role (requires auth; admins only)
+router.patch(
+  '/:groupId/members/:userId',
+  groupLimiter,
+  verifyTokenMiddleware,
+  requireAuth,
+  updateGroupMemberRole
+);
+
+export default router;
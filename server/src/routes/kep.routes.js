@@ -3,6 +3,7 @@ import rateLimit from 'express-rate-limit';
 import { sendKEPMessage, getPendingMessages } from '../controllers/kep.controller.js';
 import { verifyTokenMiddleware, requireAuth } from '../middlewares/auth.middleware.js';
 import { requireOwnResource } from '../middlewares/authorization.middleware.js';
+import { createRateLimitStore } from '../utils/stateStore.js';
 
 const router = express.Router();
 
@@ -10,6 +11,7 @@ const router = express.Router();
 const kepLimiter = rateLimit({
   windowMs: 5 * 60 * 1000, // 5 minutes
   max: 20, // 20 key exchanges per 5 minutes per IP
+  store: createRateLimitStore('kep'),
   message: {
     success: false,
     error: 'Too many requests',
@@ -22,6 +24,7 @@ const kepLimiter = rateLimit({
 const kepPendingLimiter = rateLimit({
   windowMs: 1 * 60 * 1000, // 1 minute
   max: 30, // 30 requests per minute
+  store: createRateLimitStore('kep-pending'),
   message: {
     success: false,
     error: 'Too many requests',
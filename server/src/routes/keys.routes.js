@@ -1,7 +1,10 @@
 import express from 'express';
 import rateLimit from 'express-rate-limit';
-import { uploadPublicKey, getPublicKey, getMyPublicKey } from '../controllers/keys.controller.js';
+import { uploadPublicKey, getPublicKey, getMyPublicKey, uploadPreKeys, getPreKeyCount, getPreKeyBundle,
+  getKeyLogPublicKey, getKeyLogTreeHead, getKeyLogConsistencyProof, getKeyInclusionProof,
+  listDevices, approveDevice, revokeDevice } from '../controllers/keys.controller.js';
 import { verifyTokenMiddleware, requireAuth } from '../middlewares/auth.middleware.js';
+import { createRateLimitStore } from '../utils/stateStore.js';
 
 const router = express.Router();
 
@@ -9,6 +12,7 @@ const router = express.Router();
 const keyLimiter = rateLimit({
   windowMs: 1 * 60 * 1000, // 1 minute
   max: 30, // 30 requests per minute per IP
+  store: createRateLimitStore('keys'),
   message: {
     success: false,
     error: 'Too many requests',
@@ -18,6 +22,20 @@ const keyLimiter = rateLimit({
   legacyHeaders: false
 });
 
+// Stricter limit for bundle fetches: each one consumes a one-time prekey
+const bundleLimiter = rateLimit({
+  windowMs: 1 * 60 * 1000, // 1 minute
+  max: 10, // 10 bundles per minute per IP
+  store: createRateLimitStore('key-bundles'),
+  message: {
+    success: false,
+    error: 'Too many requests',
+    message: 'Too many prekey bundle requests. Please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
 // Upload public key (requires auth)
 router.post(
   '/upload',
@@ -34,6 +52,45 @@ router.get(
   getMyPublicKey
 );
 
+// Upload signed prekey / one-time prekeys (requires auth)
+router.post(
+  '/prekeys',
+  keyLimiter,
+  verifyTokenMiddleware,
+  requireAuth,
+  uploadPreKeys
+);
+
+// Get remaining one-time prekey count for current user (requires auth)
+router.get(
+  '/prekeys/count',
+  verifyTokenMiddleware,
+  requireAuth,
+  getPreKeyCount
+);
+
+// Current user's devices: list, approve a pending device, remove a device (requires auth)
+router.get('/devices', keyLimiter, verifyTokenMiddleware, requireAuth, listDevices);
+router.post('/devices/:deviceId/approve', keyLimiter, verifyTokenMiddleware, requireAuth, approveDevice);
+router.delete('/devices/:deviceId', keyLimiter, verifyTokenMiddleware, requireAuth, revokeDevice);
+
+// Key transparency log: verification key, signed tree head, consistency proof
+router.get('/log/key', keyLimiter, getKeyLogPublicKey);
+router.get('/log/sth', keyLimiter, getKeyLogTreeHead);
+router.get('/log/consistency', keyLimiter, getKeyLogConsistencyProof);
+
+// Get proof that a user's current identity key is in the log
+router.get('/:userId/inclusion', keyLimiter, getKeyInclusionProof);
+
+// Get prekey bundle for a user (requires auth; consumes one one-time prekey)
+router.get(
+  '/:userId/bundle',
+  bundleLimiter,
+  verifyTokenMiddleware,
+  requireAuth,
+  getPreKeyBundle
+);
+
 // Get public key by user ID (public endpoint with rate limiting)
 router.get('/:userId', keyLimiter, getPublicKey);
 
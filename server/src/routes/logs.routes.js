@@ -0,0 +1,33 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { ingestClientLogs } from '../controllers/logs.controller.js';
+import { verifyTokenMiddleware, requireAuth } from '../middlewares/auth.middleware.js';
+import { createRateLimitStore } from '../utils/stateStore.js';
+
+const router = express.Router();
+
+// Rate limiting for client log batches (per user; runs after authentication)
+const clientLogLimiter = rateLimit({
+  windowMs: 5 * 60 * 1000, // 5 minutes
+  max: 20, // 20 batches per 5 minutes per user
+  store: createRateLimitStore('client-logs'),
+  keyGenerator: (req) => req.user.id.toString(),
+  message: {
+    success: false,
+    error: 'Too many requests',
+    message: 'Too many log uploads. Please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Ingest security events logged by the client (requires auth)
+router.post(
+  '/client',
+  verifyTokenMiddleware,
+  requireAuth,
+  clientLogLimiter,
+  ingestClientLogs
+);
+
+export default router;
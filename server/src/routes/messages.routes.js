@@ -1,8 +1,9 @@
 import express from 'express';
 import rateLimit from 'express-rate-limit';
-import { relayMessage, getPendingMessages } from '../controllers/messages.controller.js';
+import { relayMessage, getPendingMessages, acknowledgeMessages } from '../controllers/messages.controller.js';
 import { verifyTokenMiddleware, requireAuth } from '../middlewares/auth.middleware.js';
 import { requireSenderAuthorization, requireOwnResource } from '../middlewares/authorization.middleware.js';
+import { createRateLimitStore } from '../utils/stateStore.js';
 
 const router = express.Router();
 
@@ -10,6 +11,7 @@ const router = express.Router();
 const messageLimiter = rateLimit({
   windowMs: 1 * 60 * 1000, // 1 minute
   max: 100, // 100 messages per minute per IP
+  store: createRateLimitStore('messages'),
   message: {
     success: false,
     error: 'Too many requests',
@@ -26,6 +28,7 @@ const messageLimiter = rateLimit({
 const pendingMessagesLimiter = rateLimit({
   windowMs: 1 * 60 * 1000, // 1 minute
   max: 30, // 30 requests per minute
+  store: createRateLimitStore('pending-messages'),
   message: {
     success: false,
     error: 'Too many requests',
@@ -55,5 +58,14 @@ router.get(
   getPendingMessages
 );
 
+// Acknowledge mailbox messages (requires auth; only the recipient's own entries are deleted)
+router.post(
+  '/ack',
+  pendingMessagesLimiter,
+  verifyTokenMiddleware,
+  requireAuth,
+  acknowledgeMessages
+);
+
 export default router;
 
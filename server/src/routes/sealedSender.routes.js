@@ -0,0 +1,34 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { getSenderCertificate, registerSealedSenderAccess, deleteSealedSenderAccess,
+  getSealedSenderAccess } from '../controllers/sealedSender.controller.js';
+import { verifyTokenMiddleware, requireAuth } from '../middlewares/auth.middleware.js';
+import { createRateLimitStore } from '../utils/stateStore.js';
+
+const router = express.Router();
+
+// Rate limiting for sealed sender endpoints
+const sealedSenderLimiter = rateLimit({
+  windowMs: 1 * 60 * 1000, // 1 minute
+  max: 30, // 30 requests per minute per IP
+  store: createRateLimitStore('sealed-sender'),
+  message: {
+    success: false,
+    error: 'Too many requests',
+    message: 'Too many sealed sender requests. Please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Sender certificate for the requesting device (requires auth)
+router.get('/certificate', sealedSenderLimiter, verifyTokenMiddleware, requireAuth, getSenderCertificate);
+
+// Register, update or remove the requesting device's sealing key (requires auth)
+router.post('/access', sealedSenderLimiter, verifyTokenMiddleware, requireAuth, registerSealedSenderAccess);
+router.delete('/access', sealedSenderLimiter, verifyTokenMiddleware, requireAuth, deleteSealedSenderAccess);
+
+// Delivery tokens of a contact's devices (requires auth and an established session)
+router.get('/access/:userId', sealedSenderLimiter, verifyTokenMiddleware, requireAuth, getSealedSenderAccess);
+
+export default router;
@@ -186,7 +186,8 @@ class UserService {
       createdAt: userObj.createdAt,
       updatedAt: userObj.updatedAt,
       lastLoginAt: userObj.lastLoginAt,
-      isActive: userObj.isActive
+      isActive: userObj.isActive,
+      role: userObj.role || 'user'
     };
   }
 
@@ -338,6 +339,40 @@ class UserService {
 
     return users.map(user => this.safeUser(user));
   }
+
+  /**
+   * Lists active users (excluding current user)
+   * @param {string} excludeUserId - User ID to exclude from results
+   * @param {number} limit - Maximum number of results (default: 500)
+   * @returns {Promise<Array>} Array of sanitized user objects
+   */
+  async listActiveUsers(excludeUserId, limit = 500) {
+    const conditions = { isActive: true };
+    if (excludeUserId && mongoose.Types.ObjectId.isValid(excludeUserId)) {
+      conditions._id = { $ne: new mongoose.Types.ObjectId(excludeUserId) };
+    }
+
+    const users = await User.find(conditions)
+      .limit(limit)
+      .sort({ email: 1 });
+
+    return users.map(user => this.safeUser(user));
+  }
+
+  /**
+   * Gets users by ID
+   * @param {Array<string>} userIds - User IDs (invalid IDs are ignored)
+   * @returns {Promise<Array>} Array of sanitized user objects
+   */
+  async getUsersByIds(userIds) {
+    const validIds = userIds.filter(id => mongoose.Types.ObjectId.isValid(id));
+    if (validIds.length === 0) {
+      return [];
+    }
+
+    const users = await User.find({ _id: { $in: validIds } });
+    return users.map(user => this.safeUser(user));
+  }
 }
 
 export const userService = new UserService();
@@ -0,0 +1,124 @@
+/**
+ * Account Deletion
+ *
+ * Deleting an account erases everything the server holds for the user:
+ * the User row, every device's identity key and prekeys, sealed-sender
+ * registrations, queued envelopes, key exchange messages and message
+ * metadata, and their group memberships. With the public keys gone nobody
+ * can start a session with the deleted identity; the private keys only ever
+ * existed on the user's devices, which wipe them locally (cryptographic
+ * erasure). Key transparency log entries are kept: the log is append-only
+ * and only holds public keys.
+ *
+ * Bulk deletes bypass the per-document MessageMeta audit hooks, so a single
+ * MetadataAudit tombstone records the deletion and what was erased.
+ */
+
+import { User } from '../models/User.js';
+import { PublicKey } from '../models/PublicKey.js';
+import { OneTimePreKey } from '../models/OneTimePreKey.js';
+import { SealedSenderAccess } from '../models/SealedSenderAccess.js';
+import { MailboxMessage } from '../models/MailboxMessage.js';
+import { KEPMessage } from '../models/KEPMessage.js';
+import { MessageMeta } from '../models/MessageMeta.js';
+import { MetadataAudit } from '../models/MetadataAudit.js';
+import { Group } from '../models/Group.js';
+
+/**
+ * Finds the users someone has exchanged KEP messages or pairwise messages with
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<string>>} Contact user IDs (without the user)
+ */
+export async function findContactIds(userId) {
+  const [kepTo, kepFrom, msgTo, msgFrom] = await Promise.all([
+    KEPMessage.distinct('to', { from: userId }),
+    KEPMessage.distinct('from', { to: userId }),
+    MessageMeta.distinct('receiver', { sender: userId }),
+    MessageMeta.distinct('sender', { receiver: userId })
+  ]);
+  const contactIds = new Set([...kepTo, ...kepFrom, ...msgTo, ...msgFrom].filter(Boolean).map(String));
+  contactIds.delete(String(userId));
+  return [...contactIds];
+}
+
+/**
+ * Removes a user from every group they belong to
+ * Empty groups are deleted; a group left without an admin gets its
+ * longest-standing member promoted. Remaining groups move to a new epoch so
+ * members rotate their sender keys.
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<Object>>} Groups that still exist after the removal
+ */
+export async function removeFromAllGroups(userId) {
+  const groups = await Group.find({ 'members.user': userId });
+  const remaining = [];
+
+  for (const group of groups) {
+    group.members = group.members.filter(member => String(member.user) !== String(userId));
+
+    if (group.members.length === 0) {
+      await Group.deleteOne({ _id: group._id });
+      continue;
+    }
+
+    if (!group.members.some(member => member.role === 'admin')) {
+      group.members[0].role = 'admin';
+    }
+    group.epoch += 1;
+    await group.save();
+    remaining.push(group);
+  }
+  return remaining;
+}
+
+/**
+ * Deletes all stored data of a user, including the User row
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Number of deleted documents per collection
+ */
+export async function eraseAccountData(userId) {
+  const [publicKeys, oneTimePreKeys, sealedSenderAccess, mailboxMessages, kepMessages, messageMeta] = await Promise.all([
+    PublicKey.deleteMany({ userId }),
+    OneTimePreKey.deleteMany({ userId }),
+    SealedSenderAccess.deleteMany({ userId }),
+    MailboxMessage.deleteMany({ $or: [{ receiver: userId }, { sender: userId }] }),
+    KEPMessage.deleteMany({ $or: [{ from: userId }, { to: userId }] }),
+    MessageMeta.deleteMany({ $or: [{ sender: userId }, { receiver: userId }] })
+  ]);
+  const users = await User.deleteOne({ _id: userId });
+
+  return {
+    users: users.deletedCount,
+    publicKeys: publicKeys.deletedCount,
+    oneTimePreKeys: oneTimePreKeys.deletedCount,
+    sealedSenderAccess: sealedSenderAccess.deletedCount,
+    mailboxMessages: mailboxMessages.deletedCount,
+    kepMessages: kepMessages.deletedCount,
+    messageMeta: messageMeta.deletedCount
+  };
+}
+
+/**
+ * Records an account deletion in the metadata audit trail
+ * Only the user ID and deletion counts are kept; no email or keys.
+ * @param {string} userId - Deleted user ID
+ * @param {Object} erased - Counts returned by eraseAccountData
+ * @param {Object} [context] - Request context
+ * @param {string} [context.ipAddress] - Client IP
+ * @param {string} [context.userAgent] - Client user agent
+ * @returns {Promise<Object>} Tombstone entry
+ */
+export async function writeAccountTombstone(userId, erased, { ipAddress = null, userAgent = null } = {}) {
+  return await MetadataAudit.create({
+    action: 'ACCOUNT_DELETE',
+    changedBy: userId,
+    oldValues: null,
+    newValues: {
+      userId: String(userId),
+      erased
+    },
+    ipAddress,
+    userAgent,
+    timestamp: new Date()
+  });
+}
@@ -2,56 +2,54 @@
  * Account Lockout Utility
  * Implements account lockout after failed authentication attempts
  * to protect against brute-force attacks on encrypted keys
+ *
+ * State lives in the shared state store (stateStore.js), so lockouts survive
+ * restarts and apply on every server instance.
  */
 
+import { stateStore } from './stateStore.js';
+
 const MAX_FAILED_ATTEMPTS = 5; // Maximum failed attempts before lockout
 const LOCKOUT_DURATION = 15 * 60 * 1000; // 15 minutes lockout duration
+const ATTEMPT_WINDOW = 24 * 60 * 60 * 1000; // Failed attempts are forgotten after 24 hours
 
-// In-memory store for failed attempts (in production, use Redis or database)
-const failedAttempts = new Map(); // userId -> { count: number, lockoutUntil: number }
+const attemptsKey = (userId) => `lockout:attempts:${userId}`;
+const lockoutKey = (userId) => `lockout:locked:${userId}`;
 
 /**
  * Records a failed authentication attempt
  * @param {string} userId - User ID
- * @returns {{locked: boolean, remainingAttempts: number, lockoutUntil?: number}}
+ * @returns {Promise<{locked: boolean, remainingAttempts: number, lockoutUntil?: number}>}
  */
-export function recordFailedAttempt(userId) {
-  const now = Date.now();
-  const userAttempts = failedAttempts.get(userId) || { count: 0, lockoutUntil: 0 };
-
+export async function recordFailedAttempt(userId) {
   // Check if account is currently locked
-  if (userAttempts.lockoutUntil > now) {
+  const lockout = await stateStore.get(lockoutKey(userId));
+  if (lockout) {
     return {
       locked: true,
       remainingAttempts: 0,
-      lockoutUntil: userAttempts.lockoutUntil
+      lockoutUntil: lockout.value.lockoutUntil
     };
   }
 
-  // Reset if lockout period has passed
-  if (userAttempts.lockoutUntil > 0 && userAttempts.lockoutUntil <= now) {
-    userAttempts.count = 0;
-    userAttempts.lockoutUntil = 0;
-  }
-
   // Increment failed attempts
-  userAttempts.count++;
-  
-  // Lock account if threshold exceeded
-  if (userAttempts.count >= MAX_FAILED_ATTEMPTS) {
-    userAttempts.lockoutUntil = now + LOCKOUT_DURATION;
-    failedAttempts.set(userId, userAttempts);
+  const { count } = await stateStore.increment(attemptsKey(userId), ATTEMPT_WINDOW);
+
+  // Lock account if threshold exceeded (attempts start from zero after the lockout)
+  if (count >= MAX_FAILED_ATTEMPTS) {
+    const lockoutUntil = Date.now() + LOCKOUT_DURATION;
+    await stateStore.set(lockoutKey(userId), { failedAttempts: count, lockoutUntil }, LOCKOUT_DURATION);
+    await stateStore.delete(attemptsKey(userId));
     return {
       locked: true,
       remainingAttempts: 0,
-      lockoutUntil: userAttempts.lockoutUntil
+      lockoutUntil
     };
   }
 
-  failedAttempts.set(userId, userAttempts);
   return {
     locked: false,
-    remainingAttempts: MAX_FAILED_ATTEMPTS - userAttempts.count,
+    remainingAttempts: MAX_FAILED_ATTEMPTS - count,
     lockoutUntil: undefined
   };
 }
@@ -60,53 +58,55 @@ export function recordFailedAttempt(userId) {
  * Clears failed attempts for a user (on successful authentication)
  * @param {string} userId - User ID
  */
-export function clearFailedAttempts(userId) {
-  failedAttempts.delete(userId);
+export async function clearFailedAttempts(userId) {
+  await Promise.all([
+    stateStore.delete(attemptsKey(userId)),
+    stateStore.delete(lockoutKey(userId))
+  ]);
 }
 
 /**
  * Checks if an account is locked
  * @param {string} userId - User ID
- * @returns {{locked: boolean, lockoutUntil?: number}}
+ * @returns {Promise<{locked: boolean, lockoutUntil?: number}>}
  */
-export function isAccountLocked(userId) {
-  const userAttempts = failedAttempts.get(userId);
-  if (!userAttempts) {
+export async function isAccountLocked(userId) {
+  const lockout = await stateStore.get(lockoutKey(userId));
+  if (!lockout) {
     return { locked: false };
   }
 
-  const now = Date.now();
-  if (userAttempts.lockoutUntil > now) {
-    return {
-      locked: true,
-      lockoutUntil: userAttempts.lockoutUntil
-    };
-  }
-
-  // Lockout period expired, clear it
-  if (userAttempts.lockoutUntil > 0) {
-    failedAttempts.delete(userId);
-  }
-
-  return { locked: false };
+  return {
+    locked: true,
+    lockoutUntil: lockout.value.lockoutUntil
+  };
 }
 
 /**
  * Gets remaining attempts before lockout
  * @param {string} userId - User ID
- * @returns {number} Remaining attempts
+ * @returns {Promise<number>} Remaining attempts
  */
-export function getRemainingAttempts(userId) {
-  const userAttempts = failedAttempts.get(userId);
-  if (!userAttempts) {
-    return MAX_FAILED_ATTEMPTS;
-  }
-
-  const now = Date.now();
-  if (userAttempts.lockoutUntil > now) {
+export async function getRemainingAttempts(userId) {
+  if (await stateStore.get(lockoutKey(userId))) {
     return 0; // Account is locked
   }
 
-  return Math.max(0, MAX_FAILED_ATTEMPTS - userAttempts.count);
+  const attempts = await stateStore.get(attemptsKey(userId));
+  return Math.max(0, MAX_FAILED_ATTEMPTS - (attempts?.count || 0));
 }
 
+/**
+ * Lists accounts that are currently locked out
+ * @returns {Promise<Array<{userId: string, failedAttempts: number, lockoutUntil: number}>>}
+ */
+export async function getLockedAccounts() {
+  const prefix = lockoutKey('');
+  const locked = (await stateStore.list(prefix)).map(entry => ({
+    userId: entry.key.slice(prefix.length),
+    failedAttempts: entry.value.failedAttempts,
+    lockoutUntil: entry.value.lockoutUntil
+  }));
+
+  return locked.sort((a, b) => b.lockoutUntil - a.lockoutUntil);
+}
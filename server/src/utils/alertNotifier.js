@@ -0,0 +1,241 @@
+/**
+ * Alert Notifier
+ *
+ * Pages on-call when alerting.js raises a threshold alert.
+ *
+ * - Routing: each alert rule (eventType) is sent to a configured list of sinks
+ * - Deduplication: alerts for the same rule and subject (the rule's group) share a key
+ * - Cooldown: after a notification, repeats of the same key are suppressed for
+ *   the rule's cooldown and reported as suppressedCount on the next notification
+ *
+ * Configuration comes from environment variables (see loadAlertNotifierConfig).
+ * With no sinks configured, notifyAlert is a no-op.
+ */
+
+import { alertsLogger } from './logger.js';
+import {
+  createWebhookSink,
+  createEmailSink,
+  createSyslogSink,
+  createFileSpoolSink
+} from './alertSinks.js';
+
+const DEFAULT_COOLDOWN = 15 * 60 * 1000; // 15 minutes
+const MAX_TRACKED_KEYS = 1000; // Expired cooldown entries are pruned beyond this
+
+/**
+ * Parses "RULE=value;RULE=value" lists used by ALERT_ROUTES and ALERT_COOLDOWNS
+ * @param {string} value - Raw environment value
+ * @returns {Object} Map of rule name to raw value
+ */
+function parseRuleList(value) {
+  const result = {};
+  if (!value) return result;
+
+  for (const entry of value.split(';')) {
+    const [rule, setting] = entry.split('=').map(part => part?.trim());
+    if (rule && setting !== undefined) {
+      result[rule] = setting;
+    }
+  }
+  return result;
+}
+
+/**
+ * Builds sink and routing configuration from environment variables
+ *
+ * Sinks (each enabled when its first variable is set):
+ * - ALERT_WEBHOOK_URL, ALERT_WEBHOOK_SECRET
+ * - ALERT_SMTP_HOST, ALERT_SMTP_PORT, ALERT_SMTP_SECURE, ALERT_SMTP_USER,
+ *   ALERT_SMTP_PASS, ALERT_EMAIL_FROM, ALERT_EMAIL_TO (comma-separated)
+ * - ALERT_SYSLOG_HOST, ALERT_SYSLOG_PORT, ALERT_SYSLOG_PROTOCOL (udp|tcp), ALERT_SYSLOG_FACILITY
+ * - ALERT_SPOOL_DIR
+ *
+ * Routing and cooldowns:
+ * - ALERT_ROUTES: e.g. "SIGNATURE_FAILURE_THRESHOLD=webhook,email;*=syslog"
+ *   ("*" is the default route; without it, unlisted rules go to every sink)
+ * - ALERT_COOLDOWN_MS: default cooldown (15 minutes)
+ * - ALERT_COOLDOWNS: per-rule cooldowns, e.g. "AUTH_FAILURE_THRESHOLD=300000"
+ *
+ * @param {Object} env - Environment (default process.env)
+ * @returns {{sinks: Object, routes: Object, cooldownMs: number, cooldowns: Object}}
+ */
+export function loadAlertNotifierConfig(env = process.env) {
+  const sinks = {};
+
+  if (env.ALERT_WEBHOOK_URL) {
+    sinks.webhook = createWebhookSink({
+      url: env.ALERT_WEBHOOK_URL,
+      secret: env.ALERT_WEBHOOK_SECRET
+    });
+  }
+
+  if (env.ALERT_SMTP_HOST) {
+    sinks.email = createEmailSink({
+      host: env.ALERT_SMTP_HOST,
+      port: env.ALERT_SMTP_PORT ? Number(env.ALERT_SMTP_PORT) : undefined,
+      secure: env.ALERT_SMTP_SECURE === 'true',
+      user: env.ALERT_SMTP_USER,
+      pass: env.ALERT_SMTP_PASS,
+      from: env.ALERT_EMAIL_FROM,
+      to: (env.ALERT_EMAIL_TO || '').split(',').map(address => address.trim()).filter(Boolean)
+    });
+  }
+
+  if (env.ALERT_SYSLOG_HOST) {
+    sinks.syslog = createSyslogSink({
+      host: env.ALERT_SYSLOG_HOST,
+      port: env.ALERT_SYSLOG_PORT ? Number(env.ALERT_SYSLOG_PORT) : undefined,
+      protocol: env.ALERT_SYSLOG_PROTOCOL || 'udp',
+      facility: env.ALERT_SYSLOG_FACILITY ? Number(env.ALERT_SYSLOG_FACILITY) : undefined
+    });
+  }
+
+  if (env.ALERT_SPOOL_DIR) {
+    sinks.file = createFileSpoolSink({ dir: env.ALERT_SPOOL_DIR });
+  }
+
+  const routes = {};
+  for (const [rule, names] of Object.entries(parseRuleList(env.ALERT_ROUTES))) {
+    routes[rule] = names.split(',').map(name => name.trim()).filter(Boolean);
+    const unknown = routes[rule].filter(name => !sinks[name]);
+    if (unknown.length > 0) {
+      throw new Error(`ALERT_ROUTES references sinks that are not configured: ${unknown.join(', ')}`);
+    }
+  }
+
+  const cooldowns = {};
+  for (const [rule, ms] of Object.entries(parseRuleList(env.ALERT_COOLDOWNS))) {
+    cooldowns[rule] = Number(ms);
+  }
+
+  return {
+    sinks,
+    routes,
+    cooldownMs: env.ALERT_COOLDOWN_MS ? Number(env.ALERT_COOLDOWN_MS) : DEFAULT_COOLDOWN,
+    cooldowns
+  };
+}
+
+/**
+ * Creates an alert notifier
+ * @param {Object} options
+ * @param {Object} options.sinks - Map of sink name to sink ({ name, send })
+ * @param {Object} options.routes - Map of rule (or "*") to sink names
+ * @param {number} options.cooldownMs - Default cooldown per dedup key
+ * @param {Object} options.cooldowns - Per-rule cooldown overrides
+ * @param {Function} options.now - Clock (for tests)
+ * @returns {{notify: Function, getState: Function}}
+ */
+export function createAlertNotifier({ sinks = {}, routes = {}, cooldownMs = DEFAULT_COOLDOWN, cooldowns = {}, now = Date.now } = {}) {
+  const lastNotified = new Map(); // dedupKey -> { at: number, until: number, suppressed: number }
+
+  const sinkNamesFor = (rule) => routes[rule] || routes['*'] || Object.keys(sinks);
+
+  /**
+   * Sends an alert to the sinks routed for its rule, unless it is in cooldown
+   * @param {Object} alert - Alert from alerting.js
+   * @returns {Promise<{sent: boolean, suppressed?: boolean, results?: Array}>}
+   */
+  async function notify(alert) {
+    const sinkNames = sinkNamesFor(alert.eventType);
+    if (sinkNames.length === 0) {
+      return { sent: false };
+    }
+
+    const dedupKey = `${alert.eventType}:${alert[alert.groupBy] || alert.userId || alert.ip || 'unknown'}`;
+    const cooldown = cooldowns[alert.eventType] ?? cooldownMs;
+    const current = now();
+    const previous = lastNotified.get(dedupKey);
+
+    if (previous && current < previous.until) {
+      previous.suppressed++;
+      return { sent: false, suppressed: true };
+    }
+
+    if (lastNotified.size >= MAX_TRACKED_KEYS) {
+      for (const [key, entry] of lastNotified.entries()) {
+        if (entry.until <= current) lastNotified.delete(key);
+      }
+    }
+    lastNotified.set(dedupKey, { at: current, until: current + cooldown, suppressed: 0 });
+
+    const notification = {
+      severity: alert.severity || 'warning',
+      suppressedCount: previous?.suppressed || 0,
+      notifiedAt: new Date(current).toISOString(),
+      alert
+    };
+
+    const settled = await Promise.allSettled(sinkNames.map(name => sinks[name].send(notification)));
+    const results = settled.map((result, i) => ({
+      sink: sinkNames[i],
+      delivered: result.status === 'fulfilled',
+      error: result.status === 'rejected' ? result.reason?.message : undefined
+    }));
+
+    // If nothing was delivered, do not start a cooldown: the next alert retries
+    if (results.every(r => !r.delivered)) {
+      lastNotified.delete(dedupKey);
+    }
+
+    for (const result of results.filter(r => !r.delivered)) {
+      alertsLogger.error({
+        event: 'alert_notification_failed',
+        sink: result.sink,
+        eventType: alert.eventType,
+        error: result.error,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    return { sent: true, results };
+  }
+
+  /**
+   * Current cooldown state (for monitoring)
+   * @returns {Array<{key: string, lastNotifiedAt: string, suppressed: number}>}
+   */
+  function getState() {
+    return Array.from(lastNotified.entries()).map(([key, entry]) => ({
+      key,
+      lastNotifiedAt: new Date(entry.at).toISOString(),
+      suppressed: entry.suppressed
+    }));
+  }
+
+  return { notify, getState };
+}
+
+let defaultNotifier = null;
+
+/**
+ * Replaces the notifier used by notifyAlert
+ * @param {Object|null} notifier - Notifier from createAlertNotifier (null to reload from env)
+ */
+export function setAlertNotifier(notifier) {
+  defaultNotifier = notifier;
+}
+
+/**
+ * Sends an alert through the configured notifier
+ * Never throws: delivery problems are logged, not propagated to the request
+ * that tripped the threshold.
+ * @param {Object} alert - Alert from alerting.js
+ * @returns {Promise<Object|undefined>} Result from notifier.notify
+ */
+export async function notifyAlert(alert) {
+  try {
+    if (!defaultNotifier) {
+      defaultNotifier = createAlertNotifier(loadAlertNotifierConfig());
+    }
+    return await defaultNotifier.notify(alert);
+  } catch (error) {
+    alertsLogger.error({
+      event: 'alert_notification_failed',
+      eventType: alert.eventType,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
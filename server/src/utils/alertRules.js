@@ -0,0 +1,290 @@
+/**
+ * Alert Rule Engine
+ *
+ * Evaluates security events against declarative threshold rules:
+ * "N events of type X for the same user/IP/session within a window".
+ *
+ * Rule format (see server/src/config/alert-rules.json):
+ * {
+ *   "id": "REPLAY_ATTEMPT_THRESHOLD",      // Alert eventType
+ *   "eventTypes": ["REPLAY_ATTEMPT"],       // Events the rule counts
+ *   "match": { "success": false },          // Optional field equality filter
+ *   "groupBy": "ip",                        // ip, userId or sessionId (or a fallback list)
+ *   "windowMs": 600000,
+ *   "threshold": 3,
+ *   "severity": "warning",                  // info, warning, error or critical
+ *   "reason": "Multiple replay attempts detected from IP",
+ *   "countField": "attemptCount",           // Optional extra name for the event count
+ *   "enabled": true
+ * }
+ *
+ * The engine only touches its state store, so rules can be tested with
+ * fixtures; alerting.js loads the rule file and raises the alerts.
+ */
+
+import fs from 'fs';
+import { createMemoryStore } from './stateStore.js';
+
+export const ALERT_SEVERITIES = ['info', 'warning', 'error', 'critical'];
+export const GROUP_BY_FIELDS = ['ip', 'userId', 'sessionId'];
+
+const MAX_WINDOW = 24 * 60 * 60 * 1000; // 24 hours
+const MAX_RECENT_EVENTS = 20; // Events included in an alert
+const RULE_ID_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+const RECENT_EVENT_FIELDS = ['sessionId', 'userId', 'ip', 'messageType', 'seq', 'reason'];
+
+/**
+ * Formats a window for the alert's timeWindow field ("10 minutes")
+ * @param {number} windowMs - Window in milliseconds
+ * @returns {string}
+ */
+function formatWindow(windowMs) {
+  const units = [['hour', 3600000], ['minute', 60000], ['second', 1000]];
+  for (const [unit, ms] of units) {
+    if (windowMs % ms === 0) {
+      const count = windowMs / ms;
+      return `${count} ${unit}${count === 1 ? '' : 's'}`;
+    }
+  }
+  return `${windowMs} ms`;
+}
+
+/**
+ * Validates a rule configuration and returns normalized rules
+ * @param {Object} config - Parsed configuration ({ rules: [...] })
+ * @returns {Array<Object>} Enabled, normalized rules
+ * @throws {Error} Describing every invalid field
+ */
+export function validateAlertRules(config) {
+  if (!config || !Array.isArray(config.rules)) {
+    throw new Error('Alert rule configuration must be an object with a "rules" array');
+  }
+
+  const errors = [];
+  const ids = new Set();
+
+  const rules = config.rules.map((rule, index) => {
+    const label = `rules[${index}]${rule?.id ? ` (${rule.id})` : ''}`;
+    const fail = (message) => errors.push(`${label}: ${message}`);
+
+    if (!rule || typeof rule !== 'object') {
+      fail('must be an object');
+      return null;
+    }
+
+    if (typeof rule.id !== 'string' || !RULE_ID_PATTERN.test(rule.id)) {
+      fail('id must be an uppercase identifier such as KEP_FAILURE_THRESHOLD');
+    } else if (ids.has(rule.id)) {
+      fail('id is not unique');
+    } else {
+      ids.add(rule.id);
+    }
+
+    if (!Array.isArray(rule.eventTypes) || rule.eventTypes.length === 0 ||
+        rule.eventTypes.some(type => typeof type !== 'string' || !type)) {
+      fail('eventTypes must be a non-empty array of event type names');
+    }
+
+    const groupBy = Array.isArray(rule.groupBy) ? rule.groupBy : [rule.groupBy];
+    if (groupBy.length === 0 || groupBy.some(field => !GROUP_BY_FIELDS.includes(field))) {
+      fail(`groupBy must be one of ${GROUP_BY_FIELDS.join(', ')} (or a list of them)`);
+    }
+
+    if (!Number.isInteger(rule.windowMs) || rule.windowMs <= 0 || rule.windowMs > MAX_WINDOW) {
+      fail(`windowMs must be an integer between 1 and ${MAX_WINDOW}`);
+    }
+
+    if (!Number.isInteger(rule.threshold) || rule.threshold < 1) {
+      fail('threshold must be a positive integer');
+    }
+
+    if (!ALERT_SEVERITIES.includes(rule.severity)) {
+      fail(`severity must be one of ${ALERT_SEVERITIES.join(', ')}`);
+    }
+
+    if (rule.match !== undefined) {
+      const validMatch = rule.match && typeof rule.match === 'object' && !Array.isArray(rule.match) &&
+        Object.values(rule.match).every(value => value === null || ['string', 'number', 'boolean'].includes(typeof value));
+      if (!validMatch) {
+        fail('match must be an object of field names to string, number, boolean or null values');
+      }
+    }
+
+    if (rule.reason !== undefined && typeof rule.reason !== 'string') {
+      fail('reason must be a string');
+    }
+
+    if (rule.countField !== undefined && (typeof rule.countField !== 'string' || !/^[a-zA-Z]+$/.test(rule.countField))) {
+      fail('countField must be a field name');
+    }
+
+    if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+      fail('enabled must be a boolean');
+    }
+
+    return {
+      id: rule.id,
+      description: rule.description || '',
+      eventTypes: rule.eventTypes,
+      match: rule.match || {},
+      groupBy,
+      windowMs: rule.windowMs,
+      threshold: rule.threshold,
+      severity: rule.severity,
+      reason: rule.reason || `${rule.id} threshold exceeded`,
+      countField: rule.countField || null,
+      enabled: rule.enabled !== false
+    };
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid alert rules:\n- ${errors.join('\n- ')}`);
+  }
+
+  return rules.filter(rule => rule.enabled);
+}
+
+/**
+ * Reads and validates a JSON rule file
+ * @param {string} filePath - Path to the rule file
+ * @returns {Array<Object>} Normalized rules
+ */
+export function loadAlertRulesFile(filePath) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read alert rules from ${filePath}: ${error.message}`);
+  }
+  return validateAlertRules(config);
+}
+
+/**
+ * Creates a rule engine
+ * Event windows are kept in a state store (stateStore.js) so counts can be
+ * shared by several server instances; the default is a private memory store.
+ * @param {Array<Object>} rules - Rules from validateAlertRules
+ * @param {Object} options
+ * @param {Function} options.now - Clock (for tests)
+ * @param {Object} options.store - State store for event windows
+ * @returns {{evaluate: Function, setRules: Function, getStatistics: Function}}
+ */
+export function createRuleEngine(rules, { now = Date.now, store = createMemoryStore({ now }) } = {}) {
+  let activeRules = rules;
+
+  const windowPrefix = (rule) => `alert:${rule.id}:`;
+
+  const matches = (rule, event) =>
+    rule.eventTypes.includes(event.eventType) &&
+    Object.entries(rule.match).every(([field, value]) => event[field] === value);
+
+  const groupFor = (rule, event) => {
+    for (const field of rule.groupBy) {
+      if (event[field] !== undefined && event[field] !== null && event[field] !== '') {
+        return { field, key: String(event[field]) };
+      }
+    }
+    return null;
+  };
+
+  // Fields kept per event in the window (the window may live in MongoDB)
+  const summarize = (at, event) => {
+    const summary = { at, eventType: event.eventType };
+    for (const field of RECENT_EVENT_FIELDS) {
+      if (event[field] !== undefined && event[field] !== null) summary[field] = event[field];
+    }
+    return summary;
+  };
+
+  const buildAlert = (rule, group, event, recent) => {
+    const alert = {
+      eventType: rule.id,
+      severity: rule.severity,
+      groupBy: group.field,
+      userId: event.userId ?? null,
+      ip: event.ip ?? null,
+      sessionId: event.sessionId ?? null,
+      [group.field]: group.key,
+      eventCount: recent.length,
+      timeWindow: formatWindow(rule.windowMs),
+      threshold: rule.threshold,
+      reason: rule.reason,
+      recentEvents: recent.slice(-MAX_RECENT_EVENTS).map(({ at, ...summary }) => ({
+        timestamp: new Date(at).toISOString(),
+        ...summary
+      })),
+      timestamp: new Date(now()).toISOString()
+    };
+    if (rule.countField) {
+      alert[rule.countField] = recent.length;
+    }
+    return alert;
+  };
+
+  /**
+   * Records an event and returns the alerts it triggers
+   * @param {Object} event - Security event ({ eventType, userId, ip, sessionId, ... })
+   * @returns {Promise<Array<Object>>} Alerts (empty if no threshold was reached)
+   */
+  async function evaluate(event) {
+    if (!event || typeof event.eventType !== 'string') {
+      return [];
+    }
+
+    const current = now();
+    const alerts = [];
+
+    for (const rule of activeRules) {
+      if (!matches(rule, event)) continue;
+      const group = groupFor(rule, event);
+      if (!group) continue;
+
+      const key = `${windowPrefix(rule)}${group.field}:${group.key}`;
+      const recent = await store.appendToWindow(key, summarize(current, event), rule.windowMs, rule.threshold);
+
+      if (recent.length >= rule.threshold) {
+        alerts.push(buildAlert(rule, group, event, recent));
+        // Start counting again after an alert (to avoid spam)
+        await store.delete(key);
+      }
+    }
+
+    return alerts;
+  }
+
+  /**
+   * Replaces the rules (hot reload)
+   * Counts are kept for rules whose id still exists; windows of removed
+   * rules expire on their own.
+   * @param {Array<Object>} newRules - Rules from validateAlertRules
+   */
+  function setRules(newRules) {
+    activeRules = newRules;
+  }
+
+  /**
+   * Current tracking statistics per rule (for monitoring/API)
+   * @returns {Promise<Array<Object>>}
+   */
+  async function getStatistics() {
+    const current = now();
+    return Promise.all(activeRules.map(async rule => {
+      const windows = await store.list(windowPrefix(rule));
+      return {
+        id: rule.id,
+        eventTypes: rule.eventTypes,
+        groupBy: rule.groupBy,
+        windowMs: rule.windowMs,
+        threshold: rule.threshold,
+        severity: rule.severity,
+        trackedGroups: windows.length,
+        pendingEvents: windows.reduce(
+          (sum, window) => sum + window.entries.filter(entry => entry.at > current - rule.windowMs).length,
+          0
+        )
+      };
+    }));
+  }
+
+  return { evaluate, setRules, getStatistics };
+}
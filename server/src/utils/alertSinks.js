@@ -0,0 +1,360 @@
+/**
+ * Alert Notification Sinks
+ *
+ * Delivery channels for threshold alerts (see alertNotifier.js):
+ * - webhook: HTTP POST with an HMAC-SHA256 signature header
+ * - email: SMTP (implicit TLS or STARTTLS, AUTH PLAIN)
+ * - syslog: RFC 5424 messages over UDP or TCP (octet-counted framing)
+ * - file: one JSON file per notification in a spool directory (for testing)
+ *
+ * Every sink is an object { name, send(notification) } where send returns a
+ * promise that rejects if the notification was not delivered.
+ */
+
+import crypto from 'crypto';
+import dgram from 'dgram';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import tls from 'tls';
+
+const DEFAULT_TIMEOUT = 10000; // 10 seconds per delivery attempt
+
+// Syslog severities (RFC 5424 section 6.2.1)
+const SYSLOG_SEVERITY = {
+  critical: 2,
+  error: 3,
+  warning: 4,
+  info: 6
+};
+
+/**
+ * Builds a short human-readable summary of an alert
+ * @param {Object} alert - Alert from alerting.js
+ * @returns {string}
+ */
+export function summarizeAlert(alert) {
+  const subject = alert.groupBy === 'sessionId' ? `session ${alert.sessionId}`
+    : alert.userId ? `user ${alert.userId}` : alert.ip ? `IP ${alert.ip}` : 'unknown source';
+  const count = alert.eventCount ?? alert.attemptCount ?? alert.failureCount;
+  return `${alert.eventType}: ${alert.reason || 'Security alert'} (${subject}, ${count} events in ${alert.timeWindow})`;
+}
+
+/**
+ * Signs a webhook body
+ * The signature covers the timestamp so captured requests cannot be replayed later.
+ * @param {string} secret - Shared secret
+ * @param {string} timestamp - Unix timestamp (seconds) sent in X-Alert-Timestamp
+ * @param {string} body - Raw JSON body
+ * @returns {string} Hex-encoded HMAC-SHA256 of `${timestamp}.${body}`
+ */
+export function signWebhookPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Creates a signed HTTP webhook sink
+ * @param {Object} options
+ * @param {string} options.url - Webhook URL
+ * @param {string} options.secret - Shared secret for X-Alert-Signature
+ * @param {number} options.timeoutMs - Request timeout
+ */
+export function createWebhookSink({ url, secret, timeoutMs = DEFAULT_TIMEOUT }) {
+  if (!url || !secret) {
+    throw new Error('Webhook sink requires a url and a signing secret');
+  }
+
+  return {
+    name: 'webhook',
+    async send(notification) {
+      const body = JSON.stringify(notification);
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Alert-Timestamp': timestamp,
+          'X-Alert-Signature': `sha256=${signWebhookPayload(secret, timestamp, body)}`
+        },
+        body,
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+
+      if (!response.ok) {
+        throw new Error(`Webhook responded with HTTP ${response.status}`);
+      }
+    }
+  };
+}
+
+/**
+ * Formats an RFC 5424 syslog message
+ * @param {Object} notification - Notification from alertNotifier.js
+ * @param {Object} options
+ * @param {number} options.facility - Syslog facility (default 16, local0)
+ * @param {string} options.appName - APP-NAME field
+ * @param {string} options.hostname - HOSTNAME field
+ * @returns {string}
+ */
+export function formatSyslogMessage(notification, { facility = 16, appName = 'infosec-server', hostname = os.hostname() } = {}) {
+  const { alert } = notification;
+  const priority = facility * 8 + (SYSLOG_SEVERITY[notification.severity] ?? SYSLOG_SEVERITY.warning);
+  const escape = value => String(value).replace(/["\\\]]/g, '\\$&');
+
+  // 32473 is the example enterprise number reserved by RFC 5612
+  const params = {
+    eventType: alert.eventType,
+    userId: alert.userId,
+    ip: alert.ip,
+    sessionId: alert.sessionId,
+    count: alert.eventCount ?? alert.attemptCount ?? alert.failureCount,
+    suppressed: notification.suppressedCount
+  };
+  const structuredData = `[alert@32473${Object.entries(params)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ` ${key}="${escape(value)}"`)
+    .join('')}]`;
+
+  return `<${priority}>1 ${notification.notifiedAt} ${hostname} ${appName} ${process.pid} ${alert.eventType} ${structuredData} ${summarizeAlert(alert)}`;
+}
+
+/**
+ * Creates an RFC 5424 syslog sink
+ * @param {Object} options
+ * @param {string} options.host - Syslog server host
+ * @param {number} options.port - Syslog server port (default 514)
+ * @param {string} options.protocol - 'udp' or 'tcp' (default 'udp')
+ * @param {number} options.facility - Syslog facility (default 16, local0)
+ * @param {number} options.timeoutMs - TCP connection timeout
+ */
+export function createSyslogSink({ host, port = 514, protocol = 'udp', facility = 16, timeoutMs = DEFAULT_TIMEOUT }) {
+  if (!host) {
+    throw new Error('Syslog sink requires a host');
+  }
+  if (protocol !== 'udp' && protocol !== 'tcp') {
+    throw new Error(`Unsupported syslog protocol: ${protocol}`);
+  }
+
+  const sendUdp = message => new Promise((resolve, reject) => {
+    const socket = dgram.createSocket(net.isIPv6(host) ? 'udp6' : 'udp4');
+    socket.send(Buffer.from(message, 'utf8'), port, host, (error) => {
+      socket.close();
+      error ? reject(error) : resolve();
+    });
+  });
+
+  // Octet-counting framing (RFC 6587 section 3.4.1)
+  const sendTcp = message => new Promise((resolve, reject) => {
+    const frame = `${Buffer.byteLength(message, 'utf8')} ${message}`;
+    const socket = net.connect({ host, port }, () => {
+      socket.end(frame, 'utf8');
+    });
+    socket.setTimeout(timeoutMs, () => socket.destroy(new Error('Syslog connection timed out')));
+    socket.on('error', reject);
+    socket.on('close', (hadError) => {
+      if (!hadError) resolve();
+    });
+  });
+
+  return {
+    name: 'syslog',
+    async send(notification) {
+      const message = formatSyslogMessage(notification, { facility });
+      await (protocol === 'udp' ? sendUdp(message) : sendTcp(message));
+    }
+  };
+}
+
+/**
+ * Minimal SMTP client for alert emails
+ * Supports implicit TLS, STARTTLS and AUTH PLAIN. Credentials are never sent
+ * over an unencrypted connection.
+ * @param {Object} options - SMTP options (see createEmailSink)
+ * @param {Object} message - { from, to: string[], subject, text }
+ * @returns {Promise<void>}
+ */
+function sendSmtpMail(options, message) {
+  const { host, port, secure, user, pass, timeoutMs, tlsOptions = {} } = options;
+
+  return new Promise((resolve, reject) => {
+    let socket;
+    let buffer = '';
+    let lines = [];
+    let pending = null;
+    let finished = false;
+
+    const fail = (error) => {
+      if (finished) return;
+      finished = true;
+      socket?.destroy();
+      reject(error);
+    };
+
+    const onData = (chunk) => {
+      buffer += chunk.toString('utf8');
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        lines.push(line);
+        // The last line of a reply has a space after the code ("250 OK" vs "250-SIZE")
+        if (/^\d{3}(?: |$)/.test(line)) {
+          const reply = { code: Number(line.slice(0, 3)), lines };
+          lines = [];
+          const resolveReply = pending;
+          pending = null;
+          resolveReply?.(reply);
+        }
+      }
+    };
+
+    const attach = (newSocket) => {
+      socket = newSocket;
+      socket.setTimeout(timeoutMs, () => fail(new Error('SMTP connection timed out')));
+      socket.on('data', onData);
+      socket.on('error', fail);
+      socket.on('close', () => fail(new Error('SMTP connection closed unexpectedly')));
+    };
+
+    const readReply = () => new Promise(resolveReply => { pending = resolveReply; });
+
+    const command = async (line, expected) => {
+      const reply = readReply();
+      socket.write(`${line}\r\n`);
+      return expectReply(await reply, expected, line.split(' ')[0]);
+    };
+
+    const expectReply = (reply, expected, step) => {
+      if (!expected.includes(reply.code)) {
+        throw new Error(`SMTP ${step} failed: ${reply.lines.join(' ')}`);
+      }
+      return reply;
+    };
+
+    const run = async () => {
+      expectReply(await greeting, [220], 'greeting');
+      let ehlo = await command(`EHLO ${os.hostname()}`, [250]);
+      let encrypted = secure;
+
+      if (!encrypted && ehlo.lines.some(line => /^250[ -]STARTTLS/i.test(line))) {
+        await command('STARTTLS', [220]);
+        socket.removeListener('data', onData);
+        socket.setTimeout(0);
+        attach(tls.connect({ ...tlsOptions, socket, servername: host }));
+        encrypted = true;
+        ehlo = await command(`EHLO ${os.hostname()}`, [250]);
+      }
+
+      if (user) {
+        if (!encrypted) {
+          throw new Error('SMTP server does not support TLS; refusing to send credentials');
+        }
+        const credentials = Buffer.from(`\u0000${user}\u0000${pass || ''}`, 'utf8').toString('base64');
+        await command(`AUTH PLAIN ${credentials}`, [235]);
+      }
+
+      await command(`MAIL FROM:<${message.from}>`, [250]);
+      for (const recipient of message.to) {
+        await command(`RCPT TO:<${recipient}>`, [250, 251]);
+      }
+      await command('DATA', [354]);
+
+      const headers = [
+        `From: ${message.from}`,
+        `To: ${message.to.join(', ')}`,
+        `Subject: ${message.subject}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${crypto.randomUUID()}@${os.hostname()}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8'
+      ];
+      // Dot-stuffing (RFC 5321 section 4.5.2)
+      const body = message.text.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+      await command(`${headers.join('\r\n')}\r\n\r\n${body}\r\n.`, [250]);
+
+      // The message is accepted; QUIT is best-effort
+      finished = true;
+      resolve();
+      socket.end('QUIT\r\n');
+    };
+
+    attach(secure
+      ? tls.connect({ ...tlsOptions, host, port, servername: host })
+      : net.connect({ host, port }));
+    const greeting = readReply();
+    run().catch(fail);
+  });
+}
+
+/**
+ * Creates an SMTP email sink
+ * @param {Object} options
+ * @param {string} options.host - SMTP server host
+ * @param {number} options.port - SMTP server port (default 465 with secure, else 587)
+ * @param {boolean} options.secure - Use implicit TLS (otherwise STARTTLS when offered)
+ * @param {string} options.user - SMTP username (optional)
+ * @param {string} options.pass - SMTP password (optional)
+ * @param {string} options.from - Sender address
+ * @param {string[]} options.to - Recipient addresses
+ * @param {number} options.timeoutMs - Connection timeout
+ * @param {Object} options.tlsOptions - Extra options for tls.connect
+ */
+export function createEmailSink({ host, port, secure = false, user, pass, from, to, timeoutMs = DEFAULT_TIMEOUT, tlsOptions }) {
+  if (!host || !from || !to || to.length === 0) {
+    throw new Error('Email sink requires a host, a sender and at least one recipient');
+  }
+
+  const smtpOptions = { host, port: port || (secure ? 465 : 587), secure, user, pass, timeoutMs, tlsOptions };
+
+  return {
+    name: 'email',
+    async send(notification) {
+      const { alert } = notification;
+      const lines = [
+        summarizeAlert(alert),
+        '',
+        `Rule: ${alert.eventType} (threshold ${alert.threshold} in ${alert.timeWindow})`,
+        `Severity: ${notification.severity}`,
+        `Raised at: ${alert.timestamp}`,
+        alert.userId ? `User: ${alert.userId}` : null,
+        alert.ip ? `IP: ${alert.ip}` : null,
+        notification.suppressedCount > 0
+          ? `Suppressed: ${notification.suppressedCount} repeat alert(s) during the cooldown`
+          : null,
+        '',
+        'Details are in alerts.log and the admin console.'
+      ].filter(line => line !== null);
+
+      await sendSmtpMail(smtpOptions, {
+        from,
+        to,
+        // Strip CR/LF so alert fields cannot inject headers
+        subject: `[${notification.severity.toUpperCase()}] ${alert.eventType}`.replace(/[\r\n]/g, ' '),
+        text: lines.join('\n')
+      });
+    }
+  };
+}
+
+/**
+ * Creates a file spool sink (one JSON file per notification)
+ * @param {Object} options
+ * @param {string} options.dir - Spool directory
+ */
+export function createFileSpoolSink({ dir }) {
+  if (!dir) {
+    throw new Error('File spool sink requires a directory');
+  }
+
+  return {
+    name: 'file',
+    async send(notification) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const safeTime = notification.notifiedAt.replace(/[:.]/g, '-');
+      const filename = `${safeTime}-${notification.alert.eventType}-${crypto.randomBytes(4).toString('hex')}.json`;
+      await fs.promises.writeFile(path.join(dir, filename), JSON.stringify(notification, null, 2), { mode: 0o600 });
+    }
+  };
+}
@@ -19,7 +19,7 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { writeProtectedLog } from './logIntegrity.js';
-import { recordReplayAttempt, recordSignatureFailure } from './alerting.js';
+import { recordSecurityEvent } from './alerting.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -49,6 +49,9 @@ function resolveLogPath(filename) {
 function writeLog(filename, event) {
   // Use protected logging with HMAC integrity
   writeProtectedLog(filename, event);
+
+  // Evaluate against the alert rules (alerting.js)
+  recordSecurityEvent(event);
 }
 
 /**
@@ -70,11 +73,6 @@ export function logReplayAttempt(sessionId, userId, seq, timestamp, reason, ip =
     action: 'REJECTED',
     ip
   });
-
-  // Record for alerting (if IP available)
-  if (ip) {
-    recordReplayAttempt(sessionId, ip, reason);
-  }
 }
 
 /**
@@ -93,11 +91,6 @@ export function logInvalidSignature(sessionId, userId, messageType, reason) {
     reason,
     action: 'REJECTED'
   });
-
-  // Record for alerting
-  if (userId) {
-    recordSignatureFailure(userId, sessionId, messageType, reason);
-  }
 }
 
 /**
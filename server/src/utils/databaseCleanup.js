@@ -3,31 +3,38 @@
  * 
  * Provides automated cleanup of old metadata to prevent database growth
  * and resource exhaustion attacks.
+ *
+ * Message metadata is not deleted here: every MessageMeta record carries
+ * its own expiresAt (the conversation's disappearing timer, or the default
+ * retention period) and is removed by its TTL index. Records stored before
+ * expiresAt existed are given one so the TTL index picks them up too.
  */
 
-import { MessageMeta } from '../models/MessageMeta.js';
+import { MessageMeta, getMessageMetaTTL } from '../models/MessageMeta.js';
 import { KEPMessage } from '../models/KEPMessage.js';
 
 /**
- * Cleans up old message metadata
- * Removes metadata older than specified days (default: 90 days)
- * @param {number} daysOld - Age in days (default: 90)
- * @returns {Promise<{deleted: number}>}
+ * Backfills expiresAt on legacy message metadata (createdAt + retention period)
+ * Records that are already past their retention are then removed by the TTL index.
+ * @returns {Promise<{updated: number}>}
  */
-export async function cleanupOldMessageMetadata(daysOld = 90) {
+export async function backfillMessageMetaExpiry() {
   try {
-    const cutoffDate = new Date();
-    cutoffDate.setDate(cutoffDate.getDate() - daysOld);
-
-    const result = await MessageMeta.deleteMany({
-      createdAt: { $lt: cutoffDate },
-      delivered: true // Only delete delivered messages
-    });
+    const result = await MessageMeta.updateMany(
+      { expiresAt: { $exists: false } },
+      [{
+        $set: {
+          expiresAt: { $add: [{ $ifNull: ['$createdAt', '$$NOW'] }, getMessageMetaTTL()] }
+        }
+      }]
+    );
 
-    console.log(`✓ Cleaned up ${result.deletedCount} old message metadata entries`);
-    return { deleted: result.deletedCount };
+    if (result.modifiedCount > 0) {
+      console.log(`✓ Set expiresAt on ${result.modifiedCount} legacy message metadata entries`);
+    }
+    return { updated: result.modifiedCount };
   } catch (error) {
-    console.error('Failed to cleanup old message metadata:', error);
+    console.error('Failed to backfill message metadata expiry:', error);
     throw error;
   }
 }
@@ -81,29 +88,25 @@ export async function monitorDatabaseSize(maxMessages = 1000000) {
 
 /**
  * Runs periodic cleanup (call from cron job or scheduled task)
- * @param {number} messageMetadataDays - Days to keep message metadata (default: 90)
  * @param {number} kepMessageDays - Days to keep KEP messages (default: 30)
- * @returns {Promise<{messages: number, kep: number}>}
+ * @returns {Promise<{kep: number, legacyMeta: number, sizeCheck: Object}>}
  */
-export async function runPeriodicCleanup(messageMetadataDays = 90, kepMessageDays = 30) {
+export async function runPeriodicCleanup(kepMessageDays = 30) {
   try {
     // Check database size first
     const sizeCheck = await monitorDatabaseSize();
     if (sizeCheck.needsCleanup) {
       console.warn(`⚠️  Database size exceeded threshold (${sizeCheck.totalCount} records). Running aggressive cleanup.`);
       // Use more aggressive cleanup (reduce retention period by 50%)
-      messageMetadataDays = Math.floor(messageMetadataDays * 0.5);
       kepMessageDays = Math.floor(kepMessageDays * 0.5);
     }
 
-    const [messagesResult, kepResult] = await Promise.all([
-      cleanupOldMessageMetadata(messageMetadataDays),
-      cleanupOldKEPMessages(kepMessageDays)
-    ]);
+    const kepResult = await cleanupOldKEPMessages(kepMessageDays);
+    const legacyResult = await backfillMessageMetaExpiry();
 
     return {
-      messages: messagesResult.deleted,
       kep: kepResult.deleted,
+      legacyMeta: legacyResult.updated,
       sizeCheck
     };
   } catch (error) {
@@ -0,0 +1,384 @@
+/**
+ * Key Transparency Log
+ *
+ * Append-only Merkle tree (RFC 9162 hashing) over every identity key publish
+ * and rotation. Tree heads are signed with the server's ES256 key so clients
+ * can prove which key the server committed to for a user, and that the log
+ * was only ever appended to.
+ *
+ * Leaf:  SHA-256(0x00 || buildLeafData(entry))
+ * Node:  SHA-256(0x01 || left || right)
+ *
+ * The tree over the log is kept in memory and extended with new entries on
+ * each request (loadLogTree), so tree heads and proofs never rehash the
+ * whole log.
+ */
+
+import crypto from 'crypto';
+import { KeyLogEntry } from '../models/KeyLogEntry.js';
+import { loadKeys } from '../config/keys.js';
+
+const APPEND_MAX_ATTEMPTS = 5;
+
+let signingKey = null;
+let verifyKey = null;
+
+// Load keys once at module initialization (same ES256 key pair as JWTs)
+try {
+  const keys = loadKeys();
+  signingKey = crypto.createPrivateKey(keys.privateKey);
+  verifyKey = crypto.createPublicKey(keys.publicKey);
+} catch (error) {
+  console.warn('Key transparency signing key not loaded. Generate keys with: npm run generate-keys');
+}
+
+/**
+ * Builds the canonical leaf string for a log entry
+ * Field order is fixed; clients rebuild the same string from the key they fetched.
+ * @param {Object} entry - {userId, deviceId?, publicKey, version, timestamp}
+ * @returns {string}
+ */
+export function buildLeafData(entry) {
+  return JSON.stringify({
+    userId: String(entry.userId),
+    // Only keys of additional devices name their device, so older leaves still verify
+    ...(entry.deviceId ? { deviceId: entry.deviceId } : {}),
+    publicKey: {
+      kty: entry.publicKey.kty,
+      crv: entry.publicKey.crv,
+      x: entry.publicKey.x,
+      y: entry.publicKey.y
+    },
+    version: entry.version,
+    timestamp: entry.timestamp
+  });
+}
+
+/**
+ * Hashes a leaf
+ * @param {string} leafData - Canonical leaf string
+ * @returns {Buffer}
+ */
+export function hashLeaf(leafData) {
+  return crypto.createHash('sha256').update(Buffer.from([0x00])).update(leafData, 'utf8').digest();
+}
+
+/**
+ * Hashes two child nodes
+ * @param {Buffer} left - Left child hash
+ * @param {Buffer} right - Right child hash
+ * @returns {Buffer}
+ */
+export function hashChildren(left, right) {
+  return crypto.createHash('sha256').update(Buffer.from([0x01])).update(left).update(right).digest();
+}
+
+/**
+ * Largest power of two strictly smaller than n (n > 1)
+ * @param {number} n - Tree size
+ * @returns {number}
+ */
+function splitPoint(n) {
+  let k = 1;
+  while (k * 2 < n) {
+    k *= 2;
+  }
+  return k;
+}
+
+/**
+ * Creates an append-only Merkle tree
+ * Every complete subtree hash is kept (levels[h][i] covers leaves
+ * i * 2^h .. (i + 1) * 2^h - 1), so appending costs O(log n) hashes and the
+ * root or a proof for any tree size needs only O(log^2 n) more.
+ * @param {Array<Buffer>} [leaves] - Initial leaf hashes in log order
+ * @returns {Object} Merkle tree
+ */
+export function createMerkleTree(leaves = []) {
+  const levels = [[]];
+
+  /**
+   * Hash of the subtree over leaves start .. end - 1
+   * RFC 9162 subtrees are either complete (cached) or split into a complete
+   * left part and a smaller right part.
+   */
+  const subtreeHash = (start, end) => {
+    const n = end - start;
+    if (n === 0) {
+      return crypto.createHash('sha256').digest();
+    }
+    if ((n & (n - 1)) === 0) {
+      return levels[Math.log2(n)][start / n];
+    }
+    const k = splitPoint(n);
+    return hashChildren(subtreeHash(start, start + k), subtreeHash(start + k, end));
+  };
+
+  const path = (index, start, end) => {
+    const n = end - start;
+    if (n <= 1) {
+      return [];
+    }
+    const k = splitPoint(n);
+    if (index < k) {
+      return [...path(index, start, start + k), subtreeHash(start + k, end)];
+    }
+    return [...path(index - k, start + k, end), subtreeHash(start, start + k)];
+  };
+
+  // RFC 9162 SUBPROOF; complete: whether the older subtree hash is known to the verifier
+  const subProof = (m, start, end, complete) => {
+    const n = end - start;
+    if (m === n) {
+      return complete ? [] : [subtreeHash(start, end)];
+    }
+    const k = splitPoint(n);
+    if (m <= k) {
+      return [...subProof(m, start, start + k, complete), subtreeHash(start + k, end)];
+    }
+    return [...subProof(m - k, start + k, end, false), subtreeHash(start, start + k)];
+  };
+
+  const checkSize = (size) => {
+    if (!Number.isInteger(size) || size < 0 || size > levels[0].length) {
+      throw new Error(`Tree size ${size} is out of range (0..${levels[0].length})`);
+    }
+  };
+
+  const tree = {
+    /**
+     * Number of leaves
+     * @returns {number}
+     */
+    get size() {
+      return levels[0].length;
+    },
+
+    /**
+     * Returns a leaf hash
+     * @param {number} index - Leaf index
+     * @returns {Buffer|undefined}
+     */
+    leaf(index) {
+      return levels[0][index];
+    },
+
+    /**
+     * Appends a leaf and the subtree hashes it completes
+     * @param {Buffer} leafHash - Leaf hash
+     */
+    append(leafHash) {
+      let index = levels[0].length;
+      levels[0].push(leafHash);
+      for (let h = 0; (index & 1) === 1; h++) {
+        const parent = hashChildren(levels[h][index - 1], levels[h][index]);
+        index >>= 1;
+        if (!levels[h + 1]) {
+          levels[h + 1] = [];
+        }
+        levels[h + 1][index] = parent;
+      }
+    },
+
+    /**
+     * Computes the Merkle tree hash of the first `size` leaves
+     * @param {number} [size] - Tree size (default: all leaves)
+     * @returns {Buffer}
+     */
+    root(size = levels[0].length) {
+      checkSize(size);
+      return subtreeHash(0, size);
+    },
+
+    /**
+     * Computes the audit path proving leaf `index` is in the tree of the first `size` leaves
+     * @param {number} index - Leaf index
+     * @param {number} [size] - Tree size (default: all leaves)
+     * @returns {Array<Buffer>} Sibling hashes, leaf to root
+     */
+    inclusionPath(index, size = levels[0].length) {
+      checkSize(size);
+      if (!Number.isInteger(index) || index < 0 || index >= size) {
+        throw new Error(`Leaf ${index} is not in a tree of size ${size}`);
+      }
+      return path(index, 0, size);
+    },
+
+    /**
+     * Computes the proof that the first `first` leaves form a prefix of the first `second`
+     * @param {number} first - Size of the older tree
+     * @param {number} [second] - Size of the newer tree (default: all leaves)
+     * @returns {Array<Buffer>}
+     */
+    consistencyProof(first, second = levels[0].length) {
+      checkSize(second);
+      if (first === 0 || first === second) {
+        return [];
+      }
+      return subProof(first, 0, second, true);
+    }
+  };
+
+  for (const leafHash of leaves) {
+    tree.append(leafHash);
+  }
+  return tree;
+}
+
+/**
+ * Computes the Merkle tree hash of a list of leaf hashes
+ * @param {Array<Buffer>} leaves - Leaf hashes in log order
+ * @returns {Buffer}
+ */
+export function merkleRoot(leaves) {
+  return createMerkleTree(leaves).root();
+}
+
+/**
+ * Computes the audit path proving leaf `index` is in the tree
+ * @param {number} index - Leaf index
+ * @param {Array<Buffer>} leaves - Leaf hashes in log order
+ * @returns {Array<Buffer>} Sibling hashes, leaf to root
+ */
+export function inclusionPath(index, leaves) {
+  return createMerkleTree(leaves).inclusionPath(index);
+}
+
+/**
+ * Computes the proof that the first `first` leaves form a prefix of the tree
+ * @param {number} first - Size of the older tree
+ * @param {Array<Buffer>} leaves - Leaf hashes of the newer tree
+ * @returns {Array<Buffer>}
+ */
+export function consistencyProof(first, leaves) {
+  return createMerkleTree(leaves).consistencyProof(first);
+}
+
+// Tree over the whole log, kept between requests (the log is append-only)
+let logTree = createMerkleTree();
+
+/**
+ * Returns the Merkle tree over the log, brought up to date with the database
+ * Only entries appended since the last call are loaded, so other server
+ * instances' appends are picked up too. Leaves are taken in index order up to
+ * the first gap (an append still in flight); the rest follow on a later call.
+ * @returns {Promise<Object>} Merkle tree (see createMerkleTree)
+ */
+export async function loadLogTree() {
+  const tree = logTree;
+  const size = tree.size;
+  // The last cached leaf is loaded again to check the log was not reset
+  const entries = await KeyLogEntry.find({ index: { $gte: Math.max(size - 1, 0) } })
+    .sort({ index: 1 })
+    .select('index leafHash');
+
+  if (size > 0 && (entries[0]?.index !== size - 1 ||
+      !tree.leaf(size - 1).equals(Buffer.from(entries[0].leafHash, 'hex')))) {
+    // Entries are never removed in production; a reset log (e.g. in tests) is reloaded
+    if (logTree === tree) {
+      logTree = createMerkleTree();
+    }
+    return await loadLogTree();
+  }
+
+  for (const entry of entries) {
+    // A concurrent call may already have appended some of these
+    if (entry.index < tree.size) continue;
+    if (entry.index > tree.size) break;
+    tree.append(Buffer.from(entry.leafHash, 'hex'));
+  }
+  return tree;
+}
+
+/**
+ * Appends an identity key publish/rotation to the log
+ * @param {string} userId - Key owner
+ * @param {Object} publicKeyJWK - Published identity key
+ * @param {number} version - Key version (PublicKey.version)
+ * @param {string} [deviceId] - Device the key belongs to (omitted for the default device)
+ * @returns {Promise<Object>} Created log entry
+ */
+export async function appendKeyLogEntry(userId, publicKeyJWK, version, deviceId) {
+  const { kty, crv, x, y } = publicKeyJWK;
+  const fields = {
+    userId: String(userId),
+    ...(deviceId ? { deviceId } : {}),
+    publicKey: { kty, crv, x, y },
+    version: version || 1,
+    timestamp: Date.now()
+  };
+  const leafHash = hashLeaf(buildLeafData(fields)).toString('hex');
+
+  // Indexes are dense; a concurrent append loses the unique index race and retries
+  for (let attempt = 0; attempt < APPEND_MAX_ATTEMPTS; attempt++) {
+    const last = await KeyLogEntry.findOne().sort({ index: -1 }).select('index');
+    const index = last ? last.index + 1 : 0;
+    try {
+      return await KeyLogEntry.create({ ...fields, index, leafHash });
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+  throw new Error('Failed to append key log entry: index contention');
+}
+
+/**
+ * Builds the byte string covered by a tree head signature
+ * @param {Object} treeHead - {treeSize, rootHash, timestamp}
+ * @returns {string}
+ */
+export function buildTreeHeadData({ treeSize, rootHash, timestamp }) {
+  return JSON.stringify({ treeSize, rootHash, timestamp });
+}
+
+/**
+ * Signs a tree head with the server's ES256 key
+ * Signature is raw r||s (IEEE P1363) so WebCrypto can verify it directly.
+ * @param {number} treeSize - Number of leaves
+ * @param {Buffer} rootHash - Merkle root
+ * @returns {Object} Signed tree head {treeSize, rootHash, timestamp, signature}
+ */
+export function signTreeHead(treeSize, rootHash) {
+  if (!signingKey) {
+    throw new Error('Private key not available. Cannot sign tree heads.');
+  }
+  const treeHead = {
+    treeSize,
+    rootHash: rootHash.toString('hex'),
+    timestamp: Date.now()
+  };
+  const signature = crypto.sign('sha256', Buffer.from(buildTreeHeadData(treeHead)), {
+    key: signingKey,
+    dsaEncoding: 'ieee-p1363'
+  });
+  return { ...treeHead, signature: signature.toString('base64') };
+}
+
+/**
+ * Verifies a signed tree head (used by tests and monitors)
+ * @param {Object} treeHead - Signed tree head
+ * @returns {boolean}
+ */
+export function verifyTreeHead(treeHead) {
+  if (!verifyKey) {
+    return false;
+  }
+  return crypto.verify('sha256', Buffer.from(buildTreeHeadData(treeHead)), {
+    key: verifyKey,
+    dsaEncoding: 'ieee-p1363'
+  }, Buffer.from(treeHead.signature, 'base64'));
+}
+
+/**
+ * Returns the log's public verification key as a JWK
+ * @returns {Object|null}
+ */
+export function getLogPublicKeyJWK() {
+  if (!verifyKey) {
+    return null;
+  }
+  const { kty, crv, x, y } = verifyKey.export({ format: 'jwk' });
+  return { kty, crv, x, y };
+}
@@ -0,0 +1,145 @@
+/**
+ * Log Audit Utility
+ *
+ * Reads the HMAC-protected security logs for the admin console.
+ * Every entry is verified with verifyLogEntry before it is reported, so
+ * tampered lines are counted but never returned as data.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { verifyLogEntry } from './logIntegrity.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Log files written exclusively through writeProtectedLog
+ */
+export const PROTECTED_LOG_FILES = [
+  'alerts.log',
+  'replay_attempts.log',
+  'invalid_signature.log',
+  'key_exchange_attempts.log',
+  'authentication_attempts.log',
+  'failed_decryption.log',
+  'invalid_kep_message.log',
+  'general_events.log',
+  'client_security.log',
+  'admin_actions.log'
+];
+
+const HOUR = 60 * 60 * 1000;
+
+function resolveLogPath(filename) {
+  const prefix = process.env.LOG_PREFIX || '';
+  const effectiveName = prefix ? `${prefix}_${filename}` : filename;
+  const logsDir = process.env.TEST_LOGS_DIR || path.join(__dirname, '../../logs');
+  return path.join(logsDir, effectiveName);
+}
+
+/**
+ * Reads and verifies every line of a protected log file
+ * @param {string} filename - Log filename
+ * @returns {Array<{valid: boolean, entry?: Object, error?: string}>} Empty if the file does not exist
+ */
+function readVerifiedLog(filename) {
+  const logPath = resolveLogPath(filename);
+  if (!fs.existsSync(logPath)) {
+    return [];
+  }
+
+  return fs.readFileSync(logPath, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(verifyLogEntry);
+}
+
+/**
+ * Parses an entry timestamp (ISO string or epoch milliseconds)
+ * @param {Object} entry - Log entry
+ * @returns {number|null} Epoch milliseconds, or null if missing/invalid
+ */
+function entryTime(entry) {
+  const time = new Date(entry.timestamp).getTime();
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Verifies the integrity of all protected log files
+ * @returns {Array<{file: string, exists: boolean, entries: number, valid: number, tampered: number, lastEntryAt: string|null}>}
+ */
+export function getLogIntegrityStatus() {
+  return PROTECTED_LOG_FILES.map(file => {
+    const exists = fs.existsSync(resolveLogPath(file));
+    const results = readVerifiedLog(file);
+    const valid = results.filter(result => result.valid);
+    const lastTime = valid.length > 0 ? entryTime(valid[valid.length - 1].entry) : null;
+
+    return {
+      file,
+      exists,
+      entries: results.length,
+      valid: valid.length,
+      tampered: results.length - valid.length,
+      lastEntryAt: lastTime ? new Date(lastTime).toISOString() : null
+    };
+  });
+}
+
+/**
+ * Gets verified alerts raised within a time window
+ * @param {Object} options
+ * @param {number} options.hours - Window size in hours (default 24)
+ * @param {number} options.limit - Maximum number of alerts (default 100)
+ * @returns {Array<Object>} Alerts, newest first
+ */
+export function getRecentAlerts({ hours = 24, limit = 100 } = {}) {
+  const since = Date.now() - hours * HOUR;
+
+  return readVerifiedLog('alerts.log')
+    .filter(result => result.valid && entryTime(result.entry) >= since)
+    .map(result => result.entry)
+    .sort((a, b) => entryTime(b) - entryTime(a))
+    .slice(0, limit);
+}
+
+/**
+ * Counts replay attempts and signature failures per hour
+ * @param {Object} options
+ * @param {number} options.hours - Number of hourly buckets (default 24)
+ * @returns {{buckets: Array<{hour: string, replayAttempts: number, signatureFailures: number}>, totals: {replayAttempts: number, signatureFailures: number}}}
+ */
+export function getSecurityEventTrends({ hours = 24 } = {}) {
+  const currentHour = Math.floor(Date.now() / HOUR) * HOUR;
+  const start = currentHour - (hours - 1) * HOUR;
+  const buckets = Array.from({ length: hours }, (_, i) => ({
+    hour: new Date(start + i * HOUR).toISOString(),
+    replayAttempts: 0,
+    signatureFailures: 0
+  }));
+
+  const countInto = (filename, eventType, field) => {
+    for (const result of readVerifiedLog(filename)) {
+      if (!result.valid || result.entry.eventType !== eventType) continue;
+      const time = entryTime(result.entry);
+      if (time === null || time < start) continue;
+      const index = Math.floor((time - start) / HOUR);
+      if (index < hours) {
+        buckets[index][field]++;
+      }
+    }
+  };
+
+  countInto('replay_attempts.log', 'REPLAY_ATTEMPT', 'replayAttempts');
+  countInto('invalid_signature.log', 'INVALID_SIGNATURE', 'signatureFailures');
+
+  return {
+    buckets,
+    totals: {
+      replayAttempts: buckets.reduce((sum, bucket) => sum + bucket.replayAttempts, 0),
+      signatureFailures: buckets.reduce((sum, bucket) => sum + bucket.signatureFailures, 0)
+    }
+  };
+}
@@ -0,0 +1,187 @@
+/**
+ * Offline Mailbox Utilities
+ *
+ * Stores complete encrypted envelopes for recipients that are offline and
+ * hands them out on reconnect. Entries are deleted only once the recipient
+ * acknowledges them; anything left unacknowledged expires via the TTL index.
+ * Envelopes addressed to one device (receiverDevice) are only handed to that device.
+ */
+
+import { MailboxMessage, getMailboxTTL } from '../models/MailboxMessage.js';
+import { MessageMeta, getMessageMetaExpiry } from '../models/MessageMeta.js';
+import { logMessageMetadataAccess } from './messageLogging.js';
+
+/**
+ * Maximum number of envelopes handed out per fetch
+ */
+export const MAILBOX_BATCH_SIZE = 100;
+
+/**
+ * Stores an envelope for an offline recipient
+ * Envelopes from a disappearing conversation (validated expiresIn) expire with
+ * their metadata when that is sooner than the mailbox retention period.
+ * @param {string} messageId - Message identifier (matches MessageMeta.messageId)
+ * @param {string} senderId - Sender user ID
+ * @param {Object} envelope - Encrypted envelope exactly as sent
+ * @param {string} receiverId - Recipient (default: envelope.receiver; set for group fan-out)
+ * @param {string|null} receiverDevice - Recipient device (default: envelope.receiverDevice; set for group fan-out)
+ * @returns {Promise<Object>} Stored mailbox entry
+ */
+export async function storeInMailbox(messageId, senderId, envelope, receiverId = envelope.receiver, receiverDevice = envelope.receiverDevice || null) {
+  const expiresAt = envelope.expiresIn
+    ? new Date(Math.min(
+      getMessageMetaExpiry(envelope.timestamp, envelope.expiresIn).getTime(),
+      Date.now() + getMailboxTTL()
+    ))
+    : undefined;
+
+  const entry = await MailboxMessage.create({
+    messageId,
+    sessionId: envelope.sessionId,
+    sender: senderId,
+    receiver: receiverId,
+    receiverDevice,
+    type: envelope.type,
+    envelope,
+    ...(expiresAt && { expiresAt })
+  });
+
+  logMessageMetadataAccess(senderId, envelope.sessionId, 'mailbox_store', {
+    messageId,
+    type: envelope.type
+  });
+
+  return entry;
+}
+
+/**
+ * Stores a sealed-sender envelope for an offline recipient device
+ * Nothing about the sender is known or recorded.
+ * @param {string} messageId - Message identifier (derived from the envelope nonce)
+ * @param {string} receiverId - Recipient user ID (from the delivery token)
+ * @param {string} receiverDevice - Recipient device (from the delivery token)
+ * @param {Object} envelope - Sealed envelope as relayed
+ * @returns {Promise<Object>} Stored mailbox entry
+ */
+export async function storeSealedInMailbox(messageId, receiverId, receiverDevice, envelope) {
+  const entry = await MailboxMessage.create({
+    messageId,
+    receiver: receiverId,
+    receiverDevice,
+    type: 'SEALED',
+    envelope
+  });
+
+  logMessageMetadataAccess(receiverId, 'sealed', 'mailbox_store_sealed', {
+    messageId
+  });
+
+  return entry;
+}
+
+/**
+ * Builds the mailbox filter for a recipient, optionally narrowed to one device
+ * @param {string} userId - Recipient user ID
+ * @param {string} [deviceId] - Recipient device (default: every device)
+ * @returns {Object} Mongo filter
+ */
+function recipientFilter(userId, deviceId) {
+  return deviceId
+    ? { receiver: userId, receiverDevice: { $in: [null, deviceId] } }
+    : { receiver: userId };
+}
+
+/**
+ * Fetches the oldest undelivered envelopes for a recipient
+ * @param {string} userId - Recipient user ID
+ * @param {number} limit - Maximum number of entries (default: MAILBOX_BATCH_SIZE)
+ * @param {string} [deviceId] - Recipient device (skips envelopes for the user's other devices)
+ * @param {Date|string} [after] - Only entries queued after this time (queuedAt of the previous batch's last entry),
+ *   so entries the client keeps for a retry do not hold back the rest
+ * @returns {Promise<{messages: Array<{messageId: string, envelope: Object, queuedAt: Date}>, hasMore: boolean}>}
+ */
+export async function fetchMailbox(userId, limit = MAILBOX_BATCH_SIZE, deviceId, after) {
+  const filter = recipientFilter(userId, deviceId);
+  const since = after ? new Date(after) : null;
+  if (since && !Number.isNaN(since.getTime())) {
+    filter.createdAt = { $gt: since };
+  }
+
+  // Fetch one extra entry to know whether another batch is waiting
+  const entries = await MailboxMessage.find(filter)
+    .sort({ createdAt: 1 })
+    .limit(limit + 1)
+    .lean();
+
+  const hasMore = entries.length > limit;
+  const messages = entries.slice(0, limit).map(entry => ({
+    messageId: entry.messageId,
+    envelope: entry.envelope,
+    queuedAt: entry.createdAt
+  }));
+
+  logMessageMetadataAccess(userId, 'all', 'mailbox_fetch', {
+    count: messages.length
+  });
+
+  return { messages, hasMore };
+}
+
+/**
+ * Acknowledges mailbox entries, deleting them and marking their metadata delivered.
+ * Only entries addressed to userId are affected; a device only removes its own copy
+ * of a group message.
+ * @param {string} userId - Recipient user ID
+ * @param {Array<string>} messageIds - Message identifiers to acknowledge
+ * @param {string} [deviceId] - Acknowledging device (cannot acknowledge other devices' envelopes)
+ * @returns {Promise<{acknowledged: number}>}
+ */
+export async function acknowledgeMailbox(userId, messageIds, deviceId) {
+  if (!Array.isArray(messageIds) || messageIds.length === 0) {
+    return { acknowledged: 0 };
+  }
+
+  const ids = messageIds
+    .filter(id => typeof id === 'string')
+    .slice(0, MAILBOX_BATCH_SIZE);
+
+  const result = await MailboxMessage.deleteMany({
+    ...recipientFilter(userId, deviceId),
+    messageId: { $in: ids }
+  });
+
+  if (result.deletedCount > 0) {
+    await MessageMeta.updateMany(
+      { receiver: userId, messageId: { $in: ids }, delivered: false },
+      { $set: { delivered: true, deliveredAt: new Date() } }
+    );
+
+    // Group messages are delivered once the last member's copy is acknowledged
+    const pending = await MailboxMessage.distinct('messageId', { messageId: { $in: ids } });
+    await MessageMeta.updateMany(
+      { groupId: { $ne: null }, messageId: { $in: ids.filter(id => !pending.includes(id)) }, delivered: false },
+      { $set: { delivered: true, deliveredAt: new Date() } }
+    );
+  }
+
+  logMessageMetadataAccess(userId, 'all', 'mailbox_ack', {
+    count: result.deletedCount
+  });
+
+  return { acknowledged: result.deletedCount };
+}
+
+/**
+ * Returns stored envelopes keyed by messageId for the given recipient
+ * @param {string} userId - Recipient user ID
+ * @param {Array<string>} messageIds - Message identifiers to look up
+ * @returns {Promise<Map<string, Object>>} messageId -> envelope
+ */
+export async function getMailboxEnvelopes(userId, messageIds) {
+  const entries = await MailboxMessage.find({
+    receiver: userId,
+    messageId: { $in: messageIds }
+  }).lean();
+
+  return new Map(entries.map(entry => [entry.messageId, entry.envelope]));
+}
@@ -67,7 +67,7 @@ export function logMessageMetadataAccess(userId, sessionId, action, metadata = {
  * @param {string} senderId - Sender user ID
  * @param {string} receiverId - Receiver user ID
  * @param {string} sessionId - Session identifier
- * @param {string} messageType - Message type (MSG, FILE_META, FILE_CHUNK)
+ * @param {string} messageType - Message type (MSG, FILE_META, FILE_CHUNK, RECEIPT, EDIT, DELETE, REACTION)
  */
 export function logMessageForwarding(senderId, receiverId, sessionId, messageType) {
   const logEntry = {
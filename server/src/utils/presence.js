@@ -0,0 +1,109 @@
+/**
+ * Presence Utilities
+ *
+ * Online status and last-seen times are only revealed to users the subject
+ * has an established session with: a completed key exchange (KEP_RESPONSE)
+ * or a pairwise message in either direction. Users who hide their presence
+ * appear to everyone as offline with no last-seen time.
+ */
+
+import mongoose from 'mongoose';
+import { User } from '../models/User.js';
+import { KEPMessage } from '../models/KEPMessage.js';
+import { MessageMeta } from '../models/MessageMeta.js';
+
+/**
+ * Maximum number of users one presence:subscribe request may ask about
+ */
+export const MAX_PRESENCE_SUBSCRIPTIONS = 200;
+
+/**
+ * Checks whether two users have an established session
+ * @param {string} userId - One user
+ * @param {string} peerId - The other user
+ * @returns {Promise<boolean>}
+ */
+export async function haveEstablishedSession(userId, peerId) {
+  if (!mongoose.isValidObjectId(userId) || !mongoose.isValidObjectId(peerId) || String(userId) === String(peerId)) {
+    return false;
+  }
+
+  const between = [
+    { from: userId, to: peerId },
+    { from: peerId, to: userId }
+  ];
+  const kep = await KEPMessage.exists({ type: 'KEP_RESPONSE', $or: between });
+  if (kep) return true;
+
+  const message = await MessageMeta.exists({
+    groupId: null,
+    $or: [
+      { sender: userId, receiver: peerId },
+      { sender: peerId, receiver: userId }
+    ]
+  });
+  return !!message;
+}
+
+/**
+ * Filters requested user IDs down to those a user may see the presence of
+ * @param {string} userId - Requesting user
+ * @param {Array<string>} peerIds - Requested users
+ * @returns {Promise<Array<string>>} Permitted user IDs (deduplicated, at most MAX_PRESENCE_SUBSCRIPTIONS)
+ */
+export async function filterPresencePeers(userId, peerIds) {
+  if (!Array.isArray(peerIds)) return [];
+
+  const candidates = [...new Set(peerIds.filter(id => typeof id === 'string'))]
+    .slice(0, MAX_PRESENCE_SUBSCRIPTIONS);
+  const permitted = [];
+  for (const peerId of candidates) {
+    if (await haveEstablishedSession(userId, peerId)) {
+      permitted.push(peerId);
+    }
+  }
+  return permitted;
+}
+
+/**
+ * Builds presence entries for users, honoring their presence setting
+ * @param {Array<string>} userIds - Users to describe (already permitted)
+ * @param {Set<string>} onlineUserIds - Users with at least one connected socket
+ * @returns {Promise<Array<{userId: string, online: boolean, lastSeenAt: string|null}>>}
+ */
+export async function getPresenceSnapshot(userIds, onlineUserIds) {
+  if (userIds.length === 0) return [];
+
+  const users = await User.find({ _id: { $in: userIds } }).select('lastSeenAt presenceHidden');
+  return users.map(user => {
+    const userId = String(user._id);
+    if (user.presenceHidden) {
+      return { userId, online: false, lastSeenAt: null };
+    }
+    return {
+      userId,
+      online: onlineUserIds.has(userId),
+      lastSeenAt: user.lastSeenAt ? user.lastSeenAt.toISOString() : null
+    };
+  });
+}
+
+/**
+ * Records when a user's last device disconnected
+ * @param {string} userId - User ID
+ * @param {Date} at - Disconnect time
+ * @returns {Promise<void>}
+ */
+export async function recordLastSeen(userId, at = new Date()) {
+  await User.updateOne({ _id: userId }, { $set: { lastSeenAt: at } });
+}
+
+/**
+ * Sets whether a user's presence is hidden
+ * @param {string} userId - User ID
+ * @param {boolean} hidden - true to hide online status and last seen
+ * @returns {Promise<void>}
+ */
+export async function setPresenceHidden(userId, hidden) {
+  await User.updateOne({ _id: userId }, { $set: { presenceHidden: !!hidden } });
+}
@@ -58,7 +58,8 @@ export function logInvalidKEPMessage(userId, sessionId, reason) {
 
 // Server clock sync tracking (for timestamp validation)
 let serverClockOffset = 0; // Offset in milliseconds
-const MAX_CLOCK_SKEW = 60000; // 1 minute maximum allowed clock skew
+export const MAX_CLOCK_SKEW = 60000; // 1 minute maximum allowed clock skew
+export const MAX_MESSAGE_AGE = 120000; // 2 minute timestamp freshness window
 
 /**
  * Updates server clock offset (call periodically with NTP or trusted time source)
@@ -74,7 +75,7 @@ export function updateClockOffset(offset) {
  * @param {number} maxAge - Maximum age in milliseconds (default: 2 minutes)
  * @returns {boolean} True if timestamp is valid
  */
-export function validateTimestamp(messageTimestamp, maxAge = 120000) {
+export function validateTimestamp(messageTimestamp, maxAge = MAX_MESSAGE_AGE) {
   const now = Date.now() + serverClockOffset; // Adjust for clock skew
   const age = now - messageTimestamp;
   
@@ -0,0 +1,151 @@
+/**
+ * Sealed Sender
+ *
+ * Optional delivery mode that keeps the sender out of what the server sees.
+ * The client seals the whole envelope (sender, receiver, session ID,
+ * sequence number) together with a sender certificate to the recipient
+ * device's sealing key; the server only sees the recipient's delivery token.
+ *
+ * Sender certificates are short-lived statements signed with the server's
+ * ES256 key (the key transparency log key, which clients already pin):
+ *   {type: 'sender-certificate', userId, deviceId, expiresAt}
+ * Recipients check the certificate after unsealing, so a sealed envelope
+ * cannot claim a sender the server never vouched for.
+ */
+
+import crypto from 'crypto';
+import { loadKeys } from '../config/keys.js';
+
+/**
+ * Sender certificate lifetime (1 hour)
+ */
+export const SENDER_CERTIFICATE_TTL = 60 * 60 * 1000;
+
+const DELIVERY_TOKEN_BYTES = 32;
+const DELIVERY_TOKEN_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+
+let signingKey = null;
+let verifyKey = null;
+
+// Load keys once at module initialization (same ES256 key pair as JWTs and tree heads)
+try {
+  const keys = loadKeys();
+  signingKey = crypto.createPrivateKey(keys.privateKey);
+  verifyKey = crypto.createPublicKey(keys.publicKey);
+} catch (error) {
+  console.warn('Sender certificate signing key not loaded. Generate keys with: npm run generate-keys');
+}
+
+/**
+ * Builds the canonical string a sender certificate signature covers
+ * The type field keeps certificates apart from tree heads signed by the same key.
+ * @param {Object} certificate - {userId, deviceId, expiresAt}
+ * @returns {string}
+ */
+export function buildSenderCertificateData({ userId, deviceId, expiresAt }) {
+  return JSON.stringify({ type: 'sender-certificate', userId: String(userId), deviceId, expiresAt });
+}
+
+/**
+ * Issues a sender certificate for a user device
+ * Signature is raw r||s (IEEE P1363) so WebCrypto can verify it directly.
+ * @param {string} userId - Certified user
+ * @param {string} deviceId - Certified device
+ * @returns {Object} Certificate {userId, deviceId, expiresAt, signature}
+ */
+export function issueSenderCertificate(userId, deviceId) {
+  if (!signingKey) {
+    throw new Error('Private key not available. Cannot issue sender certificates.');
+  }
+  const certificate = {
+    userId: String(userId),
+    deviceId,
+    expiresAt: Date.now() + SENDER_CERTIFICATE_TTL
+  };
+  const signature = crypto.sign('sha256', Buffer.from(buildSenderCertificateData(certificate)), {
+    key: signingKey,
+    dsaEncoding: 'ieee-p1363'
+  });
+  return { ...certificate, signature: signature.toString('base64') };
+}
+
+/**
+ * Verifies a sender certificate's signature (used by tests and monitors;
+ * recipients verify on the client)
+ * @param {Object} certificate - Signed certificate
+ * @returns {boolean}
+ */
+export function verifySenderCertificate(certificate) {
+  if (!verifyKey || typeof certificate?.signature !== 'string') {
+    return false;
+  }
+  return crypto.verify('sha256', Buffer.from(buildSenderCertificateData(certificate)), {
+    key: verifyKey,
+    dsaEncoding: 'ieee-p1363'
+  }, Buffer.from(certificate.signature, 'base64'));
+}
+
+/**
+ * Generates a random delivery token
+ * @returns {string} Base64url token
+ */
+export function generateDeliveryToken() {
+  return crypto.randomBytes(DELIVERY_TOKEN_BYTES).toString('base64url');
+}
+
+/**
+ * Checks a client-supplied delivery token
+ * @param {*} token - Value to check
+ * @returns {boolean}
+ */
+export function isValidDeliveryToken(token) {
+  return typeof token === 'string' && DELIVERY_TOKEN_PATTERN.test(token);
+}
+
+/**
+ * Validates the structure of a sealed envelope
+ * {type: 'SEALED', deliveryToken, timestamp, nonce, ephPub, iv, ciphertext, authTag}
+ * @param {Object} sealed - Envelope from sealed:send
+ * @returns {string|null} Error message, or null if the envelope is well-formed
+ */
+export function validateSealedEnvelope(sealed) {
+  if (!sealed || typeof sealed !== 'object' || sealed.type !== 'SEALED') {
+    return 'Invalid sealed envelope: wrong type';
+  }
+  if (!isValidDeliveryToken(sealed.deliveryToken)) {
+    return 'Invalid sealed envelope: invalid delivery token';
+  }
+  if (typeof sealed.timestamp !== 'number') {
+    return 'Invalid sealed envelope: missing timestamp';
+  }
+  const { ephPub } = sealed;
+  if (!ephPub || ephPub.kty !== 'EC' || ephPub.crv !== 'P-256' ||
+      typeof ephPub.x !== 'string' || typeof ephPub.y !== 'string' || ephPub.d !== undefined) {
+    return 'Invalid sealed envelope: invalid ephemeral key';
+  }
+  for (const field of ['iv', 'ciphertext', 'authTag']) {
+    if (typeof sealed[field] !== 'string' || !BASE64_PATTERN.test(sealed[field])) {
+      return `Invalid sealed envelope: invalid ${field}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Returns the envelope as relayed to the recipient
+ * The delivery token stays with the server; nothing else is added.
+ * @param {Object} sealed - Validated sealed envelope
+ * @returns {Object}
+ */
+export function toDeliveredSealedEnvelope({ type, timestamp, nonce, ephPub, iv, ciphertext, authTag }) {
+  return {
+    type,
+    timestamp,
+    nonce,
+    ephPub: { kty: ephPub.kty, crv: ephPub.crv, x: ephPub.x, y: ephPub.y },
+    iv,
+    ciphertext,
+    authTag
+  };
+}
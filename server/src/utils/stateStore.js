@@ -0,0 +1,321 @@
+/**
+ * Shared State Store
+ *
+ * Rate limits, account lockouts and alert windows keep their counters here
+ * instead of in module-level Maps, so they can survive restarts and hold
+ * across horizontally scaled server instances.
+ *
+ * Backends (STATE_STORE):
+ * - memory (default): per-process; for development and single-instance setups
+ * - mongodb: StateEntry collection with a TTL index; shared by every instance
+ *
+ * Store interface (all methods async, keys are namespaced strings):
+ * - get(key) → { key, value, count, entries, expiresAt } | null
+ * - set(key, value, ttlMs)
+ * - delete(key)
+ * - increment(key, windowMs) → { count, expiresAt }
+ *     Fixed-window counter: the window starts with the first increment
+ * - decrement(key) → count
+ * - appendToWindow(key, entry, windowMs, maxEntries) → entries
+ *     Sliding window: entries ({ at, ... }) older than windowMs are dropped
+ * - list(prefix) → Array<record>
+ *
+ * Every operation is a single atomic update, so concurrent requests on
+ * different instances cannot lose increments.
+ */
+
+import { StateEntry } from '../models/StateEntry.js';
+
+const SWEEP_INTERVAL = 60 * 1000; // Memory store: expired entry cleanup (1 minute)
+
+/**
+ * Creates an in-memory store
+ * @param {Object} options
+ * @param {Function} options.now - Clock (for tests)
+ * @returns {Object} Store
+ */
+export function createMemoryStore({ now = Date.now } = {}) {
+  const entries = new Map(); // key -> { value, count, entries, expiresAt }
+  let lastSweep = now();
+
+  const record = (key, entry) => entry ? {
+    key,
+    value: entry.value ?? null,
+    count: entry.count ?? 0,
+    entries: entry.entries ? [...entry.entries] : [],
+    expiresAt: entry.expiresAt
+  } : null;
+
+  // Returns the entry for a key unless it has expired
+  const live = (key) => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  // Drops expired entries (at most once per SWEEP_INTERVAL, on writes)
+  const sweep = () => {
+    const current = now();
+    if (current - lastSweep < SWEEP_INTERVAL) return;
+    lastSweep = current;
+    for (const [key, entry] of entries.entries()) {
+      if (entry.expiresAt <= current) entries.delete(key);
+    }
+  };
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      return record(key, live(key));
+    },
+
+    async set(key, value, ttlMs) {
+      sweep();
+      entries.set(key, { value, expiresAt: now() + ttlMs });
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    async increment(key, windowMs) {
+      sweep();
+      const entry = live(key);
+      if (entry) {
+        entry.count = (entry.count ?? 0) + 1;
+        return { count: entry.count, expiresAt: entry.expiresAt };
+      }
+      const created = { count: 1, expiresAt: now() + windowMs };
+      entries.set(key, created);
+      return { count: created.count, expiresAt: created.expiresAt };
+    },
+
+    async decrement(key) {
+      const entry = live(key);
+      if (!entry || !(entry.count > 0)) return 0;
+      entry.count--;
+      return entry.count;
+    },
+
+    async appendToWindow(key, item, windowMs, maxEntries) {
+      sweep();
+      const current = now();
+      const kept = (live(key)?.entries || []).filter(existing => existing.at > current - windowMs);
+      kept.push(item);
+      const trimmed = kept.slice(-maxEntries);
+      entries.set(key, { entries: trimmed, expiresAt: current + windowMs });
+      return [...trimmed];
+    },
+
+    async list(prefix) {
+      const result = [];
+      for (const key of Array.from(entries.keys())) {
+        if (!key.startsWith(prefix)) continue;
+        const entry = live(key);
+        if (entry) result.push(record(key, entry));
+      }
+      return result;
+    }
+  };
+}
+
+/**
+ * Retries an upsert once when a concurrent upsert inserted the same key first
+ * @param {Function} operation - Upsert to run
+ * @returns {Promise<*>}
+ */
+async function retryOnDuplicateKey(operation) {
+  try {
+    return await operation();
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return operation();
+  }
+}
+
+/**
+ * Escapes a string for use in a regular expression
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Creates a MongoDB-backed store (requires an open mongoose connection)
+ * Reads skip entries past expiresAt; the TTL index deletes them later.
+ * @param {Object} options
+ * @param {Function} options.now - Clock (for tests)
+ * @returns {Object} Store
+ */
+export function createMongoStore({ now = Date.now } = {}) {
+  const collection = () => StateEntry.collection;
+  const notExpired = () => ({ $gt: new Date(now()) });
+
+  const record = (doc) => doc ? {
+    key: doc._id,
+    value: doc.value ?? null,
+    count: doc.count ?? 0,
+    entries: doc.entries || [],
+    expiresAt: doc.expiresAt.getTime()
+  } : null;
+
+  return {
+    name: 'mongodb',
+
+    /**
+     * Builds the TTL index
+     */
+    async init() {
+      await StateEntry.init();
+    },
+
+    async get(key) {
+      return record(await collection().findOne({ _id: key, expiresAt: notExpired() }));
+    },
+
+    async set(key, value, ttlMs) {
+      await retryOnDuplicateKey(() => collection().replaceOne(
+        { _id: key },
+        { value, expiresAt: new Date(now() + ttlMs) },
+        { upsert: true }
+      ));
+    },
+
+    async delete(key) {
+      await collection().deleteOne({ _id: key });
+    },
+
+    async increment(key, windowMs) {
+      const current = new Date(now());
+      const active = { $gt: ['$expiresAt', current] };
+      // Pipeline update: restart the window if the entry expired, otherwise count up
+      const doc = await retryOnDuplicateKey(() => collection().findOneAndUpdate(
+        { _id: key },
+        [{
+          $set: {
+            count: { $cond: [active, { $add: [{ $ifNull: ['$count', 0] }, 1] }, 1] },
+            expiresAt: { $cond: [active, '$expiresAt', new Date(current.getTime() + windowMs)] }
+          }
+        }],
+        { upsert: true, returnDocument: 'after' }
+      ));
+      return { count: doc.count, expiresAt: doc.expiresAt.getTime() };
+    },
+
+    async decrement(key) {
+      const doc = await collection().findOneAndUpdate(
+        { _id: key, count: { $gt: 0 }, expiresAt: notExpired() },
+        { $inc: { count: -1 } },
+        { returnDocument: 'after' }
+      );
+      return doc?.count ?? 0;
+    },
+
+    async appendToWindow(key, item, windowMs, maxEntries) {
+      const current = now();
+      const doc = await retryOnDuplicateKey(() => collection().findOneAndUpdate(
+        { _id: key },
+        [{
+          $set: {
+            entries: {
+              $slice: [{
+                $concatArrays: [
+                  { $filter: { input: { $ifNull: ['$entries', []] }, cond: { $gt: ['$$this.at', current - windowMs] } } },
+                  // $literal: event fields are data, never expressions
+                  { $literal: [item] }
+                ]
+              }, -maxEntries]
+            },
+            expiresAt: new Date(current + windowMs)
+          }
+        }],
+        { upsert: true, returnDocument: 'after' }
+      ));
+      return doc.entries;
+    },
+
+    async list(prefix) {
+      const docs = await collection()
+        .find({ _id: { $regex: `^${escapeRegExp(prefix)}` }, expiresAt: notExpired() })
+        .toArray();
+      return docs.map(record);
+    }
+  };
+}
+
+/**
+ * Creates the store selected by STATE_STORE
+ * @param {Object} env - Environment (default process.env)
+ * @returns {Object} Store
+ */
+export function createStateStore(env = process.env) {
+  const backend = env.STATE_STORE || 'memory';
+  if (backend === 'memory') return createMemoryStore();
+  if (backend === 'mongodb') return createMongoStore();
+  throw new Error(`Unknown STATE_STORE "${backend}" (expected memory or mongodb)`);
+}
+
+let activeStore = createMemoryStore();
+
+/**
+ * Replaces the store used by stateStore
+ * @param {Object} store - Store from createMemoryStore/createMongoStore
+ */
+export function setStateStore(store) {
+  activeStore = store;
+}
+
+/**
+ * The configured store
+ * Consumers import this once; calls go to whichever store is active, so the
+ * backend can be chosen at startup after modules have been loaded.
+ */
+export const stateStore = {
+  get name() { return activeStore.name; },
+  get: (...args) => activeStore.get(...args),
+  set: (...args) => activeStore.set(...args),
+  delete: (...args) => activeStore.delete(...args),
+  increment: (...args) => activeStore.increment(...args),
+  decrement: (...args) => activeStore.decrement(...args),
+  appendToWindow: (...args) => activeStore.appendToWindow(...args),
+  list: (...args) => activeStore.list(...args)
+};
+
+/**
+ * Creates an express-rate-limit store backed by the shared state store
+ * Each limiter needs its own instance (express-rate-limit rejects reuse).
+ * @param {string} name - Limiter name; keeps each limiter's counters apart
+ * @returns {Object} express-rate-limit Store
+ */
+export function createRateLimitStore(name) {
+  const prefix = `ratelimit:${name}:`;
+  let windowMs = 60 * 1000;
+
+  return {
+    prefix,
+    localKeys: false,
+
+    init(options) {
+      windowMs = options.windowMs;
+    },
+
+    async increment(key) {
+      const { count, expiresAt } = await stateStore.increment(prefix + key, windowMs);
+      return { totalHits: count, resetTime: new Date(expiresAt) };
+    },
+
+    async decrement(key) {
+      await stateStore.decrement(prefix + key);
+    },
+
+    async resetKey(key) {
+      await stateStore.delete(prefix + key);
+    }
+  };
+}
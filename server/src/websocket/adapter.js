@@ -0,0 +1,225 @@
+/**
+ * Socket.IO Cluster Adapter
+ *
+ * Lets several server processes serve one Socket.IO deployment: rooms,
+ * emits to rooms and fetchSockets() reach sockets connected to any instance.
+ * The adapter (socket.io-adapter's ClusterAdapterWithHeartbeat) exchanges
+ * messages over a bus; instances find each other through heartbeats.
+ *
+ * Backends (SOCKET_ADAPTER):
+ * - memory (default): Socket.IO's in-memory adapter; single instance only
+ * - mongodb: SocketEvent collection read through a change stream
+ *   (MongoDB must run as a replica set; a single-node replica set will do)
+ *
+ * Bus interface:
+ * - publish({ nsp, uid, requesterUid?, message }) → Promise<offset>
+ * - subscribe(listener) → unsubscribe
+ *     listener receives { nsp, uid, requesterUid, offset, message },
+ *     including the messages the subscriber published itself
+ */
+
+import { EventEmitter } from 'events';
+import mongoose from 'mongoose';
+import { ClusterAdapterWithHeartbeat } from 'socket.io-adapter';
+import { SocketEvent } from '../models/SocketEvent.js';
+
+const { BSON } = mongoose.mongo;
+
+const CHANGE_STREAM_RETRY_DELAY = 1000; // Reopen a failed change stream after 1 second
+const CHANGE_STREAM_HISTORY_LOST = 286; // Resume token no longer in the oplog
+
+/**
+ * Socket.IO adapter that exchanges cluster messages over a bus
+ */
+class BusAdapter extends ClusterAdapterWithHeartbeat {
+  /**
+   * @param {Object} nsp - Socket.IO namespace
+   * @param {Object} bus - Bus from createLocalBus/createMongoBus
+   * @param {Object} options - heartbeatInterval, heartbeatTimeout (ms)
+   */
+  constructor(nsp, bus, options) {
+    super(nsp, options);
+    this.bus = bus;
+    this.unsubscribe = bus.subscribe((document) => this.onDocument(document));
+  }
+
+  /**
+   * Hands a bus document to socket.io-adapter
+   * Own messages are skipped; responses only go to the adapter that asked.
+   * @param {Object} document - { nsp, uid, requesterUid, offset, message }
+   */
+  onDocument({ nsp, uid, requesterUid, offset, message }) {
+    if (nsp !== this.nsp.name || uid === this.uid) return;
+
+    try {
+      if (requesterUid) {
+        if (requesterUid === this.uid) this.onResponse(message);
+      } else {
+        this.onMessage(message, offset);
+      }
+    } catch (error) {
+      console.error('Socket.IO cluster message error:', error);
+    }
+  }
+
+  doPublish(message) {
+    return this.bus.publish({ nsp: this.nsp.name, uid: this.uid, message });
+  }
+
+  async doPublishResponse(requesterUid, response) {
+    await this.bus.publish({ nsp: this.nsp.name, uid: this.uid, requesterUid, message: response });
+  }
+
+  close() {
+    super.close();
+    this.unsubscribe();
+  }
+}
+
+/**
+ * Creates a Socket.IO adapter class bound to a bus
+ * @param {Object} bus - Bus from createLocalBus/createMongoBus
+ * @param {Object} options - heartbeatInterval, heartbeatTimeout (ms)
+ * @returns {Function} Adapter constructor for the Socket.IO `adapter` option
+ */
+export function createBusAdapter(bus, options = {}) {
+  return class extends BusAdapter {
+    constructor(nsp) {
+      super(nsp, bus, options);
+    }
+  };
+}
+
+/**
+ * Creates an in-process bus
+ * For tests and for several Socket.IO servers in one process; messages are
+ * delivered asynchronously and copied, as they would be over the network.
+ * @returns {Object} Bus
+ */
+export function createLocalBus() {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+  let offset = 0;
+
+  return {
+    async publish(document) {
+      const delivered = { requesterUid: null, ...document, offset: String(++offset) };
+      setImmediate(() => {
+        for (const listener of emitter.listeners('message')) {
+          listener({ ...delivered, message: structuredClone(delivered.message) });
+        }
+      });
+      return delivered.offset;
+    },
+
+    subscribe(listener) {
+      emitter.on('message', listener);
+      return () => emitter.off('message', listener);
+    }
+  };
+}
+
+/**
+ * Creates a MongoDB bus (requires an open mongoose connection to a replica set)
+ * Messages are inserted into the SocketEvent collection; one change stream per
+ * process delivers every insert to the subscribers. A failed stream is
+ * reopened from its last resume token.
+ * @param {Object} options
+ * @param {number} options.retryDelay - Delay before reopening a failed change stream
+ * @returns {Object} Bus
+ */
+export function createMongoBus({ retryDelay = CHANGE_STREAM_RETRY_DELAY } = {}) {
+  const listeners = new Set();
+  let changeStream = null;
+  let retryTimer = null;
+  let resumeToken = null;
+
+  const deliver = (change) => {
+    resumeToken = change._id;
+    const { _id, nsp, uid, requesterUid, payload } = change.fullDocument;
+    let message;
+    try {
+      const bytes = Buffer.isBuffer(payload) ? payload : payload.buffer;
+      message = BSON.deserialize(bytes, { promoteBuffers: true });
+    } catch (error) {
+      console.error('Socket.IO cluster message could not be decoded:', error);
+      return;
+    }
+    for (const listener of listeners) {
+      listener({ nsp, uid, requesterUid: requesterUid || null, offset: String(_id), message });
+    }
+  };
+
+  const open = () => {
+    retryTimer = null;
+    const stream = SocketEvent.collection.watch(
+      [{ $match: { operationType: 'insert' } }],
+      resumeToken ? { resumeAfter: resumeToken } : {}
+    );
+    stream.on('change', deliver);
+    stream.on('error', (error) => {
+      console.error('Socket.IO change stream error:', error);
+      if (error.code === CHANGE_STREAM_HISTORY_LOST) resumeToken = null;
+      stream.close().catch(() => {});
+      if (changeStream !== stream) return;
+      changeStream = null;
+      if (listeners.size > 0) {
+        retryTimer = setTimeout(open, retryDelay);
+      }
+    });
+    changeStream = stream;
+  };
+
+  return {
+    name: 'mongodb',
+
+    /**
+     * Builds the TTL index
+     */
+    async init() {
+      await SocketEvent.init();
+    },
+
+    async publish({ nsp, uid, requesterUid, message }) {
+      const { insertedId } = await SocketEvent.collection.insertOne({
+        nsp,
+        uid,
+        ...(requesterUid ? { requesterUid } : {}),
+        // BSON-encoded so message keys and binary attachments survive as-is
+        payload: new BSON.Binary(BSON.serialize(message, { ignoreUndefined: true })),
+        createdAt: new Date()
+      });
+      return insertedId.toString();
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      if (!changeStream && !retryTimer) open();
+
+      return () => {
+        listeners.delete(listener);
+        if (listeners.size > 0) return;
+        clearTimeout(retryTimer);
+        retryTimer = null;
+        changeStream?.close().catch(() => {});
+        changeStream = null;
+      };
+    }
+  };
+}
+
+/**
+ * Creates the adapter selected by SOCKET_ADAPTER
+ * @param {Object} env - Environment (default process.env)
+ * @returns {{name: string, adapter?: Function, init?: Function}}
+ *   adapter is undefined for Socket.IO's default in-memory adapter
+ */
+export function createSocketAdapter(env = process.env) {
+  const backend = env.SOCKET_ADAPTER || 'memory';
+  if (backend === 'memory') return { name: 'memory' };
+  if (backend === 'mongodb') {
+    const bus = createMongoBus();
+    return { name: 'mongodb', adapter: createBusAdapter(bus), init: () => bus.init() };
+  }
+  throw new Error(`Unknown SOCKET_ADAPTER "${backend}" (expected memory or mongodb)`);
+}
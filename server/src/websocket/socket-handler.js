@@ -1,20 +1,59 @@
 import { Server } from 'socket.io';
+import mongoose from 'mongoose';
 import { verifyToken } from '../utils/jwt.js';
 import { userService } from '../services/user.service.js';
 import { KEPMessage } from '../models/KEPMessage.js';
-import { MessageMeta } from '../models/MessageMeta.js';
+import { MessageMeta, isValidExpiresIn, getMessageMetaExpiry } from '../models/MessageMeta.js';
+import { Group } from '../models/Group.js';
 import { logInvalidKEPMessage, logReplayAttempt, validateTimestamp, generateMessageId, hashNonceBase64, isNonceHashUsed } from '../utils/replayProtection.js';
 import { logMessageForwarding, logFileChunkForwarding, logReplayDetected } from '../utils/messageLogging.js';
 import { securityLogger, authLogger } from '../utils/logger.js';
 import { logKeyExchangeAttempt } from '../utils/attackLogging.js';
+import { storeInMailbox, storeSealedInMailbox, fetchMailbox, acknowledgeMailbox } from '../utils/mailbox.js';
+import { haveEstablishedSession, filterPresencePeers, getPresenceSnapshot, recordLastSeen, setPresenceHidden } from '../utils/presence.js';
+import { PublicKey, DEFAULT_DEVICE_ID } from '../models/PublicKey.js';
+import { stateStore } from '../utils/stateStore.js';
+import { createSocketIndex, userRoom, presenceRoom } from './socketIndex.js';
+import { SealedSenderAccess } from '../models/SealedSenderAccess.js';
+import { validateSealedEnvelope, toDeliveredSealedEnvelope } from '../utils/sealedSender.js';
+
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Checks a client-supplied device ID
+ * @param {*} deviceId - Value to check
+ * @returns {boolean}
+ */
+function isValidDeviceId(deviceId) {
+  return typeof deviceId === 'string' && DEVICE_ID_PATTERN.test(deviceId);
+}
+
+/**
+ * Lists the active devices of each user
+ * @param {Array<string>} userIds - User IDs
+ * @returns {Promise<Map<string, Array<string>>>} userId -> device IDs (users without keys are left out)
+ */
+async function getActiveDeviceIds(userIds) {
+  const keys = await PublicKey.find({ userId: { $in: userIds }, status: 'active' }, { userId: 1, deviceId: 1 }).lean();
+  const devices = new Map();
+  for (const key of keys) {
+    const userId = String(key.userId);
+    if (!devices.has(userId)) devices.set(userId, []);
+    devices.get(userId).push(key.deviceId || DEFAULT_DEVICE_ID);
+  }
+  return devices;
+}
 
 /**
  * Initializes and configures Socket.IO server with JWT authentication
  * @param {Object} httpsServer - HTTPS server instance
+ * @param {Object} options
+ * @param {Function} [options.adapter] - Socket.IO adapter (see adapter.js); default in-memory
  * @returns {Server} Socket.IO server instance
  */
-export function initializeWebSocket(httpsServer) {
+export function initializeWebSocket(httpsServer, { adapter } = {}) {
   const io = new Server(httpsServer, {
+    adapter,
     cors: {
       origin: process.env.NODE_ENV === 'production'
         ? process.env.CLIENT_URL || 'https://localhost:5173'
@@ -29,39 +68,56 @@ export function initializeWebSocket(httpsServer) {
     transports: ['websocket', 'polling'] // Allow both transports
   });
 
-  // Connection limit tracking
+  // Recipients are looked up through per-user and per-device rooms
+  const socketIndex = createSocketIndex(io);
+
+  /**
+   * Finds the socket a user receives on
+   * Envelopes addressed to a device go to that device only; unaddressed ones
+   * (clients that predate devices) go to the user's first connected socket.
+   * @param {string} userId - Recipient user ID
+   * @param {string} [deviceId] - Recipient device
+   * @returns {Promise<Object|undefined>} Recipient socket (may be on another instance)
+   */
+  const findRecipientSocket = (userId, deviceId) =>
+    socketIndex.findSocket(userId, isValidDeviceId(deviceId) ? deviceId : undefined);
+
+  // Connection limit tracking (shared state store: counts hold across server instances)
   const MAX_CONNECTIONS_PER_IP = parseInt(process.env.MAX_WS_CONNECTIONS_PER_IP || '10', 10);
-  const connectionCounts = new Map(); // IP -> count
-
-  // Cleanup connection counts periodically
-  setInterval(() => {
-    connectionCounts.clear(); // Reset counts every hour
-  }, 60 * 60 * 1000);
+  const CONNECTION_COUNT_TTL = 60 * 60 * 1000; // Reset counts every hour, in case a disconnect was missed
 
   // Connection limit middleware
-  io.use((socket, next) => {
+  io.use(async (socket, next) => {
     const clientIP = socket.handshake.address || socket.request.socket.remoteAddress;
-    const currentCount = connectionCounts.get(clientIP) || 0;
-    
-    if (currentCount >= MAX_CONNECTIONS_PER_IP) {
-      return next(new Error('Too many connections from this IP. Please close existing connections.'));
+    const key = `ws:connections:${clientIP}`;
+
+    try {
+      const { count } = await stateStore.increment(key, CONNECTION_COUNT_TTL);
+      if (count > MAX_CONNECTIONS_PER_IP) {
+        await stateStore.decrement(key);
+        return next(new Error('Too many connections from this IP. Please close existing connections.'));
+      }
+    } catch (error) {
+      console.error('Connection limit check failed:', error);
+      return next(new Error('Connection limit check failed'));
     }
-    
-    connectionCounts.set(clientIP, currentCount + 1);
-    
+
     // Cleanup on disconnect
     socket.on('disconnect', () => {
-      const count = connectionCounts.get(clientIP) || 0;
-      if (count > 0) {
-        connectionCounts.set(clientIP, count - 1);
-      }
+      stateStore.decrement(key).catch(error => console.error('Connection count update error:', error));
     });
-    
+
     next();
   });
 
   // Authentication middleware for WebSocket connections
   io.use(async (socket, next) => {
+    // Device the connection belongs to (clients that predate devices are the default device)
+    socket.data.deviceId = isValidDeviceId(socket.handshake.auth?.deviceId)
+      ? socket.handshake.auth.deviceId
+      : DEFAULT_DEVICE_ID;
+    socket.data.mailboxOnly = socket.handshake.auth?.mailboxOnly === true;
+
     try {
       // Get token from query parameter or handshake auth
       const token = socket.handshake.auth?.token || 
@@ -130,20 +186,46 @@ export function initializeWebSocket(httpsServer) {
     }
   });
 
-  // Message rate limiting per socket
-  const messageRateLimits = new Map(); // socketId -> { count: number, resetAt: number }
-  const MAX_MESSAGES_PER_MINUTE = 60; // 60 messages per minute per socket
-  const MAX_KEP_PER_5MIN = 10; // 10 KEP messages per 5 minutes per socket
-
-  // Cleanup rate limit tracking periodically
-  setInterval(() => {
-    const now = Date.now();
-    for (const [socketId, limit] of messageRateLimits.entries()) {
-      if (limit.resetAt < now) {
-        messageRateLimits.delete(socketId);
-      }
+  // Message rate limiting per user device (shared state store, so budgets
+  // survive reconnects and hold across server instances)
+  const MAX_MESSAGES_PER_MINUTE = 60; // 60 messages per minute per device
+  const MAX_FILE_CHUNKS_PER_MINUTE = 2400; // 2400 FILE_CHUNK envelopes (600MB at 256KB) per minute per device
+  const MAX_RECEIPTS_PER_MINUTE = 120; // 120 RECEIPT envelopes per minute per device
+  const MAX_TYPING_PER_MINUTE = 60; // 60 typing:start/typing:stop signals per minute per device
+  const MAX_KEP_PER_5MIN = 10; // 10 KEP messages per 5 minutes per device
+  // Sealed envelopes have no known sender: budgets are per connection and per recipient device
+  const MAX_SEALED_PER_CONNECTION_PER_MINUTE = 120;
+  const MAX_SEALED_PER_RECIPIENT_PER_MINUTE = 240;
+  const SEALED_NONCE_TTL = 5 * 60 * 1000; // Outlives the ±2 minute timestamp window
+
+  /**
+   * Counts an event against a fixed-window budget
+   * Fails closed: if the state store is unavailable the event is refused.
+   * @param {string} key - State store key of the budget
+   * @param {number} limit - Events allowed per window
+   * @param {number} windowMs - Window length
+   * @returns {Promise<{allowed: boolean, retryAfter: number}>}
+   */
+  const consumeBudget = async (key, limit, windowMs) => {
+    try {
+      const { count, expiresAt } = await stateStore.increment(key, windowMs);
+      return { allowed: count <= limit, retryAfter: Math.max(0, expiresAt - Date.now()) };
+    } catch (error) {
+      console.error('Rate limit check failed:', error);
+      return { allowed: false, retryAfter: windowMs };
     }
-  }, 60000); // Every minute
+  };
+
+  /**
+   * Counts an event against a fixed-window budget of the socket's user device
+   * @param {Object} socket - Authenticated socket
+   * @param {string} budget - Budget name (messages, chunks, receipts, typing, kep)
+   * @param {number} limit - Events allowed per window
+   * @param {number} windowMs - Window length
+   * @returns {Promise<{allowed: boolean, retryAfter: number}>}
+   */
+  const consumeRateLimit = (socket, budget, limit, windowMs) =>
+    consumeBudget(`ws:${budget}:${socket.data.user.id}:${socket.data.deviceId}`, limit, windowMs);
 
   // Helper function to require authentication with token refresh check
   // allowStaleToken: if true, allows operations even with old tokens (for KEP, etc.)
@@ -175,6 +257,15 @@ export function initializeWebSocket(httpsServer) {
     };
   };
 
+  // Sends a user's presence to the sockets subscribed to it (see presence:subscribe)
+  const broadcastPresence = async (userId) => {
+    if (!(await socketIndex.hasPresenceSubscribers(userId))) return;
+
+    const [presence] = await getPresenceSnapshot([userId], await socketIndex.getOnlineUserIds([userId]));
+    if (!presence) return;
+    io.to(presenceRoom(userId)).emit('presence:update', { ...presence, timestamp: new Date().toISOString() });
+  };
+
   // Connection handling
   io.on('connection', (socket) => {
     const isAuthenticated = !!socket.data.user;
@@ -185,13 +276,26 @@ export function initializeWebSocket(httpsServer) {
       console.log(`⚠️  Unauthenticated WebSocket client connected: ${socket.id} - will be disconnected on critical operations`);
     }
 
-    // Initialize rate limit tracking for this socket
-    messageRateLimits.set(socket.id, { count: 0, resetAt: Date.now() + 60000, kepCount: 0, kepResetAt: Date.now() + 300000 });
+    // Presence: tell subscribers the user is online; record last seen when their last device leaves.
+    // Mailbox-only connections (the client's background mailbox drain) join no rooms: live
+    // envelopes are never routed to them and they do not make the user appear online.
+    if (isAuthenticated && !socket.data.mailboxOnly) {
+      const userId = socket.data.user.id;
+      socketIndex.register(socket);
+      broadcastPresence(userId).catch(error => console.error('Presence update error:', error));
 
-    // Cleanup on disconnect
-    socket.on('disconnect', () => {
-      messageRateLimits.delete(socket.id);
-    });
+      socket.on('disconnect', async () => {
+        try {
+          // The socket has already left its rooms, so this only sees the user's other devices
+          if (await socketIndex.isOnline(userId)) return;
+
+          await recordLastSeen(userId);
+          await broadcastPresence(userId);
+        } catch (error) {
+          console.error('Presence update error:', error);
+        }
+      });
+    }
 
     // Send welcome message with identity
     socket.emit('hello', {
@@ -253,21 +357,12 @@ export function initializeWebSocket(httpsServer) {
       // Note: Third parameter (true) allows stale tokens for KEP operations
 
       // Rate limiting check for KEP
-      const rateLimit = messageRateLimits.get(socket.id);
-      if (rateLimit) {
-        const now = Date.now();
-        if (now > rateLimit.kepResetAt) {
-          rateLimit.kepCount = 0;
-          rateLimit.kepResetAt = now + 300000; // 5 minutes
-        }
-        if (rateLimit.kepCount >= MAX_KEP_PER_5MIN) {
-          socket.emit('error', {
-            message: 'Key exchange rate limit exceeded. Please try again later.',
-            timestamp: new Date().toISOString()
-          });
-          return;
-        }
-        rateLimit.kepCount++;
+      if (!(await consumeRateLimit(socket, 'kep', MAX_KEP_PER_5MIN, 300000)).allowed) { // 5 minutes
+        socket.emit('error', {
+          message: 'Key exchange rate limit exceeded. Please try again later.',
+          timestamp: new Date().toISOString()
+        });
+        return;
       }
 
       try {
@@ -342,13 +437,12 @@ export function initializeWebSocket(httpsServer) {
           timestamp: new Date().toISOString()
         });
 
-        // Forward full KEP_INIT message to recipient if online
-        const sockets = await io.fetchSockets();
-        const recipientSocket = sockets.find(s => s.data.user?.id === to);
+        // Forward full KEP_INIT message to recipient (device) if online
+        const recipientSocket = await findRecipientSocket(to, data.toDevice);
 
         if (recipientSocket) {
-          // Forward the complete KEP_INIT message
-          recipientSocket.emit('kep:init', data);
+          // Forward the complete KEP_INIT message, stamped with the sending device
+          recipientSocket.emit('kep:init', { ...data, fromDevice: socket.data.deviceId });
 
           kepMessage.delivered = true;
           kepMessage.deliveredAt = new Date();
@@ -375,21 +469,12 @@ export function initializeWebSocket(httpsServer) {
       console.log(`[KEP] Received KEP_RESPONSE from ${socket.data.user.id} for session ${data.sessionId}`);
 
       // Rate limiting check for KEP
-      const rateLimit = messageRateLimits.get(socket.id);
-      if (rateLimit) {
-        const now = Date.now();
-        if (now > rateLimit.kepResetAt) {
-          rateLimit.kepCount = 0;
-          rateLimit.kepResetAt = now + 300000; // 5 minutes
-        }
-        if (rateLimit.kepCount >= MAX_KEP_PER_5MIN) {
-          socket.emit('error', {
-            message: 'Key exchange rate limit exceeded. Please try again later.',
-            timestamp: new Date().toISOString()
-          });
-          return;
-        }
-        rateLimit.kepCount++;
+      if (!(await consumeRateLimit(socket, 'kep', MAX_KEP_PER_5MIN, 300000)).allowed) { // 5 minutes
+        socket.emit('error', {
+          message: 'Key exchange rate limit exceeded. Please try again later.',
+          timestamp: new Date().toISOString()
+        });
+        return;
       }
 
       try {
@@ -464,14 +549,13 @@ export function initializeWebSocket(httpsServer) {
           timestamp: new Date().toISOString()
         });
 
-        // Forward full KEP_RESPONSE message to recipient if online
-        const sockets = await io.fetchSockets();
-        const recipientSocket = sockets.find(s => s.data.user?.id === to);
+        // Forward full KEP_RESPONSE message to recipient (device) if online
+        const recipientSocket = await findRecipientSocket(to, data.toDevice);
 
         if (recipientSocket) {
-          // Forward the complete KEP_RESPONSE message
+          // Forward the complete KEP_RESPONSE message, stamped with the sending device
           console.log(`[KEP] Forwarding KEP_RESPONSE from ${socket.data.user.id} to ${to} (session ${data.sessionId})`);
-          recipientSocket.emit('kep:response', data);
+          recipientSocket.emit('kep:response', { ...data, fromDevice: socket.data.deviceId });
 
           kepMessage.delivered = true;
           kepMessage.deliveredAt = new Date();
@@ -505,43 +589,92 @@ export function initializeWebSocket(httpsServer) {
     }, true));
 
     // MSG:SEND event handler - Encrypted message sending - requires authentication
-    socket.on('msg:send', requireAuth(socket, async (envelope) => {
-
-      // Rate limiting check
-      const rateLimit = messageRateLimits.get(socket.id);
-      if (rateLimit) {
-        const now = Date.now();
-        if (now > rateLimit.resetAt) {
-          rateLimit.count = 0;
-          rateLimit.resetAt = now + 60000;
+    // An optional acknowledgement callback receives the outcome, so file uploads
+    // can wait for each chunk to be accepted before sending the next one.
+    socket.on('msg:send', requireAuth(socket, async (envelope, ack) => {
+      const reject = (error) => {
+        socket.emit('error', error);
+        if (typeof ack === 'function') {
+          ack({ success: false, ...error });
         }
-        if (rateLimit.count >= MAX_MESSAGES_PER_MINUTE) {
-          socket.emit('error', {
-            message: 'Message rate limit exceeded. Please slow down.',
+      };
+
+      // Rate limiting check (file chunks and receipts have their own budgets)
+      const [budget, limit] = envelope?.type === 'FILE_CHUNK'
+        ? ['chunks', MAX_FILE_CHUNKS_PER_MINUTE]
+        : envelope?.type === 'RECEIPT'
+          ? ['receipts', MAX_RECEIPTS_PER_MINUTE]
+          : ['messages', MAX_MESSAGES_PER_MINUTE];
+      const rateLimit = await consumeRateLimit(socket, budget, limit, 60000);
+      if (!rateLimit.allowed) {
+        reject({
+          message: 'Message rate limit exceeded. Please slow down.',
+          code: 'RATE_LIMITED',
+          retryAfter: rateLimit.retryAfter,
+          timestamp: new Date().toISOString()
+        });
+        return;
+      }
+
+      try {
+        const { type, sessionId, receiver, groupId, timestamp, seq } = envelope;
+
+        // Validate required fields (group messages carry groupId instead of receiver)
+        if (!type || !sessionId || (!receiver && !groupId) || !timestamp || !seq) {
+          reject({
+            message: 'Invalid message envelope: missing fields',
             timestamp: new Date().toISOString()
           });
           return;
         }
-        rateLimit.count++;
-      }
 
-      try {
-        const { type, sessionId, receiver, timestamp, seq } = envelope;
+        if (envelope.receiverDevice !== undefined && !isValidDeviceId(envelope.receiverDevice)) {
+          reject({
+            message: 'Invalid message envelope: invalid receiver device',
+            timestamp: new Date().toISOString()
+          });
+          return;
+        }
 
-        // Validate required fields
-        if (!type || !sessionId || !receiver || !timestamp || !seq) {
-          socket.emit('error', {
-            message: 'Invalid message envelope: missing fields',
+        // Envelopes of disappearing conversations carry the conversation timer
+        if (envelope.expiresIn !== undefined && !isValidExpiresIn(envelope.expiresIn)) {
+          reject({
+            message: 'Invalid message envelope: invalid disappearing timer',
             timestamp: new Date().toISOString()
           });
           return;
         }
 
+        // Group messages: sender must be a current member; fan out to everyone else.
+        // sessionId is the group ID so replay checks are scoped to the group.
+        let recipients = [receiver];
+        if (groupId) {
+          const group = mongoose.isValidObjectId(groupId) ? await Group.findById(groupId) : null;
+          if (!group || !group.getMember(socket.data.user.id) ||
+              sessionId !== String(group._id) || envelope.sender !== socket.data.user.id) {
+            securityLogger.warn({
+              event: 'group_message_rejected',
+              userId: socket.data.user.id,
+              groupId: String(groupId),
+              reason: 'Sender is not a member of this group',
+              timestamp: new Date().toISOString()
+            });
+            reject({
+              message: 'Message rejected: not a member of this group',
+              timestamp: new Date().toISOString()
+            });
+            return;
+          }
+          recipients = group.members
+            .map(member => String(member.user))
+            .filter(memberId => memberId !== socket.data.user.id);
+        }
+
         // Validate timestamp
         if (!validateTimestamp(timestamp)) {
           logReplayAttempt(sessionId, seq, timestamp, 'Timestamp out of validity window');
           logReplayDetected(socket.data.user.id, sessionId, seq, 'Timestamp out of validity window');
-          socket.emit('error', {
+          reject({
             message: 'Message rejected: timestamp out of validity window',
             timestamp: new Date().toISOString()
           });
@@ -556,7 +689,7 @@ export function initializeWebSocket(httpsServer) {
           const reason = err.message || 'Invalid nonce';
           logReplayAttempt(sessionId, seq, timestamp, reason);
           logReplayDetected(socket.data.user.id, sessionId, seq, reason);
-          socket.emit('error', {
+          reject({
             message: reason,
             timestamp: new Date().toISOString()
           });
@@ -569,7 +702,7 @@ export function initializeWebSocket(httpsServer) {
           const reason = 'REPLAY_REJECT: Duplicate nonce detected in session';
           logReplayAttempt(sessionId, seq, timestamp, reason);
           logReplayDetected(socket.data.user.id, sessionId, seq, reason);
-          socket.emit('error', {
+          reject({
             message: 'Message rejected: duplicate nonce detected (replay attempt)',
             timestamp: new Date().toISOString()
           });
@@ -584,13 +717,15 @@ export function initializeWebSocket(httpsServer) {
           messageId,
           sessionId,
           sender: socket.data.user.id,
-          receiver,
+          receiver: groupId ? undefined : receiver,
+          groupId: groupId || null,
           type,
           timestamp,
           seq,
           nonceHash,
           meta: envelope.meta || {},
-          delivered: false
+          delivered: false,
+          expiresAt: getMessageMetaExpiry(timestamp, envelope.expiresIn)
         });
 
         await messageMeta.save();
@@ -602,24 +737,62 @@ export function initializeWebSocket(httpsServer) {
           sessionId,
           seq,
           type,
-          receiver,
+          receiver: groupId ? undefined : receiver,
+          groupId: groupId || undefined,
+          recipientCount: recipients.length,
           messageId,
           timestamp: new Date().toISOString()
         });
 
-        // Forward to recipient if online
-        const sockets = await io.fetchSockets();
-        const recipientSocket = sockets.find(s => s.data.user?.id === receiver);
-
-        if (recipientSocket) {
-          recipientSocket.emit('msg:receive', envelope);
-
-          if (type === 'FILE_CHUNK') {
-            logFileChunkForwarding(socket.data.user.id, receiver, sessionId, envelope.meta?.chunkIndex);
+        // Recipients learn which of our devices sent the envelope (set by the server, not the client)
+        const deliveredEnvelope = { ...envelope, senderDevice: socket.data.deviceId };
+
+        // Forward to each recipient if online, otherwise hold the envelope in their mailbox.
+        // Pairwise envelopes are encrypted for one device; group envelopes reach every
+        // device, and each of a member's active devices that is offline gets its own copy.
+        const onlineDevices = groupId ? await socketIndex.getOnlineDevices(recipients) : null;
+        const memberDevices = groupId ? await getActiveDeviceIds(recipients) : null;
+        let queued = false;
+
+        for (const recipientId of recipients) {
+          let delivered = false;
+          let offlineDevices = [];
+          if (groupId) {
+            const online = onlineDevices.get(recipientId) || new Set();
+            if (online.size > 0) {
+              io.to(userRoom(recipientId)).emit('msg:receive', deliveredEnvelope);
+              delivered = true;
+            }
+            // Members without device keys get one copy for whichever device fetches first
+            const devices = memberDevices.get(recipientId);
+            offlineDevices = devices
+              ? devices.filter(deviceId => !online.has(deviceId))
+              : (delivered ? [] : [null]);
           } else {
-            logMessageForwarding(socket.data.user.id, receiver, sessionId, type);
+            const recipientSocket = await findRecipientSocket(recipientId, envelope.receiverDevice);
+            if (recipientSocket) {
+              recipientSocket.emit('msg:receive', deliveredEnvelope);
+              delivered = true;
+            } else {
+              offlineDevices = [envelope.receiverDevice || null];
+            }
           }
 
+          if (delivered) {
+            if (type === 'FILE_CHUNK') {
+              logFileChunkForwarding(socket.data.user.id, recipientId, sessionId, envelope.meta?.chunkIndex);
+            } else {
+              logMessageForwarding(socket.data.user.id, recipientId, sessionId, type);
+            }
+          }
+          for (const deviceId of offlineDevices) {
+            await storeInMailbox(messageId, socket.data.user.id, deliveredEnvelope, recipientId, deviceId);
+            queued = true;
+          }
+        }
+
+        // Delivered once no recipient is waiting on the mailbox
+        if (!queued) {
           messageMeta.delivered = true;
           messageMeta.deliveredAt = new Date();
           await messageMeta.save();
@@ -628,21 +801,25 @@ export function initializeWebSocket(httpsServer) {
         socket.emit('msg:sent', {
           messageId,
           sessionId,
-          delivered: messageMeta.delivered
+          delivered: messageMeta.delivered,
+          queued
         });
+        if (typeof ack === 'function') {
+          ack({ success: true, messageId, delivered: messageMeta.delivered, queued });
+        }
       } catch (error) {
         if (error.code === 11000) {
           // Duplicate message (replay attempt) - can be duplicate messageId or duplicate nonceHash
           const reason = 'REPLAY_REJECT: Duplicate nonce detected';
           logReplayAttempt(envelope.sessionId, envelope.seq, envelope.timestamp, reason);
           logReplayDetected(socket.data.user.id, envelope.sessionId, envelope.seq, reason);
-          socket.emit('error', {
+          reject({
             message: 'Message rejected: duplicate message (replay attempt)',
             timestamp: new Date().toISOString()
           });
         } else {
           console.error('MSG:SEND error:', error);
-          socket.emit('error', {
+          reject({
             message: 'Failed to process message',
             timestamp: new Date().toISOString()
           });
@@ -650,6 +827,231 @@ export function initializeWebSocket(httpsServer) {
       }
     }));
 
+    // SEALED:SEND event handler - sealed-sender delivery (see utils/sealedSender.js)
+    // Accepted on unauthenticated connections: the envelope is routed on the
+    // recipient's delivery token, and the sender is only named inside the sealed
+    // payload. No MessageMeta is written and nothing about the sender is logged.
+    socket.on('sealed:send', async (sealed, ack) => {
+      const reject = (error) => {
+        const response = { ...error, timestamp: new Date().toISOString() };
+        socket.emit('error', response);
+        if (typeof ack === 'function') {
+          ack({ success: false, ...response });
+        }
+      };
+
+      const connectionLimit = await consumeBudget(`ws:sealed:connection:${socket.id}`,
+        MAX_SEALED_PER_CONNECTION_PER_MINUTE, 60000);
+      if (!connectionLimit.allowed) {
+        reject({
+          message: 'Message rate limit exceeded. Please slow down.',
+          code: 'RATE_LIMITED',
+          retryAfter: connectionLimit.retryAfter
+        });
+        return;
+      }
+
+      const invalid = validateSealedEnvelope(sealed);
+      if (invalid) {
+        reject({ message: invalid });
+        return;
+      }
+
+      if (!validateTimestamp(sealed.timestamp)) {
+        reject({ message: 'Message rejected: timestamp out of validity window' });
+        return;
+      }
+
+      let nonceHash;
+      try {
+        nonceHash = hashNonceBase64(sealed.nonce);
+      } catch (err) {
+        reject({ message: err.message || 'Invalid nonce' });
+        return;
+      }
+
+      try {
+        const access = await SealedSenderAccess.findOne({ deliveryToken: sealed.deliveryToken }).lean();
+        if (!access) {
+          reject({ message: 'Message rejected: unknown delivery token', code: 'UNKNOWN_DELIVERY_TOKEN' });
+          return;
+        }
+        const receiverId = String(access.userId);
+
+        const recipientLimit = await consumeBudget(`ws:sealed:recipient:${access._id}`,
+          MAX_SEALED_PER_RECIPIENT_PER_MINUTE, 60000);
+        if (!recipientLimit.allowed) {
+          reject({
+            message: 'Message rate limit exceeded. Please slow down.',
+            code: 'RATE_LIMITED',
+            retryAfter: recipientLimit.retryAfter
+          });
+          return;
+        }
+
+        // Replay protection: a nonce is accepted once while its timestamp is valid
+        const { count } = await stateStore.increment(`sealed:nonce:${nonceHash}`, SEALED_NONCE_TTL);
+        if (count > 1) {
+          securityLogger.warn({
+            event: 'sealed_replay_rejected',
+            reason: 'REPLAY_REJECT: Duplicate nonce detected',
+            timestamp: new Date().toISOString()
+          });
+          reject({ message: 'Message rejected: duplicate nonce detected (replay attempt)' });
+          return;
+        }
+
+        const messageId = `sealed:${nonceHash}`;
+        const deliveredEnvelope = toDeliveredSealedEnvelope(sealed);
+
+        const recipientSocket = await findRecipientSocket(receiverId, access.deviceId);
+        if (recipientSocket) {
+          recipientSocket.emit('sealed:receive', deliveredEnvelope);
+        } else {
+          await storeSealedInMailbox(messageId, receiverId, access.deviceId, deliveredEnvelope);
+        }
+
+        if (typeof ack === 'function') {
+          ack({ success: true, messageId, delivered: Boolean(recipientSocket), queued: !recipientSocket });
+        }
+      } catch (error) {
+        if (error.code === 11000) {
+          reject({ message: 'Message rejected: duplicate message (replay attempt)' });
+        } else {
+          console.error('SEALED:SEND error:', error);
+          reject({ message: 'Failed to process message' });
+        }
+      }
+    });
+
+    // PRESENCE:SETTINGS event handler - hides or shows the user's online status and last seen
+    socket.on('presence:settings', requireAuth(socket, async (data) => {
+      try {
+        if (typeof data?.visible !== 'boolean') {
+          socket.emit('error', {
+            message: 'Invalid presence settings',
+            timestamp: new Date().toISOString()
+          });
+          return;
+        }
+
+        await setPresenceHidden(socket.data.user.id, !data.visible);
+        await broadcastPresence(socket.data.user.id);
+      } catch (error) {
+        console.error('PRESENCE:SETTINGS error:', error);
+        socket.emit('error', {
+          message: 'Failed to update presence settings',
+          timestamp: new Date().toISOString()
+        });
+      }
+    }, true));
+
+    // PRESENCE:SUBSCRIBE event handler - reports and follows the presence of users
+    // this user has an established session with; other IDs are silently dropped
+    socket.on('presence:subscribe', requireAuth(socket, async (data) => {
+      try {
+        const userIds = await filterPresencePeers(socket.data.user.id, data?.userIds);
+        socketIndex.subscribePresence(socket, userIds);
+
+        socket.emit('presence:state', {
+          users: await getPresenceSnapshot(userIds, await socketIndex.getOnlineUserIds(userIds)),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('PRESENCE:SUBSCRIBE error:', error);
+        socket.emit('error', {
+          message: 'Failed to subscribe to presence',
+          timestamp: new Date().toISOString()
+        });
+      }
+    }, true));
+
+    // TYPING:START / TYPING:STOP event handlers - forward encrypted typing signals
+    // to the peer's device if it is online. Signals are never stored or queued.
+    const forwardTyping = (event) => requireAuth(socket, async (data) => {
+      if (!(await consumeRateLimit(socket, 'typing', MAX_TYPING_PER_MINUTE, 60000)).allowed) return;
+
+      try {
+        const { sessionId, receiver, receiverDevice, iv, ciphertext, authTag } = data || {};
+        if (typeof sessionId !== 'string' || typeof receiver !== 'string' ||
+            typeof iv !== 'string' || typeof ciphertext !== 'string' || typeof authTag !== 'string' ||
+            (receiverDevice !== undefined && !isValidDeviceId(receiverDevice))) {
+          socket.emit('error', {
+            message: `Invalid ${event} signal`,
+            timestamp: new Date().toISOString()
+          });
+          return;
+        }
+
+        // Only peers with an established session may receive typing signals (cached per socket)
+        socket.data.typingPeers = socket.data.typingPeers || new Set();
+        if (!socket.data.typingPeers.has(receiver)) {
+          if (!(await haveEstablishedSession(socket.data.user.id, receiver))) {
+            socket.emit('error', {
+              message: `${event} rejected: no established session with recipient`,
+              timestamp: new Date().toISOString()
+            });
+            return;
+          }
+          socket.data.typingPeers.add(receiver);
+        }
+
+        const recipientSocket = await findRecipientSocket(receiver, receiverDevice);
+        if (recipientSocket) {
+          recipientSocket.emit(event, {
+            sessionId,
+            sender: socket.data.user.id,
+            senderDevice: socket.data.deviceId || DEFAULT_DEVICE_ID,
+            iv,
+            ciphertext,
+            authTag
+          });
+        }
+      } catch (error) {
+        console.error(`${event.toUpperCase()} error:`, error);
+      }
+    });
+    socket.on('typing:start', forwardTyping('typing:start'));
+    socket.on('typing:stop', forwardTyping('typing:stop'));
+
+    // MAILBOX:FETCH event handler - delivers envelopes queued while offline
+    // (after: continue behind the previous batch instead of at the oldest entry)
+    socket.on('mailbox:fetch', requireAuth(socket, async (data) => {
+      try {
+        const { messages, hasMore } = await fetchMailbox(socket.data.user.id, undefined, socket.data.deviceId, data?.after);
+
+        socket.emit('mailbox:deliver', {
+          messages,
+          hasMore,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('MAILBOX:FETCH error:', error);
+        socket.emit('error', {
+          message: 'Failed to fetch offline messages',
+          timestamp: new Date().toISOString()
+        });
+      }
+    }, true));
+
+    // MAILBOX:ACK event handler - deletes envelopes the client has processed
+    socket.on('mailbox:ack', requireAuth(socket, async (data) => {
+      try {
+        const { acknowledged } = await acknowledgeMailbox(socket.data.user.id, data?.messageIds, socket.data.deviceId);
+
+        socket.emit('mailbox:acked', {
+          acknowledged,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('MAILBOX:ACK error:', error);
+        socket.emit('error', {
+          message: 'Failed to acknowledge offline messages',
+          timestamp: new Date().toISOString()
+        });
+      }
+    }, true));
+
     // KEY_UPDATE event handler (Phase 6: Forward Secrecy)
     socket.on('key:update', async (keyUpdateMessage) => {
       if (!isAuthenticated) {
@@ -699,8 +1101,7 @@ export function initializeWebSocket(httpsServer) {
         });
         
         // Forward to recipient if online
-        const sockets = await io.fetchSockets();
-        const recipientSocket = sockets.find(s => s.data.user?.id === to);
+        const recipientSocket = await socketIndex.findSocket(to);
 
         if (recipientSocket) {
           recipientSocket.emit('key:update', {
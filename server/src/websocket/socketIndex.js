@@ -0,0 +1,122 @@
+/**
+ * Socket Index
+ *
+ * Every authenticated socket joins a room for its user and one for its
+ * device, so recipients are found by room lookup instead of scanning every
+ * connected socket. Rooms are kept by the Socket.IO adapter: with a cluster
+ * adapter (adapter.js) lookups and emits reach sockets on every instance.
+ *
+ * Rooms:
+ * - user:<userId>               every device of the user
+ * - device:<userId>:<deviceId>  one device
+ * - presence:<userId>           sockets following the user's presence
+ */
+
+export const userRoom = (userId) => `user:${userId}`;
+export const deviceRoom = (userId, deviceId) => `device:${userId}:${deviceId}`;
+export const presenceRoom = (userId) => `presence:${userId}`;
+
+/**
+ * Creates the index for a Socket.IO server
+ * @param {Object} io - Socket.IO server
+ * @returns {Object} Socket index
+ */
+export function createSocketIndex(io) {
+  /**
+   * Returns a socket in a room: sockets on this instance are found without a
+   * round trip; otherwise the adapter asks the other instances
+   * @param {string} room - Room name
+   * @returns {Promise<Object|undefined>} Socket (or RemoteSocket)
+   */
+  const findInRoom = async (room) => {
+    const localIds = io.sockets.adapter.rooms.get(room);
+    if (localIds?.size > 0) {
+      return io.sockets.sockets.get(localIds.values().next().value);
+    }
+    const [socket] = await io.in(room).fetchSockets();
+    return socket;
+  };
+
+  return {
+    /**
+     * Adds an authenticated socket to its user and device rooms
+     * @param {Object} socket - Socket with data.user and data.deviceId
+     */
+    register(socket) {
+      const { user, deviceId } = socket.data;
+      socket.join([userRoom(user.id), deviceRoom(user.id, deviceId)]);
+    },
+
+    /**
+     * Finds the socket a user receives on
+     * Addressed to a device: that device only; otherwise (clients that predate
+     * devices) the user's first connected socket.
+     * @param {string} userId - Recipient user ID
+     * @param {string} [deviceId] - Recipient device
+     * @returns {Promise<Object|undefined>} Recipient socket
+     */
+    findSocket(userId, deviceId) {
+      return findInRoom(deviceId === undefined ? userRoom(userId) : deviceRoom(userId, deviceId));
+    },
+
+    /**
+     * Checks whether a user has at least one connected socket
+     * @param {string} userId - User ID
+     * @returns {Promise<boolean>}
+     */
+    async isOnline(userId) {
+      return Boolean(await findInRoom(userRoom(userId)));
+    },
+
+    /**
+     * Collects which of the given users have at least one connected socket
+     * @param {Array<string>} userIds - User IDs
+     * @returns {Promise<Set<string>>}
+     */
+    async getOnlineUserIds(userIds) {
+      // io.in([]) would address every socket
+      if (userIds.length === 0) return new Set();
+      const sockets = await io.in(userIds.map(userRoom)).fetchSockets();
+      return new Set(sockets.map(s => s.data.user?.id).filter(Boolean));
+    },
+
+    /**
+     * Collects the connected devices of the given users
+     * @param {Array<string>} userIds - User IDs
+     * @returns {Promise<Map<string, Set<string>>>} userId -> connected device IDs
+     */
+    async getOnlineDevices(userIds) {
+      const online = new Map();
+      if (userIds.length === 0) return online;
+      const sockets = await io.in(userIds.map(userRoom)).fetchSockets();
+      for (const s of sockets) {
+        const userId = s.data.user?.id;
+        if (!userId) continue;
+        if (!online.has(userId)) online.set(userId, new Set());
+        online.get(userId).add(s.data.deviceId);
+      }
+      return online;
+    },
+
+    /**
+     * Replaces the users a socket follows the presence of
+     * @param {Object} socket - Subscribing socket
+     * @param {Array<string>} userIds - Users to follow
+     */
+    subscribePresence(socket, userIds) {
+      for (const room of socket.rooms) {
+        if (room.startsWith(presenceRoom(''))) socket.leave(room);
+      }
+      socket.join(userIds.map(presenceRoom));
+    },
+
+    /**
+     * Checks whether any socket follows a user's presence
+     * @param {string} userId - User ID
+     * @returns {Promise<boolean>}
+     */
+    async hasPresenceSubscribers(userId) {
+      return Boolean(await findInRoom(presenceRoom(userId)));
+    }
+  };
+}
@@ -0,0 +1,206 @@
+/**
+ * Account Deletion Tests
+ * Verifies that DELETE /api/auth/account requires the password, erases the
+ * user's keys and metadata, leaves a tombstone, revokes every session and
+ * tells contacts and group members that the identity is gone.
+ */
+
+import request from 'supertest';
+import app from './app.js';
+import { User } from '../src/models/User.js';
+import { PublicKey } from '../src/models/PublicKey.js';
+import { KEPMessage } from '../src/models/KEPMessage.js';
+import { MessageMeta } from '../src/models/MessageMeta.js';
+import { MetadataAudit } from '../src/models/MetadataAudit.js';
+import { Group } from '../src/models/Group.js';
+import { userService } from '../src/services/user.service.js';
+import { setupTestDB, cleanTestDB, closeTestDB, generateTestJWK, generateTestUser } from './setup.js';
+import { createTestUser, loginTestUser } from './auth/helpers/testUser.js';
+import { userRoom } from '../src/websocket/socketIndex.js';
+
+describe('Account Deletion Tests', () => {
+  let ownerData;
+  let owner;
+  let ownerToken;
+  let ownerRefreshToken;
+  let contact;
+  let contactToken;
+  let stranger;
+  let emitted;
+  let disconnected;
+
+  beforeAll(async () => {
+    await setupTestDB();
+  });
+
+  afterAll(async () => {
+    app.set('io', undefined);
+    await closeTestDB();
+  });
+
+  beforeEach(async () => {
+    await cleanTestDB();
+    ownerData = generateTestUser();
+    const contactData = generateTestUser();
+    const strangerData = generateTestUser();
+    await createTestUser(ownerData.email, ownerData.password);
+    await createTestUser(contactData.email, contactData.password);
+    await createTestUser(strangerData.email, strangerData.password);
+    ({ user: owner, accessToken: ownerToken, refreshToken: ownerRefreshToken } =
+      await loginTestUser(ownerData.email, ownerData.password));
+    ({ user: contact, accessToken: contactToken } = await loginTestUser(contactData.email, contactData.password));
+    ({ user: stranger } = await loginTestUser(strangerData.email, strangerData.password));
+    await userService.addRefreshToken(owner.id, ownerRefreshToken);
+
+    // Minimal Socket.IO stand-in: one connected socket per user (in their user rooms)
+    emitted = [];
+    disconnected = [];
+    const fakeSocket = (userId) => ({
+      data: { user: { id: String(userId) } },
+      emit: (event, payload) => emitted.push({ userId: String(userId), event, payload }),
+      disconnect: () => disconnected.push(String(userId))
+    });
+    const sockets = [fakeSocket(owner.id), fakeSocket(contact.id), fakeSocket(stranger.id)];
+    app.set('io', {
+      in: (rooms) => ({
+        fetchSockets: async () => sockets.filter(s => [rooms].flat().includes(userRoom(s.data.user.id)))
+      })
+    });
+
+    await request(app)
+      .post('/api/keys/upload')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ publicIdentityKeyJWK: generateTestJWK() });
+    await new KEPMessage({
+      messageId: 'kep-delete-1',
+      sessionId: 'session-delete',
+      from: owner.id,
+      to: contact.id,
+      type: 'KEP_INIT',
+      timestamp: Date.now(),
+      seq: 1
+    }).save();
+    await new MessageMeta({
+      messageId: 'msg-delete-1',
+      sessionId: 'session-delete',
+      sender: contact.id,
+      receiver: owner.id,
+      type: 'MSG',
+      timestamp: Date.now(),
+      seq: 2
+    }).save();
+  });
+
+  async function deleteAccount(password, token = ownerToken) {
+    return await request(app)
+      .delete('/api/auth/account')
+      .set('Authorization', `Bearer ${token}`)
+      .send(password === undefined ? {} : { password });
+  }
+
+  test('requires authentication', async () => {
+    const response = await request(app)
+      .delete('/api/auth/account')
+      .send({ password: ownerData.password });
+
+    expect(response.status).toBe(401);
+  });
+
+  test('requires the current password', async () => {
+    const missing = await deleteAccount(undefined);
+    expect(missing.status).toBe(400);
+
+    const wrong = await deleteAccount('WrongPassword123!');
+    expect(wrong.status).toBe(401);
+
+    expect(await User.exists({ _id: owner.id })).toBeTruthy();
+    expect(await PublicKey.countDocuments({ userId: owner.id })).toBe(1);
+    expect(emitted).toHaveLength(0);
+  });
+
+  test('erases keys, key exchanges and message metadata', async () => {
+    const response = await deleteAccount(ownerData.password);
+
+    expect(response.status).toBe(200);
+    expect(response.body.success).toBe(true);
+    expect(await User.exists({ _id: owner.id })).toBeNull();
+    expect(await PublicKey.countDocuments({ userId: owner.id })).toBe(0);
+    expect(await KEPMessage.countDocuments({ $or: [{ from: owner.id }, { to: owner.id }] })).toBe(0);
+    expect(await MessageMeta.countDocuments({ $or: [{ sender: owner.id }, { receiver: owner.id }] })).toBe(0);
+    expect(await User.exists({ _id: contact.id })).toBeTruthy();
+  });
+
+  test('leaves a tombstone without personal data', async () => {
+    await deleteAccount(ownerData.password);
+
+    const tombstones = await MetadataAudit.find({ action: 'ACCOUNT_DELETE' });
+    expect(tombstones).toHaveLength(1);
+    expect(String(tombstones[0].changedBy)).toBe(owner.id);
+    expect(tombstones[0].newValues).toMatchObject({
+      userId: owner.id,
+      erased: { users: 1, publicKeys: 1, kepMessages: 1, messageMeta: 1 }
+    });
+    expect(JSON.stringify(tombstones[0])).not.toContain(ownerData.email);
+  });
+
+  test('revokes access and refresh tokens', async () => {
+    await deleteAccount(ownerData.password);
+
+    const me = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${ownerToken}`);
+    expect(me.status).toBe(401);
+
+    const refresh = await request(app)
+      .post('/api/auth/refresh')
+      .set('Cookie', `refreshToken=${ownerRefreshToken}`);
+    expect(refresh.status).toBe(401);
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: ownerData.email, password: ownerData.password });
+    expect(login.status).toBe(401);
+  });
+
+  test('tells contacts, not strangers, and disconnects the deleted user', async () => {
+    await deleteAccount(ownerData.password);
+
+    const identityDeleted = emitted.filter(e => e.event === 'identity:deleted');
+    expect(identityDeleted).toHaveLength(1);
+    expect(identityDeleted[0].userId).toBe(String(contact.id));
+    expect(identityDeleted[0].payload.userId).toBe(owner.id);
+    expect(emitted.some(e => e.userId === String(stranger.id))).toBe(false);
+
+    expect(emitted.some(e => e.userId === owner.id && e.event === 'account:deleted')).toBe(true);
+    expect(disconnected).toEqual([owner.id]);
+  });
+
+  test('leaves groups and hands over the admin role', async () => {
+    const created = await request(app)
+      .post('/api/groups')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ name: 'Deletion test', memberIds: [contact.id] });
+    expect(created.status).toBe(201);
+    const solo = await request(app)
+      .post('/api/groups')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ name: 'Solo', memberIds: [] });
+    emitted = [];
+
+    await deleteAccount(ownerData.password);
+
+    const group = await Group.findById(created.body.data.id);
+    expect(group.members.map(m => String(m.user))).toEqual([String(contact.id)]);
+    expect(group.members[0].role).toBe('admin');
+    expect(group.epoch).toBe(created.body.data.epoch + 1);
+    expect(await Group.exists({ _id: solo.body.data.id })).toBeNull();
+
+    const update = emitted.find(e => e.event === 'group:updated' && e.userId === String(contact.id));
+    expect(update.payload.change).toMatchObject({ type: 'removed', userIds: [owner.id] });
+
+    const groups = await request(app)
+      .get('/api/groups')
+      .set('Authorization', `Bearer ${contactToken}`);
+    expect(groups.body.data).toHaveLength(1);
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Admin Console Tests
+ * Verifies that /api/admin/* is restricted to the admin role and reports
+ * lockouts, alerts, failure trends and log integrity from verified logs.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import request from 'supertest';
+import app from './app.js';
+import { User } from '../src/models/User.js';
+import { writeProtectedLog, verifyLogEntry } from '../src/utils/logIntegrity.js';
+import { recordFailedAttempt, clearFailedAttempts, isAccountLocked } from '../src/utils/accountLockout.js';
+import { setupTestDB, cleanTestDB, closeTestDB, generateTestUser } from './setup.js';
+import { createTestUser, loginTestUser } from './auth/helpers/testUser.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Suite-specific logs directory and prefix to ensure isolation.
+const suiteLogPrefix = `admin-${process.pid}-${Date.now()}`;
+const suiteLogsDir = path.join(__dirname, 'logs', suiteLogPrefix);
+
+function logPath(filename) {
+  return path.join(suiteLogsDir, `${suiteLogPrefix}_${filename}`);
+}
+
+describe('Admin Console Tests', () => {
+  let admin;
+  let adminToken;
+  let member;
+  let memberToken;
+
+  beforeAll(async () => {
+    process.env.TEST_LOGS_DIR = suiteLogsDir;
+    process.env.LOG_PREFIX = suiteLogPrefix;
+    await setupTestDB();
+  });
+
+  afterAll(async () => {
+    await closeTestDB();
+    if (fs.existsSync(suiteLogsDir)) {
+      fs.rmSync(suiteLogsDir, { recursive: true, force: true });
+    }
+    delete process.env.TEST_LOGS_DIR;
+    delete process.env.LOG_PREFIX;
+  });
+
+  beforeEach(async () => {
+    await cleanTestDB();
+    if (fs.existsSync(suiteLogsDir)) {
+      fs.rmSync(suiteLogsDir, { recursive: true, force: true });
+    }
+
+    const adminData = generateTestUser();
+    await createTestUser(adminData.email, adminData.password);
+    await User.updateOne({ email: adminData.email }, { role: 'admin' });
+    ({ user: admin, accessToken: adminToken } = await loginTestUser(adminData.email, adminData.password));
+
+    const memberData = generateTestUser();
+    await createTestUser(memberData.email, memberData.password);
+    ({ user: member, accessToken: memberToken } = await loginTestUser(memberData.email, memberData.password));
+  });
+
+  afterEach(async () => {
+    await clearFailedAttempts(member.id);
+  });
+
+  function get(url, token = adminToken) {
+    const req = request(app).get(url);
+    if (token) req.set('Authorization', `Bearer ${token}`);
+    return req;
+  }
+
+  test('requires an authenticated admin', async () => {
+    expect((await get('/api/admin/overview', null)).status).toBe(401);
+    expect((await get('/api/admin/overview', memberToken)).status).toBe(403);
+    expect((await get('/api/admin/log-integrity', memberToken)).status).toBe(403);
+
+    const response = await get('/api/admin/overview');
+    expect(response.status).toBe(200);
+    expect(response.body.data.statistics.rules.map(rule => rule.id)).toContain('AUTH_FAILURE_THRESHOLD');
+    expect(admin.role).toBe('admin');
+    expect(member.role).toBe('user');
+  });
+
+  test('reads the role from the database on every request', async () => {
+    await User.updateOne({ _id: admin.id }, { role: 'user' });
+    expect((await get('/api/admin/overview')).status).toBe(403);
+  });
+
+  test('lists locked accounts and unlocks them with an audit entry', async () => {
+    for (let i = 0; i < 5; i++) {
+      await recordFailedAttempt(member.id);
+    }
+
+    const listed = await get('/api/admin/locked-accounts');
+    expect(listed.status).toBe(200);
+    expect(listed.body.data.accounts).toHaveLength(1);
+    expect(listed.body.data.accounts[0]).toMatchObject({ userId: member.id, email: member.email, failedAttempts: 5 });
+
+    const unlocked = await request(app)
+      .post(`/api/admin/locked-accounts/${member.id}/unlock`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(unlocked.status).toBe(200);
+    expect((await isAccountLocked(member.id)).locked).toBe(false);
+
+    const [line] = fs.readFileSync(logPath('admin_actions.log'), 'utf8').split('\n').filter(Boolean);
+    expect(verifyLogEntry(line)).toMatchObject({
+      valid: true,
+      entry: { eventType: 'ADMIN_ACCOUNT_UNLOCK', adminId: admin.id, userId: member.id }
+    });
+
+    const again = await request(app)
+      .post(`/api/admin/locked-accounts/${member.id}/unlock`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(again.status).toBe(404);
+  });
+
+  test('lists only verified alerts from the requested window', async () => {
+    writeProtectedLog('alerts.log', {
+      eventType: 'SIGNATURE_FAILURE_THRESHOLD',
+      userId: member.id,
+      failureCount: 2,
+      threshold: 2,
+      timestamp: new Date(Date.now() - 48 * 60 * 60 * 1000).toISOString()
+    });
+    writeProtectedLog('alerts.log', { eventType: 'AUTH_FAILURE_THRESHOLD', attemptCount: 5, threshold: 5 });
+    fs.appendFileSync(logPath('alerts.log'), `${JSON.stringify({ eventType: 'FORGED_ALERT' })}|HMAC:forged\n`);
+
+    const response = await get('/api/admin/alerts');
+    expect(response.status).toBe(200);
+    expect(response.body.data.alerts.map(alert => alert.eventType)).toEqual(['AUTH_FAILURE_THRESHOLD']);
+
+    const wider = await get('/api/admin/alerts?hours=72');
+    expect(wider.body.data.alerts).toHaveLength(2);
+
+    expect((await get('/api/admin/alerts?hours=0')).status).toBe(400);
+    expect((await get('/api/admin/alerts?hours=abc')).status).toBe(400);
+  });
+
+  test('counts replay attempts and signature failures per hour', async () => {
+    writeProtectedLog('replay_attempts.log', { eventType: 'REPLAY_ATTEMPT', sessionId: 's1', seq: 1, reason: 'Duplicate nonce' });
+    writeProtectedLog('replay_attempts.log', { eventType: 'REPLAY_ATTEMPT', sessionId: 's1', seq: 2, reason: 'Duplicate nonce' });
+    writeProtectedLog('invalid_signature.log', { eventType: 'INVALID_SIGNATURE', sessionId: 's1', userId: member.id, messageType: 'KEP_INIT', reason: 'Bad signature' });
+
+    const response = await get('/api/admin/trends?hours=6');
+    expect(response.status).toBe(200);
+    expect(response.body.data.buckets).toHaveLength(6);
+    expect(response.body.data.totals).toEqual({ replayAttempts: 2, signatureFailures: 1 });
+    expect(response.body.data.buckets[5]).toMatchObject({ replayAttempts: 2, signatureFailures: 1 });
+  });
+
+  test('reports tampered log entries', async () => {
+    writeProtectedLog('replay_attempts.log', { eventType: 'REPLAY_ATTEMPT', sessionId: 's1', seq: 1, reason: 'Duplicate nonce' });
+    writeProtectedLog('replay_attempts.log', { eventType: 'REPLAY_ATTEMPT', sessionId: 's1', seq: 2, reason: 'Duplicate nonce' });
+    const file = logPath('replay_attempts.log');
+    fs.writeFileSync(file, fs.readFileSync(file, 'utf8').replace('"seq":2', '"seq":3'));
+
+    const response = await get('/api/admin/log-integrity');
+    expect(response.status).toBe(200);
+    const replayLog = response.body.data.files.find(f => f.file === 'replay_attempts.log');
+    expect(replayLog).toMatchObject({ exists: true, entries: 2, valid: 1, tampered: 1 });
+    expect(response.body.data.files.find(f => f.file === 'alerts.log')).toMatchObject({ exists: false, entries: 0 });
+
+    const overview = await get('/api/admin/overview');
+    expect(overview.body.data.tamperedLogEntries).toBe(1);
+  });
+
+  test('lists other active users', async () => {
+    const response = await get('/api/admin/users');
+    expect(response.status).toBe(200);
+    expect(response.body.data.users.map(u => u.id)).toEqual([member.id]);
+  });
+});
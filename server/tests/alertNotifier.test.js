@@ -0,0 +1,335 @@
+/**
+ * Alert Notification Tests
+ * Verifies routing, deduplication and cooldowns of alert notifications and
+ * delivery through the webhook, email, syslog and file spool sinks.
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import http from 'http';
+import net from 'net';
+import dgram from 'dgram';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  createAlertNotifier,
+  loadAlertNotifierConfig,
+  setAlertNotifier
+} from '../src/utils/alertNotifier.js';
+import {
+  createWebhookSink,
+  createEmailSink,
+  createSyslogSink,
+  createFileSpoolSink,
+  signWebhookPayload
+} from '../src/utils/alertSinks.js';
+import { logInvalidSignature } from '../src/utils/attackLogging.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Suite-specific logs directory and prefix to ensure isolation.
+const suiteLogPrefix = `alertnotifier-${process.pid}-${Date.now()}`;
+const suiteLogsDir = path.join(__dirname, 'logs', suiteLogPrefix);
+
+function buildAlert(overrides = {}) {
+  return {
+    eventType: 'SIGNATURE_FAILURE_THRESHOLD',
+    severity: 'critical',
+    groupBy: 'userId',
+    userId: 'user-1',
+    eventCount: 2,
+    failureCount: 2,
+    timeWindow: '10 minutes',
+    threshold: 2,
+    reason: 'Multiple signature validation failures detected',
+    timestamp: new Date().toISOString(),
+    ...overrides
+  };
+}
+
+function recordingSink(name) {
+  const sent = [];
+  return { name, sent, send: jest.fn(async (notification) => { sent.push(notification); }) };
+}
+
+function listen(server) {
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+describe('Alert Notification Tests', () => {
+  beforeAll(() => {
+    process.env.TEST_LOGS_DIR = suiteLogsDir;
+    process.env.LOG_PREFIX = suiteLogPrefix;
+  });
+
+  afterAll(() => {
+    setAlertNotifier(null);
+    if (fs.existsSync(suiteLogsDir)) {
+      fs.rmSync(suiteLogsDir, { recursive: true, force: true });
+    }
+    delete process.env.TEST_LOGS_DIR;
+    delete process.env.LOG_PREFIX;
+  });
+
+  describe('routing, deduplication and cooldowns', () => {
+    test('routes each rule to its sinks and falls back to the default route', async () => {
+      const webhook = recordingSink('webhook');
+      const syslog = recordingSink('syslog');
+      const notifier = createAlertNotifier({
+        sinks: { webhook, syslog },
+        routes: { SIGNATURE_FAILURE_THRESHOLD: ['webhook', 'syslog'], '*': ['syslog'] }
+      });
+
+      await notifier.notify(buildAlert());
+      await notifier.notify(buildAlert({ eventType: 'REPLAY_ATTEMPT_THRESHOLD', severity: 'warning', groupBy: 'ip', userId: undefined, ip: '10.0.0.1' }));
+
+      expect(webhook.sent.map(n => n.alert.eventType)).toEqual(['SIGNATURE_FAILURE_THRESHOLD']);
+      expect(syslog.sent.map(n => n.alert.eventType)).toEqual(['SIGNATURE_FAILURE_THRESHOLD', 'REPLAY_ATTEMPT_THRESHOLD']);
+      expect(webhook.sent[0].severity).toBe('critical');
+      expect(syslog.sent[1].severity).toBe('warning');
+    });
+
+    test('suppresses repeats during the cooldown and reports them afterwards', async () => {
+      let clock = 1_000_000;
+      const sink = recordingSink('file');
+      const notifier = createAlertNotifier({
+        sinks: { file: sink },
+        cooldownMs: 60_000,
+        cooldowns: { AUTH_FAILURE_THRESHOLD: 5_000 },
+        now: () => clock
+      });
+
+      expect((await notifier.notify(buildAlert())).sent).toBe(true);
+      expect(await notifier.notify(buildAlert())).toEqual({ sent: false, suppressed: true });
+      expect(await notifier.notify(buildAlert())).toEqual({ sent: false, suppressed: true });
+
+      // A different subject is a different dedup key
+      expect((await notifier.notify(buildAlert({ userId: 'user-2' }))).sent).toBe(true);
+
+      // Per-rule cooldown override
+      await notifier.notify(buildAlert({ eventType: 'AUTH_FAILURE_THRESHOLD' }));
+      clock += 5_000;
+      expect((await notifier.notify(buildAlert({ eventType: 'AUTH_FAILURE_THRESHOLD' }))).sent).toBe(true);
+
+      clock += 55_000;
+      expect((await notifier.notify(buildAlert())).sent).toBe(true);
+      expect(sink.sent[sink.sent.length - 1].suppressedCount).toBe(2);
+    });
+
+    test('keeps delivering to other sinks when one fails and retries when all fail', async () => {
+      const working = recordingSink('syslog');
+      const broken = { name: 'webhook', send: jest.fn().mockRejectedValue(new Error('HTTP 500')) };
+      const notifier = createAlertNotifier({ sinks: { webhook: broken, syslog: working } });
+
+      const result = await notifier.notify(buildAlert());
+      expect(result.results).toEqual([
+        { sink: 'webhook', delivered: false, error: 'HTTP 500' },
+        { sink: 'syslog', delivered: true, error: undefined }
+      ]);
+      expect(working.sent).toHaveLength(1);
+
+      const onlyBroken = createAlertNotifier({ sinks: { webhook: broken } });
+      await onlyBroken.notify(buildAlert());
+      expect((await onlyBroken.notify(buildAlert())).sent).toBe(true);
+      expect(broken.send).toHaveBeenCalledTimes(3);
+    });
+
+    test('notifies when alerting.js trips a threshold', async () => {
+      const sink = recordingSink('file');
+      setAlertNotifier(createAlertNotifier({ sinks: { file: sink } }));
+
+      logInvalidSignature('session-1', 'notify-user', 'KEP_INIT', 'Bad signature');
+      logInvalidSignature('session-1', 'notify-user', 'KEP_INIT', 'Bad signature');
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(sink.sent).toHaveLength(1);
+      expect(sink.sent[0].alert).toMatchObject({ eventType: 'SIGNATURE_FAILURE_THRESHOLD', userId: 'notify-user' });
+      expect(sink.sent[0].severity).toBe('critical');
+    });
+  });
+
+  describe('configuration', () => {
+    test('builds sinks, routes and cooldowns from the environment', () => {
+      const config = loadAlertNotifierConfig({
+        ALERT_WEBHOOK_URL: 'https://hooks.example.com/alerts',
+        ALERT_WEBHOOK_SECRET: 'secret',
+        ALERT_SYSLOG_HOST: '127.0.0.1',
+        ALERT_SPOOL_DIR: suiteLogsDir,
+        ALERT_ROUTES: 'SIGNATURE_FAILURE_THRESHOLD=webhook,syslog; *=file',
+        ALERT_COOLDOWNS: 'AUTH_FAILURE_THRESHOLD=300000',
+        ALERT_COOLDOWN_MS: '600000'
+      });
+
+      expect(Object.keys(config.sinks).sort()).toEqual(['file', 'syslog', 'webhook']);
+      expect(config.routes).toEqual({ SIGNATURE_FAILURE_THRESHOLD: ['webhook', 'syslog'], '*': ['file'] });
+      expect(config.cooldowns).toEqual({ AUTH_FAILURE_THRESHOLD: 300000 });
+      expect(config.cooldownMs).toBe(600000);
+    });
+
+    test('rejects routes to unconfigured sinks and incomplete sink settings', () => {
+      expect(() => loadAlertNotifierConfig({ ALERT_ROUTES: '*=email' })).toThrow('not configured: email');
+      expect(() => loadAlertNotifierConfig({ ALERT_WEBHOOK_URL: 'https://hooks.example.com' })).toThrow('signing secret');
+      expect(() => loadAlertNotifierConfig({ ALERT_SMTP_HOST: 'smtp.example.com' })).toThrow('recipient');
+      expect(loadAlertNotifierConfig({}).sinks).toEqual({});
+    });
+  });
+
+  describe('sinks', () => {
+    const notification = {
+      severity: 'critical',
+      suppressedCount: 1,
+      notifiedAt: '2026-01-01T00:00:00.000Z',
+      alert: buildAlert({ reason: 'Bad "quoted" ] reason' })
+    };
+
+    test('webhook sink posts a signed JSON body', async () => {
+      let received;
+      const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          received = { headers: req.headers, body };
+          res.writeHead(204).end();
+        });
+      });
+      const port = await listen(server);
+
+      try {
+        await createWebhookSink({ url: `http://127.0.0.1:${port}/alerts`, secret: 'webhook-secret' }).send(notification);
+      } finally {
+        server.close();
+      }
+
+      expect(JSON.parse(received.body)).toEqual(notification);
+      const timestamp = received.headers['x-alert-timestamp'];
+      expect(received.headers['x-alert-signature']).toBe(`sha256=${signWebhookPayload('webhook-secret', timestamp, received.body)}`);
+    });
+
+    test('webhook sink fails on non-2xx responses', async () => {
+      const server = http.createServer((req, res) => res.writeHead(500).end());
+      const port = await listen(server);
+
+      try {
+        await expect(createWebhookSink({ url: `http://127.0.0.1:${port}`, secret: 's' }).send(notification))
+          .rejects.toThrow('HTTP 500');
+      } finally {
+        server.close();
+      }
+    });
+
+    test('syslog sink sends RFC 5424 messages over UDP and TCP', async () => {
+      const udpServer = dgram.createSocket('udp4');
+      const udpMessage = new Promise(resolve => udpServer.on('message', msg => resolve(msg.toString('utf8'))));
+      await new Promise(resolve => udpServer.bind(0, '127.0.0.1', resolve));
+
+      let tcpData = '';
+      const tcpServer = net.createServer(socket => socket.on('data', chunk => { tcpData += chunk; }));
+      const tcpPort = await listen(tcpServer);
+
+      try {
+        await createSyslogSink({ host: '127.0.0.1', port: udpServer.address().port }).send(notification);
+        await createSyslogSink({ host: '127.0.0.1', port: tcpPort, protocol: 'tcp' }).send(notification);
+        const message = await udpMessage;
+
+        // local0 (16) * 8 + critical (2)
+        expect(message).toMatch(/^<130>1 2026-01-01T00:00:00.000Z \S+ infosec-server \d+ SIGNATURE_FAILURE_THRESHOLD \[alert@32473 /);
+        expect(message).toContain('userId="user-1"');
+        expect(message).toContain('suppressed="1"');
+
+        await new Promise(resolve => setTimeout(resolve, 50));
+        const [length, ...rest] = tcpData.split(' ');
+        expect(Number(length)).toBe(Buffer.byteLength(rest.join(' ')));
+        expect(rest.join(' ')).toBe(message);
+      } finally {
+        udpServer.close();
+        tcpServer.close();
+      }
+    });
+
+    test('email sink delivers through SMTP', async () => {
+      const commands = [];
+      let data = '';
+      const smtpServer = net.createServer(socket => {
+        let inData = false;
+        let buffer = '';
+        socket.write('220 test ESMTP\r\n');
+        socket.on('data', chunk => {
+          buffer += chunk;
+          let index;
+          while ((index = buffer.indexOf('\r\n')) !== -1) {
+            const line = buffer.slice(0, index);
+            buffer = buffer.slice(index + 2);
+            if (inData) {
+              if (line === '.') {
+                inData = false;
+                socket.write('250 Queued\r\n');
+              } else {
+                data += `${line}\n`;
+              }
+              continue;
+            }
+            commands.push(line);
+            if (line.startsWith('EHLO')) socket.write('250-test\r\n250 SIZE 1000000\r\n');
+            else if (line === 'DATA') { inData = true; socket.write('354 Go ahead\r\n'); }
+            else if (line === 'QUIT') socket.end('221 Bye\r\n');
+            else socket.write('250 OK\r\n');
+          }
+        });
+      });
+      const port = await listen(smtpServer);
+
+      try {
+        await createEmailSink({
+          host: '127.0.0.1',
+          port,
+          from: 'alerts@example.com',
+          to: ['oncall@example.com', 'security@example.com']
+        }).send(notification);
+      } finally {
+        smtpServer.close();
+      }
+
+      expect(commands.slice(1, 4)).toEqual([
+        'MAIL FROM:<alerts@example.com>',
+        'RCPT TO:<oncall@example.com>',
+        'RCPT TO:<security@example.com>'
+      ]);
+      expect(data).toContain('Subject: [CRITICAL] SIGNATURE_FAILURE_THRESHOLD');
+      expect(data).toContain('Suppressed: 1 repeat alert(s)');
+    });
+
+    test('email sink refuses to send credentials without TLS', async () => {
+      const smtpServer = net.createServer(socket => {
+        socket.write('220 test ESMTP\r\n');
+        socket.on('data', () => socket.write('250 test\r\n'));
+      });
+      const port = await listen(smtpServer);
+
+      try {
+        await expect(createEmailSink({
+          host: '127.0.0.1',
+          port,
+          user: 'alerts',
+          pass: 'password',
+          from: 'alerts@example.com',
+          to: ['oncall@example.com']
+        }).send(notification)).rejects.toThrow('refusing to send credentials');
+      } finally {
+        smtpServer.close();
+      }
+    });
+
+    test('file spool sink writes one JSON file per notification', async () => {
+      const dir = path.join(suiteLogsDir, 'spool');
+      const sink = createFileSpoolSink({ dir });
+
+      await sink.send(notification);
+      await sink.send(notification);
+
+      const files = fs.readdirSync(dir);
+      expect(files).toHaveLength(2);
+      expect(JSON.parse(fs.readFileSync(path.join(dir, files[0]), 'utf8'))).toEqual(notification);
+    });
+  });
+});
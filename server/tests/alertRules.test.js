@@ -0,0 +1,282 @@
+/**
+ * Alert Rule Engine Tests
+ * Verifies rule validation, threshold evaluation against rule fixtures,
+ * hot reload of the rule file and evaluation of events from attackLogging.js.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  validateAlertRules,
+  loadAlertRulesFile,
+  createRuleEngine
+} from '../src/utils/alertRules.js';
+import {
+  getAlertStatistics,
+  recordAuthFailure,
+  reloadAlertRules
+} from '../src/utils/alerting.js';
+import {
+  logEvent,
+  logInvalidKEPMessage,
+  logInvalidSignature,
+  logKeyExchangeAttempt,
+  logReplayAttempt
+} from '../src/utils/attackLogging.js';
+import { setAlertNotifier } from '../src/utils/alertNotifier.js';
+import { createMemoryStore } from '../src/utils/stateStore.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_RULES = path.join(__dirname, '../src/config/alert-rules.json');
+const FIXTURE_RULES = path.join(__dirname, 'fixtures/alert-rules.json');
+
+// Suite-specific logs directory and prefix to ensure isolation.
+const suiteLogPrefix = `alertrules-${process.pid}-${Date.now()}`;
+const suiteLogsDir = path.join(__dirname, 'logs', suiteLogPrefix);
+
+function validRule(overrides = {}) {
+  return {
+    id: 'TEST_THRESHOLD',
+    eventTypes: ['TEST_EVENT'],
+    groupBy: 'userId',
+    windowMs: 60000,
+    threshold: 2,
+    severity: 'warning',
+    ...overrides
+  };
+}
+
+function engineFor(rules) {
+  let clock = 1_000_000;
+  const engine = createRuleEngine(validateAlertRules({ rules }), { now: () => clock });
+  return { engine, advance: (ms) => { clock += ms; } };
+}
+
+// Attack loggers evaluate alert rules without waiting for the result
+function flushAlerts() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+function readAlerts() {
+  const file = path.join(suiteLogsDir, `${suiteLogPrefix}_alerts.log`);
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map(line => JSON.parse(line.split('|HMAC:')[0]));
+}
+
+describe('Alert Rule Engine Tests', () => {
+  beforeAll(() => {
+    process.env.TEST_LOGS_DIR = suiteLogsDir;
+    process.env.LOG_PREFIX = suiteLogPrefix;
+    // Keep notifications out of the environment's sinks
+    setAlertNotifier({ notify: async () => ({ sent: false }) });
+  });
+
+  afterAll(() => {
+    delete process.env.ALERT_RULES_FILE;
+    reloadAlertRules();
+    setAlertNotifier(null);
+    if (fs.existsSync(suiteLogsDir)) {
+      fs.rmSync(suiteLogsDir, { recursive: true, force: true });
+    }
+    delete process.env.TEST_LOGS_DIR;
+    delete process.env.LOG_PREFIX;
+  });
+
+  describe('validation', () => {
+    test('accepts the default and fixture rule files', () => {
+      expect(loadAlertRulesFile(DEFAULT_RULES).map(rule => rule.id)).toEqual([
+        'AUTH_FAILURE_THRESHOLD',
+        'REPLAY_ATTEMPT_THRESHOLD',
+        'SIGNATURE_FAILURE_THRESHOLD'
+      ]);
+      // Disabled rules are dropped
+      expect(loadAlertRulesFile(FIXTURE_RULES).map(rule => rule.id)).not.toContain('DECRYPTION_FAILURE_THRESHOLD');
+    });
+
+    test('reports every invalid field', () => {
+      let message;
+      try {
+        validateAlertRules({
+          rules: [
+            validRule({ id: 'lowercase', groupBy: 'email', windowMs: 0, threshold: 1.5, severity: 'high' }),
+            validRule({ eventTypes: [], match: { success: [false] } }),
+            validRule()
+          ]
+        });
+      } catch (error) {
+        message = error.message;
+      }
+
+      expect(message).toMatch(/^Invalid alert rules:/);
+      expect(message).toContain('rules[0] (lowercase): id must be an uppercase identifier');
+      expect(message).toContain('rules[0] (lowercase): groupBy must be one of ip, userId, sessionId');
+      expect(message).toContain('rules[0] (lowercase): windowMs must be an integer');
+      expect(message).toContain('rules[0] (lowercase): threshold must be a positive integer');
+      expect(message).toContain('rules[0] (lowercase): severity must be one of info, warning, error, critical');
+      expect(message).toContain('rules[1] (TEST_THRESHOLD): eventTypes must be a non-empty array');
+      expect(message).toContain('rules[1] (TEST_THRESHOLD): match must be an object');
+      expect(message).toContain('rules[2] (TEST_THRESHOLD): id is not unique');
+
+      expect(() => validateAlertRules({})).toThrow('"rules" array');
+      expect(() => validateAlertRules({ rules: [validRule({ countField: 'bad-field' })] })).toThrow('countField');
+    });
+
+    test('reports unreadable rule files', () => {
+      expect(() => loadAlertRulesFile(path.join(suiteLogsDir, 'missing.json'))).toThrow('Failed to read alert rules');
+    });
+  });
+
+  describe('evaluation', () => {
+    test('raises an alert when the threshold is reached within the window', async () => {
+      const { engine, advance } = engineFor([validRule({ countField: 'failureCount', reason: 'Too many test events' })]);
+
+      expect(await engine.evaluate({ eventType: 'TEST_EVENT', userId: 'u1', ip: '10.0.0.1' })).toEqual([]);
+      advance(1000);
+      const [alert] = await engine.evaluate({ eventType: 'TEST_EVENT', userId: 'u1', ip: '10.0.0.2', reason: 'second' });
+
+      expect(alert).toMatchObject({
+        eventType: 'TEST_THRESHOLD',
+        severity: 'warning',
+        groupBy: 'userId',
+        userId: 'u1',
+        ip: '10.0.0.2',
+        eventCount: 2,
+        failureCount: 2,
+        threshold: 2,
+        timeWindow: '1 minute',
+        reason: 'Too many test events'
+      });
+      expect(alert.recentEvents).toHaveLength(2);
+      expect(alert.recentEvents[1]).toMatchObject({ eventType: 'TEST_EVENT', reason: 'second' });
+
+      // Counting starts again after an alert
+      expect(await engine.evaluate({ eventType: 'TEST_EVENT', userId: 'u1' })).toEqual([]);
+    });
+
+    test('ignores events outside the window, other groups and other event types', async () => {
+      const { engine, advance } = engineFor([validRule()]);
+
+      await engine.evaluate({ eventType: 'TEST_EVENT', userId: 'u1' });
+      advance(60000);
+      expect(await engine.evaluate({ eventType: 'TEST_EVENT', userId: 'u1' })).toEqual([]);
+      expect(await engine.evaluate({ eventType: 'TEST_EVENT', userId: 'u2' })).toEqual([]);
+      expect(await engine.evaluate({ eventType: 'OTHER_EVENT', userId: 'u1' })).toEqual([]);
+      expect(await engine.evaluate({ eventType: 'TEST_EVENT' })).toEqual([]);
+      expect(await engine.evaluate({ eventType: 'TEST_EVENT', userId: 'u1' })).toHaveLength(1);
+    });
+
+    test('groups by the first available field in a fallback list', async () => {
+      const { engine } = engineFor([validRule({ groupBy: ['userId', 'ip'] })]);
+
+      await engine.evaluate({ eventType: 'TEST_EVENT', userId: null, ip: '10.0.0.9' });
+      const [alert] = await engine.evaluate({ eventType: 'TEST_EVENT', userId: null, ip: '10.0.0.9' });
+
+      expect(alert).toMatchObject({ groupBy: 'ip', ip: '10.0.0.9', userId: null });
+    });
+
+    test('applies match filters', async () => {
+      const engine = createRuleEngine(loadAlertRulesFile(FIXTURE_RULES).filter(rule => rule.id === 'KEY_EXCHANGE_REJECTED_THRESHOLD'));
+      const event = { eventType: 'KEY_EXCHANGE', sessionId: 's1', fromUserId: 'u1' };
+
+      await engine.evaluate({ ...event, success: false });
+      expect(await engine.evaluate({ ...event, success: true })).toEqual([]);
+      expect(await engine.evaluate({ ...event, success: false })).toHaveLength(1);
+    });
+
+    test('keeps counts for unchanged rules on setRules and expires old windows', async () => {
+      const rules = validateAlertRules({ rules: [validRule({ threshold: 3 }), validRule({ id: 'OTHER_THRESHOLD' })] });
+      let clock = 0;
+      const engine = createRuleEngine(rules, { now: () => clock });
+
+      await engine.evaluate({ eventType: 'TEST_EVENT', userId: 'u1' });
+      engine.setRules([rules[0]]);
+      expect(await engine.getStatistics()).toEqual([expect.objectContaining({ id: 'TEST_THRESHOLD', trackedGroups: 1, pendingEvents: 1 })]);
+
+      clock += 60000;
+      expect((await engine.getStatistics())[0]).toMatchObject({ trackedGroups: 0, pendingEvents: 0 });
+    });
+
+    test('shares windows between engines using the same store', async () => {
+      const store = createMemoryStore();
+      const rules = validateAlertRules({ rules: [validRule()] });
+      const first = createRuleEngine(rules, { store });
+      const second = createRuleEngine(rules, { store });
+
+      expect(await first.evaluate({ eventType: 'TEST_EVENT', userId: 'u1' })).toEqual([]);
+      expect(await second.evaluate({ eventType: 'TEST_EVENT', userId: 'u1' })).toHaveLength(1);
+    });
+  });
+
+  describe('alerting.js', () => {
+    test('keeps the legacy authentication threshold', async () => {
+      for (let i = 0; i < 5; i++) {
+        await recordAuthFailure(null, '10.1.1.1', 'User not found');
+      }
+
+      const alert = readAlerts().find(entry => entry.eventType === 'AUTH_FAILURE_THRESHOLD');
+      expect(alert).toMatchObject({ ip: '10.1.1.1', userId: null, attemptCount: 5, severity: 'warning', timeWindow: '5 minutes' });
+    });
+
+    test('evaluates events written by the attack loggers', async () => {
+      logReplayAttempt('replay-session', 'replay-user', 1, Date.now(), 'Duplicate nonce', '10.2.2.2');
+      logReplayAttempt('replay-session', 'replay-user', 1, Date.now(), 'Duplicate nonce', '10.2.2.2');
+      logReplayAttempt('replay-session', 'replay-user', 1, Date.now(), 'Duplicate nonce', '10.2.2.2');
+      logInvalidSignature('sig-session', 'sig-user', 'KEP_INIT', 'Bad signature');
+      logInvalidSignature('sig-session', 'sig-user', 'KEP_RESPONSE', 'Bad signature');
+      await flushAlerts();
+
+      const alerts = readAlerts();
+      expect(alerts.find(entry => entry.eventType === 'REPLAY_ATTEMPT_THRESHOLD'))
+        .toMatchObject({ ip: '10.2.2.2', attemptCount: 3 });
+      expect(alerts.find(entry => entry.eventType === 'SIGNATURE_FAILURE_THRESHOLD'))
+        .toMatchObject({ userId: 'sig-user', failureCount: 2, severity: 'critical' });
+    });
+
+    test('hot reloads rules from ALERT_RULES_FILE', async () => {
+      const rulesFile = path.join(suiteLogsDir, 'alert-rules.json');
+      fs.mkdirSync(suiteLogsDir, { recursive: true });
+      fs.copyFileSync(FIXTURE_RULES, rulesFile);
+      process.env.ALERT_RULES_FILE = rulesFile;
+
+      expect(reloadAlertRules()).toEqual({ loaded: true, rules: 3 });
+      expect((await getAlertStatistics()).rules.map(rule => rule.id)).toEqual([
+        'METADATA_TAMPER_THRESHOLD',
+        'KEP_FAILURE_THRESHOLD',
+        'KEY_EXCHANGE_REJECTED_THRESHOLD'
+      ]);
+
+      logEvent('METADATA_TAMPER_DETECTED', 'meta-session', 'meta-user', 'Metadata integrity check failed', { messageId: 'm1' });
+      logEvent('METADATA_TAMPER_DETECTED', 'meta-session', 'meta-user', 'Metadata integrity check failed', { messageId: 'm2' });
+      logInvalidKEPMessage('kep-session', 'kep-user', 'Missing ephemeral key');
+      logInvalidSignature('kep-session', 'kep-user', 'KEP_RESPONSE', 'Bad signature');
+      logInvalidKEPMessage('kep-session', 'kep-user', 'Stale timestamp');
+      logKeyExchangeAttempt('kex-session', 'a', 'b', 'KEP_INIT', true);
+      logKeyExchangeAttempt('kex-session', 'a', 'b', 'KEP_INIT', false);
+      await flushAlerts();
+
+      const alerts = readAlerts();
+      expect(alerts.find(entry => entry.eventType === 'METADATA_TAMPER_THRESHOLD'))
+        .toMatchObject({ userId: 'meta-user', eventCount: 2, severity: 'critical' });
+      expect(alerts.find(entry => entry.eventType === 'KEP_FAILURE_THRESHOLD'))
+        .toMatchObject({ sessionId: 'kep-session', groupBy: 'sessionId', eventCount: 3, severity: 'error' });
+      expect(alerts.find(entry => entry.eventType === 'KEY_EXCHANGE_REJECTED_THRESHOLD')).toBeUndefined();
+    });
+
+    test('keeps the active rules when a reload fails', async () => {
+      const rulesFile = path.join(suiteLogsDir, 'broken-rules.json');
+      fs.writeFileSync(rulesFile, JSON.stringify({ rules: [validRule({ severity: 'loud' })] }));
+      process.env.ALERT_RULES_FILE = rulesFile;
+
+      const result = reloadAlertRules();
+      expect(result.loaded).toBe(false);
+      expect(result.error).toContain('severity must be one of');
+      expect((await getAlertStatistics()).rules).toHaveLength(3);
+    });
+  });
+});
@@ -9,6 +9,10 @@ import { setupSecurityMiddleware } from '../src/middleware/security.js';
 import { authErrorHandler } from '../src/middlewares/auth.middleware.js';
 import authRouter from './routes/auth.routes.js'; // Use test routes without rate limiting
 import keysRouter from './routes/keys.routes.js'; // Use test routes without rate limiting
+import groupsRouter from './routes/groups.routes.js'; // Use test routes without rate limiting
+import logsRouter from './routes/logs.routes.js'; // Use test routes without rate limiting
+import adminRouter from './routes/admin.routes.js'; // Use test routes without rate limiting
+import sealedSenderRouter from './routes/sealedSender.routes.js'; // Use test routes without rate limiting
 
 const app = express();
 
@@ -28,6 +32,10 @@ setupSecurityMiddleware(app);
 // Routes (test routes have rate limiting disabled)
 app.use('/api/auth', authRouter);
 app.use('/api/keys', keysRouter);
+app.use('/api/groups', groupsRouter);
+app.use('/api/logs', logsRouter);
+app.use('/api/admin', adminRouter);
+app.use('/api/sealed-sender', sealedSenderRouter);
 
 // Error handling middleware
 app.use(authErrorHandler);
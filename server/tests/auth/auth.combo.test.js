@@ -310,7 +310,7 @@ describe('TC-COMBO-004: Failed Login & Account Lockout', () => {
   beforeEach(async () => {
     await cleanTestDB();
     // Clear any lockout state
-    clearFailedAttempts('test-user-id');
+    await clearFailedAttempts('test-user-id');
   });
 
   test('Should return generic error for non-existent user', async () => {
@@ -332,7 +332,7 @@ describe('TC-COMBO-004: Failed Login & Account Lockout', () => {
     const userId = user.id;
     
     // Clear any existing attempts
-    clearFailedAttempts(userId);
+    await clearFailedAttempts(userId);
     
     // 3 failed attempts
     for (let i = 0; i < 3; i++) {
@@ -341,7 +341,7 @@ describe('TC-COMBO-004: Failed Login & Account Lockout', () => {
     }
     
     // Check lockout status (should not be locked yet)
-    const status1 = isAccountLocked(userId);
+    const status1 = await isAccountLocked(userId);
     expect(status1.locked).toBe(false);
     
     // 1 successful attempt
@@ -349,13 +349,13 @@ describe('TC-COMBO-004: Failed Login & Account Lockout', () => {
     expect(successResponse.status).toBe(200);
     
     // Clear failed attempts should reset counter
-    clearFailedAttempts(userId);
+    await clearFailedAttempts(userId);
     
     // 1 more failed attempt - counter should be 1, not 4
     const response4 = await api.auth.login(email, wrongPassword);
     expect(response4.status).toBe(401);
     
-    const status2 = isAccountLocked(userId);
+    const status2 = await isAccountLocked(userId);
     expect(status2.locked).toBe(false);
   });
 
@@ -368,7 +368,7 @@ describe('TC-COMBO-004: Failed Login & Account Lockout', () => {
     const userId = user.id;
     
     // Clear any existing attempts
-    clearFailedAttempts(userId);
+    await clearFailedAttempts(userId);
     
     // 5 failed attempts
     for (let i = 0; i < 5; i++) {
@@ -382,7 +382,7 @@ describe('TC-COMBO-004: Failed Login & Account Lockout', () => {
     }
     
     // Account should be locked
-    const status = isAccountLocked(userId);
+    const status = await isAccountLocked(userId);
     expect(status.locked).toBe(true);
     
     // Correct password should still fail (account locked)
@@ -399,7 +399,7 @@ describe('TC-COMBO-004: Failed Login & Account Lockout', () => {
     const userId = user.id;
     
     // Clear any existing attempts
-    clearFailedAttempts(userId);
+    await clearFailedAttempts(userId);
     
     // Lock account
     for (let i = 0; i < 5; i++) {
@@ -412,7 +412,7 @@ describe('TC-COMBO-004: Failed Login & Account Lockout', () => {
     
     // Simulate lockout expiration by manually clearing (for testing)
     // In production, this would happen automatically after 15 minutes
-    clearFailedAttempts(userId);
+    await clearFailedAttempts(userId);
     
     // Login with correct password should work
     const response = await api.auth.login(email, password);
@@ -655,7 +655,7 @@ describe('TC-COMBO-008: Concurrent Requests Handling', () => {
     const userId = user.id;
     
     // Clear any existing attempts
-    clearFailedAttempts(userId);
+    await clearFailedAttempts(userId);
     
     // Send 10 concurrent logins (5 correct, 5 wrong)
     const correctLogins = Array(5).fill(null).map(() => 
@@ -673,7 +673,7 @@ describe('TC-COMBO-008: Concurrent Requests Handling', () => {
     // Check that lockout triggers correctly
     // Note: With concurrent requests, the exact number of failed attempts might vary
     // due to race conditions. We verify that failed attempts are tracked.
-    const status = isAccountLocked(userId);
+    const status = await isAccountLocked(userId);
     
     // Account might be locked if 5 failed attempts occurred
     // Or it might not be locked if successful logins happened first
@@ -0,0 +1,129 @@
+/**
+ * Client Log Ingestion Tests
+ * Verifies that security events synced from browsers are validated,
+ * attributed to the authenticated user and written with HMAC integrity.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import request from 'supertest';
+import app from './app.js';
+import { verifyLogEntry } from '../src/utils/logIntegrity.js';
+import { MAX_CLIENT_LOG_BATCH } from '../src/controllers/logs.controller.js';
+import { setupTestDB, cleanTestDB, closeTestDB, generateTestUser } from './setup.js';
+import { createTestUser, loginTestUser } from './auth/helpers/testUser.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Suite-specific logs directory and prefix to ensure isolation.
+const suiteLogPrefix = `clientlogs-${process.pid}-${Date.now()}`;
+const suiteLogsDir = path.join(__dirname, 'logs', suiteLogPrefix);
+
+function readClientLogEntries() {
+  const logPath = path.join(suiteLogsDir, `${suiteLogPrefix}_client_security.log`);
+  if (!fs.existsSync(logPath)) return [];
+  return fs.readFileSync(logPath, 'utf8').split('\n').filter(Boolean).map(verifyLogEntry);
+}
+
+describe('Client Log Ingestion Tests', () => {
+  let user;
+  let accessToken;
+
+  beforeAll(async () => {
+    process.env.TEST_LOGS_DIR = suiteLogsDir;
+    process.env.LOG_PREFIX = suiteLogPrefix;
+    await setupTestDB();
+  });
+
+  afterAll(async () => {
+    await closeTestDB();
+    if (fs.existsSync(suiteLogsDir)) {
+      fs.rmSync(suiteLogsDir, { recursive: true, force: true });
+    }
+    delete process.env.TEST_LOGS_DIR;
+    delete process.env.LOG_PREFIX;
+  });
+
+  beforeEach(async () => {
+    await cleanTestDB();
+    if (fs.existsSync(suiteLogsDir)) {
+      fs.rmSync(suiteLogsDir, { recursive: true, force: true });
+    }
+    const userData = generateTestUser();
+    await createTestUser(userData.email, userData.password);
+    ({ user, accessToken } = await loginTestUser(userData.email, userData.password));
+  });
+
+  function buildEntry(event = 'replay_attempt', overrides = {}) {
+    return {
+      timestamp: new Date().toISOString(),
+      userId: 'someone-else',
+      sessionId: 'session-client-logs',
+      event,
+      metadata: { seq: 4, reason: 'Duplicate nonce', messageType: 'MSG' },
+      ...overrides
+    };
+  }
+
+  function postLogs(logs, token = accessToken) {
+    const req = request(app).post('/api/logs/client');
+    if (token) req.set('Authorization', `Bearer ${token}`);
+    return req.send({ logs });
+  }
+
+  test('writes events with HMAC integrity, attributed to the authenticated user', async () => {
+    const response = await postLogs([buildEntry('replay_attempt'), buildEntry('mitm_attack')]);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual({ accepted: 2, rejected: [] });
+
+    const entries = readClientLogEntries();
+    expect(entries).toHaveLength(2);
+    expect(entries.every(entry => entry.valid)).toBe(true);
+    expect(entries[0].entry).toMatchObject({
+      eventType: 'CLIENT_SECURITY_EVENT',
+      event: 'replay_attempt',
+      userId: user.id,
+      sessionId: 'session-client-logs',
+      metadata: { seq: 4, reason: 'Duplicate nonce', messageType: 'MSG' }
+    });
+  });
+
+  test('skips invalid entries and reports them', async () => {
+    const response = await postLogs([
+      buildEntry('invalid_signature'),
+      buildEntry('not_an_event'),
+      buildEntry('replay_attempt', { timestamp: 'yesterday' }),
+      buildEntry('replay_attempt', { timestamp: new Date(Date.now() + 60 * 60 * 1000).toISOString() }),
+      buildEntry('replay_attempt', { sessionId: { $ne: null } })
+    ]);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.accepted).toBe(1);
+    expect(response.body.data.rejected.map(r => r.index)).toEqual([1, 2, 3, 4]);
+    expect(readClientLogEntries()).toHaveLength(1);
+  });
+
+  test('drops nested and secret-looking metadata fields', async () => {
+    await postLogs([buildEntry('kep_error', {
+      metadata: { reason: 'x'.repeat(1000), privateKey: 'abc', password: 'hunter2', nested: { a: 1 }, attempts: 2 }
+    })]);
+
+    const [{ entry }] = readClientLogEntries();
+    expect(Object.keys(entry.metadata).sort()).toEqual(['attempts', 'reason']);
+    expect(entry.metadata.reason).toHaveLength(500);
+  });
+
+  test('rejects empty, oversized and unauthenticated batches', async () => {
+    expect((await postLogs([])).status).toBe(400);
+    expect((await postLogs('not-an-array')).status).toBe(400);
+
+    const oversized = Array.from({ length: MAX_CLIENT_LOG_BATCH + 1 }, () => buildEntry());
+    expect((await postLogs(oversized)).status).toBe(413);
+
+    expect((await postLogs([buildEntry()], null)).status).toBe(401);
+    expect(readClientLogEntries()).toHaveLength(0);
+  });
+});
@@ -0,0 +1,304 @@
+/**
+ * Device Registry Tests
+ * Verifies per-device identity keys: the first device is active, further
+ * devices wait for a signed approval from an active one, every active device
+ * is listed and logged, and prekeys and mailbox entries stay per device.
+ */
+
+import crypto from 'crypto';
+import request from 'supertest';
+import app from './app.js';
+import { PublicKey } from '../src/models/PublicKey.js';
+import { OneTimePreKey } from '../src/models/OneTimePreKey.js';
+import { KeyLogEntry } from '../src/models/KeyLogEntry.js';
+import { storeInMailbox, fetchMailbox, acknowledgeMailbox } from '../src/utils/mailbox.js';
+import { setupTestDB, cleanTestDB, closeTestDB, generateTestJWK, generateTestUser } from './setup.js';
+import { createTestUser, loginTestUser } from './auth/helpers/testUser.js';
+import { userRoom } from '../src/websocket/socketIndex.js';
+
+/**
+ * Generates a real P-256 identity key pair (approvals are verified server-side)
+ */
+function generateDeviceKey() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  const { kty, crv, x, y } = publicKey.export({ format: 'jwk' });
+  return { privateKey, publicKeyJWK: { kty, crv, x, y } };
+}
+
+/**
+ * Signs a device link the way an approving client does (raw r || s, base64)
+ */
+function signDeviceLink(privateKey, userId, deviceId, jwk) {
+  const data = JSON.stringify({
+    userId: String(userId),
+    deviceId,
+    publicKey: { kty: jwk.kty, crv: jwk.crv, x: jwk.x, y: jwk.y }
+  });
+  return crypto.sign('sha256', Buffer.from(data), { key: privateKey, dsaEncoding: 'ieee-p1363' }).toString('base64');
+}
+
+describe('Device Registry Tests', () => {
+  let owner;
+  let ownerToken;
+  let peerToken;
+  let laptop;
+  let phone;
+  let emitted;
+
+  beforeAll(async () => {
+    await setupTestDB();
+  });
+
+  afterAll(async () => {
+    app.set('io', undefined);
+    await closeTestDB();
+  });
+
+  beforeEach(async () => {
+    await cleanTestDB();
+    const ownerData = generateTestUser();
+    const peerData = generateTestUser();
+    await createTestUser(ownerData.email, ownerData.password);
+    await createTestUser(peerData.email, peerData.password);
+    ({ user: owner, accessToken: ownerToken } = await loginTestUser(ownerData.email, ownerData.password));
+    ({ accessToken: peerToken } = await loginTestUser(peerData.email, peerData.password));
+
+    laptop = generateDeviceKey();
+    phone = generateDeviceKey();
+
+    // Minimal Socket.IO stand-in: the owner is connected from both devices (in their user rooms)
+    emitted = [];
+    const fakeSocket = (userId, deviceId) => ({
+      data: { user: { id: String(userId) }, deviceId },
+      emit: (event, payload) => emitted.push({ deviceId, event, payload }),
+      disconnect: () => emitted.push({ deviceId, event: 'disconnect' })
+    });
+    const sockets = [fakeSocket(owner.id, 'laptop'), fakeSocket(owner.id, 'phone')];
+    app.set('io', {
+      in: (rooms) => ({
+        fetchSockets: async () => sockets.filter(s => [rooms].flat().includes(userRoom(s.data.user.id)))
+      })
+    });
+  });
+
+  async function uploadKey(deviceId, jwk, deviceName = null) {
+    return await request(app)
+      .post('/api/keys/upload')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .set('X-Device-Id', deviceId)
+      .send({ publicIdentityKeyJWK: jwk, deviceName });
+  }
+
+  async function approve(approverDeviceId, deviceId, signature) {
+    return await request(app)
+      .post(`/api/keys/devices/${deviceId}/approve`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .set('X-Device-Id', approverDeviceId)
+      .send({ signature });
+  }
+
+  async function linkPhone() {
+    await uploadKey('laptop', laptop.publicKeyJWK, 'Laptop');
+    await uploadKey('phone', phone.publicKeyJWK, 'Phone');
+    return await approve('laptop', 'phone', signDeviceLink(laptop.privateKey, owner.id, 'phone', phone.publicKeyJWK));
+  }
+
+  async function getKeys(query = '') {
+    return await request(app)
+      .get(`/api/keys/${owner.id}${query}`)
+      .set('Authorization', `Bearer ${peerToken}`);
+  }
+
+  describe('Linking', () => {
+    test('first device is active immediately', async () => {
+      const response = await uploadKey('laptop', laptop.publicKeyJWK, 'Laptop');
+      expect(response.status).toBe(200);
+      expect(response.body.data.deviceId).toBe('laptop');
+      expect(response.body.data.status).toBe('active');
+
+      const keys = await getKeys();
+      expect(keys.body.data.deviceId).toBe('laptop');
+      expect(keys.body.data.devices).toHaveLength(1);
+      expect(keys.body.data.devices[0].deviceName).toBe('Laptop');
+    });
+
+    test('a second device waits for approval and is not served', async () => {
+      await uploadKey('laptop', laptop.publicKeyJWK);
+      const response = await uploadKey('phone', phone.publicKeyJWK, 'Phone');
+
+      expect(response.status).toBe(202);
+      expect(response.body.data.status).toBe('pending');
+
+      const keys = await getKeys();
+      expect(keys.body.data.devices.map(device => device.deviceId)).toEqual(['laptop']);
+
+      const requested = emitted.filter(e => e.event === 'device:link-requested');
+      expect(requested).toHaveLength(1);
+      expect(requested[0].deviceId).toBe('laptop');
+      expect(requested[0].payload.publicIdentityKeyJWK.x).toBe(phone.publicKeyJWK.x);
+    });
+
+    test('an approval signed by an active device activates and logs the new device', async () => {
+      const response = await linkPhone();
+      expect(response.status).toBe(200);
+
+      const keys = await getKeys();
+      expect(keys.body.data.deviceId).toBe('laptop');
+      expect(keys.body.data.devices.map(device => device.deviceId)).toEqual(['laptop', 'phone']);
+
+      // Contacts get the approval to check it themselves
+      expect(keys.body.data.devices[0].linkedBy).toBeNull();
+      expect(keys.body.data.devices[1].linkedBy).toEqual({ deviceId: 'laptop', signature: expect.any(String) });
+
+      const phoneKey = await getKeys('?deviceId=phone');
+      expect(phoneKey.body.data.publicIdentityKeyJWK.x).toBe(phone.publicKeyJWK.x);
+
+      const entry = await KeyLogEntry.findOne({ userId: owner.id, deviceId: 'phone' });
+      expect(entry).not.toBeNull();
+      expect(entry.publicKey.x).toBe(phone.publicKeyJWK.x);
+
+      expect(emitted.some(e => e.event === 'device:linked' && e.payload.deviceId === 'phone')).toBe(true);
+    });
+
+    test('inclusion proofs are served per device', async () => {
+      await linkPhone();
+
+      const proof = await request(app).get(`/api/keys/${owner.id}/inclusion?deviceId=phone`);
+      expect(proof.status).toBe(200);
+      expect(proof.body.data.entry.deviceId).toBe('phone');
+      expect(proof.body.data.entry.publicKey.x).toBe(phone.publicKeyJWK.x);
+    });
+
+    test('rejects an approval with a bad signature', async () => {
+      await uploadKey('laptop', laptop.publicKeyJWK);
+      await uploadKey('phone', phone.publicKeyJWK);
+
+      // Signed by the wrong key
+      const other = generateDeviceKey();
+      const response = await approve('laptop', 'phone', signDeviceLink(other.privateKey, owner.id, 'phone', phone.publicKeyJWK));
+      expect(response.status).toBe(403);
+
+      const device = await PublicKey.findOne({ userId: owner.id, deviceId: 'phone' });
+      expect(device.status).toBe('pending');
+    });
+
+    test('a pending device cannot approve itself', async () => {
+      await uploadKey('laptop', laptop.publicKeyJWK);
+      await uploadKey('phone', phone.publicKeyJWK);
+
+      const response = await approve('phone', 'phone', signDeviceLink(phone.privateKey, owner.id, 'phone', phone.publicKeyJWK));
+      expect(response.status).toBe(403);
+    });
+
+    test('expired link requests cannot be approved', async () => {
+      await uploadKey('laptop', laptop.publicKeyJWK);
+      await uploadKey('phone', phone.publicKeyJWK);
+      await PublicKey.updateOne(
+        { userId: owner.id, deviceId: 'phone' },
+        { linkRequestedAt: new Date(Date.now() - 60 * 60 * 1000) }
+      );
+
+      const response = await approve('laptop', 'phone', signDeviceLink(laptop.privateKey, owner.id, 'phone', phone.publicKeyJWK));
+      expect(response.status).toBe(410);
+      expect(await PublicKey.findOne({ userId: owner.id, deviceId: 'phone' })).toBeNull();
+    });
+
+    test('lists own devices including pending ones', async () => {
+      await uploadKey('laptop', laptop.publicKeyJWK);
+      await uploadKey('phone', phone.publicKeyJWK);
+
+      const response = await request(app)
+        .get('/api/keys/devices')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .set('X-Device-Id', 'laptop');
+
+      expect(response.status).toBe(200);
+      const devices = response.body.data.devices;
+      expect(devices.map(device => [device.deviceId, device.status, device.current])).toEqual([
+        ['laptop', 'active', true],
+        ['phone', 'pending', false]
+      ]);
+      expect(devices[1].expiresAt).toBeTruthy();
+    });
+
+    test('rejects malformed device IDs', async () => {
+      const response = await uploadKey('not a device!', laptop.publicKeyJWK);
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Removal', () => {
+    test('removes another device with its prekeys and disconnects it', async () => {
+      await linkPhone();
+      await OneTimePreKey.create({ userId: owner.id, deviceId: 'phone', keyId: 1, publicKeyJWK: generateTestJWK() });
+
+      const response = await request(app)
+        .delete('/api/keys/devices/phone')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .set('X-Device-Id', 'laptop');
+
+      expect(response.status).toBe(200);
+      expect(await PublicKey.findOne({ userId: owner.id, deviceId: 'phone' })).toBeNull();
+      expect(await OneTimePreKey.countDocuments({ userId: owner.id, deviceId: 'phone' })).toBe(0);
+      expect(emitted.some(e => e.deviceId === 'phone' && e.event === 'device:revoked')).toBe(true);
+      expect(emitted.some(e => e.deviceId === 'phone' && e.event === 'disconnect')).toBe(true);
+
+      const keys = await getKeys();
+      expect(keys.body.data.devices.map(device => device.deviceId)).toEqual(['laptop']);
+    });
+
+    test('a device cannot remove itself', async () => {
+      await linkPhone();
+
+      const response = await request(app)
+        .delete('/api/keys/devices/laptop')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .set('X-Device-Id', 'laptop');
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Per-Device Prekeys and Mailbox', () => {
+    test('prekey bundles come from the requested device', async () => {
+      await linkPhone();
+
+      for (const [deviceId, keyId] of [['laptop', 1], ['phone', 2]]) {
+        await request(app)
+          .post('/api/keys/prekeys')
+          .set('Authorization', `Bearer ${ownerToken}`)
+          .set('X-Device-Id', deviceId)
+          .send({
+            signedPreKey: { keyId, publicKeyJWK: generateTestJWK(), signature: 'sig' },
+            oneTimePreKeys: [{ keyId: 100 + keyId, publicKeyJWK: generateTestJWK() }]
+          });
+      }
+
+      const bundle = await request(app)
+        .get(`/api/keys/${owner.id}/bundle?deviceId=phone`)
+        .set('Authorization', `Bearer ${peerToken}`);
+
+      expect(bundle.status).toBe(200);
+      expect(bundle.body.data.deviceId).toBe('phone');
+      expect(bundle.body.data.publicIdentityKeyJWK.x).toBe(phone.publicKeyJWK.x);
+      expect(bundle.body.data.signedPreKey.keyId).toBe(2);
+      expect(bundle.body.data.oneTimePreKey.keyId).toBe(102);
+      expect(await OneTimePreKey.countDocuments({ userId: owner.id, deviceId: 'laptop' })).toBe(1);
+    });
+
+    test('device-addressed envelopes are only handed to that device', async () => {
+      const base = { type: 'MSG', receiver: owner.id, ciphertext: 'c', iv: 'i', authTag: 't', nonce: 'n' };
+      await storeInMailbox('for-phone', owner.id, { ...base, sessionId: 's1', receiverDevice: 'phone' });
+      await storeInMailbox('for-any', owner.id, { ...base, sessionId: 's2' });
+
+      const forLaptop = await fetchMailbox(owner.id, undefined, 'laptop');
+      expect(forLaptop.messages.map(m => m.messageId)).toEqual(['for-any']);
+
+      const forPhone = await fetchMailbox(owner.id, undefined, 'phone');
+      expect(forPhone.messages.map(m => m.messageId).sort()).toEqual(['for-any', 'for-phone']);
+
+      const { acknowledged } = await acknowledgeMailbox(owner.id, ['for-phone'], 'laptop');
+      expect(acknowledged).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Disappearing Message Metadata Tests
+ * Verifies that message metadata expires through its TTL index: with the
+ * conversation timer (envelope expiresIn) for disappearing conversations,
+ * after the default retention period otherwise.
+ */
+
+import {
+  MessageMeta,
+  MIN_DISAPPEARING_SECONDS,
+  MAX_DISAPPEARING_SECONDS,
+  getMessageMetaTTL,
+  getMessageMetaExpiry,
+  isValidExpiresIn
+} from '../src/models/MessageMeta.js';
+import { runPeriodicCleanup } from '../src/utils/databaseCleanup.js';
+import { MAX_MESSAGE_AGE, MAX_CLOCK_SKEW } from '../src/utils/replayProtection.js';
+import { setupTestDB, cleanTestDB, closeTestDB, generateTestUser } from './setup.js';
+import { userService } from '../src/services/user.service.js';
+
+describe('Disappearing Message Metadata Tests', () => {
+  let sender;
+  let receiver;
+
+  beforeAll(async () => {
+    await setupTestDB();
+  });
+
+  afterAll(async () => {
+    await closeTestDB();
+  });
+
+  beforeEach(async () => {
+    await cleanTestDB();
+    const userData1 = generateTestUser();
+    const userData2 = generateTestUser();
+    sender = await userService.createUser(userData1.email, userData1.password);
+    receiver = await userService.createUser(userData2.email, userData2.password);
+  });
+
+  function buildMeta(messageId, overrides = {}) {
+    return new MessageMeta({
+      messageId,
+      sessionId: 'session-disappearing-1',
+      sender: sender.id,
+      receiver: receiver.id,
+      type: 'MSG',
+      timestamp: Date.now(),
+      seq: 1,
+      ...overrides
+    });
+  }
+
+  test('accepts timers from 30 seconds to 4 weeks', () => {
+    expect(isValidExpiresIn(MIN_DISAPPEARING_SECONDS)).toBe(true);
+    expect(isValidExpiresIn(3600)).toBe(true);
+    expect(isValidExpiresIn(MAX_DISAPPEARING_SECONDS)).toBe(true);
+
+    expect(isValidExpiresIn(MIN_DISAPPEARING_SECONDS - 1)).toBe(false);
+    expect(isValidExpiresIn(MAX_DISAPPEARING_SECONDS + 1)).toBe(false);
+    expect(isValidExpiresIn(0)).toBe(false);
+    expect(isValidExpiresIn(60.5)).toBe(false);
+    expect(isValidExpiresIn('3600')).toBe(false);
+    expect(isValidExpiresIn(null)).toBe(false);
+  });
+
+  test('expires metadata with the conversation timer', async () => {
+    const timestamp = Date.now();
+    await buildMeta('msg-disappearing-1', {
+      timestamp,
+      expiresAt: getMessageMetaExpiry(timestamp, 300)
+    }).save();
+
+    const stored = await MessageMeta.findOne({ messageId: 'msg-disappearing-1' }).lean();
+    expect(stored.expiresAt.getTime()).toBe(timestamp + 300 * 1000);
+  });
+
+  test('keeps short-timer metadata until the timestamp can no longer be replayed', () => {
+    const timestamp = Date.now();
+    const expiry = getMessageMetaExpiry(timestamp, MIN_DISAPPEARING_SECONDS);
+    expect(expiry.getTime()).toBe(timestamp + MAX_MESSAGE_AGE + MAX_CLOCK_SKEW);
+  });
+
+  test('keeps other metadata for the default retention period', async () => {
+    const before = Date.now();
+    await buildMeta('msg-default-1').save();
+
+    const stored = await MessageMeta.findOne({ messageId: 'msg-default-1' }).lean();
+    expect(stored.expiresAt.getTime()).toBeGreaterThanOrEqual(before + getMessageMetaTTL());
+    expect(stored.expiresAt.getTime()).toBeLessThanOrEqual(Date.now() + getMessageMetaTTL());
+    expect(getMessageMetaExpiry(Date.now()).getTime()).toBeGreaterThan(Date.now() + getMessageMetaTTL() - 1000);
+  });
+
+  test('defaults to 90 days unless MESSAGE_META_TTL_DAYS is set', () => {
+    const original = process.env.MESSAGE_META_TTL_DAYS;
+    try {
+      delete process.env.MESSAGE_META_TTL_DAYS;
+      expect(getMessageMetaTTL()).toBe(90 * 24 * 60 * 60 * 1000);
+
+      process.env.MESSAGE_META_TTL_DAYS = '30';
+      expect(getMessageMetaTTL()).toBe(30 * 24 * 60 * 60 * 1000);
+
+      process.env.MESSAGE_META_TTL_DAYS = 'invalid';
+      expect(getMessageMetaTTL()).toBe(90 * 24 * 60 * 60 * 1000);
+    } finally {
+      if (original === undefined) {
+        delete process.env.MESSAGE_META_TTL_DAYS;
+      } else {
+        process.env.MESSAGE_META_TTL_DAYS = original;
+      }
+    }
+  });
+
+  test('declares a TTL index on expiresAt', () => {
+    const ttlIndex = MessageMeta.schema.indexes()
+      .find(([fields]) => fields.expiresAt === 1);
+    expect(ttlIndex).toBeDefined();
+    expect(ttlIndex[1].expireAfterSeconds).toBe(0);
+  });
+
+  test('periodic cleanup leaves message metadata to the TTL index', async () => {
+    await buildMeta('msg-old-delivered', {
+      delivered: true,
+      createdAt: new Date(Date.now() - 120 * 24 * 60 * 60 * 1000)
+    }).save();
+
+    const result = await runPeriodicCleanup(30);
+
+    expect(result.messages).toBeUndefined();
+    expect(await MessageMeta.exists({ messageId: 'msg-old-delivered' })).toBeTruthy();
+  });
+
+  test('periodic cleanup gives legacy metadata an expiry from createdAt', async () => {
+    const createdAt = new Date(Date.now() - 120 * 24 * 60 * 60 * 1000);
+    await MessageMeta.collection.insertOne({
+      messageId: 'msg-legacy',
+      sessionId: 'session-disappearing-1',
+      type: 'MSG',
+      timestamp: createdAt.getTime(),
+      seq: 1,
+      createdAt
+    });
+
+    const result = await runPeriodicCleanup(30);
+
+    expect(result.legacyMeta).toBe(1);
+    const stored = await MessageMeta.collection.findOne({ messageId: 'msg-legacy' });
+    expect(stored.expiresAt.getTime()).toBe(createdAt.getTime() + getMessageMetaTTL());
+  });
+});
@@ -200,7 +200,7 @@ describe('File Upload Encryption Tests', () => {
       const storedObj = stored.toObject();
 
       // Only metadata fields should exist (including metadataHash for integrity)
-      const allowedFields = ['_id', 'messageId', 'sessionId', 'sender', 'receiver', 'type', 'timestamp', 'seq', 'meta', 'metadataHash', 'delivered', 'deliveredAt', 'createdAt', 'updatedAt', '__v'];
+      const allowedFields = ['_id', 'messageId', 'sessionId', 'sender', 'receiver', 'groupId', 'type', 'timestamp', 'seq', 'meta', 'metadataHash', 'expiresAt', 'delivered', 'deliveredAt', 'createdAt', 'updatedAt', '__v'];
       const actualFields = Object.keys(storedObj);
       
       actualFields.forEach(field => {
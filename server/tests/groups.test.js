@@ -0,0 +1,183 @@
+/**
+ * Group Tests
+ * Verifies group membership management (admins, add/remove, leave),
+ * epoch bumps that trigger sender key redistribution, membership
+ * notifications, and per-member mailbox fan-out.
+ */
+
+import request from 'supertest';
+import app from './app.js';
+import { Group } from '../src/models/Group.js';
+import { storeInMailbox, fetchMailbox, acknowledgeMailbox } from '../src/utils/mailbox.js';
+import { setupTestDB, cleanTestDB, closeTestDB, generateTestUser } from './setup.js';
+import { createTestUser, loginTestUser } from './auth/helpers/testUser.js';
+import { userRoom } from '../src/websocket/socketIndex.js';
+
+describe('Group Tests', () => {
+  let admin;
+  let adminToken;
+  let member;
+  let memberToken;
+  let outsider;
+  let outsiderToken;
+  let emitted;
+
+  beforeAll(async () => {
+    await setupTestDB();
+  });
+
+  afterAll(async () => {
+    app.set('io', undefined);
+    await closeTestDB();
+  });
+
+  beforeEach(async () => {
+    await cleanTestDB();
+    const users = [generateTestUser(), generateTestUser(), generateTestUser()];
+    for (const user of users) {
+      await createTestUser(user.email, user.password);
+    }
+    ({ user: admin, accessToken: adminToken } = await loginTestUser(users[0].email, users[0].password));
+    ({ user: member, accessToken: memberToken } = await loginTestUser(users[1].email, users[1].password));
+    ({ user: outsider, accessToken: outsiderToken } = await loginTestUser(users[2].email, users[2].password));
+
+    // Minimal Socket.IO stand-in: one connected socket per user (in their user rooms)
+    emitted = [];
+    const fakeSocket = (userId) => ({
+      data: { user: { id: String(userId) } },
+      emit: (event, payload) => emitted.push({ userId: String(userId), event, payload })
+    });
+    const sockets = [fakeSocket(admin.id), fakeSocket(member.id), fakeSocket(outsider.id)];
+    app.set('io', {
+      in: (rooms) => ({
+        fetchSockets: async () => sockets.filter(s => [rooms].flat().includes(userRoom(s.data.user.id)))
+      })
+    });
+  });
+
+  async function createGroup(memberIds = [member.id]) {
+    const response = await request(app)
+      .post('/api/groups')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Incident response', memberIds });
+    return response.body.data;
+  }
+
+  test('creator becomes admin and members are notified', async () => {
+    const group = await createGroup();
+
+    expect(group.members).toHaveLength(2);
+    expect(group.members.find(m => m.userId === String(admin.id)).role).toBe('admin');
+    expect(group.members.find(m => m.userId === String(member.id)).role).toBe('member');
+    expect(group.epoch).toBe(0);
+
+    const notified = emitted.filter(e => e.event === 'group:updated').map(e => e.userId);
+    expect(notified.sort()).toEqual([String(admin.id), String(member.id)].sort());
+  });
+
+  test('rejects unknown member IDs', async () => {
+    const response = await request(app)
+      .post('/api/groups')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Bad', memberIds: ['not-an-id'] });
+
+    expect(response.status).toBe(400);
+  });
+
+  test('non-members cannot see the group', async () => {
+    const group = await createGroup();
+
+    const response = await request(app)
+      .get(`/api/groups/${group.id}`)
+      .set('Authorization', `Bearer ${outsiderToken}`);
+
+    expect(response.status).toBe(404);
+  });
+
+  test('only admins can add members, and adding bumps the epoch', async () => {
+    const group = await createGroup();
+
+    const denied = await request(app)
+      .post(`/api/groups/${group.id}/members`)
+      .set('Authorization', `Bearer ${memberToken}`)
+      .send({ memberIds: [outsider.id] });
+    expect(denied.status).toBe(403);
+
+    const added = await request(app)
+      .post(`/api/groups/${group.id}/members`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ memberIds: [outsider.id] });
+    expect(added.status).toBe(200);
+    expect(added.body.data.members).toHaveLength(3);
+    expect(added.body.data.epoch).toBe(1);
+
+    const change = emitted.find(e => e.userId === String(outsider.id) && e.event === 'group:updated');
+    expect(change.payload.change).toMatchObject({ type: 'added', userIds: [String(outsider.id)] });
+  });
+
+  test('removed members are notified and the epoch is bumped', async () => {
+    const group = await createGroup([member.id, outsider.id]);
+    emitted.length = 0;
+
+    const response = await request(app)
+      .delete(`/api/groups/${group.id}/members/${outsider.id}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.epoch).toBe(1);
+    expect(response.body.data.members.map(m => m.userId)).not.toContain(String(outsider.id));
+    expect(emitted.some(e => e.userId === String(outsider.id) && e.payload.change.type === 'removed')).toBe(true);
+  });
+
+  test('members can leave; the last admin leaving promotes another member', async () => {
+    const group = await createGroup();
+
+    const response = await request(app)
+      .delete(`/api/groups/${group.id}/members/${admin.id}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.members).toEqual([
+      expect.objectContaining({ userId: String(member.id), role: 'admin' })
+    ]);
+  });
+
+  test('cannot demote the last admin', async () => {
+    const group = await createGroup();
+
+    const response = await request(app)
+      .patch(`/api/groups/${group.id}/members/${admin.id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ role: 'member' });
+
+    expect(response.status).toBe(400);
+  });
+
+  test('group envelopes are queued once per offline member device', async () => {
+    const group = await createGroup([member.id, outsider.id]);
+    const envelope = {
+      type: 'MSG',
+      sessionId: group.id,
+      groupId: group.id,
+      sender: String(admin.id),
+      ciphertext: 'Y2lwaGVydGV4dA==',
+      timestamp: Date.now(),
+      seq: 1
+    };
+
+    await storeInMailbox('group-msg-1', admin.id, envelope, member.id, 'phone');
+    await storeInMailbox('group-msg-1', admin.id, envelope, member.id, 'laptop');
+    await storeInMailbox('group-msg-1', admin.id, envelope, outsider.id);
+
+    expect((await fetchMailbox(member.id, undefined, 'phone')).messages).toHaveLength(1);
+    expect((await fetchMailbox(member.id, undefined, 'laptop')).messages).toHaveLength(1);
+    expect((await fetchMailbox(outsider.id)).messages).toHaveLength(1);
+
+    // Each device acknowledges only its own copy
+    await acknowledgeMailbox(member.id, ['group-msg-1'], 'phone');
+    expect((await fetchMailbox(member.id, undefined, 'phone')).messages).toHaveLength(0);
+    expect((await fetchMailbox(member.id, undefined, 'laptop')).messages).toHaveLength(1);
+    expect((await fetchMailbox(outsider.id)).messages).toHaveLength(1);
+    expect(await Group.countDocuments()).toBe(1);
+  });
+});
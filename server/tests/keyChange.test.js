@@ -0,0 +1,126 @@
+/**
+ * Identity Key Change Tests
+ * Verifies that replacing an identity key archives the previous version,
+ * keeps the integrity hash current, and notifies online contacts.
+ */
+
+import request from 'supertest';
+import app from './app.js';
+import { PublicKey } from '../src/models/PublicKey.js';
+import { KEPMessage } from '../src/models/KEPMessage.js';
+import { setupTestDB, cleanTestDB, closeTestDB, generateTestJWK, generateTestUser } from './setup.js';
+import { createTestUser, loginTestUser } from './auth/helpers/testUser.js';
+import { userRoom } from '../src/websocket/socketIndex.js';
+
+describe('Identity Key Change Tests', () => {
+  let owner;
+  let ownerToken;
+  let contact;
+  let stranger;
+  let emitted;
+
+  beforeAll(async () => {
+    await setupTestDB();
+  });
+
+  afterAll(async () => {
+    app.set('io', undefined);
+    await closeTestDB();
+  });
+
+  beforeEach(async () => {
+    await cleanTestDB();
+    const ownerData = generateTestUser();
+    const contactData = generateTestUser();
+    const strangerData = generateTestUser();
+    await createTestUser(ownerData.email, ownerData.password);
+    await createTestUser(contactData.email, contactData.password);
+    await createTestUser(strangerData.email, strangerData.password);
+    ({ user: owner, accessToken: ownerToken } = await loginTestUser(ownerData.email, ownerData.password));
+    ({ user: contact } = await loginTestUser(contactData.email, contactData.password));
+    ({ user: stranger } = await loginTestUser(strangerData.email, strangerData.password));
+
+    // Minimal Socket.IO stand-in: one connected socket per user (in their user rooms)
+    emitted = [];
+    const fakeSocket = (userId) => ({
+      data: { user: { id: String(userId) } },
+      emit: (event, payload) => emitted.push({ userId: String(userId), event, payload })
+    });
+    const sockets = [fakeSocket(owner.id), fakeSocket(contact.id), fakeSocket(stranger.id)];
+    app.set('io', {
+      in: (rooms) => ({
+        fetchSockets: async () => sockets.filter(s => [rooms].flat().includes(userRoom(s.data.user.id)))
+      })
+    });
+  });
+
+  function buildJWK(suffix) {
+    return { ...generateTestJWK(), x: `identityX${suffix}`, y: `identityY${suffix}` };
+  }
+
+  async function uploadKey(jwk) {
+    return await request(app)
+      .post('/api/keys/upload')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ publicIdentityKeyJWK: jwk });
+  }
+
+  test('archives the previous key and bumps the version', async () => {
+    await uploadKey(buildJWK(1));
+    const first = await PublicKey.findOne({ userId: owner.id });
+    expect(first.version).toBe(1);
+
+    const response = await uploadKey(buildJWK(2));
+    expect(response.status).toBe(200);
+
+    const second = await PublicKey.findOne({ userId: owner.id });
+    expect(second.version).toBe(2);
+    expect(second.keyHash).not.toBe(first.keyHash);
+    expect(second.previousVersions).toHaveLength(1);
+    expect(second.previousVersions[0].keyHash).toBe(first.keyHash);
+    expect(second.previousVersions[0].version).toBe(1);
+  });
+
+  test('new key still passes the integrity check on retrieval', async () => {
+    await uploadKey(buildJWK(1));
+    await uploadKey(buildJWK(2));
+
+    const response = await request(app)
+      .get(`/api/keys/${owner.id}`)
+      .set('Authorization', `Bearer ${ownerToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.publicIdentityKeyJWK.x).toBe('identityX2');
+  });
+
+  test('re-uploading the same key does not notify anyone', async () => {
+    await uploadKey(buildJWK(1));
+    await uploadKey(buildJWK(1));
+
+    const stored = await PublicKey.findOne({ userId: owner.id });
+    expect(stored.version).toBe(1);
+    expect(emitted).toHaveLength(0);
+  });
+
+  test('online contacts are told about the change, strangers are not', async () => {
+    await uploadKey(buildJWK(1));
+    await new KEPMessage({
+      messageId: 'kep-key-change-1',
+      sessionId: 'session-key-change',
+      from: contact.id,
+      to: owner.id,
+      type: 'KEP_INIT',
+      timestamp: Date.now(),
+      seq: 1
+    }).save();
+
+    await uploadKey(buildJWK(2));
+
+    expect(emitted).toHaveLength(1);
+    expect(emitted[0].userId).toBe(String(contact.id));
+    expect(emitted[0].event).toBe('identity:key-changed');
+    expect(emitted[0].payload.userId).toBe(String(owner.id));
+    expect(emitted[0].payload.version).toBe(2);
+    expect(emitted[0].payload.publicIdentityKeyJWK.x).toBe('identityX2');
+  });
+});
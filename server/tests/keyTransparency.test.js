@@ -0,0 +1,326 @@
+/**
+ * Key Transparency Log Tests
+ * Verifies the Merkle tree hashing, inclusion and consistency proofs against
+ * an independent RFC 9162 verifier, and tree head signatures.
+ */
+
+import crypto from 'crypto';
+import request from 'supertest';
+import app from './app.js';
+import {
+  buildLeafData,
+  hashLeaf,
+  hashChildren,
+  merkleRoot,
+  inclusionPath,
+  consistencyProof,
+  createMerkleTree,
+  loadLogTree,
+  signTreeHead,
+  verifyTreeHead,
+  getLogPublicKeyJWK
+} from '../src/utils/keyTransparency.js';
+import { KeyLogEntry } from '../src/models/KeyLogEntry.js';
+import { PublicKey } from '../src/models/PublicKey.js';
+import { setupTestDB, cleanTestDB, closeTestDB, generateTestJWK, generateTestUser } from './setup.js';
+import { createTestUser, loginTestUser } from './auth/helpers/testUser.js';
+
+/**
+ * RFC 9162 section 2.1.3.2
+ */
+function verifyInclusion(leafHash, index, treeSize, path, root) {
+  if (index >= treeSize) return false;
+  let fn = index;
+  let sn = treeSize - 1;
+  let r = leafHash;
+  for (const p of path) {
+    if (sn === 0) return false;
+    if ((fn & 1) === 1 || fn === sn) {
+      r = hashChildren(p, r);
+      while ((fn & 1) === 0 && fn !== 0) {
+        fn >>= 1;
+        sn >>= 1;
+      }
+    } else {
+      r = hashChildren(r, p);
+    }
+    fn >>= 1;
+    sn >>= 1;
+  }
+  return sn === 0 && r.equals(root);
+}
+
+/**
+ * RFC 9162 section 2.1.4.2
+ */
+function verifyConsistency(first, second, firstRoot, secondRoot, proof) {
+  if (first === second) return proof.length === 0 && firstRoot.equals(secondRoot);
+  const path = (first & (first - 1)) === 0 ? [firstRoot, ...proof] : [...proof];
+  let fn = first - 1;
+  let sn = second - 1;
+  while ((fn & 1) === 1) {
+    fn >>= 1;
+    sn >>= 1;
+  }
+  let fr = path[0];
+  let sr = path[0];
+  for (const c of path.slice(1)) {
+    if (sn === 0) return false;
+    if ((fn & 1) === 1 || fn === sn) {
+      fr = hashChildren(c, fr);
+      sr = hashChildren(c, sr);
+      while ((fn & 1) === 0 && fn !== 0) {
+        fn >>= 1;
+        sn >>= 1;
+      }
+    } else {
+      sr = hashChildren(sr, c);
+    }
+    fn >>= 1;
+    sn >>= 1;
+  }
+  return sn === 0 && fr.equals(firstRoot) && sr.equals(secondRoot);
+}
+
+function buildLeaves(count) {
+  return Array.from({ length: count }, (_, i) => hashLeaf(buildLeafData({
+    userId: `user-${i}`,
+    publicKey: { kty: 'EC', crv: 'P-256', x: `x${i}`, y: `y${i}` },
+    version: 1,
+    timestamp: 1700000000000 + i
+  })));
+}
+
+describe('Key Transparency Log Tests', () => {
+  test('leaf data is canonical regardless of JWK field order and extras', () => {
+    const a = buildLeafData({
+      userId: 'u1',
+      publicKey: { kty: 'EC', crv: 'P-256', x: 'X', y: 'Y' },
+      version: 2,
+      timestamp: 5
+    });
+    const b = buildLeafData({
+      timestamp: 5,
+      version: 2,
+      publicKey: { y: 'Y', x: 'X', ext: true, key_ops: ['verify'], crv: 'P-256', kty: 'EC' },
+      userId: 'u1'
+    });
+    expect(a).toBe(b);
+  });
+
+  test('leaf and node hashes are domain separated', () => {
+    const leaf = hashLeaf('data');
+    const expected = crypto.createHash('sha256').update(Buffer.concat([Buffer.from([0]), Buffer.from('data')])).digest();
+    expect(leaf.equals(expected)).toBe(true);
+    const unprefixed = crypto.createHash('sha256').update(Buffer.concat([leaf, leaf])).digest();
+    expect(hashChildren(leaf, leaf).equals(unprefixed)).toBe(false);
+  });
+
+  test('inclusion proofs verify for every leaf in trees of many sizes', () => {
+    for (let size = 1; size <= 17; size++) {
+      const leaves = buildLeaves(size);
+      const root = merkleRoot(leaves);
+      for (let index = 0; index < size; index++) {
+        const path = inclusionPath(index, leaves);
+        expect(verifyInclusion(leaves[index], index, size, path, root)).toBe(true);
+      }
+    }
+  });
+
+  test('inclusion proof fails for a substituted key', () => {
+    const leaves = buildLeaves(8);
+    const root = merkleRoot(leaves);
+    const forged = hashLeaf(buildLeafData({
+      userId: 'user-3',
+      publicKey: { kty: 'EC', crv: 'P-256', x: 'attackerX', y: 'attackerY' },
+      version: 1,
+      timestamp: 1700000000003
+    }));
+
+    expect(verifyInclusion(forged, 3, 8, inclusionPath(3, leaves), root)).toBe(false);
+  });
+
+  test('consistency proofs verify between every pair of tree sizes', () => {
+    const leaves = buildLeaves(13);
+    for (let second = 1; second <= leaves.length; second++) {
+      const secondRoot = merkleRoot(leaves.slice(0, second));
+      for (let first = 1; first <= second; first++) {
+        const proof = consistencyProof(first, leaves.slice(0, second));
+        const firstRoot = merkleRoot(leaves.slice(0, first));
+        expect(verifyConsistency(first, second, firstRoot, secondRoot, proof)).toBe(true);
+      }
+    }
+  });
+
+  test('consistency proof fails when history was rewritten', () => {
+    const leaves = buildLeaves(10);
+    const rewritten = [...leaves];
+    rewritten[2] = hashLeaf('rewritten');
+
+    const firstRoot = merkleRoot(leaves.slice(0, 5));
+    const proof = consistencyProof(5, rewritten);
+    expect(verifyConsistency(5, 10, firstRoot, merkleRoot(rewritten), proof)).toBe(false);
+  });
+
+  test('an appended tree matches rebuilt trees at every earlier size', () => {
+    const leaves = buildLeaves(13);
+    const tree = createMerkleTree();
+    leaves.forEach(leaf => tree.append(leaf));
+
+    for (let size = 1; size <= leaves.length; size++) {
+      const prefix = leaves.slice(0, size);
+      expect(tree.root(size).equals(merkleRoot(prefix))).toBe(true);
+      for (let index = 0; index < size; index++) {
+        expect(verifyInclusion(leaves[index], index, size, tree.inclusionPath(index, size), tree.root(size))).toBe(true);
+      }
+      for (let first = 1; first <= size; first++) {
+        expect(verifyConsistency(first, size, tree.root(first), tree.root(size), tree.consistencyProof(first, size))).toBe(true);
+      }
+    }
+    expect(() => tree.root(leaves.length + 1)).toThrow(/out of range/);
+    expect(() => tree.inclusionPath(5, 5)).toThrow(/not in a tree/);
+  });
+
+  const signingTest = getLogPublicKeyJWK() ? test : test.skip;
+
+  signingTest('tree heads are signed with the server ES256 key', () => {
+    const leaves = buildLeaves(4);
+    const treeHead = signTreeHead(4, merkleRoot(leaves));
+
+    expect(treeHead.rootHash).toBe(merkleRoot(leaves).toString('hex'));
+    expect(Buffer.from(treeHead.signature, 'base64')).toHaveLength(64);
+    expect(verifyTreeHead(treeHead)).toBe(true);
+    expect(verifyTreeHead({ ...treeHead, treeSize: 5 })).toBe(false);
+  });
+});
+
+describe('Key Transparency Endpoint Tests', () => {
+  let owner;
+  let ownerToken;
+
+  beforeAll(async () => {
+    await setupTestDB();
+  });
+
+  afterAll(async () => {
+    await closeTestDB();
+  });
+
+  beforeEach(async () => {
+    await cleanTestDB();
+    const ownerData = generateTestUser();
+    await createTestUser(ownerData.email, ownerData.password);
+    ({ user: owner, accessToken: ownerToken } = await loginTestUser(ownerData.email, ownerData.password));
+  });
+
+  async function uploadKey(suffix) {
+    const jwk = { ...generateTestJWK(), x: `logX${suffix}`, y: `logY${suffix}` };
+    await request(app)
+      .post('/api/keys/upload')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ publicIdentityKeyJWK: jwk });
+    return jwk;
+  }
+
+  test('published key is provably included in the signed tree', async () => {
+    const jwk = await uploadKey(1);
+
+    const response = await request(app).get(`/api/keys/${owner.id}/inclusion`);
+
+    expect(response.status).toBe(200);
+    const { entry, auditPath, treeHead } = response.body.data;
+    expect(entry.publicKey.x).toBe(jwk.x);
+    expect(verifyTreeHead(treeHead)).toBe(true);
+
+    const leafHash = hashLeaf(buildLeafData(entry));
+    expect(verifyInclusion(
+      leafHash,
+      entry.index,
+      treeHead.treeSize,
+      auditPath.map(hash => Buffer.from(hash, 'hex')),
+      Buffer.from(treeHead.rootHash, 'hex')
+    )).toBe(true);
+  });
+
+  test('rotation appends a new entry and the log stays consistent', async () => {
+    await uploadKey(1);
+    const before = (await request(app).get('/api/keys/log/sth')).body.data;
+
+    await uploadKey(2);
+    const after = (await request(app).get('/api/keys/log/sth')).body.data;
+    expect(after.treeSize).toBe(before.treeSize + 1);
+
+    const response = await request(app)
+      .get('/api/keys/log/consistency')
+      .query({ first: before.treeSize, second: after.treeSize });
+
+    expect(response.status).toBe(200);
+    expect(verifyConsistency(
+      before.treeSize,
+      after.treeSize,
+      Buffer.from(before.rootHash, 'hex'),
+      Buffer.from(after.rootHash, 'hex'),
+      response.body.data.proof.map(hash => Buffer.from(hash, 'hex'))
+    )).toBe(true);
+
+    const inclusion = await request(app).get(`/api/keys/${owner.id}/inclusion`);
+    expect(inclusion.body.data.entry.publicKey.x).toBe('logX2');
+    expect(inclusion.body.data.entry.version).toBe(2);
+  });
+
+  test('cached log tree follows appends and matches a full rebuild', async () => {
+    await uploadKey(1);
+    const before = (await loadLogTree()).size;
+    await uploadKey(2);
+
+    const tree = await loadLogTree();
+    const entries = await KeyLogEntry.find().sort({ index: 1 });
+
+    expect(tree.size).toBe(before + 1);
+    expect(tree.size).toBe(entries.length);
+    expect(tree.root().equals(merkleRoot(entries.map(entry => Buffer.from(entry.leafHash, 'hex'))))).toBe(true);
+  });
+
+  test('serves no proof for a key that is not in the log', async () => {
+    await uploadKey(1);
+    const size = (await loadLogTree()).size;
+
+    // Key swapped in the database without going through the log
+    await PublicKey.updateOne({ userId: owner.id }, { 'publicIdentityKeyJWK.x': 'swappedX' });
+
+    const response = await request(app).get(`/api/keys/${owner.id}/inclusion`);
+    expect(response.status).toBe(404);
+    expect((await loadLogTree()).size).toBe(size);
+  });
+
+  test('owner re-upload logs a key published before the log existed', async () => {
+    const jwk = await uploadKey(1);
+    await KeyLogEntry.deleteMany({});
+
+    expect((await request(app).get(`/api/keys/${owner.id}/inclusion`)).status).toBe(404);
+
+    await request(app)
+      .post('/api/keys/upload')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ publicIdentityKeyJWK: jwk });
+
+    const response = await request(app).get(`/api/keys/${owner.id}/inclusion`);
+    expect(response.status).toBe(200);
+    expect(response.body.data.entry.publicKey.x).toBe(jwk.x);
+  });
+
+  test('rejects an invalid user ID', async () => {
+    const response = await request(app).get('/api/keys/not-an-id/inclusion');
+    expect(response.status).toBe(400);
+  });
+
+  test('rejects invalid consistency ranges', async () => {
+    await uploadKey(1);
+
+    const response = await request(app)
+      .get('/api/keys/log/consistency')
+      .query({ first: 2, second: 1 });
+
+    expect(response.status).toBe(400);
+  });
+});
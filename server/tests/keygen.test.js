@@ -28,7 +28,7 @@ describe('Key Generation & Storage Tests', () => {
     const userInDb = await userService.getUserByEmail(testUser.email);
 
     const userObj = userInDb.toObject();
-    const allowedUserFields = ['_id', 'email', 'lastLoginAt', 'isActive', 'createdAt', 'updatedAt', '__v'];
+    const allowedUserFields = ['_id', 'email', 'lastLoginAt', 'isActive', 'role', 'lastSeenAt', 'presenceHidden', 'createdAt', 'updatedAt', '__v'];
 
     Object.keys(userObj).forEach(field => {
       expect(allowedUserFields).toContain(field);
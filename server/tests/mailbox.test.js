@@ -0,0 +1,161 @@
+/**
+ * Offline Mailbox Tests
+ * Verifies that full encrypted envelopes are held for offline recipients,
+ * handed out in order, and deleted only on acknowledgement by the recipient.
+ */
+
+import { MailboxMessage, getMailboxTTL } from '../src/models/MailboxMessage.js';
+import { MessageMeta, getMessageMetaExpiry } from '../src/models/MessageMeta.js';
+import { storeInMailbox, fetchMailbox, acknowledgeMailbox, getMailboxEnvelopes } from '../src/utils/mailbox.js';
+import { setupTestDB, cleanTestDB, closeTestDB, generateTestUser } from './setup.js';
+import { userService } from '../src/services/user.service.js';
+
+describe('Offline Mailbox Tests', () => {
+  let sender;
+  let receiver;
+  let other;
+
+  beforeAll(async () => {
+    await setupTestDB();
+  });
+
+  afterAll(async () => {
+    await closeTestDB();
+  });
+
+  beforeEach(async () => {
+    await cleanTestDB();
+    const userData1 = generateTestUser();
+    const userData2 = generateTestUser();
+    const userData3 = generateTestUser();
+    sender = await userService.createUser(userData1.email, userData1.password);
+    receiver = await userService.createUser(userData2.email, userData2.password);
+    other = await userService.createUser(userData3.email, userData3.password);
+  });
+
+  function buildEnvelope(seq, timestamp = Date.now()) {
+    return {
+      type: 'MSG',
+      sessionId: 'session-mailbox-1',
+      sender: sender.id,
+      receiver: receiver.id,
+      ciphertext: 'Y2lwaGVydGV4dA==',
+      iv: 'aXZpdml2aXZpdml2',
+      authTag: 'dGFndGFndGFndGFndGFnMQ==',
+      nonce: 'bm9uY2Vub25jZW5vbmNl',
+      timestamp,
+      seq
+    };
+  }
+
+  async function storeWithMeta(seq) {
+    const envelope = buildEnvelope(seq, Date.now() + seq);
+    const messageId = `${envelope.sessionId}:${seq}:${envelope.timestamp}`;
+
+    await new MessageMeta({
+      messageId,
+      sessionId: envelope.sessionId,
+      sender: sender.id,
+      receiver: receiver.id,
+      type: envelope.type,
+      timestamp: envelope.timestamp,
+      seq,
+      delivered: false
+    }).save();
+
+    await storeInMailbox(messageId, sender.id, envelope);
+    return { messageId, envelope };
+  }
+
+  test('stores the complete envelope with an expiry', async () => {
+    const { messageId, envelope } = await storeWithMeta(1);
+
+    const stored = await MailboxMessage.findOne({ messageId }).lean();
+    expect(stored.envelope).toEqual(envelope);
+    expect(stored.expiresAt.getTime()).toBeGreaterThan(Date.now());
+    expect(stored.expiresAt.getTime()).toBeLessThanOrEqual(Date.now() + getMailboxTTL());
+  });
+
+  test('expires disappearing envelopes with the conversation timer', async () => {
+    const envelope = { ...buildEnvelope(1), expiresIn: 300 };
+    await storeInMailbox('msg-disappearing', sender.id, envelope);
+
+    const stored = await MailboxMessage.findOne({ messageId: 'msg-disappearing' }).lean();
+    expect(stored.expiresAt.getTime()).toBe(getMessageMetaExpiry(envelope.timestamp, 300).getTime());
+  });
+
+  test('fetches envelopes for the recipient in queue order', async () => {
+    const first = await storeWithMeta(1);
+    const second = await storeWithMeta(2);
+
+    const { messages, hasMore } = await fetchMailbox(receiver.id);
+    expect(hasMore).toBe(false);
+    expect(messages.map(m => m.messageId)).toEqual([first.messageId, second.messageId]);
+    expect(messages[0].envelope.ciphertext).toBe(first.envelope.ciphertext);
+
+    const forOther = await fetchMailbox(other.id);
+    expect(forOther.messages).toHaveLength(0);
+  });
+
+  test('reports hasMore when more than one batch is waiting', async () => {
+    await storeWithMeta(1);
+    await storeWithMeta(2);
+    await storeWithMeta(3);
+
+    const { messages, hasMore } = await fetchMailbox(receiver.id, 2);
+    expect(messages).toHaveLength(2);
+    expect(hasMore).toBe(true);
+  });
+
+  test('continues behind the previous batch when given its last queuedAt', async () => {
+    const first = await storeWithMeta(1);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    const second = await storeWithMeta(2);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    const third = await storeWithMeta(3);
+
+    // The first batch is kept unacknowledged (e.g. for a retry by the client)
+    const firstBatch = await fetchMailbox(receiver.id, 1);
+    expect(firstBatch.messages.map(m => m.messageId)).toEqual([first.messageId]);
+
+    const next = await fetchMailbox(receiver.id, 1, undefined, firstBatch.messages[0].queuedAt.toISOString());
+    expect(next.messages.map(m => m.messageId)).toEqual([second.messageId]);
+    expect(next.hasMore).toBe(true);
+
+    const last = await fetchMailbox(receiver.id, 1, undefined, next.messages[0].queuedAt);
+    expect(last.messages.map(m => m.messageId)).toEqual([third.messageId]);
+    expect(last.hasMore).toBe(false);
+
+    // Without a cursor the kept entry comes first again
+    const again = await fetchMailbox(receiver.id, 1, undefined, 'not-a-date');
+    expect(again.messages.map(m => m.messageId)).toEqual([first.messageId]);
+  });
+
+  test('acknowledgement deletes entries and marks metadata delivered', async () => {
+    const { messageId } = await storeWithMeta(1);
+
+    const { acknowledged } = await acknowledgeMailbox(receiver.id, [messageId]);
+    expect(acknowledged).toBe(1);
+
+    expect(await MailboxMessage.findOne({ messageId })).toBeNull();
+    const meta = await MessageMeta.findOne({ messageId });
+    expect(meta.delivered).toBe(true);
+    expect(meta.deliveredAt).toBeInstanceOf(Date);
+  });
+
+  test('users cannot acknowledge entries addressed to someone else', async () => {
+    const { messageId } = await storeWithMeta(1);
+
+    const { acknowledged } = await acknowledgeMailbox(other.id, [messageId]);
+    expect(acknowledged).toBe(0);
+    expect(await MailboxMessage.findOne({ messageId })).not.toBeNull();
+  });
+
+  test('looks up envelopes by messageId for the pending endpoint', async () => {
+    const { messageId, envelope } = await storeWithMeta(1);
+
+    const envelopes = await getMailboxEnvelopes(receiver.id, [messageId, 'missing']);
+    expect(envelopes.get(messageId)).toEqual(envelope);
+    expect(envelopes.has('missing')).toBe(false);
+  });
+});
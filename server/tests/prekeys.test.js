@@ -0,0 +1,154 @@
+/**
+ * Prekey Bundle Tests
+ * Verifies signed/one-time prekey upload, single-use hand-out of one-time
+ * prekeys, depletion tracking, and invalidation on identity key change.
+ */
+
+import request from 'supertest';
+import app from './app.js';
+import { OneTimePreKey } from '../src/models/OneTimePreKey.js';
+import { PublicKey } from '../src/models/PublicKey.js';
+import { setupTestDB, cleanTestDB, closeTestDB, generateTestJWK, generateTestUser } from './setup.js';
+import { createTestUser, loginTestUser } from './auth/helpers/testUser.js';
+
+describe('Prekey Bundle Tests', () => {
+  let owner;
+  let ownerToken;
+  let peerToken;
+
+  beforeAll(async () => {
+    await setupTestDB();
+  });
+
+  afterAll(async () => {
+    await closeTestDB();
+  });
+
+  beforeEach(async () => {
+    await cleanTestDB();
+    const ownerData = generateTestUser();
+    const peerData = generateTestUser();
+    await createTestUser(ownerData.email, ownerData.password);
+    await createTestUser(peerData.email, peerData.password);
+    ({ user: owner, accessToken: ownerToken } = await loginTestUser(ownerData.email, ownerData.password));
+    ({ accessToken: peerToken } = await loginTestUser(peerData.email, peerData.password));
+
+    await request(app)
+      .post('/api/keys/upload')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ publicIdentityKeyJWK: generateTestJWK() });
+  });
+
+  function buildJWK(suffix) {
+    return { ...generateTestJWK(), x: `prekeyX${suffix}`, y: `prekeyY${suffix}` };
+  }
+
+  async function uploadPreKeys(body, token = ownerToken) {
+    return await request(app)
+      .post('/api/keys/prekeys')
+      .set('Authorization', `Bearer ${token}`)
+      .send(body);
+  }
+
+  async function fetchBundle(userId = owner.id) {
+    return await request(app)
+      .get(`/api/keys/${userId}/bundle`)
+      .set('Authorization', `Bearer ${peerToken}`);
+  }
+
+  const signedPreKey = { keyId: 1, publicKeyJWK: buildJWK('spk'), signature: 'c2lnbmF0dXJl' };
+
+  test('stores the signed prekey next to the identity key', async () => {
+    const response = await uploadPreKeys({
+      signedPreKey,
+      oneTimePreKeys: [{ keyId: 10, publicKeyJWK: buildJWK(10) }]
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual({ signedPreKeyId: 1, remaining: 1 });
+
+    const stored = await PublicKey.findOne({ userId: owner.id });
+    expect(stored.signedPreKey.keyId).toBe(1);
+    expect(stored.signedPreKey.signature).toBe(signedPreKey.signature);
+  });
+
+  test('rejects private key material and malformed prekeys', async () => {
+    const withPrivate = await uploadPreKeys({
+      signedPreKey: { ...signedPreKey, publicKeyJWK: { ...buildJWK('spk'), d: 'secret' } }
+    });
+    expect(withPrivate.status).toBe(400);
+
+    const badOneTime = await uploadPreKeys({
+      oneTimePreKeys: [{ keyId: 'ten', publicKeyJWK: buildJWK(10) }]
+    });
+    expect(badOneTime.status).toBe(400);
+
+    const notArray = await uploadPreKeys({ signedPreKey, oneTimePreKeys: null });
+    expect(notArray.status).toBe(400);
+  });
+
+  test('rejects duplicate one-time prekey IDs', async () => {
+    await uploadPreKeys({ signedPreKey, oneTimePreKeys: [{ keyId: 10, publicKeyJWK: buildJWK(10) }] });
+
+    const response = await uploadPreKeys({ oneTimePreKeys: [{ keyId: 10, publicKeyJWK: buildJWK(11) }] });
+    expect(response.status).toBe(409);
+  });
+
+  test('hands out each one-time prekey only once', async () => {
+    await uploadPreKeys({
+      signedPreKey,
+      oneTimePreKeys: [
+        { keyId: 10, publicKeyJWK: buildJWK(10) },
+        { keyId: 11, publicKeyJWK: buildJWK(11) }
+      ]
+    });
+
+    const first = await fetchBundle();
+    const second = await fetchBundle();
+    const third = await fetchBundle();
+
+    expect(first.body.data.signedPreKey).toEqual(signedPreKey);
+    expect(first.body.data.publicIdentityKeyJWK).toBeDefined();
+    expect([first.body.data.oneTimePreKey.keyId, second.body.data.oneTimePreKey.keyId].sort()).toEqual([10, 11]);
+    // Depleted: bundle still works with the signed prekey alone
+    expect(third.status).toBe(200);
+    expect(third.body.data.oneTimePreKey).toBeNull();
+    expect(await OneTimePreKey.countDocuments({ userId: owner.id })).toBe(0);
+  });
+
+  test('reports remaining count and replenish need', async () => {
+    await uploadPreKeys({ signedPreKey, oneTimePreKeys: [{ keyId: 10, publicKeyJWK: buildJWK(10) }] });
+
+    const response = await request(app)
+      .get('/api/keys/prekeys/count')
+      .set('Authorization', `Bearer ${ownerToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.remaining).toBe(1);
+    expect(response.body.data.signedPreKeyId).toBe(1);
+    expect(response.body.data.needsReplenish).toBe(true);
+  });
+
+  test('returns 404 when no signed prekey was published', async () => {
+    const response = await fetchBundle();
+    expect(response.status).toBe(404);
+  });
+
+  test('rejects malformed user IDs', async () => {
+    const response = await fetchBundle('not-a-user-id');
+    expect(response.status).toBe(400);
+  });
+
+  test('identity key change discards prekeys published under the old key', async () => {
+    await uploadPreKeys({ signedPreKey, oneTimePreKeys: [{ keyId: 10, publicKeyJWK: buildJWK(10) }] });
+
+    await request(app)
+      .post('/api/keys/upload')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ publicIdentityKeyJWK: buildJWK('rotated') });
+
+    const stored = await PublicKey.findOne({ userId: owner.id });
+    expect(stored.signedPreKey?.keyId).toBeUndefined();
+    expect(await OneTimePreKey.countDocuments({ userId: owner.id })).toBe(0);
+  });
+});
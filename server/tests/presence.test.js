@@ -0,0 +1,128 @@
+/**
+ * Presence Tests
+ * Verifies that online status and last seen are only revealed to users with
+ * an established session, and that hidden presence looks offline.
+ */
+
+import { KEPMessage } from '../src/models/KEPMessage.js';
+import { MessageMeta } from '../src/models/MessageMeta.js';
+import { User } from '../src/models/User.js';
+import {
+  haveEstablishedSession,
+  filterPresencePeers,
+  getPresenceSnapshot,
+  recordLastSeen,
+  setPresenceHidden
+} from '../src/utils/presence.js';
+import { setupTestDB, cleanTestDB, closeTestDB, generateTestUser } from './setup.js';
+import { userService } from '../src/services/user.service.js';
+
+describe('Presence Tests', () => {
+  let alice;
+  let bob;
+  let carol;
+
+  beforeAll(async () => {
+    await setupTestDB();
+  });
+
+  afterAll(async () => {
+    await closeTestDB();
+  });
+
+  beforeEach(async () => {
+    await cleanTestDB();
+    const userData1 = generateTestUser();
+    const userData2 = generateTestUser();
+    const userData3 = generateTestUser();
+    alice = await userService.createUser(userData1.email, userData1.password);
+    bob = await userService.createUser(userData2.email, userData2.password);
+    carol = await userService.createUser(userData3.email, userData3.password);
+  });
+
+  async function storeKEP(from, to, type, seq = 1) {
+    await new KEPMessage({
+      messageId: `session-presence:${type}:${seq}`,
+      sessionId: 'session-presence',
+      from: from.id,
+      to: to.id,
+      type,
+      timestamp: Date.now(),
+      seq
+    }).save();
+  }
+
+  describe('Established sessions', () => {
+    test('a completed key exchange counts in both directions', async () => {
+      await storeKEP(alice, bob, 'KEP_INIT', 1);
+      expect(await haveEstablishedSession(alice.id, bob.id)).toBe(false);
+
+      await storeKEP(bob, alice, 'KEP_RESPONSE', 2);
+      expect(await haveEstablishedSession(alice.id, bob.id)).toBe(true);
+      expect(await haveEstablishedSession(bob.id, alice.id)).toBe(true);
+      expect(await haveEstablishedSession(alice.id, carol.id)).toBe(false);
+    });
+
+    test('a pairwise message counts, a group message does not', async () => {
+      await new MessageMeta({
+        messageId: 'group-1:1',
+        sessionId: 'group-1',
+        sender: carol.id,
+        groupId: '507f1f77bcf86cd799439011',
+        type: 'MSG',
+        timestamp: Date.now(),
+        seq: 1
+      }).save();
+      expect(await haveEstablishedSession(alice.id, carol.id)).toBe(false);
+
+      await new MessageMeta({
+        messageId: 'session-ac:1',
+        sessionId: 'session-ac',
+        sender: carol.id,
+        receiver: alice.id,
+        type: 'MSG',
+        timestamp: Date.now(),
+        seq: 1
+      }).save();
+      expect(await haveEstablishedSession(alice.id, carol.id)).toBe(true);
+    });
+
+    test('rejects invalid IDs and the user themself', async () => {
+      expect(await haveEstablishedSession(alice.id, 'not-an-id')).toBe(false);
+      expect(await haveEstablishedSession(alice.id, alice.id)).toBe(false);
+    });
+
+    test('filters subscriptions down to permitted peers', async () => {
+      await storeKEP(bob, alice, 'KEP_RESPONSE');
+
+      const permitted = await filterPresencePeers(alice.id, [bob.id, carol.id, bob.id, 42]);
+      expect(permitted).toEqual([bob.id]);
+      expect(await filterPresencePeers(alice.id, 'not-an-array')).toEqual([]);
+    });
+  });
+
+  describe('Snapshots', () => {
+    test('reports online status and last seen', async () => {
+      const lastSeen = new Date('2026-01-01T12:00:00Z');
+      await recordLastSeen(bob.id, lastSeen);
+
+      const snapshot = await getPresenceSnapshot([bob.id, carol.id], new Set([carol.id]));
+      const byId = Object.fromEntries(snapshot.map(entry => [entry.userId, entry]));
+
+      expect(byId[bob.id]).toEqual({ userId: bob.id, online: false, lastSeenAt: lastSeen.toISOString() });
+      expect(byId[carol.id]).toEqual({ userId: carol.id, online: true, lastSeenAt: null });
+    });
+
+    test('hidden users appear offline with no last seen', async () => {
+      await recordLastSeen(bob.id);
+      await setPresenceHidden(bob.id, true);
+
+      const [entry] = await getPresenceSnapshot([bob.id], new Set([bob.id]));
+      expect(entry).toEqual({ userId: bob.id, online: false, lastSeenAt: null });
+
+      await setPresenceHidden(bob.id, false);
+      const stored = await User.findById(bob.id);
+      expect(stored.presenceHidden).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,32 @@
+/**
+ * Test Admin Routes
+ * Admin routes with rate limiting disabled for testing
+ */
+
+import express from 'express';
+import {
+  getOverview,
+  getAlerts,
+  listLockedAccounts,
+  unlockAccount,
+  getTrends,
+  getLogIntegrity,
+  listUsers
+} from '../../src/controllers/admin.controller.js';
+import { verifyTokenMiddleware, requireAuth } from '../../src/middlewares/auth.middleware.js';
+import { requireAdmin } from '../../src/middlewares/authorization.middleware.js';
+
+const router = express.Router();
+
+// No rate limiting in test environment
+router.use(verifyTokenMiddleware, requireAuth, requireAdmin);
+
+router.get('/overview', getOverview);
+router.get('/alerts', getAlerts);
+router.get('/locked-accounts', listLockedAccounts);
+router.post('/locked-accounts/:userId/unlock', unlockAccount);
+router.get('/trends', getTrends);
+router.get('/log-integrity', getLogIntegrity);
+router.get('/users', listUsers);
+
+export default router;
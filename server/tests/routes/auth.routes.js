@@ -12,7 +12,8 @@ import {
   refresh,
   getMe,
   deactivate,
-  reactivate
+  reactivate,
+  deleteAccount
 } from '../../src/controllers/auth.controller.js';
 import { verifyTokenMiddleware, requireAuth } from '../../src/middlewares/auth.middleware.js';
 
@@ -91,5 +92,14 @@ router.post(
 // Reactivate account route (placeholder)
 router.post('/reactivate', reactivate);
 
+// Delete account route (requires auth and password re-authentication)
+router.delete(
+  '/account',
+  verifyTokenMiddleware,
+  requireAuth,
+  body('password').notEmpty().withMessage('Password is required'),
+  deleteAccount
+);
+
 export default router;
 
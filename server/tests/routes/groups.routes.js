@@ -0,0 +1,62 @@
+/**
+ * Test Groups Routes
+ * Groups routes with rate limiting disabled for testing
+ */
+
+import express from 'express';
+import { createGroup, listGroups, getGroup, addGroupMembers, removeGroupMember, updateGroupMemberRole } from '../../src/controllers/groups.controller.js';
+import { verifyTokenMiddleware, requireAuth } from '../../src/middlewares/auth.middleware.js';
+
+const router = express.Router();
+
+// No rate limiting in test environment
+
+// Create group (requires auth; creator becomes admin)
+router.post(
+  '/',
+  verifyTokenMiddleware,
+  requireAuth,
+  createGroup
+);
+
+// List current user's groups (requires auth)
+router.get(
+  '/',
+  verifyTokenMiddleware,
+  requireAuth,
+  listGroups
+);
+
+// Get group (requires auth; members only)
+router.get(
+  '/:groupId',
+  verifyTokenMiddleware,
+  requireAuth,
+  getGroup
+);
+
+// Add members (requires auth; admins only)
+router.post(
+  '/:groupId/members',
+  verifyTokenMiddleware,
+  requireAuth,
+  addGroupMembers
+);
+
+// Remove member or leave (requires auth; admins, or the member themselves)
+router.delete(
+  '/:groupId/members/:userId',
+  verifyTokenMiddleware,
+  requireAuth,
+  removeGroupMember
+);
+
+// Change member role (requires auth; admins only)
+router.patch(
+  '/:groupId/members/:userId',
+  verifyTokenMiddleware,
+  requireAuth,
+  updateGroupMemberRole
+);
+
+export default router;
@@ -4,7 +4,9 @@
  */
 
 import express from 'express';
-import { uploadPublicKey, getPublicKey, getMyPublicKey } from '../../src/controllers/keys.controller.js';
+import { uploadPublicKey, getPublicKey, getMyPublicKey, uploadPreKeys, getPreKeyCount, getPreKeyBundle,
+  getKeyLogPublicKey, getKeyLogTreeHead, getKeyLogConsistencyProof, getKeyInclusionProof,
+  listDevices, approveDevice, revokeDevice } from '../../src/controllers/keys.controller.js';
 import { verifyTokenMiddleware, requireAuth } from '../../src/middlewares/auth.middleware.js';
 
 const router = express.Router();
@@ -27,6 +29,26 @@ router.get(
   getMyPublicKey
 );
 
+// Upload signed prekey and/or one-time prekeys (requires auth)
+router.post('/prekeys', verifyTokenMiddleware, requireAuth, uploadPreKeys);
+
+// Get remaining one-time prekey count (requires auth)
+router.get('/prekeys/count', verifyTokenMiddleware, requireAuth, getPreKeyCount);
+
+// Current user's devices (requires auth)
+router.get('/devices', verifyTokenMiddleware, requireAuth, listDevices);
+router.post('/devices/:deviceId/approve', verifyTokenMiddleware, requireAuth, approveDevice);
+router.delete('/devices/:deviceId', verifyTokenMiddleware, requireAuth, revokeDevice);
+
+// Key transparency log
+router.get('/log/key', getKeyLogPublicKey);
+router.get('/log/sth', getKeyLogTreeHead);
+router.get('/log/consistency', getKeyLogConsistencyProof);
+router.get('/:userId/inclusion', getKeyInclusionProof);
+
+// Get prekey bundle by user ID (requires auth)
+router.get('/:userId/bundle', verifyTokenMiddleware, requireAuth, getPreKeyBundle);
+
 // Get public key by user ID (requires auth in tests to match test expectations)
 router.get('/:userId', verifyTokenMiddleware, requireAuth, getPublicKey);
 
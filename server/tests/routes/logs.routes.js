@@ -0,0 +1,22 @@
+/**
+ * Test Logs Routes
+ * Logs routes with rate limiting disabled for testing
+ */
+
+import express from 'express';
+import { ingestClientLogs } from '../../src/controllers/logs.controller.js';
+import { verifyTokenMiddleware, requireAuth } from '../../src/middlewares/auth.middleware.js';
+
+const router = express.Router();
+
+// No rate limiting in test environment
+
+// Ingest security events logged by the client (requires auth)
+router.post(
+  '/client',
+  verifyTokenMiddleware,
+  requireAuth,
+  ingestClientLogs
+);
+
+export default router;
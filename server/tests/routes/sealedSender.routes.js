@@ -0,0 +1,20 @@
+/**
+ * Test Sealed Sender Routes
+ * Sealed sender routes with rate limiting disabled for testing
+ */
+
+import express from 'express';
+import { getSenderCertificate, registerSealedSenderAccess, deleteSealedSenderAccess,
+  getSealedSenderAccess } from '../../src/controllers/sealedSender.controller.js';
+import { verifyTokenMiddleware, requireAuth } from '../../src/middlewares/auth.middleware.js';
+
+const router = express.Router();
+
+// No rate limiting in test environment
+
+router.get('/certificate', verifyTokenMiddleware, requireAuth, getSenderCertificate);
+router.post('/access', verifyTokenMiddleware, requireAuth, registerSealedSenderAccess);
+router.delete('/access', verifyTokenMiddleware, requireAuth, deleteSealedSenderAccess);
+router.get('/access/:userId', verifyTokenMiddleware, requireAuth, getSealedSenderAccess);
+
+export default router;
@@ -31,7 +31,7 @@ describe('Schema Validation Tests', () => {
     const dbUser = await User.findOne({ email: user.email }).select('+passwordHash +refreshTokens');
     const obj = dbUser.toObject();
 
-    const allowedFields = ['_id', 'email', 'passwordHash', 'lastLoginAt', 'refreshTokens', 'isActive', 'createdAt', 'updatedAt', '__v'];
+    const allowedFields = ['_id', 'email', 'passwordHash', 'lastLoginAt', 'refreshTokens', 'isActive', 'role', 'lastSeenAt', 'presenceHidden', 'createdAt', 'updatedAt', '__v'];
     Object.keys(obj).forEach(field => {
       expect(allowedFields).toContain(field);
     });
@@ -90,7 +90,7 @@ describe('Schema Validation Tests', () => {
     const stored = await MessageMeta.findOne({ messageId: 'schema-msg-1' });
     const obj = stored.toObject();
 
-    const allowed = ['_id', 'messageId', 'sessionId', 'sender', 'receiver', 'type', 'timestamp', 'seq', 'delivered', 'deliveredAt', 'meta', 'metadataHash', 'createdAt', 'updatedAt', '__v'];
+    const allowed = ['_id', 'messageId', 'sessionId', 'sender', 'receiver', 'groupId', 'type', 'timestamp', 'seq', 'delivered', 'deliveredAt', 'meta', 'metadataHash', 'expiresAt', 'createdAt', 'updatedAt', '__v'];
     Object.keys(obj).forEach(field => {
       expect(allowed).toContain(field);
     });
@@ -0,0 +1,313 @@
+/**
+ * Sealed Sender Tests
+ * Verifies sender certificates, delivery token registration and lookup, and
+ * that sealed envelopes are routed on the delivery token alone: delivered
+ * to the recipient device or its mailbox, without any sender metadata.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import request from 'supertest';
+import { io as ioClient } from 'socket.io-client';
+import app from './app.js';
+import { initializeWebSocket } from '../src/websocket/socket-handler.js';
+import { KEPMessage } from '../src/models/KEPMessage.js';
+import { MessageMeta } from '../src/models/MessageMeta.js';
+import { MailboxMessage } from '../src/models/MailboxMessage.js';
+import { SealedSenderAccess } from '../src/models/SealedSenderAccess.js';
+import { verifySenderCertificate, SENDER_CERTIFICATE_TTL } from '../src/utils/sealedSender.js';
+import { setupTestDB, cleanTestDB, closeTestDB, generateTestJWK, generateTestUser } from './setup.js';
+import { createTestUser, loginTestUser } from './auth/helpers/testUser.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Suite-specific logs directory and prefix to ensure isolation.
+const suiteLogPrefix = `sealedsender-${process.pid}-${Date.now()}`;
+const suiteLogsDir = path.join(__dirname, 'logs', suiteLogPrefix);
+
+/**
+ * Generates a real P-256 public key (sealing keys are ECDH keys on the client)
+ */
+function generateSealingKey() {
+  const { publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  const { kty, crv, x, y } = publicKey.export({ format: 'jwk' });
+  return { kty, crv, x, y };
+}
+
+function nextEvent(client, event, timeout = 5000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), timeout);
+    client.once(event, (data) => {
+      clearTimeout(timer);
+      resolve(data);
+    });
+  });
+}
+
+describe('Sealed Sender Tests', () => {
+  let alice;
+  let aliceToken;
+  let bob;
+  let bobToken;
+
+  beforeAll(async () => {
+    process.env.TEST_LOGS_DIR = suiteLogsDir;
+    process.env.LOG_PREFIX = suiteLogPrefix;
+    await setupTestDB();
+  });
+
+  afterAll(async () => {
+    await closeTestDB();
+    if (fs.existsSync(suiteLogsDir)) {
+      fs.rmSync(suiteLogsDir, { recursive: true, force: true });
+    }
+    delete process.env.TEST_LOGS_DIR;
+    delete process.env.LOG_PREFIX;
+  });
+
+  beforeEach(async () => {
+    await cleanTestDB();
+    const aliceData = generateTestUser();
+    const bobData = generateTestUser();
+    await createTestUser(aliceData.email, aliceData.password);
+    await createTestUser(bobData.email, bobData.password);
+    ({ user: alice, accessToken: aliceToken } = await loginTestUser(aliceData.email, aliceData.password));
+    ({ user: bob, accessToken: bobToken } = await loginTestUser(bobData.email, bobData.password));
+  });
+
+  async function uploadIdentityKey(token, deviceId) {
+    return await request(app)
+      .post('/api/keys/upload')
+      .set('Authorization', `Bearer ${token}`)
+      .set('X-Device-Id', deviceId)
+      .send({ publicIdentityKeyJWK: generateTestJWK() });
+  }
+
+  async function registerAccess(token, deviceId, body) {
+    return await request(app)
+      .post('/api/sealed-sender/access')
+      .set('Authorization', `Bearer ${token}`)
+      .set('X-Device-Id', deviceId)
+      .send(body);
+  }
+
+  async function establishSession() {
+    for (const [from, to, type, seq] of [[alice, bob, 'KEP_INIT', 1], [bob, alice, 'KEP_RESPONSE', 2]]) {
+      await new KEPMessage({
+        messageId: `session-sealed:${type}:${seq}`,
+        sessionId: 'session-sealed',
+        from: from.id,
+        to: to.id,
+        type,
+        timestamp: Date.now(),
+        seq
+      }).save();
+    }
+  }
+
+  describe('Sender certificates', () => {
+    test('issues a signed, short-lived certificate for an active device', async () => {
+      await uploadIdentityKey(aliceToken, 'laptop');
+
+      const response = await request(app)
+        .get('/api/sealed-sender/certificate')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .set('X-Device-Id', 'laptop');
+
+      expect(response.status).toBe(200);
+      const { certificate } = response.body.data;
+      expect(certificate).toMatchObject({ userId: alice.id, deviceId: 'laptop' });
+      expect(certificate.expiresAt).toBeGreaterThan(Date.now());
+      expect(certificate.expiresAt).toBeLessThanOrEqual(Date.now() + SENDER_CERTIFICATE_TTL);
+      expect(verifySenderCertificate(certificate)).toBe(true);
+      expect(verifySenderCertificate({ ...certificate, userId: bob.id })).toBe(false);
+    });
+
+    test('refuses devices without an active identity key', async () => {
+      const response = await request(app)
+        .get('/api/sealed-sender/certificate')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .set('X-Device-Id', 'laptop');
+
+      expect(response.status).toBe(403);
+    });
+
+    test('requires authentication', async () => {
+      const response = await request(app).get('/api/sealed-sender/certificate');
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('Delivery tokens', () => {
+    test('keeps the delivery token across key updates unless asked to rotate', async () => {
+      await uploadIdentityKey(bobToken, 'phone');
+
+      const first = await registerAccess(bobToken, 'phone', { sealingKey: generateSealingKey() });
+      expect(first.status).toBe(200);
+      expect(first.body.data.deviceId).toBe('phone');
+      expect(first.body.data.deliveryToken).toMatch(/^[A-Za-z0-9_-]{43}$/);
+
+      const updated = await registerAccess(bobToken, 'phone', { sealingKey: generateSealingKey() });
+      expect(updated.body.data.deliveryToken).toBe(first.body.data.deliveryToken);
+
+      const rotated = await registerAccess(bobToken, 'phone', { sealingKey: generateSealingKey(), rotateToken: true });
+      expect(rotated.body.data.deliveryToken).not.toBe(first.body.data.deliveryToken);
+      expect(await SealedSenderAccess.countDocuments({ userId: bob.id })).toBe(1);
+    });
+
+    test('rejects sealing keys with a private component', async () => {
+      await uploadIdentityKey(bobToken, 'phone');
+
+      const response = await registerAccess(bobToken, 'phone', { sealingKey: { ...generateSealingKey(), d: 'secret' } });
+      expect(response.status).toBe(400);
+      expect(await SealedSenderAccess.countDocuments()).toBe(0);
+    });
+
+    test('only hands tokens to contacts with an established session', async () => {
+      await uploadIdentityKey(bobToken, 'phone');
+      const { body } = await registerAccess(bobToken, 'phone', { sealingKey: generateSealingKey() });
+
+      const stranger = await request(app)
+        .get(`/api/sealed-sender/access/${bob.id}`)
+        .set('Authorization', `Bearer ${aliceToken}`);
+      expect(stranger.status).toBe(403);
+
+      await establishSession();
+      const contact = await request(app)
+        .get(`/api/sealed-sender/access/${bob.id}`)
+        .set('Authorization', `Bearer ${aliceToken}`);
+      expect(contact.status).toBe(200);
+      expect(contact.body.data.devices).toEqual([body.data]);
+    });
+
+    test('removing the registration withdraws the token', async () => {
+      await uploadIdentityKey(bobToken, 'phone');
+      await registerAccess(bobToken, 'phone', { sealingKey: generateSealingKey() });
+
+      const response = await request(app)
+        .delete('/api/sealed-sender/access')
+        .set('Authorization', `Bearer ${bobToken}`)
+        .set('X-Device-Id', 'phone');
+
+      expect(response.body.data.removed).toBe(true);
+      expect(await SealedSenderAccess.countDocuments()).toBe(0);
+    });
+  });
+
+  describe('Sealed delivery', () => {
+    let io;
+    let url;
+    let clients = [];
+    let deliveryToken;
+
+    beforeAll(async () => {
+      const httpServer = http.createServer();
+      io = initializeWebSocket(httpServer);
+      await new Promise(resolve => httpServer.listen(0, resolve));
+      url = `http://localhost:${httpServer.address().port}`;
+    });
+
+    afterAll(async () => {
+      await io.close();
+    });
+
+    beforeEach(async () => {
+      await uploadIdentityKey(bobToken, 'phone');
+      ({ body: { data: { deliveryToken } } } = await registerAccess(bobToken, 'phone', { sealingKey: generateSealingKey() }));
+    });
+
+    afterEach(() => {
+      clients.forEach(client => client.disconnect());
+      clients = [];
+    });
+
+    // Connects a socket and resolves once the server greeted it; no token means anonymous
+    function connect(auth = {}) {
+      const client = ioClient(url, { auth, transports: ['websocket'], forceNew: true, reconnection: false });
+      clients.push(client);
+      return new Promise((resolve, reject) => {
+        client.once('hello', () => resolve(client));
+        client.once('connect_error', reject);
+      });
+    }
+
+    function createSealedEnvelope(fields = {}) {
+      return {
+        type: 'SEALED',
+        deliveryToken,
+        timestamp: Date.now(),
+        nonce: crypto.randomBytes(16).toString('base64'),
+        ephPub: generateSealingKey(),
+        iv: crypto.randomBytes(12).toString('base64'),
+        ciphertext: crypto.randomBytes(64).toString('base64'),
+        authTag: crypto.randomBytes(16).toString('base64'),
+        ...fields
+      };
+    }
+
+    function sendSealed(client, sealed) {
+      return new Promise(resolve => client.emit('sealed:send', sealed, resolve));
+    }
+
+    test('delivers to the token\'s device over an anonymous connection', async () => {
+      const bobPhone = await connect({ token: bobToken, deviceId: 'phone' });
+      const sender = await connect();
+
+      const received = nextEvent(bobPhone, 'sealed:receive');
+      const sealed = createSealedEnvelope();
+      const ack = await sendSealed(sender, sealed);
+
+      expect(ack).toMatchObject({ success: true, delivered: true, queued: false });
+      const delivered = await received;
+      expect(delivered).toMatchObject({ type: 'SEALED', ciphertext: sealed.ciphertext, nonce: sealed.nonce });
+      expect(delivered.deliveryToken).toBeUndefined();
+      expect(delivered.senderDevice).toBeUndefined();
+      expect(await MessageMeta.countDocuments()).toBe(0);
+    });
+
+    test('queues for an offline device without recording a sender', async () => {
+      const sender = await connect();
+      const ack = await sendSealed(sender, createSealedEnvelope());
+
+      expect(ack).toMatchObject({ success: true, delivered: false, queued: true });
+      const entry = await MailboxMessage.findOne({ receiver: bob.id }).select('+sender').lean();
+      expect(entry).toMatchObject({ type: 'SEALED', receiverDevice: 'phone' });
+      expect(entry.sender).toBeUndefined();
+      expect(entry.sessionId).toBeUndefined();
+
+      const bobPhone = await connect({ token: bobToken, deviceId: 'phone' });
+      const mailbox = nextEvent(bobPhone, 'mailbox:deliver');
+      bobPhone.emit('mailbox:fetch');
+      expect((await mailbox).messages).toEqual([expect.objectContaining({ envelope: expect.objectContaining({ type: 'SEALED' }) })]);
+    });
+
+    test('rejects a replayed nonce', async () => {
+      const sender = await connect();
+      const sealed = createSealedEnvelope();
+
+      expect((await sendSealed(sender, sealed)).success).toBe(true);
+      const replay = await sendSealed(sender, sealed);
+      expect(replay.success).toBe(false);
+      expect(replay.message).toContain('duplicate nonce');
+      expect(await MailboxMessage.countDocuments()).toBe(1);
+    });
+
+    test('rejects unknown tokens, stale timestamps and malformed envelopes', async () => {
+      const sender = await connect();
+
+      const unknown = await sendSealed(sender, createSealedEnvelope({ deliveryToken: crypto.randomBytes(32).toString('base64url') }));
+      expect(unknown).toMatchObject({ success: false, code: 'UNKNOWN_DELIVERY_TOKEN' });
+
+      const stale = await sendSealed(sender, createSealedEnvelope({ timestamp: Date.now() - 10 * 60 * 1000 }));
+      expect(stale.success).toBe(false);
+
+      const malformed = await sendSealed(sender, createSealedEnvelope({ ephPub: { kty: 'EC', crv: 'P-256', x: 'x', y: 'y', d: 'd' } }));
+      expect(malformed.success).toBe(false);
+      expect(await MailboxMessage.countDocuments()).toBe(0);
+    });
+  });
+});
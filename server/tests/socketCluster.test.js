@@ -0,0 +1,321 @@
+/**
+ * Socket.IO Cluster Tests
+ * Runs two Socket.IO server instances joined by a cluster adapter and checks
+ * that messages, key exchange, key updates and presence reach users connected
+ * to the other instance. The MongoDB change stream adapter runs when the test
+ * database is a replica set.
+ */
+
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import mongoose from 'mongoose';
+import { io as ioClient } from 'socket.io-client';
+import { initializeWebSocket } from '../src/websocket/socket-handler.js';
+import { createBusAdapter, createLocalBus, createMongoBus, createSocketAdapter } from '../src/websocket/adapter.js';
+import { KEPMessage } from '../src/models/KEPMessage.js';
+import { Group } from '../src/models/Group.js';
+import { MailboxMessage } from '../src/models/MailboxMessage.js';
+import { SocketEvent } from '../src/models/SocketEvent.js';
+import { generateAccessToken } from '../src/utils/jwt.js';
+import { userService } from '../src/services/user.service.js';
+import { setupTestDB, cleanTestDB, closeTestDB, generateTestUser } from './setup.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Suite-specific logs directory and prefix to ensure isolation.
+const suiteLogPrefix = `socketcluster-${process.pid}-${Date.now()}`;
+const suiteLogsDir = path.join(__dirname, 'logs', suiteLogPrefix);
+
+// Fast heartbeats so the instances discover each other quickly
+const HEARTBEAT = { heartbeatInterval: 200, heartbeatTimeout: 2000 };
+
+async function startInstance(adapter) {
+  const httpServer = http.createServer();
+  const io = initializeWebSocket(httpServer, { adapter });
+  await new Promise(resolve => httpServer.listen(0, resolve));
+  return { io, url: `http://localhost:${httpServer.address().port}` };
+}
+
+async function waitForCluster(instances, timeout = 10000) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const counts = await Promise.all(instances.map(({ io }) => io.of('/').adapter.serverCount()));
+    if (counts.every(count => count === instances.length)) return;
+    if (Date.now() > deadline) {
+      throw new Error('Server instances did not discover each other');
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+}
+
+function nextEvent(client, event, timeout = 5000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), timeout);
+    client.once(event, (data) => {
+      clearTimeout(timer);
+      resolve(data);
+    });
+  });
+}
+
+async function expectNoEvent(client, event, wait = 300) {
+  const received = jest.fn();
+  client.on(event, received);
+  await new Promise(resolve => setTimeout(resolve, wait));
+  client.off(event, received);
+  expect(received).not.toHaveBeenCalled();
+}
+
+function createEnvelope(sender, fields) {
+  return {
+    type: 'MSG',
+    sessionId: `session-${crypto.randomBytes(4).toString('hex')}`,
+    sender: sender.id,
+    ciphertext: 'dGVzdA==',
+    iv: 'dGVzdA==',
+    authTag: 'dGVzdA==',
+    timestamp: Date.now(),
+    seq: 1,
+    nonce: crypto.randomBytes(16).toString('base64'),
+    ...fields
+  };
+}
+
+function sendMessage(client, envelope) {
+  return new Promise(resolve => client.emit('msg:send', envelope, resolve));
+}
+
+describe('Socket.IO Cluster Tests', () => {
+  let clients = [];
+  let alice;
+  let bob;
+  let carol;
+
+  // Connects a user's device and resolves once the server greeted it
+  function connect(instance, user, deviceId) {
+    const client = ioClient(instance.url, {
+      auth: { token: generateAccessToken(user.id, user.email), deviceId },
+      transports: ['websocket'],
+      forceNew: true,
+      reconnection: false
+    });
+    clients.push(client);
+    return new Promise((resolve, reject) => {
+      client.once('hello', () => resolve(client));
+      client.once('connect_error', reject);
+    });
+  }
+
+  beforeAll(async () => {
+    process.env.TEST_LOGS_DIR = suiteLogsDir;
+    process.env.LOG_PREFIX = suiteLogPrefix;
+    await setupTestDB();
+  });
+
+  afterAll(async () => {
+    await closeTestDB();
+    if (fs.existsSync(suiteLogsDir)) {
+      fs.rmSync(suiteLogsDir, { recursive: true, force: true });
+    }
+    delete process.env.TEST_LOGS_DIR;
+    delete process.env.LOG_PREFIX;
+  });
+
+  beforeEach(async () => {
+    await cleanTestDB();
+    const userData1 = generateTestUser();
+    const userData2 = generateTestUser();
+    const userData3 = generateTestUser();
+    alice = await userService.createUser(userData1.email, userData1.password);
+    bob = await userService.createUser(userData2.email, userData2.password);
+    carol = await userService.createUser(userData3.email, userData3.password);
+  });
+
+  afterEach(() => {
+    clients.forEach(client => client.disconnect());
+    clients = [];
+  });
+
+  test('selects the adapter from SOCKET_ADAPTER', () => {
+    expect(createSocketAdapter({})).toEqual({ name: 'memory' });
+    expect(createSocketAdapter({ SOCKET_ADAPTER: 'mongodb' }).adapter).toEqual(expect.any(Function));
+    expect(() => createSocketAdapter({ SOCKET_ADAPTER: 'redis' })).toThrow('Unknown SOCKET_ADAPTER');
+  });
+
+  describe('Two instances on a shared bus', () => {
+    let instanceA;
+    let instanceB;
+
+    beforeAll(async () => {
+      const Adapter = createBusAdapter(createLocalBus(), HEARTBEAT);
+      instanceA = await startInstance(Adapter);
+      instanceB = await startInstance(Adapter);
+      await waitForCluster([instanceA, instanceB]);
+    });
+
+    afterAll(async () => {
+      await instanceA.io.close();
+      await instanceB.io.close();
+    });
+
+    test('delivers a message to a recipient on the other instance', async () => {
+      const sender = await connect(instanceA, alice, 'laptop');
+      const recipient = await connect(instanceB, bob, 'phone');
+
+      const received = nextEvent(recipient, 'msg:receive');
+      const envelope = createEnvelope(alice, { receiver: bob.id });
+      const ack = await sendMessage(sender, envelope);
+
+      expect(ack).toMatchObject({ success: true, delivered: true, queued: false });
+      expect(await received).toMatchObject({ sessionId: envelope.sessionId, senderDevice: 'laptop' });
+    });
+
+    test('delivers to the addressed device only', async () => {
+      const sender = await connect(instanceA, alice, 'laptop');
+      const bobLaptop = await connect(instanceA, bob, 'laptop');
+      const bobPhone = await connect(instanceB, bob, 'phone');
+
+      const received = nextEvent(bobPhone, 'msg:receive');
+      const ack = await sendMessage(sender, createEnvelope(alice, { receiver: bob.id, receiverDevice: 'phone' }));
+
+      expect(ack.delivered).toBe(true);
+      await received;
+      await expectNoEvent(bobLaptop, 'msg:receive');
+    });
+
+    test('queues a message for a user who is offline on every instance', async () => {
+      const sender = await connect(instanceA, alice, 'laptop');
+      const ack = await sendMessage(sender, createEnvelope(alice, { receiver: carol.id }));
+
+      expect(ack).toMatchObject({ success: true, delivered: false, queued: true });
+      expect(await MailboxMessage.countDocuments({ receiver: carol.id })).toBe(1);
+    });
+
+    test('fans a group message out to every device of online members', async () => {
+      const group = await Group.create({
+        name: 'Cluster',
+        createdBy: alice.id,
+        members: [{ user: alice.id, role: 'admin' }, { user: bob.id }, { user: carol.id }]
+      });
+      const sender = await connect(instanceA, alice, 'laptop');
+      const bobLaptop = await connect(instanceA, bob, 'laptop');
+      const bobPhone = await connect(instanceB, bob, 'phone');
+
+      const receivedOnBoth = Promise.all([nextEvent(bobLaptop, 'msg:receive'), nextEvent(bobPhone, 'msg:receive')]);
+      const ack = await sendMessage(sender, createEnvelope(alice, {
+        sessionId: String(group._id),
+        groupId: String(group._id)
+      }));
+
+      // Carol is offline, so her copy waits in the mailbox
+      expect(ack).toMatchObject({ success: true, queued: true });
+      await receivedOnBoth;
+    });
+
+    test('forwards key exchange and key updates across instances', async () => {
+      const initiator = await connect(instanceA, alice, 'laptop');
+      const responder = await connect(instanceB, bob, 'phone');
+      const sessionId = 'session-cluster-kep';
+
+      const kepInit = nextEvent(responder, 'kep:init');
+      const kepSent = nextEvent(initiator, 'kep:sent');
+      initiator.emit('kep:init', {
+        type: 'KEP_INIT',
+        from: alice.id,
+        to: bob.id,
+        sessionId,
+        ephPub: { kty: 'EC', crv: 'P-256', x: 'x', y: 'y' },
+        signature: 'c2lnbmF0dXJl',
+        timestamp: Date.now(),
+        nonce: crypto.randomBytes(16).toString('base64'),
+        seq: 1
+      });
+
+      expect(await kepInit).toMatchObject({ sessionId, from: alice.id, fromDevice: 'laptop' });
+      expect(await kepSent).toMatchObject({ sessionId, delivered: true });
+
+      const keyUpdate = nextEvent(responder, 'key:update');
+      const keyUpdateSent = nextEvent(initiator, 'key:update:sent');
+      initiator.emit('key:update', { sessionId, from: alice.id, to: bob.id, timestamp: Date.now(), rotationSeq: 1 });
+
+      expect(await keyUpdate).toMatchObject({ sessionId, from: alice.id });
+      expect(await keyUpdateSent).toMatchObject({ sessionId, delivered: true });
+    });
+
+    test('reports presence of users connected to the other instance', async () => {
+      // Presence is only shared between users with an established session
+      for (const [from, to, type, seq] of [[alice, bob, 'KEP_INIT', 1], [bob, alice, 'KEP_RESPONSE', 2]]) {
+        await new KEPMessage({
+          messageId: `session-presence:${type}:${seq}`,
+          sessionId: 'session-presence',
+          from: from.id,
+          to: to.id,
+          type,
+          timestamp: Date.now(),
+          seq
+        }).save();
+      }
+
+      const aliceClient = await connect(instanceA, alice, 'laptop');
+      const bobClient = await connect(instanceB, bob, 'phone');
+
+      const state = nextEvent(bobClient, 'presence:state');
+      bobClient.emit('presence:subscribe', { userIds: [alice.id] });
+      expect((await state).users).toEqual([expect.objectContaining({ userId: alice.id, online: true })]);
+
+      const update = nextEvent(bobClient, 'presence:update');
+      aliceClient.disconnect();
+      expect(await update).toMatchObject({ userId: alice.id, online: false });
+    });
+  });
+
+  describe('Two instances on the MongoDB change stream adapter', () => {
+    let replicaSet = false;
+    let instances = [];
+
+    beforeAll(async () => {
+      // Change streams need a replica set (a single-node one will do)
+      const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+      replicaSet = Boolean(hello.setName);
+      if (!replicaSet) return;
+
+      await SocketEvent.init();
+      // Each instance has its own bus and change stream, as separate processes would
+      instances = [
+        await startInstance(createBusAdapter(createMongoBus(), HEARTBEAT)),
+        await startInstance(createBusAdapter(createMongoBus(), HEARTBEAT))
+      ];
+      await waitForCluster(instances);
+    });
+
+    afterAll(async () => {
+      for (const { io } of instances) {
+        await io.close();
+      }
+    });
+
+    test('delivers a message to a recipient on the other instance', async () => {
+      if (!replicaSet) {
+        console.warn('⚠️  Test database is not a replica set, skipping MongoDB change stream adapter test');
+        return;
+      }
+
+      const [instanceA, instanceB] = instances;
+      const sender = await connect(instanceA, alice, 'laptop');
+      const recipient = await connect(instanceB, bob, 'phone');
+
+      const received = nextEvent(recipient, 'msg:receive');
+      const envelope = createEnvelope(alice, { receiver: bob.id });
+      const ack = await sendMessage(sender, envelope);
+
+      expect(ack).toMatchObject({ success: true, delivered: true, queued: false });
+      expect(await received).toMatchObject({ sessionId: envelope.sessionId, senderDevice: 'laptop' });
+      expect(await SocketEvent.countDocuments()).toBeGreaterThan(0);
+    });
+  });
+});
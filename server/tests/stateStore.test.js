@@ -0,0 +1,152 @@
+/**
+ * Shared State Store Tests
+ * Runs the store contract against the memory and MongoDB implementations and
+ * checks that lockouts and rate limits share state through the store.
+ */
+
+import { setupTestDB, closeTestDB, cleanTestDB } from './setup.js';
+import {
+  createMemoryStore,
+  createMongoStore,
+  createStateStore,
+  createRateLimitStore,
+  setStateStore
+} from '../src/utils/stateStore.js';
+import { recordFailedAttempt, isAccountLocked, getLockedAccounts, clearFailedAttempts } from '../src/utils/accountLockout.js';
+import { StateEntry } from '../src/models/StateEntry.js';
+
+describe('Shared State Store Tests', () => {
+  beforeAll(async () => {
+    await setupTestDB();
+    await StateEntry.init();
+  });
+
+  afterAll(async () => {
+    setStateStore(createMemoryStore());
+    await closeTestDB();
+  });
+
+  beforeEach(async () => {
+    await cleanTestDB();
+  });
+
+  describe.each([
+    ['memory', (now) => createMemoryStore({ now })],
+    ['mongodb', (now) => createMongoStore({ now })]
+  ])('%s store', (name, createStore) => {
+    let clock;
+    let store;
+
+    beforeEach(() => {
+      clock = Date.now();
+      store = createStore(() => clock);
+    });
+
+    test('stores values until they expire', async () => {
+      await store.set('test:value', { lockoutUntil: 123 }, 1000);
+      expect(await store.get('test:value')).toMatchObject({ key: 'test:value', value: { lockoutUntil: 123 } });
+
+      clock += 1000;
+      expect(await store.get('test:value')).toBeNull();
+
+      await store.set('test:value', 'again', 1000);
+      await store.delete('test:value');
+      expect(await store.get('test:value')).toBeNull();
+    });
+
+    test('counts within a fixed window and restarts it after expiry', async () => {
+      const first = await store.increment('test:counter', 1000);
+      expect(first).toEqual({ count: 1, expiresAt: clock + 1000 });
+
+      clock += 500;
+      expect(await store.increment('test:counter', 1000)).toEqual({ count: 2, expiresAt: first.expiresAt });
+      expect(await store.decrement('test:counter')).toBe(1);
+
+      clock += 500;
+      expect(await store.increment('test:counter', 1000)).toEqual({ count: 1, expiresAt: clock + 1000 });
+    });
+
+    test('never decrements below zero', async () => {
+      expect(await store.decrement('test:missing')).toBe(0);
+      await store.increment('test:counter', 1000);
+      await store.decrement('test:counter');
+      expect(await store.decrement('test:counter')).toBe(0);
+    });
+
+    test('does not lose concurrent increments', async () => {
+      const results = await Promise.all(Array.from({ length: 20 }, () => store.increment('test:concurrent', 1000)));
+      expect(results.map(result => result.count).sort((a, b) => a - b))
+        .toEqual(Array.from({ length: 20 }, (_, i) => i + 1));
+    });
+
+    test('keeps a sliding window of entries', async () => {
+      await store.appendToWindow('test:window', { at: clock, reason: 'first' }, 1000, 3);
+      clock += 600;
+      await store.appendToWindow('test:window', { at: clock, reason: '$second' }, 1000, 3);
+      clock += 600;
+      const entries = await store.appendToWindow('test:window', { at: clock, reason: 'third' }, 1000, 3);
+
+      // The first entry left the window; stored values are never evaluated as expressions
+      expect(entries.map(entry => entry.reason)).toEqual(['$second', 'third']);
+
+      await store.appendToWindow('test:window', { at: clock, reason: 'fourth' }, 1000, 3);
+      const capped = await store.appendToWindow('test:window', { at: clock, reason: 'fifth' }, 1000, 3);
+      expect(capped.map(entry => entry.reason)).toEqual(['third', 'fourth', 'fifth']);
+    });
+
+    test('lists live entries by prefix', async () => {
+      await store.set('lockout:locked:a', { lockoutUntil: 1 }, 1000);
+      await store.set('lockout:locked:b', { lockoutUntil: 2 }, 100);
+      await store.set('lockout:attempts:a', 1, 1000);
+
+      clock += 100;
+      const listed = await store.list('lockout:locked:');
+      expect(listed.map(entry => entry.key)).toEqual(['lockout:locked:a']);
+    });
+  });
+
+  test('selects the backend from STATE_STORE', () => {
+    expect(createStateStore({}).name).toBe('memory');
+    expect(createStateStore({ STATE_STORE: 'mongodb' }).name).toBe('mongodb');
+    expect(() => createStateStore({ STATE_STORE: 'redis' })).toThrow('Unknown STATE_STORE');
+  });
+
+  test('shares lockouts between instances through MongoDB', async () => {
+    // Two server instances: each has its own store object on the same database
+    setStateStore(createMongoStore());
+    for (let i = 0; i < 4; i++) {
+      await recordFailedAttempt('shared-user');
+    }
+
+    setStateStore(createMongoStore());
+    const result = await recordFailedAttempt('shared-user');
+    expect(result.locked).toBe(true);
+    expect((await isAccountLocked('shared-user')).locked).toBe(true);
+    expect(await getLockedAccounts()).toEqual([
+      { userId: 'shared-user', failedAttempts: 5, lockoutUntil: result.lockoutUntil }
+    ]);
+
+    await clearFailedAttempts('shared-user');
+    expect((await isAccountLocked('shared-user')).locked).toBe(false);
+  });
+
+  test('backs express-rate-limit counters', async () => {
+    setStateStore(createMemoryStore());
+    const limiterStore = createRateLimitStore('test');
+    const otherStore = createRateLimitStore('other');
+    limiterStore.init({ windowMs: 60000 });
+    otherStore.init({ windowMs: 60000 });
+
+    await limiterStore.increment('10.0.0.1');
+    const { totalHits, resetTime } = await limiterStore.increment('10.0.0.1');
+    expect(totalHits).toBe(2);
+    expect(resetTime).toBeInstanceOf(Date);
+    expect((await otherStore.increment('10.0.0.1')).totalHits).toBe(1);
+
+    await limiterStore.decrement('10.0.0.1');
+    expect((await limiterStore.increment('10.0.0.1')).totalHits).toBe(2);
+
+    await limiterStore.resetKey('10.0.0.1');
+    expect((await limiterStore.increment('10.0.0.1')).totalHits).toBe(1);
+  });
+});
@@ -9,8 +9,13 @@ import mongoose from 'mongoose';
 import { User } from '../../src/models/User.js';
 import { PublicKey } from '../../src/models/PublicKey.js';
 import { KEPMessage } from '../../src/models/KEPMessage.js';
+import { KeyLogEntry } from '../../src/models/KeyLogEntry.js';
 import { MessageMeta } from '../../src/models/MessageMeta.js';
 import { MetadataAudit } from '../../src/models/MetadataAudit.js';
+import { MailboxMessage } from '../../src/models/MailboxMessage.js';
+import { OneTimePreKey } from '../../src/models/OneTimePreKey.js';
+import { Group } from '../../src/models/Group.js';
+import { StateEntry } from '../../src/models/StateEntry.js';
 
 let currentDbName = null;
 let isConnected = false;
@@ -74,6 +79,11 @@ export async function cleanTestDB() {
     KEPMessage.deleteMany({}),
     MessageMeta.deleteMany({}),
     MetadataAudit.deleteMany({}),
+    MailboxMessage.deleteMany({}),
+    OneTimePreKey.deleteMany({}),
+    Group.deleteMany({}),
+    KeyLogEntry.deleteMany({}),
+    StateEntry.deleteMany({}),
   ];
 
   await Promise.all(wipePromises);